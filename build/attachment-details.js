@@ -0,0 +1,2 @@
+(()=>{"use strict";var e={n:a=>{var t=a&&a.__esModule?()=>a.default:()=>a;return e.d(t,{a:t}),t},d:(a,t)=>{for(var n in t)e.o(t,n)&&!e.o(a,n)&&Object.defineProperty(a,n,{enumerable:!0,get:t[n]})},o:(e,a)=>Object.prototype.hasOwnProperty.call(e,a)};const a=window.wp.element,t=window.wp.components,n=window.wp.i18n,i=window.wp.apiFetch;var o=e.n(i);const r=window.ReactJSXRuntime;function s(e){return"assign"===e.action?e.folder_name||`#${e.folder_id}`:"create"===e.action&&e.new_folder_path||""}function l({attachmentId:e}){const[i,l]=(0,a.useState)(null),[d,m]=(0,a.useState)([]),[f,c]=(0,a.useState)(""),[u,v]=(0,a.useState)(!1),[g,p]=(0,a.useState)(null),[h,_]=(0,a.useState)(null),w=async(a,t)=>{v(!0),_(null);try{await o()({path:`/vmfa/v1/apply/${e}`,method:"POST",data:a}),l(null),p((0,n.sprintf)(/* translators: %s: Folder path. */ /* translators: %s: Folder path. */
+(0,n.__)("Moved to %s.","vmfa-ai-organizer"),t))}catch(e){_(e.message||(0,n.__)("Failed to move this file.","vmfa-ai-organizer"))}finally{v(!1)}},y=i?s(i):"";return(0,r.jsxs)("div",{className:"vmfa-folder-suggestion",children:[!i&&(0,r.jsx)(t.Button,{variant:"secondary",onClick:async()=>{v(!0),_(null),p(null);try{const[a,t]=await Promise.all([o()({path:`/vmfa/v1/analyze/${e}`,method:"POST"}),o()({path:"/vmfa/v1/folders",method:"GET"})]);l(a),m(t.folders||[]),c("")}catch(e){_(e.message||(0,n.__)("Failed to analyze this file.","vmfa-ai-organizer"))}finally{v(!1)}},isBusy:u,disabled:u,children:(0,n.__)("Suggest folder","vmfa-ai-organizer")}),u&&!i&&(0,r.jsx)(t.Spinner,{}),g&&(0,r.jsx)("p",{className:"vmfa-folder-suggestion-done",children:g}),h&&(0,r.jsx)("p",{className:"vmfa-preview-error",children:h}),i&&(0,r.jsxs)("div",{className:"vmfa-folder-suggestion-result",children:[y?(0,r.jsxs)("p",{children:[(0,r.jsx)("strong",{children:(0,n.__)("Suggested:","vmfa-ai-organizer")})," ",y,"create"===i.action&&(0,r.jsx)("span",{className:"vmfa-folder-suggestion-new",children:(0,n.__)("(new)","vmfa-ai-organizer")})," ",(0,r.jsxs)("span",{className:"vmfa-folder-suggestion-confidence",children:[Math.round(100*(i.confidence||0)),"%"]})]}):(0,r.jsx)("p",{children:(0,n.__)("No folder suggested for this file.","vmfa-ai-organizer")}),i.reason&&(0,r.jsx)("p",{className:"vmfa-folder-suggestion-reason",children:i.reason}),(0,r.jsxs)("div",{className:"vmfa-folder-suggestion-actions",children:[y&&(0,r.jsx)(t.Button,{variant:"primary",onClick:()=>{w("assign"===i.action?{folder_id:i.folder_id}:{new_folder_path:i.new_folder_path},s(i))},isBusy:u,disabled:u,children:(0,n.__)("Accept","vmfa-ai-organizer")}),(0,r.jsx)(t.Button,{variant:"tertiary",onClick:()=>l(null),disabled:u,children:(0,n.__)("Dismiss","vmfa-ai-organizer")})]}),d.length>0&&(0,r.jsxs)("div",{className:"vmfa-folder-suggestion-alternative",children:[(0,r.jsx)(t.SelectControl,{__nextHasNoMarginBottom:!0,id:`vmfa-suggestion-folder-${e}`,label:(0,n.__)("Or move to another folder","vmfa-ai-organizer"),value:f,options:[{label:(0,n.__)("Choose a folder…","vmfa-ai-organizer"),value:""},...d.map(e=>({label:e.path,value:String(e.id)}))],onChange:c,disabled:u}),(0,r.jsx)(t.Button,{variant:"secondary",onClick:()=>{const e=d.find(e=>String(e.id)===f);e&&w({folder_id:e.id},e.path)},disabled:u||""===f,children:(0,n.__)("Move","vmfa-ai-organizer")})]})]})]})}function d(e,a){const t=e.querySelector(".attachment-preview")||e,i=function(e){return{queued:(0,n.__)("Organizing…","vmfa-ai-organizer"),applied:(0,n.__)("Organized","vmfa-ai-organizer"),review:(0,n.__)("Needs review","vmfa-ai-organizer"),skipped:(0,n.__)("No suggestion","vmfa-ai-organizer"),failed:(0,n.__)("Organizing failed","vmfa-ai-organizer")}[e]||""}(a);let o=t.querySelector(".vmfa-auto-organize-badge");i?(o||(o=document.createElement("span"),t.appendChild(o)),o.className=`vmfa-auto-organize-badge vmfa-auto-organize-badge-${a}`,o.textContent=i):o&&o.remove()}function m(e){e.vmfaStatusTimer||"queued"!==e.model.get("vmfaAutoOrganize")||(e.vmfaStatusTimer=setTimeout(()=>{e.vmfaStatusTimer=null,e.model.fetch()},1e4))}!function(){const e=window.wp?.media?.view?.Attachment?.Details;if(!e)return;const{render:t,remove:n}=e.prototype;e.prototype.render=function(...e){return t.apply(this,e),function(e){e.vmfaRoot&&(e.vmfaRoot.unmount(),e.vmfaRoot=null);const t=e.model?.get("id");if(!t||e.model.get("uploading"))return;const n=document.createElement("div");n.className="vmfa-folder-suggestion-container",(e.el.querySelector(".attachment-info")||e.el).appendChild(n),e.vmfaRoot=(0,a.createRoot)(n),e.vmfaRoot.render((0,r.jsx)(l,{attachmentId:t}))}(this),this},e.prototype.remove=function(...e){return this.vmfaRoot&&(this.vmfaRoot.unmount(),this.vmfaRoot=null),n.apply(this,e)}}(),function(){const e=window.wp?.media?.view?.Attachment?.Library;if(!e)return;const{initialize:a,render:t,remove:n}=e.prototype;e.prototype.initialize=function(...e){a.apply(this,e),this.listenTo(this.model,"change:vmfaAutoOrganize",()=>{d(this.el,this.model.get("vmfaAutoOrganize")),m(this)})},e.prototype.render=function(...e){return t.apply(this,e),d(this.el,this.model.get("vmfaAutoOrganize")),m(this),this},e.prototype.remove=function(...e){return clearTimeout(this.vmfaStatusTimer),this.vmfaStatusTimer=null,n.apply(this,e)}}()})();
\ No newline at end of file
@@ -1,4 +1,55 @@
-(()=>{"use strict";var a={n:e=>{var s=e&&e.__esModule?()=>e.default:()=>e;return a.d(s,{a:s}),s},d:(e,s)=>{for(var r in s)a.o(s,r)&&!a.o(e,r)&&Object.defineProperty(e,r,{enumerable:!0,get:s[r]})},o:(a,e)=>Object.prototype.hasOwnProperty.call(a,e)};const e=window.wp.element,s=window.wp.components,r=window.wp.i18n,n=window.wp.apiFetch;var i=a.n(n);const t=window.ReactJSXRuntime;function l(a){if(!a)return"--:--";const e=Math.floor(Date.now()/1e3-a),s=Math.floor(e/60),r=e%60;return`${String(s).padStart(2,"0")}:${String(r).padStart(2,"0")}`}function c(a,e=0,s=!1){return"running"===a&&0===e?s?(0,r.__)("Preparing preview…","vmfa-ai-organizer"):(0,r.__)("Initializing…","vmfa-ai-organizer"):{idle:(0,r.__)("Ready","vmfa-ai-organizer"),running:(0,r.__)("Processing…","vmfa-ai-organizer"),completed:(0,r.__)("Completed","vmfa-ai-organizer"),cancelled:(0,r.__)("Cancelled","vmfa-ai-organizer"),failed:(0,r.__)("Failed","vmfa-ai-organizer")}[a]||a}function d({status:a,onCancel:e,onReset:n,isLoading:i}){const d="running"===a.status,m="completed"===a.status;return(0,t.jsxs)(s.Card,{className:"vmfa-scan-progress",children:[(0,t.jsx)(s.CardHeader,{children:(0,t.jsxs)("h3",{children:[d&&(0,t.jsx)(s.Spinner,{}),c(a.status,a.processed,a.dry_run),a.dry_run&&(0,t.jsx)("span",{className:"vmfa-badge vmfa-badge-info",children:(0,r.__)("Preview","vmfa-ai-organizer")})]})}),(0,t.jsxs)(s.CardBody,{children:[(0,t.jsxs)("div",{className:"vmfa-progress-info",children:[(0,t.jsxs)("div",{className:"vmfa-progress-row",children:[(0,t.jsx)("span",{className:"vmfa-progress-label",children:(0,r.__)("Mode:","vmfa-ai-organizer")}),(0,t.jsx)("span",{className:"vmfa-progress-value",children:(v=a.mode,{organize_unassigned:(0,r.__)("Organize Unassigned","vmfa-ai-organizer"),reanalyze_all:(0,r.__)("Re-analyze All","vmfa-ai-organizer"),reorganize_all:(0,r.__)("Reorganize All","vmfa-ai-organizer")}[v]||v)})]}),(0,t.jsxs)("div",{className:"vmfa-progress-row",children:[(0,t.jsx)("span",{className:"vmfa-progress-label",children:(0,r.__)("Progress:","vmfa-ai-organizer")}),(0,t.jsx)("span",{className:"vmfa-progress-value",children:0===a.processed&&d?(0,r.__)("Starting…","vmfa-ai-organizer"):`${a.processed} / ${a.total} (${a.percentage}%)`})]}),(0,t.jsx)("div",{className:"vmfa-progress-bar-container"+(d&&0===a.processed?" vmfa-progress-indeterminate":""),children:(0,t.jsx)("div",{className:"vmfa-progress-bar",style:{width:d&&0===a.processed?"100%":`${a.percentage}%`}})}),d&&0===a.processed&&(0,t.jsx)("div",{className:"vmfa-progress-hint",children:(0,r.__)("Connecting to AI provider and analyzing first batch… Initialization may take a couple of minutes.","vmfa-ai-organizer")}),d&&(0,t.jsxs)("div",{className:"vmfa-progress-row",children:[(0,t.jsx)("span",{className:"vmfa-progress-label",children:(0,r.__)("Elapsed:","vmfa-ai-organizer")}),(0,t.jsx)("span",{className:"vmfa-progress-value",children:l(a.started_at)})]}),m&&!a.dry_run&&(0,t.jsxs)(t.Fragment,{children:[(0,t.jsxs)("div",{className:"vmfa-progress-row",children:[(0,t.jsx)("span",{className:"vmfa-progress-label",children:(0,r.__)("Applied:","vmfa-ai-organizer")}),(0,t.jsx)("span",{className:"vmfa-progress-value vmfa-success",children:a.applied})]}),a.failed>0&&(0,t.jsxs)("div",{className:"vmfa-progress-row",children:[(0,t.jsx)("span",{className:"vmfa-progress-label",children:(0,r.__)("Failed:","vmfa-ai-organizer")}),(0,t.jsx)("span",{className:"vmfa-progress-value vmfa-error",children:a.failed})]})]}),a.error&&(0,t.jsx)("div",{className:"vmfa-progress-error",children:a.error})]}),(0,t.jsxs)("div",{className:"vmfa-progress-actions",children:[d&&(0,t.jsx)(s.Button,{variant:"secondary",isDestructive:!0,onClick:e,disabled:i,children:(0,r.__)("Cancel Scan","vmfa-ai-organizer")}),!d&&(0,t.jsx)(s.Button,{variant:"secondary",onClick:n,disabled:i,children:(0,r.__)("Start New Scan","vmfa-ai-organizer")})]}),a.results&&a.results.length>0&&(0,t.jsx)(o,{results:a.results})]})]});var v}function o({results:a}){const[s,n]=(0,e.useState)({}),i=[...a].reverse();return(0,t.jsxs)("div",{className:"vmfa-recent-results",children:[(0,t.jsxs)("h4",{children:[(0,r.__)("Recent Results","vmfa-ai-organizer")," (",a.length,")"]}),(0,t.jsx)("div",{className:"vmfa-results-list",children:i.map((a,e)=>(0,t.jsxs)("div",{className:`vmfa-result-item vmfa-result-${a.action}${s[e]?" is-expanded":""}`,children:[(0,t.jsxs)("button",{type:"button",className:"vmfa-result-header",onClick:()=>(a=>{n(e=>({...e,[a]:!e[a]}))})(e),"aria-expanded":s[e],children:[(0,t.jsx)("span",{className:"vmfa-result-action",children:m(a.action)}),(0,t.jsx)("span",{className:"vmfa-result-filename",title:a.filename||`#${a.attachment_id}`,children:a.filename||`#${a.attachment_id}`}),a.folder_name&&(0,t.jsxs)("span",{className:"vmfa-result-folder",children:["→ ",a.folder_name]}),(0,t.jsxs)("span",{className:"vmfa-result-confidence",children:[Math.round(100*(a.confidence||0)),"%"]}),(0,t.jsx)("span",{className:"vmfa-result-toggle",children:s[e]?"▲":"▼"})]}),s[e]&&(0,t.jsx)("div",{className:"vmfa-result-details",children:(0,t.jsxs)("dl",{children:[(0,t.jsx)("dt",{children:(0,r.__)("Attachment ID:","vmfa-ai-organizer")}),(0,t.jsxs)("dd",{children:["#",a.attachment_id]}),(0,t.jsx)("dt",{children:(0,r.__)("Action:","vmfa-ai-organizer")}),(0,t.jsx)("dd",{children:v(a.action)}),a.folder_name&&(0,t.jsxs)(t.Fragment,{children:[(0,t.jsx)("dt",{children:(0,r.__)("Folder:","vmfa-ai-organizer")}),(0,t.jsx)("dd",{children:a.folder_name})]}),a.new_folder_path&&(0,t.jsxs)(t.Fragment,{children:[(0,t.jsx)("dt",{children:(0,r.__)("New Folder:","vmfa-ai-organizer")}),(0,t.jsx)("dd",{children:a.new_folder_path})]}),(0,t.jsx)("dt",{children:(0,r.__)("Confidence:","vmfa-ai-organizer")}),(0,t.jsxs)("dd",{children:[Math.round(100*(a.confidence||0)),"%"]}),(0,t.jsx)("dt",{children:(0,r.__)("Reason:","vmfa-ai-organizer")}),(0,t.jsx)("dd",{className:"vmfa-result-reason-text",children:a.reason||(0,r.__)("No reason provided","vmfa-ai-organizer")})]})})]},e))})]})}function m(a){switch(a){case"assign":return"📁";case"create":return"➕";case"skip":return"⏭️";default:return"❓"}}function v(a){switch(a){case"assign":return(0,r.__)("Assign to existing folder","vmfa-ai-organizer");case"create":return(0,r.__)("Create new folder","vmfa-ai-organizer");case"skip":return(0,r.__)("Skipped","vmfa-ai-organizer");default:return a}}function f({results:a,onClose:e,onApply:n}){const i=a.reduce((a,e)=>(a[e.action]=a[e.action]||[],a[e.action].push(e),a),{assign:[],create:[],skip:[]}),l=i.assign.length,c=i.create.length,d=i.skip.length,o=[...new Set(i.create.map(a=>a.new_folder_path).filter(Boolean))].sort((a,e)=>a.localeCompare(e)),m=[...i.assign].sort((a,e)=>{const s=a.folder_name||a.new_folder_path||"",r=e.folder_name||e.new_folder_path||"";return s.localeCompare(r)});return(0,t.jsxs)(s.Modal,{title:(0,r.__)("Preview Changes","vmfa-ai-organizer"),onRequestClose:e,className:"vmfa-preview-modal",size:"large",children:[(0,t.jsxs)("div",{className:"vmfa-preview-content",children:[(0,t.jsxs)("div",{className:"vmfa-preview-summary",children:[(0,t.jsx)("h3",{children:(0,r.__)("Summary","vmfa-ai-organizer")}),(0,t.jsxs)("div",{className:"vmfa-preview-stats",children:[(0,t.jsxs)("div",{className:"vmfa-preview-stat",children:[(0,t.jsx)("span",{className:"vmfa-stat-value",children:l}),(0,t.jsx)("span",{className:"vmfa-stat-label",children:(0,r.__)("Will be assigned to existing folders","vmfa-ai-organizer")})]}),(0,t.jsxs)("div",{className:"vmfa-preview-stat",children:[(0,t.jsx)("span",{className:"vmfa-stat-value",children:c}),(0,t.jsx)("span",{className:"vmfa-stat-label",children:(0,r.__)("Will create new folders","vmfa-ai-organizer")})]}),(0,t.jsxs)("div",{className:"vmfa-preview-stat",children:[(0,t.jsx)("span",{className:"vmfa-stat-value",children:d}),(0,t.jsx)("span",{className:"vmfa-stat-label",children:(0,r.__)("No suitable folder found","vmfa-ai-organizer")})]})]})]}),o.length>0&&(0,t.jsxs)("div",{className:"vmfa-preview-section",children:[(0,t.jsx)("h4",{children:(0,r.__)("New Folders to Create","vmfa-ai-organizer")}),(0,t.jsx)("ul",{className:"vmfa-folder-list",children:o.map((a,e)=>(0,t.jsxs)("li",{className:"vmfa-folder-item",children:[(0,t.jsx)("span",{className:"vmfa-folder-icon",children:"📁"}),(0,t.jsx)("span",{className:"vmfa-folder-path",children:a})]},e))})]}),l>0&&(0,t.jsxs)("div",{className:"vmfa-preview-section",children:[(0,t.jsx)("h4",{children:(0,r.__)("Folder Assignments","vmfa-ai-organizer")}),(0,t.jsxs)("div",{className:"vmfa-preview-table-wrapper",children:[(0,t.jsxs)("table",{className:"vmfa-preview-table",children:[(0,t.jsx)("thead",{children:(0,t.jsxs)("tr",{children:[(0,t.jsx)("th",{children:(0,r.__)("Media ID","vmfa-ai-organizer")}),(0,t.jsx)("th",{children:(0,r.__)("Folder","vmfa-ai-organizer")}),(0,t.jsx)("th",{children:(0,r.__)("Confidence","vmfa-ai-organizer")}),(0,t.jsx)("th",{children:(0,r.__)("Reason","vmfa-ai-organizer")})]})}),(0,t.jsx)("tbody",{children:m.slice(0,20).map((a,e)=>{return(0,t.jsxs)("tr",{children:[(0,t.jsxs)("td",{children:["#",a.attachment_id]}),(0,t.jsx)("td",{children:a.folder_name||a.new_folder_path||"-"}),(0,t.jsx)("td",{children:(0,t.jsxs)("span",{className:(s=a.confidence,s>=.8?"vmfa-confidence-high":s>=.5?"vmfa-confidence-medium":"vmfa-confidence-low"),children:[Math.round(100*a.confidence),"%"]})}),(0,t.jsx)("td",{children:a.reason})]},e);var s})})]}),m.length>20&&(0,t.jsx)("p",{className:"vmfa-preview-more",children:(0,r.sprintf)(/* translators: %d: Number of additional assignments not shown in the preview table. */ /* translators: %d: Number of additional assignments not shown in the preview table. */
-(0,r.__)("And %d more…","vmfa-ai-organizer"),m.length-20)})]})]}),d>0&&(0,t.jsxs)("div",{className:"vmfa-preview-section vmfa-preview-skipped",children:[(0,t.jsx)("h4",{children:(0,r.__)("Skipped Items","vmfa-ai-organizer")}),(0,t.jsx)("p",{className:"description",children:(0,r.__)("These items could not be matched to any folder.","vmfa-ai-organizer")}),(0,t.jsx)("ul",{className:"vmfa-skipped-list",children:i.skip.slice(0,10).map((a,e)=>(0,t.jsxs)("li",{children:["#",a.attachment_id,": ",a.reason]},e))}),d>10&&(0,t.jsx)("p",{className:"vmfa-preview-more",children:(0,r.sprintf)(/* translators: %d: Number of additional skipped items not shown in the preview list. */ /* translators: %d: Number of additional skipped items not shown in the preview list. */
-(0,r.__)("And %d more…","vmfa-ai-organizer"),d-10)})]})]}),(0,t.jsxs)("div",{className:"vmfa-preview-actions",children:[(0,t.jsx)(s.Button,{variant:"primary",onClick:n,disabled:0===l&&0===c,children:(0,r.__)("Apply Changes","vmfa-ai-organizer")}),(0,t.jsx)(s.Button,{variant:"secondary",onClick:e,children:(0,r.__)("Cancel","vmfa-ai-organizer")})]})]})}function h({onRestore:a}){const[n,l]=(0,e.useState)(null),[c,d]=(0,e.useState)(!0),[o,m]=(0,e.useState)(!1),[v,f]=(0,e.useState)(null),[h,u]=(0,e.useState)(!1),p=async()=>{try{const a=await i()({path:"/vmfa/v1/backup",method:"GET"});l(a)}catch(a){}finally{d(!1)}};return(0,e.useEffect)(()=>{p()},[]),c||!n?.exists?null:(0,t.jsxs)(s.Card,{className:"vmfa-restore-panel",children:[(0,t.jsx)(s.CardHeader,{children:(0,t.jsx)("h3",{children:(0,r.__)("Backup & Restore","vmfa-ai-organizer")})}),(0,t.jsxs)(s.CardBody,{children:[v&&(0,t.jsx)(s.Notice,{status:v.type,isDismissible:!0,onRemove:()=>f(null),children:v.message}),(0,t.jsxs)("div",{className:"vmfa-backup-info",children:[(0,t.jsx)("p",{children:(0,t.jsx)("strong",{children:(0,r.__)("Backup Available","vmfa-ai-organizer")})}),(0,t.jsxs)("div",{className:"vmfa-backup-details",children:[(0,t.jsxs)("div",{className:"vmfa-backup-row",children:[(0,t.jsx)("span",{className:"vmfa-backup-label",children:(0,r.__)("Created:","vmfa-ai-organizer")}),(0,t.jsx)("span",{className:"vmfa-backup-value",children:(g=n.timestamp,g?new Date(1e3*g).toLocaleString():"-")})]}),(0,t.jsxs)("div",{className:"vmfa-backup-row",children:[(0,t.jsx)("span",{className:"vmfa-backup-label",children:(0,r.__)("Folders:","vmfa-ai-organizer")}),(0,t.jsx)("span",{className:"vmfa-backup-value",children:n.folder_count})]}),(0,t.jsxs)("div",{className:"vmfa-backup-row",children:[(0,t.jsx)("span",{className:"vmfa-backup-label",children:(0,r.__)("Assignments:","vmfa-ai-organizer")}),(0,t.jsx)("span",{className:"vmfa-backup-value",children:n.assignment_count})]})]})]}),h?(0,t.jsxs)("div",{className:"vmfa-restore-confirm",children:[(0,t.jsx)("p",{className:"vmfa-restore-warning",children:(0,r.__)("This will replace all current folders and assignments with the backup. Are you sure?","vmfa-ai-organizer")}),(0,t.jsxs)("div",{className:"vmfa-restore-actions",children:[(0,t.jsx)(s.Button,{variant:"secondary",onClick:()=>u(!1),disabled:o,children:(0,r.__)("Cancel","vmfa-ai-organizer")}),(0,t.jsx)(s.Button,{variant:"primary",isDestructive:!0,onClick:async()=>{m(!0),f(null);try{const e=await i()({path:"/vmfa/v1/restore",method:"POST"});f({type:"success",message:(0,r.sprintf)(/* translators: 1: number of restored folders, 2: number of restored assignments. */ /* translators: 1: number of restored folders, 2: number of restored assignments. */
-(0,r.__)("Restored %1$d folders and %2$d assignments.","vmfa-ai-organizer"),e.folders_restored,e.assignments_restored)}),u(!1),a&&a(),await p()}catch(a){f({type:"error",message:a.message||(0,r.__)("Failed to restore backup.","vmfa-ai-organizer")})}finally{m(!1)}},isBusy:o,disabled:o,children:(0,r.__)("Yes, Restore Backup","vmfa-ai-organizer")})]})]}):(0,t.jsxs)("div",{className:"vmfa-restore-actions",children:[(0,t.jsx)(s.Button,{variant:"secondary",onClick:()=>u(!0),children:(0,r.__)("Restore Backup","vmfa-ai-organizer")}),(0,t.jsx)(s.Button,{variant:"link",isDestructive:!0,onClick:async()=>{try{await i()({path:"/vmfa/v1/backup",method:"DELETE"}),l({exists:!1}),f({type:"info",message:(0,r.__)("Backup deleted.","vmfa-ai-organizer")})}catch(a){f({type:"error",message:a.message||(0,r.__)("Failed to delete backup.","vmfa-ai-organizer")})}},children:(0,r.__)("Delete Backup","vmfa-ai-organizer")})]})]})]});var g}function u(){const[a,n]=(0,e.useState)("organize_unassigned"),[l,c]=(0,e.useState)(!0),[o,m]=(0,e.useState)(null),[v,u]=(0,e.useState)(!1),[g,_]=(0,e.useState)([]),[x,j]=(0,e.useState)(null),{status:z,isLoading:y,error:w,startScan:N,cancelScan:b,resetScan:C,applyCachedResults:k,refresh:S}=function(a=2e3){const[s,r]=(0,e.useState)({status:"idle",mode:"",dry_run:!1,total:0,processed:0,percentage:0,applied:0,failed:0,results:[],started_at:null,completed_at:null,error:null}),[n,t]=(0,e.useState)(!0),[l,c]=(0,e.useState)(null),d=(0,e.useRef)(null),o=(0,e.useCallback)(async()=>{try{const a=await i()({path:"/vmfa/v1/scan/status",method:"GET"});r(a),c(null)}catch(a){c(a.message||"Failed to fetch scan status")}finally{t(!1)}},[]);(0,e.useEffect)(()=>(o(),"running"===s.status&&(d.current=setInterval(o,a)),()=>{d.current&&clearInterval(d.current)}),[s.status,o,a]);const m=(0,e.useCallback)(async(a,e=!1)=>{try{t(!0);const s=await i()({path:"/vmfa/v1/scan",method:"POST",data:{mode:a,dry_run:e}});return await o(),s}catch(a){throw c(a.message||"Failed to start scan"),a}finally{t(!1)}},[o]),v=(0,e.useCallback)(async()=>{try{t(!0);const a=await i()({path:"/vmfa/v1/scan/cancel",method:"POST"});return await o(),a}catch(a){throw c(a.message||"Failed to cancel scan"),a}finally{t(!1)}},[o]),f=(0,e.useCallback)(async()=>{try{t(!0);const a=await i()({path:"/vmfa/v1/scan/reset",method:"POST"});return await o(),a}catch(a){throw c(a.message||"Failed to reset scan"),a}finally{t(!1)}},[o]),h=(0,e.useCallback)(async a=>{try{t(!0);const e=await i()({path:"/vmfa/v1/scan/apply-cached",method:"POST",data:{mode:a}});return await o(),e}catch(a){throw c(a.message||"Failed to apply cached results"),a}finally{t(!1)}},[o]),u=(0,e.useCallback)(async()=>{try{return(await i()({path:"/vmfa/v1/scan/cached-count",method:"GET"})).count}catch(a){return c(a.message||"Failed to get cached count"),0}},[]);return{status:s,isLoading:n,error:l,startScan:m,cancelScan:v,resetScan:f,applyCachedResults:h,getCachedCount:u,refresh:o}}(),R=(0,e.useCallback)(async()=>{try{const a=await i()({path:"/vmfa/v1/stats",method:"GET"});m(a)}catch(a){}},[]);(0,e.useEffect)(()=>{R()},[R]);const B=(0,e.useCallback)(async()=>{try{const a=await i()({path:"/vmfa/v1/scan/cached-results",method:"GET"});_(a.results||[])}catch(a){_(z.results||[])}finally{u(!0)}},[z.results]);(0,e.useEffect)(()=>{"completed"===z.status&&z.dry_run&&B()},[z.status,z.dry_run,B]);const F=async()=>{try{await C(),await R(),j(null)}catch(a){j({type:"error",message:a.message||(0,r.__)("Failed to reset.","vmfa-ai-organizer")})}},A="running"===z.status,E="completed"===z.status,L="cancelled"===z.status,P=[{label:(0,r.__)("Organize Unassigned","vmfa-ai-organizer"),value:"organize_unassigned"},{label:(0,r.__)("Re-analyze All","vmfa-ai-organizer"),value:"reanalyze_all"},{label:(0,r.__)("Reorganize All (Reset & Rebuild)","vmfa-ai-organizer"),value:"reorganize_all"}];return(0,t.jsxs)("div",{className:"vmfa-ai-organizer-panel",children:[x&&(0,t.jsx)(s.Notice,{status:x.type,isDismissible:!0,onRemove:()=>j(null),children:x.message}),w&&(0,t.jsx)(s.Notice,{status:"error",isDismissible:!1,children:w}),o&&(0,t.jsxs)(s.Card,{className:"vmfa-stats-card",children:[(0,t.jsx)(s.CardHeader,{children:(0,t.jsx)("h3",{children:(0,r.__)("Media Library Statistics","vmfa-ai-organizer")})}),(0,t.jsx)(s.CardBody,{children:(0,t.jsxs)("div",{className:"vmfa-stats-grid",children:[(0,t.jsxs)("div",{className:"vmfa-stat",children:[(0,t.jsx)("span",{className:"vmfa-stat-value",children:o.total_media}),(0,t.jsx)("span",{className:"vmfa-stat-label",children:(0,r.__)("Total Media","vmfa-ai-organizer")})]}),(0,t.jsxs)("div",{className:"vmfa-stat",children:[(0,t.jsx)("span",{className:"vmfa-stat-value",children:o.assigned}),(0,t.jsx)("span",{className:"vmfa-stat-label",children:(0,r.__)("In Folders","vmfa-ai-organizer")})]}),(0,t.jsxs)("div",{className:"vmfa-stat",children:[(0,t.jsx)("span",{className:"vmfa-stat-value",children:o.unassigned}),(0,t.jsx)("span",{className:"vmfa-stat-label",children:(0,r.__)("Unassigned","vmfa-ai-organizer")})]}),(0,t.jsxs)("div",{className:"vmfa-stat",children:[(0,t.jsx)("span",{className:"vmfa-stat-value",children:o.folders}),(0,t.jsx)("span",{className:"vmfa-stat-label",children:(0,r.__)("Folders","vmfa-ai-organizer")})]})]})})]}),!A&&(0,t.jsxs)(s.Card,{className:"vmfa-scan-controls",children:[(0,t.jsx)(s.CardHeader,{children:(0,t.jsx)("h3",{children:(0,r.__)("Scan Options","vmfa-ai-organizer")})}),(0,t.jsxs)(s.CardBody,{children:[(0,t.jsx)(s.RadioControl,{label:(0,r.__)("Scan Mode","vmfa-ai-organizer"),help:p(a),selected:a,options:P,onChange:n}),"reorganize_all"===a&&(0,t.jsx)(s.Notice,{status:"warning",isDismissible:!1,children:(0,r.__)("Warning: This will remove all existing folder assignments and reorganize from scratch. A backup will be created automatically.","vmfa-ai-organizer")}),(0,t.jsx)(s.CheckboxControl,{__nextHasNoMarginBottom:!0,label:(0,r.__)("Preview mode (dry run)","vmfa-ai-organizer"),help:(0,r.__)("Show proposed changes without applying them.","vmfa-ai-organizer"),checked:l,onChange:c}),(0,t.jsxs)("div",{className:"vmfa-scan-actions",children:[(0,t.jsx)(s.Button,{variant:"primary",onClick:async()=>{try{j(null),await N(a,l),j({type:"success",message:l?(0,r.__)("Preview scan started. Results will be shown when complete. You can leave this page and return later.","vmfa-ai-organizer"):(0,r.__)("Scan started. Media files are being organized. You can leave this page and return later.","vmfa-ai-organizer")})}catch(a){j({type:"error",message:a.message||(0,r.__)("Failed to start scan.","vmfa-ai-organizer")})}},disabled:y||"organize_unassigned"===a&&0===o?.unassigned,children:l?(0,r.__)("Preview Changes","vmfa-ai-organizer"):(0,r.__)("Start Organizing","vmfa-ai-organizer")}),(E||L)&&(0,t.jsx)(s.Button,{variant:"secondary",onClick:F,disabled:y,children:(0,r.__)("Reset","vmfa-ai-organizer")})]})]})]}),(A||E||L)&&(0,t.jsx)(d,{status:z,onCancel:async()=>{try{await b(),j({type:"info",message:(0,r.__)("Scan cancelled.","vmfa-ai-organizer")})}catch(a){j({type:"error",message:a.message||(0,r.__)("Failed to cancel scan.","vmfa-ai-organizer")})}},onReset:F,isLoading:y}),(0,t.jsx)(h,{onRestore:()=>{R(),S()}}),v&&(0,t.jsx)(f,{results:g,onClose:()=>u(!1),onApply:async()=>{u(!1);try{j({type:"info",message:(0,r.__)("Applying cached preview results…","vmfa-ai-organizer")});const e=await k(a);await R(),j({type:"success",message:e.message||(0,r.__)("Preview results applied successfully.","vmfa-ai-organizer")})}catch(a){j({type:"error",message:a.message||(0,r.__)("Failed to apply preview results.","vmfa-ai-organizer")})}}})]})}function p(a){switch(a){case"organize_unassigned":return(0,r.__)("Only process media files that are not already in a folder.","vmfa-ai-organizer");case"reanalyze_all":return(0,r.__)("Re-analyze all media and suggest new folder assignments.","vmfa-ai-organizer");case"reorganize_all":return(0,r.__)("Remove all folders and assignments, then create a new AI-optimized structure.","vmfa-ai-organizer");default:return""}}function g(a){document.querySelectorAll(".vmfa-provider-field").forEach(e=>{const s=e.closest("tr");s&&(s.classList.add("vmfa-provider-row"),e.dataset.provider===a?s.classList.add("vmfa-provider-active"):s.classList.remove("vmfa-provider-active"))}),"openai"===a&&_()}function _(){const a=document.getElementById("vmfa_openai_type");if(!a)return;const e="azure"===a.value;document.querySelectorAll(".vmfa-azure-field").forEach(a=>{const s=a.closest("tr");s&&(s.classList.add("vmfa-azure-row"),e?s.classList.add("vmfa-azure-active"):s.classList.remove("vmfa-azure-active"))})}function x(){const a=document.getElementById("vmfa_ai_provider");a&&(g(a.value),a.addEventListener("change",a=>{g(a.target.value)}));const e=document.getElementById("vmfa_openai_type");e&&e.addEventListener("change",()=>{_()})}function j(){const a=document.getElementById("vmfa-ai-organizer-scanner");a&&(0,e.createRoot)(a).render((0,t.jsx)(u,{}))}"loading"===document.readyState?document.addEventListener("DOMContentLoaded",()=>{x(),j()}):(x(),j())})();
\ No newline at end of file
+(()=>{"use strict";var e={n:a=>{var r=a&&a.__esModule?()=>a.default:()=>a;return e.d(r,{a:r}),r},d:(a,r)=>{for(var s in r)e.o(r,s)&&!e.o(a,s)&&Object.defineProperty(a,s,{enumerable:!0,get:r[s]})},o:(e,a)=>Object.prototype.hasOwnProperty.call(e,a)};const a=window.wp.element,r=window.wp.components,s=window.wp.i18n,n=window.wp.apiFetch;var i=e.n(n);const t=window.ReactJSXRuntime;function l({result:e}){if(!e.thumbnail_url)return null;const a=e.visual_description||e.filename||"";return(0,t.jsxs)("span",{className:"vmfa-result-thumbnail",children:[(0,t.jsx)("img",{src:e.thumbnail_url,alt:a,loading:"lazy"}),(0,t.jsxs)("span",{className:"vmfa-result-thumbnail-preview","aria-hidden":"true",children:[(0,t.jsx)("img",{src:e.thumbnail_url,alt:""}),e.visual_description&&(0,t.jsxs)("span",{className:"vmfa-result-thumbnail-caption",children:[(0,t.jsx)("strong",{children:(0,s.__)("AI sees:","vmfa-ai-organizer")})," ",e.visual_description]})]})]})}function o(e){if(!e)return"--:--";const a=Math.floor(Date.now()/1e3-e),r=Math.floor(a/60),s=a%60;return`${String(r).padStart(2,"0")}:${String(s).padStart(2,"0")}`}function d(e,a=0,r=!1){return"running"===e&&0===a?r?(0,s.__)("Preparing preview…","vmfa-ai-organizer"):(0,s.__)("Initializing…","vmfa-ai-organizer"):{idle:(0,s.__)("Ready","vmfa-ai-organizer"),running:(0,s.__)("Processing…","vmfa-ai-organizer"),completed:(0,s.__)("Completed","vmfa-ai-organizer"),cancelled:(0,s.__)("Cancelled","vmfa-ai-organizer"),failed:(0,s.__)("Failed","vmfa-ai-organizer")}[e]||e}function c({status:e,onCancel:n,onReset:i,onUndo:l,isLoading:c}){const[v,f]=(0,a.useState)(!1),h="running"===e.status,u="completed"===e.status,_=u&&!e.dry_run?e.undo:null;return(0,t.jsxs)(r.Card,{className:"vmfa-scan-progress",children:[(0,t.jsx)(r.CardHeader,{children:(0,t.jsxs)("h3",{children:[h&&(0,t.jsx)(r.Spinner,{}),d(e.status,e.processed,e.dry_run),e.dry_run&&(0,t.jsx)("span",{className:"vmfa-badge vmfa-badge-info",children:(0,s.__)("Preview","vmfa-ai-organizer")})]})}),(0,t.jsxs)(r.CardBody,{children:[(0,t.jsxs)("div",{className:"vmfa-progress-info",children:[(0,t.jsxs)("div",{className:"vmfa-progress-row",children:[(0,t.jsx)("span",{className:"vmfa-progress-label",children:(0,s.__)("Mode:","vmfa-ai-organizer")}),(0,t.jsx)("span",{className:"vmfa-progress-value",children:(g=e.mode,{organize_unassigned:(0,s.__)("Organize Unassigned","vmfa-ai-organizer"),reanalyze_all:(0,s.__)("Re-analyze All","vmfa-ai-organizer"),reorganize_all:(0,s.__)("Reorganize All","vmfa-ai-organizer")}[g]||g)})]}),(0,t.jsxs)("div",{className:"vmfa-progress-row",children:[(0,t.jsx)("span",{className:"vmfa-progress-label",children:(0,s.__)("Progress:","vmfa-ai-organizer")}),(0,t.jsx)("span",{className:"vmfa-progress-value",children:0===e.processed&&h?(0,s.__)("Starting…","vmfa-ai-organizer"):`${e.processed} / ${e.total} (${e.percentage}%)`})]}),(0,t.jsx)("div",{className:"vmfa-progress-bar-container"+(h&&0===e.processed?" vmfa-progress-indeterminate":""),children:(0,t.jsx)("div",{className:"vmfa-progress-bar",style:{width:h&&0===e.processed?"100%":`${e.percentage}%`}})}),h&&e.waiting_until&&(0,t.jsx)("div",{className:"vmfa-progress-hint",children:(0,s.sprintf)(/* translators: %s: Date and time the scan resumes. */ /* translators: %s: Date and time the scan resumes. */
+(0,s.__)("Paused outside the schedule time window. Resumes %s.","vmfa-ai-organizer"),new Date(1e3*e.waiting_until).toLocaleString())}),h&&0===e.processed&&!e.waiting_until&&(0,t.jsx)("div",{className:"vmfa-progress-hint",children:(0,s.__)("Connecting to AI provider and analyzing first batch… Initialization may take a couple of minutes.","vmfa-ai-organizer")}),h&&(0,t.jsxs)("div",{className:"vmfa-progress-row",children:[(0,t.jsx)("span",{className:"vmfa-progress-label",children:(0,s.__)("Elapsed:","vmfa-ai-organizer")}),(0,t.jsx)("span",{className:"vmfa-progress-value",children:o(e.started_at)})]}),u&&!e.dry_run&&(0,t.jsxs)(t.Fragment,{children:[(0,t.jsxs)("div",{className:"vmfa-progress-row",children:[(0,t.jsx)("span",{className:"vmfa-progress-label",children:(0,s.__)("Applied:","vmfa-ai-organizer")}),(0,t.jsx)("span",{className:"vmfa-progress-value vmfa-success",children:e.applied})]}),e.failed>0&&(0,t.jsxs)("div",{className:"vmfa-progress-row",children:[(0,t.jsx)("span",{className:"vmfa-progress-label",children:(0,s.__)("Failed:","vmfa-ai-organizer")}),(0,t.jsx)("span",{className:"vmfa-progress-value vmfa-error",children:e.failed})]}),e.held>0&&(0,t.jsxs)("div",{className:"vmfa-progress-row",children:[(0,t.jsx)("span",{className:"vmfa-progress-label",children:(0,s.__)("Held for review:","vmfa-ai-organizer")}),(0,t.jsx)("span",{className:"vmfa-progress-value",children:e.held})]})]}),e.error&&(0,t.jsx)("div",{className:"vmfa-progress-error",children:e.error})]}),(0,t.jsxs)("div",{className:"vmfa-progress-actions",children:[h&&(0,t.jsx)(r.Button,{variant:"secondary",isDestructive:!0,onClick:n,disabled:c,children:(0,s.__)("Cancel Scan","vmfa-ai-organizer")}),!h&&(0,t.jsx)(r.Button,{variant:"secondary",onClick:i,disabled:c,children:(0,s.__)("Start New Scan","vmfa-ai-organizer")}),_?.undoable&&!v&&(0,t.jsx)(r.Button,{variant:"tertiary",isDestructive:!0,onClick:()=>f(!0),disabled:c,children:(0,s.__)("Undo this run","vmfa-ai-organizer")}),_?.undone_at&&(0,t.jsx)("span",{className:"vmfa-undo-done",children:(0,s.__)("This run has been undone.","vmfa-ai-organizer")})]}),_?.undoable&&v&&(0,t.jsxs)("div",{className:"vmfa-undo-confirm",children:[(0,t.jsx)("p",{className:"vmfa-undo-warning",children:(0,s.sprintf)(/* translators: 1: number of media moved by the run, 2: number of folders it created. */ /* translators: 1: number of media moved by the run, 2: number of folders it created. */
+(0,s.__)("This moves %1$d media back to their previous folders and removes the %2$d folders this run created, if they are empty. Media moved since the run are left alone.","vmfa-ai-organizer"),_.moved,_.created_folders)}),(0,t.jsxs)("div",{className:"vmfa-undo-actions",children:[(0,t.jsx)(r.Button,{variant:"secondary",onClick:()=>f(!1),disabled:c,children:(0,s.__)("Cancel","vmfa-ai-organizer")}),(0,t.jsx)(r.Button,{variant:"primary",isDestructive:!0,onClick:async()=>{await l(),f(!1)},isBusy:c,disabled:c,children:(0,s.__)("Yes, Undo Run","vmfa-ai-organizer")})]})]}),e.results&&e.results.length>0&&(0,t.jsx)(m,{results:e.results})]})]});var g}function m({results:e}){const[r,n]=(0,a.useState)({}),i=[...e].reverse();return(0,t.jsxs)("div",{className:"vmfa-recent-results",children:[(0,t.jsxs)("h4",{children:[(0,s.__)("Recent Results","vmfa-ai-organizer")," (",e.length,")"]}),(0,t.jsx)("div",{className:"vmfa-results-list",children:i.map((e,a)=>(0,t.jsxs)("div",{className:`vmfa-result-item vmfa-result-${e.action}${r[a]?" is-expanded":""}`,children:[(0,t.jsxs)("button",{type:"button",className:"vmfa-result-header",onClick:()=>(e=>{n(a=>({...a,[e]:!a[e]}))})(a),"aria-expanded":r[a],children:[(0,t.jsx)("span",{className:"vmfa-result-action",children:f(e.action)}),(0,t.jsx)(l,{result:e}),(0,t.jsx)("span",{className:"vmfa-result-filename",title:e.filename||`#${e.attachment_id}`,children:e.filename||`#${e.attachment_id}`}),e.folder_name&&(0,t.jsxs)("span",{className:"vmfa-result-folder",children:["→ ",e.folder_name]}),e.fallback_from&&(0,t.jsx)("span",{className:"vmfa-result-fallback",title:(0,s.sprintf)(/* translators: 1: Provider that answered, 2: Primary provider. */ /* translators: 1: Provider that answered, 2: Primary provider. */
+(0,s.__)("Answered by %1$s because %2$s failed.","vmfa-ai-organizer"),v(e.provider),v(e.fallback_from)),children:v(e.provider)}),(0,t.jsxs)("span",{className:"vmfa-result-confidence",children:[Math.round(100*(e.confidence||0)),"%"]}),(0,t.jsx)("span",{className:"vmfa-result-toggle",children:r[a]?"▲":"▼"})]}),r[a]&&(0,t.jsx)("div",{className:"vmfa-result-details",children:(0,t.jsxs)("dl",{children:[(0,t.jsx)("dt",{children:(0,s.__)("Attachment ID:","vmfa-ai-organizer")}),(0,t.jsxs)("dd",{children:["#",e.attachment_id]}),(0,t.jsx)("dt",{children:(0,s.__)("Action:","vmfa-ai-organizer")}),(0,t.jsx)("dd",{children:h(e.action)}),e.folder_name&&(0,t.jsxs)(t.Fragment,{children:[(0,t.jsx)("dt",{children:(0,s.__)("Folder:","vmfa-ai-organizer")}),(0,t.jsx)("dd",{children:e.folder_name})]}),e.new_folder_path&&(0,t.jsxs)(t.Fragment,{children:[(0,t.jsx)("dt",{children:(0,s.__)("New Folder:","vmfa-ai-organizer")}),(0,t.jsx)("dd",{children:e.new_folder_path})]}),e.provider&&(0,t.jsxs)(t.Fragment,{children:[(0,t.jsx)("dt",{children:(0,s.__)("Provider:","vmfa-ai-organizer")}),(0,t.jsx)("dd",{children:e.fallback_from?(0,s.sprintf)(/* translators: 1: Provider that answered, 2: Primary provider. */ /* translators: 1: Provider that answered, 2: Primary provider. */
+(0,s.__)("%1$s (fallback for %2$s)","vmfa-ai-organizer"),v(e.provider),v(e.fallback_from)):v(e.provider)})]}),(0,t.jsx)("dt",{children:(0,s.__)("Confidence:","vmfa-ai-organizer")}),(0,t.jsxs)("dd",{children:[Math.round(100*(e.confidence||0)),"%"]}),e.visual_description&&(0,t.jsxs)(t.Fragment,{children:[(0,t.jsx)("dt",{children:(0,s.__)("Description:","vmfa-ai-organizer")}),(0,t.jsx)("dd",{children:e.visual_description})]}),(0,t.jsx)("dt",{children:(0,s.__)("Reason:","vmfa-ai-organizer")}),(0,t.jsx)("dd",{className:"vmfa-result-reason-text",children:e.reason||(0,s.__)("No reason provided","vmfa-ai-organizer")})]})})]},a))})]})}function v(e){return window.vmfaAiOrganizer?.providers?.[e]||e}function f(e){switch(e){case"assign":return"📁";case"create":return"➕";case"skip":return"⏭️";default:return"❓"}}function h(e){switch(e){case"assign":return(0,s.__)("Assign to existing folder","vmfa-ai-organizer");case"create":return(0,s.__)("Create new folder","vmfa-ai-organizer");case"skip":return(0,s.__)("Skipped","vmfa-ai-organizer");default:return e}}function u({newFolders:e,folders:n,onMerge:i}){const[l,o]=(0,a.useState)([]),[d,c]=(0,a.useState)(null),[m,v]=(0,a.useState)(""),[f,h]=(0,a.useState)(""),[u,_]=(0,a.useState)(""),[g,p]=(0,a.useState)(!1),[x,j]=(0,a.useState)(null),z=async(e,a)=>{p(!0),j(null);try{const r=await i(e,a);j({type:"success",text:r?.message||""}),o([]),c(null),h(""),_("")}catch(e){j({type:"error",text:e.message||(0,s.__)("Failed to update folders.","vmfa-ai-organizer")})}finally{p(!1)}},y=[{label:(0,s.__)("New folder…","vmfa-ai-organizer"),value:""},...e.filter(e=>!l.includes(e)).map(e=>({label:(0,s.sprintf)(/* translators: %s: Proposed folder path. */ /* translators: %s: Proposed folder path. */
+(0,s.__)("%s (new)","vmfa-ai-organizer"),e),value:`new:${e}`})),...n.map(e=>({label:e.path,value:`folder:${e.id}`}))];return(0,t.jsxs)("div",{className:"vmfa-new-folders-editor",children:[(0,t.jsx)("ul",{className:"vmfa-folder-list",children:e.map(e=>(0,t.jsxs)("li",{className:"vmfa-folder-item",children:[(0,t.jsx)(r.CheckboxControl,{__nextHasNoMarginBottom:!0,"aria-label":(0,s.sprintf)(/* translators: %s: Proposed folder path. */ /* translators: %s: Proposed folder path. */
+(0,s.__)("Select %s","vmfa-ai-organizer"),e),checked:l.includes(e),onChange:a=>((e,a)=>{o(r=>a?[...r,e]:r.filter(a=>a!==e))})(e,a),disabled:g}),(0,t.jsx)("span",{className:"vmfa-folder-icon",children:"📁"}),d===e?(0,t.jsxs)(t.Fragment,{children:[(0,t.jsx)(r.TextControl,{__nextHasNoMarginBottom:!0,hideLabelFromVision:!0,label:(0,s.sprintf)(/* translators: %s: Proposed folder path. */ /* translators: %s: Proposed folder path. */
+(0,s.__)("New path for %s","vmfa-ai-organizer"),e),value:m,onChange:v}),(0,t.jsx)(r.Button,{variant:"primary",onClick:()=>z([e],{target_path:m}),disabled:g||!m.trim()||m===e,children:(0,s.__)("Save","vmfa-ai-organizer")}),(0,t.jsx)(r.Button,{variant:"tertiary",onClick:()=>c(null),disabled:g,children:(0,s.__)("Cancel","vmfa-ai-organizer")})]}):(0,t.jsxs)(t.Fragment,{children:[(0,t.jsx)("span",{className:"vmfa-folder-path",children:e}),(0,t.jsx)(r.Button,{variant:"link",onClick:()=>{c(e),v(e)},disabled:g,children:(0,s.__)("Rename","vmfa-ai-organizer")})]})]},e))}),l.length>0&&(0,t.jsxs)("div",{className:"vmfa-folder-merge",children:[(0,t.jsx)(r.SelectControl,{__nextHasNoMarginBottom:!0,label:(0,s.__)("Merge selected into","vmfa-ai-organizer"),value:f,options:y,onChange:h}),""===f&&(0,t.jsx)(r.TextControl,{__nextHasNoMarginBottom:!0,label:(0,s.__)("New folder path","vmfa-ai-organizer"),value:u,onChange:_}),(0,t.jsx)(r.Button,{variant:"secondary",onClick:()=>{f.startsWith("folder:")?z(l,{folder_id:parseInt(f.slice(7),10)}):f.startsWith("new:")?z(l,{target_path:f.slice(4)}):z(l,{target_path:u})},disabled:g||""===f&&!u.trim(),children:(0,s.sprintf)(/* translators: %d: Number of selected folders. */ /* translators: %d: Number of selected folders. */
+(0,s.__)("Merge %d folders","vmfa-ai-organizer"),l.length)})]}),x&&(0,t.jsx)("p",{className:"error"===x.type?"vmfa-preview-error":"vmfa-preview-message",children:x.text})]})}function _(e,r=0){const[s,n]=(0,a.useState)({results:[],total:0,pages:1,page:1,summary:null}),[t,l]=(0,a.useState)(!0),[o,d]=(0,a.useState)(null),c=function(e){const a=new URLSearchParams({page:String(e.page),per_page:String(e.perPage),orderby:e.orderby,order:e.order});return["search","action","confidence","folder"].forEach(r=>{e[r]&&a.set(r,e[r])}),`/vmfa/v1/scan/cached-results?${a.toString()}`}(e);return(0,a.useEffect)(()=>{let e=!1;return l(!0),i()({path:c,method:"GET"}).then(a=>{e||(n({results:a.results||[],total:a.total||0,pages:a.pages||1,page:a.page||1,summary:a.summary||null}),d(null))}).catch(a=>{e||d(a.message||"Failed to fetch cached results")}).finally(()=>{e||l(!1)}),()=>{e=!0}},[c,r]),{...s,isLoading:t,error:o}}function g(){const[e,n]=(0,a.useState)(null),[l,o]=(0,a.useState)(null);return(0,a.useEffect)(()=>{i()({path:"/vmfa/v1/scan/cached-tree",method:"GET"}).then(e=>n(e.tree||[])).catch(e=>{o(e.message||(0,s.__)("Failed to load folder tree.","vmfa-ai-organizer"))})},[]),l?(0,t.jsx)("p",{className:"vmfa-preview-error",children:l}):e?0===e.length?(0,t.jsx)("p",{className:"vmfa-preview-more",children:(0,s.__)("No folders in the proposed structure.","vmfa-ai-organizer")}):(0,t.jsx)("ul",{className:"vmfa-folder-tree",role:"tree",children:e.map(e=>(0,t.jsx)(p,{node:e},e.path))}):(0,t.jsx)(r.Spinner,{})}function p({node:e}){const[r,n]=(0,a.useState)(!1),i=e.children.length>0||e.count>0;return(0,t.jsxs)("li",{className:"vmfa-folder-tree-node"+(e.is_new?" is-new":""),role:"treeitem","aria-expanded":i?r:void 0,children:[(0,t.jsxs)("button",{type:"button",className:"vmfa-folder-tree-toggle",onClick:()=>n(!r),disabled:!i,children:[(0,t.jsx)("span",{className:"vmfa-folder-tree-arrow",children:i&&(r?"▼":"▶")}),(0,t.jsx)("span",{className:"vmfa-folder-icon",children:"📁"}),(0,t.jsx)("span",{className:"vmfa-folder-tree-name",children:e.name}),e.is_new&&(0,t.jsx)("span",{className:"vmfa-badge vmfa-badge-new",children:(0,s.__)("New","vmfa-ai-organizer")}),e.total>0&&(0,t.jsxs)("span",{className:"vmfa-folder-tree-count",title:(0,s.sprintf)(/* translators: 1: Items moving into this folder, 2: Items including subfolders. */ /* translators: 1: Items moving into this folder, 2: Items including subfolders. */
+(0,s.__)("%1$d incoming, %2$d including subfolders","vmfa-ai-organizer"),e.count,e.total),children:["+",e.count,e.total!==e.count&&` / ${e.total}`]})]}),r&&(0,t.jsxs)(t.Fragment,{children:[e.count>0&&(0,t.jsx)(x,{path:e.path}),e.children.length>0&&(0,t.jsx)("ul",{role:"group",children:e.children.map(e=>(0,t.jsx)(p,{node:e},e.path))})]})]})}function x({path:e}){const{results:a,total:n,isLoading:i,error:o}=_({page:1,perPage:100,orderby:"filename",order:"asc",folder:e});return i?(0,t.jsx)(r.Spinner,{}):o?(0,t.jsx)("p",{className:"vmfa-preview-error",children:o}):(0,t.jsxs)("div",{className:"vmfa-folder-tree-items",children:[(0,t.jsx)("ul",{children:a.map(e=>(0,t.jsxs)("li",{children:[(0,t.jsx)(l,{result:e}),(0,t.jsx)("span",{className:"vmfa-folder-tree-item-name",children:e.filename||`#${e.attachment_id}`})]},e.attachment_id))}),n>a.length&&(0,t.jsx)("p",{className:"vmfa-preview-more",children:(0,s.sprintf)(/* translators: %d: Number of additional items not listed. */ /* translators: %d: Number of additional items not listed. */
+(0,s.__)("And %d more…","vmfa-ai-organizer"),n-a.length)})]})}async function j(e,a){const r=await i()({path:e,method:"GET",parse:!1}),s=await r.blob(),n=r.headers.get("Content-Disposition")||"",t=/filename="([^"]+)"/.exec(n),l=window.URL.createObjectURL(s),o=document.createElement("a");o.href=l,o.download=t?t[1]:a,document.body.appendChild(o),o.click(),o.remove(),window.URL.revokeObjectURL(l)}const z=[25,50,100,250];function y({onClose:e,onApply:n}){const[o,d]=(0,a.useState)({page:1,perPage:50,orderby:"folder",order:"asc",search:"",action:"",confidence:""}),[c,m]=(0,a.useState)(""),[v,f]=(0,a.useState)([]),[h,p]=(0,a.useState)(()=>new Set),[x,y]=(0,a.useState)({}),[S,k]=(0,a.useState)("table"),[B,$]=(0,a.useState)(0),[M,T]=(0,a.useState)(!1),[F,R]=(0,a.useState)(null),{results:E,total:A,pages:P,page:O,summary:H,isLoading:D,error:L}=_(o,B);(0,a.useEffect)(()=>{i()({path:"/vmfa/v1/folders",method:"GET"}).then(e=>f(e.folders||[])).catch(()=>{})},[]),(0,a.useEffect)(()=>{const e=setTimeout(()=>{d(e=>e.search===c?e:{...e,search:c,page:1})},300);return()=>clearTimeout(e)},[c]);const I=H?.assign||0,U=H?.create||0,G=H?.skip||0,K=H?.new_folders||[],W=function(e,a){return[...e.map(e=>({label:e.path,value:`folder:${e.id}`})),...a.map(e=>({label:(0,s.sprintf)(/* translators: %s: Proposed folder path. */ /* translators: %s: Proposed folder path. */
+(0,s.__)("%s (new)","vmfa-ai-organizer"),e),value:`new:${e}`}))]}(v,K),q=E.filter(e=>b(e)),V=Math.max(0,I+U-h.size),Y=q.length>0&&q.every(e=>!h.has(e.attachment_id)),J=e=>{d(a=>({...a,page:1,...e}))},Q=(e,a)=>{p(r=>{const s=new Set(r);return e.forEach(e=>{a?s.delete(e):s.add(e)}),s})},X=async e=>{T(!0),R(null);try{await j(`/vmfa/v1/scan/cached-results/export?format=${e}`,`vmfa-preview.${e}`)}catch(e){R(e.message||(0,s.__)("Failed to download results.","vmfa-ai-organizer"))}finally{T(!1)}},Z=(e,a)=>{const s=o.orderby===e;let n="none";return s&&(n="asc"===o.order?"ascending":"descending"),(0,t.jsx)("th",{"aria-sort":n,children:(0,t.jsxs)(r.Button,{variant:"link",className:"vmfa-preview-sort",onClick:()=>(e=>{J({orderby:e,order:o.orderby===e&&"asc"===o.order?"desc":"asc"})})(e),children:[a,s&&("asc"===o.order?" ▲":" ▼")]})})};return(0,t.jsxs)(r.Modal,{title:(0,s.__)("Preview Changes","vmfa-ai-organizer"),onRequestClose:e,className:"vmfa-preview-modal",size:"large",children:[(0,t.jsxs)("div",{className:"vmfa-preview-content",children:[(0,t.jsxs)("div",{className:"vmfa-preview-summary",children:[(0,t.jsx)("h3",{children:(0,s.__)("Summary","vmfa-ai-organizer")}),(0,t.jsxs)("div",{className:"vmfa-preview-stats",children:[(0,t.jsxs)("div",{className:"vmfa-preview-stat",children:[(0,t.jsx)("span",{className:"vmfa-stat-value",children:I}),(0,t.jsx)("span",{className:"vmfa-stat-label",children:(0,s.__)("Will be assigned to existing folders","vmfa-ai-organizer")})]}),(0,t.jsxs)("div",{className:"vmfa-preview-stat",children:[(0,t.jsx)("span",{className:"vmfa-stat-value",children:U}),(0,t.jsx)("span",{className:"vmfa-stat-label",children:(0,s.__)("Will create new folders","vmfa-ai-organizer")})]}),(0,t.jsxs)("div",{className:"vmfa-preview-stat",children:[(0,t.jsx)("span",{className:"vmfa-stat-value",children:G}),(0,t.jsx)("span",{className:"vmfa-stat-label",children:(0,s.__)("No suitable folder found","vmfa-ai-organizer")})]})]})]}),K.length>0&&(0,t.jsxs)("div",{className:"vmfa-preview-section",children:[(0,t.jsx)("h4",{children:(0,s.__)("New Folders to Create","vmfa-ai-organizer")}),(0,t.jsx)(u,{newFolders:K,folders:v,onMerge:async(e,a)=>{const r=await i()({path:"/vmfa/v1/scan/merge-folders",method:"POST",data:{sources:e,...a}});return y(a=>Object.fromEntries(Object.entries(a).filter(([,a])=>!e.some(e=>a===`new:${e}`||a.startsWith(`new:${e}/`))))),$(e=>e+1),r}})]}),(0,t.jsxs)("div",{className:"vmfa-preview-section",children:[(0,t.jsxs)("div",{className:"vmfa-preview-section-header",children:[(0,t.jsx)("h4",{children:(0,s.__)("Proposed Changes","vmfa-ai-organizer")}),(0,t.jsxs)("div",{className:"vmfa-preview-view-toggle",children:[(0,t.jsx)(r.Button,{variant:"table"===S?"primary":"secondary",onClick:()=>k("table"),children:(0,s.__)("Table","vmfa-ai-organizer")}),(0,t.jsx)(r.Button,{variant:"tree"===S?"primary":"secondary",onClick:()=>k("tree"),children:(0,s.__)("Folder Tree","vmfa-ai-organizer")})]})]}),"tree"===S&&(0,t.jsx)(g,{},B),"table"===S&&(0,t.jsxs)(t.Fragment,{children:[(0,t.jsxs)("div",{className:"vmfa-preview-filters",children:[(0,t.jsx)(r.TextControl,{__nextHasNoMarginBottom:!0,label:(0,s.__)("Search","vmfa-ai-organizer"),value:c,onChange:m}),(0,t.jsx)(r.SelectControl,{__nextHasNoMarginBottom:!0,label:(0,s.__)("Action","vmfa-ai-organizer"),value:o.action,options:[{label:(0,s.__)("All","vmfa-ai-organizer"),value:""},{label:(0,s.__)("Assign to existing folder","vmfa-ai-organizer"),value:"assign"},{label:(0,s.__)("Create new folder","vmfa-ai-organizer"),value:"create"},{label:(0,s.__)("Skipped","vmfa-ai-organizer"),value:"skip"}],onChange:e=>J({action:e})}),(0,t.jsx)(r.SelectControl,{__nextHasNoMarginBottom:!0,label:(0,s.__)("Confidence","vmfa-ai-organizer"),value:o.confidence,options:[{label:(0,s.__)("All","vmfa-ai-organizer"),value:""},{label:(0,s.__)("High (80% and above)","vmfa-ai-organizer"),value:"high"},{label:(0,s.__)("Medium (50–79%)","vmfa-ai-organizer"),value:"medium"},{label:(0,s.__)("Low (below 50%)","vmfa-ai-organizer"),value:"low"}],onChange:e=>J({confidence:e})})]}),L&&(0,t.jsx)("p",{className:"vmfa-preview-error",children:L}),(0,t.jsxs)("div",{className:"vmfa-preview-table-wrapper",children:[(0,t.jsxs)("table",{className:"vmfa-preview-table",children:[(0,t.jsx)("thead",{children:(0,t.jsxs)("tr",{children:[(0,t.jsx)("th",{children:(0,t.jsx)(r.CheckboxControl,{__nextHasNoMarginBottom:!0,"aria-label":(0,s.__)("Select all on this page","vmfa-ai-organizer"),checked:Y,disabled:0===q.length,onChange:e=>Q(q.map(e=>e.attachment_id),e)})}),Z("filename",(0,s.__)("File","vmfa-ai-organizer")),Z("folder",(0,s.__)("Folder","vmfa-ai-organizer")),Z("confidence",(0,s.__)("Confidence","vmfa-ai-organizer")),(0,t.jsx)("th",{children:(0,s.__)("Reason","vmfa-ai-organizer")})]})}),(0,t.jsx)("tbody",{children:E.map(e=>{const a=b(e),n=a&&h.has(e.attachment_id);return(0,t.jsxs)("tr",{className:w(e,n),children:[(0,t.jsx)("td",{children:a&&(0,t.jsx)(r.CheckboxControl,{__nextHasNoMarginBottom:!0,"aria-label":(0,s.sprintf)(/* translators: %d: Attachment ID. */ /* translators: %d: Attachment ID. */
+(0,s.__)("Include #%d","vmfa-ai-organizer"),e.attachment_id),checked:!n,onChange:a=>Q([e.attachment_id],a)})}),(0,t.jsxs)("td",{className:"vmfa-preview-file",children:[(0,t.jsx)(l,{result:e}),(0,t.jsx)("span",{className:"vmfa-preview-filename",children:e.filename||"-"}),(0,t.jsxs)("span",{className:"vmfa-preview-id",children:["#",e.attachment_id]})]}),(0,t.jsx)("td",{children:a?(0,t.jsx)(r.SelectControl,{__nextHasNoMarginBottom:!0,hideLabelFromVision:!0,label:(0,s.sprintf)(/* translators: %d: Attachment ID. */ /* translators: %d: Attachment ID. */
+(0,s.__)("Target folder for #%d","vmfa-ai-organizer"),e.attachment_id),value:x[e.attachment_id]||N(e),options:C(W,e),onChange:a=>y({...x,[e.attachment_id]:a}),disabled:n}):"-"}),(0,t.jsx)("td",{children:(0,t.jsxs)("span",{className:(i=e.confidence,i>=.8?"vmfa-confidence-high":i>=.5?"vmfa-confidence-medium":"vmfa-confidence-low"),children:[Math.round(100*(e.confidence||0)),"%"]})}),(0,t.jsxs)("td",{children:[e.reason,e.visual_description&&(0,t.jsx)("span",{className:"vmfa-visual-description",children:e.visual_description})]})]},e.attachment_id);var i})})]}),D&&(0,t.jsx)(r.Spinner,{}),!D&&0===E.length&&(0,t.jsx)("p",{className:"vmfa-preview-more",children:(0,s.__)("No results match the current filters.","vmfa-ai-organizer")})]}),(0,t.jsxs)("div",{className:"vmfa-preview-pagination",children:[(0,t.jsx)("span",{className:"vmfa-preview-total",children:(0,s.sprintf)(/* translators: %d: Number of matching results. */ /* translators: %d: Number of matching results. */
+(0,s.__)("%d results","vmfa-ai-organizer"),A)}),(0,t.jsx)(r.SelectControl,{__nextHasNoMarginBottom:!0,label:(0,s.__)("Per page","vmfa-ai-organizer"),value:String(o.perPage),options:z.map(e=>({label:String(e),value:String(e)})),onChange:e=>J({perPage:parseInt(e,10)})}),(0,t.jsx)(r.Button,{variant:"secondary",onClick:()=>d({...o,page:O-1}),disabled:D||O<=1,children:(0,s.__)("Previous","vmfa-ai-organizer")}),(0,t.jsx)("span",{className:"vmfa-preview-page",children:(0,s.sprintf)(/* translators: 1: Current page, 2: Total pages. */ /* translators: 1: Current page, 2: Total pages. */
+(0,s.__)("Page %1$d of %2$d","vmfa-ai-organizer"),O,P)}),(0,t.jsx)(r.Button,{variant:"secondary",onClick:()=>d({...o,page:O+1}),disabled:D||O>=P,children:(0,s.__)("Next","vmfa-ai-organizer")})]})]})]})]}),(0,t.jsxs)("div",{className:"vmfa-preview-actions",children:[(0,t.jsx)(r.Button,{variant:"primary",onClick:()=>{n({exclude:[...h],overrides:Object.entries(x).map(([e,a])=>function(e,a){return a.startsWith("folder:")?{attachment_id:e,folder_id:parseInt(a.slice(7),10)}:{attachment_id:e,new_folder_path:a.slice(4)}}(parseInt(e,10),a))})},disabled:!H||0===V,children:(0,s.sprintf)(/* translators: %d: Number of selected changes. */ /* translators: %d: Number of selected changes. */
+(0,s.__)("Apply %d Changes","vmfa-ai-organizer"),V)}),(0,t.jsx)(r.Button,{variant:"secondary",onClick:e,children:(0,s.__)("Cancel","vmfa-ai-organizer")}),(0,t.jsxs)("div",{className:"vmfa-preview-export",children:[F&&(0,t.jsx)("span",{className:"vmfa-preview-error",children:F}),(0,t.jsx)(r.Button,{variant:"tertiary",onClick:()=>X("csv"),disabled:!H||M,children:(0,s.__)("Download CSV","vmfa-ai-organizer")}),(0,t.jsx)(r.Button,{variant:"tertiary",onClick:()=>X("json"),disabled:!H||M,children:(0,s.__)("Download JSON","vmfa-ai-organizer")})]})]})]})}function b(e){return"assign"===e.action||"create"===e.action}function w(e,a){const r=[`vmfa-preview-row-${e.action}`];return a&&r.push("vmfa-preview-row-excluded"),r.join(" ")}function N(e){return"assign"===e.action&&e.folder_id?`folder:${e.folder_id}`:`new:${e.new_folder_path||""}`}function C(e,a){const r=N(a);return e.some(e=>e.value===r)?e:[{label:a.folder_name||a.new_folder_path||r,value:r},...e]}function S({onImported:e,onError:n,disabled:l}){const[o,d]=(0,a.useState)(!1);return(0,t.jsx)(r.FormFileUpload,{variant:"secondary",accept:".csv,.json,text/csv,application/json",onChange:async a=>{const r=a.target.files?.[0];if(a.target.value="",r){d(!0);try{const a=await i()({path:"/vmfa/v1/scan/import",method:"POST",data:{content:await r.text(),format:r.name.toLowerCase().endsWith(".json")?"json":"csv"}});e(a)}catch(e){n(e)}finally{d(!1)}}},disabled:l||o,children:(0,s.__)("Import Results…","vmfa-ai-organizer")})}function k({title:e,items:a}){return 0===a.length?null:(0,t.jsxs)("div",{className:"vmfa-diff-section",children:[(0,t.jsx)("h4",{children:e}),(0,t.jsx)("ul",{children:a.map(e=>(0,t.jsx)("li",{children:e},e))})]})}function B(e){return e.length>0?e.join(", "):(0,s.__)("(no folder)","vmfa-ai-organizer")}function $({snapshotId:e,isBusy:n,onCancel:l,onRestore:o}){const[d,c]=(0,a.useState)(null),[m,v]=(0,a.useState)(null),[f,h]=(0,a.useState)([]);(0,a.useEffect)(()=>{i()({path:`/vmfa/v1/backup/${e}/diff`,method:"GET"}).then(c).catch(e=>{v(e.message||(0,s.__)("Failed to compare snapshot.","vmfa-ai-organizer"))})},[e]);const u=d?.folders||{},_=(u.added||[]).map(e=>e.path),g=(u.removed||[]).map(e=>e.path),p=(u.renamed||[]).map(e=>`${e.from} → ${e.to}`),x=(d?.media||[]).map(e=>`${e.filename||`#${e.attachment_id}`}: ${B(e.from)} → ${B(e.to)}`),j=d?.media_total||0,z=d?.restorable||[],y=_.length+g.length+p.length+j>0;return(0,t.jsxs)("div",{className:"vmfa-restore-confirm",children:[(0,t.jsx)("p",{className:"vmfa-restore-warning",children:(0,s.__)("This will replace all current folders and assignments with this snapshot. Are you sure?","vmfa-ai-organizer")}),m&&(0,t.jsx)("p",{className:"vmfa-preview-error",children:m}),!d&&!m&&(0,t.jsx)(r.Spinner,{}),d&&(0,t.jsxs)("div",{className:"vmfa-snapshot-diff",children:[!y&&(0,t.jsx)("p",{children:(0,s.__)("The current folders already match this snapshot.","vmfa-ai-organizer")}),(0,t.jsx)(k,{title:(0,s.__)("Folders to add","vmfa-ai-organizer"),items:_}),(0,t.jsx)(k,{title:(0,s.__)("Folders to remove","vmfa-ai-organizer"),items:g}),(0,t.jsx)(k,{title:(0,s.__)("Folders to rename","vmfa-ai-organizer"),items:p}),(0,t.jsx)(k,{title:(0,s.sprintf)(/* translators: %d: number of media items whose folder changes. */ /* translators: %d: number of media items whose folder changes. */
+(0,s.__)("Media to move (%d)","vmfa-ai-organizer"),j),items:x}),j>x.length&&(0,t.jsx)("p",{className:"vmfa-preview-more",children:(0,s.sprintf)(/* translators: %d: number of media changes not listed. */ /* translators: %d: number of media changes not listed. */
+(0,s.__)("…and %d more.","vmfa-ai-organizer"),j-x.length)}),z.length>0&&(0,t.jsxs)("div",{className:"vmfa-diff-section",children:[(0,t.jsx)("h4",{children:(0,s.__)("Restore only selected folders","vmfa-ai-organizer")}),z.map(e=>(0,t.jsx)(r.CheckboxControl,{__nextHasNoMarginBottom:!0,id:`vmfa-diff-folder-${e.term_id}`,label:e.path,checked:f.includes(e.term_id),onChange:a=>((e,a)=>{h(r=>a?[...r,e]:r.filter(a=>a!==e))})(e.term_id,a),disabled:n},e.term_id))]})]}),(0,t.jsxs)("div",{className:"vmfa-restore-actions",children:[(0,t.jsx)(r.Button,{variant:"secondary",onClick:l,disabled:n,children:(0,s.__)("Cancel","vmfa-ai-organizer")}),f.length>0&&(0,t.jsx)(r.Button,{variant:"secondary",onClick:()=>o(f),isBusy:n,disabled:n,children:(0,s.sprintf)(/* translators: %d: number of selected folders. */ /* translators: %d: number of selected folders. */
+(0,s.__)("Restore %d Selected Folders","vmfa-ai-organizer"),f.length)}),(0,t.jsx)(r.Button,{variant:"primary",isDestructive:!0,onClick:()=>o([]),isBusy:n,disabled:n,children:(0,s.__)("Yes, Restore Snapshot","vmfa-ai-organizer")})]})]})}function M(e){switch(e){case"organize_unassigned":return(0,s.__)("Organize Unassigned","vmfa-ai-organizer");case"reanalyze_all":return(0,s.__)("Re-analyze All","vmfa-ai-organizer");case"reorganize_all":return(0,s.__)("Reorganize All (Reset & Rebuild)","vmfa-ai-organizer");default:return""}}function T({onRestore:e}){const[n,l]=(0,a.useState)([]),[o,d]=(0,a.useState)(!0),[c,m]=(0,a.useState)(!1),[v,f]=(0,a.useState)(null),[h,u]=(0,a.useState)(null),[_,g]=(0,a.useState)(""),p=async()=>{try{const e=await i()({path:"/vmfa/v1/backup",method:"GET"});l(e.snapshots||[])}catch(e){}finally{d(!1)}};return(0,a.useEffect)(()=>{p()},[]),o?null:(0,t.jsxs)(r.Card,{className:"vmfa-restore-panel",children:[(0,t.jsx)(r.CardHeader,{children:(0,t.jsx)("h3",{children:(0,s.__)("Backup & Restore","vmfa-ai-organizer")})}),(0,t.jsxs)(r.CardBody,{children:[v&&(0,t.jsx)(r.Notice,{status:v.type,isDismissible:!0,onRemove:()=>f(null),children:v.message}),0===n.length?(0,t.jsx)("p",{className:"vmfa-backup-empty",children:(0,s.__)("No snapshots yet. A snapshot is taken automatically before every scan that applies changes.","vmfa-ai-organizer")}):(0,t.jsx)("ul",{className:"vmfa-snapshot-list",children:n.map(a=>{return(0,t.jsxs)("li",{className:"vmfa-snapshot",children:[(0,t.jsxs)("div",{className:"vmfa-snapshot-header",children:[(0,t.jsx)("strong",{className:"vmfa-snapshot-label",children:a.label}),(0,t.jsx)("span",{className:"vmfa-backup-label",children:(n=a.timestamp,n?new Date(1e3*n).toLocaleString():"-")})]}),(0,t.jsxs)("div",{className:"vmfa-backup-details",children:[a.scan_mode&&(0,t.jsxs)("div",{className:"vmfa-backup-row",children:[(0,t.jsx)("span",{className:"vmfa-backup-label",children:(0,s.__)("Scan:","vmfa-ai-organizer")}),(0,t.jsx)("span",{className:"vmfa-backup-value",children:M(a.scan_mode)})]}),(0,t.jsxs)("div",{className:"vmfa-backup-row",children:[(0,t.jsx)("span",{className:"vmfa-backup-label",children:(0,s.__)("Folders:","vmfa-ai-organizer")}),(0,t.jsx)("span",{className:"vmfa-backup-value",children:a.folder_count})]}),(0,t.jsxs)("div",{className:"vmfa-backup-row",children:[(0,t.jsx)("span",{className:"vmfa-backup-label",children:(0,s.__)("Assignments:","vmfa-ai-organizer")}),(0,t.jsx)("span",{className:"vmfa-backup-value",children:a.assignment_count})]})]}),h===a.id?(0,t.jsx)($,{snapshotId:a.id,isBusy:c,onCancel:()=>u(null),onRestore:r=>(async(a,r=[])=>{m(!0),f(null);try{const n=await i()({path:"/vmfa/v1/restore",method:"POST",data:r.length>0?{id:a,folders:r}:{id:a}});f({type:"success",message:(0,s.sprintf)(/* translators: 1: number of restored folders, 2: number of restored assignments. */ /* translators: 1: number of restored folders, 2: number of restored assignments. */
+(0,s.__)("Restored %1$d folders and %2$d assignments.","vmfa-ai-organizer"),n.folders_restored,n.assignments_restored)}),u(null),e&&e(),await p()}catch(e){f({type:"error",message:e.message||(0,s.__)("Failed to restore backup.","vmfa-ai-organizer")})}finally{m(!1)}})(a.id,r)}):(0,t.jsxs)("div",{className:"vmfa-restore-actions",children:[(0,t.jsx)(r.Button,{variant:"secondary",onClick:()=>u(a.id),disabled:c,children:(0,s.__)("Restore","vmfa-ai-organizer")}),(0,t.jsx)(r.Button,{variant:"tertiary",onClick:()=>(async e=>{f(null);try{await j(`/vmfa/v1/backup/${e}/download`,"vmfa-backup.json")}catch(e){f({type:"error",message:e.message||(0,s.__)("Failed to download backup.","vmfa-ai-organizer")})}})(a.id),disabled:c,children:(0,s.__)("Download","vmfa-ai-organizer")}),(0,t.jsx)(r.Button,{variant:"link",isDestructive:!0,onClick:()=>(async e=>{f(null);try{await i()({path:`/vmfa/v1/backup/${e}`,method:"DELETE"}),l(a=>a.filter(a=>a.id!==e)),f({type:"info",message:(0,s.__)("Snapshot deleted.","vmfa-ai-organizer")})}catch(e){f({type:"error",message:e.message||(0,s.__)("Failed to delete snapshot.","vmfa-ai-organizer")})}})(a.id),disabled:c,children:(0,s.__)("Delete","vmfa-ai-organizer")})]})]},a.id);var n})}),(0,t.jsxs)("div",{className:"vmfa-snapshot-create",children:[(0,t.jsx)(r.TextControl,{__nextHasNoMarginBottom:!0,label:(0,s.__)("Snapshot label","vmfa-ai-organizer"),value:_,onChange:g,placeholder:(0,s.__)("Manual snapshot","vmfa-ai-organizer")}),(0,t.jsx)(r.Button,{variant:"secondary",onClick:async()=>{m(!0),f(null);try{await i()({path:"/vmfa/v1/backup",method:"POST",data:{label:_}}),g(""),f({type:"success",message:(0,s.__)("Snapshot created.","vmfa-ai-organizer")}),await p()}catch(e){f({type:"error",message:e.message||(0,s.__)("Failed to create snapshot.","vmfa-ai-organizer")})}finally{m(!1)}},isBusy:c,disabled:c,children:(0,s.__)("Create Snapshot","vmfa-ai-organizer")}),(0,t.jsx)(r.FormFileUpload,{variant:"tertiary",accept:".json,application/json",onChange:async e=>{const a=e.target.files?.[0];if(e.target.value="",a){m(!0),f(null);try{const e=await i()({path:"/vmfa/v1/backup/upload",method:"POST",data:{content:await a.text()}});f({type:e.missing>0?"warning":"success",message:e.message}),await p()}catch(e){f({type:"error",message:e.message||(0,s.__)("Failed to upload backup.","vmfa-ai-organizer")})}finally{m(!1)}}},disabled:c,children:(0,s.__)("Upload Backup…","vmfa-ai-organizer")})]})]})]})}function F(e){return e?new Date(1e3*e).toLocaleString():"-"}function R(e){return{organize_unassigned:(0,s.__)("Organize Unassigned","vmfa-ai-organizer"),reanalyze_all:(0,s.__)("Re-analyze All","vmfa-ai-organizer"),reorganize_all:(0,s.__)("Reorganize All","vmfa-ai-organizer")}[e]||e}function E({run:e,onClose:n}){const[o,d]=(0,a.useState)(1),[c,m]=(0,a.useState)(null),[v,f]=(0,a.useState)(null);(0,a.useEffect)(()=>{i()({path:`/vmfa/v1/history/${e.id}?page=${o}&per_page=50`,method:"GET"}).then(m).catch(e=>{f(e.message||(0,s.__)("Failed to load run results.","vmfa-ai-organizer"))})},[e.id,o]);const h=c?.results||[],u=c?.pages||1;return(0,t.jsx)(r.Modal,{title:(0,s.sprintf)(/* translators: 1: Scan mode, 2: Run date. */ /* translators: 1: Scan mode, 2: Run date. */
+(0,s.__)("%1$s on %2$s","vmfa-ai-organizer"),R(e.mode),F(e.started_at)),onRequestClose:n,className:"vmfa-preview-modal vmfa-run-report",children:(0,t.jsxs)("div",{className:"vmfa-preview-content",children:[v&&(0,t.jsx)("p",{className:"vmfa-preview-error",children:v}),!c&&!v&&(0,t.jsx)(r.Spinner,{}),c&&0===h.length&&(0,t.jsx)("p",{children:(0,s.__)("No results were recorded for this run.","vmfa-ai-organizer")}),h.length>0&&(0,t.jsxs)("table",{className:"vmfa-preview-table",children:[(0,t.jsx)("thead",{children:(0,t.jsxs)("tr",{children:[(0,t.jsx)("th",{children:(0,s.__)("File","vmfa-ai-organizer")}),(0,t.jsx)("th",{children:(0,s.__)("Folder","vmfa-ai-organizer")}),(0,t.jsx)("th",{children:(0,s.__)("Confidence","vmfa-ai-organizer")}),(0,t.jsx)("th",{children:(0,s.__)("Reason","vmfa-ai-organizer")})]})}),(0,t.jsx)("tbody",{children:h.map(e=>(0,t.jsxs)("tr",{className:`vmfa-preview-row-${e.action}`,children:[(0,t.jsxs)("td",{className:"vmfa-preview-file",children:[(0,t.jsx)(l,{result:e}),(0,t.jsx)("span",{className:"vmfa-preview-filename",children:e.filename||`#${e.attachment_id}`})]}),(0,t.jsx)("td",{children:e.folder_name||e.new_folder_path||"-"}),(0,t.jsxs)("td",{children:[Math.round(100*(e.confidence||0)),"%"]}),(0,t.jsx)("td",{children:e.reason})]},e.attachment_id))})]}),u>1&&(0,t.jsxs)("div",{className:"vmfa-preview-pagination",children:[(0,t.jsx)("span",{className:"vmfa-preview-total",children:(0,s.sprintf)(/* translators: %d: Number of results. */ /* translators: %d: Number of results. */
+(0,s.__)("%d results","vmfa-ai-organizer"),c.total)}),(0,t.jsx)(r.Button,{variant:"secondary",onClick:()=>d(o-1),disabled:o<=1,children:(0,s.__)("Previous","vmfa-ai-organizer")}),(0,t.jsx)("span",{className:"vmfa-preview-page",children:(0,s.sprintf)(/* translators: 1: Current page, 2: Total pages. */ /* translators: 1: Current page, 2: Total pages. */
+(0,s.__)("Page %1$d of %2$d","vmfa-ai-organizer"),o,u)}),(0,t.jsx)(r.Button,{variant:"secondary",onClick:()=>d(o+1),disabled:o>=u,children:(0,s.__)("Next","vmfa-ai-organizer")})]})]})})}function A({refreshKey:e}){const[n,l]=(0,a.useState)([]),[o,d]=(0,a.useState)(!0),[c,m]=(0,a.useState)(null),[v,f]=(0,a.useState)(null);return(0,a.useEffect)(()=>{i()({path:"/vmfa/v1/history",method:"GET"}).then(e=>l(e.runs||[])).catch(()=>{}).finally(()=>d(!1))},[e]),o?null:(0,t.jsxs)(r.Card,{className:"vmfa-history-panel",children:[(0,t.jsx)(r.CardHeader,{children:(0,t.jsx)("h3",{children:(0,s.__)("History","vmfa-ai-organizer")})}),(0,t.jsxs)(r.CardBody,{children:[c&&(0,t.jsx)(r.Notice,{status:c.type,isDismissible:!0,onRemove:()=>m(null),children:c.message}),0===n.length?(0,t.jsx)("p",{className:"vmfa-history-empty",children:(0,s.__)("No scans have finished yet.","vmfa-ai-organizer")}):(0,t.jsxs)("table",{className:"vmfa-history-table",children:[(0,t.jsx)("thead",{children:(0,t.jsxs)("tr",{children:[(0,t.jsx)("th",{children:(0,s.__)("Started","vmfa-ai-organizer")}),(0,t.jsx)("th",{children:(0,s.__)("Mode","vmfa-ai-organizer")}),(0,t.jsx)("th",{children:(0,s.__)("Provider","vmfa-ai-organizer")}),(0,t.jsx)("th",{children:(0,s.__)("Started by","vmfa-ai-organizer")}),(0,t.jsx)("th",{children:(0,s.__)("Status","vmfa-ai-organizer")}),(0,t.jsx)("th",{children:(0,s.__)("Processed / Applied / Failed","vmfa-ai-organizer")}),(0,t.jsx)("th",{children:(0,t.jsx)("span",{className:"screen-reader-text",children:(0,s.__)("Actions","vmfa-ai-organizer")})})]})}),(0,t.jsx)("tbody",{children:n.map(e=>{return(0,t.jsxs)("tr",{children:[(0,t.jsxs)("td",{children:[F(e.started_at),(0,t.jsx)("span",{className:"vmfa-history-ended",children:(0,s.sprintf)(/* translators: %s: Date the run ended. */ /* translators: %s: Date the run ended. */
+(0,s.__)("Ended %s","vmfa-ai-organizer"),F(e.completed_at))})]}),(0,t.jsxs)("td",{children:[R(e.mode),e.dry_run&&(0,t.jsx)("span",{className:"vmfa-history-badge",children:(0,s.__)("Preview","vmfa-ai-organizer")})]}),(0,t.jsx)("td",{children:e.model?`${e.provider} / ${e.model}`:e.provider||"-"}),(0,t.jsx)("td",{children:e.user_name||"—"}),(0,t.jsx)("td",{children:(a=e.status,{completed:(0,s.__)("Completed","vmfa-ai-organizer"),cancelled:(0,s.__)("Cancelled","vmfa-ai-organizer"),failed:(0,s.__)("Failed","vmfa-ai-organizer")}[a]||a)}),(0,t.jsxs)("td",{children:[e.processed," / ",e.applied," /"," ",e.failed]}),(0,t.jsxs)("td",{className:"vmfa-history-actions",children:[(0,t.jsx)(r.Button,{variant:"secondary",onClick:()=>f(e),disabled:0===e.result_count,children:(0,s.__)("View results","vmfa-ai-organizer")}),(0,t.jsx)(r.Button,{variant:"link",isDestructive:!0,onClick:()=>(async e=>{m(null);try{await i()({path:`/vmfa/v1/history/${e}`,method:"DELETE"}),l(a=>a.filter(a=>a.id!==e))}catch(e){m({type:"error",message:e.message||(0,s.__)("Failed to delete run.","vmfa-ai-organizer")})}})(e.id),children:(0,s.__)("Delete","vmfa-ai-organizer")})]})]},e.id);var a})})]}),v&&(0,t.jsx)(E,{run:v,onClose:()=>f(null)})]})]})}function P(e){return"create"===e.action?e.new_folder_path||"":e.folder_name||`#${e.folder_id}`}function O({refreshKey:e,onChange:n}){const[o,d]=(0,a.useState)([]),[c,m]=(0,a.useState)([]),[v,f]=(0,a.useState)(new Set),[h,u]=(0,a.useState)({}),[_,g]=(0,a.useState)(!1),[p,x]=(0,a.useState)(null);(0,a.useEffect)(()=>{i()({path:"/vmfa/v1/review",method:"GET"}).then(e=>d(e.items||[])).catch(()=>{})},[e]);const j=o.length>0;(0,a.useEffect)(()=>{j&&i()({path:"/vmfa/v1/folders",method:"GET"}).then(e=>m(e.folders||[])).catch(()=>{})},[j]);const z=(e,a)=>{const r=new Set(v);e.forEach(e=>a?r.add(e):r.delete(e)),f(r)};if(!j&&!p)return null;const y=o.map(e=>e.attachment_id),b=j&&v.size===o.length;return(0,t.jsxs)(r.Card,{className:"vmfa-review-panel",children:[(0,t.jsx)(r.CardHeader,{children:(0,t.jsx)("h3",{children:(0,s.sprintf)(/* translators: %d: Number of suggestions waiting for review. */ /* translators: %d: Number of suggestions waiting for review. */
+(0,s.__)("Needs review (%d)","vmfa-ai-organizer"),o.length)})}),(0,t.jsxs)(r.CardBody,{children:[p&&(0,t.jsx)(r.Notice,{status:p.type,isDismissible:!0,onRemove:()=>x(null),children:p.message}),j&&(0,t.jsxs)(t.Fragment,{children:[(0,t.jsx)("p",{className:"description",children:(0,s.__)("These suggestions were not confident enough to apply automatically.","vmfa-ai-organizer")}),(0,t.jsxs)("table",{className:"vmfa-review-table",children:[(0,t.jsx)("thead",{children:(0,t.jsxs)("tr",{children:[(0,t.jsx)("th",{children:(0,t.jsx)(r.CheckboxControl,{__nextHasNoMarginBottom:!0,"aria-label":(0,s.__)("Select all","vmfa-ai-organizer"),checked:b,onChange:e=>z(y,e)})}),(0,t.jsx)("th",{children:(0,s.__)("File","vmfa-ai-organizer")}),(0,t.jsx)("th",{children:(0,s.__)("Folder","vmfa-ai-organizer")}),(0,t.jsx)("th",{children:(0,s.__)("Confidence","vmfa-ai-organizer")}),(0,t.jsx)("th",{children:(0,s.__)("Reason","vmfa-ai-organizer")}),(0,t.jsx)("th",{children:(0,s.__)("Source","vmfa-ai-organizer")})]})}),(0,t.jsx)("tbody",{children:o.map(e=>{return(0,t.jsxs)("tr",{children:[(0,t.jsx)("td",{children:(0,t.jsx)(r.CheckboxControl,{__nextHasNoMarginBottom:!0,"aria-label":(0,s.sprintf)(/* translators: %d: Attachment ID. */ /* translators: %d: Attachment ID. */
+(0,s.__)("Select #%d","vmfa-ai-organizer"),e.attachment_id),checked:v.has(e.attachment_id),onChange:a=>z([e.attachment_id],a)})}),(0,t.jsxs)("td",{className:"vmfa-preview-file",children:[(0,t.jsx)(l,{result:e}),(0,t.jsx)("span",{className:"vmfa-preview-filename",children:e.filename||`#${e.attachment_id}`})]}),(0,t.jsx)("td",{children:(0,t.jsx)(r.SelectControl,{__nextHasNoMarginBottom:!0,hideLabelFromVision:!0,id:`vmfa-review-target-${e.attachment_id}`,label:(0,s.sprintf)(/* translators: %d: Attachment ID. */ /* translators: %d: Attachment ID. */
+(0,s.__)("Target folder for #%d","vmfa-ai-organizer"),e.attachment_id),value:h[e.attachment_id]||"",options:[{label:(0,s.sprintf)(/* translators: %s: Suggested folder path. */ /* translators: %s: Suggested folder path. */
+(0,s.__)("%s (suggested)","vmfa-ai-organizer"),P(e)),value:""},...c.map(e=>({label:e.path,value:String(e.id)}))],onChange:a=>u({...h,[e.attachment_id]:a})})}),(0,t.jsxs)("td",{children:[Math.round(100*(e.confidence||0)),"%"]}),(0,t.jsx)("td",{children:e.reason}),(0,t.jsx)("td",{children:(a=e.source,{scan:(0,s.__)("Scan","vmfa-ai-organizer"),upload:(0,s.__)("Upload","vmfa-ai-organizer")}[a]||a)})]},e.attachment_id);var a})})]}),(0,t.jsxs)("div",{className:"vmfa-review-actions",children:[(0,t.jsx)(r.Button,{variant:"primary",onClick:async()=>{const e=[...v];g(!0),x(null);try{const a=await i()({path:"/vmfa/v1/review/approve",method:"POST",data:{items:e.map(e=>h[e]?{attachment_id:e,folder_id:Number(h[e])}:{attachment_id:e})}}),r=await i()({path:"/vmfa/v1/review",method:"GET"});d(r.items||[]),f(new Set),x({type:a.failed>0?"warning":"success",message:a.message}),n?.()}catch(e){x({type:"error",message:e.message||(0,s.__)("Failed to approve suggestions.","vmfa-ai-organizer")})}finally{g(!1)}},isBusy:_,disabled:_||0===v.size,children:(0,s.sprintf)(/* translators: %d: Number of selected suggestions. */ /* translators: %d: Number of selected suggestions. */
+(0,s.__)("Approve Selected (%d)","vmfa-ai-organizer"),v.size)}),(0,t.jsx)(r.Button,{variant:"secondary",isDestructive:!0,onClick:async()=>{const e=[...v];g(!0),x(null);try{const a=await i()({path:"/vmfa/v1/review/reject",method:"POST",data:{ids:e}});(e=>{d(a=>a.filter(a=>!e.includes(a.attachment_id))),f(new Set)})(e),x({type:"success",message:a.message}),n?.()}catch(e){x({type:"error",message:e.message||(0,s.__)("Failed to reject suggestions.","vmfa-ai-organizer")})}finally{g(!1)}},disabled:_||0===v.size,children:(0,s.__)("Reject Selected","vmfa-ai-organizer")})]})]})]})]})}const H={date_from:"",date_to:"",mime_type:"",author:"",folder:""};function D(e){return Object.fromEntries(Object.entries(e).filter(([,e])=>""!==e))}function L({mode:e,scope:n,onChange:l,onCount:o,disabled:d,idPrefix:c="vmfa-scope"}){const[m,v]=(0,a.useState)([]),[f,h]=(0,a.useState)([]),[u,_]=(0,a.useState)(null),[g,p]=(0,a.useState)(null);(0,a.useEffect)(()=>{i()({path:"/vmfa/v1/folders",method:"GET"}).then(e=>v(e.folders||[])).catch(()=>{}),i()({path:"/wp/v2/users?per_page=100&_fields=id,name",method:"GET"}).then(e=>h(e||[])).catch(()=>{})},[]);const x=`/vmfa/v1/scan/count?${new URLSearchParams({mode:e,...D(n)}).toString()}`;(0,a.useEffect)(()=>{let e=!1;_(null),p(null),o&&o(null);const a=setTimeout(()=>{i()({path:x,method:"GET"}).then(a=>{e||(_(a.count),o&&o(a.count))}).catch(a=>{e||p(a.message||(0,s.__)("Failed to count matching media.","vmfa-ai-organizer"))})},300);return()=>{e=!0,clearTimeout(a)}},[x,o]);const j=(e,a)=>{l({...n,[e]:a})},z=[{label:(0,s.__)("Any type","vmfa-ai-organizer"),value:""},{label:(0,s.__)("All images","vmfa-ai-organizer"),value:"image"},{label:"JPEG",value:"image/jpeg"},{label:"PNG",value:"image/png"},{label:"GIF",value:"image/gif"},{label:"WebP",value:"image/webp"},{label:(0,s.__)("Video","vmfa-ai-organizer"),value:"video"},{label:(0,s.__)("Audio","vmfa-ai-organizer"),value:"audio"},{label:"PDF",value:"application/pdf"}],y=[{label:(0,s.__)("Any author","vmfa-ai-organizer"),value:""},...f.map(e=>({label:e.name,value:String(e.id)}))],b=[{label:(0,s.__)("Any folder","vmfa-ai-organizer"),value:""},...m.map(e=>({label:e.path,value:String(e.id)}))];return(0,t.jsxs)("div",{className:"vmfa-scan-scope",children:[(0,t.jsx)("h4",{children:(0,s.__)("Scope","vmfa-ai-organizer")}),(0,t.jsxs)("div",{className:"vmfa-scan-scope-fields",children:[(0,t.jsx)(r.TextControl,{__nextHasNoMarginBottom:!0,id:`${c}-date-from`,type:"date",label:(0,s.__)("Uploaded from","vmfa-ai-organizer"),value:n.date_from,onChange:e=>j("date_from",e),disabled:d}),(0,t.jsx)(r.TextControl,{__nextHasNoMarginBottom:!0,id:`${c}-date-to`,type:"date",label:(0,s.__)("Uploaded to","vmfa-ai-organizer"),value:n.date_to,onChange:e=>j("date_to",e),disabled:d}),(0,t.jsx)(r.SelectControl,{__nextHasNoMarginBottom:!0,id:`${c}-mime-type`,label:(0,s.__)("File type","vmfa-ai-organizer"),value:n.mime_type,options:z,onChange:e=>j("mime_type",e),disabled:d}),(0,t.jsx)(r.SelectControl,{__nextHasNoMarginBottom:!0,id:`${c}-author`,label:(0,s.__)("Author","vmfa-ai-organizer"),value:n.author,options:y,onChange:e=>j("author",e),disabled:d}),(0,t.jsx)(r.SelectControl,{__nextHasNoMarginBottom:!0,id:`${c}-folder`,label:(0,s.__)("Source folder","vmfa-ai-organizer"),value:n.folder,options:b,onChange:e=>j("folder",e),disabled:d})]}),(0,t.jsxs)("p",{className:"vmfa-scan-scope-count",children:[g&&(0,t.jsx)("span",{className:"vmfa-preview-error",children:g}),!g&&null===u&&(0,t.jsx)(r.Spinner,{}),!g&&null!==u&&(0,s.sprintf)(/* translators: %d: Number of media files the scan would process. */ /* translators: %d: Number of media files the scan would process. */
+(0,s._n)("%d media file matches.","%d media files match.",u,"vmfa-ai-organizer"),u)]})]})}const I={mode:"organize_unassigned",dry_run:!1,frequency:"daily",time:"02:00",day:"0",cron:"",window_start:"",window_end:""};function U(e){return e?new Date(1e3*e).toLocaleString():"-"}function G(){return[(0,s.__)("Sunday","vmfa-ai-organizer"),(0,s.__)("Monday","vmfa-ai-organizer"),(0,s.__)("Tuesday","vmfa-ai-organizer"),(0,s.__)("Wednesday","vmfa-ai-organizer"),(0,s.__)("Thursday","vmfa-ai-organizer"),(0,s.__)("Friday","vmfa-ai-organizer"),(0,s.__)("Saturday","vmfa-ai-organizer")]}function K(e){switch(e){case"organize_unassigned":return(0,s.__)("Organize Unassigned","vmfa-ai-organizer");case"reanalyze_all":return(0,s.__)("Re-analyze All","vmfa-ai-organizer");case"reorganize_all":return(0,s.__)("Reorganize All (Reset & Rebuild)","vmfa-ai-organizer");default:return e}}function W(e){return"custom"===e.frequency?(0,s.sprintf)(/* translators: %s: Cron expression. */ /* translators: %s: Cron expression. */
+(0,s.__)("Cron: %s (UTC)","vmfa-ai-organizer"),e.cron):"weekly"===e.frequency?(0,s.sprintf)(/* translators: 1: Day of the week, 2: Time of day. */ /* translators: 1: Day of the week, 2: Time of day. */
+(0,s.__)("Weekly on %1$s at %2$s","vmfa-ai-organizer"),G()[e.day]||"",e.time):(0,s.sprintf)(/* translators: %s: Time of day. */ /* translators: %s: Time of day. */
+(0,s.__)("Daily at %s","vmfa-ai-organizer"),e.time)}function q({refreshKey:e}){const[n,l]=(0,a.useState)([]),[o,d]=(0,a.useState)(!1),[c,m]=(0,a.useState)(null),[v,f]=(0,a.useState)(!1),[h,u]=(0,a.useState)(I),[_,g]=(0,a.useState)(H),p=async()=>{try{const e=await i()({path:"/vmfa/v1/schedules",method:"GET"});l(e.schedules||[])}catch(e){}};(0,a.useEffect)(()=>{p()},[e]);const x=(e,a)=>{u({...h,[e]:a})},j=async(e,a)=>{d(!0),m(null);try{const a=await i()(e);return m({type:"success",message:a.message}),await p(),!0}catch(e){return m({type:"error",message:e.message||a}),!1}finally{d(!1)}};return(0,t.jsxs)(r.Card,{className:"vmfa-schedule-panel",children:[(0,t.jsx)(r.CardHeader,{children:(0,t.jsx)("h3",{children:(0,s.__)("Scheduled Scans","vmfa-ai-organizer")})}),(0,t.jsxs)(r.CardBody,{children:[c&&(0,t.jsx)(r.Notice,{status:c.type,isDismissible:!0,onRemove:()=>m(null),children:c.message}),0===n.length?(0,t.jsx)("p",{className:"description",children:(0,s.__)("No scheduled scans.","vmfa-ai-organizer")}):(0,t.jsxs)("table",{className:"vmfa-schedule-table",children:[(0,t.jsx)("thead",{children:(0,t.jsxs)("tr",{children:[(0,t.jsx)("th",{children:(0,s.__)("Scan","vmfa-ai-organizer")}),(0,t.jsx)("th",{children:(0,s.__)("Runs","vmfa-ai-organizer")}),(0,t.jsx)("th",{children:(0,s.__)("Next run","vmfa-ai-organizer")}),(0,t.jsx)("th",{children:(0,s.__)("Last run","vmfa-ai-organizer")}),(0,t.jsx)("th",{children:(0,s.__)("Actions","vmfa-ai-organizer")})]})}),(0,t.jsx)("tbody",{children:n.map(e=>(0,t.jsxs)("tr",{children:[(0,t.jsxs)("td",{children:[K(e.mode),e.dry_run&&(0,t.jsx)("span",{className:"vmfa-badge vmfa-badge-info",children:(0,s.__)("Preview","vmfa-ai-organizer")})]}),(0,t.jsxs)("td",{children:[W(e),e.window_start&&(0,t.jsx)("div",{className:"description",children:(0,s.sprintf)(/* translators: 1: Window start time, 2: Window end time. */ /* translators: 1: Window start time, 2: Window end time. */
+(0,s.__)("Only between %1$s and %2$s","vmfa-ai-organizer"),e.window_start,e.window_end)})]}),(0,t.jsx)("td",{children:e.enabled?U(e.next_run):(0,s.__)("Disabled","vmfa-ai-organizer")}),(0,t.jsx)("td",{children:e.last_run?(0,t.jsxs)(t.Fragment,{children:[U(e.last_run.at),(0,t.jsx)("div",{className:e.last_run.success?"description":"vmfa-preview-error",children:e.last_run.message})]}):(0,s.__)("Never","vmfa-ai-organizer")}),(0,t.jsxs)("td",{children:[(0,t.jsx)(r.Button,{variant:"secondary",onClick:()=>(e=>{j({path:`/vmfa/v1/schedules/${e.id}`,method:"PUT",data:{enabled:!e.enabled}},(0,s.__)("Failed to save schedule.","vmfa-ai-organizer"))})(e),disabled:o,children:e.enabled?(0,s.__)("Disable","vmfa-ai-organizer"):(0,s.__)("Enable","vmfa-ai-organizer")}),(0,t.jsx)(r.Button,{variant:"tertiary",isDestructive:!0,onClick:()=>(e=>{j({path:`/vmfa/v1/schedules/${e.id}`,method:"DELETE"},(0,s.__)("Failed to delete schedule.","vmfa-ai-organizer"))})(e),disabled:o,children:(0,s.__)("Delete","vmfa-ai-organizer")})]})]},e.id))})]}),!v&&(0,t.jsx)(r.Button,{variant:"secondary",onClick:()=>f(!0),disabled:o,children:(0,s.__)("Add Schedule","vmfa-ai-organizer")}),v&&(0,t.jsxs)("div",{className:"vmfa-schedule-form",children:[(0,t.jsxs)("div",{className:"vmfa-schedule-fields",children:[(0,t.jsx)(r.SelectControl,{__nextHasNoMarginBottom:!0,id:"vmfa-schedule-mode",label:(0,s.__)("Scan mode","vmfa-ai-organizer"),value:h.mode,options:["organize_unassigned","reanalyze_all","reorganize_all"].map(e=>({label:K(e),value:e})),onChange:e=>u({...h,mode:e,dry_run:"reorganize_all"===e||h.dry_run})}),(0,t.jsx)(r.SelectControl,{__nextHasNoMarginBottom:!0,id:"vmfa-schedule-frequency",label:(0,s.__)("Frequency","vmfa-ai-organizer"),value:h.frequency,options:[{label:(0,s.__)("Daily","vmfa-ai-organizer"),value:"daily"},{label:(0,s.__)("Weekly","vmfa-ai-organizer"),value:"weekly"},{label:(0,s.__)("Custom (cron)","vmfa-ai-organizer"),value:"custom"}],onChange:e=>x("frequency",e)}),"weekly"===h.frequency&&(0,t.jsx)(r.SelectControl,{__nextHasNoMarginBottom:!0,id:"vmfa-schedule-day",label:(0,s.__)("Day","vmfa-ai-organizer"),value:h.day,options:G().map((e,a)=>({label:e,value:String(a)})),onChange:e=>x("day",e)}),"custom"===h.frequency?(0,t.jsx)(r.TextControl,{__nextHasNoMarginBottom:!0,id:"vmfa-schedule-cron",label:(0,s.__)("Cron expression (UTC)","vmfa-ai-organizer"),placeholder:"0 3 * * 1-5",value:h.cron,onChange:e=>x("cron",e)}):(0,t.jsx)(r.TextControl,{__nextHasNoMarginBottom:!0,id:"vmfa-schedule-time",type:"time",label:(0,s.__)("Time","vmfa-ai-organizer"),value:h.time,onChange:e=>x("time",e)}),(0,t.jsx)(r.TextControl,{__nextHasNoMarginBottom:!0,id:"vmfa-schedule-window-start",type:"time",label:(0,s.__)("Window start","vmfa-ai-organizer"),value:h.window_start,onChange:e=>x("window_start",e)}),(0,t.jsx)(r.TextControl,{__nextHasNoMarginBottom:!0,id:"vmfa-schedule-window-end",type:"time",label:(0,s.__)("Window end","vmfa-ai-organizer"),value:h.window_end,onChange:e=>x("window_end",e)})]}),(0,t.jsx)("p",{className:"description",children:(0,s.__)("With a time window, runs only start inside it and a long scan pauses until the window opens again.","vmfa-ai-organizer")}),"reorganize_all"!==h.mode&&(0,t.jsx)(L,{idPrefix:"vmfa-schedule-scope",mode:h.mode,scope:_,onChange:g,disabled:o}),(0,t.jsx)(r.CheckboxControl,{__nextHasNoMarginBottom:!0,label:(0,s.__)("Preview mode (dry run)","vmfa-ai-organizer"),checked:h.dry_run,onChange:e=>x("dry_run",e),disabled:"reorganize_all"===h.mode,help:"reorganize_all"===h.mode?(0,s.__)("Scheduled Reorganize All runs always use preview mode.","vmfa-ai-organizer"):void 0}),(0,t.jsxs)("div",{className:"vmfa-schedule-actions",children:[(0,t.jsx)(r.Button,{variant:"primary",onClick:async()=>{await j({path:"/vmfa/v1/schedules",method:"POST",data:{...h,day:Number(h.day),..."reorganize_all"===h.mode?{}:D(_)}},(0,s.__)("Failed to save schedule.","vmfa-ai-organizer"))&&(f(!1),u(I),g(H))},isBusy:o,disabled:o,children:(0,s.__)("Save Schedule","vmfa-ai-organizer")}),(0,t.jsx)(r.Button,{variant:"tertiary",onClick:()=>f(!1),disabled:o,children:(0,s.__)("Cancel","vmfa-ai-organizer")})]})]})]})]})}function V(e){return e.error?null:e.folder?e.folder.trim().toLowerCase():`(${e.action})`}function Y(e){return`${Math.round(100*e)}%`}function J(){const[e,n]=(0,a.useState)(null),[o,d]=(0,a.useState)([]),[c,m]=(0,a.useState)(5),[v,f]=(0,a.useState)([]),[h,u]=(0,a.useState)([]),[_,g]=(0,a.useState)(null),[p,x]=(0,a.useState)(null);(0,a.useEffect)(()=>{i()({path:"/vmfa/v1/compare/providers",method:"GET"}).then(e=>{const a=e.providers||{};n(a),d(Object.keys(a).slice(0,2))}).catch(()=>n({}))},[]);const j=Object.keys(e||{});if(null===e)return null;if(j.length<2)return(0,t.jsxs)(r.Card,{className:"vmfa-compare-panel",children:[(0,t.jsx)(r.CardHeader,{children:(0,t.jsx)("h3",{children:(0,s.__)("Compare Providers","vmfa-ai-organizer")})}),(0,t.jsx)(r.CardBody,{children:(0,t.jsx)("p",{className:"vmfa-compare-empty",children:(0,s.__)("Configure at least two AI providers to compare them.","vmfa-ai-organizer")})})]});const z=v.length>0?function(e,a){const r=e.length,s=e.map(e=>Object.fromEntries(e.results.map(e=>[e.provider,V(e)]))),n=s.filter(e=>{const r=a.map(a=>e[a]);return null!==r[0]&&r.every(e=>e===r[0])}).length,i=[];a.forEach((e,n)=>{a.slice(n+1).forEach(a=>{const n=s.filter(r=>null!==r[e]&&r[e]===r[a]).length;i.push({providers:[e,a],rate:r?n/r:0})})});const t=Object.fromEntries(a.map(a=>{const r=e.flatMap(e=>e.results).filter(e=>e.provider===a),s=r.filter(e=>!e.error),n=e=>s.length?s.reduce((a,r)=>a+(r[e]||0),0)/s.length:0;return[a,{latency:Math.round(n("latency_ms")),confidence:n("confidence"),failed:r.length-s.length}]}));return{rate:r?n/r:0,pairs:i,providers:t}}(v,h):null;return(0,t.jsxs)(r.Card,{className:"vmfa-compare-panel",children:[(0,t.jsx)(r.CardHeader,{children:(0,t.jsx)("h3",{children:(0,s.__)("Compare Providers","vmfa-ai-organizer")})}),(0,t.jsxs)(r.CardBody,{children:[(0,t.jsx)("p",{className:"description",children:(0,s.__)("Run the same random images through several providers to see which one sorts your library best. Nothing is moved.","vmfa-ai-organizer")}),p&&(0,t.jsx)(r.Notice,{status:p.type,isDismissible:!0,onRemove:()=>x(null),children:p.message}),(0,t.jsxs)("fieldset",{className:"vmfa-compare-providers",children:[(0,t.jsx)("legend",{children:(0,s.__)("Providers","vmfa-ai-organizer")}),j.map(a=>(0,t.jsx)(r.CheckboxControl,{id:`vmfa-compare-${a}`,label:e[a],checked:o.includes(a),onChange:e=>((e,a)=>{d(r=>a?j.filter(a=>a===e||r.includes(a)):r.filter(a=>a!==e))})(a,e),disabled:null!==_,__nextHasNoMarginBottom:!0},a))]}),(0,t.jsxs)("div",{className:"vmfa-compare-controls",children:[(0,t.jsx)(r.TextControl,{id:"vmfa-compare-sample-size",label:(0,s.__)("Sample images","vmfa-ai-organizer"),type:"number",min:1,max:20,value:c,onChange:e=>m(Math.min(20,Math.max(1,parseInt(e,10)||1))),disabled:null!==_,__nextHasNoMarginBottom:!0}),(0,t.jsx)(r.Button,{variant:"primary",onClick:async()=>{x(null),f([]),u(o);try{const e=(await i()({path:`/vmfa/v1/compare/sample?count=${c}`,method:"GET"})).items||[];if(0===e.length)return void x({type:"warning",message:(0,s.__)("The media library has no images to compare.","vmfa-ai-organizer")});for(let a=0;a<e.length;a++){g({current:a+1,total:e.length});const r=await i()({path:"/vmfa/v1/compare",method:"POST",data:{attachment_id:e[a].id,providers:o}});f(e=>[...e,r])}}catch(e){x({type:"error",message:e.message||(0,s.__)("Failed to compare providers.","vmfa-ai-organizer")})}finally{g(null)}},isBusy:null!==_,disabled:null!==_||o.length<2,children:(0,s.__)("Compare","vmfa-ai-organizer")})]}),_&&(0,t.jsx)("p",{className:"vmfa-compare-progress",children:(0,s.sprintf)(/* translators: 1: Current image, 2: Number of images. */ /* translators: 1: Current image, 2: Number of images. */
+(0,s.__)("Comparing image %1$d of %2$d…","vmfa-ai-organizer"),_.current,_.total)}),z&&(0,t.jsxs)("div",{className:"vmfa-compare-summary",children:[(0,t.jsx)("p",{children:(0,t.jsx)("strong",{children:(0,s.sprintf)(/* translators: 1: Agreement rate, e.g. "60%", 2: Number of images. */ /* translators: 1: Agreement rate, e.g. "60%", 2: Number of images. */
+(0,s.__)("All providers agreed on %1$s of %2$d images.","vmfa-ai-organizer"),Y(z.rate),v.length)})}),z.pairs.length>1&&(0,t.jsx)("ul",{children:z.pairs.map(a=>(0,t.jsx)("li",{children:(0,s.sprintf)(/* translators: 1: Provider, 2: Provider, 3: Agreement rate, e.g. "60%". */ /* translators: 1: Provider, 2: Provider, 3: Agreement rate, e.g. "60%". */
+(0,s.__)("%1$s and %2$s: %3$s","vmfa-ai-organizer"),e[a.providers[0]],e[a.providers[1]],Y(a.rate))},a.providers.join(":")))}),(0,t.jsxs)("table",{className:"vmfa-compare-stats",children:[(0,t.jsx)("thead",{children:(0,t.jsxs)("tr",{children:[(0,t.jsx)("th",{children:(0,s.__)("Provider","vmfa-ai-organizer")}),(0,t.jsx)("th",{children:(0,s.__)("Average latency","vmfa-ai-organizer")}),(0,t.jsx)("th",{children:(0,s.__)("Average confidence","vmfa-ai-organizer")}),(0,t.jsx)("th",{children:(0,s.__)("Errors","vmfa-ai-organizer")})]})}),(0,t.jsx)("tbody",{children:h.map(a=>(0,t.jsxs)("tr",{children:[(0,t.jsx)("td",{children:e[a]}),(0,t.jsx)("td",{children:(0,s.sprintf)(/* translators: %d: Milliseconds. */ /* translators: %d: Milliseconds. */
+(0,s.__)("%d ms","vmfa-ai-organizer"),z.providers[a].latency)}),(0,t.jsx)("td",{children:Y(z.providers[a].confidence)}),(0,t.jsx)("td",{children:z.providers[a].failed})]},a))})]})]}),v.length>0&&(0,t.jsxs)("table",{className:"vmfa-compare-table",children:[(0,t.jsx)("thead",{children:(0,t.jsxs)("tr",{children:[(0,t.jsx)("th",{children:(0,s.__)("Image","vmfa-ai-organizer")}),(0,t.jsx)("th",{children:(0,s.__)("Provider","vmfa-ai-organizer")}),(0,t.jsx)("th",{children:(0,s.__)("Folder","vmfa-ai-organizer")}),(0,t.jsx)("th",{children:(0,s.__)("Confidence","vmfa-ai-organizer")}),(0,t.jsx)("th",{children:(0,s.__)("Latency","vmfa-ai-organizer")}),(0,t.jsx)("th",{children:(0,s.__)("Reason","vmfa-ai-organizer")})]})}),(0,t.jsx)("tbody",{children:v.map(e=>{const a=e.results.map(V),r=null!==a[0]&&a.every(e=>e===a[0]);return e.results.map((a,n)=>(0,t.jsxs)("tr",{className:r?"is-agreed":"is-disagreed",children:[0===n&&(0,t.jsxs)("td",{rowSpan:e.results.length,className:"vmfa-preview-file",children:[(0,t.jsx)(l,{result:e}),(0,t.jsx)("span",{className:"vmfa-preview-filename",children:e.filename||`#${e.attachment_id}`})]}),(0,t.jsxs)("td",{children:[a.label,a.model&&(0,t.jsx)("span",{className:"vmfa-compare-model",children:a.model})]}),(0,t.jsx)("td",{children:a.folder||(a.error?"-":`(${a.action})`)}),(0,t.jsx)("td",{children:Y(a.confidence)}),(0,t.jsx)("td",{children:(0,s.sprintf)(/* translators: %d: Milliseconds. */ /* translators: %d: Milliseconds. */
+(0,s.__)("%d ms","vmfa-ai-organizer"),a.latency_ms)}),(0,t.jsx)("td",{children:a.error?(0,t.jsx)("code",{children:a.error}):a.reason})]},`${e.attachment_id}:${a.provider}`))})})]})]})]})}const Q=".vmfaScanStatus";function X(){const[e,n]=(0,a.useState)("organize_unassigned"),[l,o]=(0,a.useState)(!0),[d,m]=(0,a.useState)(H),[v,f]=(0,a.useState)(null),[h,u]=(0,a.useState)(null),[_,g]=(0,a.useState)(!1),[p,x]=(0,a.useState)(null),{status:j,isLoading:z,error:b,startScan:w,cancelScan:N,resetScan:C,applyCachedResults:k,undoRun:B,refresh:$}=function(e=2e3){const[r,s]=(0,a.useState)({status:"idle",mode:"",dry_run:!1,total:0,processed:0,percentage:0,applied:0,failed:0,results:[],started_at:null,completed_at:null,error:null}),[n,t]=(0,a.useState)(!0),[l,o]=(0,a.useState)(null),d=(0,a.useRef)(r),c=(0,a.useCallback)(e=>{const a=function(e,a){return a.partial?{...a,partial:!1,results:[...e.results||[],...a.results||[]].slice(-100)}:a}(d.current,e),r=function(e,a){return["status","run_id","processed","cursor","applied","failed","held","error","waiting_until"].some(r=>e[r]!==a[r])}(d.current,a);return d.current=a,s(a),r},[]),m=(0,a.useCallback)(()=>{const{run_id:e,cursor:a}=d.current;return e&&"number"==typeof a?{since:a,run_id:e}:null},[]),v=(0,a.useCallback)(async()=>{const e=m();try{const a=await i()({path:e?`/vmfa/v1/scan/status?since=${e.since}&run_id=${e.run_id}`:"/vmfa/v1/scan/status",method:"GET"});return o(null),c(a)}catch(e){return o(e.message||"Failed to fetch scan status"),!1}finally{t(!1)}},[m,c]);(0,a.useEffect)(()=>{v()},[v]),(0,a.useEffect)(()=>{if("running"!==r.status)return;const a=window.wp?.heartbeat&&window.jQuery?window.wp.heartbeat:null;if(a){const e=window.jQuery(document);return e.on(`heartbeat-send${Q}`,(e,a)=>{a.vmfa_scan_status=m()||{full:1}}).on(`heartbeat-tick${Q}`,(e,r)=>{r.vmfa_scan_status&&c(r.vmfa_scan_status),a.interval("fast")}),a.interval("fast"),a.connectNow(),()=>{e.off(Q)}}let s=e,n=null,i=!1,t=!1;const l=()=>{t||document.hidden||(n=setTimeout(o,s))},o=async()=>{n=null,i=!0;const a=await v();i=!1,s=a?e:Math.min(1.5*s,15e3),l()},d=()=>{document.hidden?(clearTimeout(n),n=null):n||i||(s=e,o())};return document.addEventListener("visibilitychange",d),l(),()=>{t=!0,clearTimeout(n),document.removeEventListener("visibilitychange",d)}},[r.status,v,m,c,e]);const f=(0,a.useCallback)(async(e,a=!1,r={})=>{try{t(!0);const s=await i()({path:"/vmfa/v1/scan",method:"POST",data:{mode:e,dry_run:a,...r}});return await v(),s}catch(e){throw o(e.message||"Failed to start scan"),e}finally{t(!1)}},[v]),h=(0,a.useCallback)(async()=>{try{t(!0);const e=await i()({path:"/vmfa/v1/scan/cancel",method:"POST"});return await v(),e}catch(e){throw o(e.message||"Failed to cancel scan"),e}finally{t(!1)}},[v]),u=(0,a.useCallback)(async()=>{try{t(!0);const e=await i()({path:"/vmfa/v1/scan/reset",method:"POST"});return await v(),e}catch(e){throw o(e.message||"Failed to reset scan"),e}finally{t(!1)}},[v]),_=(0,a.useCallback)(async(e,a=null)=>{try{t(!0);const r=await i()({path:"/vmfa/v1/scan/apply-cached",method:"POST",data:{...a,mode:e}});return await v(),r}catch(e){throw o(e.message||"Failed to apply cached results"),e}finally{t(!1)}},[v]),g=(0,a.useCallback)(async e=>{try{t(!0);const a=await i()({path:"/vmfa/v1/scan/undo",method:"POST",data:{run_id:e}});return await v(),a}catch(e){throw o(e.message||"Failed to undo run"),e}finally{t(!1)}},[v]),p=(0,a.useCallback)(async()=>{try{return(await i()({path:"/vmfa/v1/scan/cached-count",method:"GET"})).count}catch(e){return o(e.message||"Failed to get cached count"),0}},[]);return{status:r,isLoading:n,error:l,startScan:f,cancelScan:h,resetScan:u,applyCachedResults:_,undoRun:g,getCachedCount:p,refresh:v}}(),M=(0,a.useCallback)(async()=>{try{const e=await i()({path:"/vmfa/v1/stats",method:"GET"});u(e)}catch(e){}},[]);(0,a.useEffect)(()=>{M()},[M]),(0,a.useEffect)(()=>{"completed"===j.status&&j.dry_run&&g(!0)},[j.status,j.dry_run]);const F=async()=>{try{await C(),await M(),x(null)}catch(e){x({type:"error",message:e.message||(0,s.__)("Failed to reset.","vmfa-ai-organizer")})}},R="running"===j.status,E="completed"===j.status,P="cancelled"===j.status,I="failed"===j.status,U=[{label:(0,s.__)("Organize Unassigned","vmfa-ai-organizer"),value:"organize_unassigned"},{label:(0,s.__)("Re-analyze All","vmfa-ai-organizer"),value:"reanalyze_all"},{label:(0,s.__)("Reorganize All (Reset & Rebuild)","vmfa-ai-organizer"),value:"reorganize_all"}];return(0,t.jsxs)("div",{className:"vmfa-ai-organizer-panel",children:[p&&(0,t.jsx)(r.Notice,{status:p.type,isDismissible:!0,onRemove:()=>x(null),children:p.message}),b&&(0,t.jsx)(r.Notice,{status:"error",isDismissible:!1,children:b}),h&&(0,t.jsxs)(r.Card,{className:"vmfa-stats-card",children:[(0,t.jsx)(r.CardHeader,{children:(0,t.jsx)("h3",{children:(0,s.__)("Media Library Statistics","vmfa-ai-organizer")})}),(0,t.jsx)(r.CardBody,{children:(0,t.jsxs)("div",{className:"vmfa-stats-grid",children:[(0,t.jsxs)("div",{className:"vmfa-stat",children:[(0,t.jsx)("span",{className:"vmfa-stat-value",children:h.total_media}),(0,t.jsx)("span",{className:"vmfa-stat-label",children:(0,s.__)("Total Media","vmfa-ai-organizer")})]}),(0,t.jsxs)("div",{className:"vmfa-stat",children:[(0,t.jsx)("span",{className:"vmfa-stat-value",children:h.assigned}),(0,t.jsx)("span",{className:"vmfa-stat-label",children:(0,s.__)("In Folders","vmfa-ai-organizer")})]}),(0,t.jsxs)("div",{className:"vmfa-stat",children:[(0,t.jsx)("span",{className:"vmfa-stat-value",children:h.unassigned}),(0,t.jsx)("span",{className:"vmfa-stat-label",children:(0,s.__)("Unassigned","vmfa-ai-organizer")})]}),(0,t.jsxs)("div",{className:"vmfa-stat",children:[(0,t.jsx)("span",{className:"vmfa-stat-value",children:h.folders}),(0,t.jsx)("span",{className:"vmfa-stat-label",children:(0,s.__)("Folders","vmfa-ai-organizer")})]})]})})]}),!R&&(0,t.jsxs)(r.Card,{className:"vmfa-scan-controls",children:[(0,t.jsx)(r.CardHeader,{children:(0,t.jsx)("h3",{children:(0,s.__)("Scan Options","vmfa-ai-organizer")})}),(0,t.jsxs)(r.CardBody,{children:[(0,t.jsx)(r.RadioControl,{label:(0,s.__)("Scan Mode","vmfa-ai-organizer"),help:ae(e),selected:e,options:U,onChange:n}),"reorganize_all"===e&&(0,t.jsx)(r.Notice,{status:"warning",isDismissible:!1,children:(0,s.__)("Warning: This will remove all existing folder assignments and reorganize from scratch. A backup will be created automatically.","vmfa-ai-organizer")}),"reorganize_all"!==e&&(0,t.jsx)(L,{mode:e,scope:d,onChange:m,onCount:f,disabled:z}),(0,t.jsx)(r.CheckboxControl,{__nextHasNoMarginBottom:!0,label:(0,s.__)("Preview mode (dry run)","vmfa-ai-organizer"),help:(0,s.__)("Show proposed changes without applying them.","vmfa-ai-organizer"),checked:l,onChange:o}),(0,t.jsxs)("div",{className:"vmfa-scan-actions",children:[(0,t.jsx)(r.Button,{variant:"primary",onClick:async()=>{try{x(null),await w(e,l,"reorganize_all"===e?{}:D(d)),x({type:"success",message:l?(0,s.__)("Preview scan started. Results will be shown when complete. You can leave this page and return later.","vmfa-ai-organizer"):(0,s.__)("Scan started. Media files are being organized. You can leave this page and return later.","vmfa-ai-organizer")})}catch(e){x({type:"error",message:e.message||(0,s.__)("Failed to start scan.","vmfa-ai-organizer")})}},disabled:z||"organize_unassigned"===e&&0===h?.unassigned||"reorganize_all"!==e&&0===v,children:l?(0,s.__)("Preview Changes","vmfa-ai-organizer"):(0,s.__)("Start Organizing","vmfa-ai-organizer")}),(0,t.jsx)(S,{onImported:async e=>{await $(),x({type:e.errors?.length?"warning":"success",message:[e.message,...ee(e.errors)].filter(Boolean).join(" ")}),g(!0)},onError:e=>{x({type:"error",message:[e.message||(0,s.__)("Failed to import results.","vmfa-ai-organizer"),...ee(e.data?.errors)].join(" ")})},disabled:z}),(E||P||I)&&(0,t.jsx)(r.Button,{variant:"secondary",onClick:F,disabled:z,children:(0,s.__)("Reset","vmfa-ai-organizer")})]})]})]}),(R||E||P||I)&&(0,t.jsx)(c,{status:j,onCancel:async()=>{try{await N(),x({type:"info",message:(0,s.__)("Scan cancelled.","vmfa-ai-organizer")})}catch(e){x({type:"error",message:e.message||(0,s.__)("Failed to cancel scan.","vmfa-ai-organizer")})}},onReset:F,onUndo:async()=>{try{const e=await B(j.run_id);await M(),x({type:e.skipped>0?"warning":"success",message:e.message})}catch(e){x({type:"error",message:e.message||(0,s.__)("Failed to undo run.","vmfa-ai-organizer")})}},isLoading:z}),(0,t.jsx)(O,{refreshKey:`${j.run_id}:${j.status}`,onChange:M}),(0,t.jsx)(q,{refreshKey:`${j.run_id}:${j.status}`}),(0,t.jsx)(T,{onRestore:()=>{M(),$()}}),(0,t.jsx)(A,{refreshKey:`${j.run_id}:${j.status}`}),(0,t.jsx)(J,{}),_&&(0,t.jsx)(y,{onClose:()=>g(!1),onApply:async a=>{g(!1);try{x({type:"info",message:(0,s.__)("Applying cached preview results…","vmfa-ai-organizer")});const r=await k("import"===j.source?j.mode:e,a);await M(),x({type:"success",message:r.message||(0,s.__)("Preview results applied successfully.","vmfa-ai-organizer")})}catch(e){x({type:"error",message:e.message||(0,s.__)("Failed to apply preview results.","vmfa-ai-organizer")})}}})]})}const Z=5;function ee(e=[]){const a=e.slice(0,Z);return e.length>a.length&&a.push((0,s.sprintf)(/* translators: %d: Number of further invalid rows. */ /* translators: %d: Number of further invalid rows. */
+(0,s.__)("And %d more.","vmfa-ai-organizer"),e.length-a.length)),a}function ae(e){switch(e){case"organize_unassigned":return(0,s.__)("Only process media files that are not already in a folder.","vmfa-ai-organizer");case"reanalyze_all":return(0,s.__)("Re-analyze all media and suggest new folder assignments.","vmfa-ai-organizer");case"reorganize_all":return(0,s.__)("Remove all folders and assignments, then create a new AI-optimized structure.","vmfa-ai-organizer");default:return""}}function re({report:e}){const{result:a}=e,r=function(e){return e&&(e.new_folder_path||e.folder_path)||""}(a);return(0,t.jsxs)("div",{className:"vmfa-provider-test-report "+(e.success?"is-success":"is-error"),role:"status",children:[(0,t.jsxs)("p",{children:[e.success?"✅":"❌"," ",e.message]}),(0,t.jsxs)("ul",{children:[e.model&&(0,t.jsx)("li",{children:(0,s.sprintf)(/* translators: %s: Model name. */ /* translators: %s: Model name. */
+(0,s.__)("Model: %s","vmfa-ai-organizer"),e.model)}),void 0!==e.latency_ms&&(0,t.jsx)("li",{children:(0,s.sprintf)(/* translators: %d: Response time in milliseconds. */ /* translators: %d: Response time in milliseconds. */
+(0,s.__)("Latency: %d ms","vmfa-ai-organizer"),e.latency_ms)}),a&&(0,t.jsx)("li",{children:(0,s.sprintf)(/* translators: 1: Suggested action, 2: Confidence, e.g. "90%". */ /* translators: 1: Suggested action, 2: Confidence, e.g. "90%". */
+(0,s.__)("Action: %1$s (%2$s confidence)","vmfa-ai-organizer"),a.action,`${Math.round(100*(a.confidence||0))}%`)}),r&&(0,t.jsx)("li",{children:(0,s.sprintf)(/* translators: %s: Folder path. */ /* translators: %s: Folder path. */
+(0,s.__)("Folder: %s","vmfa-ai-organizer"),r)}),a?.reason&&(0,t.jsx)("li",{children:(0,s.sprintf)(/* translators: %s: Reason given by the provider. */ /* translators: %s: Reason given by the provider. */
+(0,s.__)("Reason: %s","vmfa-ai-organizer"),a.reason)}),a?.visual_description&&(0,t.jsx)("li",{children:(0,s.sprintf)(/* translators: %s: Image description. */ /* translators: %s: Image description. */
+(0,s.__)("Description: %s","vmfa-ai-organizer"),a.visual_description)})]}),e.error&&(0,t.jsxs)(t.Fragment,{children:[(0,t.jsx)("p",{children:(0,s.__)("Raw error:","vmfa-ai-organizer")}),(0,t.jsx)("pre",{className:"vmfa-provider-test-error",children:(0,t.jsx)("code",{children:e.error})})]})]})}function se({provider:e,unsaved:n=!1}){const[l,o]=(0,a.useState)(!1),[d,c]=(0,a.useState)(null);return(0,t.jsxs)("div",{className:"vmfa-provider-test",children:[(0,t.jsx)(r.Button,{variant:"secondary",onClick:async()=>{o(!0),c(null);try{const a=await i()({path:"/vmfa/v1/provider/test",method:"POST",data:{provider:e}});c(a)}catch(e){c({success:!1,message:e.message||(0,s.__)("Connection failed","vmfa-ai-organizer")})}finally{o(!1)}},isBusy:l,disabled:l,children:(0,s.__)("Test Connection","vmfa-ai-organizer")}),n&&(0,t.jsx)("p",{className:"description",children:(0,s.__)("The test uses the saved settings. Save your changes first to test them.","vmfa-ai-organizer")}),d&&(0,t.jsx)(re,{report:d})]})}const ne={ollama:{endpointKey:"ollama_url",modelKey:"ollama_model"},exo:{endpointKey:"exo_endpoint",modelKey:"exo_model"}},ie={checking:"⏳",ok:"✅",error:"❌"};function te({source:e}){return e?(0,t.jsx)("span",{className:"vmfa-locked-badge",title:(0,s.__)("This setting is overridden","vmfa-ai-organizer"),children:"const"===e?(0,s.__)("🔒 Constant","vmfa-ai-organizer"):(0,s.__)("🔒 Environment","vmfa-ai-organizer")}):null}function le({health:e}){return e?(0,t.jsxs)("span",{className:`vmfa-health-indicator is-${e.status}`,role:"status",children:[ie[e.status]," ",e.message]}):null}function oe({providers:e,settings:n}){const{optionName:l,locked:o={},models:d={}}=n,[c,m]=(0,a.useState)(n.values),[v,f]=(0,a.useState)({}),[h,u]=(0,a.useState)({}),[_,g]=(0,a.useState)(!0),[p,x]=(0,a.useState)({}),[j,z]=(0,a.useState)(null),y=c.ai_provider,b="azure"===c.openai_type,w=Object.keys(c).some(e=>c[e]!==n.values[e]),N=e=>{var a;return{id:`vmfa_${e}`,name:`${l}[${e}]`,value:null!==(a=c[e])&&void 0!==a?a:"",onChange:a=>m(r=>({...r,[e]:a})),disabled:Boolean(o[e])}},C=(e,a,r)=>{x(s=>({...s,[e]:{status:a,message:r}}))},S=e=>String(c[ne[e].endpointKey]||"").trim(),k=async()=>{const e=S("exo");if(e){C("exo","checking",(0,s.__)("Checking…","vmfa-ai-organizer"));try{const a=await i()({path:"/vmfa/v1/exo-health",method:"POST",data:{endpoint:e}});C("exo","ok"===a.status?"ok":"error","ok"===a.status?(0,s.__)("Connected","vmfa-ai-organizer"):a.message||(0,s.__)("Connection failed","vmfa-ai-organizer"))}catch(e){C("exo","error",e.message||(0,s.__)("Connection failed","vmfa-ai-organizer"))}}else C("exo","error",(0,s.__)("Please enter the Exo endpoint first.","vmfa-ai-organizer"))},B=e=>{const a=c[ne[e].modelKey],r=v[e];return r?0===r.length?[{value:"",label:(0,s.__)("— No models available —","vmfa-ai-organizer")}]:a&&!r.some(e=>e.value===a)?[{value:a,label:a},...r]:r:a?[{value:a,label:a}]:[{value:"",label:(0,s.__)("— Select a model —","vmfa-ai-organizer")}]},$=(e,a)=>(0,t.jsxs)("div",{className:"vmfa-provider-field",children:[(0,t.jsx)(r.TextControl,{...N(e),label:a,type:"password",autoComplete:"off",__nextHasNoMarginBottom:!0}),(0,t.jsx)(te,{source:o[e]})]}),M=(e,a,n)=>{const l=h[e],m=l?function(e,a,r){const n=e.filter(e=>!r||e.vision||e.id===a).map(e=>({value:e.id,label:e.vision?(0,s.sprintf)(/* translators: %s: Model name. */ /* translators: %s: Model name. */
+(0,s.__)("%s (vision)","vmfa-ai-organizer"),e.name):e.name}));return a&&!n.some(e=>e.value===a)&&n.unshift({value:a,label:a}),n}(l,c[a],_):function(e,a){const r=Object.entries(e||{}).map(([e,a])=>({value:e,label:a}));return a&&!r.some(e=>e.value===a)&&r.unshift({value:a,label:a}),r}(d[e],c[a]);if(o[a])return(0,t.jsxs)("div",{className:"vmfa-provider-field",children:[(0,t.jsx)(r.SelectControl,{...N(a),label:n,options:m,__nextHasNoMarginBottom:!0}),(0,t.jsx)(te,{source:o[a]})]});const{name:v,value:f,onChange:x}=N(a);return(0,t.jsxs)("div",{className:"vmfa-provider-field",children:[(0,t.jsxs)("div",{className:"vmfa-provider-field-row",children:[(0,t.jsx)(r.ComboboxControl,{label:n,value:f,options:m,onChange:e=>x(e||""),__nextHasNoMarginBottom:!0}),(0,t.jsx)(r.Button,{variant:"secondary",onClick:()=>(async e=>{z(e);try{const a=await i()({path:`/vmfa/v1/${e}-models`,method:"POST",data:{api_key:String(c[`${e}_key`]||"").trim()}});if(a.error)return void C(e,"error",(0,s.sprintf)(/* translators: %s: Error message. */ /* translators: %s: Error message. */
+(0,s.__)("Failed to fetch models: %s","vmfa-ai-organizer"),a.error));const r=a.models||[];u(a=>({...a,[e]:r})),C(e,"ok",(0,s.sprintf)(/* translators: 1: Number of models, 2: Number of vision models. */ /* translators: 1: Number of models, 2: Number of vision models. */
+(0,s.__)("%1$d models found, %2$d with vision.","vmfa-ai-organizer"),r.length,r.filter(e=>e.vision).length))}catch(a){C(e,"error",(0,s.sprintf)(/* translators: %s: Error message. */ /* translators: %s: Error message. */
+(0,s.__)("Failed to fetch models: %s","vmfa-ai-organizer"),a.message))}finally{z(null)}})(e),isBusy:j===e,disabled:j===e,children:(0,s.__)("Load Models","vmfa-ai-organizer")})]}),(0,t.jsx)("input",{type:"hidden",name:v,value:f}),l&&(0,t.jsx)(r.CheckboxControl,{label:(0,s.__)("Only show models that can read images","vmfa-ai-organizer"),checked:_,onChange:g,__nextHasNoMarginBottom:!0}),(0,t.jsx)(le,{health:p[e]})]})},T=(e,a,n)=>{const l=ne[e].modelKey;return(0,t.jsxs)("div",{className:"vmfa-provider-field",children:[(0,t.jsxs)("div",{className:"vmfa-provider-field-row",children:[(0,t.jsx)(r.SelectControl,{...N(l),label:a,options:B(e),__nextHasNoMarginBottom:!0}),(0,t.jsx)(r.Button,{variant:"secondary",onClick:()=>(async e=>{const a=S(e);if(a){z(e);try{const r=await i()({path:`/vmfa/v1/${e}-models`,method:"POST",data:{endpoint:a}});if(r.error)return void C(e,"error",(0,s.sprintf)(/* translators: %s: Error message. */ /* translators: %s: Error message. */
+(0,s.__)("Failed to fetch models: %s","vmfa-ai-organizer"),r.error));f(a=>({...a,[e]:(r.models||[]).map(e=>({value:e.id||e,label:e.name||e.id||e}))})),"exo"===e?await k():C(e,"ok",(0,s.__)("Connected","vmfa-ai-organizer"))}catch(a){C(e,"error",(0,s.sprintf)(/* translators: %s: Error message. */ /* translators: %s: Error message. */
+(0,s.__)("Failed to fetch models: %s","vmfa-ai-organizer"),a.message))}finally{z(null)}}else C(e,"error","ollama"===e?(0,s.__)("Please enter the Ollama URL first.","vmfa-ai-organizer"):(0,s.__)("Please enter the Exo endpoint first.","vmfa-ai-organizer"))})(e),isBusy:j===e,disabled:j===e,children:(0,s.__)("Refresh Models","vmfa-ai-organizer")})]}),(0,t.jsx)(te,{source:o[l]}),(0,t.jsx)("p",{className:"description",children:n})]})},F=Object.entries(e||{}).map(([e,a])=>({value:e,label:a}));return(0,t.jsxs)("div",{className:"vmfa-provider-settings",children:[(0,t.jsx)("h2",{children:(0,s.__)("AI Provider","vmfa-ai-organizer")}),(0,t.jsx)("p",{className:"description",children:(0,s.__)("Configure the AI provider to use for analyzing and organizing media files.","vmfa-ai-organizer")}),(0,t.jsxs)("div",{className:"vmfa-provider-field",children:[(0,t.jsx)(r.SelectControl,{...N("ai_provider"),label:(0,s.__)("Provider","vmfa-ai-organizer"),options:F,__nextHasNoMarginBottom:!0}),(0,t.jsx)(te,{source:o.ai_provider})]}),(0,t.jsxs)("div",{className:"vmfa-provider-group",hidden:"openai"!==y,children:[(0,t.jsxs)("div",{className:"vmfa-provider-field",children:[(0,t.jsx)(r.SelectControl,{...N("openai_type"),label:(0,s.__)("OpenAI Type","vmfa-ai-organizer"),options:[{value:"openai",label:(0,s.__)("OpenAI","vmfa-ai-organizer")},{value:"azure",label:(0,s.__)("Azure OpenAI","vmfa-ai-organizer")}],help:(0,s.__)("Select OpenAI or Azure OpenAI as your provider.","vmfa-ai-organizer"),__nextHasNoMarginBottom:!0}),(0,t.jsx)(te,{source:o.openai_type})]}),$("openai_key",(0,s.__)("API Key","vmfa-ai-organizer")),b?(0,t.jsxs)("div",{className:"vmfa-provider-field",children:[(0,t.jsx)(r.TextControl,{...N("openai_model"),label:(0,s.__)("Model / Deployment","vmfa-ai-organizer"),placeholder:"your-deployment-name",help:(0,s.__)("Enter your Azure OpenAI deployment name (found in Azure Portal → Your Resource → Deployments).","vmfa-ai-organizer"),__nextHasNoMarginBottom:!0}),(0,t.jsx)(te,{source:o.openai_model})]}):M("openai","openai_model",(0,s.__)("Model","vmfa-ai-organizer")),(0,t.jsxs)("div",{className:"vmfa-azure-fields",hidden:!b,children:[(0,t.jsxs)("div",{className:"vmfa-provider-field",children:[(0,t.jsx)(r.TextControl,{...N("azure_endpoint"),label:(0,s.__)("Azure Endpoint","vmfa-ai-organizer"),type:"url",placeholder:"https://your-resource.openai.azure.com",help:(0,s.__)("Your Azure OpenAI resource endpoint URL.","vmfa-ai-organizer"),__nextHasNoMarginBottom:!0}),(0,t.jsx)(te,{source:o.azure_endpoint})]}),(0,t.jsxs)("div",{className:"vmfa-provider-field",children:[(0,t.jsx)(r.TextControl,{...N("azure_api_version"),label:(0,s.__)("Azure API Version","vmfa-ai-organizer"),placeholder:"2024-02-15-preview",help:(0,s.__)("Azure OpenAI API version (e.g., 2024-02-15-preview).","vmfa-ai-organizer"),__nextHasNoMarginBottom:!0}),(0,t.jsx)(te,{source:o.azure_api_version})]})]}),(0,t.jsx)(se,{provider:"openai",unsaved:w})]}),(0,t.jsxs)("div",{className:"vmfa-provider-group",hidden:"anthropic"!==y,children:[$("anthropic_key",(0,s.__)("Anthropic API Key","vmfa-ai-organizer")),M("anthropic","anthropic_model",(0,s.__)("Anthropic Model","vmfa-ai-organizer")),(0,t.jsx)(se,{provider:"anthropic",unsaved:w})]}),(0,t.jsxs)("div",{className:"vmfa-provider-group",hidden:"gemini"!==y,children:[$("gemini_key",(0,s.__)("Gemini API Key","vmfa-ai-organizer")),M("gemini","gemini_model",(0,s.__)("Gemini Model","vmfa-ai-organizer")),(0,t.jsx)(se,{provider:"gemini",unsaved:w})]}),(0,t.jsxs)("div",{className:"vmfa-provider-group",hidden:"ollama"!==y,children:[(0,t.jsxs)("div",{className:"vmfa-provider-field",children:[(0,t.jsx)(r.TextControl,{...N("ollama_url"),label:(0,s.__)("Ollama URL","vmfa-ai-organizer"),type:"url",placeholder:"http://localhost:11434",__nextHasNoMarginBottom:!0}),(0,t.jsx)(le,{health:p.ollama}),(0,t.jsx)(te,{source:o.ollama_url})]}),T("ollama",(0,s.__)("Ollama Model","vmfa-ai-organizer"),(0,s.__)('Select a model from your local Ollama instance. Click "Refresh Models" after entering the Ollama URL.',"vmfa-ai-organizer")),(0,t.jsxs)("div",{className:"vmfa-provider-field",children:[(0,t.jsx)(r.TextControl,{...N("ollama_timeout"),label:(0,s.__)("Ollama Timeout (seconds)","vmfa-ai-organizer"),type:"number",min:10,max:600,step:10,help:(0,s.__)("Request timeout for Ollama. Increase for larger models or slower hardware (default: 120).","vmfa-ai-organizer"),__nextHasNoMarginBottom:!0}),(0,t.jsx)(te,{source:o.ollama_timeout})]}),(0,t.jsx)(se,{provider:"ollama",unsaved:w})]}),(0,t.jsxs)("div",{className:"vmfa-provider-group",hidden:"grok"!==y,children:[$("grok_key",(0,s.__)("Grok API Key","vmfa-ai-organizer")),M("grok","grok_model",(0,s.__)("Grok Model","vmfa-ai-organizer")),(0,t.jsx)(se,{provider:"grok",unsaved:w})]}),(0,t.jsxs)("div",{className:"vmfa-provider-group",hidden:"exo"!==y,children:[(0,t.jsxs)("div",{className:"vmfa-provider-field",children:[(0,t.jsxs)("div",{className:"vmfa-provider-field-row",children:[(0,t.jsx)(r.TextControl,{...N("exo_endpoint"),label:(0,s.__)("Exo Endpoint","vmfa-ai-organizer"),type:"url",placeholder:"http://localhost:52415",__nextHasNoMarginBottom:!0}),(0,t.jsx)(r.Button,{variant:"secondary",onClick:k,children:(0,s.__)("Check Connection","vmfa-ai-organizer")})]}),(0,t.jsx)(le,{health:p.exo}),(0,t.jsx)(te,{source:o.exo_endpoint}),(0,t.jsx)("p",{className:"description",children:(0,s.__)("Your Exo cluster endpoint URL (e.g., http://localhost:52415). Exo is a distributed local LLM cluster.","vmfa-ai-organizer")})]}),T("exo",(0,s.__)("Exo Model","vmfa-ai-organizer"),(0,s.__)('Select a model from your running Exo cluster. Click "Refresh Models" after entering the endpoint.',"vmfa-ai-organizer")),(0,t.jsx)(se,{provider:"exo",unsaved:w})]}),y&&(()=>{const a=Object.keys(e||{}),n=function(e,a,r){return String(e||"").split(",").map(e=>e.trim()).filter((e,s,n)=>e&&e!==r&&a.includes(e)&&n.indexOf(e)===s)}(c.fallback_providers,a,y),i=a.filter(e=>e!==y&&!n.includes(e)),{name:l,onChange:d}=N("fallback_providers"),m=Boolean(o.fallback_providers),v=e=>d(e.join(",")),f=(e,a)=>{const r=[...n];[r[e],r[e+a]]=[r[e+a],r[e]],v(r)};return(0,t.jsxs)("fieldset",{className:"vmfa-provider-field vmfa-fallback-providers",children:[(0,t.jsx)("legend",{children:(0,s.__)("Fallback Providers","vmfa-ai-organizer")}),(0,t.jsx)("p",{className:"description",children:(0,s.__)("When the provider fails with a connection error, a timeout, a rate limit or a server error, the checked providers are tried in this order. Each must be configured above.","vmfa-ai-organizer")}),n.length>0&&(0,t.jsx)("ol",{children:n.map((a,i)=>(0,t.jsxs)("li",{children:[(0,t.jsx)(r.CheckboxControl,{id:`vmfa_fallback_${a}`,label:e[a],checked:!0,onChange:()=>v(n.filter(e=>e!==a)),disabled:m,__nextHasNoMarginBottom:!0}),(0,t.jsx)(r.Button,{variant:"tertiary","aria-label":(0,s.sprintf)(/* translators: %s: Provider name. */ /* translators: %s: Provider name. */
+(0,s.__)("Move %s up","vmfa-ai-organizer"),e[a]),onClick:()=>f(i,-1),disabled:m||0===i,children:"↑"}),(0,t.jsx)(r.Button,{variant:"tertiary","aria-label":(0,s.sprintf)(/* translators: %s: Provider name. */ /* translators: %s: Provider name. */
+(0,s.__)("Move %s down","vmfa-ai-organizer"),e[a]),onClick:()=>f(i,1),disabled:m||i===n.length-1,children:"↓"})]},a))}),i.map(a=>(0,t.jsx)(r.CheckboxControl,{id:`vmfa_fallback_${a}`,label:e[a],checked:!1,onChange:()=>v([...n,a]),disabled:m,__nextHasNoMarginBottom:!0},a)),!m&&(0,t.jsx)("input",{type:"hidden",name:l,value:n.join(",")}),(0,t.jsx)(te,{source:o.fallback_providers})]})})()]})}function de(){const e=document.getElementById("vmfa-ai-organizer-provider-settings"),{providers:r,providerSettings:s}=window.vmfaAiOrganizer||{};e&&s&&(0,a.createRoot)(e).render((0,t.jsx)(oe,{providers:r,settings:s}))}function ce(){const e=document.getElementById("vmfa-ai-organizer-scanner");e&&(0,a.createRoot)(e).render((0,t.jsx)(X,{}))}"loading"===document.readyState?document.addEventListener("DOMContentLoaded",()=>{de(),ce()}):(de(),ce())})();
\ No newline at end of file
@@ -0,0 +1,5 @@
+(()=>{"use strict";var e={n:a=>{var t=a&&a.__esModule?()=>a.default:()=>a;return e.d(t,{a:t}),t},d:(a,t)=>{for(var n in t)e.o(t,n)&&!e.o(a,n)&&Object.defineProperty(a,n,{enumerable:!0,get:t[n]})},o:(e,a)=>Object.prototype.hasOwnProperty.call(e,a)};const a=window.wp.element,t=window.wp.components,n=window.wp.i18n,r=window.wp.apiFetch;var s=e.n(r);const i=".vmfaScanStatus";const c=window.ReactJSXRuntime;function l({selection:e,scannerUrl:r}){const[l,o]=(0,a.useState)(()=>e?e.getIds():[]),[d,u]=(0,a.useState)(!0),[m,f]=(0,a.useState)(null),[h,v]=(0,a.useState)(!1),p=(0,a.useRef)(!1),{status:w,isLoading:y,startScan:g,cancelScan:_}=function(e=2e3){const[t,n]=(0,a.useState)({status:"idle",mode:"",dry_run:!1,total:0,processed:0,percentage:0,applied:0,failed:0,results:[],started_at:null,completed_at:null,error:null}),[r,c]=(0,a.useState)(!0),[l,o]=(0,a.useState)(null),d=(0,a.useRef)(t),u=(0,a.useCallback)(e=>{const a=function(e,a){return a.partial?{...a,partial:!1,results:[...e.results||[],...a.results||[]].slice(-100)}:a}(d.current,e),t=function(e,a){return["status","run_id","processed","cursor","applied","failed","held","error","waiting_until"].some(t=>e[t]!==a[t])}(d.current,a);return d.current=a,n(a),t},[]),m=(0,a.useCallback)(()=>{const{run_id:e,cursor:a}=d.current;return e&&"number"==typeof a?{since:a,run_id:e}:null},[]),f=(0,a.useCallback)(async()=>{const e=m();try{const a=await s()({path:e?`/vmfa/v1/scan/status?since=${e.since}&run_id=${e.run_id}`:"/vmfa/v1/scan/status",method:"GET"});return o(null),u(a)}catch(e){return o(e.message||"Failed to fetch scan status"),!1}finally{c(!1)}},[m,u]);(0,a.useEffect)(()=>{f()},[f]),(0,a.useEffect)(()=>{if("running"!==t.status)return;const a=window.wp?.heartbeat&&window.jQuery?window.wp.heartbeat:null;if(a){const e=window.jQuery(document);return e.on(`heartbeat-send${i}`,(e,a)=>{a.vmfa_scan_status=m()||{full:1}}).on(`heartbeat-tick${i}`,(e,t)=>{t.vmfa_scan_status&&u(t.vmfa_scan_status),a.interval("fast")}),a.interval("fast"),a.connectNow(),()=>{e.off(i)}}let n=e,r=null,s=!1,c=!1;const l=()=>{c||document.hidden||(r=setTimeout(o,n))},o=async()=>{r=null,s=!0;const a=await f();s=!1,n=a?e:Math.min(1.5*n,15e3),l()},d=()=>{document.hidden?(clearTimeout(r),r=null):r||s||(n=e,o())};return document.addEventListener("visibilitychange",d),l(),()=>{c=!0,clearTimeout(r),document.removeEventListener("visibilitychange",d)}},[t.status,f,m,u,e]);const h=(0,a.useCallback)(async(e,a=!1,t={})=>{try{c(!0);const n=await s()({path:"/vmfa/v1/scan",method:"POST",data:{mode:e,dry_run:a,...t}});return await f(),n}catch(e){throw o(e.message||"Failed to start scan"),e}finally{c(!1)}},[f]),v=(0,a.useCallback)(async()=>{try{c(!0);const e=await s()({path:"/vmfa/v1/scan/cancel",method:"POST"});return await f(),e}catch(e){throw o(e.message||"Failed to cancel scan"),e}finally{c(!1)}},[f]),p=(0,a.useCallback)(async()=>{try{c(!0);const e=await s()({path:"/vmfa/v1/scan/reset",method:"POST"});return await f(),e}catch(e){throw o(e.message||"Failed to reset scan"),e}finally{c(!1)}},[f]),w=(0,a.useCallback)(async(e,a=null)=>{try{c(!0);const t=await s()({path:"/vmfa/v1/scan/apply-cached",method:"POST",data:{...a,mode:e}});return await f(),t}catch(e){throw o(e.message||"Failed to apply cached results"),e}finally{c(!1)}},[f]),y=(0,a.useCallback)(async e=>{try{c(!0);const a=await s()({path:"/vmfa/v1/scan/undo",method:"POST",data:{run_id:e}});return await f(),a}catch(e){throw o(e.message||"Failed to undo run"),e}finally{c(!1)}},[f]),g=(0,a.useCallback)(async()=>{try{return(await s()({path:"/vmfa/v1/scan/cached-count",method:"GET"})).count}catch(e){return o(e.message||"Failed to get cached count"),0}},[]);return{status:t,isLoading:r,error:l,startScan:h,cancelScan:v,resetScan:p,applyCachedResults:w,undoRun:y,getCachedCount:g,refresh:f}}(),b="running"===w.status;return(0,a.useEffect)(()=>{if(e)return e.subscribe(()=>o(e.getIds()))},[e]),(0,a.useEffect)(()=>{b?(p.current=!0,v(!1)):p.current&&"idle"!==w.status&&(p.current=!1,v(!0))},[b,w.status]),e||b||h||m?(0,c.jsxs)("div",{className:"vmfa-media-library-scan",children:[m&&(0,c.jsx)(t.Notice,{status:m.type,isDismissible:!0,onRemove:()=>f(null),children:m.message}),b&&(0,c.jsxs)("div",{className:"vmfa-media-library-progress",children:[(0,c.jsx)(t.Spinner,{}),(0,c.jsx)("span",{children:(0,n.sprintf)(/* translators: 1: Media processed, 2: Media to process. */ /* translators: 1: Media processed, 2: Media to process. */
+(0,n.__)("Organizing with AI: %1$d of %2$d","vmfa-ai-organizer"),w.processed,w.total)}),(0,c.jsx)("div",{className:"vmfa-progress-bar-container",children:(0,c.jsx)("div",{className:"vmfa-progress-bar",style:{width:`${w.percentage||0}%`}})}),(0,c.jsx)(t.Button,{variant:"tertiary",onClick:async()=>{try{await _()}catch(e){f({type:"error",message:e.message||(0,n.__)("Failed to cancel scan.","vmfa-ai-organizer")})}},disabled:y,children:(0,n.__)("Cancel","vmfa-ai-organizer")})]}),!b&&h&&(0,c.jsxs)("div",{className:"vmfa-media-library-result",children:[(0,c.jsxs)("span",{children:["cancelled"===w.status&&(0,n.__)("Scan cancelled.","vmfa-ai-organizer"),"failed"===w.status&&(w.error||(0,n.__)("Scan failed.","vmfa-ai-organizer")),"completed"===w.status&&w.dry_run&&(0,n.sprintf)(/* translators: %d: Number of media analyzed. */ /* translators: %d: Number of media analyzed. */
+(0,n.__)("Preview ready for %d media files.","vmfa-ai-organizer"),w.processed),"completed"===w.status&&!w.dry_run&&(0,n.sprintf)(/* translators: 1: Media moved into folders, 2: Media that failed. */ /* translators: 1: Media moved into folders, 2: Media that failed. */
+(0,n.__)("Organized %1$d media files (%2$d failed).","vmfa-ai-organizer"),w.applied,w.failed)]}),(0,c.jsx)(t.Button,{variant:"link",href:r,children:"completed"===w.status&&w.dry_run?(0,n.__)("Review preview","vmfa-ai-organizer"):(0,n.__)("Open AI Organizer","vmfa-ai-organizer")}),(0,c.jsx)(t.Button,{variant:"tertiary",onClick:()=>v(!1),children:(0,n.__)("Dismiss","vmfa-ai-organizer")})]}),e&&!b&&(0,c.jsxs)("div",{className:"vmfa-media-library-actions",children:[(0,c.jsx)(t.Button,{variant:"secondary",onClick:async()=>{f(null);try{await g("reanalyze_all",d,{attachment_ids:l})}catch(e){f({type:"error",message:e.message||(0,n.__)("Failed to start scan.","vmfa-ai-organizer")})}},disabled:y||0===l.length,children:(0,n.sprintf)(/* translators: %d: Number of selected media. */ /* translators: %d: Number of selected media. */
+(0,n.__)("Organize %d Selected with AI","vmfa-ai-organizer"),l.length)}),(0,c.jsx)(t.CheckboxControl,{__nextHasNoMarginBottom:!0,label:(0,n.__)("Preview first","vmfa-ai-organizer"),checked:d,onChange:u})]})]}):null}function o(){const e=window.wp?.media?.frame,a=e?.state?.()?.get("selection");return a?{getIds:()=>a.pluck("id"),subscribe:e=>(a.on("add remove reset",e),()=>a.off("add remove reset",e))}:null}function d(){const e=document.querySelector(".wrap .wp-header-end");if(!e)return;const t=document.createElement("div");t.id="vmfa-ai-organizer-media-library",e.after(t),(0,a.createRoot)(t).render((0,c.jsx)(l,{selection:o(),scannerUrl:window.vmfaMediaLibrary?.scannerUrl||""}))}"loading"===document.readyState?document.addEventListener("DOMContentLoaded",()=>setTimeout(d)):setTimeout(d)})();
\ No newline at end of file
@@ -0,0 +1,181 @@
+/**
+ * Tests for ComparePanel component.
+ *
+ * @package
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import apiFetch from '@wordpress/api-fetch';
+import { ComparePanel, getAgreement } from '../components/ComparePanel';
+
+vi.mock('@wordpress/api-fetch');
+
+const providers = {
+	openai: 'OpenAI',
+	anthropic: 'Anthropic Claude',
+	ollama: 'Ollama (Local)',
+};
+
+/**
+ * Answer the configured providers request, passing other requests on.
+ *
+ * @param {Object}   configured - Labels of the configured providers, keyed by name.
+ * @param {Function} handler    - Handler for the other requests.
+ */
+function mockApi(configured, handler = () => Promise.resolve({})) {
+	apiFetch.mockImplementation((options) =>
+		options.path === '/vmfa/v1/compare/providers'
+			? Promise.resolve({ providers: configured })
+			: handler(options)
+	);
+}
+
+/**
+ * Build a provider's answer.
+ *
+ * @param {string} provider - Provider name.
+ * @param {string} folder   - Chosen folder.
+ * @param {Object} extra    - Fields overriding the defaults.
+ * @return {Object} The answer.
+ */
+function answer(provider, folder, extra = {}) {
+	return {
+		provider,
+		label: providers[provider],
+		model: '',
+		action: 'existing',
+		folder,
+		confidence: 0.8,
+		reason: `${provider} reason`,
+		latency_ms: 100,
+		error: null,
+		...extra,
+	};
+}
+
+describe('ComparePanel', () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+	});
+
+	it('should ask for two configured providers', async () => {
+		mockApi({ openai: 'OpenAI' });
+		render(<ComparePanel />);
+
+		await waitFor(() => {
+			expect(
+				screen.getByText(
+					'Configure at least two AI providers to compare them.'
+				)
+			).toBeInTheDocument();
+		});
+		expect(screen.queryByText('Compare')).not.toBeInTheDocument();
+		expect(apiFetch).toHaveBeenCalledWith({
+			path: '/vmfa/v1/compare/providers',
+			method: 'GET',
+		});
+	});
+
+	it('should compare the selected providers on each sample image', async () => {
+		mockApi(providers, ({ path, data }) => {
+			if (path.startsWith('/vmfa/v1/compare/sample')) {
+				return Promise.resolve({
+					items: [
+						{ id: 1, filename: 'beach.jpg' },
+						{ id: 2, filename: 'dog.jpg' },
+					],
+				});
+			}
+
+			return Promise.resolve({
+				success: true,
+				attachment_id: data.attachment_id,
+				filename: data.attachment_id === 1 ? 'beach.jpg' : 'dog.jpg',
+				results:
+					data.attachment_id === 1
+						? [
+								answer('openai', 'Nature'),
+								answer('anthropic', 'nature'),
+							]
+						: [
+								answer('openai', 'Animals/Dogs', {
+									latency_ms: 300,
+								}),
+								answer('anthropic', 'Pets'),
+							],
+			});
+		});
+
+		render(<ComparePanel />);
+
+		fireEvent.change(await screen.findByLabelText('Sample images'), {
+			target: { value: '2' },
+		});
+		fireEvent.click(screen.getByText('Compare'));
+
+		await waitFor(() => {
+			expect(
+				screen.getByText('All providers agreed on 50% of 2 images.')
+			).toBeInTheDocument();
+		});
+
+		expect(apiFetch).toHaveBeenCalledWith({
+			path: '/vmfa/v1/compare/sample?count=2',
+			method: 'GET',
+		});
+		expect(apiFetch).toHaveBeenCalledWith({
+			path: '/vmfa/v1/compare',
+			method: 'POST',
+			data: { attachment_id: 2, providers: ['openai', 'anthropic'] },
+		});
+		expect(screen.getByText('Animals/Dogs')).toBeInTheDocument();
+		expect(screen.getByText('300 ms')).toBeInTheDocument();
+		expect(screen.getByText('200 ms')).toBeInTheDocument();
+	});
+
+	it('should need two selected providers to compare', async () => {
+		mockApi(providers);
+		render(<ComparePanel />);
+
+		fireEvent.click(await screen.findByLabelText('Anthropic Claude'));
+
+		expect(screen.getByText('Compare')).toBeDisabled();
+
+		fireEvent.click(screen.getByLabelText('Ollama (Local)'));
+
+		expect(screen.getByText('Compare')).not.toBeDisabled();
+	});
+});
+
+describe('getAgreement', () => {
+	it('should rate all providers and each pair', () => {
+		const agreement = getAgreement(
+			[
+				{
+					results: [
+						answer('openai', 'Nature'),
+						answer('anthropic', 'Nature'),
+						answer('ollama', 'Outdoors'),
+					],
+				},
+				{
+					results: [
+						answer('openai', 'Pets'),
+						answer('anthropic', 'Pets'),
+						answer('ollama', '', { error: 'HTTP 500' }),
+					],
+				},
+			],
+			['openai', 'anthropic', 'ollama']
+		);
+
+		expect(agreement.rate).toBe(0);
+		expect(agreement.pairs.map((pair) => pair.rate)).toEqual([1, 0, 0]);
+		expect(agreement.providers.ollama).toEqual({
+			latency: 100,
+			confidence: 0.8,
+			failed: 1,
+		});
+	});
+});
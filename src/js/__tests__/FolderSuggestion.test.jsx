@@ -0,0 +1,118 @@
+/**
+ * Tests for FolderSuggestion component.
+ *
+ * @package
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import apiFetch from '@wordpress/api-fetch';
+import { FolderSuggestion } from '../components/FolderSuggestion';
+
+vi.mock('@wordpress/api-fetch');
+
+describe('FolderSuggestion', () => {
+	const folders = [
+		{ id: 3, path: 'Photos' },
+		{ id: 7, path: 'Photos/Events' },
+	];
+
+	/**
+	 * Mock the analyze, folders and apply endpoints.
+	 *
+	 * @param {Object} suggestion - Analysis result.
+	 */
+	const mockEndpoints = (suggestion) => {
+		apiFetch.mockImplementation(({ path }) => {
+			if (path === '/vmfa/v1/analyze/42') {
+				return Promise.resolve(suggestion);
+			}
+			if (path === '/vmfa/v1/folders') {
+				return Promise.resolve({ folders });
+			}
+			return Promise.resolve({ success: true, message: 'Applied.' });
+		});
+	};
+
+	beforeEach(() => {
+		vi.clearAllMocks();
+	});
+
+	it('should show the suggested folder, confidence and reason', async () => {
+		mockEndpoints({
+			action: 'assign',
+			folder_id: 3,
+			folder_name: 'Photos',
+			confidence: 0.87,
+			reason: 'A landscape photo.',
+		});
+
+		render(<FolderSuggestion attachmentId={42} />);
+		fireEvent.click(screen.getByText('Suggest folder'));
+
+		await waitFor(() => {
+			expect(screen.getByText('A landscape photo.')).toBeInTheDocument();
+		});
+		expect(screen.getByText('87%')).toBeInTheDocument();
+		expect(screen.getByText('Accept')).toBeInTheDocument();
+	});
+
+	it('should apply a new folder when the suggestion is accepted', async () => {
+		mockEndpoints({
+			action: 'create',
+			folder_id: null,
+			new_folder_path: 'Photos/Beaches',
+			confidence: 0.9,
+			reason: 'A beach.',
+		});
+
+		render(<FolderSuggestion attachmentId={42} />);
+		fireEvent.click(screen.getByText('Suggest folder'));
+		await waitFor(() => screen.getByText('Accept'));
+
+		fireEvent.click(screen.getByText('Accept'));
+
+		await waitFor(() => {
+			expect(
+				screen.getByText('Moved to Photos/Beaches.')
+			).toBeInTheDocument();
+		});
+		expect(apiFetch).toHaveBeenCalledWith({
+			path: '/vmfa/v1/apply/42',
+			method: 'POST',
+			data: { new_folder_path: 'Photos/Beaches' },
+		});
+	});
+
+	it('should move to an alternative folder', async () => {
+		mockEndpoints({
+			action: 'skip',
+			folder_id: null,
+			confidence: 0.2,
+			reason: 'Unclear content.',
+		});
+
+		render(<FolderSuggestion attachmentId={42} />);
+		fireEvent.click(screen.getByText('Suggest folder'));
+		await waitFor(() =>
+			screen.getByText('No folder suggested for this file.')
+		);
+		expect(screen.queryByText('Accept')).not.toBeInTheDocument();
+
+		fireEvent.change(screen.getByLabelText('Or move to another folder'), {
+			target: { value: '7' },
+		});
+		fireEvent.click(screen.getByText('Move'));
+
+		await waitFor(() => {
+			expect(
+				screen.getByText('Moved to Photos/Events.')
+			).toBeInTheDocument();
+		});
+		expect(apiFetch).toHaveBeenCalledWith({
+			path: '/vmfa/v1/apply/42',
+			method: 'POST',
+			data: { folder_id: 7 },
+		});
+	});
+});
@@ -0,0 +1,126 @@
+/**
+ * Tests for HistoryPanel component.
+ *
+ * @package
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import apiFetch from '@wordpress/api-fetch';
+import { HistoryPanel } from '../components/HistoryPanel';
+
+vi.mock('@wordpress/api-fetch');
+
+describe('HistoryPanel', () => {
+	const runs = [
+		{
+			id: 'run-2',
+			mode: 'organize_unassigned',
+			dry_run: true,
+			status: 'completed',
+			provider: 'openai',
+			model: 'gpt-4o-mini',
+			user_name: 'Editor',
+			started_at: 1760000000,
+			completed_at: 1760000100,
+			processed: 12,
+			applied: 0,
+			failed: 1,
+			result_count: 12,
+		},
+		{
+			id: 'run-1',
+			mode: 'reorganize_all',
+			dry_run: false,
+			status: 'cancelled',
+			provider: 'heuristic',
+			model: '',
+			user_name: '',
+			started_at: 1750000000,
+			completed_at: 1750000100,
+			processed: 3,
+			applied: 3,
+			failed: 0,
+			result_count: 0,
+		},
+	];
+
+	beforeEach(() => {
+		vi.clearAllMocks();
+		apiFetch.mockImplementation(({ path, method }) => {
+			if (path === '/vmfa/v1/history') {
+				return Promise.resolve({ runs });
+			}
+			if (path.startsWith('/vmfa/v1/history/run-2?')) {
+				return Promise.resolve({
+					run: runs[0],
+					results: [
+						{
+							attachment_id: 42,
+							filename: 'beach.jpg',
+							action: 'assign',
+							folder_name: 'Travel',
+							confidence: 0.9,
+							reason: 'Holiday photo',
+						},
+					],
+					total: 1,
+					pages: 1,
+					page: 1,
+					per_page: 50,
+				});
+			}
+			if (method === 'DELETE') {
+				return Promise.resolve({ success: true });
+			}
+			return Promise.resolve({});
+		});
+	});
+
+	it('should list past runs with their provider, user and counts', async () => {
+		render(<HistoryPanel refreshKey="" />);
+
+		expect(
+			await screen.findByText('Organize Unassigned')
+		).toBeInTheDocument();
+		expect(screen.getByText('Preview')).toBeInTheDocument();
+		expect(screen.getByText('openai / gpt-4o-mini')).toBeInTheDocument();
+		expect(screen.getByText('Editor')).toBeInTheDocument();
+		expect(screen.getByText('—')).toBeInTheDocument();
+		expect(screen.getByText('Cancelled')).toBeInTheDocument();
+		expect(screen.getByText('12 / 0 / 1')).toBeInTheDocument();
+	});
+
+	it('should open the full result list of a run', async () => {
+		render(<HistoryPanel refreshKey="" />);
+
+		const buttons = await screen.findAllByText('View results');
+		expect(buttons[1]).toBeDisabled();
+
+		fireEvent.click(buttons[0]);
+
+		expect(await screen.findByText('beach.jpg')).toBeInTheDocument();
+		expect(screen.getByText('Travel')).toBeInTheDocument();
+		expect(apiFetch).toHaveBeenCalledWith({
+			path: '/vmfa/v1/history/run-2?page=1&per_page=50',
+			method: 'GET',
+		});
+	});
+
+	it('should remove a deleted run from the list', async () => {
+		render(<HistoryPanel refreshKey="" />);
+
+		const deleteButtons = await screen.findAllByText('Delete');
+		fireEvent.click(deleteButtons[1]);
+
+		await waitFor(() => {
+			expect(
+				screen.queryByText('Reorganize All')
+			).not.toBeInTheDocument();
+		});
+		expect(apiFetch).toHaveBeenCalledWith({
+			path: '/vmfa/v1/history/run-1',
+			method: 'DELETE',
+		});
+	});
+});
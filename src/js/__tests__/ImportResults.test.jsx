@@ -0,0 +1,63 @@
+/**
+ * Tests for ImportResults component.
+ *
+ * @package
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import apiFetch from '@wordpress/api-fetch';
+import { ImportResults } from '../components/ImportResults';
+
+vi.mock('@wordpress/api-fetch');
+
+describe('ImportResults', () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+	});
+
+	/**
+	 * Choose a file in the upload input.
+	 *
+	 * @param {string} name    - File name.
+	 * @param {string} content - File contents.
+	 */
+	const chooseFile = (name, content) => {
+		fireEvent.change(screen.getByLabelText('Import Results…'), {
+			target: {
+				files: [{ name, text: () => Promise.resolve(content) }],
+			},
+		});
+	};
+
+	it('should send the file contents with the format from its extension', async () => {
+		const response = { message: 'Imported 1 results (0 rows skipped).' };
+		apiFetch.mockResolvedValue(response);
+		const onImported = vi.fn();
+
+		render(<ImportResults onImported={onImported} onError={vi.fn()} />);
+		chooseFile('a.JSON', '[{"attachment_id":11,"folder_path":"Birds"}]');
+
+		await waitFor(() => expect(onImported).toHaveBeenCalledWith(response));
+		expect(apiFetch).toHaveBeenCalledWith({
+			path: '/vmfa/v1/scan/import',
+			method: 'POST',
+			data: {
+				content: '[{"attachment_id":11,"folder_path":"Birds"}]',
+				format: 'json',
+			},
+		});
+	});
+
+	it('should report a rejected file', async () => {
+		const error = { message: 'The file contains no valid results.' };
+		apiFetch.mockRejectedValue(error);
+		const onError = vi.fn();
+
+		render(<ImportResults onImported={vi.fn()} onError={onError} />);
+		chooseFile('review.csv', 'attachment_id,folder_path\n');
+
+		await waitFor(() => expect(onError).toHaveBeenCalledWith(error));
+		expect(apiFetch.mock.calls[0][0].data.format).toBe('csv');
+	});
+});
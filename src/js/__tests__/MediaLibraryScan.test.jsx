@@ -0,0 +1,122 @@
+/**
+ * Tests for MediaLibraryScan component.
+ *
+ * @package
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+	act,
+	render,
+	screen,
+	fireEvent,
+	waitFor,
+} from '@testing-library/react';
+import apiFetch from '@wordpress/api-fetch';
+import { MediaLibraryScan } from '../components/MediaLibraryScan';
+
+vi.mock('@wordpress/api-fetch');
+
+describe('MediaLibraryScan', () => {
+	const idleStatus = {
+		status: 'idle',
+		mode: '',
+		dry_run: false,
+		total: 0,
+		processed: 0,
+		percentage: 0,
+		applied: 0,
+		failed: 0,
+		results: [],
+	};
+
+	/**
+	 * Build a selection adapter around a list of IDs.
+	 *
+	 * @param {number[]} ids - Selected attachment IDs.
+	 * @return {Object} Selection adapter.
+	 */
+	const createSelection = (ids) => {
+		let listener = null;
+		const selection = {
+			ids,
+			getIds: () => selection.ids,
+			subscribe: (callback) => {
+				listener = callback;
+				return () => {
+					listener = null;
+				};
+			},
+			select: (newIds) => {
+				selection.ids = newIds;
+				listener();
+			},
+		};
+		return selection;
+	};
+
+	beforeEach(() => {
+		vi.clearAllMocks();
+	});
+
+	it('should render nothing in the list view while no scan runs', async () => {
+		apiFetch.mockResolvedValue(idleStatus);
+
+		const { container } = render(
+			<MediaLibraryScan selection={null} scannerUrl="/scanner" />
+		);
+
+		await waitFor(() => expect(apiFetch).toHaveBeenCalled());
+		expect(container).toBeEmptyDOMElement();
+	});
+
+	it('should start a scan of exactly the selected media', async () => {
+		apiFetch.mockImplementation(({ path }) =>
+			Promise.resolve(
+				path === '/vmfa/v1/scan'
+					? { success: true, total: 2 }
+					: idleStatus
+			)
+		);
+
+		const selection = createSelection([]);
+		render(
+			<MediaLibraryScan selection={selection} scannerUrl="/scanner" />
+		);
+
+		const button = await screen.findByText('Organize 0 Selected with AI');
+		expect(button).toBeDisabled();
+
+		act(() => selection.select([12, 15]));
+		fireEvent.click(await screen.findByText('Organize 2 Selected with AI'));
+
+		await waitFor(() => {
+			expect(apiFetch).toHaveBeenCalledWith({
+				path: '/vmfa/v1/scan',
+				method: 'POST',
+				data: {
+					mode: 'reanalyze_all',
+					dry_run: true,
+					attachment_ids: [12, 15],
+				},
+			});
+		});
+	});
+
+	it('should show compact progress while a scan runs', async () => {
+		apiFetch.mockResolvedValue({
+			...idleStatus,
+			status: 'running',
+			total: 40,
+			processed: 10,
+			percentage: 25,
+		});
+
+		render(<MediaLibraryScan selection={null} scannerUrl="/scanner" />);
+
+		expect(
+			await screen.findByText('Organizing with AI: 10 of 40')
+		).toBeInTheDocument();
+		expect(screen.getByText('Cancel')).toBeInTheDocument();
+	});
+});
@@ -0,0 +1,85 @@
+/**
+ * Tests for NewFoldersEditor component.
+ *
+ * @package
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { NewFoldersEditor } from '../components/NewFoldersEditor';
+
+describe('NewFoldersEditor', () => {
+	const newFolders = ['Landscapes', 'Scenery', 'Travel'];
+	const folders = [{ id: 7, path: 'Nature' }];
+
+	it('should rename a proposed folder', async () => {
+		const onMerge = vi.fn().mockResolvedValue({ message: 'Moved 3' });
+		render(
+			<NewFoldersEditor
+				newFolders={newFolders}
+				folders={folders}
+				onMerge={onMerge}
+			/>
+		);
+
+		fireEvent.click(screen.getAllByText('Rename')[0]);
+		fireEvent.change(screen.getByLabelText('New path for Landscapes'), {
+			target: { value: 'Nature/Landscapes' },
+		});
+		fireEvent.click(screen.getByText('Save'));
+
+		expect(onMerge).toHaveBeenCalledWith(['Landscapes'], {
+			target_path: 'Nature/Landscapes',
+		});
+		expect(await screen.findByText('Moved 3')).toBeInTheDocument();
+	});
+
+	it('should merge selected folders into an existing folder', async () => {
+		const onMerge = vi.fn().mockResolvedValue({});
+		render(
+			<NewFoldersEditor
+				newFolders={newFolders}
+				folders={folders}
+				onMerge={onMerge}
+			/>
+		);
+
+		fireEvent.click(screen.getByLabelText('Select Landscapes'));
+		fireEvent.click(screen.getByLabelText('Select Scenery'));
+		fireEvent.change(
+			screen.getByRole('combobox', { name: 'Merge selected into' }),
+			{ target: { value: 'folder:7' } }
+		);
+		fireEvent.click(screen.getByText('Merge 2 folders'));
+
+		expect(onMerge).toHaveBeenCalledWith(['Landscapes', 'Scenery'], {
+			folder_id: 7,
+		});
+		await waitFor(() =>
+			expect(screen.queryByText('Merge 2 folders')).toBeNull()
+		);
+	});
+
+	it('should show the error when merging fails', async () => {
+		const onMerge = vi
+			.fn()
+			.mockRejectedValue(new Error('Please enter a folder name.'));
+		render(
+			<NewFoldersEditor
+				newFolders={newFolders}
+				folders={folders}
+				onMerge={onMerge}
+			/>
+		);
+
+		fireEvent.click(screen.getByLabelText('Select Travel'));
+		fireEvent.change(screen.getByLabelText('New folder path'), {
+			target: { value: '   /' },
+		});
+		fireEvent.click(screen.getByText('Merge 1 folders'));
+
+		expect(
+			await screen.findByText('Please enter a folder name.')
+		).toBeInTheDocument();
+	});
+});
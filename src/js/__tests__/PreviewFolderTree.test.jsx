@@ -0,0 +1,80 @@
+/**
+ * Tests for PreviewFolderTree component.
+ *
+ * @package
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import apiFetch from '@wordpress/api-fetch';
+import { PreviewFolderTree } from '../components/PreviewFolderTree';
+
+vi.mock('@wordpress/api-fetch');
+
+describe('PreviewFolderTree', () => {
+	const tree = [
+		{
+			name: 'Nature',
+			path: 'Nature',
+			folder_id: 5,
+			is_new: false,
+			count: 1,
+			total: 3,
+			children: [
+				{
+					name: 'Landscapes',
+					path: 'Nature/Landscapes',
+					folder_id: null,
+					is_new: true,
+					count: 2,
+					total: 2,
+					children: [],
+				},
+			],
+		},
+	];
+
+	beforeEach(() => {
+		vi.clearAllMocks();
+		apiFetch.mockImplementation(({ path }) => {
+			if (path === '/vmfa/v1/scan/cached-tree') {
+				return Promise.resolve({ tree });
+			}
+			if (path.includes('folder=Nature%2FLandscapes')) {
+				return Promise.resolve({
+					results: [
+						{ attachment_id: 21, filename: 'lake.jpg' },
+						{ attachment_id: 22, filename: 'valley.jpg' },
+					],
+					total: 2,
+				});
+			}
+			return Promise.resolve({
+				results: [{ attachment_id: 20, filename: 'forest.jpg' }],
+				total: 1,
+			});
+		});
+	});
+
+	it('should render root nodes with incoming counts', async () => {
+		render(<PreviewFolderTree />);
+
+		expect(await screen.findByText('Nature')).toBeInTheDocument();
+		expect(screen.getByText('+1 / 3')).toBeInTheDocument();
+		expect(screen.queryByText('Landscapes')).not.toBeInTheDocument();
+	});
+
+	it('should expand a node to show subfolders and incoming images', async () => {
+		render(<PreviewFolderTree />);
+
+		fireEvent.click(await screen.findByText('Nature'));
+		fireEvent.click(screen.getByText('Landscapes'));
+
+		expect(screen.getByText('New')).toBeInTheDocument();
+		expect(await screen.findByText('lake.jpg')).toBeInTheDocument();
+		expect(apiFetch).toHaveBeenCalledWith({
+			path: '/vmfa/v1/scan/cached-results?page=1&per_page=100&orderby=filename&order=asc&folder=Nature%2FLandscapes',
+			method: 'GET',
+		});
+	});
+});
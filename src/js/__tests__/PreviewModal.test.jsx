@@ -0,0 +1,172 @@
+/**
+ * Tests for PreviewModal component.
+ *
+ * @package
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import apiFetch from '@wordpress/api-fetch';
+import { PreviewModal } from '../components/PreviewModal';
+
+vi.mock('@wordpress/api-fetch');
+
+describe('PreviewModal', () => {
+	const results = [
+		{
+			attachment_id: 11,
+			filename: 'sparrow.jpg',
+			action: 'assign',
+			folder_id: 3,
+			folder_name: 'Animals/Birds',
+			confidence: 0.9,
+			reason: 'A sparrow',
+		},
+		{
+			attachment_id: 12,
+			filename: 'mountain.jpg',
+			action: 'create',
+			new_folder_path: 'Nature/Landscapes',
+			confidence: 0.7,
+			reason: 'A mountain',
+		},
+		{
+			attachment_id: 13,
+			filename: 'blur.jpg',
+			action: 'skip',
+			confidence: 0,
+			reason: 'Unclear',
+		},
+	];
+
+	beforeEach(() => {
+		vi.clearAllMocks();
+		apiFetch.mockImplementation(({ path }) => {
+			if (path === '/vmfa/v1/folders') {
+				return Promise.resolve({
+					folders: [
+						{ id: 3, path: 'Animals/Birds' },
+						{ id: 4, path: 'Animals/Insects' },
+					],
+				});
+			}
+			return Promise.resolve({
+				results,
+				total: 3,
+				pages: 1,
+				page: 1,
+				summary: {
+					assign: 1,
+					create: 1,
+					skip: 1,
+					new_folders: ['Nature/Landscapes'],
+				},
+			});
+		});
+	});
+
+	it('should request the first sorted page of cached results', async () => {
+		render(<PreviewModal onClose={vi.fn()} onApply={vi.fn()} />);
+
+		await screen.findByText('sparrow.jpg');
+
+		expect(apiFetch).toHaveBeenCalledWith({
+			path: '/vmfa/v1/scan/cached-results?page=1&per_page=50&orderby=folder&order=asc',
+			method: 'GET',
+		});
+	});
+
+	it('should re-query when sorting and filtering', async () => {
+		render(<PreviewModal onClose={vi.fn()} onApply={vi.fn()} />);
+
+		await screen.findByText('sparrow.jpg');
+
+		fireEvent.click(screen.getByRole('button', { name: 'Confidence' }));
+		fireEvent.change(screen.getByRole('combobox', { name: 'Action' }), {
+			target: { value: 'create' },
+		});
+
+		await waitFor(() => {
+			expect(apiFetch).toHaveBeenCalledWith({
+				path: '/vmfa/v1/scan/cached-results?page=1&per_page=50&orderby=confidence&order=asc&action=create',
+				method: 'GET',
+			});
+		});
+	});
+
+	it('should apply everything by default', async () => {
+		const onApply = vi.fn();
+		render(<PreviewModal onClose={vi.fn()} onApply={onApply} />);
+
+		await screen.findByText('sparrow.jpg');
+		fireEvent.click(screen.getByText('Apply 2 Changes'));
+
+		expect(onApply).toHaveBeenCalledWith({ exclude: [], overrides: [] });
+	});
+
+	it('should apply exclusions and re-targeted folders', async () => {
+		const onApply = vi.fn();
+		render(<PreviewModal onClose={vi.fn()} onApply={onApply} />);
+
+		await screen.findAllByText('Animals/Insects');
+
+		fireEvent.click(screen.getByLabelText('Include #12'));
+		fireEvent.change(
+			screen.getByRole('combobox', { name: 'Target folder for #11' }),
+			{
+				target: { value: 'folder:4' },
+			}
+		);
+		fireEvent.click(screen.getByText('Apply 1 Changes'));
+
+		expect(onApply).toHaveBeenCalledWith({
+			exclude: [12],
+			overrides: [{ attachment_id: 11, folder_id: 4 }],
+		});
+	});
+
+	it('should disable apply when nothing is selected', async () => {
+		render(<PreviewModal onClose={vi.fn()} onApply={vi.fn()} />);
+
+		await screen.findByText('sparrow.jpg');
+		fireEvent.click(screen.getByLabelText('Select all on this page'));
+
+		expect(screen.getByText('Apply 0 Changes')).toBeDisabled();
+	});
+
+	it('should download the full results as CSV', async () => {
+		const blob = new Blob(['attachment_id\n11\n']);
+		const fileResponse = {
+			blob: () => Promise.resolve(blob),
+			headers: {
+				get: () => 'attachment; filename="vmfa-preview.csv"',
+			},
+		};
+		const defaultImplementation = apiFetch.getMockImplementation();
+		apiFetch.mockImplementation((options) =>
+			options.parse === false
+				? Promise.resolve(fileResponse)
+				: defaultImplementation(options)
+		);
+		window.URL.createObjectURL = vi.fn(() => 'blob:preview');
+		window.URL.revokeObjectURL = vi.fn();
+		const click = vi
+			.spyOn(window.HTMLAnchorElement.prototype, 'click')
+			.mockImplementation(() => {});
+
+		render(<PreviewModal onClose={vi.fn()} onApply={vi.fn()} />);
+
+		await screen.findByText('sparrow.jpg');
+		fireEvent.click(screen.getByRole('button', { name: 'Download CSV' }));
+
+		await waitFor(() => expect(click).toHaveBeenCalled());
+		expect(apiFetch).toHaveBeenCalledWith({
+			path: '/vmfa/v1/scan/cached-results/export?format=csv',
+			method: 'GET',
+			parse: false,
+		});
+		expect(window.URL.createObjectURL).toHaveBeenCalledWith(blob);
+
+		click.mockRestore();
+	});
+});
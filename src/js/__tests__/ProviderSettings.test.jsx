@@ -0,0 +1,322 @@
+/**
+ * Tests for ProviderSettings component.
+ *
+ * @package
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import apiFetch from '@wordpress/api-fetch';
+import {
+	ProviderSettings,
+	getModelOptions,
+	getCloudModelOptions,
+	getFallbackOrder,
+} from '../components/ProviderSettings';
+
+vi.mock('@wordpress/api-fetch');
+
+const providers = {
+	openai: 'OpenAI',
+	anthropic: 'Anthropic Claude',
+	ollama: 'Ollama (Local)',
+	exo: 'Exo (Distributed Local)',
+};
+
+/**
+ * Build the tab data.
+ *
+ * @param {Object} values - Saved values overriding the defaults.
+ * @param {Object} locked - Locked settings.
+ * @return {Object} Tab data.
+ */
+function getSettings(values = {}, locked = {}) {
+	return {
+		optionName: 'vmfa_ai_organizer_settings',
+		values: {
+			ai_provider: 'openai',
+			openai_type: 'openai',
+			openai_key: '',
+			openai_model: 'gpt-4o-mini',
+			azure_endpoint: '',
+			azure_api_version: '2024-02-15-preview',
+			anthropic_key: '',
+			anthropic_model: 'claude-3-haiku-20240307',
+			ollama_url: 'http://localhost:11434',
+			ollama_model: 'llava',
+			ollama_timeout: 120,
+			exo_endpoint: '',
+			exo_model: '',
+			fallback_providers: '',
+			...values,
+		},
+		locked,
+		models: {
+			anthropic: {
+				'claude-3-haiku-20240307': 'Claude 3 Haiku (Fast, Affordable)',
+				'claude-3-5-sonnet-latest': 'Claude 3.5 Sonnet (Latest)',
+			},
+		},
+	};
+}
+
+describe('ProviderSettings', () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+	});
+
+	it('should only show the fields of the selected provider', () => {
+		const { container } = render(
+			<ProviderSettings providers={providers} settings={getSettings()} />
+		);
+
+		const groups = container.querySelectorAll('.vmfa-provider-group');
+		const visible = [...groups].filter((group) => !group.hidden);
+
+		expect(visible).toHaveLength(1);
+		expect(visible[0]).toContainElement(screen.getByLabelText('API Key'));
+
+		fireEvent.change(screen.getByLabelText('Provider'), {
+			target: { value: 'anthropic' },
+		});
+
+		expect(
+			screen
+				.getByLabelText('Anthropic Model')
+				.closest('.vmfa-provider-group').hidden
+		).toBe(false);
+		expect(
+			screen.getByLabelText('API Key').closest('.vmfa-provider-group')
+				.hidden
+		).toBe(true);
+	});
+
+	it('should name the fields for the settings form', () => {
+		render(
+			<ProviderSettings providers={providers} settings={getSettings()} />
+		);
+
+		expect(screen.getByLabelText('Provider')).toHaveAttribute(
+			'name',
+			'vmfa_ai_organizer_settings[ai_provider]'
+		);
+		expect(screen.getByLabelText('API Key')).toHaveAttribute(
+			'type',
+			'password'
+		);
+		expect(screen.getByLabelText('Anthropic Model')).toHaveValue(
+			'claude-3-haiku-20240307'
+		);
+	});
+
+	it('should show the Azure fields for Azure OpenAI', () => {
+		render(
+			<ProviderSettings providers={providers} settings={getSettings()} />
+		);
+
+		const endpoint = screen.getByLabelText('Azure Endpoint');
+		expect(endpoint.closest('.vmfa-azure-fields').hidden).toBe(true);
+
+		fireEvent.change(screen.getByLabelText('OpenAI Type'), {
+			target: { value: 'azure' },
+		});
+
+		expect(endpoint.closest('.vmfa-azure-fields').hidden).toBe(false);
+		expect(screen.getByLabelText('Model / Deployment')).toHaveAttribute(
+			'placeholder',
+			'your-deployment-name'
+		);
+	});
+
+	it('should disable locked settings and show their source', () => {
+		render(
+			<ProviderSettings
+				providers={providers}
+				settings={getSettings({}, { openai_key: 'const' })}
+			/>
+		);
+
+		expect(screen.getByLabelText('API Key')).toBeDisabled();
+		expect(screen.getByText('🔒 Constant')).toBeInTheDocument();
+	});
+
+	it('should submit the checked fallback providers in order', () => {
+		const { container } = render(
+			<ProviderSettings
+				providers={providers}
+				settings={getSettings({ fallback_providers: 'anthropic' })}
+			/>
+		);
+		const field = container.querySelector(
+			'input[name="vmfa_ai_organizer_settings[fallback_providers]"]'
+		);
+
+		expect(field).toHaveValue('anthropic');
+
+		fireEvent.click(screen.getByLabelText('Ollama (Local)'));
+		fireEvent.click(screen.getByLabelText('Move Ollama (Local) up'));
+
+		expect(field).toHaveValue('ollama,anthropic');
+
+		fireEvent.click(screen.getByLabelText('Anthropic Claude'));
+
+		expect(field).toHaveValue('ollama');
+	});
+
+	it('should load Ollama models into the dropdown', async () => {
+		apiFetch.mockResolvedValue({
+			models: [
+				{ id: 'llava:13b', name: 'llava:13b' },
+				{ id: 'moondream', name: 'moondream' },
+			],
+		});
+
+		render(
+			<ProviderSettings
+				providers={providers}
+				settings={getSettings({ ai_provider: 'ollama' })}
+			/>
+		);
+
+		// Ollama's button comes before Exo's.
+		fireEvent.click(screen.getAllByText('Refresh Models')[0]);
+
+		await waitFor(() => {
+			expect(screen.getByText('moondream')).toBeInTheDocument();
+		});
+
+		expect(apiFetch).toHaveBeenCalledWith({
+			path: '/vmfa/v1/ollama-models',
+			method: 'POST',
+			data: { endpoint: 'http://localhost:11434' },
+		});
+		// The saved model stays selectable.
+		expect(screen.getByLabelText('Ollama Model')).toHaveValue('llava');
+		expect(screen.getByRole('status')).toHaveTextContent('Connected');
+	});
+
+	it('should load cloud models and hide those without vision', async () => {
+		apiFetch.mockResolvedValue({
+			models: [
+				{
+					id: 'claude-3-5-sonnet-latest',
+					name: 'Claude Sonnet 3.5',
+					vision: true,
+				},
+				{ id: 'claude-2.1', name: 'Claude 2.1', vision: false },
+			],
+		});
+
+		const { container } = render(
+			<ProviderSettings
+				providers={providers}
+				settings={getSettings({
+					ai_provider: 'anthropic',
+					anthropic_key: 'sk-ant-test',
+				})}
+			/>
+		);
+
+		// OpenAI's button comes before Anthropic's.
+		fireEvent.click(screen.getAllByText('Load Models')[1]);
+
+		await waitFor(() => {
+			expect(
+				screen.getByText('Claude Sonnet 3.5 (vision)')
+			).toBeInTheDocument();
+		});
+
+		expect(apiFetch).toHaveBeenCalledWith({
+			path: '/vmfa/v1/anthropic-models',
+			method: 'POST',
+			data: { api_key: 'sk-ant-test' },
+		});
+		expect(screen.queryByText('Claude 2.1')).not.toBeInTheDocument();
+
+		fireEvent.click(
+			screen.getByLabelText('Only show models that can read images')
+		);
+		expect(screen.getByText('Claude 2.1')).toBeInTheDocument();
+
+		fireEvent.change(screen.getByLabelText('Anthropic Model'), {
+			target: { value: 'claude-3-5-sonnet-latest' },
+		});
+		expect(
+			container.querySelector(
+				'input[name="vmfa_ai_organizer_settings[anthropic_model]"]'
+			)
+		).toHaveValue('claude-3-5-sonnet-latest');
+	});
+
+	it('should report a failed Exo connection check', async () => {
+		apiFetch.mockResolvedValue({
+			status: 'error',
+			message: 'HTTP 502: Unable to connect to Exo',
+		});
+
+		render(
+			<ProviderSettings
+				providers={providers}
+				settings={getSettings({
+					ai_provider: 'exo',
+					exo_endpoint: 'http://localhost:52415',
+				})}
+			/>
+		);
+
+		fireEvent.click(screen.getByText('Check Connection'));
+
+		await waitFor(() => {
+			expect(
+				screen.getByText(/HTTP 502: Unable to connect to Exo/)
+			).toBeInTheDocument();
+		});
+
+		expect(apiFetch).toHaveBeenCalledWith({
+			path: '/vmfa/v1/exo-health',
+			method: 'POST',
+			data: { endpoint: 'http://localhost:52415' },
+		});
+	});
+});
+
+describe('getCloudModelOptions', () => {
+	it('should keep the current model when it has no vision', () => {
+		const options = getCloudModelOptions(
+			[
+				{ id: 'gpt-4o', name: 'gpt-4o', vision: true },
+				{ id: 'gpt-3.5-turbo', name: 'gpt-3.5-turbo', vision: false },
+			],
+			'gpt-3.5-turbo',
+			true
+		);
+
+		expect(options).toEqual([
+			{ value: 'gpt-4o', label: 'gpt-4o (vision)' },
+			{ value: 'gpt-3.5-turbo', label: 'gpt-3.5-turbo' },
+		]);
+	});
+});
+
+describe('getModelOptions', () => {
+	it('should keep a saved model that is not in the list', () => {
+		const options = getModelOptions({ 'gpt-4o': 'GPT-4o' }, 'gpt-5');
+
+		expect(options.map((option) => option.value)).toEqual([
+			'gpt-5',
+			'gpt-4o',
+		]);
+	});
+});
+
+describe('getFallbackOrder', () => {
+	it('should drop the primary, unknown and repeated providers', () => {
+		expect(
+			getFallbackOrder(
+				'anthropic, openai,acme,ollama,anthropic',
+				Object.keys(providers),
+				'openai'
+			)
+		).toEqual(['anthropic', 'ollama']);
+	});
+});
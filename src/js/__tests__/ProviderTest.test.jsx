@@ -0,0 +1,117 @@
+/**
+ * Tests for ProviderTest component.
+ *
+ * @package
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import apiFetch from '@wordpress/api-fetch';
+import { ProviderTest, getResultFolder } from '../components/ProviderTest';
+
+vi.mock('@wordpress/api-fetch');
+
+describe('ProviderTest', () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+	});
+
+	it('should show the latency and parsed result of a passing test', async () => {
+		apiFetch.mockResolvedValue({
+			success: true,
+			message: 'OpenAI answered in 812 ms.',
+			provider: 'openai',
+			model: 'gpt-4o-mini',
+			latency_ms: 812,
+			result: {
+				action: 'new',
+				new_folder_path: 'Nature/Landscapes',
+				confidence: 0.9,
+				reason: 'Sky over grass.',
+			},
+			error: null,
+		});
+
+		render(<ProviderTest provider="openai" />);
+
+		fireEvent.click(screen.getByText('Test Connection'));
+
+		await waitFor(() => {
+			expect(screen.getByRole('status')).toHaveTextContent(
+				'OpenAI answered in 812 ms.'
+			);
+		});
+
+		expect(apiFetch).toHaveBeenCalledWith({
+			path: '/vmfa/v1/provider/test',
+			method: 'POST',
+			data: { provider: 'openai' },
+		});
+		expect(screen.getByText('Latency: 812 ms')).toBeInTheDocument();
+		expect(screen.getByText('Model: gpt-4o-mini')).toBeInTheDocument();
+		expect(
+			screen.getByText('Action: new (90% confidence)')
+		).toBeInTheDocument();
+		expect(
+			screen.getByText('Folder: Nature/Landscapes')
+		).toBeInTheDocument();
+	});
+
+	it('should show the raw error of a failing test', async () => {
+		apiFetch.mockResolvedValue({
+			success: false,
+			message: 'Anthropic Claude returned an error: HTTP 401',
+			provider: 'anthropic',
+			model: 'claude-3-haiku-20240307',
+			latency_ms: 95,
+			result: { action: 'skip', confidence: 0, reason: 'API error' },
+			error: 'HTTP 401: invalid x-api-key',
+		});
+
+		render(<ProviderTest provider="anthropic" />);
+
+		fireEvent.click(screen.getByText('Test Connection'));
+
+		await waitFor(() => {
+			expect(
+				screen.getByText('HTTP 401: invalid x-api-key')
+			).toBeInTheDocument();
+		});
+
+		expect(screen.getByRole('status')).toHaveClass('is-error');
+	});
+
+	it('should show a request error', async () => {
+		apiFetch.mockRejectedValue(
+			new Error('Grok is not configured. Save its settings first.')
+		);
+
+		render(<ProviderTest provider="grok" />);
+
+		fireEvent.click(screen.getByText('Test Connection'));
+
+		await waitFor(() => {
+			expect(screen.getByRole('status')).toHaveTextContent(
+				'Grok is not configured. Save its settings first.'
+			);
+		});
+	});
+
+	it('should warn that unsaved changes are not tested', () => {
+		render(<ProviderTest provider="openai" unsaved />);
+
+		expect(
+			screen.getByText(/The test uses the saved settings/)
+		).toBeInTheDocument();
+	});
+});
+
+describe('getResultFolder', () => {
+	it('should prefer the new folder path', () => {
+		expect(
+			getResultFolder({ folder_path: 'Old', new_folder_path: 'New' })
+		).toBe('New');
+		expect(getResultFolder({ folder_path: 'Old' })).toBe('Old');
+		expect(getResultFolder(null)).toBe('');
+	});
+});
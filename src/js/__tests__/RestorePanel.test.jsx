@@ -0,0 +1,147 @@
+/**
+ * Tests for RestorePanel component.
+ *
+ * @package
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import apiFetch from '@wordpress/api-fetch';
+import { RestorePanel } from '../components/RestorePanel';
+
+vi.mock('@wordpress/api-fetch');
+
+describe('RestorePanel', () => {
+	const snapshots = [
+		{
+			id: 'b2',
+			label: 'Before applying scan',
+			source: 'scan',
+			scan_mode: 'reorganize_all',
+			timestamp: 1760000000,
+			folder_count: 4,
+			assignment_count: 12,
+		},
+		{
+			id: 'a1',
+			label: 'Before cleanup',
+			source: 'manual',
+			scan_mode: null,
+			timestamp: 1750000000,
+			folder_count: 3,
+			assignment_count: 9,
+		},
+	];
+
+	beforeEach(() => {
+		vi.clearAllMocks();
+		apiFetch.mockImplementation(({ path, method }) => {
+			if (path === '/vmfa/v1/backup' && method === 'GET') {
+				return Promise.resolve({ exists: true, snapshots });
+			}
+			if (path === '/vmfa/v1/restore') {
+				return Promise.resolve({
+					folders_restored: 3,
+					assignments_restored: 9,
+				});
+			}
+			return Promise.resolve({ success: true });
+		});
+	});
+
+	it('should list snapshots with their scan and counts', async () => {
+		render(<RestorePanel onRestore={vi.fn()} />);
+
+		expect(
+			await screen.findByText('Before applying scan')
+		).toBeInTheDocument();
+		expect(screen.getByText('Before cleanup')).toBeInTheDocument();
+		expect(
+			screen.getByText('Reorganize All (Reset & Rebuild)')
+		).toBeInTheDocument();
+		expect(screen.getByText('12')).toBeInTheDocument();
+	});
+
+	it('should restore the chosen snapshot after confirmation', async () => {
+		const onRestore = vi.fn();
+		render(<RestorePanel onRestore={onRestore} />);
+
+		await screen.findByText('Before cleanup');
+		fireEvent.click(screen.getAllByRole('button', { name: 'Restore' })[1]);
+		fireEvent.click(
+			screen.getByRole('button', { name: 'Yes, Restore Snapshot' })
+		);
+
+		await waitFor(() => expect(onRestore).toHaveBeenCalled());
+		expect(apiFetch).toHaveBeenCalledWith({
+			path: '/vmfa/v1/restore',
+			method: 'POST',
+			data: { id: 'a1' },
+		});
+	});
+
+	it('should create and delete snapshots', async () => {
+		render(<RestorePanel onRestore={vi.fn()} />);
+
+		await screen.findByText('Before cleanup');
+		fireEvent.change(screen.getByLabelText('Snapshot label'), {
+			target: { value: 'Before import' },
+		});
+		fireEvent.click(
+			screen.getByRole('button', { name: 'Create Snapshot' })
+		);
+
+		await screen.findByText('Snapshot created.');
+		expect(apiFetch).toHaveBeenCalledWith({
+			path: '/vmfa/v1/backup',
+			method: 'POST',
+			data: { label: 'Before import' },
+		});
+
+		fireEvent.click(screen.getAllByRole('button', { name: 'Delete' })[0]);
+
+		await screen.findByText('Snapshot deleted.');
+		expect(apiFetch).toHaveBeenCalledWith({
+			path: '/vmfa/v1/backup/b2',
+			method: 'DELETE',
+		});
+		expect(screen.queryByText('Before applying scan')).toBeNull();
+	});
+
+	it('should upload a backup file as a new snapshot', async () => {
+		apiFetch.mockImplementation(({ path, method }) => {
+			if (path === '/vmfa/v1/backup' && method === 'GET') {
+				return Promise.resolve({ exists: true, snapshots });
+			}
+			return Promise.resolve({
+				success: true,
+				message:
+					'Uploaded backup with 3 folders and 8 assignments (1 attachments not found).',
+				missing: 1,
+			});
+		});
+		render(<RestorePanel onRestore={vi.fn()} />);
+
+		await screen.findByText('Before cleanup');
+		const content = '{"format":"vmfa-backup","version":1}';
+		fireEvent.change(screen.getByLabelText('Upload Backup…'), {
+			target: {
+				files: [
+					{
+						name: 'vmfa-backup.json',
+						text: () => Promise.resolve(content),
+					},
+				],
+			},
+		});
+
+		expect(
+			await screen.findByText(/Uploaded backup with 3 folders/)
+		).toBeInTheDocument();
+		expect(apiFetch).toHaveBeenCalledWith({
+			path: '/vmfa/v1/backup/upload',
+			method: 'POST',
+			data: { content },
+		});
+	});
+});
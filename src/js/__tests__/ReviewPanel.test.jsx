@@ -0,0 +1,141 @@
+/**
+ * Tests for ReviewPanel component.
+ *
+ * @package
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import apiFetch from '@wordpress/api-fetch';
+import { ReviewPanel } from '../components/ReviewPanel';
+
+vi.mock('@wordpress/api-fetch');
+
+describe('ReviewPanel', () => {
+	let queue;
+
+	beforeEach(() => {
+		vi.clearAllMocks();
+		queue = [
+			{
+				attachment_id: 42,
+				filename: 'beach.jpg',
+				action: 'assign',
+				folder_id: 3,
+				folder_name: 'Travel',
+				confidence: 0.55,
+				reason: 'Sand and sea',
+				source: 'scan',
+			},
+			{
+				attachment_id: 43,
+				filename: 'dog.jpg',
+				action: 'create',
+				folder_id: null,
+				new_folder_path: 'Pets/Dogs',
+				confidence: 0.4,
+				reason: 'A dog',
+				source: 'upload',
+			},
+		];
+		apiFetch.mockImplementation(({ path, data }) => {
+			if (path === '/vmfa/v1/review') {
+				return Promise.resolve({ items: queue });
+			}
+			if (path === '/vmfa/v1/folders') {
+				return Promise.resolve({
+					folders: [
+						{ id: 3, path: 'Travel' },
+						{ id: 9, path: 'Nature' },
+					],
+				});
+			}
+			if (path === '/vmfa/v1/review/approve') {
+				queue = queue.filter(
+					(item) =>
+						!data.items.some(
+							(approved) =>
+								approved.attachment_id === item.attachment_id
+						)
+				);
+				return Promise.resolve({
+					success: true,
+					message: 'Approved 1 media files (0 failed).',
+					applied: 1,
+					failed: 0,
+				});
+			}
+			return Promise.resolve({
+				success: true,
+				message: 'Rejected 2 suggestions.',
+				rejected: 2,
+			});
+		});
+	});
+
+	it('should render nothing when no suggestions are waiting', async () => {
+		queue = [];
+		const { container } = render(<ReviewPanel refreshKey="a" />);
+
+		await waitFor(() => {
+			expect(apiFetch).toHaveBeenCalled();
+		});
+		expect(container).toBeEmptyDOMElement();
+	});
+
+	it('should approve a selected item to the chosen folder', async () => {
+		const onChange = vi.fn();
+		render(<ReviewPanel refreshKey="a" onChange={onChange} />);
+
+		await waitFor(() => {
+			expect(screen.getByText('Needs review (2)')).toBeInTheDocument();
+		});
+		await waitFor(() => {
+			expect(screen.getAllByText('Nature')).toHaveLength(2);
+		});
+
+		fireEvent.change(screen.getByLabelText('Target folder for #42'), {
+			target: { value: '9' },
+		});
+		fireEvent.click(screen.getByLabelText('Select #42'));
+		fireEvent.click(screen.getByText('Approve Selected (1)'));
+
+		await waitFor(() => {
+			expect(
+				screen.getByText('Approved 1 media files (0 failed).')
+			).toBeInTheDocument();
+		});
+		expect(apiFetch).toHaveBeenCalledWith({
+			path: '/vmfa/v1/review/approve',
+			method: 'POST',
+			data: { items: [{ attachment_id: 42, folder_id: 9 }] },
+		});
+		expect(screen.getByText('Needs review (1)')).toBeInTheDocument();
+		expect(onChange).toHaveBeenCalled();
+	});
+
+	it('should reject all selected items', async () => {
+		render(<ReviewPanel refreshKey="a" />);
+
+		await waitFor(() => {
+			expect(
+				screen.getByText('Pets/Dogs (suggested)')
+			).toBeInTheDocument();
+		});
+
+		fireEvent.click(screen.getByLabelText('Select all'));
+		fireEvent.click(screen.getByText('Reject Selected'));
+
+		await waitFor(() => {
+			expect(
+				screen.getByText('Rejected 2 suggestions.')
+			).toBeInTheDocument();
+		});
+		expect(apiFetch).toHaveBeenCalledWith({
+			path: '/vmfa/v1/review/reject',
+			method: 'POST',
+			data: { ids: [42, 43] },
+		});
+		expect(screen.queryByText('beach.jpg')).not.toBeInTheDocument();
+	});
+});
@@ -5,7 +5,7 @@
  */
 
 import { describe, it, expect, vi } from 'vitest';
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import { ScanProgress } from '../components/ScanProgress';
 
 describe('ScanProgress', () => {
@@ -134,4 +134,136 @@ describe('ScanProgress', () => {
 		expect(screen.getByText('#123')).toBeInTheDocument();
 		expect(screen.getByText('90%')).toBeInTheDocument();
 	});
+
+	it('should show thumbnail and visual description of results', () => {
+		const statusWithResults = {
+			...defaultStatus,
+			results: [
+				{
+					attachment_id: 124,
+					filename: 'sparrow.jpg',
+					action: 'assign',
+					folder_name: 'Animals/Birds',
+					reason: 'Looks like a bird',
+					confidence: 0.9,
+					thumbnail_url: 'https://example.com/sparrow-150x150.jpg',
+					visual_description: 'A small brown bird on a branch',
+				},
+			],
+		};
+
+		render(
+			<ScanProgress
+				status={statusWithResults}
+				onCancel={vi.fn()}
+				onReset={vi.fn()}
+				isLoading={false}
+			/>
+		);
+
+		expect(
+			screen.getByAltText('A small brown bird on a branch')
+		).toHaveAttribute('src', 'https://example.com/sparrow-150x150.jpg');
+
+		fireEvent.click(screen.getByText('sparrow.jpg'));
+
+		expect(screen.getByText('Description:')).toBeInTheDocument();
+	});
+
+	it('should show which provider answered in place of a failed one', () => {
+		window.vmfaAiOrganizer = {
+			providers: { openai: 'OpenAI', anthropic: 'Anthropic Claude' },
+		};
+
+		render(
+			<ScanProgress
+				status={{
+					...defaultStatus,
+					results: [
+						{
+							attachment_id: 125,
+							filename: 'fox.jpg',
+							action: 'assign',
+							folder_name: 'Animals',
+							reason: 'A fox',
+							confidence: 0.8,
+							provider: 'anthropic',
+							fallback_from: 'openai',
+						},
+					],
+				}}
+				onCancel={vi.fn()}
+				onReset={vi.fn()}
+				isLoading={false}
+			/>
+		);
+
+		expect(screen.getByText('Anthropic Claude')).toHaveAttribute(
+			'title',
+			'Answered by Anthropic Claude because OpenAI failed.'
+		);
+
+		fireEvent.click(screen.getByText('fox.jpg'));
+
+		expect(
+			screen.getByText('Anthropic Claude (fallback for OpenAI)')
+		).toBeInTheDocument();
+
+		delete window.vmfaAiOrganizer;
+	});
+
+	it('should undo a completed run after confirmation', async () => {
+		const onUndo = vi.fn(() => Promise.resolve());
+		const completedStatus = {
+			...defaultStatus,
+			status: 'completed',
+			processed: 100,
+			percentage: 100,
+			applied: 12,
+			undo: {
+				id: 'run-1',
+				undoable: true,
+				undone_at: null,
+				moved: 12,
+				created_folders: 2,
+			},
+		};
+
+		render(
+			<ScanProgress
+				status={completedStatus}
+				onCancel={vi.fn()}
+				onReset={vi.fn()}
+				onUndo={onUndo}
+				isLoading={false}
+			/>
+		);
+
+		fireEvent.click(screen.getByText('Undo this run'));
+		expect(
+			screen.getByText(/moves 12 media back .* removes the 2 folders/)
+		).toBeInTheDocument();
+
+		fireEvent.click(screen.getByText('Yes, Undo Run'));
+		await waitFor(() => expect(onUndo).toHaveBeenCalled());
+	});
+
+	it('should not offer undo for previews', () => {
+		render(
+			<ScanProgress
+				status={{
+					...defaultStatus,
+					status: 'completed',
+					dry_run: true,
+					undo: { undoable: true },
+				}}
+				onCancel={vi.fn()}
+				onReset={vi.fn()}
+				onUndo={vi.fn()}
+				isLoading={false}
+			/>
+		);
+
+		expect(screen.queryByText('Undo this run')).toBeNull();
+	});
 });
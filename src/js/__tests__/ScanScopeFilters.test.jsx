@@ -0,0 +1,88 @@
+/**
+ * Tests for ScanScopeFilters component.
+ *
+ * @package
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import apiFetch from '@wordpress/api-fetch';
+import {
+	ScanScopeFilters,
+	EMPTY_SCOPE,
+	getScopeParams,
+} from '../components/ScanScopeFilters';
+
+vi.mock('@wordpress/api-fetch');
+
+describe('ScanScopeFilters', () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+		apiFetch.mockImplementation(({ path }) => {
+			if (path === '/vmfa/v1/folders') {
+				return Promise.resolve({
+					folders: [{ id: 7, path: 'Travel/Beach' }],
+				});
+			}
+			if (path.startsWith('/wp/v2/users')) {
+				return Promise.resolve([{ id: 2, name: 'Editor' }]);
+			}
+			if (path.startsWith('/vmfa/v1/scan/count')) {
+				return Promise.resolve({ count: 14 });
+			}
+			return Promise.resolve({});
+		});
+	});
+
+	it('should keep only the filters that are set', () => {
+		expect(
+			getScopeParams({
+				...EMPTY_SCOPE,
+				mime_type: 'image/png',
+				folder: '7',
+			})
+		).toEqual({ mime_type: 'image/png', folder: '7' });
+	});
+
+	it('should show the number of matching media for the scope', async () => {
+		const onCount = vi.fn();
+
+		render(
+			<ScanScopeFilters
+				mode="reanalyze_all"
+				scope={{ ...EMPTY_SCOPE, mime_type: 'image/png', author: '2' }}
+				onChange={vi.fn()}
+				onCount={onCount}
+			/>
+		);
+
+		expect(
+			await screen.findByText('14 media files match.')
+		).toBeInTheDocument();
+		expect(onCount).toHaveBeenLastCalledWith(14);
+		expect(apiFetch).toHaveBeenCalledWith({
+			path: '/vmfa/v1/scan/count?mode=reanalyze_all&mime_type=image%2Fpng&author=2',
+			method: 'GET',
+		});
+	});
+
+	it('should report filter changes', async () => {
+		const onChange = vi.fn();
+
+		render(
+			<ScanScopeFilters
+				mode="organize_unassigned"
+				scope={EMPTY_SCOPE}
+				onChange={onChange}
+				onCount={vi.fn()}
+			/>
+		);
+
+		await screen.findByText('Travel/Beach');
+		fireEvent.change(screen.getByLabelText('Source folder'), {
+			target: { value: '7' },
+		});
+
+		expect(onChange).toHaveBeenCalledWith({ ...EMPTY_SCOPE, folder: '7' });
+	});
+});
@@ -0,0 +1,165 @@
+/**
+ * Tests for SchedulePanel component.
+ *
+ * @package
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import apiFetch from '@wordpress/api-fetch';
+import { SchedulePanel } from '../components/SchedulePanel';
+
+vi.mock('@wordpress/api-fetch');
+
+describe('SchedulePanel', () => {
+	let schedules;
+
+	beforeEach(() => {
+		vi.clearAllMocks();
+		schedules = [
+			{
+				id: 'nightly',
+				mode: 'organize_unassigned',
+				dry_run: false,
+				frequency: 'daily',
+				time: '02:00',
+				day: 0,
+				cron: '',
+				window_start: '01:00',
+				window_end: '05:00',
+				enabled: true,
+				next_run: 1759280400,
+				last_run: {
+					at: 1759194000,
+					success: false,
+					message: 'Skipped: outside the time window.',
+				},
+			},
+		];
+		apiFetch.mockImplementation(({ path, method }) => {
+			if (path === '/vmfa/v1/schedules' && method === 'GET') {
+				return Promise.resolve({ schedules });
+			}
+			if (path === '/vmfa/v1/schedules' && method === 'POST') {
+				return Promise.resolve({
+					success: true,
+					message: 'Schedule created.',
+				});
+			}
+			if (path.startsWith('/vmfa/v1/schedules/')) {
+				return Promise.resolve({
+					success: true,
+					message: 'Schedule updated.',
+				});
+			}
+			if (path === '/vmfa/v1/folders') {
+				return Promise.resolve({ folders: [] });
+			}
+			if (path.startsWith('/vmfa/v1/scan/count')) {
+				return Promise.resolve({ count: 12 });
+			}
+			return Promise.resolve([]);
+		});
+	});
+
+	it('should list schedules with their window and last run', async () => {
+		render(<SchedulePanel refreshKey="a" />);
+
+		await waitFor(() => {
+			expect(screen.getByText('Daily at 02:00')).toBeInTheDocument();
+		});
+
+		expect(
+			screen.getByText('Only between 01:00 and 05:00')
+		).toBeInTheDocument();
+		expect(
+			screen.getByText('Skipped: outside the time window.')
+		).toBeInTheDocument();
+	});
+
+	it('should disable a schedule', async () => {
+		render(<SchedulePanel refreshKey="a" />);
+
+		await waitFor(() => {
+			expect(screen.getByText('Disable')).toBeInTheDocument();
+		});
+
+		fireEvent.click(screen.getByText('Disable'));
+
+		await waitFor(() => {
+			expect(apiFetch).toHaveBeenCalledWith({
+				path: '/vmfa/v1/schedules/nightly',
+				method: 'PUT',
+				data: { enabled: false },
+			});
+		});
+	});
+
+	it('should create a weekly schedule from the form', async () => {
+		schedules = [];
+		render(<SchedulePanel refreshKey="a" />);
+
+		await waitFor(() => {
+			expect(screen.getByText('No scheduled scans.')).toBeInTheDocument();
+		});
+
+		fireEvent.click(screen.getByText('Add Schedule'));
+		fireEvent.change(screen.getByLabelText('Frequency'), {
+			target: { value: 'weekly' },
+		});
+		fireEvent.change(screen.getByLabelText('Day'), {
+			target: { value: '6' },
+		});
+		fireEvent.click(screen.getByText('Save Schedule'));
+
+		await waitFor(() => {
+			expect(screen.getByText('Schedule created.')).toBeInTheDocument();
+		});
+
+		expect(apiFetch).toHaveBeenCalledWith(
+			expect.objectContaining({
+				path: '/vmfa/v1/schedules',
+				method: 'POST',
+				data: expect.objectContaining({
+					frequency: 'weekly',
+					day: 6,
+					time: '02:00',
+				}),
+			})
+		);
+	});
+
+	it('should keep Reorganize All schedules in preview mode', async () => {
+		schedules = [];
+		render(<SchedulePanel refreshKey="a" />);
+
+		await waitFor(() => {
+			expect(screen.getByText('No scheduled scans.')).toBeInTheDocument();
+		});
+
+		fireEvent.click(screen.getByText('Add Schedule'));
+		fireEvent.change(screen.getByLabelText('Scan mode'), {
+			target: { value: 'reorganize_all' },
+		});
+
+		const dryRun = screen.getByLabelText('Preview mode (dry run)');
+		expect(dryRun).toBeChecked();
+		expect(dryRun).toBeDisabled();
+
+		fireEvent.click(screen.getByText('Save Schedule'));
+
+		await waitFor(() => {
+			expect(screen.getByText('Schedule created.')).toBeInTheDocument();
+		});
+
+		expect(apiFetch).toHaveBeenCalledWith(
+			expect.objectContaining({
+				method: 'POST',
+				data: expect.objectContaining({
+					mode: 'reorganize_all',
+					dry_run: true,
+				}),
+			})
+		);
+	});
+});
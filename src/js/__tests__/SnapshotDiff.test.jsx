@@ -0,0 +1,86 @@
+/**
+ * Tests for SnapshotDiff component.
+ *
+ * @package
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import apiFetch from '@wordpress/api-fetch';
+import { SnapshotDiff } from '../components/SnapshotDiff';
+
+vi.mock('@wordpress/api-fetch');
+
+describe('SnapshotDiff', () => {
+	const diff = {
+		folders: {
+			added: [{ term_id: 7, path: 'Events/Summer' }],
+			removed: [{ term_id: 12, path: 'Misc' }],
+			renamed: [{ term_id: 3, from: 'Pics', to: 'Photos' }],
+		},
+		media: [
+			{
+				attachment_id: 42,
+				filename: 'beach.jpg',
+				from: ['Misc'],
+				to: ['Events/Summer'],
+			},
+		],
+		media_total: 3,
+		restorable: [
+			{ term_id: 7, path: 'Events/Summer' },
+			{ term_id: 3, path: 'Photos' },
+		],
+	};
+
+	beforeEach(() => {
+		vi.clearAllMocks();
+		apiFetch.mockResolvedValue(diff);
+	});
+
+	it('should list folder and media changes', async () => {
+		render(
+			<SnapshotDiff
+				snapshotId="a1"
+				isBusy={false}
+				onCancel={vi.fn()}
+				onRestore={vi.fn()}
+			/>
+		);
+
+		expect(await screen.findByText('Misc')).toBeInTheDocument();
+		expect(apiFetch).toHaveBeenCalledWith({
+			path: '/vmfa/v1/backup/a1/diff',
+			method: 'GET',
+		});
+		expect(screen.getByText('Pics → Photos')).toBeInTheDocument();
+		expect(
+			screen.getByText('beach.jpg: Misc → Events/Summer')
+		).toBeInTheDocument();
+		expect(screen.getByText('Media to move (3)')).toBeInTheDocument();
+		expect(screen.getByText('…and 2 more.')).toBeInTheDocument();
+	});
+
+	it('should restore only the selected folders', async () => {
+		const onRestore = vi.fn();
+		render(
+			<SnapshotDiff
+				snapshotId="a1"
+				isBusy={false}
+				onCancel={vi.fn()}
+				onRestore={onRestore}
+			/>
+		);
+
+		fireEvent.click(await screen.findByLabelText('Photos'));
+		fireEvent.click(
+			screen.getByRole('button', { name: 'Restore 1 Selected Folders' })
+		);
+		expect(onRestore).toHaveBeenCalledWith([3]);
+
+		fireEvent.click(
+			screen.getByRole('button', { name: 'Yes, Restore Snapshot' })
+		);
+		expect(onRestore).toHaveBeenLastCalledWith([]);
+	});
+});
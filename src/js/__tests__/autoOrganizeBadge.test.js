@@ -0,0 +1,43 @@
+/**
+ * Tests for the auto-organize status badge helper.
+ *
+ * @package
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { renderAutoOrganizeBadge } from '../utils/autoOrganizeBadge';
+
+describe('renderAutoOrganizeBadge', () => {
+	let element;
+
+	beforeEach(() => {
+		element = document.createElement('li');
+		element.innerHTML = '<div class="attachment-preview"></div>';
+	});
+
+	it('should add a badge for the status inside the preview', () => {
+		renderAutoOrganizeBadge(element, 'review');
+
+		const badge = element.querySelector(
+			'.attachment-preview .vmfa-auto-organize-badge'
+		);
+		expect(badge.textContent).toBe('Needs review');
+		expect(badge.classList).toContain('vmfa-auto-organize-badge-review');
+	});
+
+	it('should update the badge when the status changes', () => {
+		renderAutoOrganizeBadge(element, 'queued');
+		renderAutoOrganizeBadge(element, 'applied');
+
+		const badges = element.querySelectorAll('.vmfa-auto-organize-badge');
+		expect(badges).toHaveLength(1);
+		expect(badges[0].textContent).toBe('Organized');
+	});
+
+	it('should remove the badge when there is no status', () => {
+		renderAutoOrganizeBadge(element, 'queued');
+		renderAutoOrganizeBadge(element, undefined);
+
+		expect(element.querySelector('.vmfa-auto-organize-badge')).toBeNull();
+	});
+});
@@ -9,6 +9,7 @@ export const Button = ({
 	onClick,
 	variant,
 	isDestructive,
+	isBusy,
 	disabled,
 	...props
 }) => (
@@ -47,14 +48,30 @@ export const PanelRow = ({ children, ...props }) => (
 	<div {...props}>{children}</div>
 );
 
-export const TextControl = ({ label, value, onChange, help, id, ...props }) => {
-	const inputId = id || props.name || 'mock-text-control';
+export const TextControl = ({
+	label,
+	value,
+	onChange,
+	help,
+	id,
+	name,
+	type = 'text',
+	disabled,
+	placeholder,
+	hideLabelFromVision,
+	__nextHasNoMarginBottom,
+	...props
+}) => {
+	const inputId = id || name || 'mock-text-control';
 	return (
 		<div {...props}>
 			{label && <label htmlFor={inputId}>{label}</label>}
 			<input
 				id={inputId}
-				type="text"
+				name={name}
+				type={type}
+				disabled={disabled}
+				placeholder={placeholder}
 				value={value}
 				onChange={(e) => onChange(e.target.value)}
 				aria-label={label}
@@ -71,18 +88,56 @@ export const SelectControl = ({
 	onChange,
 	help,
 	id,
+	name,
+	disabled,
+	hideLabelFromVision,
+	__nextHasNoMarginBottom,
 	...props
 }) => {
-	const selectId = id || props.name || 'mock-select-control';
+	const selectId = id || name || 'mock-select-control';
 	return (
 		<div {...props}>
 			{label && <label htmlFor={selectId}>{label}</label>}
 			<select
 				id={selectId}
+				name={name}
 				value={value}
 				onChange={(e) => onChange(e.target.value)}
 				aria-label={label}
+				disabled={disabled}
+			>
+				{options.map((opt) => (
+					<option key={opt.value} value={opt.value}>
+						{opt.label}
+					</option>
+				))}
+			</select>
+			{help && <p>{help}</p>}
+		</div>
+	);
+};
+
+export const ComboboxControl = ({
+	label,
+	value,
+	options,
+	onChange,
+	help,
+	__nextHasNoMarginBottom,
+	__next40pxDefaultSize,
+	...props
+}) => {
+	// Unique per label, as several comboboxes can render at once.
+	const selectId = `mock-combobox-${String(label).replace(/\W+/g, '-')}`;
+	return (
+		<div {...props}>
+			<label htmlFor={selectId}>{label}</label>
+			<select
+				id={selectId}
+				value={value ?? ''}
+				onChange={(e) => onChange(e.target.value || null)}
 			>
+				<option value="" />
 				{options.map((opt) => (
 					<option key={opt.value} value={opt.value}>
 						{opt.label}
@@ -139,7 +194,16 @@ export const Modal = ({ children, title, onRequestClose, ...props }) => (
 	</div>
 );
 
-export const CheckboxControl = ({ label, checked, onChange, id, ...props }) => {
+export const CheckboxControl = ({
+	label,
+	checked,
+	onChange,
+	id,
+	disabled,
+	__nextHasNoMarginBottom,
+	'aria-label': ariaLabel,
+	...props
+}) => {
 	const inputId = id || props.name || 'mock-checkbox-control';
 	return (
 		<div {...props}>
@@ -147,8 +211,9 @@ export const CheckboxControl = ({ label, checked, onChange, id, ...props }) => {
 				id={inputId}
 				type="checkbox"
 				checked={checked}
+				disabled={disabled}
 				onChange={(e) => onChange(e.target.checked)}
-				aria-label={label}
+				aria-label={label || ariaLabel}
 			/>
 			{label && <label htmlFor={inputId}>{label}</label>}
 		</div>
@@ -175,6 +240,25 @@ export const __experimentalHeading = ({ children, level, ...props }) => {
 
 export const Icon = ({ icon, ...props }) => <span {...props}>{icon}</span>;
 
+export const FormFileUpload = ({
+	children,
+	accept,
+	onChange,
+	disabled,
+	variant,
+	...props
+}) => (
+	<div {...props}>
+		<input
+			type="file"
+			accept={accept}
+			onChange={onChange}
+			disabled={disabled}
+			aria-label={children}
+		/>
+	</div>
+);
+
 export default {
 	Button,
 	Card,
@@ -186,6 +270,7 @@ export default {
 	PanelRow,
 	TextControl,
 	SelectControl,
+	ComboboxControl,
 	ToggleControl,
 	Notice,
 	Modal,
@@ -196,4 +281,5 @@ export default {
 	__experimentalText,
 	__experimentalHeading,
 	Icon,
+	FormFileUpload,
 };
@@ -18,7 +18,9 @@ vi.mock('@wordpress/i18n', () => ({
 	_x: (text) => text,
 	sprintf: (format, ...args) => {
 		let i = 0;
-		return format.replace(/%[sd]/g, () => args[i++]);
+		return format.replace(/%(?:(\d+)\$)?[sd]/g, (match, position) =>
+			position ? args[position - 1] : args[i++]
+		);
 	},
 	isRTL: () => false,
 }));
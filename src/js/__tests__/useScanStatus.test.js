@@ -4,10 +4,10 @@
  * @package
  */
 
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { renderHook, waitFor, act } from '@testing-library/react';
 import apiFetch from '@wordpress/api-fetch';
-import { useScanStatus } from '../hooks/useScanStatus';
+import { useScanStatus, mergeStatus } from '../hooks/useScanStatus';
 
 vi.mock('@wordpress/api-fetch');
 
@@ -16,6 +16,12 @@ describe('useScanStatus', () => {
 		vi.clearAllMocks();
 	});
 
+	afterEach(() => {
+		vi.useRealTimers();
+		delete window.wp;
+		delete window.jQuery;
+	});
+
 	it('should return initial idle status', async () => {
 		apiFetch.mockResolvedValue({
 			status: 'idle',
@@ -121,4 +127,228 @@ describe('useScanStatus', () => {
 			expect(result.current.status.percentage).toBe(50);
 		});
 	});
+
+	it('should only fetch results after the cursor while running', async () => {
+		vi.useFakeTimers({ shouldAdvanceTime: true });
+		apiFetch
+			.mockResolvedValueOnce({
+				status: 'running',
+				run_id: 'run-1',
+				processed: 2,
+				cursor: 2,
+				partial: false,
+				results: [{ attachment_id: 1 }, { attachment_id: 2 }],
+			})
+			.mockResolvedValueOnce({
+				status: 'running',
+				run_id: 'run-1',
+				processed: 3,
+				cursor: 3,
+				partial: true,
+				results: [{ attachment_id: 3 }],
+			});
+
+		const { result } = renderHook(() => useScanStatus());
+
+		await waitFor(() => {
+			expect(result.current.status.cursor).toBe(2);
+		});
+
+		await act(async () => {
+			await vi.advanceTimersByTimeAsync(2000);
+		});
+
+		expect(apiFetch).toHaveBeenLastCalledWith({
+			path: '/vmfa/v1/scan/status?since=2&run_id=run-1',
+			method: 'GET',
+		});
+		expect(
+			result.current.status.results.map((item) => item.attachment_id)
+		).toEqual([1, 2, 3]);
+	});
+
+	it('should wait longer between polls when nothing changes', async () => {
+		vi.useFakeTimers({ shouldAdvanceTime: true });
+		apiFetch.mockResolvedValue({
+			status: 'running',
+			run_id: 'run-1',
+			processed: 5,
+			cursor: 5,
+			partial: true,
+			results: [],
+		});
+
+		renderHook(() => useScanStatus());
+
+		await waitFor(() => {
+			expect(apiFetch).toHaveBeenCalledTimes(1);
+		});
+
+		// First poll after 2s finds no change, so the next waits 3s.
+		await act(async () => {
+			await vi.advanceTimersByTimeAsync(2000);
+		});
+		expect(apiFetch).toHaveBeenCalledTimes(2);
+
+		await act(async () => {
+			await vi.advanceTimersByTimeAsync(2000);
+		});
+		expect(apiFetch).toHaveBeenCalledTimes(2);
+
+		await act(async () => {
+			await vi.advanceTimersByTimeAsync(1000);
+		});
+		expect(apiFetch).toHaveBeenCalledTimes(3);
+	});
+
+	it('should pause polling while the tab is hidden', async () => {
+		vi.useFakeTimers({ shouldAdvanceTime: true });
+		apiFetch.mockResolvedValue({
+			status: 'running',
+			run_id: 'run-1',
+			processed: 5,
+			cursor: 5,
+			results: [],
+		});
+		const hidden = vi
+			.spyOn(document, 'hidden', 'get')
+			.mockReturnValue(false);
+
+		renderHook(() => useScanStatus());
+
+		await waitFor(() => {
+			expect(apiFetch).toHaveBeenCalledTimes(1);
+		});
+
+		hidden.mockReturnValue(true);
+		act(() => {
+			document.dispatchEvent(new Event('visibilitychange'));
+		});
+
+		await act(async () => {
+			await vi.advanceTimersByTimeAsync(30000);
+		});
+		expect(apiFetch).toHaveBeenCalledTimes(1);
+
+		hidden.mockReturnValue(false);
+		await act(async () => {
+			document.dispatchEvent(new Event('visibilitychange'));
+		});
+
+		await waitFor(() => {
+			expect(apiFetch).toHaveBeenCalledTimes(2);
+		});
+
+		hidden.mockRestore();
+	});
+
+	it('should take status updates from the heartbeat when available', async () => {
+		const handlers = {};
+		const $document = {
+			on: vi.fn((event, handler) => {
+				handlers[event] = handler;
+				return $document;
+			}),
+			off: vi.fn(),
+		};
+		window.jQuery = vi.fn(() => $document);
+		window.wp = {
+			heartbeat: { interval: vi.fn(), connectNow: vi.fn() },
+		};
+		apiFetch.mockResolvedValue({
+			status: 'running',
+			run_id: 'run-1',
+			processed: 1,
+			cursor: 1,
+			results: [{ attachment_id: 1 }],
+		});
+
+		const { result } = renderHook(() => useScanStatus());
+
+		await waitFor(() => {
+			expect(window.wp.heartbeat.connectNow).toHaveBeenCalled();
+		});
+
+		const data = {};
+		handlers['heartbeat-send.vmfaScanStatus']({}, data);
+		expect(data.vmfa_scan_status).toEqual({ since: 1, run_id: 'run-1' });
+
+		act(() => {
+			handlers['heartbeat-tick.vmfaScanStatus'](
+				{},
+				{
+					vmfa_scan_status: {
+						status: 'completed',
+						run_id: 'run-1',
+						processed: 2,
+						cursor: 2,
+						partial: true,
+						results: [{ attachment_id: 2 }],
+					},
+				}
+			);
+		});
+
+		expect(result.current.status.status).toBe('completed');
+		expect(result.current.status.results).toHaveLength(2);
+		expect(apiFetch).toHaveBeenCalledTimes(1);
+		expect(window.wp.heartbeat.interval).toHaveBeenCalledWith('fast');
+	});
+
+	it('should ask the heartbeat for the full status without a cursor', async () => {
+		const handlers = {};
+		const $document = {
+			on: vi.fn((event, handler) => {
+				handlers[event] = handler;
+				return $document;
+			}),
+			off: vi.fn(),
+		};
+		window.jQuery = vi.fn(() => $document);
+		window.wp = {
+			heartbeat: { interval: vi.fn(), connectNow: vi.fn() },
+		};
+		apiFetch.mockResolvedValue({
+			status: 'running',
+			processed: 1,
+			results: [{ attachment_id: 1 }],
+		});
+
+		renderHook(() => useScanStatus());
+
+		await waitFor(() => {
+			expect(window.wp.heartbeat.connectNow).toHaveBeenCalled();
+		});
+
+		const data = {};
+		handlers['heartbeat-send.vmfaScanStatus']({}, data);
+		expect(data.vmfa_scan_status).toEqual({ full: 1 });
+	});
+});
+
+describe('mergeStatus', () => {
+	it('should replace results on a full response', () => {
+		const merged = mergeStatus(
+			{ results: [{ attachment_id: 1 }] },
+			{ partial: false, results: [{ attachment_id: 9 }] }
+		);
+
+		expect(merged.results).toEqual([{ attachment_id: 9 }]);
+	});
+
+	it('should keep only the most recent 100 results', () => {
+		const current = {
+			results: Array.from({ length: 100 }, (_, i) => ({
+				attachment_id: i,
+			})),
+		};
+		const merged = mergeStatus(current, {
+			partial: true,
+			results: [{ attachment_id: 100 }],
+		});
+
+		expect(merged.results).toHaveLength(100);
+		expect(merged.results[0].attachment_id).toBe(1);
+		expect(merged.results[99].attachment_id).toBe(100);
+	});
 });
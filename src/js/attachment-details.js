@@ -0,0 +1,131 @@
+/**
+ * Virtual Media Folders AI Organizer - Attachment Details Scripts
+ *
+ * @package
+ */
+
+import { createRoot } from '@wordpress/element';
+import { FolderSuggestion } from './components/FolderSuggestion';
+import { renderAutoOrganizeBadge } from './utils/autoOrganizeBadge';
+
+import './styles/attachment-details.scss';
+
+/**
+ * Mount the folder suggestion in an attachment details view.
+ *
+ * @param {Object} view - Backbone attachment details view.
+ */
+function mountSuggestion(view) {
+	if (view.vmfaRoot) {
+		view.vmfaRoot.unmount();
+		view.vmfaRoot = null;
+	}
+
+	const attachmentId = view.model?.get('id');
+	if (!attachmentId || view.model.get('uploading')) {
+		return;
+	}
+
+	const container = document.createElement('div');
+	container.className = 'vmfa-folder-suggestion-container';
+	(view.el.querySelector('.attachment-info') || view.el).appendChild(
+		container
+	);
+
+	view.vmfaRoot = createRoot(container);
+	view.vmfaRoot.render(<FolderSuggestion attachmentId={attachmentId} />);
+}
+
+/**
+ * Add the folder suggestion to the media modal's attachment details.
+ *
+ * The two-column details view of the Media Library grid extends the same
+ * view, so both get the suggestion.
+ */
+function initFolderSuggestion() {
+	const Details = window.wp?.media?.view?.Attachment?.Details;
+
+	if (!Details) {
+		return;
+	}
+
+	const { render, remove } = Details.prototype;
+
+	Details.prototype.render = function (...args) {
+		render.apply(this, args);
+		mountSuggestion(this);
+		return this;
+	};
+
+	Details.prototype.remove = function (...args) {
+		if (this.vmfaRoot) {
+			this.vmfaRoot.unmount();
+			this.vmfaRoot = null;
+		}
+		return remove.apply(this, args);
+	};
+}
+
+/**
+ * Milliseconds to wait before re-fetching an upload that is still being organized.
+ */
+const STATUS_REFRESH_DELAY = 10000;
+
+/**
+ * Refresh an upload's status until it has been organized.
+ *
+ * @param {Object} view - Backbone attachment view.
+ */
+function watchStatus(view) {
+	if (
+		view.vmfaStatusTimer ||
+		view.model.get('vmfaAutoOrganize') !== 'queued'
+	) {
+		return;
+	}
+
+	view.vmfaStatusTimer = setTimeout(() => {
+		view.vmfaStatusTimer = null;
+		view.model.fetch();
+	}, STATUS_REFRESH_DELAY);
+}
+
+/**
+ * Add the auto-organize status badge to attachments in the media grid.
+ */
+function initStatusBadges() {
+	const Library = window.wp?.media?.view?.Attachment?.Library;
+
+	if (!Library) {
+		return;
+	}
+
+	const { initialize, render, remove } = Library.prototype;
+
+	Library.prototype.initialize = function (...args) {
+		initialize.apply(this, args);
+		this.listenTo(this.model, 'change:vmfaAutoOrganize', () => {
+			renderAutoOrganizeBadge(
+				this.el,
+				this.model.get('vmfaAutoOrganize')
+			);
+			watchStatus(this);
+		});
+	};
+
+	Library.prototype.render = function (...args) {
+		render.apply(this, args);
+		renderAutoOrganizeBadge(this.el, this.model.get('vmfaAutoOrganize'));
+		watchStatus(this);
+		return this;
+	};
+
+	Library.prototype.remove = function (...args) {
+		clearTimeout(this.vmfaStatusTimer);
+		this.vmfaStatusTimer = null;
+		return remove.apply(this, args);
+	};
+}
+
+initFolderSuggestion();
+initStatusBadges();
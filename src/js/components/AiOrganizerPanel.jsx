@@ -14,12 +14,22 @@ import {
 	CheckboxControl,
 	Notice,
 } from '@wordpress/components';
-import { __ } from '@wordpress/i18n';
+import { __, sprintf } from '@wordpress/i18n';
 import apiFetch from '@wordpress/api-fetch';
 
 import { ScanProgress } from './ScanProgress';
 import { PreviewModal } from './PreviewModal';
+import { ImportResults } from './ImportResults';
 import { RestorePanel } from './RestorePanel';
+import { HistoryPanel } from './HistoryPanel';
+import { ReviewPanel } from './ReviewPanel';
+import { SchedulePanel } from './SchedulePanel';
+import { ComparePanel } from './ComparePanel';
+import {
+	ScanScopeFilters,
+	EMPTY_SCOPE,
+	getScopeParams,
+} from './ScanScopeFilters';
 import { useScanStatus } from '../hooks/useScanStatus';
 
 /**
@@ -30,9 +40,10 @@ import { useScanStatus } from '../hooks/useScanStatus';
 export function AiOrganizerPanel() {
 	const [mode, setMode] = useState('organize_unassigned');
 	const [dryRun, setDryRun] = useState(true);
+	const [scope, setScope] = useState(EMPTY_SCOPE);
+	const [matchCount, setMatchCount] = useState(null);
 	const [stats, setStats] = useState(null);
 	const [showPreview, setShowPreview] = useState(false);
-	const [previewResults, setPreviewResults] = useState([]);
 	const [notice, setNotice] = useState(null);
 
 	const {
@@ -43,6 +54,7 @@ export function AiOrganizerPanel() {
 		cancelScan,
 		resetScan,
 		applyCachedResults,
+		undoRun,
 		refresh,
 	} = useScanStatus();
 
@@ -69,31 +81,13 @@ export function AiOrganizerPanel() {
 	}, [fetchStats]);
 
 	/**
-	 * Fetch cached results and show preview modal when dry run completes.
-	 */
-	const fetchCachedResults = useCallback(async () => {
-		try {
-			const response = await apiFetch({
-				path: '/vmfa/v1/scan/cached-results',
-				method: 'GET',
-			});
-			setPreviewResults(response.results || []);
-		} catch (err) {
-			// Fallback to status.results if cached results fail.
-			setPreviewResults(status.results || []);
-		} finally {
-			setShowPreview(true);
-		}
-	}, [status.results]);
-
-	/**
-	 * Fetch cached results and show preview modal when dry run completes.
+	 * Show preview modal when dry run completes.
 	 */
 	useEffect(() => {
 		if (status.status === 'completed' && status.dry_run) {
-			fetchCachedResults();
+			setShowPreview(true);
 		}
-	}, [status.status, status.dry_run, fetchCachedResults]);
+	}, [status.status, status.dry_run]);
 
 	/**
 	 * Handle scan start.
@@ -101,7 +95,12 @@ export function AiOrganizerPanel() {
 	const handleStartScan = async () => {
 		try {
 			setNotice(null);
-			await startScan(mode, dryRun);
+			// Reorganize All rebuilds every folder, so it always covers the whole library.
+			await startScan(
+				mode,
+				dryRun,
+				mode === 'reorganize_all' ? {} : getScopeParams(scope)
+			);
 			setNotice({
 				type: 'success',
 				message: dryRun
@@ -144,6 +143,27 @@ export function AiOrganizerPanel() {
 		}
 	};
 
+	/**
+	 * Handle undoing the completed run.
+	 */
+	const handleUndo = async () => {
+		try {
+			const response = await undoRun(status.run_id);
+			await fetchStats();
+			setNotice({
+				type: response.skipped > 0 ? 'warning' : 'success',
+				message: response.message,
+			});
+		} catch (err) {
+			setNotice({
+				type: 'error',
+				message:
+					err.message ||
+					__('Failed to undo run.', 'vmfa-ai-organizer'),
+			});
+		}
+	};
+
 	/**
 	 * Handle reset.
 	 */
@@ -161,10 +181,44 @@ export function AiOrganizerPanel() {
 		}
 	};
 
+	/**
+	 * Show an imported result set in the preview.
+	 *
+	 * @param {Object} response - Import response (`message`, `errors`).
+	 */
+	const handleImported = async (response) => {
+		await refresh();
+		setNotice({
+			type: response.errors?.length ? 'warning' : 'success',
+			message: [response.message, ...summarizeErrors(response.errors)]
+				.filter(Boolean)
+				.join(' '),
+		});
+		setShowPreview(true);
+	};
+
+	/**
+	 * Report a failed import.
+	 *
+	 * @param {Object} err - Request error; `data.errors` lists invalid rows.
+	 */
+	const handleImportError = (err) => {
+		setNotice({
+			type: 'error',
+			message: [
+				err.message ||
+					__('Failed to import results.', 'vmfa-ai-organizer'),
+				...summarizeErrors(err.data?.errors),
+			].join(' '),
+		});
+	};
+
 	/**
 	 * Apply preview results using cached dry-run data.
+	 *
+	 * @param {Object} selection - Selection made in the preview (`exclude`, `overrides`).
 	 */
-	const handleApplyPreview = async () => {
+	const handleApplyPreview = async (selection) => {
 		setShowPreview(false);
 		try {
 			setNotice({
@@ -174,7 +228,11 @@ export function AiOrganizerPanel() {
 					'vmfa-ai-organizer'
 				),
 			});
-			const response = await applyCachedResults(mode);
+			// Imported result sets carry their own mode, independent of the scan options.
+			const response = await applyCachedResults(
+				status.source === 'import' ? status.mode : mode,
+				selection
+			);
 			await fetchStats();
 			setNotice({
 				type: 'success',
@@ -198,6 +256,7 @@ export function AiOrganizerPanel() {
 	const isRunning = status.status === 'running';
 	const isCompleted = status.status === 'completed';
 	const isCancelled = status.status === 'cancelled';
+	const isFailed = status.status === 'failed';
 
 	const modeOptions = [
 		{
@@ -306,6 +365,16 @@ export function AiOrganizerPanel() {
 							</Notice>
 						)}
 
+						{mode !== 'reorganize_all' && (
+							<ScanScopeFilters
+								mode={mode}
+								scope={scope}
+								onChange={setScope}
+								onCount={setMatchCount}
+								disabled={isLoading}
+							/>
+						)}
+
 						<CheckboxControl
 							__nextHasNoMarginBottom
 							label={__(
@@ -327,7 +396,9 @@ export function AiOrganizerPanel() {
 								disabled={
 									isLoading ||
 									(mode === 'organize_unassigned' &&
-										stats?.unassigned === 0)
+										stats?.unassigned === 0) ||
+									(mode !== 'reorganize_all' &&
+										matchCount === 0)
 								}
 							>
 								{dryRun
@@ -338,7 +409,13 @@ export function AiOrganizerPanel() {
 										)}
 							</Button>
 
-							{(isCompleted || isCancelled) && (
+							<ImportResults
+								onImported={handleImported}
+								onError={handleImportError}
+								disabled={isLoading}
+							/>
+
+							{(isCompleted || isCancelled || isFailed) && (
 								<Button
 									variant="secondary"
 									onClick={handleReset}
@@ -353,15 +430,25 @@ export function AiOrganizerPanel() {
 			)}
 
 			{/* Progress Display */}
-			{(isRunning || isCompleted || isCancelled) && (
+			{(isRunning || isCompleted || isCancelled || isFailed) && (
 				<ScanProgress
 					status={status}
 					onCancel={handleCancelScan}
 					onReset={handleReset}
+					onUndo={handleUndo}
 					isLoading={isLoading}
 				/>
 			)}
 
+			{/* Review Panel */}
+			<ReviewPanel
+				refreshKey={`${status.run_id}:${status.status}`}
+				onChange={fetchStats}
+			/>
+
+			{/* Schedule Panel */}
+			<SchedulePanel refreshKey={`${status.run_id}:${status.status}`} />
+
 			{/* Restore Panel */}
 			<RestorePanel
 				onRestore={() => {
@@ -370,10 +457,15 @@ export function AiOrganizerPanel() {
 				}}
 			/>
 
+			{/* History Panel */}
+			<HistoryPanel refreshKey={`${status.run_id}:${status.status}`} />
+
+			{/* Compare Panel */}
+			<ComparePanel />
+
 			{/* Preview Modal */}
 			{showPreview && (
 				<PreviewModal
-					results={previewResults}
 					onClose={() => setShowPreview(false)}
 					onApply={handleApplyPreview}
 				/>
@@ -382,6 +474,33 @@ export function AiOrganizerPanel() {
 	);
 }
 
+/**
+ * Maximum number of invalid import rows listed in a notice.
+ */
+const IMPORT_ERRORS_SHOWN = 5;
+
+/**
+ * List the first invalid import rows for a notice.
+ *
+ * @param {Array<string>} errors - Row errors returned by the import.
+ * @return {Array<string>} Messages to show.
+ */
+function summarizeErrors(errors = []) {
+	const shown = errors.slice(0, IMPORT_ERRORS_SHOWN);
+
+	if (errors.length > shown.length) {
+		shown.push(
+			sprintf(
+				/* translators: %d: Number of further invalid rows. */
+				__('And %d more.', 'vmfa-ai-organizer'),
+				errors.length - shown.length
+			)
+		);
+	}
+
+	return shown;
+}
+
 /**
  * Get help text for scan mode.
  *
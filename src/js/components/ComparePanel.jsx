@@ -0,0 +1,504 @@
+/**
+ * Compare Panel Component.
+ *
+ * @package
+ */
+
+import { useState, useEffect } from '@wordpress/element';
+import {
+	Button,
+	Card,
+	CardBody,
+	CardHeader,
+	CheckboxControl,
+	Notice,
+	TextControl,
+} from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+import apiFetch from '@wordpress/api-fetch';
+
+import { ResultThumbnail } from './ResultThumbnail';
+
+/**
+ * Default number of sample images.
+ */
+const DEFAULT_SAMPLE_SIZE = 5;
+
+/**
+ * Largest sample the REST API draws.
+ */
+const MAX_SAMPLE_SIZE = 20;
+
+/**
+ * Get the key two provider answers are compared by.
+ *
+ * Folder paths are compared case-insensitively; answers without a folder
+ * compare by action. Failed answers never match.
+ *
+ * @param {Object} row - A provider's answer.
+ * @return {?string} Comparison key, or null for a failed answer.
+ */
+export function getAnswerKey(row) {
+	if (row.error) {
+		return null;
+	}
+
+	return row.folder ? row.folder.trim().toLowerCase() : `(${row.action})`;
+}
+
+/**
+ * Summarize how often providers agreed.
+ *
+ * @param {Array<Object>} comparisons - Compared images, each with `results`.
+ * @param {Array<string>} providers   - Compared provider names.
+ * @return {Object} `rate` (share of images where all agree), `pairs` (share per provider pair) and `providers` (average latency and confidence per provider).
+ */
+export function getAgreement(comparisons, providers) {
+	const total = comparisons.length;
+	const keys = comparisons.map((comparison) =>
+		Object.fromEntries(
+			comparison.results.map((row) => [row.provider, getAnswerKey(row)])
+		)
+	);
+
+	const allAgree = keys.filter((answers) => {
+		const values = providers.map((name) => answers[name]);
+		return values[0] !== null && values.every((key) => key === values[0]);
+	}).length;
+
+	const pairs = [];
+	providers.forEach((first, index) => {
+		providers.slice(index + 1).forEach((second) => {
+			const agreed = keys.filter(
+				(answers) =>
+					answers[first] !== null &&
+					answers[first] === answers[second]
+			).length;
+			pairs.push({
+				providers: [first, second],
+				rate: total ? agreed / total : 0,
+			});
+		});
+	});
+
+	const stats = Object.fromEntries(
+		providers.map((name) => {
+			const rows = comparisons
+				.flatMap((comparison) => comparison.results)
+				.filter((row) => row.provider === name);
+			const answered = rows.filter((row) => !row.error);
+			const average = (field) =>
+				answered.length
+					? answered.reduce(
+							(sum, row) => sum + (row[field] || 0),
+							0
+						) / answered.length
+					: 0;
+
+			return [
+				name,
+				{
+					latency: Math.round(average('latency_ms')),
+					confidence: average('confidence'),
+					failed: rows.length - answered.length,
+				},
+			];
+		})
+	);
+
+	return {
+		rate: total ? allAgree / total : 0,
+		pairs,
+		providers: stats,
+	};
+}
+
+/**
+ * Format a share as a percentage.
+ *
+ * @param {number} rate - Share between 0 and 1.
+ * @return {string} Percentage.
+ */
+function formatRate(rate) {
+	return `${Math.round(rate * 100)}%`;
+}
+
+/**
+ * Compare Panel component.
+ *
+ * Runs the same random images through two or more configured providers and
+ * shows their answers side by side. Nothing is moved.
+ *
+ * @return {JSX.Element|null} The panel component, or null while loading.
+ */
+export function ComparePanel() {
+	const [providers, setProviders] = useState(null);
+	const [selected, setSelected] = useState([]);
+	const [sampleSize, setSampleSize] = useState(DEFAULT_SAMPLE_SIZE);
+	const [comparisons, setComparisons] = useState([]);
+	const [compared, setCompared] = useState([]);
+	const [progress, setProgress] = useState(null);
+	const [notice, setNotice] = useState(null);
+
+	/**
+	 * Fetch the configured providers and preselect the first two.
+	 */
+	useEffect(() => {
+		apiFetch({ path: '/vmfa/v1/compare/providers', method: 'GET' })
+			.then((response) => {
+				const configured = response.providers || {};
+				setProviders(configured);
+				setSelected(Object.keys(configured).slice(0, 2));
+			})
+			.catch(() => setProviders({}));
+	}, []);
+
+	const names = Object.keys(providers || {});
+
+	/**
+	 * Add or remove a provider from the comparison.
+	 *
+	 * @param {string}  name    - Provider name.
+	 * @param {boolean} checked - Whether the provider is selected.
+	 */
+	const toggleProvider = (name, checked) => {
+		setSelected((previous) =>
+			checked
+				? names.filter((n) => n === name || previous.includes(n))
+				: previous.filter((n) => n !== name)
+		);
+	};
+
+	/**
+	 * Draw a sample and compare the providers on each image in turn.
+	 */
+	const runComparison = async () => {
+		setNotice(null);
+		setComparisons([]);
+		setCompared(selected);
+
+		try {
+			const sample = await apiFetch({
+				path: `/vmfa/v1/compare/sample?count=${sampleSize}`,
+				method: 'GET',
+			});
+			const items = sample.items || [];
+
+			if (items.length === 0) {
+				setNotice({
+					type: 'warning',
+					message: __(
+						'The media library has no images to compare.',
+						'vmfa-ai-organizer'
+					),
+				});
+				return;
+			}
+
+			for (let index = 0; index < items.length; index++) {
+				setProgress({ current: index + 1, total: items.length });
+
+				const comparison = await apiFetch({
+					path: '/vmfa/v1/compare',
+					method: 'POST',
+					data: {
+						attachment_id: items[index].id,
+						providers: selected,
+					},
+				});
+				setComparisons((previous) => [...previous, comparison]);
+			}
+		} catch (err) {
+			setNotice({
+				type: 'error',
+				message:
+					err.message ||
+					__('Failed to compare providers.', 'vmfa-ai-organizer'),
+			});
+		} finally {
+			setProgress(null);
+		}
+	};
+
+	if (providers === null) {
+		return null;
+	}
+
+	if (names.length < 2) {
+		return (
+			<Card className="vmfa-compare-panel">
+				<CardHeader>
+					<h3>{__('Compare Providers', 'vmfa-ai-organizer')}</h3>
+				</CardHeader>
+				<CardBody>
+					<p className="vmfa-compare-empty">
+						{__(
+							'Configure at least two AI providers to compare them.',
+							'vmfa-ai-organizer'
+						)}
+					</p>
+				</CardBody>
+			</Card>
+		);
+	}
+
+	const agreement =
+		comparisons.length > 0 ? getAgreement(comparisons, compared) : null;
+
+	return (
+		<Card className="vmfa-compare-panel">
+			<CardHeader>
+				<h3>{__('Compare Providers', 'vmfa-ai-organizer')}</h3>
+			</CardHeader>
+			<CardBody>
+				<p className="description">
+					{__(
+						'Run the same random images through several providers to see which one sorts your library best. Nothing is moved.',
+						'vmfa-ai-organizer'
+					)}
+				</p>
+
+				{notice && (
+					<Notice
+						status={notice.type}
+						isDismissible={true}
+						onRemove={() => setNotice(null)}
+					>
+						{notice.message}
+					</Notice>
+				)}
+
+				<fieldset className="vmfa-compare-providers">
+					<legend>{__('Providers', 'vmfa-ai-organizer')}</legend>
+					{names.map((name) => (
+						<CheckboxControl
+							key={name}
+							id={`vmfa-compare-${name}`}
+							label={providers[name]}
+							checked={selected.includes(name)}
+							onChange={(checked) =>
+								toggleProvider(name, checked)
+							}
+							disabled={progress !== null}
+							__nextHasNoMarginBottom
+						/>
+					))}
+				</fieldset>
+
+				<div className="vmfa-compare-controls">
+					<TextControl
+						id="vmfa-compare-sample-size"
+						label={__('Sample images', 'vmfa-ai-organizer')}
+						type="number"
+						min={1}
+						max={MAX_SAMPLE_SIZE}
+						value={sampleSize}
+						onChange={(value) =>
+							setSampleSize(
+								Math.min(
+									MAX_SAMPLE_SIZE,
+									Math.max(1, parseInt(value, 10) || 1)
+								)
+							)
+						}
+						disabled={progress !== null}
+						__nextHasNoMarginBottom
+					/>
+					<Button
+						variant="primary"
+						onClick={runComparison}
+						isBusy={progress !== null}
+						disabled={progress !== null || selected.length < 2}
+					>
+						{__('Compare', 'vmfa-ai-organizer')}
+					</Button>
+				</div>
+
+				{progress && (
+					<p className="vmfa-compare-progress">
+						{sprintf(
+							/* translators: 1: Current image, 2: Number of images. */
+							__(
+								'Comparing image %1$d of %2$d…',
+								'vmfa-ai-organizer'
+							),
+							progress.current,
+							progress.total
+						)}
+					</p>
+				)}
+
+				{agreement && (
+					<div className="vmfa-compare-summary">
+						<p>
+							<strong>
+								{sprintf(
+									/* translators: 1: Agreement rate, e.g. "60%", 2: Number of images. */
+									__(
+										'All providers agreed on %1$s of %2$d images.',
+										'vmfa-ai-organizer'
+									),
+									formatRate(agreement.rate),
+									comparisons.length
+								)}
+							</strong>
+						</p>
+						{agreement.pairs.length > 1 && (
+							<ul>
+								{agreement.pairs.map((pair) => (
+									<li key={pair.providers.join(':')}>
+										{sprintf(
+											/* translators: 1: Provider, 2: Provider, 3: Agreement rate, e.g. "60%". */
+											__(
+												'%1$s and %2$s: %3$s',
+												'vmfa-ai-organizer'
+											),
+											providers[pair.providers[0]],
+											providers[pair.providers[1]],
+											formatRate(pair.rate)
+										)}
+									</li>
+								))}
+							</ul>
+						)}
+						<table className="vmfa-compare-stats">
+							<thead>
+								<tr>
+									<th>
+										{__('Provider', 'vmfa-ai-organizer')}
+									</th>
+									<th>
+										{__(
+											'Average latency',
+											'vmfa-ai-organizer'
+										)}
+									</th>
+									<th>
+										{__(
+											'Average confidence',
+											'vmfa-ai-organizer'
+										)}
+									</th>
+									<th>{__('Errors', 'vmfa-ai-organizer')}</th>
+								</tr>
+							</thead>
+							<tbody>
+								{compared.map((name) => (
+									<tr key={name}>
+										<td>{providers[name]}</td>
+										<td>
+											{sprintf(
+												/* translators: %d: Milliseconds. */
+												__(
+													'%d ms',
+													'vmfa-ai-organizer'
+												),
+												agreement.providers[name]
+													.latency
+											)}
+										</td>
+										<td>
+											{formatRate(
+												agreement.providers[name]
+													.confidence
+											)}
+										</td>
+										<td>
+											{agreement.providers[name].failed}
+										</td>
+									</tr>
+								))}
+							</tbody>
+						</table>
+					</div>
+				)}
+
+				{comparisons.length > 0 && (
+					<table className="vmfa-compare-table">
+						<thead>
+							<tr>
+								<th>{__('Image', 'vmfa-ai-organizer')}</th>
+								<th>{__('Provider', 'vmfa-ai-organizer')}</th>
+								<th>{__('Folder', 'vmfa-ai-organizer')}</th>
+								<th>{__('Confidence', 'vmfa-ai-organizer')}</th>
+								<th>{__('Latency', 'vmfa-ai-organizer')}</th>
+								<th>{__('Reason', 'vmfa-ai-organizer')}</th>
+							</tr>
+						</thead>
+						<tbody>
+							{comparisons.map((comparison) => {
+								const keys =
+									comparison.results.map(getAnswerKey);
+								const agreed =
+									keys[0] !== null &&
+									keys.every((key) => key === keys[0]);
+
+								return comparison.results.map((row, index) => (
+									<tr
+										key={`${comparison.attachment_id}:${row.provider}`}
+										className={
+											agreed
+												? 'is-agreed'
+												: 'is-disagreed'
+										}
+									>
+										{index === 0 && (
+											<td
+												rowSpan={
+													comparison.results.length
+												}
+												className="vmfa-preview-file"
+											>
+												<ResultThumbnail
+													result={comparison}
+												/>
+												<span className="vmfa-preview-filename">
+													{comparison.filename ||
+														`#${comparison.attachment_id}`}
+												</span>
+											</td>
+										)}
+										<td>
+											{row.label}
+											{row.model && (
+												<span className="vmfa-compare-model">
+													{row.model}
+												</span>
+											)}
+										</td>
+										<td>
+											{row.folder ||
+												(row.error
+													? '-'
+													: `(${row.action})`)}
+										</td>
+										<td>{formatRate(row.confidence)}</td>
+										<td>
+											{sprintf(
+												/* translators: %d: Milliseconds. */
+												__(
+													'%d ms',
+													'vmfa-ai-organizer'
+												),
+												row.latency_ms
+											)}
+										</td>
+										<td>
+											{row.error ? (
+												<code>{row.error}</code>
+											) : (
+												row.reason
+											)}
+										</td>
+									</tr>
+								));
+							})}
+						</tbody>
+					</table>
+				)}
+			</CardBody>
+		</Card>
+	);
+}
+
+export default ComparePanel;
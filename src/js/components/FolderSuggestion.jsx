@@ -0,0 +1,245 @@
+/**
+ * Folder Suggestion Component.
+ *
+ * @package
+ */
+
+import { useState } from '@wordpress/element';
+import { Button, SelectControl, Spinner } from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+import apiFetch from '@wordpress/api-fetch';
+
+/**
+ * Get the folder a suggestion points at, for display.
+ *
+ * @param {Object} suggestion - Analysis result.
+ * @return {string} Folder path, or empty when nothing is suggested.
+ */
+function getSuggestedFolder(suggestion) {
+	if (suggestion.action === 'assign') {
+		return suggestion.folder_name || `#${suggestion.folder_id}`;
+	}
+	if (suggestion.action === 'create') {
+		return suggestion.new_folder_path || '';
+	}
+	return '';
+}
+
+/**
+ * "Suggest folder" control for the attachment details sidebar.
+ *
+ * Analyzes a single attachment and lets the user accept the suggested
+ * folder, move the item to another folder instead, or dismiss.
+ *
+ * @param {Object} props              - Component props.
+ * @param {number} props.attachmentId - Attachment ID.
+ * @return {JSX.Element} The suggestion component.
+ */
+export function FolderSuggestion({ attachmentId }) {
+	const [suggestion, setSuggestion] = useState(null);
+	const [folders, setFolders] = useState([]);
+	const [alternative, setAlternative] = useState('');
+	const [isBusy, setIsBusy] = useState(false);
+	const [message, setMessage] = useState(null);
+	const [error, setError] = useState(null);
+
+	/**
+	 * Analyze the attachment and load folders for the alternative picker.
+	 */
+	const handleSuggest = async () => {
+		setIsBusy(true);
+		setError(null);
+		setMessage(null);
+
+		try {
+			const [result, folderResponse] = await Promise.all([
+				apiFetch({
+					path: `/vmfa/v1/analyze/${attachmentId}`,
+					method: 'POST',
+				}),
+				apiFetch({ path: '/vmfa/v1/folders', method: 'GET' }),
+			]);
+			setSuggestion(result);
+			setFolders(folderResponse.folders || []);
+			setAlternative('');
+		} catch (err) {
+			setError(
+				err.message ||
+					__('Failed to analyze this file.', 'vmfa-ai-organizer')
+			);
+		} finally {
+			setIsBusy(false);
+		}
+	};
+
+	/**
+	 * Move the attachment to a folder.
+	 *
+	 * @param {Object} target - `folder_id` or `new_folder_path`.
+	 * @param {string} path   - Folder path, for the confirmation.
+	 */
+	const applyFolder = async (target, path) => {
+		setIsBusy(true);
+		setError(null);
+
+		try {
+			await apiFetch({
+				path: `/vmfa/v1/apply/${attachmentId}`,
+				method: 'POST',
+				data: target,
+			});
+			setSuggestion(null);
+			setMessage(
+				sprintf(
+					/* translators: %s: Folder path. */
+					__('Moved to %s.', 'vmfa-ai-organizer'),
+					path
+				)
+			);
+		} catch (err) {
+			setError(
+				err.message ||
+					__('Failed to move this file.', 'vmfa-ai-organizer')
+			);
+		} finally {
+			setIsBusy(false);
+		}
+	};
+
+	/**
+	 * Accept the suggested folder.
+	 */
+	const handleAccept = () => {
+		applyFolder(
+			suggestion.action === 'assign'
+				? { folder_id: suggestion.folder_id }
+				: { new_folder_path: suggestion.new_folder_path },
+			getSuggestedFolder(suggestion)
+		);
+	};
+
+	/**
+	 * Move to the folder picked as an alternative.
+	 */
+	const handleAlternative = () => {
+		const folder = folders.find((item) => String(item.id) === alternative);
+		if (folder) {
+			applyFolder({ folder_id: folder.id }, folder.path);
+		}
+	};
+
+	const suggestedFolder = suggestion ? getSuggestedFolder(suggestion) : '';
+
+	return (
+		<div className="vmfa-folder-suggestion">
+			{!suggestion && (
+				<Button
+					variant="secondary"
+					onClick={handleSuggest}
+					isBusy={isBusy}
+					disabled={isBusy}
+				>
+					{__('Suggest folder', 'vmfa-ai-organizer')}
+				</Button>
+			)}
+
+			{isBusy && !suggestion && <Spinner />}
+			{message && (
+				<p className="vmfa-folder-suggestion-done">{message}</p>
+			)}
+			{error && <p className="vmfa-preview-error">{error}</p>}
+
+			{suggestion && (
+				<div className="vmfa-folder-suggestion-result">
+					{suggestedFolder ? (
+						<p>
+							<strong>
+								{__('Suggested:', 'vmfa-ai-organizer')}
+							</strong>{' '}
+							{suggestedFolder}
+							{suggestion.action === 'create' && (
+								<span className="vmfa-folder-suggestion-new">
+									{__('(new)', 'vmfa-ai-organizer')}
+								</span>
+							)}{' '}
+							<span className="vmfa-folder-suggestion-confidence">
+								{Math.round((suggestion.confidence || 0) * 100)}
+								%
+							</span>
+						</p>
+					) : (
+						<p>
+							{__(
+								'No folder suggested for this file.',
+								'vmfa-ai-organizer'
+							)}
+						</p>
+					)}
+					{suggestion.reason && (
+						<p className="vmfa-folder-suggestion-reason">
+							{suggestion.reason}
+						</p>
+					)}
+
+					<div className="vmfa-folder-suggestion-actions">
+						{suggestedFolder && (
+							<Button
+								variant="primary"
+								onClick={handleAccept}
+								isBusy={isBusy}
+								disabled={isBusy}
+							>
+								{__('Accept', 'vmfa-ai-organizer')}
+							</Button>
+						)}
+						<Button
+							variant="tertiary"
+							onClick={() => setSuggestion(null)}
+							disabled={isBusy}
+						>
+							{__('Dismiss', 'vmfa-ai-organizer')}
+						</Button>
+					</div>
+
+					{folders.length > 0 && (
+						<div className="vmfa-folder-suggestion-alternative">
+							<SelectControl
+								__nextHasNoMarginBottom
+								id={`vmfa-suggestion-folder-${attachmentId}`}
+								label={__(
+									'Or move to another folder',
+									'vmfa-ai-organizer'
+								)}
+								value={alternative}
+								options={[
+									{
+										label: __(
+											'Choose a folder…',
+											'vmfa-ai-organizer'
+										),
+										value: '',
+									},
+									...folders.map((folder) => ({
+										label: folder.path,
+										value: String(folder.id),
+									})),
+								]}
+								onChange={setAlternative}
+								disabled={isBusy}
+							/>
+							<Button
+								variant="secondary"
+								onClick={handleAlternative}
+								disabled={isBusy || alternative === ''}
+							>
+								{__('Move', 'vmfa-ai-organizer')}
+							</Button>
+						</div>
+					)}
+				</div>
+			)}
+		</div>
+	);
+}
+
+export default FolderSuggestion;
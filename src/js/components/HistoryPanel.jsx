@@ -0,0 +1,375 @@
+/**
+ * History Panel Component.
+ *
+ * @package
+ */
+
+import { useState, useEffect } from '@wordpress/element';
+import {
+	Button,
+	Card,
+	CardBody,
+	CardHeader,
+	Modal,
+	Notice,
+	Spinner,
+} from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+import apiFetch from '@wordpress/api-fetch';
+
+import { ResultThumbnail } from './ResultThumbnail';
+
+/**
+ * Number of results per page in the run report.
+ */
+const RESULTS_PER_PAGE = 50;
+
+/**
+ * Format timestamp to readable date.
+ *
+ * @param {number} timestamp - Unix timestamp.
+ * @return {string} Formatted date string.
+ */
+function formatDate(timestamp) {
+	if (!timestamp) {
+		return '-';
+	}
+	return new Date(timestamp * 1000).toLocaleString();
+}
+
+/**
+ * Get mode label.
+ *
+ * @param {string} mode - Mode string.
+ * @return {string} Human-readable mode.
+ */
+function getModeLabel(mode) {
+	const labels = {
+		organize_unassigned: __('Organize Unassigned', 'vmfa-ai-organizer'),
+		reanalyze_all: __('Re-analyze All', 'vmfa-ai-organizer'),
+		reorganize_all: __('Reorganize All', 'vmfa-ai-organizer'),
+	};
+	return labels[mode] || mode;
+}
+
+/**
+ * Get status label.
+ *
+ * @param {string} status - Status string.
+ * @return {string} Human-readable status.
+ */
+function getStatusLabel(status) {
+	const labels = {
+		completed: __('Completed', 'vmfa-ai-organizer'),
+		cancelled: __('Cancelled', 'vmfa-ai-organizer'),
+		failed: __('Failed', 'vmfa-ai-organizer'),
+	};
+	return labels[status] || status;
+}
+
+/**
+ * Full result list of a past run, one page at a time.
+ *
+ * @param {Object}   props         - Component props.
+ * @param {Object}   props.run     - Run summary.
+ * @param {Function} props.onClose - Close handler.
+ * @return {JSX.Element} The modal component.
+ */
+export function RunReport({ run, onClose }) {
+	const [page, setPage] = useState(1);
+	const [report, setReport] = useState(null);
+	const [error, setError] = useState(null);
+
+	/**
+	 * Fetch the current page of results.
+	 */
+	useEffect(() => {
+		apiFetch({
+			path: `/vmfa/v1/history/${run.id}?page=${page}&per_page=${RESULTS_PER_PAGE}`,
+			method: 'GET',
+		})
+			.then(setReport)
+			.catch((err) => {
+				setError(
+					err.message ||
+						__('Failed to load run results.', 'vmfa-ai-organizer')
+				);
+			});
+	}, [run.id, page]);
+
+	const results = report?.results || [];
+	const pages = report?.pages || 1;
+
+	return (
+		<Modal
+			title={sprintf(
+				/* translators: 1: Scan mode, 2: Run date. */
+				__('%1$s on %2$s', 'vmfa-ai-organizer'),
+				getModeLabel(run.mode),
+				formatDate(run.started_at)
+			)}
+			onRequestClose={onClose}
+			className="vmfa-preview-modal vmfa-run-report"
+		>
+			<div className="vmfa-preview-content">
+				{error && <p className="vmfa-preview-error">{error}</p>}
+				{!report && !error && <Spinner />}
+
+				{report && results.length === 0 && (
+					<p>
+						{__(
+							'No results were recorded for this run.',
+							'vmfa-ai-organizer'
+						)}
+					</p>
+				)}
+
+				{results.length > 0 && (
+					<table className="vmfa-preview-table">
+						<thead>
+							<tr>
+								<th>{__('File', 'vmfa-ai-organizer')}</th>
+								<th>{__('Folder', 'vmfa-ai-organizer')}</th>
+								<th>{__('Confidence', 'vmfa-ai-organizer')}</th>
+								<th>{__('Reason', 'vmfa-ai-organizer')}</th>
+							</tr>
+						</thead>
+						<tbody>
+							{results.map((result) => (
+								<tr
+									key={result.attachment_id}
+									className={`vmfa-preview-row-${result.action}`}
+								>
+									<td className="vmfa-preview-file">
+										<ResultThumbnail result={result} />
+										<span className="vmfa-preview-filename">
+											{result.filename ||
+												`#${result.attachment_id}`}
+										</span>
+									</td>
+									<td>
+										{result.folder_name ||
+											result.new_folder_path ||
+											'-'}
+									</td>
+									<td>
+										{Math.round(
+											(result.confidence || 0) * 100
+										)}
+										%
+									</td>
+									<td>{result.reason}</td>
+								</tr>
+							))}
+						</tbody>
+					</table>
+				)}
+
+				{pages > 1 && (
+					<div className="vmfa-preview-pagination">
+						<span className="vmfa-preview-total">
+							{sprintf(
+								/* translators: %d: Number of results. */
+								__('%d results', 'vmfa-ai-organizer'),
+								report.total
+							)}
+						</span>
+						<Button
+							variant="secondary"
+							onClick={() => setPage(page - 1)}
+							disabled={page <= 1}
+						>
+							{__('Previous', 'vmfa-ai-organizer')}
+						</Button>
+						<span className="vmfa-preview-page">
+							{sprintf(
+								/* translators: 1: Current page, 2: Total pages. */
+								__('Page %1$d of %2$d', 'vmfa-ai-organizer'),
+								page,
+								pages
+							)}
+						</span>
+						<Button
+							variant="secondary"
+							onClick={() => setPage(page + 1)}
+							disabled={page >= pages}
+						>
+							{__('Next', 'vmfa-ai-organizer')}
+						</Button>
+					</div>
+				)}
+			</div>
+		</Modal>
+	);
+}
+
+/**
+ * History Panel component.
+ *
+ * Lists past scan runs (newest first) and opens a run's full result list.
+ *
+ * @param {Object} props            - Component props.
+ * @param {string} props.refreshKey - Changes whenever the current scan finishes, to refetch the list.
+ * @return {JSX.Element|null} The panel component, or null while loading.
+ */
+export function HistoryPanel({ refreshKey }) {
+	const [runs, setRuns] = useState([]);
+	const [isLoading, setIsLoading] = useState(true);
+	const [notice, setNotice] = useState(null);
+	const [openRun, setOpenRun] = useState(null);
+
+	/**
+	 * Fetch the run list whenever a scan finishes.
+	 */
+	useEffect(() => {
+		apiFetch({ path: '/vmfa/v1/history', method: 'GET' })
+			.then((response) => setRuns(response.runs || []))
+			.catch(() => {
+				// Ignore fetch errors; the list stays empty.
+			})
+			.finally(() => setIsLoading(false));
+	}, [refreshKey]);
+
+	/**
+	 * Delete a run from the history.
+	 *
+	 * @param {string} id - Run ID.
+	 */
+	const handleDelete = async (id) => {
+		setNotice(null);
+
+		try {
+			await apiFetch({
+				path: `/vmfa/v1/history/${id}`,
+				method: 'DELETE',
+			});
+
+			setRuns((previous) => previous.filter((run) => run.id !== id));
+		} catch (err) {
+			setNotice({
+				type: 'error',
+				message:
+					err.message ||
+					__('Failed to delete run.', 'vmfa-ai-organizer'),
+			});
+		}
+	};
+
+	if (isLoading) {
+		return null;
+	}
+
+	return (
+		<Card className="vmfa-history-panel">
+			<CardHeader>
+				<h3>{__('History', 'vmfa-ai-organizer')}</h3>
+			</CardHeader>
+			<CardBody>
+				{notice && (
+					<Notice
+						status={notice.type}
+						isDismissible={true}
+						onRemove={() => setNotice(null)}
+					>
+						{notice.message}
+					</Notice>
+				)}
+
+				{runs.length === 0 ? (
+					<p className="vmfa-history-empty">
+						{__('No scans have finished yet.', 'vmfa-ai-organizer')}
+					</p>
+				) : (
+					<table className="vmfa-history-table">
+						<thead>
+							<tr>
+								<th>{__('Started', 'vmfa-ai-organizer')}</th>
+								<th>{__('Mode', 'vmfa-ai-organizer')}</th>
+								<th>{__('Provider', 'vmfa-ai-organizer')}</th>
+								<th>{__('Started by', 'vmfa-ai-organizer')}</th>
+								<th>{__('Status', 'vmfa-ai-organizer')}</th>
+								<th>
+									{__(
+										'Processed / Applied / Failed',
+										'vmfa-ai-organizer'
+									)}
+								</th>
+								<th>
+									<span className="screen-reader-text">
+										{__('Actions', 'vmfa-ai-organizer')}
+									</span>
+								</th>
+							</tr>
+						</thead>
+						<tbody>
+							{runs.map((run) => (
+								<tr key={run.id}>
+									<td>
+										{formatDate(run.started_at)}
+										<span className="vmfa-history-ended">
+											{sprintf(
+												/* translators: %s: Date the run ended. */
+												__(
+													'Ended %s',
+													'vmfa-ai-organizer'
+												),
+												formatDate(run.completed_at)
+											)}
+										</span>
+									</td>
+									<td>
+										{getModeLabel(run.mode)}
+										{run.dry_run && (
+											<span className="vmfa-history-badge">
+												{__(
+													'Preview',
+													'vmfa-ai-organizer'
+												)}
+											</span>
+										)}
+									</td>
+									<td>
+										{run.model
+											? `${run.provider} / ${run.model}`
+											: run.provider || '-'}
+									</td>
+									<td>{run.user_name || '—'}</td>
+									<td>{getStatusLabel(run.status)}</td>
+									<td>
+										{run.processed} / {run.applied} /{' '}
+										{run.failed}
+									</td>
+									<td className="vmfa-history-actions">
+										<Button
+											variant="secondary"
+											onClick={() => setOpenRun(run)}
+											disabled={run.result_count === 0}
+										>
+											{__(
+												'View results',
+												'vmfa-ai-organizer'
+											)}
+										</Button>
+										<Button
+											variant="link"
+											isDestructive
+											onClick={() => handleDelete(run.id)}
+										>
+											{__('Delete', 'vmfa-ai-organizer')}
+										</Button>
+									</td>
+								</tr>
+							))}
+						</tbody>
+					</table>
+				)}
+
+				{openRun && (
+					<RunReport run={openRun} onClose={() => setOpenRun(null)} />
+				)}
+			</CardBody>
+		</Card>
+	);
+}
+
+export default HistoryPanel;
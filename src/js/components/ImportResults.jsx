@@ -0,0 +1,69 @@
+/**
+ * Import Results Component.
+ *
+ * @package
+ */
+
+import { useState } from '@wordpress/element';
+import { FormFileUpload } from '@wordpress/components';
+import { __ } from '@wordpress/i18n';
+import apiFetch from '@wordpress/api-fetch';
+
+/**
+ * Upload button that imports an edited CSV or JSON result set as the preview.
+ *
+ * @param {Object}   props            - Component props.
+ * @param {Function} props.onImported - Called with the import response.
+ * @param {Function} props.onError    - Called with the request error.
+ * @param {boolean}  props.disabled   - Whether the button is disabled.
+ * @return {JSX.Element} The upload button.
+ */
+export function ImportResults({ onImported, onError, disabled }) {
+	const [isImporting, setIsImporting] = useState(false);
+
+	/**
+	 * Read the chosen file and send it to the server.
+	 *
+	 * @param {Event} event - File input change event.
+	 */
+	const handleChange = async (event) => {
+		const file = event.target.files?.[0];
+		event.target.value = '';
+
+		if (!file) {
+			return;
+		}
+
+		setIsImporting(true);
+		try {
+			const response = await apiFetch({
+				path: '/vmfa/v1/scan/import',
+				method: 'POST',
+				data: {
+					content: await file.text(),
+					format: file.name.toLowerCase().endsWith('.json')
+						? 'json'
+						: 'csv',
+				},
+			});
+			onImported(response);
+		} catch (err) {
+			onError(err);
+		} finally {
+			setIsImporting(false);
+		}
+	};
+
+	return (
+		<FormFileUpload
+			variant="secondary"
+			accept=".csv,.json,text/csv,application/json"
+			onChange={handleChange}
+			disabled={disabled || isImporting}
+		>
+			{__('Import Results…', 'vmfa-ai-organizer')}
+		</FormFileUpload>
+	);
+}
+
+export default ImportResults;
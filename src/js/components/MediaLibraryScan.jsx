@@ -0,0 +1,224 @@
+/**
+ * Media Library Scan Component.
+ *
+ * @package
+ */
+
+import { useState, useEffect, useRef } from '@wordpress/element';
+import {
+	Button,
+	CheckboxControl,
+	Notice,
+	Spinner,
+} from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+
+import { useScanStatus } from '../hooks/useScanStatus';
+
+/**
+ * @typedef {Object} MediaSelection
+ * @property {Function} getIds    - Return the selected attachment IDs.
+ * @property {Function} subscribe - Call a listener on selection changes; returns an unsubscribe function.
+ */
+
+/**
+ * Compact scan controls and progress for the Media Library screen.
+ *
+ * In the grid view it starts a scan of exactly the selected media; in both
+ * views it shows the progress of the running scan and links to the review
+ * when a preview finishes.
+ *
+ * @param {Object}         props            - Component props.
+ * @param {MediaSelection} props.selection  - Grid selection, or null in the list view.
+ * @param {string}         props.scannerUrl - URL of the AI Organizer scanner screen.
+ * @return {JSX.Element|null} The component, or null when there is nothing to show.
+ */
+export function MediaLibraryScan({ selection, scannerUrl }) {
+	const [selectedIds, setSelectedIds] = useState(() =>
+		selection ? selection.getIds() : []
+	);
+	const [dryRun, setDryRun] = useState(true);
+	const [notice, setNotice] = useState(null);
+	const [showResult, setShowResult] = useState(false);
+	const wasRunning = useRef(false);
+
+	const { status, isLoading, startScan, cancelScan } = useScanStatus();
+	const isRunning = status.status === 'running';
+
+	/**
+	 * Follow the grid selection.
+	 */
+	useEffect(() => {
+		if (!selection) {
+			return undefined;
+		}
+		return selection.subscribe(() => setSelectedIds(selection.getIds()));
+	}, [selection]);
+
+	/**
+	 * Show the outcome of a scan that was running while on this screen.
+	 */
+	useEffect(() => {
+		if (isRunning) {
+			wasRunning.current = true;
+			setShowResult(false);
+		} else if (wasRunning.current && status.status !== 'idle') {
+			wasRunning.current = false;
+			setShowResult(true);
+		}
+	}, [isRunning, status.status]);
+
+	/**
+	 * Start a scan of the selected media.
+	 */
+	const handleStart = async () => {
+		setNotice(null);
+		try {
+			await startScan('reanalyze_all', dryRun, {
+				attachment_ids: selectedIds,
+			});
+		} catch (err) {
+			setNotice({
+				type: 'error',
+				message:
+					err.message ||
+					__('Failed to start scan.', 'vmfa-ai-organizer'),
+			});
+		}
+	};
+
+	/**
+	 * Cancel the running scan.
+	 */
+	const handleCancel = async () => {
+		try {
+			await cancelScan();
+		} catch (err) {
+			setNotice({
+				type: 'error',
+				message:
+					err.message ||
+					__('Failed to cancel scan.', 'vmfa-ai-organizer'),
+			});
+		}
+	};
+
+	if (!selection && !isRunning && !showResult && !notice) {
+		return null;
+	}
+
+	return (
+		<div className="vmfa-media-library-scan">
+			{notice && (
+				<Notice
+					status={notice.type}
+					isDismissible={true}
+					onRemove={() => setNotice(null)}
+				>
+					{notice.message}
+				</Notice>
+			)}
+
+			{isRunning && (
+				<div className="vmfa-media-library-progress">
+					<Spinner />
+					<span>
+						{sprintf(
+							/* translators: 1: Media processed, 2: Media to process. */
+							__(
+								'Organizing with AI: %1$d of %2$d',
+								'vmfa-ai-organizer'
+							),
+							status.processed,
+							status.total
+						)}
+					</span>
+					<div className="vmfa-progress-bar-container">
+						<div
+							className="vmfa-progress-bar"
+							style={{ width: `${status.percentage || 0}%` }}
+						/>
+					</div>
+					<Button
+						variant="tertiary"
+						onClick={handleCancel}
+						disabled={isLoading}
+					>
+						{__('Cancel', 'vmfa-ai-organizer')}
+					</Button>
+				</div>
+			)}
+
+			{!isRunning && showResult && (
+				<div className="vmfa-media-library-result">
+					<span>
+						{status.status === 'cancelled' &&
+							__('Scan cancelled.', 'vmfa-ai-organizer')}
+						{status.status === 'failed' &&
+							(status.error ||
+								__('Scan failed.', 'vmfa-ai-organizer'))}
+						{status.status === 'completed' &&
+							status.dry_run &&
+							sprintf(
+								/* translators: %d: Number of media analyzed. */
+								__(
+									'Preview ready for %d media files.',
+									'vmfa-ai-organizer'
+								),
+								status.processed
+							)}
+						{status.status === 'completed' &&
+							!status.dry_run &&
+							sprintf(
+								/* translators: 1: Media moved into folders, 2: Media that failed. */
+								__(
+									'Organized %1$d media files (%2$d failed).',
+									'vmfa-ai-organizer'
+								),
+								status.applied,
+								status.failed
+							)}
+					</span>
+					<Button variant="link" href={scannerUrl}>
+						{status.status === 'completed' && status.dry_run
+							? __('Review preview', 'vmfa-ai-organizer')
+							: __('Open AI Organizer', 'vmfa-ai-organizer')}
+					</Button>
+					<Button
+						variant="tertiary"
+						onClick={() => setShowResult(false)}
+					>
+						{__('Dismiss', 'vmfa-ai-organizer')}
+					</Button>
+				</div>
+			)}
+
+			{selection && !isRunning && (
+				<div className="vmfa-media-library-actions">
+					<Button
+						variant="secondary"
+						onClick={handleStart}
+						disabled={isLoading || selectedIds.length === 0}
+					>
+						{sprintf(
+							/* translators: %d: Number of selected media. */
+							__(
+								'Organize %d Selected with AI',
+								'vmfa-ai-organizer'
+							),
+							selectedIds.length
+						)}
+					</Button>
+					<CheckboxControl
+						__nextHasNoMarginBottom
+						label={__('Preview first', 'vmfa-ai-organizer')}
+						checked={dryRun}
+						onChange={setDryRun}
+					/>
+				</div>
+			)}
+		</div>
+	);
+}
+
+export default MediaLibraryScan;
@@ -0,0 +1,240 @@
+/**
+ * New Folders Editor Component.
+ *
+ * @package
+ */
+
+import { useState } from '@wordpress/element';
+import {
+	Button,
+	CheckboxControl,
+	SelectControl,
+	TextControl,
+} from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * List of proposed new folders with rename and merge controls.
+ *
+ * @param {Object}   props            - Component props.
+ * @param {Array}    props.newFolders - Proposed new folder paths.
+ * @param {Array}    props.folders    - Existing folders ({ id, path }).
+ * @param {Function} props.onMerge    - Called with (sources, target), where target is
+ *                                    `{ folder_id }` or `{ target_path }`. Returns a promise.
+ * @return {JSX.Element} The editor component.
+ */
+export function NewFoldersEditor({ newFolders, folders, onMerge }) {
+	const [selected, setSelected] = useState([]);
+	const [renaming, setRenaming] = useState(null);
+	const [renameValue, setRenameValue] = useState('');
+	const [mergeTarget, setMergeTarget] = useState('');
+	const [mergeName, setMergeName] = useState('');
+	const [isBusy, setIsBusy] = useState(false);
+	const [message, setMessage] = useState(null);
+
+	/**
+	 * Send a rewrite to the server and reset the editor.
+	 *
+	 * @param {Array<string>} sources - Proposed folder paths.
+	 * @param {Object}        target  - `{ folder_id }` or `{ target_path }`.
+	 */
+	const submit = async (sources, target) => {
+		setIsBusy(true);
+		setMessage(null);
+		try {
+			const response = await onMerge(sources, target);
+			setMessage({ type: 'success', text: response?.message || '' });
+			setSelected([]);
+			setRenaming(null);
+			setMergeTarget('');
+			setMergeName('');
+		} catch (err) {
+			setMessage({
+				type: 'error',
+				text:
+					err.message ||
+					__('Failed to update folders.', 'vmfa-ai-organizer'),
+			});
+		} finally {
+			setIsBusy(false);
+		}
+	};
+
+	/**
+	 * Merge the selected folders into the chosen target.
+	 */
+	const handleMerge = () => {
+		if (mergeTarget.startsWith('folder:')) {
+			submit(selected, {
+				folder_id: parseInt(mergeTarget.slice(7), 10),
+			});
+		} else if (mergeTarget.startsWith('new:')) {
+			submit(selected, { target_path: mergeTarget.slice(4) });
+		} else {
+			submit(selected, { target_path: mergeName });
+		}
+	};
+
+	/**
+	 * Select or deselect a folder for merging.
+	 *
+	 * @param {string}  folder  - Proposed folder path.
+	 * @param {boolean} checked - Whether the folder is selected.
+	 */
+	const toggleFolder = (folder, checked) => {
+		setSelected((previous) =>
+			checked
+				? [...previous, folder]
+				: previous.filter((path) => path !== folder)
+		);
+	};
+
+	const mergeOptions = [
+		{
+			label: __('New folder…', 'vmfa-ai-organizer'),
+			value: '',
+		},
+		...newFolders
+			.filter((path) => !selected.includes(path))
+			.map((path) => ({
+				label: sprintf(
+					/* translators: %s: Proposed folder path. */
+					__('%s (new)', 'vmfa-ai-organizer'),
+					path
+				),
+				value: `new:${path}`,
+			})),
+		...folders.map((folder) => ({
+			label: folder.path,
+			value: `folder:${folder.id}`,
+		})),
+	];
+
+	return (
+		<div className="vmfa-new-folders-editor">
+			<ul className="vmfa-folder-list">
+				{newFolders.map((folder) => (
+					<li key={folder} className="vmfa-folder-item">
+						<CheckboxControl
+							__nextHasNoMarginBottom
+							aria-label={sprintf(
+								/* translators: %s: Proposed folder path. */
+								__('Select %s', 'vmfa-ai-organizer'),
+								folder
+							)}
+							checked={selected.includes(folder)}
+							onChange={(checked) =>
+								toggleFolder(folder, checked)
+							}
+							disabled={isBusy}
+						/>
+						<span className="vmfa-folder-icon">📁</span>
+						{renaming === folder ? (
+							<>
+								<TextControl
+									__nextHasNoMarginBottom
+									hideLabelFromVision
+									label={sprintf(
+										/* translators: %s: Proposed folder path. */
+										__(
+											'New path for %s',
+											'vmfa-ai-organizer'
+										),
+										folder
+									)}
+									value={renameValue}
+									onChange={setRenameValue}
+								/>
+								<Button
+									variant="primary"
+									onClick={() =>
+										submit([folder], {
+											target_path: renameValue,
+										})
+									}
+									disabled={
+										isBusy ||
+										!renameValue.trim() ||
+										renameValue === folder
+									}
+								>
+									{__('Save', 'vmfa-ai-organizer')}
+								</Button>
+								<Button
+									variant="tertiary"
+									onClick={() => setRenaming(null)}
+									disabled={isBusy}
+								>
+									{__('Cancel', 'vmfa-ai-organizer')}
+								</Button>
+							</>
+						) : (
+							<>
+								<span className="vmfa-folder-path">
+									{folder}
+								</span>
+								<Button
+									variant="link"
+									onClick={() => {
+										setRenaming(folder);
+										setRenameValue(folder);
+									}}
+									disabled={isBusy}
+								>
+									{__('Rename', 'vmfa-ai-organizer')}
+								</Button>
+							</>
+						)}
+					</li>
+				))}
+			</ul>
+
+			{selected.length > 0 && (
+				<div className="vmfa-folder-merge">
+					<SelectControl
+						__nextHasNoMarginBottom
+						label={__('Merge selected into', 'vmfa-ai-organizer')}
+						value={mergeTarget}
+						options={mergeOptions}
+						onChange={setMergeTarget}
+					/>
+					{mergeTarget === '' && (
+						<TextControl
+							__nextHasNoMarginBottom
+							label={__('New folder path', 'vmfa-ai-organizer')}
+							value={mergeName}
+							onChange={setMergeName}
+						/>
+					)}
+					<Button
+						variant="secondary"
+						onClick={handleMerge}
+						disabled={
+							isBusy || (mergeTarget === '' && !mergeName.trim())
+						}
+					>
+						{sprintf(
+							/* translators: %d: Number of selected folders. */
+							__('Merge %d folders', 'vmfa-ai-organizer'),
+							selected.length
+						)}
+					</Button>
+				</div>
+			)}
+
+			{message && (
+				<p
+					className={
+						message.type === 'error'
+							? 'vmfa-preview-error'
+							: 'vmfa-preview-message'
+					}
+				>
+					{message.text}
+				</p>
+			)}
+		</div>
+	);
+}
+
+export default NewFoldersEditor;
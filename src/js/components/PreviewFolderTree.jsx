@@ -0,0 +1,188 @@
+/**
+ * Preview Folder Tree Component.
+ *
+ * @package
+ */
+
+import { useState, useEffect } from '@wordpress/element';
+import { Spinner } from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+import apiFetch from '@wordpress/api-fetch';
+
+import { ResultThumbnail } from './ResultThumbnail';
+import { useCachedResults } from '../hooks/useCachedResults';
+
+/**
+ * Maximum number of items listed under an expanded folder.
+ */
+const NODE_ITEMS_LIMIT = 100;
+
+/**
+ * Collapsible tree of the proposed folder hierarchy.
+ *
+ * @return {JSX.Element} The tree component.
+ */
+export function PreviewFolderTree() {
+	const [tree, setTree] = useState(null);
+	const [error, setError] = useState(null);
+
+	/**
+	 * Fetch the proposed folder tree.
+	 */
+	useEffect(() => {
+		apiFetch({ path: '/vmfa/v1/scan/cached-tree', method: 'GET' })
+			.then((response) => setTree(response.tree || []))
+			.catch((err) => {
+				setError(
+					err.message ||
+						__('Failed to load folder tree.', 'vmfa-ai-organizer')
+				);
+			});
+	}, []);
+
+	if (error) {
+		return <p className="vmfa-preview-error">{error}</p>;
+	}
+
+	if (!tree) {
+		return <Spinner />;
+	}
+
+	if (tree.length === 0) {
+		return (
+			<p className="vmfa-preview-more">
+				{__(
+					'No folders in the proposed structure.',
+					'vmfa-ai-organizer'
+				)}
+			</p>
+		);
+	}
+
+	return (
+		<ul className="vmfa-folder-tree" role="tree">
+			{tree.map((node) => (
+				<FolderTreeNode key={node.path} node={node} />
+			))}
+		</ul>
+	);
+}
+
+/**
+ * A single folder node with its children and incoming items.
+ *
+ * @param {Object} props      - Component props.
+ * @param {Object} props.node - Tree node.
+ * @return {JSX.Element} The node component.
+ */
+function FolderTreeNode({ node }) {
+	const [isExpanded, setIsExpanded] = useState(false);
+	const hasContent = node.children.length > 0 || node.count > 0;
+
+	return (
+		<li
+			className={`vmfa-folder-tree-node${node.is_new ? ' is-new' : ''}`}
+			role="treeitem"
+			aria-expanded={hasContent ? isExpanded : undefined}
+		>
+			<button
+				type="button"
+				className="vmfa-folder-tree-toggle"
+				onClick={() => setIsExpanded(!isExpanded)}
+				disabled={!hasContent}
+			>
+				<span className="vmfa-folder-tree-arrow">
+					{hasContent && (isExpanded ? '▼' : '▶')}
+				</span>
+				<span className="vmfa-folder-icon">📁</span>
+				<span className="vmfa-folder-tree-name">{node.name}</span>
+				{node.is_new && (
+					<span className="vmfa-badge vmfa-badge-new">
+						{__('New', 'vmfa-ai-organizer')}
+					</span>
+				)}
+				{node.total > 0 && (
+					<span
+						className="vmfa-folder-tree-count"
+						title={sprintf(
+							/* translators: 1: Items moving into this folder, 2: Items including subfolders. */
+							__(
+								'%1$d incoming, %2$d including subfolders',
+								'vmfa-ai-organizer'
+							),
+							node.count,
+							node.total
+						)}
+					>
+						+{node.count}
+						{node.total !== node.count && ` / ${node.total}`}
+					</span>
+				)}
+			</button>
+
+			{isExpanded && (
+				<>
+					{node.count > 0 && <FolderTreeItems path={node.path} />}
+					{node.children.length > 0 && (
+						<ul role="group">
+							{node.children.map((child) => (
+								<FolderTreeNode key={child.path} node={child} />
+							))}
+						</ul>
+					)}
+				</>
+			)}
+		</li>
+	);
+}
+
+/**
+ * Items moving into a folder.
+ *
+ * @param {Object} props      - Component props.
+ * @param {string} props.path - Full folder path.
+ * @return {JSX.Element} The items component.
+ */
+function FolderTreeItems({ path }) {
+	const { results, total, isLoading, error } = useCachedResults({
+		page: 1,
+		perPage: NODE_ITEMS_LIMIT,
+		orderby: 'filename',
+		order: 'asc',
+		folder: path,
+	});
+
+	if (isLoading) {
+		return <Spinner />;
+	}
+
+	if (error) {
+		return <p className="vmfa-preview-error">{error}</p>;
+	}
+
+	return (
+		<div className="vmfa-folder-tree-items">
+			<ul>
+				{results.map((result) => (
+					<li key={result.attachment_id}>
+						<ResultThumbnail result={result} />
+						<span className="vmfa-folder-tree-item-name">
+							{result.filename || `#${result.attachment_id}`}
+						</span>
+					</li>
+				))}
+			</ul>
+			{total > results.length && (
+				<p className="vmfa-preview-more">
+					{sprintf(
+						/* translators: %d: Number of additional items not listed. */
+						__('And %d more…', 'vmfa-ai-organizer'),
+						total - results.length
+					)}
+				</p>
+			)}
+		</div>
+	);
+}
+
+export default PreviewFolderTree;
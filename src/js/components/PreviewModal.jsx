@@ -4,47 +4,242 @@
  * @package
  */
 
-import { Modal, Button } from '@wordpress/components';
+import { useState, useEffect } from '@wordpress/element';
+import {
+	Modal,
+	Button,
+	CheckboxControl,
+	SelectControl,
+	TextControl,
+	Spinner,
+} from '@wordpress/components';
 import { __, sprintf } from '@wordpress/i18n';
+import apiFetch from '@wordpress/api-fetch';
+
+import { NewFoldersEditor } from './NewFoldersEditor';
+import { PreviewFolderTree } from './PreviewFolderTree';
+import { ResultThumbnail } from './ResultThumbnail';
+import { useCachedResults } from '../hooks/useCachedResults';
+import { downloadFile } from '../utils/downloadFile';
+
+/**
+ * Results per page options.
+ */
+const PER_PAGE_OPTIONS = [25, 50, 100, 250];
 
 /**
  * Preview Modal component.
  *
+ * Pages through the dry-run cache on the server. Every assign/create row can
+ * be unticked or re-targeted before applying; `onApply` receives the selection
+ * (`exclude` and `overrides`) for `/scan/apply-cached`.
+ *
  * @param {Object}   props         - Component props.
- * @param {Array}    props.results - Analysis results to preview.
  * @param {Function} props.onClose - Close handler.
- * @param {Function} props.onApply - Apply handler.
+ * @param {Function} props.onApply - Apply handler, called with the selection.
  * @return {JSX.Element} The modal component.
  */
-export function PreviewModal({ results, onClose, onApply }) {
-	// Group results by action.
-	const grouped = results.reduce(
-		(acc, result) => {
-			acc[result.action] = acc[result.action] || [];
-			acc[result.action].push(result);
-			return acc;
-		},
-		{ assign: [], create: [], skip: [] }
+export function PreviewModal({ onClose, onApply }) {
+	const [query, setQuery] = useState({
+		page: 1,
+		perPage: 50,
+		orderby: 'folder',
+		order: 'asc',
+		search: '',
+		action: '',
+		confidence: '',
+	});
+	const [search, setSearch] = useState('');
+	const [folders, setFolders] = useState([]);
+	const [excluded, setExcluded] = useState(() => new Set());
+	const [targets, setTargets] = useState({});
+	const [view, setView] = useState('table');
+	const [refreshKey, setRefreshKey] = useState(0);
+	const [isExporting, setIsExporting] = useState(false);
+	const [exportError, setExportError] = useState(null);
+
+	const { results, total, pages, page, summary, isLoading, error } =
+		useCachedResults(query, refreshKey);
+
+	/**
+	 * Fetch existing folders for the folder picker.
+	 */
+	useEffect(() => {
+		apiFetch({ path: '/vmfa/v1/folders', method: 'GET' })
+			.then((response) => setFolders(response.folders || []))
+			.catch(() => {
+				// The picker still offers the folders found in the results.
+			});
+	}, []);
+
+	/**
+	 * Apply the search term once typing pauses.
+	 */
+	useEffect(() => {
+		const timeout = setTimeout(() => {
+			setQuery((previous) =>
+				previous.search === search
+					? previous
+					: { ...previous, search, page: 1 }
+			);
+		}, 300);
+
+		return () => clearTimeout(timeout);
+	}, [search]);
+
+	const assignCount = summary?.assign || 0;
+	const createCount = summary?.create || 0;
+	const skipCount = summary?.skip || 0;
+	const newFolders = summary?.new_folders || [];
+
+	const folderOptions = getFolderOptions(folders, newFolders);
+	const pageActionable = results.filter((result) => isActionable(result));
+	const selectedCount = Math.max(
+		0,
+		assignCount + createCount - excluded.size
 	);
+	const pageSelected =
+		pageActionable.length > 0 &&
+		pageActionable.every((result) => !excluded.has(result.attachment_id));
 
-	// Calculate statistics.
-	const assignCount = grouped.assign.length;
-	const createCount = grouped.create.length;
-	const skipCount = grouped.skip.length;
-
-	// Get unique new folders to create and sort alphabetically.
-	const newFolders = [
-		...new Set(
-			grouped.create.map((r) => r.new_folder_path).filter(Boolean)
-		),
-	].sort((a, b) => a.localeCompare(b));
-
-	// Sort assignments alphabetically by folder name.
-	const sortedAssignments = [...grouped.assign].sort((a, b) => {
-		const folderA = a.folder_name || a.new_folder_path || '';
-		const folderB = b.folder_name || b.new_folder_path || '';
-		return folderA.localeCompare(folderB);
-	});
+	/**
+	 * Update the query, returning to the first page unless paging.
+	 *
+	 * @param {Object} changes - Query changes.
+	 */
+	const updateQuery = (changes) => {
+		setQuery((previous) => ({ ...previous, page: 1, ...changes }));
+	};
+
+	/**
+	 * Sort by a column, toggling direction when already sorted by it.
+	 *
+	 * @param {string} orderby - Sort field.
+	 */
+	const sortBy = (orderby) => {
+		updateQuery({
+			orderby,
+			order:
+				query.orderby === orderby && query.order === 'asc'
+					? 'desc'
+					: 'asc',
+		});
+	};
+
+	/**
+	 * Include or exclude results.
+	 *
+	 * @param {Array<number>} attachmentIds - Attachment IDs.
+	 * @param {boolean}       checked       - Whether the rows are selected.
+	 */
+	const toggleResults = (attachmentIds, checked) => {
+		setExcluded((previous) => {
+			const next = new Set(previous);
+			attachmentIds.forEach((attachmentId) => {
+				if (checked) {
+					next.delete(attachmentId);
+				} else {
+					next.add(attachmentId);
+				}
+			});
+			return next;
+		});
+	};
+
+	/**
+	 * Rename or merge proposed folders in the dry-run cache, then reload.
+	 *
+	 * @param {Array<string>} sources - Proposed folder paths.
+	 * @param {Object}        target  - `{ folder_id }` or `{ target_path }`.
+	 * @return {Promise<Object>} Merge result.
+	 */
+	const handleMergeFolders = async (sources, target) => {
+		const response = await apiFetch({
+			path: '/vmfa/v1/scan/merge-folders',
+			method: 'POST',
+			data: { sources, ...target },
+		});
+
+		// Drop per-row targets that point at folders which no longer exist.
+		setTargets((previous) =>
+			Object.fromEntries(
+				Object.entries(previous).filter(
+					([, value]) =>
+						!sources.some(
+							(source) =>
+								value === `new:${source}` ||
+								value.startsWith(`new:${source}/`)
+						)
+				)
+			)
+		);
+		setRefreshKey((key) => key + 1);
+
+		return response;
+	};
+
+	/**
+	 * Download the full dry-run cache as a file.
+	 *
+	 * @param {string} format - Export format: 'csv' or 'json'.
+	 */
+	const handleExport = async (format) => {
+		setIsExporting(true);
+		setExportError(null);
+		try {
+			await downloadFile(
+				`/vmfa/v1/scan/cached-results/export?format=${format}`,
+				`vmfa-preview.${format}`
+			);
+		} catch (err) {
+			setExportError(
+				err.message ||
+					__('Failed to download results.', 'vmfa-ai-organizer')
+			);
+		} finally {
+			setIsExporting(false);
+		}
+	};
+
+	/**
+	 * Hand the selection to the apply handler.
+	 */
+	const handleApply = () => {
+		onApply({
+			exclude: [...excluded],
+			overrides: Object.entries(targets).map(([attachmentId, value]) =>
+				toApplyItem(parseInt(attachmentId, 10), value)
+			),
+		});
+	};
+
+	/**
+	 * Render a sortable column header.
+	 *
+	 * @param {string} orderby - Sort field.
+	 * @param {string} label   - Column label.
+	 * @return {JSX.Element} Header cell.
+	 */
+	const renderSortableHeader = (orderby, label) => {
+		const isSorted = query.orderby === orderby;
+		let ariaSort = 'none';
+		if (isSorted) {
+			ariaSort = query.order === 'asc' ? 'ascending' : 'descending';
+		}
+
+		return (
+			<th aria-sort={ariaSort}>
+				<Button
+					variant="link"
+					className="vmfa-preview-sort"
+					onClick={() => sortBy(orderby)}
+				>
+					{label}
+					{isSorted && (query.order === 'asc' ? ' ▲' : ' ▼')}
+				</Button>
+			</th>
+		);
+	};
 
 	return (
 		<Modal
@@ -98,135 +293,533 @@ export function PreviewModal({ results, onClose, onApply }) {
 						<h4>
 							{__('New Folders to Create', 'vmfa-ai-organizer')}
 						</h4>
-						<ul className="vmfa-folder-list">
-							{newFolders.map((folder, index) => (
-								<li key={index} className="vmfa-folder-item">
-									<span className="vmfa-folder-icon">📁</span>
-									<span className="vmfa-folder-path">
-										{folder}
-									</span>
-								</li>
-							))}
-						</ul>
+						<NewFoldersEditor
+							newFolders={newFolders}
+							folders={folders}
+							onMerge={handleMergeFolders}
+						/>
 					</div>
 				)}
 
-				{/* Assignments preview */}
-				{assignCount > 0 && (
-					<div className="vmfa-preview-section">
-						<h4>{__('Folder Assignments', 'vmfa-ai-organizer')}</h4>
-						<div className="vmfa-preview-table-wrapper">
-							<table className="vmfa-preview-table">
-								<thead>
-									<tr>
-										<th>
-											{__(
-												'Media ID',
+				{/* Results table */}
+				<div className="vmfa-preview-section">
+					<div className="vmfa-preview-section-header">
+						<h4>{__('Proposed Changes', 'vmfa-ai-organizer')}</h4>
+						<div className="vmfa-preview-view-toggle">
+							<Button
+								variant={
+									view === 'table' ? 'primary' : 'secondary'
+								}
+								onClick={() => setView('table')}
+							>
+								{__('Table', 'vmfa-ai-organizer')}
+							</Button>
+							<Button
+								variant={
+									view === 'tree' ? 'primary' : 'secondary'
+								}
+								onClick={() => setView('tree')}
+							>
+								{__('Folder Tree', 'vmfa-ai-organizer')}
+							</Button>
+						</div>
+					</div>
+
+					{view === 'tree' && <PreviewFolderTree key={refreshKey} />}
+
+					{view === 'table' && (
+						<>
+							<div className="vmfa-preview-filters">
+								<TextControl
+									__nextHasNoMarginBottom
+									label={__('Search', 'vmfa-ai-organizer')}
+									value={search}
+									onChange={setSearch}
+								/>
+								<SelectControl
+									__nextHasNoMarginBottom
+									label={__('Action', 'vmfa-ai-organizer')}
+									value={query.action}
+									options={[
+										{
+											label: __(
+												'All',
 												'vmfa-ai-organizer'
-											)}
-										</th>
-										<th>
-											{__('Folder', 'vmfa-ai-organizer')}
-										</th>
-										<th>
-											{__(
-												'Confidence',
+											),
+											value: '',
+										},
+										{
+											label: __(
+												'Assign to existing folder',
+												'vmfa-ai-organizer'
+											),
+											value: 'assign',
+										},
+										{
+											label: __(
+												'Create new folder',
+												'vmfa-ai-organizer'
+											),
+											value: 'create',
+										},
+										{
+											label: __(
+												'Skipped',
+												'vmfa-ai-organizer'
+											),
+											value: 'skip',
+										},
+									]}
+									onChange={(action) =>
+										updateQuery({ action })
+									}
+								/>
+								<SelectControl
+									__nextHasNoMarginBottom
+									label={__(
+										'Confidence',
+										'vmfa-ai-organizer'
+									)}
+									value={query.confidence}
+									options={[
+										{
+											label: __(
+												'All',
+												'vmfa-ai-organizer'
+											),
+											value: '',
+										},
+										{
+											label: __(
+												'High (80% and above)',
 												'vmfa-ai-organizer'
+											),
+											value: 'high',
+										},
+										{
+											label: __(
+												'Medium (50–79%)',
+												'vmfa-ai-organizer'
+											),
+											value: 'medium',
+										},
+										{
+											label: __(
+												'Low (below 50%)',
+												'vmfa-ai-organizer'
+											),
+											value: 'low',
+										},
+									]}
+									onChange={(confidence) =>
+										updateQuery({ confidence })
+									}
+								/>
+							</div>
+
+							{error && (
+								<p className="vmfa-preview-error">{error}</p>
+							)}
+
+							<div className="vmfa-preview-table-wrapper">
+								<table className="vmfa-preview-table">
+									<thead>
+										<tr>
+											<th>
+												<CheckboxControl
+													__nextHasNoMarginBottom
+													aria-label={__(
+														'Select all on this page',
+														'vmfa-ai-organizer'
+													)}
+													checked={pageSelected}
+													disabled={
+														pageActionable.length ===
+														0
+													}
+													onChange={(checked) =>
+														toggleResults(
+															pageActionable.map(
+																(r) =>
+																	r.attachment_id
+															),
+															checked
+														)
+													}
+												/>
+											</th>
+											{renderSortableHeader(
+												'filename',
+												__('File', 'vmfa-ai-organizer')
+											)}
+											{renderSortableHeader(
+												'folder',
+												__(
+													'Folder',
+													'vmfa-ai-organizer'
+												)
 											)}
-										</th>
-										<th>
-											{__('Reason', 'vmfa-ai-organizer')}
-										</th>
-									</tr>
-								</thead>
-								<tbody>
-									{sortedAssignments
-										.slice(0, 20)
-										.map((result, index) => (
-											<tr key={index}>
-												<td>#{result.attachment_id}</td>
-												<td>
-													{result.folder_name ||
-														result.new_folder_path ||
-														'-'}
-												</td>
-												<td>
-													<span
-														className={getConfidenceClass(
-															result.confidence
+											{renderSortableHeader(
+												'confidence',
+												__(
+													'Confidence',
+													'vmfa-ai-organizer'
+												)
+											)}
+											<th>
+												{__(
+													'Reason',
+													'vmfa-ai-organizer'
+												)}
+											</th>
+										</tr>
+									</thead>
+									<tbody>
+										{results.map((result) => {
+											const actionable =
+												isActionable(result);
+											const isExcluded =
+												actionable &&
+												excluded.has(
+													result.attachment_id
+												);
+
+											return (
+												<tr
+													key={result.attachment_id}
+													className={getRowClass(
+														result,
+														isExcluded
+													)}
+												>
+													<td>
+														{actionable && (
+															<CheckboxControl
+																__nextHasNoMarginBottom
+																aria-label={sprintf(
+																	/* translators: %d: Attachment ID. */
+																	__(
+																		'Include #%d',
+																		'vmfa-ai-organizer'
+																	),
+																	result.attachment_id
+																)}
+																checked={
+																	!isExcluded
+																}
+																onChange={(
+																	checked
+																) =>
+																	toggleResults(
+																		[
+																			result.attachment_id,
+																		],
+																		checked
+																	)
+																}
+															/>
 														)}
-													>
-														{Math.round(
-															result.confidence *
-																100
+													</td>
+													<td className="vmfa-preview-file">
+														<ResultThumbnail
+															result={result}
+														/>
+														<span className="vmfa-preview-filename">
+															{result.filename ||
+																'-'}
+														</span>
+														<span className="vmfa-preview-id">
+															#
+															{
+																result.attachment_id
+															}
+														</span>
+													</td>
+													<td>
+														{actionable ? (
+															<SelectControl
+																__nextHasNoMarginBottom
+																hideLabelFromVision
+																label={sprintf(
+																	/* translators: %d: Attachment ID. */
+																	__(
+																		'Target folder for #%d',
+																		'vmfa-ai-organizer'
+																	),
+																	result.attachment_id
+																)}
+																value={
+																	targets[
+																		result
+																			.attachment_id
+																	] ||
+																	getTargetValue(
+																		result
+																	)
+																}
+																options={withCurrentOption(
+																	folderOptions,
+																	result
+																)}
+																onChange={(
+																	value
+																) =>
+																	setTargets({
+																		...targets,
+																		[result.attachment_id]:
+																			value,
+																	})
+																}
+																disabled={
+																	isExcluded
+																}
+															/>
+														) : (
+															'-'
 														)}
-														%
-													</span>
-												</td>
-												<td>{result.reason}</td>
-											</tr>
-										))}
-								</tbody>
-							</table>
-							{sortedAssignments.length > 20 && (
-								<p className="vmfa-preview-more">
-									{sprintf(
-										/* translators: %d: Number of additional assignments not shown in the preview table. */
-										__('And %d more…', 'vmfa-ai-organizer'),
-										sortedAssignments.length - 20
-									)}
-								</p>
-							)}
-						</div>
-					</div>
-				)}
+													</td>
+													<td>
+														<span
+															className={getConfidenceClass(
+																result.confidence
+															)}
+														>
+															{Math.round(
+																(result.confidence ||
+																	0) * 100
+															)}
+															%
+														</span>
+													</td>
+													<td>
+														{result.reason}
+														{result.visual_description && (
+															<span className="vmfa-visual-description">
+																{
+																	result.visual_description
+																}
+															</span>
+														)}
+													</td>
+												</tr>
+											);
+										})}
+									</tbody>
+								</table>
 
-				{/* Skipped items */}
-				{skipCount > 0 && (
-					<div className="vmfa-preview-section vmfa-preview-skipped">
-						<h4>{__('Skipped Items', 'vmfa-ai-organizer')}</h4>
-						<p className="description">
-							{__(
-								'These items could not be matched to any folder.',
-								'vmfa-ai-organizer'
-							)}
-						</p>
-						<ul className="vmfa-skipped-list">
-							{grouped.skip.slice(0, 10).map((result, index) => (
-								<li key={index}>
-									#{result.attachment_id}: {result.reason}
-								</li>
-							))}
-						</ul>
-						{skipCount > 10 && (
-							<p className="vmfa-preview-more">
-								{sprintf(
-									/* translators: %d: Number of additional skipped items not shown in the preview list. */
-									__('And %d more…', 'vmfa-ai-organizer'),
-									skipCount - 10
+								{isLoading && <Spinner />}
+
+								{!isLoading && results.length === 0 && (
+									<p className="vmfa-preview-more">
+										{__(
+											'No results match the current filters.',
+											'vmfa-ai-organizer'
+										)}
+									</p>
 								)}
-							</p>
-						)}
-					</div>
-				)}
+							</div>
+
+							<div className="vmfa-preview-pagination">
+								<span className="vmfa-preview-total">
+									{sprintf(
+										/* translators: %d: Number of matching results. */
+										__('%d results', 'vmfa-ai-organizer'),
+										total
+									)}
+								</span>
+								<SelectControl
+									__nextHasNoMarginBottom
+									label={__('Per page', 'vmfa-ai-organizer')}
+									value={String(query.perPage)}
+									options={PER_PAGE_OPTIONS.map((value) => ({
+										label: String(value),
+										value: String(value),
+									}))}
+									onChange={(value) =>
+										updateQuery({
+											perPage: parseInt(value, 10),
+										})
+									}
+								/>
+								<Button
+									variant="secondary"
+									onClick={() =>
+										setQuery({ ...query, page: page - 1 })
+									}
+									disabled={isLoading || page <= 1}
+								>
+									{__('Previous', 'vmfa-ai-organizer')}
+								</Button>
+								<span className="vmfa-preview-page">
+									{sprintf(
+										/* translators: 1: Current page, 2: Total pages. */
+										__(
+											'Page %1$d of %2$d',
+											'vmfa-ai-organizer'
+										),
+										page,
+										pages
+									)}
+								</span>
+								<Button
+									variant="secondary"
+									onClick={() =>
+										setQuery({ ...query, page: page + 1 })
+									}
+									disabled={isLoading || page >= pages}
+								>
+									{__('Next', 'vmfa-ai-organizer')}
+								</Button>
+							</div>
+						</>
+					)}
+				</div>
 			</div>
 
 			<div className="vmfa-preview-actions">
 				<Button
 					variant="primary"
-					onClick={onApply}
-					disabled={assignCount === 0 && createCount === 0}
+					onClick={handleApply}
+					disabled={!summary || selectedCount === 0}
 				>
-					{__('Apply Changes', 'vmfa-ai-organizer')}
+					{sprintf(
+						/* translators: %d: Number of selected changes. */
+						__('Apply %d Changes', 'vmfa-ai-organizer'),
+						selectedCount
+					)}
 				</Button>
 				<Button variant="secondary" onClick={onClose}>
 					{__('Cancel', 'vmfa-ai-organizer')}
 				</Button>
+				<div className="vmfa-preview-export">
+					{exportError && (
+						<span className="vmfa-preview-error">
+							{exportError}
+						</span>
+					)}
+					<Button
+						variant="tertiary"
+						onClick={() => handleExport('csv')}
+						disabled={!summary || isExporting}
+					>
+						{__('Download CSV', 'vmfa-ai-organizer')}
+					</Button>
+					<Button
+						variant="tertiary"
+						onClick={() => handleExport('json')}
+						disabled={!summary || isExporting}
+					>
+						{__('Download JSON', 'vmfa-ai-organizer')}
+					</Button>
+				</div>
 			</div>
 		</Modal>
 	);
 }
 
+/**
+ * Whether a result can be applied.
+ *
+ * @param {Object} result - Analysis result.
+ * @return {boolean} True for assign/create results.
+ */
+function isActionable(result) {
+	return result.action === 'assign' || result.action === 'create';
+}
+
+/**
+ * Get CSS class for a table row.
+ *
+ * @param {Object}  result     - Analysis result.
+ * @param {boolean} isExcluded - Whether the row is excluded.
+ * @return {string} CSS class names.
+ */
+function getRowClass(result, isExcluded) {
+	const classes = [`vmfa-preview-row-${result.action}`];
+	if (isExcluded) {
+		classes.push('vmfa-preview-row-excluded');
+	}
+	return classes.join(' ');
+}
+
+/**
+ * Get the folder picker value for a result's current target.
+ *
+ * @param {Object} result - Analysis result.
+ * @return {string} Picker value (`folder:<id>` or `new:<path>`).
+ */
+function getTargetValue(result) {
+	if (result.action === 'assign' && result.folder_id) {
+		return `folder:${result.folder_id}`;
+	}
+	return `new:${result.new_folder_path || ''}`;
+}
+
+/**
+ * Convert a folder picker value into an apply-cached item.
+ *
+ * @param {number} attachmentId - Attachment ID.
+ * @param {string} value        - Picker value.
+ * @return {Object} Item with `folder_id` or `new_folder_path`.
+ */
+function toApplyItem(attachmentId, value) {
+	if (value.startsWith('folder:')) {
+		return {
+			attachment_id: attachmentId,
+			folder_id: parseInt(value.slice(7), 10),
+		};
+	}
+	return {
+		attachment_id: attachmentId,
+		new_folder_path: value.slice(4),
+	};
+}
+
+/**
+ * Build folder picker options from existing and proposed folders.
+ *
+ * @param {Array} folders    - Existing folders ({ id, path }).
+ * @param {Array} newFolders - Proposed new folder paths.
+ * @return {Array} SelectControl options.
+ */
+function getFolderOptions(folders, newFolders) {
+	return [
+		...folders.map((folder) => ({
+			label: folder.path,
+			value: `folder:${folder.id}`,
+		})),
+		...newFolders.map((path) => ({
+			label: sprintf(
+				/* translators: %s: Proposed folder path. */
+				__('%s (new)', 'vmfa-ai-organizer'),
+				path
+			),
+			value: `new:${path}`,
+		})),
+	];
+}
+
+/**
+ * Make sure a result's suggested folder is among the picker options.
+ *
+ * @param {Array}  options - Folder picker options.
+ * @param {Object} result  - Analysis result.
+ * @return {Array} SelectControl options.
+ */
+function withCurrentOption(options, result) {
+	const value = getTargetValue(result);
+	if (options.some((option) => option.value === value)) {
+		return options;
+	}
+	return [
+		{
+			label: result.folder_name || result.new_folder_path || value,
+			value,
+		},
+		...options,
+	];
+}
+
 /**
  * Get CSS class for confidence level.
  *
@@ -0,0 +1,909 @@
+/**
+ * Provider Settings Component.
+ *
+ * Renders the AI Provider tab inside the settings form, so the fields are
+ * saved through options.php like the other settings tabs.
+ *
+ * @package
+ */
+
+import { useState } from '@wordpress/element';
+import {
+	Button,
+	CheckboxControl,
+	ComboboxControl,
+	SelectControl,
+	TextControl,
+} from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+import apiFetch from '@wordpress/api-fetch';
+import { ProviderTest } from './ProviderTest';
+
+/**
+ * Providers whose models are listed by the running server.
+ */
+const LOCAL_PROVIDERS = {
+	ollama: { endpointKey: 'ollama_url', modelKey: 'ollama_model' },
+	exo: { endpointKey: 'exo_endpoint', modelKey: 'exo_model' },
+};
+
+/**
+ * Icons of the connection states.
+ */
+const HEALTH_ICONS = {
+	checking: '⏳',
+	ok: '✅',
+	error: '❌',
+};
+
+/**
+ * Build select options from a model map, keeping the current value listed.
+ *
+ * @param {Object} models - Model labels keyed by model ID.
+ * @param {string} value  - Current model.
+ * @return {Array<{value: string, label: string}>} Select options.
+ */
+export function getModelOptions(models, value) {
+	const options = Object.entries(models || {}).map(([id, label]) => ({
+		value: id,
+		label,
+	}));
+
+	if (value && !options.some((option) => option.value === value)) {
+		options.unshift({ value, label: value });
+	}
+
+	return options;
+}
+
+/**
+ * Build select options from listed cloud models.
+ *
+ * Vision models are labelled; with `visionOnly` the others are left out, but
+ * the current value always stays listed.
+ *
+ * @param {Array<{id: string, name: string, vision: boolean}>} listed     - Models from the provider.
+ * @param {string}                                             value      - Current model.
+ * @param {boolean}                                            visionOnly - Whether to hide models without vision.
+ * @return {Array<{value: string, label: string}>} Select options.
+ */
+export function getCloudModelOptions(listed, value, visionOnly) {
+	const options = listed
+		.filter((model) => !visionOnly || model.vision || model.id === value)
+		.map((model) => ({
+			value: model.id,
+			label: model.vision
+				? sprintf(
+						/* translators: %s: Model name. */
+						__('%s (vision)', 'vmfa-ai-organizer'),
+						model.name
+					)
+				: model.name,
+		}));
+
+	if (value && !options.some((option) => option.value === value)) {
+		options.unshift({ value, label: value });
+	}
+
+	return options;
+}
+
+/**
+ * Read the fallback order from the saved setting.
+ *
+ * @param {string}        value   - Comma-separated provider names.
+ * @param {Array<string>} names   - Known provider names.
+ * @param {string}        primary - Primary provider, which is left out.
+ * @return {Array<string>} Fallback providers, in order.
+ */
+export function getFallbackOrder(value, names, primary) {
+	return String(value || '')
+		.split(',')
+		.map((name) => name.trim())
+		.filter(
+			(name, index, list) =>
+				name &&
+				name !== primary &&
+				names.includes(name) &&
+				list.indexOf(name) === index
+		);
+}
+
+/**
+ * Badge shown next to a setting overridden by a constant or environment variable.
+ *
+ * @param {Object}  props        - Component props.
+ * @param {?string} props.source - Override source: 'const' or 'env'.
+ * @return {?JSX.Element} The badge.
+ */
+function LockedBadge({ source }) {
+	if (!source) {
+		return null;
+	}
+
+	return (
+		<span
+			className="vmfa-locked-badge"
+			title={__('This setting is overridden', 'vmfa-ai-organizer')}
+		>
+			{source === 'const'
+				? __('🔒 Constant', 'vmfa-ai-organizer')
+				: __('🔒 Environment', 'vmfa-ai-organizer')}
+		</span>
+	);
+}
+
+/**
+ * Connection state of a local provider.
+ *
+ * @param {Object}  props        - Component props.
+ * @param {?Object} props.health - State: `status` ('checking', 'ok', 'error') and `message`.
+ * @return {?JSX.Element} The indicator.
+ */
+function HealthIndicator({ health }) {
+	if (!health) {
+		return null;
+	}
+
+	return (
+		<span
+			className={`vmfa-health-indicator is-${health.status}`}
+			role="status"
+		>
+			{HEALTH_ICONS[health.status]} {health.message}
+		</span>
+	);
+}
+
+/**
+ * AI Provider settings.
+ *
+ * @param {Object} props           - Component props.
+ * @param {Object} props.providers - Provider labels keyed by provider name.
+ * @param {Object} props.settings  - Tab data: `optionName`, `values`, `locked` and `models`.
+ * @return {JSX.Element} The provider settings.
+ */
+export function ProviderSettings({ providers, settings }) {
+	const { optionName, locked = {}, models = {} } = settings;
+	const [values, setValues] = useState(settings.values);
+	const [remoteModels, setRemoteModels] = useState({});
+	const [cloudModels, setCloudModels] = useState({});
+	const [visionOnly, setVisionOnly] = useState(true);
+	const [health, setHealth] = useState({});
+	const [busy, setBusy] = useState(null);
+
+	const provider = values.ai_provider;
+	const isAzure = values.openai_type === 'azure';
+	const unsaved = Object.keys(values).some(
+		(key) => values[key] !== settings.values[key]
+	);
+
+	/**
+	 * Get the shared props of a setting's control.
+	 *
+	 * @param {string} key - Setting key.
+	 * @return {Object} Control props.
+	 */
+	const getFieldProps = (key) => ({
+		id: `vmfa_${key}`,
+		name: `${optionName}[${key}]`,
+		value: values[key] ?? '',
+		onChange: (value) => setValues((prev) => ({ ...prev, [key]: value })),
+		disabled: Boolean(locked[key]),
+	});
+
+	/**
+	 * Record the connection state of a local provider.
+	 *
+	 * @param {string} name    - Provider name.
+	 * @param {string} status  - 'checking', 'ok' or 'error'.
+	 * @param {string} message - Message shown next to the icon.
+	 */
+	const setProviderHealth = (name, status, message) => {
+		setHealth((prev) => ({ ...prev, [name]: { status, message } }));
+	};
+
+	/**
+	 * Get the endpoint entered for a local provider.
+	 *
+	 * @param {string} name - 'ollama' or 'exo'.
+	 * @return {string} Endpoint URL.
+	 */
+	const getEndpoint = (name) =>
+		String(values[LOCAL_PROVIDERS[name].endpointKey] || '').trim();
+
+	/**
+	 * Check that the Exo cluster answers.
+	 */
+	const checkExoHealth = async () => {
+		const endpoint = getEndpoint('exo');
+		if (!endpoint) {
+			setProviderHealth(
+				'exo',
+				'error',
+				__('Please enter the Exo endpoint first.', 'vmfa-ai-organizer')
+			);
+			return;
+		}
+
+		setProviderHealth(
+			'exo',
+			'checking',
+			__('Checking…', 'vmfa-ai-organizer')
+		);
+
+		try {
+			const response = await apiFetch({
+				path: '/vmfa/v1/exo-health',
+				method: 'POST',
+				data: { endpoint },
+			});
+			setProviderHealth(
+				'exo',
+				response.status === 'ok' ? 'ok' : 'error',
+				response.status === 'ok'
+					? __('Connected', 'vmfa-ai-organizer')
+					: response.message ||
+							__('Connection failed', 'vmfa-ai-organizer')
+			);
+		} catch (err) {
+			setProviderHealth(
+				'exo',
+				'error',
+				err.message || __('Connection failed', 'vmfa-ai-organizer')
+			);
+		}
+	};
+
+	/**
+	 * Load the models offered by a local provider.
+	 *
+	 * @param {string} name - 'ollama' or 'exo'.
+	 */
+	const refreshModels = async (name) => {
+		const endpoint = getEndpoint(name);
+		if (!endpoint) {
+			setProviderHealth(
+				name,
+				'error',
+				name === 'ollama'
+					? __(
+							'Please enter the Ollama URL first.',
+							'vmfa-ai-organizer'
+						)
+					: __(
+							'Please enter the Exo endpoint first.',
+							'vmfa-ai-organizer'
+						)
+			);
+			return;
+		}
+
+		setBusy(name);
+
+		try {
+			const response = await apiFetch({
+				path: `/vmfa/v1/${name}-models`,
+				method: 'POST',
+				data: { endpoint },
+			});
+
+			if (response.error) {
+				setProviderHealth(
+					name,
+					'error',
+					sprintf(
+						/* translators: %s: Error message. */
+						__('Failed to fetch models: %s', 'vmfa-ai-organizer'),
+						response.error
+					)
+				);
+				return;
+			}
+
+			setRemoteModels((prev) => ({
+				...prev,
+				[name]: (response.models || []).map((model) => ({
+					value: model.id || model,
+					label: model.name || model.id || model,
+				})),
+			}));
+
+			if (name === 'exo') {
+				await checkExoHealth();
+			} else {
+				setProviderHealth(
+					name,
+					'ok',
+					__('Connected', 'vmfa-ai-organizer')
+				);
+			}
+		} catch (err) {
+			setProviderHealth(
+				name,
+				'error',
+				sprintf(
+					/* translators: %s: Error message. */
+					__('Failed to fetch models: %s', 'vmfa-ai-organizer'),
+					err.message
+				)
+			);
+		} finally {
+			setBusy(null);
+		}
+	};
+
+	/**
+	 * Load the models of a cloud provider with the entered API key.
+	 *
+	 * The saved key is used when the field is empty.
+	 *
+	 * @param {string} name - Cloud provider name.
+	 */
+	const loadCloudModels = async (name) => {
+		setBusy(name);
+
+		try {
+			const response = await apiFetch({
+				path: `/vmfa/v1/${name}-models`,
+				method: 'POST',
+				data: { api_key: String(values[`${name}_key`] || '').trim() },
+			});
+
+			if (response.error) {
+				setProviderHealth(
+					name,
+					'error',
+					sprintf(
+						/* translators: %s: Error message. */
+						__('Failed to fetch models: %s', 'vmfa-ai-organizer'),
+						response.error
+					)
+				);
+				return;
+			}
+
+			const listed = response.models || [];
+			setCloudModels((prev) => ({ ...prev, [name]: listed }));
+			setProviderHealth(
+				name,
+				'ok',
+				sprintf(
+					/* translators: 1: Number of models, 2: Number of vision models. */
+					__(
+						'%1$d models found, %2$d with vision.',
+						'vmfa-ai-organizer'
+					),
+					listed.length,
+					listed.filter((model) => model.vision).length
+				)
+			);
+		} catch (err) {
+			setProviderHealth(
+				name,
+				'error',
+				sprintf(
+					/* translators: %s: Error message. */
+					__('Failed to fetch models: %s', 'vmfa-ai-organizer'),
+					err.message
+				)
+			);
+		} finally {
+			setBusy(null);
+		}
+	};
+
+	/**
+	 * Get the model options of a local provider.
+	 *
+	 * @param {string} name - 'ollama' or 'exo'.
+	 * @return {Array<{value: string, label: string}>} Select options.
+	 */
+	const getLocalModelOptions = (name) => {
+		const value = values[LOCAL_PROVIDERS[name].modelKey];
+		const fetched = remoteModels[name];
+
+		if (fetched) {
+			if (fetched.length === 0) {
+				return [
+					{
+						value: '',
+						label: __(
+							'— No models available —',
+							'vmfa-ai-organizer'
+						),
+					},
+				];
+			}
+
+			return value && !fetched.some((option) => option.value === value)
+				? [{ value, label: value }, ...fetched]
+				: fetched;
+		}
+
+		return value
+			? [{ value, label: value }]
+			: [
+					{
+						value: '',
+						label: __('— Select a model —', 'vmfa-ai-organizer'),
+					},
+				];
+	};
+
+	/**
+	 * Render an API key field.
+	 *
+	 * @param {string} key   - Setting key.
+	 * @param {string} label - Field label.
+	 * @return {JSX.Element} The field.
+	 */
+	const renderKeyField = (key, label) => (
+		<div className="vmfa-provider-field">
+			<TextControl
+				{...getFieldProps(key)}
+				label={label}
+				type="password"
+				autoComplete="off"
+				__nextHasNoMarginBottom
+			/>
+			<LockedBadge source={locked[key]} />
+		</div>
+	);
+
+	/**
+	 * Render a searchable model dropdown of a cloud provider.
+	 *
+	 * Lists the provider's known models until "Load Models" fetches the
+	 * current list from its API. A locked setting keeps a plain dropdown.
+	 *
+	 * @param {string} name  - Cloud provider name.
+	 * @param {string} key   - Setting key.
+	 * @param {string} label - Field label.
+	 * @return {JSX.Element} The field.
+	 */
+	const renderModelField = (name, key, label) => {
+		const listed = cloudModels[name];
+		const options = listed
+			? getCloudModelOptions(listed, values[key], visionOnly)
+			: getModelOptions(models[name], values[key]);
+
+		if (locked[key]) {
+			return (
+				<div className="vmfa-provider-field">
+					<SelectControl
+						{...getFieldProps(key)}
+						label={label}
+						options={options}
+						__nextHasNoMarginBottom
+					/>
+					<LockedBadge source={locked[key]} />
+				</div>
+			);
+		}
+
+		const { name: fieldName, value, onChange } = getFieldProps(key);
+
+		return (
+			<div className="vmfa-provider-field">
+				<div className="vmfa-provider-field-row">
+					<ComboboxControl
+						label={label}
+						value={value}
+						options={options}
+						onChange={(model) => onChange(model || '')}
+						__nextHasNoMarginBottom
+					/>
+					<Button
+						variant="secondary"
+						onClick={() => loadCloudModels(name)}
+						isBusy={busy === name}
+						disabled={busy === name}
+					>
+						{__('Load Models', 'vmfa-ai-organizer')}
+					</Button>
+				</div>
+				<input type="hidden" name={fieldName} value={value} />
+				{listed && (
+					<CheckboxControl
+						label={__(
+							'Only show models that can read images',
+							'vmfa-ai-organizer'
+						)}
+						checked={visionOnly}
+						onChange={setVisionOnly}
+						__nextHasNoMarginBottom
+					/>
+				)}
+				<HealthIndicator health={health[name]} />
+			</div>
+		);
+	};
+
+	/**
+	 * Render the model dropdown of a local provider, with a refresh button.
+	 *
+	 * @param {string} name  - 'ollama' or 'exo'.
+	 * @param {string} label - Field label.
+	 * @param {string} help  - Help text.
+	 * @return {JSX.Element} The field.
+	 */
+	const renderLocalModelField = (name, label, help) => {
+		const key = LOCAL_PROVIDERS[name].modelKey;
+
+		return (
+			<div className="vmfa-provider-field">
+				<div className="vmfa-provider-field-row">
+					<SelectControl
+						{...getFieldProps(key)}
+						label={label}
+						options={getLocalModelOptions(name)}
+						__nextHasNoMarginBottom
+					/>
+					<Button
+						variant="secondary"
+						onClick={() => refreshModels(name)}
+						isBusy={busy === name}
+						disabled={busy === name}
+					>
+						{__('Refresh Models', 'vmfa-ai-organizer')}
+					</Button>
+				</div>
+				<LockedBadge source={locked[key]} />
+				<p className="description">{help}</p>
+			</div>
+		);
+	};
+
+	/**
+	 * Render the ordered list of providers tried when the primary one fails.
+	 *
+	 * @return {JSX.Element} The field.
+	 */
+	const renderFallbackField = () => {
+		const names = Object.keys(providers || {});
+		const fallbacks = getFallbackOrder(
+			values.fallback_providers,
+			names,
+			provider
+		);
+		const others = names.filter(
+			(name) => name !== provider && !fallbacks.includes(name)
+		);
+		const { name: fieldName, onChange } =
+			getFieldProps('fallback_providers');
+		const isLocked = Boolean(locked.fallback_providers);
+
+		/**
+		 * Save a new fallback order.
+		 *
+		 * @param {Array<string>} order - Provider names.
+		 */
+		const setOrder = (order) => onChange(order.join(','));
+
+		/**
+		 * Swap a fallback provider with its neighbour.
+		 *
+		 * @param {number} index  - Position of the provider.
+		 * @param {number} offset - -1 to move up, 1 to move down.
+		 */
+		const move = (index, offset) => {
+			const order = [...fallbacks];
+			[order[index], order[index + offset]] = [
+				order[index + offset],
+				order[index],
+			];
+			setOrder(order);
+		};
+
+		return (
+			<fieldset className="vmfa-provider-field vmfa-fallback-providers">
+				<legend>{__('Fallback Providers', 'vmfa-ai-organizer')}</legend>
+				<p className="description">
+					{__(
+						'When the provider fails with a connection error, a timeout, a rate limit or a server error, the checked providers are tried in this order. Each must be configured above.',
+						'vmfa-ai-organizer'
+					)}
+				</p>
+				{fallbacks.length > 0 && (
+					<ol>
+						{fallbacks.map((name, index) => (
+							<li key={name}>
+								<CheckboxControl
+									id={`vmfa_fallback_${name}`}
+									label={providers[name]}
+									checked={true}
+									onChange={() =>
+										setOrder(
+											fallbacks.filter((n) => n !== name)
+										)
+									}
+									disabled={isLocked}
+									__nextHasNoMarginBottom
+								/>
+								<Button
+									variant="tertiary"
+									aria-label={sprintf(
+										/* translators: %s: Provider name. */
+										__('Move %s up', 'vmfa-ai-organizer'),
+										providers[name]
+									)}
+									onClick={() => move(index, -1)}
+									disabled={isLocked || index === 0}
+								>
+									↑
+								</Button>
+								<Button
+									variant="tertiary"
+									aria-label={sprintf(
+										/* translators: %s: Provider name. */
+										__('Move %s down', 'vmfa-ai-organizer'),
+										providers[name]
+									)}
+									onClick={() => move(index, 1)}
+									disabled={
+										isLocked ||
+										index === fallbacks.length - 1
+									}
+								>
+									↓
+								</Button>
+							</li>
+						))}
+					</ol>
+				)}
+				{others.map((name) => (
+					<CheckboxControl
+						key={name}
+						id={`vmfa_fallback_${name}`}
+						label={providers[name]}
+						checked={false}
+						onChange={() => setOrder([...fallbacks, name])}
+						disabled={isLocked}
+						__nextHasNoMarginBottom
+					/>
+				))}
+				{!isLocked && (
+					<input
+						type="hidden"
+						name={fieldName}
+						value={fallbacks.join(',')}
+					/>
+				)}
+				<LockedBadge source={locked.fallback_providers} />
+			</fieldset>
+		);
+	};
+
+	const providerOptions = Object.entries(providers || {}).map(
+		([value, label]) => ({ value, label })
+	);
+
+	return (
+		<div className="vmfa-provider-settings">
+			<h2>{__('AI Provider', 'vmfa-ai-organizer')}</h2>
+			<p className="description">
+				{__(
+					'Configure the AI provider to use for analyzing and organizing media files.',
+					'vmfa-ai-organizer'
+				)}
+			</p>
+
+			<div className="vmfa-provider-field">
+				<SelectControl
+					{...getFieldProps('ai_provider')}
+					label={__('Provider', 'vmfa-ai-organizer')}
+					options={providerOptions}
+					__nextHasNoMarginBottom
+				/>
+				<LockedBadge source={locked.ai_provider} />
+			</div>
+
+			<div className="vmfa-provider-group" hidden={provider !== 'openai'}>
+				<div className="vmfa-provider-field">
+					<SelectControl
+						{...getFieldProps('openai_type')}
+						label={__('OpenAI Type', 'vmfa-ai-organizer')}
+						options={[
+							{
+								value: 'openai',
+								label: __('OpenAI', 'vmfa-ai-organizer'),
+							},
+							{
+								value: 'azure',
+								label: __('Azure OpenAI', 'vmfa-ai-organizer'),
+							},
+						]}
+						help={__(
+							'Select OpenAI or Azure OpenAI as your provider.',
+							'vmfa-ai-organizer'
+						)}
+						__nextHasNoMarginBottom
+					/>
+					<LockedBadge source={locked.openai_type} />
+				</div>
+				{renderKeyField(
+					'openai_key',
+					__('API Key', 'vmfa-ai-organizer')
+				)}
+				{isAzure ? (
+					<div className="vmfa-provider-field">
+						<TextControl
+							{...getFieldProps('openai_model')}
+							label={__(
+								'Model / Deployment',
+								'vmfa-ai-organizer'
+							)}
+							placeholder="your-deployment-name"
+							help={__(
+								'Enter your Azure OpenAI deployment name (found in Azure Portal → Your Resource → Deployments).',
+								'vmfa-ai-organizer'
+							)}
+							__nextHasNoMarginBottom
+						/>
+						<LockedBadge source={locked.openai_model} />
+					</div>
+				) : (
+					renderModelField(
+						'openai',
+						'openai_model',
+						__('Model', 'vmfa-ai-organizer')
+					)
+				)}
+				<div className="vmfa-azure-fields" hidden={!isAzure}>
+					<div className="vmfa-provider-field">
+						<TextControl
+							{...getFieldProps('azure_endpoint')}
+							label={__('Azure Endpoint', 'vmfa-ai-organizer')}
+							type="url"
+							placeholder="https://your-resource.openai.azure.com"
+							help={__(
+								'Your Azure OpenAI resource endpoint URL.',
+								'vmfa-ai-organizer'
+							)}
+							__nextHasNoMarginBottom
+						/>
+						<LockedBadge source={locked.azure_endpoint} />
+					</div>
+					<div className="vmfa-provider-field">
+						<TextControl
+							{...getFieldProps('azure_api_version')}
+							label={__('Azure API Version', 'vmfa-ai-organizer')}
+							placeholder="2024-02-15-preview"
+							/* eslint-disable-next-line @wordpress/i18n-hyphenated-range -- An API version, not a range. */
+							help={__(
+								'Azure OpenAI API version (e.g., 2024-02-15-preview).',
+								'vmfa-ai-organizer'
+							)}
+							__nextHasNoMarginBottom
+						/>
+						<LockedBadge source={locked.azure_api_version} />
+					</div>
+				</div>
+				<ProviderTest provider="openai" unsaved={unsaved} />
+			</div>
+
+			<div
+				className="vmfa-provider-group"
+				hidden={provider !== 'anthropic'}
+			>
+				{renderKeyField(
+					'anthropic_key',
+					__('Anthropic API Key', 'vmfa-ai-organizer')
+				)}
+				{renderModelField(
+					'anthropic',
+					'anthropic_model',
+					__('Anthropic Model', 'vmfa-ai-organizer')
+				)}
+				<ProviderTest provider="anthropic" unsaved={unsaved} />
+			</div>
+
+			<div className="vmfa-provider-group" hidden={provider !== 'gemini'}>
+				{renderKeyField(
+					'gemini_key',
+					__('Gemini API Key', 'vmfa-ai-organizer')
+				)}
+				{renderModelField(
+					'gemini',
+					'gemini_model',
+					__('Gemini Model', 'vmfa-ai-organizer')
+				)}
+				<ProviderTest provider="gemini" unsaved={unsaved} />
+			</div>
+
+			<div className="vmfa-provider-group" hidden={provider !== 'ollama'}>
+				<div className="vmfa-provider-field">
+					<TextControl
+						{...getFieldProps('ollama_url')}
+						label={__('Ollama URL', 'vmfa-ai-organizer')}
+						type="url"
+						placeholder="http://localhost:11434"
+						__nextHasNoMarginBottom
+					/>
+					<HealthIndicator health={health.ollama} />
+					<LockedBadge source={locked.ollama_url} />
+				</div>
+				{renderLocalModelField(
+					'ollama',
+					__('Ollama Model', 'vmfa-ai-organizer'),
+					__(
+						'Select a model from your local Ollama instance. Click "Refresh Models" after entering the Ollama URL.',
+						'vmfa-ai-organizer'
+					)
+				)}
+				<div className="vmfa-provider-field">
+					<TextControl
+						{...getFieldProps('ollama_timeout')}
+						label={__(
+							'Ollama Timeout (seconds)',
+							'vmfa-ai-organizer'
+						)}
+						type="number"
+						min={10}
+						max={600}
+						step={10}
+						help={__(
+							'Request timeout for Ollama. Increase for larger models or slower hardware (default: 120).',
+							'vmfa-ai-organizer'
+						)}
+						__nextHasNoMarginBottom
+					/>
+					<LockedBadge source={locked.ollama_timeout} />
+				</div>
+				<ProviderTest provider="ollama" unsaved={unsaved} />
+			</div>
+
+			<div className="vmfa-provider-group" hidden={provider !== 'grok'}>
+				{renderKeyField(
+					'grok_key',
+					__('Grok API Key', 'vmfa-ai-organizer')
+				)}
+				{renderModelField(
+					'grok',
+					'grok_model',
+					__('Grok Model', 'vmfa-ai-organizer')
+				)}
+				<ProviderTest provider="grok" unsaved={unsaved} />
+			</div>
+
+			<div className="vmfa-provider-group" hidden={provider !== 'exo'}>
+				<div className="vmfa-provider-field">
+					<div className="vmfa-provider-field-row">
+						<TextControl
+							{...getFieldProps('exo_endpoint')}
+							label={__('Exo Endpoint', 'vmfa-ai-organizer')}
+							type="url"
+							placeholder="http://localhost:52415"
+							__nextHasNoMarginBottom
+						/>
+						<Button variant="secondary" onClick={checkExoHealth}>
+							{__('Check Connection', 'vmfa-ai-organizer')}
+						</Button>
+					</div>
+					<HealthIndicator health={health.exo} />
+					<LockedBadge source={locked.exo_endpoint} />
+					<p className="description">
+						{__(
+							'Your Exo cluster endpoint URL (e.g., http://localhost:52415). Exo is a distributed local LLM cluster.',
+							'vmfa-ai-organizer'
+						)}
+					</p>
+				</div>
+				{renderLocalModelField(
+					'exo',
+					__('Exo Model', 'vmfa-ai-organizer'),
+					__(
+						'Select a model from your running Exo cluster. Click "Refresh Models" after entering the endpoint.',
+						'vmfa-ai-organizer'
+					)
+				)}
+				<ProviderTest provider="exo" unsaved={unsaved} />
+			</div>
+
+			{provider && renderFallbackField()}
+		</div>
+	);
+}
+
+export default ProviderSettings;
@@ -0,0 +1,181 @@
+/**
+ * Provider Test Component.
+ *
+ * Sends a sample image through a provider and shows what came back.
+ *
+ * @package
+ */
+
+import { useState } from '@wordpress/element';
+import { Button } from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+import apiFetch from '@wordpress/api-fetch';
+
+/**
+ * Get the folder a parsed result points to.
+ *
+ * @param {Object} result - Parsed analysis result.
+ * @return {string} Folder path, or an empty string.
+ */
+export function getResultFolder(result) {
+	if (!result) {
+		return '';
+	}
+
+	return result.new_folder_path || result.folder_path || '';
+}
+
+/**
+ * Result panel of a provider test.
+ *
+ * @param {Object} props        - Component props.
+ * @param {Object} props.report - Test report from the REST API.
+ * @return {JSX.Element} The panel.
+ */
+function ProviderTestReport({ report }) {
+	const { result } = report;
+	const folder = getResultFolder(result);
+
+	return (
+		<div
+			className={`vmfa-provider-test-report ${
+				report.success ? 'is-success' : 'is-error'
+			}`}
+			role="status"
+		>
+			<p>
+				{report.success ? '✅' : '❌'} {report.message}
+			</p>
+			<ul>
+				{report.model && (
+					<li>
+						{sprintf(
+							/* translators: %s: Model name. */
+							__('Model: %s', 'vmfa-ai-organizer'),
+							report.model
+						)}
+					</li>
+				)}
+				{report.latency_ms !== undefined && (
+					<li>
+						{sprintf(
+							/* translators: %d: Response time in milliseconds. */
+							__('Latency: %d ms', 'vmfa-ai-organizer'),
+							report.latency_ms
+						)}
+					</li>
+				)}
+				{result && (
+					<li>
+						{sprintf(
+							/* translators: 1: Suggested action, 2: Confidence, e.g. "90%". */
+							__(
+								'Action: %1$s (%2$s confidence)',
+								'vmfa-ai-organizer'
+							),
+							result.action,
+							`${Math.round((result.confidence || 0) * 100)}%`
+						)}
+					</li>
+				)}
+				{folder && (
+					<li>
+						{sprintf(
+							/* translators: %s: Folder path. */
+							__('Folder: %s', 'vmfa-ai-organizer'),
+							folder
+						)}
+					</li>
+				)}
+				{result?.reason && (
+					<li>
+						{sprintf(
+							/* translators: %s: Reason given by the provider. */
+							__('Reason: %s', 'vmfa-ai-organizer'),
+							result.reason
+						)}
+					</li>
+				)}
+				{result?.visual_description && (
+					<li>
+						{sprintf(
+							/* translators: %s: Image description. */
+							__('Description: %s', 'vmfa-ai-organizer'),
+							result.visual_description
+						)}
+					</li>
+				)}
+			</ul>
+			{report.error && (
+				<>
+					<p>{__('Raw error:', 'vmfa-ai-organizer')}</p>
+					<pre className="vmfa-provider-test-error">
+						<code>{report.error}</code>
+					</pre>
+				</>
+			)}
+		</div>
+	);
+}
+
+/**
+ * Test Connection button with its result panel.
+ *
+ * @param {Object}  props          - Component props.
+ * @param {string}  props.provider - Provider name.
+ * @param {boolean} props.unsaved  - Whether the form has unsaved changes.
+ * @return {JSX.Element} The test control.
+ */
+export function ProviderTest({ provider, unsaved = false }) {
+	const [isTesting, setIsTesting] = useState(false);
+	const [report, setReport] = useState(null);
+
+	/**
+	 * Run the test with the saved settings.
+	 */
+	const runTest = async () => {
+		setIsTesting(true);
+		setReport(null);
+
+		try {
+			const response = await apiFetch({
+				path: '/vmfa/v1/provider/test',
+				method: 'POST',
+				data: { provider },
+			});
+			setReport(response);
+		} catch (err) {
+			setReport({
+				success: false,
+				message:
+					err.message || __('Connection failed', 'vmfa-ai-organizer'),
+			});
+		} finally {
+			setIsTesting(false);
+		}
+	};
+
+	return (
+		<div className="vmfa-provider-test">
+			<Button
+				variant="secondary"
+				onClick={runTest}
+				isBusy={isTesting}
+				disabled={isTesting}
+			>
+				{__('Test Connection', 'vmfa-ai-organizer')}
+			</Button>
+			{unsaved && (
+				<p className="description">
+					{__(
+						'The test uses the saved settings. Save your changes first to test them.',
+						'vmfa-ai-organizer'
+					)}
+				</p>
+			)}
+			{report && <ProviderTestReport report={report} />}
+		</div>
+	);
+}
+
+export default ProviderTest;
@@ -10,11 +10,16 @@ import {
 	Card,
 	CardBody,
 	CardHeader,
+	FormFileUpload,
 	Notice,
+	TextControl,
 } from '@wordpress/components';
 import { __, sprintf } from '@wordpress/i18n';
 import apiFetch from '@wordpress/api-fetch';
 
+import { SnapshotDiff } from './SnapshotDiff';
+import { downloadFile } from '../utils/downloadFile';
+
 /**
  * Format timestamp to readable date.
  *
@@ -28,55 +33,114 @@ function formatDate(timestamp) {
 	return new Date(timestamp * 1000).toLocaleString();
 }
 
+/**
+ * Get the label of the scan mode that produced a snapshot.
+ *
+ * @param {string|null} mode - Scan mode.
+ * @return {string} Mode label, empty for manual snapshots.
+ */
+function getScanLabel(mode) {
+	switch (mode) {
+		case 'organize_unassigned':
+			return __('Organize Unassigned', 'vmfa-ai-organizer');
+		case 'reanalyze_all':
+			return __('Re-analyze All', 'vmfa-ai-organizer');
+		case 'reorganize_all':
+			return __('Reorganize All (Reset & Rebuild)', 'vmfa-ai-organizer');
+		default:
+			return '';
+	}
+}
+
 /**
  * Restore Panel component.
  *
+ * Lists backup snapshots (newest first) with restore, download and delete
+ * per snapshot, creates manual snapshots and uploads backup files.
+ *
  * @param {Object}   props           - Component props.
  * @param {Function} props.onRestore - Callback after restore completes.
- * @return {JSX.Element|null} The panel component or null if no backup.
+ * @return {JSX.Element|null} The panel component, or null while loading.
  */
 export function RestorePanel({ onRestore }) {
-	const [backupInfo, setBackupInfo] = useState(null);
+	const [snapshots, setSnapshots] = useState([]);
 	const [isLoading, setIsLoading] = useState(true);
-	const [isRestoring, setIsRestoring] = useState(false);
+	const [isBusy, setIsBusy] = useState(false);
 	const [notice, setNotice] = useState(null);
-	const [showConfirm, setShowConfirm] = useState(false);
+	const [confirmId, setConfirmId] = useState(null);
+	const [label, setLabel] = useState('');
 
 	/**
-	 * Fetch backup information.
+	 * Fetch the snapshot list.
 	 */
-	const fetchBackupInfo = async () => {
+	const fetchSnapshots = async () => {
 		try {
 			const response = await apiFetch({
 				path: '/vmfa/v1/backup',
 				method: 'GET',
 			});
-			setBackupInfo(response);
+			setSnapshots(response.snapshots || []);
 		} catch (err) {
-			// Ignore fetch errors; panel will stay hidden.
+			// Ignore fetch errors; the list stays empty.
 		} finally {
 			setIsLoading(false);
 		}
 	};
 
 	/**
-	 * Fetch backup info on mount.
+	 * Fetch snapshots on mount.
 	 */
 	useEffect(() => {
-		fetchBackupInfo();
+		fetchSnapshots();
 	}, []);
 
 	/**
-	 * Handle restore action.
+	 * Create a manual snapshot.
+	 */
+	const handleCreate = async () => {
+		setIsBusy(true);
+		setNotice(null);
+
+		try {
+			await apiFetch({
+				path: '/vmfa/v1/backup',
+				method: 'POST',
+				data: { label },
+			});
+
+			setLabel('');
+			setNotice({
+				type: 'success',
+				message: __('Snapshot created.', 'vmfa-ai-organizer'),
+			});
+			await fetchSnapshots();
+		} catch (err) {
+			setNotice({
+				type: 'error',
+				message:
+					err.message ||
+					__('Failed to create snapshot.', 'vmfa-ai-organizer'),
+			});
+		} finally {
+			setIsBusy(false);
+		}
+	};
+
+	/**
+	 * Restore a snapshot, or only some of its folders.
+	 *
+	 * @param {string}   id      - Snapshot ID.
+	 * @param {number[]} folders - Snapshot folder IDs to restore; all when empty.
 	 */
-	const handleRestore = async () => {
-		setIsRestoring(true);
+	const handleRestore = async (id, folders = []) => {
+		setIsBusy(true);
 		setNotice(null);
 
 		try {
 			const response = await apiFetch({
 				path: '/vmfa/v1/restore',
 				method: 'POST',
+				data: folders.length > 0 ? { id, folders } : { id },
 			});
 
 			setNotice({
@@ -92,14 +156,13 @@ export function RestorePanel({ onRestore }) {
 				),
 			});
 
-			setShowConfirm(false);
+			setConfirmId(null);
 
 			if (onRestore) {
 				onRestore();
 			}
 
-			// Refresh backup info.
-			await fetchBackupInfo();
+			await fetchSnapshots();
 		} catch (err) {
 			setNotice({
 				type: 'error',
@@ -108,37 +171,105 @@ export function RestorePanel({ onRestore }) {
 					__('Failed to restore backup.', 'vmfa-ai-organizer'),
 			});
 		} finally {
-			setIsRestoring(false);
+			setIsBusy(false);
 		}
 	};
 
 	/**
-	 * Handle delete backup action.
+	 * Delete a snapshot.
+	 *
+	 * @param {string} id - Snapshot ID.
 	 */
-	const handleDeleteBackup = async () => {
+	const handleDelete = async (id) => {
+		setNotice(null);
+
 		try {
 			await apiFetch({
-				path: '/vmfa/v1/backup',
+				path: `/vmfa/v1/backup/${id}`,
 				method: 'DELETE',
 			});
 
-			setBackupInfo({ exists: false });
+			setSnapshots((previous) =>
+				previous.filter((snapshot) => snapshot.id !== id)
+			);
 			setNotice({
 				type: 'info',
-				message: __('Backup deleted.', 'vmfa-ai-organizer'),
+				message: __('Snapshot deleted.', 'vmfa-ai-organizer'),
 			});
 		} catch (err) {
 			setNotice({
 				type: 'error',
 				message:
 					err.message ||
-					__('Failed to delete backup.', 'vmfa-ai-organizer'),
+					__('Failed to delete snapshot.', 'vmfa-ai-organizer'),
 			});
 		}
 	};
 
-	// Don't render if no backup exists.
-	if (isLoading || !backupInfo?.exists) {
+	/**
+	 * Download a snapshot as a backup file.
+	 *
+	 * @param {string} id - Snapshot ID.
+	 */
+	const handleDownload = async (id) => {
+		setNotice(null);
+
+		try {
+			await downloadFile(
+				`/vmfa/v1/backup/${id}/download`,
+				'vmfa-backup.json'
+			);
+		} catch (err) {
+			setNotice({
+				type: 'error',
+				message:
+					err.message ||
+					__('Failed to download backup.', 'vmfa-ai-organizer'),
+			});
+		}
+	};
+
+	/**
+	 * Upload a backup file as a new snapshot.
+	 *
+	 * @param {Event} event - File input change event.
+	 */
+	const handleUpload = async (event) => {
+		const file = event.target.files?.[0];
+		event.target.value = '';
+
+		if (!file) {
+			return;
+		}
+
+		setIsBusy(true);
+		setNotice(null);
+
+		try {
+			const response = await apiFetch({
+				path: '/vmfa/v1/backup/upload',
+				method: 'POST',
+				data: { content: await file.text() },
+			});
+
+			setNotice({
+				type: response.missing > 0 ? 'warning' : 'success',
+				message: response.message,
+			});
+			await fetchSnapshots();
+		} catch (err) {
+			setNotice({
+				type: 'error',
+				message:
+					err.message ||
+					__('Failed to upload backup.', 'vmfa-ai-organizer'),
+			});
+		} finally {
+			setIsBusy(false);
+		}
+	};
+
+	if (isLoading) {
 		return null;
 	}
 
@@ -158,84 +289,139 @@ export function RestorePanel({ onRestore }) {
 					</Notice>
 				)}
 
-				<div className="vmfa-backup-info">
-					<p>
-						<strong>
-							{__('Backup Available', 'vmfa-ai-organizer')}
-						</strong>
+				{snapshots.length === 0 ? (
+					<p className="vmfa-backup-empty">
+						{__(
+							'No snapshots yet. A snapshot is taken automatically before every scan that applies changes.',
+							'vmfa-ai-organizer'
+						)}
 					</p>
-					<div className="vmfa-backup-details">
-						<div className="vmfa-backup-row">
-							<span className="vmfa-backup-label">
-								{__('Created:', 'vmfa-ai-organizer')}
-							</span>
-							<span className="vmfa-backup-value">
-								{formatDate(backupInfo.timestamp)}
-							</span>
-						</div>
-						<div className="vmfa-backup-row">
-							<span className="vmfa-backup-label">
-								{__('Folders:', 'vmfa-ai-organizer')}
-							</span>
-							<span className="vmfa-backup-value">
-								{backupInfo.folder_count}
-							</span>
-						</div>
-						<div className="vmfa-backup-row">
-							<span className="vmfa-backup-label">
-								{__('Assignments:', 'vmfa-ai-organizer')}
-							</span>
-							<span className="vmfa-backup-value">
-								{backupInfo.assignment_count}
-							</span>
-						</div>
-					</div>
-				</div>
-
-				{showConfirm ? (
-					<div className="vmfa-restore-confirm">
-						<p className="vmfa-restore-warning">
-							{__(
-								'This will replace all current folders and assignments with the backup. Are you sure?',
-								'vmfa-ai-organizer'
-							)}
-						</p>
-						<div className="vmfa-restore-actions">
-							<Button
-								variant="secondary"
-								onClick={() => setShowConfirm(false)}
-								disabled={isRestoring}
-							>
-								{__('Cancel', 'vmfa-ai-organizer')}
-							</Button>
-							<Button
-								variant="primary"
-								isDestructive
-								onClick={handleRestore}
-								isBusy={isRestoring}
-								disabled={isRestoring}
-							>
-								{__('Yes, Restore Backup', 'vmfa-ai-organizer')}
-							</Button>
-						</div>
-					</div>
 				) : (
-					<div className="vmfa-restore-actions">
-						<Button
-							variant="secondary"
-							onClick={() => setShowConfirm(true)}
-						>
-							{__('Restore Backup', 'vmfa-ai-organizer')}
-						</Button>
-						<Button
-							variant="link"
-							isDestructive
-							onClick={handleDeleteBackup}
-						>
-							{__('Delete Backup', 'vmfa-ai-organizer')}
-						</Button>
-					</div>
+					<ul className="vmfa-snapshot-list">
+						{snapshots.map((snapshot) => (
+							<li key={snapshot.id} className="vmfa-snapshot">
+								<div className="vmfa-snapshot-header">
+									<strong className="vmfa-snapshot-label">
+										{snapshot.label}
+									</strong>
+									<span className="vmfa-backup-label">
+										{formatDate(snapshot.timestamp)}
+									</span>
+								</div>
+								<div className="vmfa-backup-details">
+									{snapshot.scan_mode && (
+										<div className="vmfa-backup-row">
+											<span className="vmfa-backup-label">
+												{__(
+													'Scan:',
+													'vmfa-ai-organizer'
+												)}
+											</span>
+											<span className="vmfa-backup-value">
+												{getScanLabel(
+													snapshot.scan_mode
+												)}
+											</span>
+										</div>
+									)}
+									<div className="vmfa-backup-row">
+										<span className="vmfa-backup-label">
+											{__(
+												'Folders:',
+												'vmfa-ai-organizer'
+											)}
+										</span>
+										<span className="vmfa-backup-value">
+											{snapshot.folder_count}
+										</span>
+									</div>
+									<div className="vmfa-backup-row">
+										<span className="vmfa-backup-label">
+											{__(
+												'Assignments:',
+												'vmfa-ai-organizer'
+											)}
+										</span>
+										<span className="vmfa-backup-value">
+											{snapshot.assignment_count}
+										</span>
+									</div>
+								</div>
+
+								{confirmId === snapshot.id ? (
+									<SnapshotDiff
+										snapshotId={snapshot.id}
+										isBusy={isBusy}
+										onCancel={() => setConfirmId(null)}
+										onRestore={(folders) =>
+											handleRestore(snapshot.id, folders)
+										}
+									/>
+								) : (
+									<div className="vmfa-restore-actions">
+										<Button
+											variant="secondary"
+											onClick={() =>
+												setConfirmId(snapshot.id)
+											}
+											disabled={isBusy}
+										>
+											{__('Restore', 'vmfa-ai-organizer')}
+										</Button>
+										<Button
+											variant="tertiary"
+											onClick={() =>
+												handleDownload(snapshot.id)
+											}
+											disabled={isBusy}
+										>
+											{__(
+												'Download',
+												'vmfa-ai-organizer'
+											)}
+										</Button>
+										<Button
+											variant="link"
+											isDestructive
+											onClick={() =>
+												handleDelete(snapshot.id)
+											}
+											disabled={isBusy}
+										>
+											{__('Delete', 'vmfa-ai-organizer')}
+										</Button>
+									</div>
+								)}
+							</li>
+						))}
+					</ul>
 				)}
+
+				<div className="vmfa-snapshot-create">
+					<TextControl
+						__nextHasNoMarginBottom
+						label={__('Snapshot label', 'vmfa-ai-organizer')}
+						value={label}
+						onChange={setLabel}
+						placeholder={__('Manual snapshot', 'vmfa-ai-organizer')}
+					/>
+					<Button
+						variant="secondary"
+						onClick={handleCreate}
+						isBusy={isBusy}
+						disabled={isBusy}
+					>
+						{__('Create Snapshot', 'vmfa-ai-organizer')}
+					</Button>
+					<FormFileUpload
+						variant="tertiary"
+						accept=".json,application/json"
+						onChange={handleUpload}
+						disabled={isBusy}
+					>
+						{__('Upload Backup…', 'vmfa-ai-organizer')}
+					</FormFileUpload>
+				</div>
 			</CardBody>
 		</Card>
 	);
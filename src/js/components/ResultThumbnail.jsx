@@ -0,0 +1,39 @@
+/**
+ * Result Thumbnail Component.
+ *
+ * @package
+ */
+
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Thumbnail for an analysis result with a larger preview on hover.
+ *
+ * @param {Object} props        - Component props.
+ * @param {Object} props.result - Analysis result with `thumbnail_url` and optional `visual_description`.
+ * @return {JSX.Element|null} The thumbnail, or null when the result has no image.
+ */
+export function ResultThumbnail({ result }) {
+	if (!result.thumbnail_url) {
+		return null;
+	}
+
+	const alt = result.visual_description || result.filename || '';
+
+	return (
+		<span className="vmfa-result-thumbnail">
+			<img src={result.thumbnail_url} alt={alt} loading="lazy" />
+			<span className="vmfa-result-thumbnail-preview" aria-hidden="true">
+				<img src={result.thumbnail_url} alt="" />
+				{result.visual_description && (
+					<span className="vmfa-result-thumbnail-caption">
+						<strong>{__('AI sees:', 'vmfa-ai-organizer')}</strong>{' '}
+						{result.visual_description}
+					</span>
+				)}
+			</span>
+		</span>
+	);
+}
+
+export default ResultThumbnail;
@@ -0,0 +1,388 @@
+/**
+ * Review Panel Component.
+ *
+ * @package
+ */
+
+import { useState, useEffect } from '@wordpress/element';
+import {
+	Button,
+	Card,
+	CardBody,
+	CardHeader,
+	CheckboxControl,
+	Notice,
+	SelectControl,
+} from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+import apiFetch from '@wordpress/api-fetch';
+
+import { ResultThumbnail } from './ResultThumbnail';
+
+/**
+ * Get source label.
+ *
+ * @param {string} source - Where the suggestion came from.
+ * @return {string} Human-readable source.
+ */
+function getSourceLabel(source) {
+	const labels = {
+		scan: __('Scan', 'vmfa-ai-organizer'),
+		upload: __('Upload', 'vmfa-ai-organizer'),
+	};
+	return labels[source] || source;
+}
+
+/**
+ * Get the folder an item was suggested for.
+ *
+ * @param {Object} item - Queued result.
+ * @return {string} Folder path.
+ */
+function getSuggestedFolder(item) {
+	if (item.action === 'create') {
+		return item.new_folder_path || '';
+	}
+	return item.folder_name || `#${item.folder_id}`;
+}
+
+/**
+ * Needs review panel.
+ *
+ * Lists suggestions held back for their low confidence and approves,
+ * re-targets or rejects them in bulk.
+ *
+ * @param {Object}   props            - Component props.
+ * @param {string}   props.refreshKey - Changes whenever the current scan finishes, to refetch the queue.
+ * @param {Function} props.onChange   - Called after items were approved or rejected.
+ * @return {JSX.Element|null} The panel component, or null when nothing is waiting.
+ */
+export function ReviewPanel({ refreshKey, onChange }) {
+	const [items, setItems] = useState([]);
+	const [folders, setFolders] = useState([]);
+	const [selected, setSelected] = useState(new Set());
+	const [targets, setTargets] = useState({});
+	const [isBusy, setIsBusy] = useState(false);
+	const [notice, setNotice] = useState(null);
+
+	/**
+	 * Fetch the queue whenever a scan finishes.
+	 */
+	useEffect(() => {
+		apiFetch({ path: '/vmfa/v1/review', method: 'GET' })
+			.then((response) => setItems(response.items || []))
+			.catch(() => {
+				// Ignore fetch errors; the panel stays hidden.
+			});
+	}, [refreshKey]);
+
+	/**
+	 * Fetch folders for re-targeting once there is something to review.
+	 */
+	const hasItems = items.length > 0;
+	useEffect(() => {
+		if (!hasItems) {
+			return;
+		}
+		apiFetch({ path: '/vmfa/v1/folders', method: 'GET' })
+			.then((response) => setFolders(response.folders || []))
+			.catch(() => {
+				// Items can still be approved to their suggested folder.
+			});
+	}, [hasItems]);
+
+	/**
+	 * Select or deselect items.
+	 *
+	 * @param {number[]} ids     - Attachment IDs.
+	 * @param {boolean}  checked - Whether to select them.
+	 */
+	const toggleItems = (ids, checked) => {
+		const next = new Set(selected);
+		ids.forEach((id) => (checked ? next.add(id) : next.delete(id)));
+		setSelected(next);
+	};
+
+	/**
+	 * Drop decided items from the list.
+	 *
+	 * @param {number[]} ids - Attachment IDs that left the queue.
+	 */
+	const removeItems = (ids) => {
+		setItems((previous) =>
+			previous.filter((item) => !ids.includes(item.attachment_id))
+		);
+		setSelected(new Set());
+	};
+
+	/**
+	 * Approve the selected items, with their chosen folders.
+	 */
+	const handleApprove = async () => {
+		const ids = [...selected];
+
+		setIsBusy(true);
+		setNotice(null);
+
+		try {
+			const response = await apiFetch({
+				path: '/vmfa/v1/review/approve',
+				method: 'POST',
+				data: {
+					items: ids.map((id) =>
+						targets[id]
+							? {
+									attachment_id: id,
+									folder_id: Number(targets[id]),
+								}
+							: { attachment_id: id }
+					),
+				},
+			});
+
+			// Failed items stay queued; refetch to show what is left.
+			const remaining = await apiFetch({
+				path: '/vmfa/v1/review',
+				method: 'GET',
+			});
+			setItems(remaining.items || []);
+			setSelected(new Set());
+			setNotice({
+				type: response.failed > 0 ? 'warning' : 'success',
+				message: response.message,
+			});
+			onChange?.();
+		} catch (err) {
+			setNotice({
+				type: 'error',
+				message:
+					err.message ||
+					__('Failed to approve suggestions.', 'vmfa-ai-organizer'),
+			});
+		} finally {
+			setIsBusy(false);
+		}
+	};
+
+	/**
+	 * Reject the selected items.
+	 */
+	const handleReject = async () => {
+		const ids = [...selected];
+
+		setIsBusy(true);
+		setNotice(null);
+
+		try {
+			const response = await apiFetch({
+				path: '/vmfa/v1/review/reject',
+				method: 'POST',
+				data: { ids },
+			});
+
+			removeItems(ids);
+			setNotice({ type: 'success', message: response.message });
+			onChange?.();
+		} catch (err) {
+			setNotice({
+				type: 'error',
+				message:
+					err.message ||
+					__('Failed to reject suggestions.', 'vmfa-ai-organizer'),
+			});
+		} finally {
+			setIsBusy(false);
+		}
+	};
+
+	if (!hasItems && !notice) {
+		return null;
+	}
+
+	const allIds = items.map((item) => item.attachment_id);
+	const allSelected = hasItems && selected.size === items.length;
+
+	return (
+		<Card className="vmfa-review-panel">
+			<CardHeader>
+				<h3>
+					{sprintf(
+						/* translators: %d: Number of suggestions waiting for review. */
+						__('Needs review (%d)', 'vmfa-ai-organizer'),
+						items.length
+					)}
+				</h3>
+			</CardHeader>
+			<CardBody>
+				{notice && (
+					<Notice
+						status={notice.type}
+						isDismissible={true}
+						onRemove={() => setNotice(null)}
+					>
+						{notice.message}
+					</Notice>
+				)}
+
+				{hasItems && (
+					<>
+						<p className="description">
+							{__(
+								'These suggestions were not confident enough to apply automatically.',
+								'vmfa-ai-organizer'
+							)}
+						</p>
+
+						<table className="vmfa-review-table">
+							<thead>
+								<tr>
+									<th>
+										<CheckboxControl
+											__nextHasNoMarginBottom
+											aria-label={__(
+												'Select all',
+												'vmfa-ai-organizer'
+											)}
+											checked={allSelected}
+											onChange={(checked) =>
+												toggleItems(allIds, checked)
+											}
+										/>
+									</th>
+									<th>{__('File', 'vmfa-ai-organizer')}</th>
+									<th>{__('Folder', 'vmfa-ai-organizer')}</th>
+									<th>
+										{__('Confidence', 'vmfa-ai-organizer')}
+									</th>
+									<th>{__('Reason', 'vmfa-ai-organizer')}</th>
+									<th>{__('Source', 'vmfa-ai-organizer')}</th>
+								</tr>
+							</thead>
+							<tbody>
+								{items.map((item) => (
+									<tr key={item.attachment_id}>
+										<td>
+											<CheckboxControl
+												__nextHasNoMarginBottom
+												aria-label={sprintf(
+													/* translators: %d: Attachment ID. */
+													__(
+														'Select #%d',
+														'vmfa-ai-organizer'
+													),
+													item.attachment_id
+												)}
+												checked={selected.has(
+													item.attachment_id
+												)}
+												onChange={(checked) =>
+													toggleItems(
+														[item.attachment_id],
+														checked
+													)
+												}
+											/>
+										</td>
+										<td className="vmfa-preview-file">
+											<ResultThumbnail result={item} />
+											<span className="vmfa-preview-filename">
+												{item.filename ||
+													`#${item.attachment_id}`}
+											</span>
+										</td>
+										<td>
+											<SelectControl
+												__nextHasNoMarginBottom
+												hideLabelFromVision
+												id={`vmfa-review-target-${item.attachment_id}`}
+												label={sprintf(
+													/* translators: %d: Attachment ID. */
+													__(
+														'Target folder for #%d',
+														'vmfa-ai-organizer'
+													),
+													item.attachment_id
+												)}
+												value={
+													targets[
+														item.attachment_id
+													] || ''
+												}
+												options={[
+													{
+														label: sprintf(
+															/* translators: %s: Suggested folder path. */
+															__(
+																'%s (suggested)',
+																'vmfa-ai-organizer'
+															),
+															getSuggestedFolder(
+																item
+															)
+														),
+														value: '',
+													},
+													...folders.map(
+														(folder) => ({
+															label: folder.path,
+															value: String(
+																folder.id
+															),
+														})
+													),
+												]}
+												onChange={(value) =>
+													setTargets({
+														...targets,
+														[item.attachment_id]:
+															value,
+													})
+												}
+											/>
+										</td>
+										<td>
+											{Math.round(
+												(item.confidence || 0) * 100
+											)}
+											%
+										</td>
+										<td>{item.reason}</td>
+										<td>{getSourceLabel(item.source)}</td>
+									</tr>
+								))}
+							</tbody>
+						</table>
+
+						<div className="vmfa-review-actions">
+							<Button
+								variant="primary"
+								onClick={handleApprove}
+								isBusy={isBusy}
+								disabled={isBusy || selected.size === 0}
+							>
+								{sprintf(
+									/* translators: %d: Number of selected suggestions. */
+									__(
+										'Approve Selected (%d)',
+										'vmfa-ai-organizer'
+									),
+									selected.size
+								)}
+							</Button>
+							<Button
+								variant="secondary"
+								isDestructive
+								onClick={handleReject}
+								disabled={isBusy || selected.size === 0}
+							>
+								{__('Reject Selected', 'vmfa-ai-organizer')}
+							</Button>
+						</div>
+					</>
+				)}
+			</CardBody>
+		</Card>
+	);
+}
+
+export default ReviewPanel;
@@ -12,7 +12,9 @@ import {
 	CardHeader,
 	Spinner,
 } from '@wordpress/components';
-import { __ } from '@wordpress/i18n';
+import { __, sprintf } from '@wordpress/i18n';
+
+import { ResultThumbnail } from './ResultThumbnail';
 
 /**
  * Format elapsed time.
@@ -79,12 +81,15 @@ function getModeLabel(mode) {
  * @param {Object}   props.status    - Current scan status.
  * @param {Function} props.onCancel  - Cancel handler.
  * @param {Function} props.onReset   - Reset handler.
+ * @param {Function} props.onUndo    - Undo handler for the completed run.
  * @param {boolean}  props.isLoading - Whether an action is loading.
  * @return {JSX.Element} The progress component.
  */
-export function ScanProgress({ status, onCancel, onReset, isLoading }) {
+export function ScanProgress({ status, onCancel, onReset, onUndo, isLoading }) {
+	const [confirmUndo, setConfirmUndo] = useState(false);
 	const isRunning = status.status === 'running';
 	const isCompleted = status.status === 'completed';
+	const undo = isCompleted && !status.dry_run ? status.undo : null;
 
 	return (
 		<Card className="vmfa-scan-progress">
@@ -139,15 +144,32 @@ export function ScanProgress({ status, onCancel, onReset, isLoading }) {
 						/>
 					</div>
 
-					{isRunning && status.processed === 0 && (
+					{isRunning && status.waiting_until && (
 						<div className="vmfa-progress-hint">
-							{__(
-								'Connecting to AI provider and analyzing first batch… Initialization may take a couple of minutes.',
-								'vmfa-ai-organizer'
+							{sprintf(
+								/* translators: %s: Date and time the scan resumes. */
+								__(
+									'Paused outside the schedule time window. Resumes %s.',
+									'vmfa-ai-organizer'
+								),
+								new Date(
+									status.waiting_until * 1000
+								).toLocaleString()
 							)}
 						</div>
 					)}
 
+					{isRunning &&
+						status.processed === 0 &&
+						!status.waiting_until && (
+							<div className="vmfa-progress-hint">
+								{__(
+									'Connecting to AI provider and analyzing first batch… Initialization may take a couple of minutes.',
+									'vmfa-ai-organizer'
+								)}
+							</div>
+						)}
+
 					{isRunning && (
 						<div className="vmfa-progress-row">
 							<span className="vmfa-progress-label">
@@ -179,6 +201,19 @@ export function ScanProgress({ status, onCancel, onReset, isLoading }) {
 									</span>
 								</div>
 							)}
+							{status.held > 0 && (
+								<div className="vmfa-progress-row">
+									<span className="vmfa-progress-label">
+										{__(
+											'Held for review:',
+											'vmfa-ai-organizer'
+										)}
+									</span>
+									<span className="vmfa-progress-value">
+										{status.held}
+									</span>
+								</div>
+							)}
 						</>
 					)}
 
@@ -210,8 +245,65 @@ export function ScanProgress({ status, onCancel, onReset, isLoading }) {
 							{__('Start New Scan', 'vmfa-ai-organizer')}
 						</Button>
 					)}
+
+					{undo?.undoable && !confirmUndo && (
+						<Button
+							variant="tertiary"
+							isDestructive
+							onClick={() => setConfirmUndo(true)}
+							disabled={isLoading}
+						>
+							{__('Undo this run', 'vmfa-ai-organizer')}
+						</Button>
+					)}
+
+					{undo?.undone_at && (
+						<span className="vmfa-undo-done">
+							{__(
+								'This run has been undone.',
+								'vmfa-ai-organizer'
+							)}
+						</span>
+					)}
 				</div>
 
+				{undo?.undoable && confirmUndo && (
+					<div className="vmfa-undo-confirm">
+						<p className="vmfa-undo-warning">
+							{sprintf(
+								/* translators: 1: number of media moved by the run, 2: number of folders it created. */
+								__(
+									'This moves %1$d media back to their previous folders and removes the %2$d folders this run created, if they are empty. Media moved since the run are left alone.',
+									'vmfa-ai-organizer'
+								),
+								undo.moved,
+								undo.created_folders
+							)}
+						</p>
+						<div className="vmfa-undo-actions">
+							<Button
+								variant="secondary"
+								onClick={() => setConfirmUndo(false)}
+								disabled={isLoading}
+							>
+								{__('Cancel', 'vmfa-ai-organizer')}
+							</Button>
+							<Button
+								variant="primary"
+								isDestructive
+								onClick={async () => {
+									await onUndo();
+									setConfirmUndo(false);
+								}}
+								isBusy={isLoading}
+								disabled={isLoading}
+							>
+								{__('Yes, Undo Run', 'vmfa-ai-organizer')}
+							</Button>
+						</div>
+					</div>
+				)}
+
 				{/* Recent Results */}
 				{status.results && status.results.length > 0 && (
 					<ResultsList results={status.results} />
@@ -261,6 +353,7 @@ function ResultsList({ results }) {
 							<span className="vmfa-result-action">
 								{getActionIcon(result.action)}
 							</span>
+							<ResultThumbnail result={result} />
 							<span
 								className="vmfa-result-filename"
 								title={
@@ -275,6 +368,22 @@ function ResultsList({ results }) {
 									→ {result.folder_name}
 								</span>
 							)}
+							{result.fallback_from && (
+								<span
+									className="vmfa-result-fallback"
+									title={sprintf(
+										/* translators: 1: Provider that answered, 2: Primary provider. */
+										__(
+											'Answered by %1$s because %2$s failed.',
+											'vmfa-ai-organizer'
+										),
+										getProviderLabel(result.provider),
+										getProviderLabel(result.fallback_from)
+									)}
+								>
+									{getProviderLabel(result.provider)}
+								</span>
+							)}
 							<span className="vmfa-result-confidence">
 								{Math.round((result.confidence || 0) * 100)}%
 							</span>
@@ -322,6 +431,36 @@ function ResultsList({ results }) {
 										</>
 									)}
 
+									{result.provider && (
+										<>
+											<dt>
+												{__(
+													'Provider:',
+													'vmfa-ai-organizer'
+												)}
+											</dt>
+											<dd>
+												{result.fallback_from
+													? sprintf(
+															/* translators: 1: Provider that answered, 2: Primary provider. */
+															__(
+																'%1$s (fallback for %2$s)',
+																'vmfa-ai-organizer'
+															),
+															getProviderLabel(
+																result.provider
+															),
+															getProviderLabel(
+																result.fallback_from
+															)
+														)
+													: getProviderLabel(
+															result.provider
+														)}
+											</dd>
+										</>
+									)}
+
 									<dt>
 										{__('Confidence:', 'vmfa-ai-organizer')}
 									</dt>
@@ -332,6 +471,18 @@ function ResultsList({ results }) {
 										%
 									</dd>
 
+									{result.visual_description && (
+										<>
+											<dt>
+												{__(
+													'Description:',
+													'vmfa-ai-organizer'
+												)}
+											</dt>
+											<dd>{result.visual_description}</dd>
+										</>
+									)}
+
 									<dt>
 										{__('Reason:', 'vmfa-ai-organizer')}
 									</dt>
@@ -352,6 +503,16 @@ function ResultsList({ results }) {
 	);
 }
 
+/**
+ * Get the label of a provider.
+ *
+ * @param {string} name - Provider name.
+ * @return {string} Provider label, or the name when it is unknown.
+ */
+function getProviderLabel(name) {
+	return window.vmfaAiOrganizer?.providers?.[name] || name;
+}
+
 /**
  * Get icon for action type.
  *
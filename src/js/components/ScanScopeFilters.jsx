@@ -0,0 +1,245 @@
+/**
+ * Scan Scope Filters Component.
+ *
+ * @package
+ */
+
+import { useState, useEffect } from '@wordpress/element';
+import { SelectControl, Spinner, TextControl } from '@wordpress/components';
+import { __, _n, sprintf } from '@wordpress/i18n';
+import apiFetch from '@wordpress/api-fetch';
+
+/**
+ * @typedef {Object} ScanScope
+ * @property {string} date_from - Only media uploaded on or after this date (YYYY-MM-DD).
+ * @property {string} date_to   - Only media uploaded on or before this date (YYYY-MM-DD).
+ * @property {string} mime_type - Only media of this MIME type or type group.
+ * @property {string} author    - Only media uploaded by this user ID.
+ * @property {string} folder    - Only media in this folder ID or its subfolders.
+ */
+
+/**
+ * Scope with no filters set.
+ *
+ * @type {ScanScope}
+ */
+export const EMPTY_SCOPE = {
+	date_from: '',
+	date_to: '',
+	mime_type: '',
+	author: '',
+	folder: '',
+};
+
+/**
+ * Get the filters that are set, for sending with a scan request.
+ *
+ * @param {ScanScope} scope - Scope filters.
+ * @return {Object} Filters with a value.
+ */
+export function getScopeParams(scope) {
+	return Object.fromEntries(
+		Object.entries(scope).filter(([, value]) => value !== '')
+	);
+}
+
+/**
+ * Scope filters for the scan options, with the number of matching media.
+ *
+ * @param {Object}    props          - Component props.
+ * @param {string}    props.mode     - Scan mode.
+ * @param {ScanScope} props.scope    - Scope filters.
+ * @param {Function}  props.onChange - Called with the updated scope.
+ * @param {Function}  props.onCount  - Called with the matching count, or null while unknown; must be stable.
+ * @param {boolean}   props.disabled - Whether the filters are disabled.
+ * @param {string}    props.idPrefix - Prefix of the field IDs, for more than one set of filters on a screen.
+ * @return {JSX.Element} The filters component.
+ */
+export function ScanScopeFilters({
+	mode,
+	scope,
+	onChange,
+	onCount,
+	disabled,
+	idPrefix = 'vmfa-scope',
+}) {
+	const [folders, setFolders] = useState([]);
+	const [users, setUsers] = useState([]);
+	const [count, setCount] = useState(null);
+	const [error, setError] = useState(null);
+
+	/**
+	 * Fetch folders and users for the pickers.
+	 */
+	useEffect(() => {
+		apiFetch({ path: '/vmfa/v1/folders', method: 'GET' })
+			.then((response) => setFolders(response.folders || []))
+			.catch(() => {
+				// The folder filter stays limited to "Any folder".
+			});
+
+		apiFetch({
+			path: '/wp/v2/users?per_page=100&_fields=id,name',
+			method: 'GET',
+		})
+			.then((response) => setUsers(response || []))
+			.catch(() => {
+				// The author filter stays limited to "Any author".
+			});
+	}, []);
+
+	const params = new URLSearchParams({ mode, ...getScopeParams(scope) });
+	const countPath = `/vmfa/v1/scan/count?${params.toString()}`;
+
+	/**
+	 * Count matching media once the filters stop changing.
+	 */
+	useEffect(() => {
+		let cancelled = false;
+
+		setCount(null);
+		setError(null);
+		if (onCount) {
+			onCount(null);
+		}
+
+		const timeout = setTimeout(() => {
+			apiFetch({ path: countPath, method: 'GET' })
+				.then((response) => {
+					if (cancelled) {
+						return;
+					}
+					setCount(response.count);
+					if (onCount) {
+						onCount(response.count);
+					}
+				})
+				.catch((err) => {
+					if (!cancelled) {
+						setError(
+							err.message ||
+								__(
+									'Failed to count matching media.',
+									'vmfa-ai-organizer'
+								)
+						);
+					}
+				});
+		}, 300);
+
+		return () => {
+			cancelled = true;
+			clearTimeout(timeout);
+		};
+	}, [countPath, onCount]);
+
+	/**
+	 * Update one filter.
+	 *
+	 * @param {string} key   - Filter name.
+	 * @param {string} value - Filter value.
+	 */
+	const setFilter = (key, value) => {
+		onChange({ ...scope, [key]: value });
+	};
+
+	const mimeOptions = [
+		{ label: __('Any type', 'vmfa-ai-organizer'), value: '' },
+		{ label: __('All images', 'vmfa-ai-organizer'), value: 'image' },
+		{ label: 'JPEG', value: 'image/jpeg' },
+		{ label: 'PNG', value: 'image/png' },
+		{ label: 'GIF', value: 'image/gif' },
+		{ label: 'WebP', value: 'image/webp' },
+		{ label: __('Video', 'vmfa-ai-organizer'), value: 'video' },
+		{ label: __('Audio', 'vmfa-ai-organizer'), value: 'audio' },
+		{ label: 'PDF', value: 'application/pdf' },
+	];
+
+	const authorOptions = [
+		{ label: __('Any author', 'vmfa-ai-organizer'), value: '' },
+		...users.map((user) => ({
+			label: user.name,
+			value: String(user.id),
+		})),
+	];
+
+	const folderOptions = [
+		{ label: __('Any folder', 'vmfa-ai-organizer'), value: '' },
+		...folders.map((folder) => ({
+			label: folder.path,
+			value: String(folder.id),
+		})),
+	];
+
+	return (
+		<div className="vmfa-scan-scope">
+			<h4>{__('Scope', 'vmfa-ai-organizer')}</h4>
+			<div className="vmfa-scan-scope-fields">
+				<TextControl
+					__nextHasNoMarginBottom
+					id={`${idPrefix}-date-from`}
+					type="date"
+					label={__('Uploaded from', 'vmfa-ai-organizer')}
+					value={scope.date_from}
+					onChange={(value) => setFilter('date_from', value)}
+					disabled={disabled}
+				/>
+				<TextControl
+					__nextHasNoMarginBottom
+					id={`${idPrefix}-date-to`}
+					type="date"
+					label={__('Uploaded to', 'vmfa-ai-organizer')}
+					value={scope.date_to}
+					onChange={(value) => setFilter('date_to', value)}
+					disabled={disabled}
+				/>
+				<SelectControl
+					__nextHasNoMarginBottom
+					id={`${idPrefix}-mime-type`}
+					label={__('File type', 'vmfa-ai-organizer')}
+					value={scope.mime_type}
+					options={mimeOptions}
+					onChange={(value) => setFilter('mime_type', value)}
+					disabled={disabled}
+				/>
+				<SelectControl
+					__nextHasNoMarginBottom
+					id={`${idPrefix}-author`}
+					label={__('Author', 'vmfa-ai-organizer')}
+					value={scope.author}
+					options={authorOptions}
+					onChange={(value) => setFilter('author', value)}
+					disabled={disabled}
+				/>
+				<SelectControl
+					__nextHasNoMarginBottom
+					id={`${idPrefix}-folder`}
+					label={__('Source folder', 'vmfa-ai-organizer')}
+					value={scope.folder}
+					options={folderOptions}
+					onChange={(value) => setFilter('folder', value)}
+					disabled={disabled}
+				/>
+			</div>
+
+			<p className="vmfa-scan-scope-count">
+				{error && <span className="vmfa-preview-error">{error}</span>}
+				{!error && count === null && <Spinner />}
+				{!error &&
+					count !== null &&
+					sprintf(
+						/* translators: %d: Number of media files the scan would process. */
+						_n(
+							'%d media file matches.',
+							'%d media files match.',
+							count,
+							'vmfa-ai-organizer'
+						),
+						count
+					)}
+			</p>
+		</div>
+	);
+}
+
+export default ScanScopeFilters;
@@ -0,0 +1,562 @@
+/**
+ * Schedule Panel Component.
+ *
+ * @package
+ */
+
+import { useState, useEffect } from '@wordpress/element';
+import {
+	Button,
+	Card,
+	CardBody,
+	CardHeader,
+	CheckboxControl,
+	Notice,
+	SelectControl,
+	TextControl,
+} from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+import apiFetch from '@wordpress/api-fetch';
+
+import {
+	ScanScopeFilters,
+	EMPTY_SCOPE,
+	getScopeParams,
+} from './ScanScopeFilters';
+
+/**
+ * Fields of a new schedule.
+ */
+const EMPTY_FORM = {
+	mode: 'organize_unassigned',
+	dry_run: false,
+	frequency: 'daily',
+	time: '02:00',
+	day: '0',
+	cron: '',
+	window_start: '',
+	window_end: '',
+};
+
+/**
+ * Format timestamp to readable date.
+ *
+ * @param {number} timestamp - Unix timestamp.
+ * @return {string} Formatted date string.
+ */
+function formatDate(timestamp) {
+	if (!timestamp) {
+		return '-';
+	}
+	return new Date(timestamp * 1000).toLocaleString();
+}
+
+/**
+ * Get the week day names, Sunday first.
+ *
+ * @return {string[]} Day names.
+ */
+function getDayNames() {
+	return [
+		__('Sunday', 'vmfa-ai-organizer'),
+		__('Monday', 'vmfa-ai-organizer'),
+		__('Tuesday', 'vmfa-ai-organizer'),
+		__('Wednesday', 'vmfa-ai-organizer'),
+		__('Thursday', 'vmfa-ai-organizer'),
+		__('Friday', 'vmfa-ai-organizer'),
+		__('Saturday', 'vmfa-ai-organizer'),
+	];
+}
+
+/**
+ * Get the label of a scan mode.
+ *
+ * @param {string} mode - Scan mode.
+ * @return {string} Mode label.
+ */
+function getModeLabel(mode) {
+	switch (mode) {
+		case 'organize_unassigned':
+			return __('Organize Unassigned', 'vmfa-ai-organizer');
+		case 'reanalyze_all':
+			return __('Re-analyze All', 'vmfa-ai-organizer');
+		case 'reorganize_all':
+			return __('Reorganize All (Reset & Rebuild)', 'vmfa-ai-organizer');
+		default:
+			return mode;
+	}
+}
+
+/**
+ * Describe when a schedule runs.
+ *
+ * @param {Object} schedule - Schedule.
+ * @return {string} Human-readable frequency.
+ */
+function getFrequencyLabel(schedule) {
+	if (schedule.frequency === 'custom') {
+		return sprintf(
+			/* translators: %s: Cron expression. */
+			__('Cron: %s (UTC)', 'vmfa-ai-organizer'),
+			schedule.cron
+		);
+	}
+	if (schedule.frequency === 'weekly') {
+		return sprintf(
+			/* translators: 1: Day of the week, 2: Time of day. */
+			__('Weekly on %1$s at %2$s', 'vmfa-ai-organizer'),
+			getDayNames()[schedule.day] || '',
+			schedule.time
+		);
+	}
+	return sprintf(
+		/* translators: %s: Time of day. */
+		__('Daily at %s', 'vmfa-ai-organizer'),
+		schedule.time
+	);
+}
+
+/**
+ * Scheduled scans panel.
+ *
+ * Lists the scan schedules with their next and last run, enables, disables
+ * and deletes them, and adds new ones.
+ *
+ * @param {Object} props            - Component props.
+ * @param {string} props.refreshKey - Changes whenever the current scan finishes, to refetch the last runs.
+ * @return {JSX.Element} The panel component.
+ */
+export function SchedulePanel({ refreshKey }) {
+	const [schedules, setSchedules] = useState([]);
+	const [isBusy, setIsBusy] = useState(false);
+	const [notice, setNotice] = useState(null);
+	const [showForm, setShowForm] = useState(false);
+	const [form, setForm] = useState(EMPTY_FORM);
+	const [scope, setScope] = useState(EMPTY_SCOPE);
+
+	/**
+	 * Fetch the schedule list.
+	 */
+	const fetchSchedules = async () => {
+		try {
+			const response = await apiFetch({
+				path: '/vmfa/v1/schedules',
+				method: 'GET',
+			});
+			setSchedules(response.schedules || []);
+		} catch (err) {
+			// Ignore fetch errors; the list stays empty.
+		}
+	};
+
+	/**
+	 * Fetch schedules on mount and whenever a scan finishes.
+	 */
+	useEffect(() => {
+		fetchSchedules();
+	}, [refreshKey]);
+
+	/**
+	 * Update one form field.
+	 *
+	 * @param {string}         key   - Field name.
+	 * @param {string|boolean} value - Field value.
+	 */
+	const setField = (key, value) => {
+		setForm({ ...form, [key]: value });
+	};
+
+	/**
+	 * Run a schedule request and refresh the list.
+	 *
+	 * @param {Object} request      - apiFetch options.
+	 * @param {string} errorMessage - Message when the request fails without one.
+	 * @return {Promise<boolean>} Whether the request succeeded.
+	 */
+	const send = async (request, errorMessage) => {
+		setIsBusy(true);
+		setNotice(null);
+
+		try {
+			const response = await apiFetch(request);
+			setNotice({ type: 'success', message: response.message });
+			await fetchSchedules();
+			return true;
+		} catch (err) {
+			setNotice({ type: 'error', message: err.message || errorMessage });
+			return false;
+		} finally {
+			setIsBusy(false);
+		}
+	};
+
+	/**
+	 * Create a schedule from the form.
+	 */
+	const handleCreate = async () => {
+		const saved = await send(
+			{
+				path: '/vmfa/v1/schedules',
+				method: 'POST',
+				data: {
+					...form,
+					day: Number(form.day),
+					...(form.mode === 'reorganize_all'
+						? {}
+						: getScopeParams(scope)),
+				},
+			},
+			__('Failed to save schedule.', 'vmfa-ai-organizer')
+		);
+
+		if (saved) {
+			setShowForm(false);
+			setForm(EMPTY_FORM);
+			setScope(EMPTY_SCOPE);
+		}
+	};
+
+	/**
+	 * Enable or disable a schedule.
+	 *
+	 * @param {Object} schedule - Schedule.
+	 */
+	const handleToggle = (schedule) => {
+		send(
+			{
+				path: `/vmfa/v1/schedules/${schedule.id}`,
+				method: 'PUT',
+				data: { enabled: !schedule.enabled },
+			},
+			__('Failed to save schedule.', 'vmfa-ai-organizer')
+		);
+	};
+
+	/**
+	 * Delete a schedule.
+	 *
+	 * @param {Object} schedule - Schedule.
+	 */
+	const handleDelete = (schedule) => {
+		send(
+			{
+				path: `/vmfa/v1/schedules/${schedule.id}`,
+				method: 'DELETE',
+			},
+			__('Failed to delete schedule.', 'vmfa-ai-organizer')
+		);
+	};
+
+	return (
+		<Card className="vmfa-schedule-panel">
+			<CardHeader>
+				<h3>{__('Scheduled Scans', 'vmfa-ai-organizer')}</h3>
+			</CardHeader>
+			<CardBody>
+				{notice && (
+					<Notice
+						status={notice.type}
+						isDismissible={true}
+						onRemove={() => setNotice(null)}
+					>
+						{notice.message}
+					</Notice>
+				)}
+
+				{schedules.length === 0 ? (
+					<p className="description">
+						{__('No scheduled scans.', 'vmfa-ai-organizer')}
+					</p>
+				) : (
+					<table className="vmfa-schedule-table">
+						<thead>
+							<tr>
+								<th>{__('Scan', 'vmfa-ai-organizer')}</th>
+								<th>{__('Runs', 'vmfa-ai-organizer')}</th>
+								<th>{__('Next run', 'vmfa-ai-organizer')}</th>
+								<th>{__('Last run', 'vmfa-ai-organizer')}</th>
+								<th>{__('Actions', 'vmfa-ai-organizer')}</th>
+							</tr>
+						</thead>
+						<tbody>
+							{schedules.map((schedule) => (
+								<tr key={schedule.id}>
+									<td>
+										{getModeLabel(schedule.mode)}
+										{schedule.dry_run && (
+											<span className="vmfa-badge vmfa-badge-info">
+												{__(
+													'Preview',
+													'vmfa-ai-organizer'
+												)}
+											</span>
+										)}
+									</td>
+									<td>
+										{getFrequencyLabel(schedule)}
+										{schedule.window_start && (
+											<div className="description">
+												{sprintf(
+													/* translators: 1: Window start time, 2: Window end time. */
+													__(
+														'Only between %1$s and %2$s',
+														'vmfa-ai-organizer'
+													),
+													schedule.window_start,
+													schedule.window_end
+												)}
+											</div>
+										)}
+									</td>
+									<td>
+										{schedule.enabled
+											? formatDate(schedule.next_run)
+											: __(
+													'Disabled',
+													'vmfa-ai-organizer'
+												)}
+									</td>
+									<td>
+										{schedule.last_run ? (
+											<>
+												{formatDate(
+													schedule.last_run.at
+												)}
+												<div
+													className={
+														schedule.last_run
+															.success
+															? 'description'
+															: 'vmfa-preview-error'
+													}
+												>
+													{schedule.last_run.message}
+												</div>
+											</>
+										) : (
+											__('Never', 'vmfa-ai-organizer')
+										)}
+									</td>
+									<td>
+										<Button
+											variant="secondary"
+											onClick={() =>
+												handleToggle(schedule)
+											}
+											disabled={isBusy}
+										>
+											{schedule.enabled
+												? __(
+														'Disable',
+														'vmfa-ai-organizer'
+													)
+												: __(
+														'Enable',
+														'vmfa-ai-organizer'
+													)}
+										</Button>
+										<Button
+											variant="tertiary"
+											isDestructive
+											onClick={() =>
+												handleDelete(schedule)
+											}
+											disabled={isBusy}
+										>
+											{__('Delete', 'vmfa-ai-organizer')}
+										</Button>
+									</td>
+								</tr>
+							))}
+						</tbody>
+					</table>
+				)}
+
+				{!showForm && (
+					<Button
+						variant="secondary"
+						onClick={() => setShowForm(true)}
+						disabled={isBusy}
+					>
+						{__('Add Schedule', 'vmfa-ai-organizer')}
+					</Button>
+				)}
+
+				{showForm && (
+					<div className="vmfa-schedule-form">
+						<div className="vmfa-schedule-fields">
+							<SelectControl
+								__nextHasNoMarginBottom
+								id="vmfa-schedule-mode"
+								label={__('Scan mode', 'vmfa-ai-organizer')}
+								value={form.mode}
+								options={[
+									'organize_unassigned',
+									'reanalyze_all',
+									'reorganize_all',
+								].map((mode) => ({
+									label: getModeLabel(mode),
+									value: mode,
+								}))}
+								onChange={(value) =>
+									setForm({
+										...form,
+										mode: value,
+										dry_run:
+											value === 'reorganize_all' ||
+											form.dry_run,
+									})
+								}
+							/>
+							<SelectControl
+								__nextHasNoMarginBottom
+								id="vmfa-schedule-frequency"
+								label={__('Frequency', 'vmfa-ai-organizer')}
+								value={form.frequency}
+								options={[
+									{
+										label: __('Daily', 'vmfa-ai-organizer'),
+										value: 'daily',
+									},
+									{
+										label: __(
+											'Weekly',
+											'vmfa-ai-organizer'
+										),
+										value: 'weekly',
+									},
+									{
+										label: __(
+											'Custom (cron)',
+											'vmfa-ai-organizer'
+										),
+										value: 'custom',
+									},
+								]}
+								onChange={(value) =>
+									setField('frequency', value)
+								}
+							/>
+							{form.frequency === 'weekly' && (
+								<SelectControl
+									__nextHasNoMarginBottom
+									id="vmfa-schedule-day"
+									label={__('Day', 'vmfa-ai-organizer')}
+									value={form.day}
+									options={getDayNames().map(
+										(name, index) => ({
+											label: name,
+											value: String(index),
+										})
+									)}
+									onChange={(value) => setField('day', value)}
+								/>
+							)}
+							{form.frequency === 'custom' ? (
+								<TextControl
+									__nextHasNoMarginBottom
+									id="vmfa-schedule-cron"
+									label={__(
+										'Cron expression (UTC)',
+										'vmfa-ai-organizer'
+									)}
+									placeholder="0 3 * * 1-5"
+									value={form.cron}
+									onChange={(value) =>
+										setField('cron', value)
+									}
+								/>
+							) : (
+								<TextControl
+									__nextHasNoMarginBottom
+									id="vmfa-schedule-time"
+									type="time"
+									label={__('Time', 'vmfa-ai-organizer')}
+									value={form.time}
+									onChange={(value) =>
+										setField('time', value)
+									}
+								/>
+							)}
+							<TextControl
+								__nextHasNoMarginBottom
+								id="vmfa-schedule-window-start"
+								type="time"
+								label={__('Window start', 'vmfa-ai-organizer')}
+								value={form.window_start}
+								onChange={(value) =>
+									setField('window_start', value)
+								}
+							/>
+							<TextControl
+								__nextHasNoMarginBottom
+								id="vmfa-schedule-window-end"
+								type="time"
+								label={__('Window end', 'vmfa-ai-organizer')}
+								value={form.window_end}
+								onChange={(value) =>
+									setField('window_end', value)
+								}
+							/>
+						</div>
+						<p className="description">
+							{__(
+								'With a time window, runs only start inside it and a long scan pauses until the window opens again.',
+								'vmfa-ai-organizer'
+							)}
+						</p>
+
+						{form.mode !== 'reorganize_all' && (
+							<ScanScopeFilters
+								idPrefix="vmfa-schedule-scope"
+								mode={form.mode}
+								scope={scope}
+								onChange={setScope}
+								disabled={isBusy}
+							/>
+						)}
+
+						<CheckboxControl
+							__nextHasNoMarginBottom
+							label={__(
+								'Preview mode (dry run)',
+								'vmfa-ai-organizer'
+							)}
+							checked={form.dry_run}
+							onChange={(value) => setField('dry_run', value)}
+							disabled={form.mode === 'reorganize_all'}
+							help={
+								form.mode === 'reorganize_all'
+									? __(
+											'Scheduled Reorganize All runs always use preview mode.',
+											'vmfa-ai-organizer'
+										)
+									: undefined
+							}
+						/>
+
+						<div className="vmfa-schedule-actions">
+							<Button
+								variant="primary"
+								onClick={handleCreate}
+								isBusy={isBusy}
+								disabled={isBusy}
+							>
+								{__('Save Schedule', 'vmfa-ai-organizer')}
+							</Button>
+							<Button
+								variant="tertiary"
+								onClick={() => setShowForm(false)}
+								disabled={isBusy}
+							>
+								{__('Cancel', 'vmfa-ai-organizer')}
+							</Button>
+						</div>
+					</div>
+				)}
+			</CardBody>
+		</Card>
+	);
+}
+
+export default SchedulePanel;
@@ -0,0 +1,232 @@
+/**
+ * Snapshot Diff Component.
+ *
+ * @package
+ */
+
+import { useState, useEffect } from '@wordpress/element';
+import { Button, CheckboxControl, Spinner } from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+import apiFetch from '@wordpress/api-fetch';
+
+/**
+ * List of folder changes under a heading.
+ *
+ * @param {Object}   props       - Component props.
+ * @param {string}   props.title - Section heading.
+ * @param {string[]} props.items - Lines to list.
+ * @return {JSX.Element|null} The section, or null when there are no items.
+ */
+function DiffSection({ title, items }) {
+	if (items.length === 0) {
+		return null;
+	}
+
+	return (
+		<div className="vmfa-diff-section">
+			<h4>{title}</h4>
+			<ul>
+				{items.map((item) => (
+					<li key={item}>{item}</li>
+				))}
+			</ul>
+		</div>
+	);
+}
+
+/**
+ * Format a list of folder paths for display.
+ *
+ * @param {string[]} paths - Folder paths.
+ * @return {string} Comma-separated paths, or a placeholder for none.
+ */
+function formatPaths(paths) {
+	return paths.length > 0
+		? paths.join(', ')
+		: __('(no folder)', 'vmfa-ai-organizer');
+}
+
+/**
+ * Restore confirmation showing what a snapshot restore would change.
+ *
+ * Lists folders that will be added, removed and renamed and media whose
+ * folder will change, and lets the user restore only selected folders.
+ *
+ * @param {Object}   props            - Component props.
+ * @param {string}   props.snapshotId - Snapshot to compare with.
+ * @param {boolean}  props.isBusy     - Whether a restore is running.
+ * @param {Function} props.onCancel   - Called when the user cancels.
+ * @param {Function} props.onRestore  - Called with the folder IDs to restore (empty for all).
+ * @return {JSX.Element} The confirmation component.
+ */
+export function SnapshotDiff({ snapshotId, isBusy, onCancel, onRestore }) {
+	const [diff, setDiff] = useState(null);
+	const [error, setError] = useState(null);
+	const [selected, setSelected] = useState([]);
+
+	/**
+	 * Fetch the diff for the snapshot.
+	 */
+	useEffect(() => {
+		apiFetch({
+			path: `/vmfa/v1/backup/${snapshotId}/diff`,
+			method: 'GET',
+		})
+			.then(setDiff)
+			.catch((err) => {
+				setError(
+					err.message ||
+						__('Failed to compare snapshot.', 'vmfa-ai-organizer')
+				);
+			});
+	}, [snapshotId]);
+
+	/**
+	 * Toggle a folder in the selection.
+	 *
+	 * @param {number}  termId  - Snapshot folder ID.
+	 * @param {boolean} checked - Whether the folder is selected.
+	 */
+	const toggleFolder = (termId, checked) => {
+		setSelected((previous) =>
+			checked
+				? [...previous, termId]
+				: previous.filter((id) => id !== termId)
+		);
+	};
+
+	const folders = diff?.folders || {};
+	const added = (folders.added || []).map((folder) => folder.path);
+	const removed = (folders.removed || []).map((folder) => folder.path);
+	const renamed = (folders.renamed || []).map(
+		(folder) => `${folder.from} → ${folder.to}`
+	);
+	const media = (diff?.media || []).map(
+		(item) =>
+			`${item.filename || `#${item.attachment_id}`}: ${formatPaths(
+				item.from
+			)} → ${formatPaths(item.to)}`
+	);
+	const mediaTotal = diff?.media_total || 0;
+	const restorable = diff?.restorable || [];
+	const hasChanges =
+		added.length + removed.length + renamed.length + mediaTotal > 0;
+
+	return (
+		<div className="vmfa-restore-confirm">
+			<p className="vmfa-restore-warning">
+				{__(
+					'This will replace all current folders and assignments with this snapshot. Are you sure?',
+					'vmfa-ai-organizer'
+				)}
+			</p>
+
+			{error && <p className="vmfa-preview-error">{error}</p>}
+			{!diff && !error && <Spinner />}
+
+			{diff && (
+				<div className="vmfa-snapshot-diff">
+					{!hasChanges && (
+						<p>
+							{__(
+								'The current folders already match this snapshot.',
+								'vmfa-ai-organizer'
+							)}
+						</p>
+					)}
+					<DiffSection
+						title={__('Folders to add', 'vmfa-ai-organizer')}
+						items={added}
+					/>
+					<DiffSection
+						title={__('Folders to remove', 'vmfa-ai-organizer')}
+						items={removed}
+					/>
+					<DiffSection
+						title={__('Folders to rename', 'vmfa-ai-organizer')}
+						items={renamed}
+					/>
+					<DiffSection
+						title={sprintf(
+							/* translators: %d: number of media items whose folder changes. */
+							__('Media to move (%d)', 'vmfa-ai-organizer'),
+							mediaTotal
+						)}
+						items={media}
+					/>
+					{mediaTotal > media.length && (
+						<p className="vmfa-preview-more">
+							{sprintf(
+								/* translators: %d: number of media changes not listed. */
+								__('…and %d more.', 'vmfa-ai-organizer'),
+								mediaTotal - media.length
+							)}
+						</p>
+					)}
+
+					{restorable.length > 0 && (
+						<div className="vmfa-diff-section">
+							<h4>
+								{__(
+									'Restore only selected folders',
+									'vmfa-ai-organizer'
+								)}
+							</h4>
+							{restorable.map((folder) => (
+								<CheckboxControl
+									key={folder.term_id}
+									__nextHasNoMarginBottom
+									id={`vmfa-diff-folder-${folder.term_id}`}
+									label={folder.path}
+									checked={selected.includes(folder.term_id)}
+									onChange={(checked) =>
+										toggleFolder(folder.term_id, checked)
+									}
+									disabled={isBusy}
+								/>
+							))}
+						</div>
+					)}
+				</div>
+			)}
+
+			<div className="vmfa-restore-actions">
+				<Button
+					variant="secondary"
+					onClick={onCancel}
+					disabled={isBusy}
+				>
+					{__('Cancel', 'vmfa-ai-organizer')}
+				</Button>
+				{selected.length > 0 && (
+					<Button
+						variant="secondary"
+						onClick={() => onRestore(selected)}
+						isBusy={isBusy}
+						disabled={isBusy}
+					>
+						{sprintf(
+							/* translators: %d: number of selected folders. */
+							__(
+								'Restore %d Selected Folders',
+								'vmfa-ai-organizer'
+							),
+							selected.length
+						)}
+					</Button>
+				)}
+				<Button
+					variant="primary"
+					isDestructive
+					onClick={() => onRestore([])}
+					isBusy={isBusy}
+					disabled={isBusy}
+				>
+					{__('Yes, Restore Snapshot', 'vmfa-ai-organizer')}
+				</Button>
+			</div>
+		</div>
+	);
+}
+
+export default SnapshotDiff;
@@ -0,0 +1,102 @@
+/**
+ * Custom hook for paging through cached dry-run results.
+ *
+ * @package
+ */
+
+import { useState, useEffect } from '@wordpress/element';
+import apiFetch from '@wordpress/api-fetch';
+
+/**
+ * @typedef {Object} CachedResultsQuery
+ * @property {number} page       - Page number (1-based).
+ * @property {number} perPage    - Results per page.
+ * @property {string} orderby    - Sort field: 'folder', 'confidence', 'filename', 'attachment_id'.
+ * @property {string} order      - Sort direction: 'asc' or 'desc'.
+ * @property {string} search     - Free-text search.
+ * @property {string} action     - Action filter: '', 'assign', 'create', 'skip'.
+ * @property {string} confidence - Confidence band filter: '', 'high', 'medium', 'low'.
+ * @property {string} [folder]   - Only results targeting this full folder path.
+ */
+
+/**
+ * Build the cached-results request path for a query.
+ *
+ * @param {CachedResultsQuery} query - Query.
+ * @return {string} REST path.
+ */
+export function getCachedResultsPath(query) {
+	const params = new URLSearchParams({
+		page: String(query.page),
+		per_page: String(query.perPage),
+		orderby: query.orderby,
+		order: query.order,
+	});
+
+	['search', 'action', 'confidence', 'folder'].forEach((key) => {
+		if (query[key]) {
+			params.set(key, query[key]);
+		}
+	});
+
+	return `/vmfa/v1/scan/cached-results?${params.toString()}`;
+}
+
+/**
+ * Hook for fetching one page of cached dry-run results.
+ *
+ * @param {CachedResultsQuery} query      - Query.
+ * @param {number}             refreshKey - Change to refetch after the cache was rewritten.
+ * @return {Object} Page data, summary, loading and error state.
+ */
+export function useCachedResults(query, refreshKey = 0) {
+	const [data, setData] = useState({
+		results: [],
+		total: 0,
+		pages: 1,
+		page: 1,
+		summary: null,
+	});
+	const [isLoading, setIsLoading] = useState(true);
+	const [error, setError] = useState(null);
+
+	const path = getCachedResultsPath(query);
+
+	useEffect(() => {
+		let cancelled = false;
+
+		setIsLoading(true);
+		apiFetch({ path, method: 'GET' })
+			.then((response) => {
+				if (cancelled) {
+					return;
+				}
+				setData({
+					results: response.results || [],
+					total: response.total || 0,
+					pages: response.pages || 1,
+					page: response.page || 1,
+					summary: response.summary || null,
+				});
+				setError(null);
+			})
+			.catch((err) => {
+				if (!cancelled) {
+					setError(err.message || 'Failed to fetch cached results');
+				}
+			})
+			.finally(() => {
+				if (!cancelled) {
+					setIsLoading(false);
+				}
+			});
+
+		return () => {
+			cancelled = true;
+		};
+	}, [path, refreshKey]);
+
+	return { ...data, isLoading, error };
+}
+
+export default useCachedResults;
@@ -7,25 +7,123 @@
 import { useState, useEffect, useCallback, useRef } from '@wordpress/element';
 import apiFetch from '@wordpress/api-fetch';
 
+/**
+ * Longest wait between polls once nothing changes.
+ *
+ * @type {number}
+ */
+const MAX_POLL_INTERVAL = 15000;
+
+/**
+ * How much the wait between polls grows after a poll without changes.
+ *
+ * @type {number}
+ */
+const BACKOFF_FACTOR = 1.5;
+
+/**
+ * Number of recent results kept, matching what the server keeps.
+ *
+ * @type {number}
+ */
+const MAX_RESULTS = 100;
+
+/**
+ * Namespace for the heartbeat event handlers.
+ *
+ * @type {string}
+ */
+const HEARTBEAT_NAMESPACE = '.vmfaScanStatus';
+
 /**
  * @typedef {Object} ScanStatus
- * @property {string}  status       - Current status: 'idle', 'running', 'completed', 'cancelled', 'failed'
- * @property {string}  mode         - Scan mode: 'organize_unassigned', 'reanalyze_all', 'reorganize_all'
- * @property {boolean} dry_run      - Whether this is a dry run
- * @property {number}  total        - Total items to process
- * @property {number}  processed    - Items processed so far
- * @property {number}  percentage   - Progress percentage
- * @property {number}  applied      - Items successfully applied
- * @property {number}  failed       - Items that failed
- * @property {Array}   results      - Recent analysis results
- * @property {number}  started_at   - Timestamp when scan started
- * @property {number}  completed_at - Timestamp when scan completed
- * @property {string}  error        - Error message if any
+ * @property {string}  status        - Current status: 'idle', 'running', 'completed', 'cancelled', 'failed'
+ * @property {string}  mode          - Scan mode: 'organize_unassigned', 'reanalyze_all', 'reorganize_all'
+ * @property {boolean} dry_run       - Whether this is a dry run
+ * @property {number}  total         - Total items to process
+ * @property {number}  processed     - Items processed so far
+ * @property {number}  percentage    - Progress percentage
+ * @property {number}  applied       - Items successfully applied
+ * @property {number}  failed        - Items that failed
+ * @property {Array}   results       - Recent analysis results
+ * @property {number}  cursor        - Number of results the run has produced, for fetching only newer ones
+ * @property {boolean} partial       - Whether a response only holds the results after the cursor sent
+ * @property {number}  started_at    - Timestamp when scan started
+ * @property {number}  completed_at  - Timestamp when scan completed
+ * @property {string}  error         - Error message if any
+ * @property {string}  run_id        - ID of the current run
+ * @property {?number} waiting_until - Timestamp a scheduled scan resumes at, while outside its time window
+ * @property {?Object} undo          - Applied run that can be undone, with `undoable`, `moved` and `created_folders`
+ */
+
+/**
+ * Merge a status response into the current status.
+ *
+ * Partial responses only carry the results after the cursor sent, so they
+ * are appended to the results already shown.
+ *
+ * @param {ScanStatus} current  - Current status.
+ * @param {ScanStatus} response - Status from the server.
+ * @return {ScanStatus} Merged status.
  */
+export function mergeStatus(current, response) {
+	if (!response.partial) {
+		return response;
+	}
+
+	return {
+		...response,
+		partial: false,
+		results: [
+			...(current.results || []),
+			...(response.results || []),
+		].slice(-MAX_RESULTS),
+	};
+}
+
+/**
+ * Check whether a status differs from the previous one in anything shown.
+ *
+ * @param {ScanStatus} previous - Previous status.
+ * @param {ScanStatus} next     - New status.
+ * @return {boolean} Whether something changed.
+ */
+function hasChanged(previous, next) {
+	return [
+		'status',
+		'run_id',
+		'processed',
+		'cursor',
+		'applied',
+		'failed',
+		'held',
+		'error',
+		'waiting_until',
+	].some((key) => previous[key] !== next[key]);
+}
+
+/**
+ * Get the WordPress heartbeat API, when it is loaded on the page.
+ *
+ * @return {?Object} The heartbeat API, or null.
+ */
+function getHeartbeat() {
+	if (!window.wp?.heartbeat || !window.jQuery) {
+		return null;
+	}
+
+	return window.wp.heartbeat;
+}
 
 /**
  * Hook for polling scan status.
  *
+ * While a scan runs, only results newer than the last cursor are fetched.
+ * With the WordPress heartbeat on the page the status rides along with the
+ * heartbeat request, which already slows down in background tabs. Otherwise
+ * the REST API is polled, waiting longer after each poll without changes
+ * and pausing while the tab is hidden.
+ *
  * @param {number} pollInterval - Polling interval in milliseconds.
  * @return {Object} Scan status and control functions.
  */
@@ -49,60 +147,168 @@ export function useScanStatus(pollInterval = 2000) {
 
 	const [isLoading, setIsLoading] = useState(true);
 	const [error, setError] = useState(null);
-	const pollIntervalRef = useRef(null);
+	const statusRef = useRef(status);
+
+	/**
+	 * Store a status response.
+	 *
+	 * @param {ScanStatus} response - Status from the server.
+	 * @return {boolean} Whether anything shown changed.
+	 */
+	const applyStatus = useCallback((response) => {
+		const next = mergeStatus(statusRef.current, response);
+		const changed = hasChanged(statusRef.current, next);
+
+		statusRef.current = next;
+		setStatus(next);
+
+		return changed;
+	}, []);
+
+	/**
+	 * Get the cursor to send, so only newer results come back.
+	 *
+	 * @return {?Object} `since` and `run_id`, or null to fetch everything.
+	 */
+	const getCursor = useCallback(() => {
+		const { run_id: runId, cursor } = statusRef.current;
+
+		if (!runId || typeof cursor !== 'number') {
+			return null;
+		}
+
+		return { since: cursor, run_id: runId };
+	}, []);
 
 	/**
 	 * Fetch current scan status.
+	 *
+	 * @return {Promise<boolean>} Whether anything shown changed.
 	 */
 	const fetchStatus = useCallback(async () => {
+		const cursor = getCursor();
+
 		try {
 			const response = await apiFetch({
-				path: '/vmfa/v1/scan/status',
+				path: cursor
+					? `/vmfa/v1/scan/status?since=${cursor.since}&run_id=${cursor.run_id}`
+					: '/vmfa/v1/scan/status',
 				method: 'GET',
 			});
-			setStatus(response);
 			setError(null);
+			return applyStatus(response);
 		} catch (err) {
 			setError(err.message || 'Failed to fetch scan status');
+			return false;
 		} finally {
 			setIsLoading(false);
 		}
-	}, []);
+	}, [getCursor, applyStatus]);
 
 	/**
-	 * Start polling when scan is running.
+	 * Fetch the status once on mount.
 	 */
 	useEffect(() => {
-		// Initial fetch.
 		fetchStatus();
+	}, [fetchStatus]);
 
-		// Set up polling if scan is running.
-		if (status.status === 'running') {
-			pollIntervalRef.current = setInterval(fetchStatus, pollInterval);
+	/**
+	 * Keep the status up to date while a scan is running.
+	 */
+	useEffect(() => {
+		if (status.status !== 'running') {
+			return undefined;
 		}
 
-		return () => {
-			if (pollIntervalRef.current) {
-				clearInterval(pollIntervalRef.current);
+		const heartbeat = getHeartbeat();
+
+		if (heartbeat) {
+			const $document = window.jQuery(document);
+
+			$document
+				.on(`heartbeat-send${HEARTBEAT_NAMESPACE}`, (event, data) => {
+					// jQuery drops empty objects, so ask for the full status explicitly.
+					data.vmfa_scan_status = getCursor() || { full: 1 };
+				})
+				.on(`heartbeat-tick${HEARTBEAT_NAMESPACE}`, (event, data) => {
+					if (data.vmfa_scan_status) {
+						applyStatus(data.vmfa_scan_status);
+					}
+					// Fast ticks run out after a while; keep them going.
+					heartbeat.interval('fast');
+				});
+
+			heartbeat.interval('fast');
+			heartbeat.connectNow();
+
+			return () => {
+				$document.off(HEARTBEAT_NAMESPACE);
+			};
+		}
+
+		let delay = pollInterval;
+		let timer = null;
+		let polling = false;
+		let stopped = false;
+
+		const schedule = () => {
+			if (!stopped && !document.hidden) {
+				timer = setTimeout(poll, delay);
+			}
+		};
+
+		const poll = async () => {
+			timer = null;
+			polling = true;
+			const changed = await fetchStatus();
+			polling = false;
+
+			delay = changed
+				? pollInterval
+				: Math.min(delay * BACKOFF_FACTOR, MAX_POLL_INTERVAL);
+			schedule();
+		};
+
+		const handleVisibilityChange = () => {
+			if (document.hidden) {
+				clearTimeout(timer);
+				timer = null;
+			} else if (!timer && !polling) {
+				// Catch up straight away after being hidden.
+				delay = pollInterval;
+				poll();
 			}
 		};
-	}, [status.status, fetchStatus, pollInterval]);
+
+		document.addEventListener('visibilitychange', handleVisibilityChange);
+		schedule();
+
+		return () => {
+			stopped = true;
+			clearTimeout(timer);
+			document.removeEventListener(
+				'visibilitychange',
+				handleVisibilityChange
+			);
+		};
+	}, [status.status, fetchStatus, getCursor, applyStatus, pollInterval]);
 
 	/**
 	 * Start a new scan.
 	 *
 	 * @param {string}  mode   - Scan mode.
 	 * @param {boolean} dryRun - Whether to run in dry-run mode.
+	 * @param {Object}  scope  - Scope filters (`date_from`, `date_to`, `mime_type`, `author`, `folder`).
 	 * @return {Promise<Object>} Scan start result.
 	 */
 	const startScan = useCallback(
-		async (mode, dryRun = false) => {
+		async (mode, dryRun = false, scope = {}) => {
 			try {
 				setIsLoading(true);
 				const response = await apiFetch({
 					path: '/vmfa/v1/scan',
 					method: 'POST',
-					data: { mode, dry_run: dryRun },
+					data: { mode, dry_run: dryRun, ...scope },
 				});
 				await fetchStatus();
 				return response;
@@ -163,17 +369,18 @@ export function useScanStatus(pollInterval = 2000) {
 	/**
 	 * Apply cached dry-run results.
 	 *
-	 * @param {string} mode - Original scan mode.
+	 * @param {string}      mode      - Original scan mode.
+	 * @param {Object|null} selection - Optional selection: `items`, `exclude` and/or `overrides`.
 	 * @return {Promise<Object>} Apply result.
 	 */
 	const applyCachedResults = useCallback(
-		async (mode) => {
+		async (mode, selection = null) => {
 			try {
 				setIsLoading(true);
 				const response = await apiFetch({
 					path: '/vmfa/v1/scan/apply-cached',
 					method: 'POST',
-					data: { mode },
+					data: { ...selection, mode },
 				});
 				await fetchStatus();
 				return response;
@@ -187,6 +394,33 @@ export function useScanStatus(pollInterval = 2000) {
 		[fetchStatus]
 	);
 
+	/**
+	 * Undo the changes made by an applied run.
+	 *
+	 * @param {string} runId - Run to undo.
+	 * @return {Promise<Object>} Undo result.
+	 */
+	const undoRun = useCallback(
+		async (runId) => {
+			try {
+				setIsLoading(true);
+				const response = await apiFetch({
+					path: '/vmfa/v1/scan/undo',
+					method: 'POST',
+					data: { run_id: runId },
+				});
+				await fetchStatus();
+				return response;
+			} catch (err) {
+				setError(err.message || 'Failed to undo run');
+				throw err;
+			} finally {
+				setIsLoading(false);
+			}
+		},
+		[fetchStatus]
+	);
+
 	/**
 	 * Get count of cached dry-run results.
 	 *
@@ -213,6 +447,7 @@ export function useScanStatus(pollInterval = 2000) {
 		cancelScan,
 		resetScan,
 		applyCachedResults,
+		undoRun,
 		getCachedCount,
 		refresh: fetchStatus,
 	};
@@ -6,80 +6,27 @@
 
 import { createRoot } from '@wordpress/element';
 import { AiOrganizerPanel } from './components/AiOrganizerPanel';
+import { ProviderSettings } from './components/ProviderSettings';
 
 import './styles/admin.scss';
 
 /**
- * Update visibility of provider-specific settings fields.
- *
- * @param {string} provider - The selected provider key.
- */
-function updateProviderFields(provider) {
-	document.querySelectorAll('.vmfa-provider-field').forEach((field) => {
-		const row = field.closest('tr');
-		if (row) {
-			row.classList.add('vmfa-provider-row');
-			const fieldProvider = field.dataset.provider;
-			if (fieldProvider === provider) {
-				row.classList.add('vmfa-provider-active');
-			} else {
-				row.classList.remove('vmfa-provider-active');
-			}
-		}
-	});
-
-	// Update Azure fields visibility based on openai_type when OpenAI is selected.
-	if (provider === 'openai') {
-		updateAzureFields();
-	}
-}
-
-/**
- * Update visibility of Azure-specific fields based on openai_type selector.
+ * Initialize the AI Provider settings tab.
  */
-function updateAzureFields() {
-	const openaiTypeSelect = document.getElementById('vmfa_openai_type');
-	if (!openaiTypeSelect) {
-		return;
-	}
-
-	const isAzure = openaiTypeSelect.value === 'azure';
+function initProviderSettings() {
+	const container = document.getElementById(
+		'vmfa-ai-organizer-provider-settings'
+	);
+	const { providers, providerSettings } = window.vmfaAiOrganizer || {};
 
-	document.querySelectorAll('.vmfa-azure-field').forEach((field) => {
-		const row = field.closest('tr');
-		if (row) {
-			// Mark as Azure row for CSS targeting
-			row.classList.add('vmfa-azure-row');
-			if (isAzure) {
-				row.classList.add('vmfa-azure-active');
-			} else {
-				row.classList.remove('vmfa-azure-active');
-			}
-		}
-	});
-}
-
-/**
- * Initialize the provider field toggle.
- */
-function initProviderToggle() {
-	const providerSelect = document.getElementById('vmfa_ai_provider');
-	if (providerSelect) {
-		// Set initial state.
-		updateProviderFields(providerSelect.value);
-
-		// Listen for changes.
-		providerSelect.addEventListener('change', (e) => {
-			updateProviderFields(e.target.value);
-		});
-	}
-
-	// Listen for OpenAI type changes.
-	const openaiTypeSelect = document.getElementById('vmfa_openai_type');
-	if (openaiTypeSelect) {
-		openaiTypeSelect.addEventListener('change', () => {
-			updateAzureFields();
-		});
+	if (container && providerSettings) {
+		const root = createRoot(container);
+		root.render(
+			<ProviderSettings
+				providers={providers}
+				settings={providerSettings}
+			/>
+		);
 	}
 }
 
@@ -98,10 +45,10 @@ function initAiOrganizer() {
 // Initialize when DOM is ready.
 if (document.readyState === 'loading') {
 	document.addEventListener('DOMContentLoaded', () => {
-		initProviderToggle();
+		initProviderSettings();
 		initAiOrganizer();
 	});
 } else {
-	initProviderToggle();
+	initProviderSettings();
 	initAiOrganizer();
 }
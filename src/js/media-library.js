@@ -0,0 +1,63 @@
+/**
+ * Virtual Media Folders AI Organizer - Media Library Scripts
+ *
+ * @package
+ */
+
+import { createRoot } from '@wordpress/element';
+import { MediaLibraryScan } from './components/MediaLibraryScan';
+
+import './styles/media-library.scss';
+
+/**
+ * Wrap the grid view's Backbone selection for the scan component.
+ *
+ * @return {Object|null} Selection adapter, or null outside the grid view.
+ */
+function getGridSelection() {
+	const frame = window.wp?.media?.frame;
+	const selection = frame?.state?.()?.get('selection');
+
+	if (!selection) {
+		return null;
+	}
+
+	return {
+		getIds: () => selection.pluck('id'),
+		subscribe: (listener) => {
+			selection.on('add remove reset', listener);
+			return () => selection.off('add remove reset', listener);
+		},
+	};
+}
+
+/**
+ * Mount the scan controls below the Media Library heading.
+ */
+function initMediaLibraryScan() {
+	const headerEnd = document.querySelector('.wrap .wp-header-end');
+
+	if (!headerEnd) {
+		return;
+	}
+
+	const container = document.createElement('div');
+	container.id = 'vmfa-ai-organizer-media-library';
+	headerEnd.after(container);
+
+	createRoot(container).render(
+		<MediaLibraryScan
+			selection={getGridSelection()}
+			scannerUrl={window.vmfaMediaLibrary?.scannerUrl || ''}
+		/>
+	);
+}
+
+// The grid frame is created on DOM ready, so mount after it.
+if (document.readyState === 'loading') {
+	document.addEventListener('DOMContentLoaded', () =>
+		setTimeout(initMediaLibraryScan)
+	);
+} else {
+	setTimeout(initMediaLibraryScan);
+}
@@ -0,0 +1,53 @@
+/**
+ * Auto-organize status badge helper.
+ *
+ * @package
+ */
+
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Get the label for an upload's auto-organize status.
+ *
+ * @param {string} status - Status from the attachment's `vmfaAutoOrganize` field.
+ * @return {string} Label, or empty for an unknown status.
+ */
+export function getAutoOrganizeLabel(status) {
+	const labels = {
+		queued: __('Organizing…', 'vmfa-ai-organizer'),
+		applied: __('Organized', 'vmfa-ai-organizer'),
+		review: __('Needs review', 'vmfa-ai-organizer'),
+		skipped: __('No suggestion', 'vmfa-ai-organizer'),
+		failed: __('Organizing failed', 'vmfa-ai-organizer'),
+	};
+	return labels[status] || '';
+}
+
+/**
+ * Show, update or remove the status badge inside an attachment element.
+ *
+ * @param {HTMLElement} element - Attachment element in the media grid.
+ * @param {string}      status  - Auto-organize status, or empty for none.
+ */
+export function renderAutoOrganizeBadge(element, status) {
+	const container = element.querySelector('.attachment-preview') || element;
+	const label = getAutoOrganizeLabel(status);
+	let badge = container.querySelector('.vmfa-auto-organize-badge');
+
+	if (!label) {
+		if (badge) {
+			badge.remove();
+		}
+		return;
+	}
+
+	if (!badge) {
+		badge = document.createElement('span');
+		container.appendChild(badge);
+	}
+
+	badge.className = `vmfa-auto-organize-badge vmfa-auto-organize-badge-${status}`;
+	badge.textContent = label;
+}
+
+export default renderAutoOrganizeBadge;
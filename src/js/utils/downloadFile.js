@@ -0,0 +1,34 @@
+/**
+ * File download helper.
+ *
+ * @package
+ */
+
+import apiFetch from '@wordpress/api-fetch';
+
+/**
+ * Fetch a REST endpoint and save the response body as a file.
+ *
+ * Uses the filename from the Content-Disposition header when present.
+ *
+ * @param {string} path         - REST path to download.
+ * @param {string} fallbackName - Filename used when the server sends none.
+ * @return {Promise<void>} Resolves once the download has been triggered.
+ */
+export async function downloadFile(path, fallbackName) {
+	const response = await apiFetch({ path, method: 'GET', parse: false });
+	const blob = await response.blob();
+	const disposition = response.headers.get('Content-Disposition') || '';
+	const match = /filename="([^"]+)"/.exec(disposition);
+
+	const url = window.URL.createObjectURL(blob);
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = match ? match[1] : fallbackName;
+	document.body.appendChild(link);
+	link.click();
+	link.remove();
+	window.URL.revokeObjectURL(url);
+}
+
+export default downloadFile;
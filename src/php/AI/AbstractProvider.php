@@ -21,6 +21,45 @@ abstract class AbstractProvider implements ProviderInterface {
 	 */
 	protected const REQUEST_TIMEOUT = 30;
 
+	/**
+	 * Error of the last API request, or null when it succeeded.
+	 *
+	 * @var string|null
+	 */
+	private ?string $last_error = null;
+
+	/**
+	 * Whether the last API request failed in transport.
+	 *
+	 * @var bool
+	 */
+	private bool $last_error_transient = false;
+
+	/**
+	 * Get the error of the last API request.
+	 *
+	 * Analysis failures are reported as a skip with a translated reason; this
+	 * is the raw error the API returned.
+	 *
+	 * @return string|null Null when the last request succeeded.
+	 */
+	public function get_last_error(): ?string {
+		return $this->last_error;
+	}
+
+	/**
+	 * Check whether the last API request failed in transport.
+	 *
+	 * Connection failures, timeouts, rate limits (HTTP 429) and server errors
+	 * (HTTP 5xx) may pass when another provider is asked. Other errors, such
+	 * as a rejected API key, would fail again.
+	 *
+	 * @return bool
+	 */
+	public function is_last_error_transient(): bool {
+		return $this->last_error_transient;
+	}
+
 	/**
 	 * Get the request timeout in seconds.
 	 * Override in subclasses to provide a configurable timeout.
@@ -178,11 +217,17 @@ PROMPT;
 			)
 		);
 
+		$this->last_error           = null;
+		$this->last_error_transient = false;
+
 		if ( is_wp_error( $response ) ) {
+			$this->last_error           = $response->get_error_message();
+			$this->last_error_transient = true;
+
 			return array(
 				'success' => false,
 				'data'    => null,
-				'error'   => $response->get_error_message(),
+				'error'   => $this->last_error,
 			);
 		}
 
@@ -207,6 +252,9 @@ PROMPT;
 				// If JSON parsing failed, use sanitized raw body (truncated).
 				$error_message = "HTTP {$status_code}: " . substr( $body, 0, 200 );
 			}
+			$this->last_error           = $error_message;
+			$this->last_error_transient = 429 === (int) $status_code || (int) $status_code >= 500;
+
 			return array(
 				'success' => false,
 				'data'    => $data,
@@ -456,7 +504,8 @@ PROMPT;
 	 *     folder_id: int|null,
 	 *     new_folder_path: string|null,
 	 *     confidence: float,
-	 *     reason: string
+	 *     reason: string,
+	 *     visual_description?: string
 	 * }
 	 */
 	protected function parse_response( string $response, array $folder_paths ): array {
@@ -563,6 +612,30 @@ PROMPT;
 			);
 		}
 
+		$result = $this->parse_decision( $data, $folder_paths );
+
+		// Keep the provider's description of the image so reviewers can judge the suggestion.
+		if ( isset( $data[ 'visual_description' ] ) && is_string( $data[ 'visual_description' ] ) && '' !== trim( $data[ 'visual_description' ] ) ) {
+			$result[ 'visual_description' ] = sanitize_text_field( $data[ 'visual_description' ] );
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Map a decoded AI response to a folder decision.
+	 *
+	 * @param array<string, mixed> $data         Decoded AI response.
+	 * @param array<string, int>   $folder_paths Available folder paths.
+	 * @return array{
+	 *     action: string,
+	 *     folder_id: int|null,
+	 *     new_folder_path: string|null,
+	 *     confidence: float,
+	 *     reason: string
+	 * }
+	 */
+	private function parse_decision( array $data, array $folder_paths ): array {
 		// Handle the new schema format (from structured outputs).
 		// New format uses: action: existing/new/skip, folder_id, folder_path, new_folder_path.
 		if ( isset( $data[ 'action' ] ) && in_array( $data[ 'action' ], array( 'existing', 'new', 'skip' ), true ) ) {
@@ -82,6 +82,24 @@ class ProviderFactory {
 		return $providers;
 	}
 
+	/**
+	 * Get the providers whose settings are complete.
+	 *
+	 * @return array<string, string> Provider name => Display label.
+	 */
+	public static function get_configured_providers(): array {
+		$providers = array();
+
+		foreach ( self::$providers as $name => $class ) {
+			$instance = new $class();
+			if ( $instance->is_configured() ) {
+				$providers[ $name ] = $instance->get_label();
+			}
+		}
+
+		return $providers;
+	}
+
 	/**
 	 * Check if a provider exists.
 	 *
@@ -0,0 +1,268 @@
+<?php
+/**
+ * Media Library integration.
+ *
+ * @package VmfaAiOrganizer
+ */
+
+declare(strict_types=1);
+
+namespace VmfaAiOrganizer\Admin;
+
+use VmfaAiOrganizer\Services\MediaScannerService;
+
+/**
+ * Adds "Organize with AI" to the Media Library screen.
+ *
+ * The list view gets bulk actions; the grid view gets a toolbar mounted by
+ * the media-library script, which also shows scan progress in both views.
+ * Wherever the media modal loads, the attachment details get a "Suggest
+ * folder" button from the attachment-details script, and the media grid
+ * shows the auto-organize status of new uploads.
+ */
+class MediaLibrary {
+
+	/**
+	 * Bulk action that previews the selection.
+	 */
+	private const ACTION_PREVIEW = 'vmfa_ai_preview';
+
+	/**
+	 * Bulk action that organizes the selection right away.
+	 */
+	private const ACTION_ORGANIZE = 'vmfa_ai_organize';
+
+	/**
+	 * Prefix of the per-user transient holding the bulk action result.
+	 */
+	private const NOTICE_TRANSIENT_PREFIX = 'vmfa_bulk_scan_';
+
+	/**
+	 * Seconds the bulk action result is kept for the redirect.
+	 */
+	private const NOTICE_TTL = 60;
+
+	/**
+	 * Scan mode used for a selection: every selected item is analyzed.
+	 */
+	private const MODE = 'reanalyze_all';
+
+	/**
+	 * Media scanner service.
+	 *
+	 * @var MediaScannerService
+	 */
+	private MediaScannerService $scanner_service;
+
+	/**
+	 * Settings page, for linking to the scanner.
+	 *
+	 * @var SettingsPage
+	 */
+	private SettingsPage $settings_page;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param MediaScannerService $scanner_service Media scanner service.
+	 * @param SettingsPage        $settings_page   Settings page.
+	 */
+	public function __construct( MediaScannerService $scanner_service, SettingsPage $settings_page ) {
+		$this->scanner_service = $scanner_service;
+		$this->settings_page   = $settings_page;
+	}
+
+	/**
+	 * Register hooks.
+	 *
+	 * @return void
+	 */
+	public function init(): void {
+		add_filter( 'bulk_actions-upload', array( $this, 'register_bulk_actions' ) );
+		add_filter( 'handle_bulk_actions-upload', array( $this, 'handle_bulk_action' ), 10, 3 );
+		add_action( 'admin_enqueue_scripts', array( $this, 'enqueue_scripts' ) );
+		add_action( 'wp_enqueue_media', array( $this, 'enqueue_attachment_details_scripts' ) );
+		add_action( 'admin_notices', array( $this, 'show_bulk_action_notice' ) );
+	}
+
+	/**
+	 * Add the bulk actions to the list view.
+	 *
+	 * @param array<string, string> $actions Bulk actions.
+	 * @return array<string, string>
+	 */
+	public function register_bulk_actions( array $actions ): array {
+		if ( ! current_user_can( 'manage_options' ) ) {
+			return $actions;
+		}
+
+		$actions[ self::ACTION_PREVIEW ]  = __( 'Organize with AI (preview)', 'vmfa-ai-organizer' );
+		$actions[ self::ACTION_ORGANIZE ] = __( 'Organize with AI', 'vmfa-ai-organizer' );
+
+		return $actions;
+	}
+
+	/**
+	 * Start a scan of the selected attachments.
+	 *
+	 * Core has checked the bulk-media nonce before this filter runs.
+	 *
+	 * @param string     $redirect_url Redirect URL.
+	 * @param string     $action       Bulk action.
+	 * @param array<int> $post_ids     Selected attachment IDs.
+	 * @return string
+	 */
+	public function handle_bulk_action( string $redirect_url, string $action, array $post_ids ): string {
+		if ( ! in_array( $action, array( self::ACTION_PREVIEW, self::ACTION_ORGANIZE ), true ) ) {
+			return $redirect_url;
+		}
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			return $redirect_url;
+		}
+
+		$result = $this->start_scan( $post_ids, self::ACTION_PREVIEW === $action );
+
+		set_transient( self::NOTICE_TRANSIENT_PREFIX . get_current_user_id(), $result, self::NOTICE_TTL );
+
+		return add_query_arg( 'vmfa_bulk_scan', 1, $redirect_url );
+	}
+
+	/**
+	 * Start a scan of exactly the given attachments.
+	 *
+	 * @param array<int> $attachment_ids Attachment IDs.
+	 * @param bool       $dry_run        Whether to preview instead of applying.
+	 * @return array{success: bool, message: string, total?: int}
+	 */
+	private function start_scan( array $attachment_ids, bool $dry_run ): array {
+		$attachment_ids = array_values( array_filter( array_map( 'absint', $attachment_ids ) ) );
+
+		if ( empty( $attachment_ids ) ) {
+			return array(
+				'success' => false,
+				'message' => __( 'Select at least one media file to organize.', 'vmfa-ai-organizer' ),
+			);
+		}
+
+		return $this->scanner_service->start_scan(
+			self::MODE,
+			$dry_run,
+			array( 'attachment_ids' => $attachment_ids )
+		);
+	}
+
+	/**
+	 * Show the result of a bulk action.
+	 *
+	 * @return void
+	 */
+	public function show_bulk_action_notice(): void {
+		$screen = get_current_screen();
+		if ( ! $screen || 'upload' !== $screen->id ) {
+			return;
+		}
+
+		$key    = self::NOTICE_TRANSIENT_PREFIX . get_current_user_id();
+		$result = get_transient( $key );
+
+		if ( ! is_array( $result ) ) {
+			return;
+		}
+
+		delete_transient( $key );
+
+		printf(
+			'<div class="notice notice-%1$s is-dismissible"><p>%2$s</p></div>',
+			esc_attr( $result[ 'success' ] ? 'success' : 'error' ),
+			esc_html( $result[ 'message' ] )
+		);
+	}
+
+	/**
+	 * Enqueue the Media Library script on the Media Library screen.
+	 *
+	 * @param string $hook_suffix The current admin page hook suffix.
+	 * @return void
+	 */
+	public function enqueue_scripts( string $hook_suffix ): void {
+		if ( 'upload.php' !== $hook_suffix || ! current_user_can( 'manage_options' ) ) {
+			return;
+		}
+
+		$asset_file = VMFA_AI_ORGANIZER_PATH . 'build/media-library.asset.php';
+		if ( ! file_exists( $asset_file ) ) {
+			return;
+		}
+
+		$asset = require $asset_file;
+
+		wp_enqueue_script(
+			'vmfa-ai-organizer-media-library',
+			VMFA_AI_ORGANIZER_URL . 'build/media-library.js',
+			$asset[ 'dependencies' ],
+			$asset[ 'version' ],
+			true
+		);
+
+		wp_enqueue_style(
+			'vmfa-ai-organizer-media-library',
+			VMFA_AI_ORGANIZER_URL . 'build/media-library.css',
+			array( 'wp-components' ),
+			$asset[ 'version' ]
+		);
+
+		wp_localize_script(
+			'vmfa-ai-organizer-media-library',
+			'vmfaMediaLibrary',
+			array(
+				'scannerUrl' => $this->settings_page->get_scanner_url(),
+			)
+		);
+
+		wp_set_script_translations(
+			'vmfa-ai-organizer-media-library',
+			'vmfa-ai-organizer',
+			VMFA_AI_ORGANIZER_PATH . 'languages'
+		);
+	}
+
+	/**
+	 * Enqueue the attachment details script wherever the media modal loads.
+	 *
+	 * @return void
+	 */
+	public function enqueue_attachment_details_scripts(): void {
+		if ( ! current_user_can( 'manage_options' ) ) {
+			return;
+		}
+
+		$asset_file = VMFA_AI_ORGANIZER_PATH . 'build/attachment-details.asset.php';
+		if ( ! file_exists( $asset_file ) ) {
+			return;
+		}
+
+		$asset = require $asset_file;
+
+		wp_enqueue_script(
+			'vmfa-ai-organizer-attachment-details',
+			VMFA_AI_ORGANIZER_URL . 'build/attachment-details.js',
+			array_merge( $asset[ 'dependencies' ], array( 'media-views' ) ),
+			$asset[ 'version' ],
+			true
+		);
+
+		wp_enqueue_style(
+			'vmfa-ai-organizer-attachment-details',
+			VMFA_AI_ORGANIZER_URL . 'build/attachment-details.css',
+			array( 'wp-components' ),
+			$asset[ 'version' ]
+		);
+
+		wp_set_script_translations(
+			'vmfa-ai-organizer-attachment-details',
+			'vmfa-ai-organizer',
+			VMFA_AI_ORGANIZER_PATH . 'languages'
+		);
+	}
+}
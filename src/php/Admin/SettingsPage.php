@@ -38,106 +38,170 @@ class SettingsPage {
 	 * @var array<string, array{env: string, const: string, default: mixed}>
 	 */
 	private static array $config_map = array(
-		'ai_provider'       => array(
+		'ai_provider'             => array(
 			'env'     => 'VMFA_AI_PROVIDER',
 			'const'   => 'VMFA_AI_PROVIDER',
 			'default' => '',
 		),
-		'openai_type'       => array(
+		'openai_type'             => array(
 			'env'     => 'VMFA_AI_OPENAI_TYPE',
 			'const'   => 'VMFA_AI_OPENAI_TYPE',
 			'default' => 'openai',
 		),
-		'openai_key'        => array(
+		'openai_key'              => array(
 			'env'     => 'VMFA_AI_OPENAI_KEY',
 			'const'   => 'VMFA_AI_OPENAI_KEY',
 			'default' => '',
 		),
-		'openai_model'      => array(
+		'openai_model'            => array(
 			'env'     => 'VMFA_AI_OPENAI_MODEL',
 			'const'   => 'VMFA_AI_OPENAI_MODEL',
 			'default' => 'gpt-4o-mini',
 		),
-		'azure_endpoint'    => array(
+		'azure_endpoint'          => array(
 			'env'     => 'VMFA_AI_AZURE_ENDPOINT',
 			'const'   => 'VMFA_AI_AZURE_ENDPOINT',
 			'default' => '',
 		),
-		'azure_api_version' => array(
+		'azure_api_version'       => array(
 			'env'     => 'VMFA_AI_AZURE_API_VERSION',
 			'const'   => 'VMFA_AI_AZURE_API_VERSION',
 			'default' => '2024-02-15-preview',
 		),
-		'anthropic_key'     => array(
+		'anthropic_key'           => array(
 			'env'     => 'VMFA_AI_ANTHROPIC_KEY',
 			'const'   => 'VMFA_AI_ANTHROPIC_KEY',
 			'default' => '',
 		),
-		'anthropic_model'   => array(
+		'anthropic_model'         => array(
 			'env'     => 'VMFA_AI_ANTHROPIC_MODEL',
 			'const'   => 'VMFA_AI_ANTHROPIC_MODEL',
 			'default' => 'claude-3-haiku-20240307',
 		),
-		'gemini_key'        => array(
+		'gemini_key'              => array(
 			'env'     => 'VMFA_AI_GEMINI_KEY',
 			'const'   => 'VMFA_AI_GEMINI_KEY',
 			'default' => '',
 		),
-		'gemini_model'      => array(
+		'gemini_model'            => array(
 			'env'     => 'VMFA_AI_GEMINI_MODEL',
 			'const'   => 'VMFA_AI_GEMINI_MODEL',
 			'default' => 'gemini-1.5-flash',
 		),
-		'ollama_url'        => array(
+		'ollama_url'              => array(
 			'env'     => 'VMFA_AI_OLLAMA_URL',
 			'const'   => 'VMFA_AI_OLLAMA_URL',
 			'default' => 'http://localhost:11434',
 		),
-		'ollama_model'      => array(
+		'ollama_model'            => array(
 			'env'     => 'VMFA_AI_OLLAMA_MODEL',
 			'const'   => 'VMFA_AI_OLLAMA_MODEL',
 			'default' => 'llama3.2-vision:latest',
 		),
-		'ollama_timeout'    => array(
+		'ollama_timeout'          => array(
 			'env'     => 'VMFA_AI_OLLAMA_TIMEOUT',
 			'const'   => 'VMFA_AI_OLLAMA_TIMEOUT',
 			'default' => 120,
 		),
-		'grok_key'          => array(
+		'grok_key'                => array(
 			'env'     => 'VMFA_AI_GROK_KEY',
 			'const'   => 'VMFA_AI_GROK_KEY',
 			'default' => '',
 		),
-		'grok_model'        => array(
+		'grok_model'              => array(
 			'env'     => 'VMFA_AI_GROK_MODEL',
 			'const'   => 'VMFA_AI_GROK_MODEL',
 			'default' => 'grok-beta',
 		),
-		'exo_endpoint'      => array(
+		'exo_endpoint'            => array(
 			'env'     => 'VMFA_AI_EXO_ENDPOINT',
 			'const'   => 'VMFA_AI_EXO_ENDPOINT',
 			'default' => '',
 		),
-		'exo_model'         => array(
+		'exo_model'               => array(
 			'env'     => 'VMFA_AI_EXO_MODEL',
 			'const'   => 'VMFA_AI_EXO_MODEL',
 			'default' => 'llama-3.2-3b',
 		),
-		'max_folder_depth'  => array(
+		'fallback_providers'      => array(
+			'env'     => 'VMFA_AI_FALLBACK_PROVIDERS',
+			'const'   => 'VMFA_AI_FALLBACK_PROVIDERS',
+			'default' => '',
+		),
+		'max_folder_depth'        => array(
 			'env'     => 'VMFA_AI_MAX_FOLDER_DEPTH',
 			'const'   => 'VMFA_AI_MAX_FOLDER_DEPTH',
 			'default' => 3,
 		),
-		'allow_new_folders' => array(
+		'allow_new_folders'       => array(
 			'env'     => 'VMFA_AI_ALLOW_NEW_FOLDERS',
 			'const'   => 'VMFA_AI_ALLOW_NEW_FOLDERS',
 			'default' => false,
 		),
-		'batch_size'        => array(
+		'batch_size'              => array(
 			'env'     => 'VMFA_AI_BATCH_SIZE',
 			'const'   => 'VMFA_AI_BATCH_SIZE',
 			'default' => 20,
 		),
+		'backup_retention'        => array(
+			'env'     => 'VMFA_AI_BACKUP_RETENTION',
+			'const'   => 'VMFA_AI_BACKUP_RETENTION',
+			'default' => 5,
+		),
+		'auto_organize'           => array(
+			'env'     => 'VMFA_AI_AUTO_ORGANIZE',
+			'const'   => 'VMFA_AI_AUTO_ORGANIZE',
+			'default' => false,
+		),
+		'auto_organize_threshold' => array(
+			'env'     => 'VMFA_AI_AUTO_ORGANIZE_THRESHOLD',
+			'const'   => 'VMFA_AI_AUTO_ORGANIZE_THRESHOLD',
+			'default' => 80,
+		),
+		'review_threshold'        => array(
+			'env'     => 'VMFA_AI_REVIEW_THRESHOLD',
+			'const'   => 'VMFA_AI_REVIEW_THRESHOLD',
+			'default' => 0,
+		),
+		'notify_email'            => array(
+			'env'     => 'VMFA_AI_NOTIFY_EMAIL',
+			'const'   => 'VMFA_AI_NOTIFY_EMAIL',
+			'default' => false,
+		),
+		'notify_email_recipients' => array(
+			'env'     => 'VMFA_AI_NOTIFY_EMAIL_RECIPIENTS',
+			'const'   => 'VMFA_AI_NOTIFY_EMAIL_RECIPIENTS',
+			'default' => '',
+		),
+		'notify_webhook_url'      => array(
+			'env'     => 'VMFA_AI_NOTIFY_WEBHOOK_URL',
+			'const'   => 'VMFA_AI_NOTIFY_WEBHOOK_URL',
+			'default' => '',
+		),
+	);
+
+	/**
+	 * Settings edited on the AI Provider tab.
+	 */
+	private const PROVIDER_KEYS = array(
+		'ai_provider',
+		'openai_type',
+		'openai_key',
+		'openai_model',
+		'azure_endpoint',
+		'azure_api_version',
+		'anthropic_key',
+		'anthropic_model',
+		'gemini_key',
+		'gemini_model',
+		'ollama_url',
+		'ollama_model',
+		'ollama_timeout',
+		'grok_key',
+		'grok_model',
+		'exo_endpoint',
+		'exo_model',
+		'fallback_providers',
 	);
 
 	/**
@@ -163,6 +227,19 @@ class SettingsPage {
 		add_action( 'admin_notices', array( $this, 'show_admin_notices' ) );
 	}
 
+	/**
+	 * Get the URL of the media scanner screen.
+	 *
+	 * @return string
+	 */
+	public function get_scanner_url(): string {
+		if ( $this->supports_parent_tabs() ) {
+			return admin_url( 'upload.php?page=' . \VirtualMediaFolders\Settings::PAGE_SLUG . '&tab=' . self::TAB_SLUG . '&subtab=scanner' );
+		}
+
+		return admin_url( 'upload.php?page=vmfa-ai-organizer' );
+	}
+
 	/**
 	 * Check if the parent plugin supports add-on tabs.
 	 *
@@ -265,11 +342,14 @@ class SettingsPage {
 		else :
 			?>
 			<form method="post" action="options.php" id="vmfa-ai-organizer-provider">
-				<?php
-				settings_fields( self::SETTINGS_GROUP );
-				do_settings_sections( 'vmfa-ai-organizer-provider' );
-				submit_button( __( 'Save AI Settings', 'vmfa-ai-organizer' ) );
-				?>
+				<?php settings_fields( self::SETTINGS_GROUP ); ?>
+				<div id="vmfa-ai-organizer-provider-settings">
+					<!-- React component will mount here -->
+					<noscript>
+						<?php esc_html_e( 'JavaScript is required for the AI provider settings.', 'vmfa-ai-organizer' ); ?>
+					</noscript>
+				</div>
+				<?php submit_button( __( 'Save AI Settings', 'vmfa-ai-organizer' ) ); ?>
 			</form>
 			<?php
 		endif;
@@ -336,7 +416,7 @@ class SettingsPage {
 		wp_enqueue_script(
 			'vmfa-ai-organizer-admin',
 			VMFA_AI_ORGANIZER_URL . 'build/index.js',
-			$asset['dependencies'],
+			array_merge( $asset['dependencies'], array( 'heartbeat' ) ),
 			$asset['version'],
 			true
 		);
@@ -352,11 +432,12 @@ class SettingsPage {
 			'vmfa-ai-organizer-admin',
 			'vmfaAiOrganizer',
 			array(
-				'restUrl'    => rest_url( 'vmfa/v1/' ),
-				'nonce'      => wp_create_nonce( 'wp_rest' ),
-				'ajaxUrl'    => admin_url( 'admin-ajax.php' ),
-				'adminNonce' => wp_create_nonce( 'vmfa_admin_nonce' ),
-				'providers'  => ProviderFactory::get_available_providers(),
+				'restUrl'          => rest_url( 'vmfa/v1/' ),
+				'nonce'            => wp_create_nonce( 'wp_rest' ),
+				'ajaxUrl'          => admin_url( 'admin-ajax.php' ),
+				'adminNonce'       => wp_create_nonce( 'vmfa_admin_nonce' ),
+				'providers'        => ProviderFactory::get_available_providers(),
+				'providerSettings' => $this->get_provider_settings(),
 			)
 		);
 
@@ -432,243 +513,112 @@ class SettingsPage {
 			)
 		);
 
-		// AI Provider section.
+		// Organization section.
 		add_settings_section(
-			'vmfa_ai_provider_section',
-			__( 'AI Provider', 'vmfa-ai-organizer' ),
-			array( $this, 'render_provider_section' ),
-			'vmfa-ai-organizer-provider'
-		);
-
-		add_settings_field(
-			'ai_provider',
-			__( 'Provider', 'vmfa-ai-organizer' ),
-			array( $this, 'render_provider_field' ),
-			'vmfa-ai-organizer-provider',
-			'vmfa_ai_provider_section'
-		);
-
-		// OpenAI settings.
-		add_settings_field(
-			'openai_type',
-			__( 'OpenAI Type', 'vmfa-ai-organizer' ),
-			array( $this, 'render_openai_type_field' ),
-			'vmfa-ai-organizer-provider',
-			'vmfa_ai_provider_section',
-			array(
-				'provider' => 'openai',
-			)
-		);
-
-		add_settings_field(
-			'openai_key',
-			__( 'API Key', 'vmfa-ai-organizer' ),
-			array( $this, 'render_api_key_field' ),
-			'vmfa-ai-organizer-provider',
-			'vmfa_ai_provider_section',
-			array(
-				'key'      => 'openai_key',
-				'provider' => 'openai',
-			)
-		);
-
-		add_settings_field(
-			'openai_model',
-			__( 'Model / Deployment', 'vmfa-ai-organizer' ),
-			array( $this, 'render_openai_model_field' ),
-			'vmfa-ai-organizer-provider',
-			'vmfa_ai_provider_section',
-			array(
-				'key'      => 'openai_model',
-				'provider' => 'openai',
-			)
-		);
-
-		add_settings_field(
-			'azure_endpoint',
-			__( 'Azure Endpoint', 'vmfa-ai-organizer' ),
-			array( $this, 'render_azure_endpoint_field' ),
-			'vmfa-ai-organizer-provider',
-			'vmfa_ai_provider_section',
-			array(
-				'provider' => 'openai',
-			)
-		);
-
-		add_settings_field(
-			'azure_api_version',
-			__( 'Azure API Version', 'vmfa-ai-organizer' ),
-			array( $this, 'render_azure_api_version_field' ),
-			'vmfa-ai-organizer-provider',
-			'vmfa_ai_provider_section',
-			array(
-				'provider' => 'openai',
-			)
-		);
-
-		// Anthropic settings.
-		add_settings_field(
-			'anthropic_key',
-			__( 'Anthropic API Key', 'vmfa-ai-organizer' ),
-			array( $this, 'render_api_key_field' ),
-			'vmfa-ai-organizer-provider',
-			'vmfa_ai_provider_section',
-			array(
-				'key'      => 'anthropic_key',
-				'provider' => 'anthropic',
-			)
-		);
-
-		add_settings_field(
-			'anthropic_model',
-			__( 'Anthropic Model', 'vmfa-ai-organizer' ),
-			array( $this, 'render_model_field' ),
-			'vmfa-ai-organizer-provider',
-			'vmfa_ai_provider_section',
-			array(
-				'key'      => 'anthropic_model',
-				'provider' => 'anthropic',
-			)
-		);
-
-		// Gemini settings.
-		add_settings_field(
-			'gemini_key',
-			__( 'Gemini API Key', 'vmfa-ai-organizer' ),
-			array( $this, 'render_api_key_field' ),
-			'vmfa-ai-organizer-provider',
-			'vmfa_ai_provider_section',
-			array(
-				'key'      => 'gemini_key',
-				'provider' => 'gemini',
-			)
-		);
-
-		add_settings_field(
-			'gemini_model',
-			__( 'Gemini Model', 'vmfa-ai-organizer' ),
-			array( $this, 'render_model_field' ),
-			'vmfa-ai-organizer-provider',
-			'vmfa_ai_provider_section',
-			array(
-				'key'      => 'gemini_model',
-				'provider' => 'gemini',
-			)
+			'vmfa_organization_section',
+			__( 'Organization Settings', 'vmfa-ai-organizer' ),
+			array( $this, 'render_organization_section' ),
+			'vmfa-ai-organizer-settings'
 		);
 
-		// Ollama settings.
 		add_settings_field(
-			'ollama_url',
-			__( 'Ollama URL', 'vmfa-ai-organizer' ),
-			array( $this, 'render_url_field' ),
-			'vmfa-ai-organizer-provider',
-			'vmfa_ai_provider_section',
-			array(
-				'key'      => 'ollama_url',
-				'provider' => 'ollama',
-			)
+			'max_folder_depth',
+			__( 'Maximum Folder Depth', 'vmfa-ai-organizer' ),
+			array( $this, 'render_depth_field' ),
+			'vmfa-ai-organizer-settings',
+			'vmfa_organization_section'
 		);
 
 		add_settings_field(
-			'ollama_model',
-			__( 'Ollama Model', 'vmfa-ai-organizer' ),
-			array( $this, 'render_ollama_model_field' ),
-			'vmfa-ai-organizer-provider',
-			'vmfa_ai_provider_section',
+			'allow_new_folders',
+			__( 'Allow New Folders', 'vmfa-ai-organizer' ),
+			array( $this, 'render_checkbox_field' ),
+			'vmfa-ai-organizer-settings',
+			'vmfa_organization_section',
 			array(
-				'key'      => 'ollama_model',
-				'provider' => 'ollama',
+				'key'         => 'allow_new_folders',
+				'description' => __( 'Allow AI to suggest creating new folders when no suitable existing folder is found.', 'vmfa-ai-organizer' ),
 			)
 		);
 
 		add_settings_field(
-			'ollama_timeout',
-			__( 'Ollama Timeout', 'vmfa-ai-organizer' ),
-			array( $this, 'render_ollama_timeout_field' ),
-			'vmfa-ai-organizer-provider',
-			'vmfa_ai_provider_section',
-			array(
-				'key'      => 'ollama_timeout',
-				'provider' => 'ollama',
-			)
+			'batch_size',
+			__( 'Batch Size', 'vmfa-ai-organizer' ),
+			array( $this, 'render_batch_size_field' ),
+			'vmfa-ai-organizer-settings',
+			'vmfa_organization_section'
 		);
 
-		// Grok settings.
 		add_settings_field(
-			'grok_key',
-			__( 'Grok API Key', 'vmfa-ai-organizer' ),
-			array( $this, 'render_api_key_field' ),
-			'vmfa-ai-organizer-provider',
-			'vmfa_ai_provider_section',
-			array(
-				'key'      => 'grok_key',
-				'provider' => 'grok',
-			)
+			'backup_retention',
+			__( 'Backup Snapshots', 'vmfa-ai-organizer' ),
+			array( $this, 'render_backup_retention_field' ),
+			'vmfa-ai-organizer-settings',
+			'vmfa_organization_section'
 		);
 
 		add_settings_field(
-			'grok_model',
-			__( 'Grok Model', 'vmfa-ai-organizer' ),
-			array( $this, 'render_model_field' ),
-			'vmfa-ai-organizer-provider',
-			'vmfa_ai_provider_section',
+			'auto_organize',
+			__( 'Organize New Uploads', 'vmfa-ai-organizer' ),
+			array( $this, 'render_checkbox_field' ),
+			'vmfa-ai-organizer-settings',
+			'vmfa_organization_section',
 			array(
-				'key'      => 'grok_model',
-				'provider' => 'grok',
+				'key'         => 'auto_organize',
+				'description' => __( 'Analyze each new upload in the background and move it into a folder.', 'vmfa-ai-organizer' ),
 			)
 		);
 
-		// Exo settings.
 		add_settings_field(
-			'exo_endpoint',
-			__( 'Exo Endpoint', 'vmfa-ai-organizer' ),
-			array( $this, 'render_exo_endpoint_field' ),
-			'vmfa-ai-organizer-provider',
-			'vmfa_ai_provider_section'
+			'auto_organize_threshold',
+			__( 'Auto-Apply Confidence', 'vmfa-ai-organizer' ),
+			array( $this, 'render_auto_organize_threshold_field' ),
+			'vmfa-ai-organizer-settings',
+			'vmfa_organization_section'
 		);
 
 		add_settings_field(
-			'exo_model',
-			__( 'Exo Model', 'vmfa-ai-organizer' ),
-			array( $this, 'render_exo_model_field' ),
-			'vmfa-ai-organizer-provider',
-			'vmfa_ai_provider_section'
+			'review_threshold',
+			__( 'Review Below Confidence', 'vmfa-ai-organizer' ),
+			array( $this, 'render_review_threshold_field' ),
+			'vmfa-ai-organizer-settings',
+			'vmfa_organization_section'
 		);
 
-		// Organization section.
+		// Notification section.
 		add_settings_section(
-			'vmfa_organization_section',
-			__( 'Organization Settings', 'vmfa-ai-organizer' ),
-			array( $this, 'render_organization_section' ),
+			'vmfa_notification_section',
+			__( 'Notifications', 'vmfa-ai-organizer' ),
+			array( $this, 'render_notification_section' ),
 			'vmfa-ai-organizer-settings'
 		);
 
 		add_settings_field(
-			'max_folder_depth',
-			__( 'Maximum Folder Depth', 'vmfa-ai-organizer' ),
-			array( $this, 'render_depth_field' ),
+			'notify_email',
+			__( 'Email Summary', 'vmfa-ai-organizer' ),
+			array( $this, 'render_checkbox_field' ),
 			'vmfa-ai-organizer-settings',
-			'vmfa_organization_section'
+			'vmfa_notification_section',
+			array(
+				'key'         => 'notify_email',
+				'description' => __( 'Email a summary when a scan finishes or fails.', 'vmfa-ai-organizer' ),
+			)
 		);
 
 		add_settings_field(
-			'allow_new_folders',
-			__( 'Allow New Folders', 'vmfa-ai-organizer' ),
-			array( $this, 'render_checkbox_field' ),
+			'notify_email_recipients',
+			__( 'Email Recipients', 'vmfa-ai-organizer' ),
+			array( $this, 'render_notify_email_recipients_field' ),
 			'vmfa-ai-organizer-settings',
-			'vmfa_organization_section',
-			array(
-				'key'         => 'allow_new_folders',
-				'description' => __( 'Allow AI to suggest creating new folders when no suitable existing folder is found.', 'vmfa-ai-organizer' ),
-			)
+			'vmfa_notification_section'
 		);
 
 		add_settings_field(
-			'batch_size',
-			__( 'Batch Size', 'vmfa-ai-organizer' ),
-			array( $this, 'render_batch_size_field' ),
+			'notify_webhook_url',
+			__( 'Webhook URL', 'vmfa-ai-organizer' ),
+			array( $this, 'render_notify_webhook_url_field' ),
 			'vmfa-ai-organizer-settings',
-			'vmfa_organization_section'
+			'vmfa_notification_section'
 		);
 	}
 
@@ -683,19 +633,6 @@ class SettingsPage {
 		return $tabs;
 	}
 
-	/**
-	 * Render provider section description.
-	 *
-	 * @return void
-	 */
-	public function render_provider_section(): void {
-		?>
-		<p class="description">
-			<?php esc_html_e( 'Configure the AI provider to use for analyzing and organizing media files.', 'vmfa-ai-organizer' ); ?>
-		</p>
-		<?php
-	}
-
 	/**
 	 * Render organization section description.
 	 *
@@ -710,490 +647,16 @@ class SettingsPage {
 	}
 
 	/**
-	 * Render provider selection field.
+	 * Render notification section description.
 	 *
 	 * @return void
 	 */
-	public function render_provider_field(): void {
-		$settings   = $this->get_settings();
-		$value      = $settings['ai_provider'];
-		$providers  = ProviderFactory::get_available_providers();
-		$is_locked  = $this->is_setting_locked( 'ai_provider' );
-
-		?>
-		<select 
-			name="<?php echo esc_attr( self::OPTION_NAME ); ?>[ai_provider]" 
-			id="vmfa_ai_provider"
-			<?php disabled( $is_locked ); ?>
-		>
-			<?php foreach ( $providers as $key => $label ) : ?>
-				<option value="<?php echo esc_attr( $key ); ?>" <?php selected( $value, $key ); ?>>
-					<?php echo esc_html( $label ); ?>
-				</option>
-			<?php endforeach; ?>
-		</select>
-		<?php
-		$this->render_locked_badge( 'ai_provider' );
-	}
-
-	/**
-	 * Render API key field.
-	 *
-	 * @param array{key: string, provider: string} $args Field arguments.
-	 * @return void
-	 */
-	public function render_api_key_field( array $args ): void {
-		$key       = $args['key'];
-		$provider  = $args['provider'];
-		$settings  = $this->get_settings();
-		$value     = $settings[ $key ] ?? '';
-		$is_locked = $this->is_setting_locked( $key );
-
-		?>
-		<input 
-			type="password" 
-			name="<?php echo esc_attr( self::OPTION_NAME ); ?>[<?php echo esc_attr( $key ); ?>]"
-			id="vmfa_<?php echo esc_attr( $key ); ?>"
-			value="<?php echo esc_attr( $value ); ?>"
-			class="regular-text vmfa-provider-field"
-			data-provider="<?php echo esc_attr( $provider ); ?>"
-			autocomplete="off"
-			<?php disabled( $is_locked ); ?>
-		>
-		<?php
-		$this->render_locked_badge( $key );
-	}
-
-	/**
-	 * Render OpenAI model/deployment field as text input.
-	 *
-	 * @param array{key: string, provider: string} $args Field arguments.
-	 * @return void
-	 */
-	public function render_openai_model_field( array $args ): void {
-		$key       = $args['key'];
-		$provider  = $args['provider'];
-		$settings  = $this->get_settings();
-		$value     = $settings[ $key ] ?? 'gpt-4o-mini';
-		$type      = $settings['openai_type'] ?? 'openai';
-		$is_locked = $this->is_setting_locked( $key );
-
-		// For Azure OpenAI: the "model" is actually the deployment name.
-		// Azure doesn't support listing deployments via API key auth, so we use a text input.
-
+	public function render_notification_section(): void {
 		?>
-		<input 
-			type="text" 
-			name="<?php echo esc_attr( self::OPTION_NAME ); ?>[<?php echo esc_attr( $key ); ?>]"
-			id="vmfa_<?php echo esc_attr( $key ); ?>"
-			value="<?php echo esc_attr( $value ); ?>"
-			class="regular-text vmfa-provider-field"
-			data-provider="<?php echo esc_attr( $provider ); ?>"
-			placeholder="<?php echo esc_attr( 'azure' === $type ? 'your-deployment-name' : 'gpt-4o-mini' ); ?>"
-			<?php disabled( $is_locked ); ?>
-		>
 		<p class="description">
-			<?php if ( 'azure' === $type ) : ?>
-				<?php esc_html_e( 'Enter your Azure OpenAI deployment name (found in Azure Portal → Your Resource → Deployments).', 'vmfa-ai-organizer' ); ?>
-			<?php else : ?>
-				<?php esc_html_e( 'OpenAI model name (e.g., gpt-4o-mini, gpt-4o).', 'vmfa-ai-organizer' ); ?>
-			<?php endif; ?>
+			<?php esc_html_e( 'Get told when a long scan finishes or fails.', 'vmfa-ai-organizer' ); ?>
 		</p>
 		<?php
-		$this->render_locked_badge( $key );
-	}
-
-	/**
-	 * Render Azure OpenAI deployments helper script (deprecated - Azure doesn't support listing via API key).
-	 *
-	 * @return void
-	 */
-	private function render_azure_deployments_script(): void {
-		// Azure Resource Manager requires Azure AD auth to list deployments.
-		// The data plane API doesn't support listing deployments with just an API key.
-		// This function is kept for backwards compatibility but no longer renders anything.
-	}
-
-	/**
-	 * Render model selection field.
-	 *
-	 * @param array{key: string, provider: string} $args Field arguments.
-	 * @return void
-	 */
-	public function render_model_field( array $args ): void {
-		$key       = $args['key'];
-		$provider  = $args['provider'];
-		$settings  = $this->get_settings();
-		$value     = $settings[ $key ] ?? '';
-		$is_locked = $this->is_setting_locked( $key );
-
-		$provider_instance = ProviderFactory::get_provider( $provider );
-		$models            = $provider_instance->get_available_models();
-
-		?>
-		<select 
-			name="<?php echo esc_attr( self::OPTION_NAME ); ?>[<?php echo esc_attr( $key ); ?>]"
-			id="vmfa_<?php echo esc_attr( $key ); ?>"
-			class="vmfa-provider-field"
-			data-provider="<?php echo esc_attr( $provider ); ?>"
-			<?php disabled( $is_locked ); ?>
-		>
-			<?php foreach ( $models as $model_key => $label ) : ?>
-				<option value="<?php echo esc_attr( $model_key ); ?>" <?php selected( $value, $model_key ); ?>>
-					<?php echo esc_html( $label ); ?>
-				</option>
-			<?php endforeach; ?>
-		</select>
-		<?php
-		$this->render_locked_badge( $key );
-	}
-
-	/**
-	 * Render URL field.
-	 *
-	 * @param array{key: string, provider: string} $args Field arguments.
-	 * @return void
-	 */
-	public function render_url_field( array $args ): void {
-		$key       = $args['key'];
-		$provider  = $args['provider'];
-		$settings  = $this->get_settings();
-		$value     = $settings[ $key ] ?? '';
-		$is_locked = $this->is_setting_locked( $key );
-
-		?>
-		<input 
-			type="url" 
-			name="<?php echo esc_attr( self::OPTION_NAME ); ?>[<?php echo esc_attr( $key ); ?>]"
-			id="vmfa_<?php echo esc_attr( $key ); ?>"
-			value="<?php echo esc_url( $value ); ?>"
-			class="regular-text vmfa-provider-field"
-			data-provider="<?php echo esc_attr( $provider ); ?>"
-			placeholder="http://localhost:11434"
-			<?php disabled( $is_locked ); ?>
-		>
-		<?php
-		$this->render_locked_badge( $key );
-	}
-
-	/**
-	 * Render Exo endpoint field with health check button.
-	 *
-	 * @return void
-	 */
-	public function render_exo_endpoint_field(): void {
-		$settings  = $this->get_settings();
-		$value     = $settings['exo_endpoint'] ?? '';
-		$is_locked = $this->is_setting_locked( 'exo_endpoint' );
-
-		?>
-		<div style="display: flex; align-items: center; gap: 8px;">
-			<input 
-				type="url" 
-				name="<?php echo esc_attr( self::OPTION_NAME ); ?>[exo_endpoint]"
-				id="vmfa_exo_endpoint"
-				value="<?php echo esc_url( $value ); ?>"
-				class="regular-text vmfa-provider-field"
-				data-provider="exo"
-				placeholder="http://localhost:52415"
-				<?php disabled( $is_locked ); ?>
-			>
-			<span id="vmfa-exo-health-indicator" style="font-size: 18px;"
-				title="<?php esc_attr_e( 'Connection status', 'vmfa-ai-organizer' ); ?>"></span>
-			<button type="button" id="vmfa-exo-check-connection" class="button button-secondary">
-				<?php esc_html_e( 'Check Connection', 'vmfa-ai-organizer' ); ?>
-			</button>
-		</div>
-		<?php $this->render_locked_badge( 'exo_endpoint' ); ?>
-		<p class="description">
-			<?php esc_html_e( 'Your Exo cluster endpoint URL (e.g., http://localhost:52415). Exo is a distributed local LLM cluster.', 'vmfa-ai-organizer' ); ?>
-		</p>
-		<?php
-	}
-
-	/**
-	 * Render Exo model field with dynamic model refresh.
-	 *
-	 * @return void
-	 */
-	public function render_exo_model_field(): void {
-		$settings  = $this->get_settings();
-		$value     = $settings['exo_model'] ?? '';
-		$is_locked = $this->is_setting_locked( 'exo_model' );
-
-		?>
-		<select 
-			name="<?php echo esc_attr( self::OPTION_NAME ); ?>[exo_model]"
-			id="vmfa_exo_model"
-			class="vmfa-provider-field"
-			data-provider="exo"
-			<?php disabled( $is_locked ); ?>
-		>
-			<?php if ( ! empty( $value ) ) : ?>
-				<option value="<?php echo esc_attr( $value ); ?>" selected><?php echo esc_html( $value ); ?></option>
-			<?php else : ?>
-				<option value=""><?php esc_html_e( '— Select a model —', 'vmfa-ai-organizer' ); ?></option>
-			<?php endif; ?>
-		</select>
-		<button type="button" id="vmfa-exo-refresh-models" class="button button-secondary" style="margin-left: 4px;">
-			<?php esc_html_e( 'Refresh Models', 'vmfa-ai-organizer' ); ?>
-		</button>
-		<?php if ( $is_locked ) : ?>
-			<input type="hidden" name="<?php echo esc_attr( self::OPTION_NAME ); ?>[exo_model]"
-				value="<?php echo esc_attr( $value ); ?>" />
-		<?php endif; ?>
-		<?php $this->render_locked_badge( 'exo_model' ); ?>
-		<p class="description">
-			<?php esc_html_e( 'Select a model from your running Exo cluster. Click "Refresh Models" after entering the endpoint.', 'vmfa-ai-organizer' ); ?>
-		</p>
-		<?php
-		$this->render_exo_scripts();
-	}
-
-	/**
-	 * Render Ollama model field with dynamic model refresh.
-	 *
-	 * @return void
-	 */
-	public function render_ollama_model_field(): void {
-		$settings  = $this->get_settings();
-		$value     = $settings['ollama_model'] ?? '';
-		$is_locked = $this->is_setting_locked( 'ollama_model' );
-
-		?>
-		<select 
-			name="<?php echo esc_attr( self::OPTION_NAME ); ?>[ollama_model]"
-			id="vmfa_ollama_model"
-			class="vmfa-provider-field"
-			data-provider="ollama"
-			<?php disabled( $is_locked ); ?>
-		>
-			<?php if ( ! empty( $value ) ) : ?>
-				<option value="<?php echo esc_attr( $value ); ?>" selected><?php echo esc_html( $value ); ?></option>
-			<?php else : ?>
-				<option value=""><?php esc_html_e( '— Select a model —', 'vmfa-ai-organizer' ); ?></option>
-			<?php endif; ?>
-		</select>
-		<button type="button" id="vmfa-ollama-refresh-models" class="button button-secondary" style="margin-left: 4px;">
-			<?php esc_html_e( 'Refresh Models', 'vmfa-ai-organizer' ); ?>
-		</button>
-		<?php if ( $is_locked ) : ?>
-			<input type="hidden" name="<?php echo esc_attr( self::OPTION_NAME ); ?>[ollama_model]"
-				value="<?php echo esc_attr( $value ); ?>" />
-		<?php endif; ?>
-		<?php $this->render_locked_badge( 'ollama_model' ); ?>
-		<p class="description">
-			<?php esc_html_e( 'Select a model from your local Ollama instance. Click "Refresh Models" after entering the Ollama URL.', 'vmfa-ai-organizer' ); ?>
-		</p>
-		<?php
-		$this->render_ollama_scripts();
-	}
-
-	/**
-	 * Render Ollama-specific JavaScript for model refresh.
-	 *
-	 * @return void
-	 */
-	private function render_ollama_scripts(): void {
-		?>
-		<script>
-			(function() {
-				const ollamaUrlField = document.getElementById('vmfa_ollama_url');
-				const ollamaModelField = document.getElementById('vmfa_ollama_model');
-				const ollamaRefreshBtn = document.getElementById('vmfa-ollama-refresh-models');
-
-				async function refreshOllamaModels() {
-					const endpoint = ollamaUrlField ? ollamaUrlField.value.trim() : '';
-					if (!endpoint) {
-						alert('<?php echo esc_js( __( 'Please enter the Ollama URL first.', 'vmfa-ai-organizer' ) ); ?>');
-						return;
-					}
-
-					if (ollamaRefreshBtn) ollamaRefreshBtn.disabled = true;
-
-					try {
-						const response = await fetch('<?php echo esc_url( rest_url( 'vmfa/v1/ollama-models' ) ); ?>', {
-							method: 'POST',
-							headers: {
-								'Content-Type': 'application/json',
-								'X-WP-Nonce': '<?php echo esc_js( wp_create_nonce( 'wp_rest' ) ); ?>'
-							},
-							body: JSON.stringify({ endpoint: endpoint })
-						});
-						const data = await response.json();
-
-						if (data.models && Array.isArray(data.models) && ollamaModelField) {
-							const currentValue = ollamaModelField.value;
-							ollamaModelField.innerHTML = '';
-
-							if (data.models.length === 0) {
-								const opt = document.createElement('option');
-								opt.value = '';
-								opt.textContent = '<?php echo esc_js( __( '— No models available —', 'vmfa-ai-organizer' ) ); ?>';
-								ollamaModelField.appendChild(opt);
-							} else {
-								data.models.forEach(model => {
-									const opt = document.createElement('option');
-									opt.value = model.id || model;
-									opt.textContent = model.name || model.id || model;
-									if (opt.value === currentValue) opt.selected = true;
-									ollamaModelField.appendChild(opt);
-								});
-							}
-						} else if (data.error) {
-							alert('<?php echo esc_js( __( 'Failed to fetch models:', 'vmfa-ai-organizer' ) ); ?> ' + data.error);
-						}
-					} catch (e) {
-						alert('<?php echo esc_js( __( 'Failed to fetch models:', 'vmfa-ai-organizer' ) ); ?> ' + e.message);
-					} finally {
-						if (ollamaRefreshBtn) ollamaRefreshBtn.disabled = false;
-					}
-				}
-
-				if (ollamaRefreshBtn) {
-					ollamaRefreshBtn.addEventListener('click', refreshOllamaModels);
-				}
-			})();
-		</script>
-		<?php
-	}
-
-	/**
-	 * Render Ollama timeout field.
-	 *
-	 * @return void
-	 */
-	public function render_ollama_timeout_field(): void {
-		$settings  = $this->get_settings();
-		$value     = $settings['ollama_timeout'] ?? 120;
-		$is_locked = $this->is_setting_locked( 'ollama_timeout' );
-
-		?>
-		<input 
-			type="number" 
-			name="<?php echo esc_attr( self::OPTION_NAME ); ?>[ollama_timeout]"
-			id="vmfa_ollama_timeout"
-			value="<?php echo esc_attr( (string) $value ); ?>"
-			class="small-text vmfa-provider-field"
-			data-provider="ollama"
-			min="10"
-			max="600"
-			step="10"
-			<?php disabled( $is_locked ); ?>
-		>
-		<span class="description"><?php esc_html_e( 'seconds', 'vmfa-ai-organizer' ); ?></span>
-		<p class="description">
-			<?php esc_html_e( 'Request timeout for Ollama. Increase for larger models or slower hardware (default: 120).', 'vmfa-ai-organizer' ); ?>
-		</p>
-		<?php
-		$this->render_locked_badge( 'ollama_timeout' );
-	}
-
-	/**
-	 * Render Exo-specific JavaScript for health check and model refresh.
-	 *
-	 * @return void
-	 */
-	private function render_exo_scripts(): void {
-		?>
-		<script>
-			(function() {
-				const exoEndpointField = document.getElementById('vmfa_exo_endpoint');
-				const exoModelField = document.getElementById('vmfa_exo_model');
-				const exoHealthIndicator = document.getElementById('vmfa-exo-health-indicator');
-				const exoCheckBtn = document.getElementById('vmfa-exo-check-connection');
-				const exoRefreshBtn = document.getElementById('vmfa-exo-refresh-models');
-
-				async function checkExoHealth() {
-					const endpoint = exoEndpointField ? exoEndpointField.value.trim() : '';
-					if (!endpoint) {
-						if (exoHealthIndicator) exoHealthIndicator.textContent = '';
-						return;
-					}
-
-					if (exoHealthIndicator) exoHealthIndicator.textContent = '⏳';
-
-					try {
-						const response = await fetch('<?php echo esc_url( rest_url( 'vmfa/v1/exo-health' ) ); ?>', {
-							method: 'POST',
-							headers: {
-								'Content-Type': 'application/json',
-								'X-WP-Nonce': '<?php echo esc_js( wp_create_nonce( 'wp_rest' ) ); ?>'
-							},
-							body: JSON.stringify({ endpoint: endpoint })
-						});
-						const data = await response.json();
-						if (exoHealthIndicator) {
-							exoHealthIndicator.textContent = data.status === 'ok' ? '✅' : '❌';
-							exoHealthIndicator.title = data.status === 'ok' ? 'Connected' : (data.message || 'Connection failed');
-						}
-					} catch (e) {
-						if (exoHealthIndicator) {
-							exoHealthIndicator.textContent = '❌';
-							exoHealthIndicator.title = 'Connection failed: ' + e.message;
-						}
-					}
-				}
-
-				async function refreshExoModels() {
-					const endpoint = exoEndpointField ? exoEndpointField.value.trim() : '';
-					if (!endpoint) {
-						alert('<?php echo esc_js( __( 'Please enter the Exo endpoint first.', 'vmfa-ai-organizer' ) ); ?>');
-						return;
-					}
-
-					if (exoRefreshBtn) exoRefreshBtn.disabled = true;
-
-					try {
-						const response = await fetch('<?php echo esc_url( rest_url( 'vmfa/v1/exo-models' ) ); ?>', {
-							method: 'POST',
-							headers: {
-								'Content-Type': 'application/json',
-								'X-WP-Nonce': '<?php echo esc_js( wp_create_nonce( 'wp_rest' ) ); ?>'
-							},
-							body: JSON.stringify({ endpoint: endpoint })
-						});
-						const data = await response.json();
-
-						if (data.models && Array.isArray(data.models) && exoModelField) {
-							const currentValue = exoModelField.value;
-							exoModelField.innerHTML = '';
-
-							if (data.models.length === 0) {
-								const opt = document.createElement('option');
-								opt.value = '';
-								opt.textContent = '<?php echo esc_js( __( '— No models available —', 'vmfa-ai-organizer' ) ); ?>';
-								exoModelField.appendChild(opt);
-							} else {
-								data.models.forEach(model => {
-									const opt = document.createElement('option');
-									opt.value = model.id || model;
-									opt.textContent = model.name || model.id || model;
-									if (opt.value === currentValue) opt.selected = true;
-									exoModelField.appendChild(opt);
-								});
-							}
-
-							checkExoHealth();
-						} else if (data.error) {
-							alert('<?php echo esc_js( __( 'Failed to fetch models:', 'vmfa-ai-organizer' ) ); ?> ' + data.error);
-						}
-					} catch (e) {
-						alert('<?php echo esc_js( __( 'Failed to fetch models:', 'vmfa-ai-organizer' ) ); ?> ' + e.message);
-					} finally {
-						if (exoRefreshBtn) exoRefreshBtn.disabled = false;
-					}
-				}
-
-				if (exoCheckBtn) {
-					exoCheckBtn.addEventListener('click', checkExoHealth);
-				}
-				if (exoRefreshBtn) {
-					exoRefreshBtn.addEventListener('click', refreshExoModels);
-				}
-			})();
-		</script>
-		<?php
 	}
 
 	/**
@@ -1285,91 +748,179 @@ class SettingsPage {
 	}
 
 	/**
-	 * Render OpenAI type selection field.
+	 * Render backup retention field.
 	 *
 	 * @return void
 	 */
-	public function render_openai_type_field(): void {
+	public function render_backup_retention_field(): void {
 		$settings  = $this->get_settings();
-		$value     = $settings['openai_type'] ?? 'openai';
-		$is_locked = $this->is_setting_locked( 'openai_type' );
+		$value     = (int) ( $settings['backup_retention'] ?? 5 );
+		$is_locked = $this->is_setting_locked( 'backup_retention' );
 
 		?>
-		<select 
-			name="<?php echo esc_attr( self::OPTION_NAME ); ?>[openai_type]"
-			id="vmfa_openai_type"
-			class="vmfa-provider-field vmfa-openai-type-selector"
-			data-provider="openai"
+		<input 
+			type="number" 
+			name="<?php echo esc_attr( self::OPTION_NAME ); ?>[backup_retention]"
+			id="vmfa_backup_retention"
+			value="<?php echo esc_attr( (string) $value ); ?>"
+			min="1"
+			max="50"
+			class="small-text"
 			<?php disabled( $is_locked ); ?>
 		>
-			<option value="openai" <?php selected( $value, 'openai' ); ?>>
-				<?php esc_html_e( 'OpenAI', 'vmfa-ai-organizer' ); ?>
-			</option>
-			<option value="azure" <?php selected( $value, 'azure' ); ?>>
-				<?php esc_html_e( 'Azure OpenAI', 'vmfa-ai-organizer' ); ?>
-			</option>
-		</select>
 		<p class="description">
-			<?php esc_html_e( 'Select OpenAI or Azure OpenAI as your provider.', 'vmfa-ai-organizer' ); ?>
+			<?php esc_html_e( 'Number of backup snapshots to keep (1-50). The oldest snapshot is removed when a new one is created.', 'vmfa-ai-organizer' ); ?>
 		</p>
 		<?php
-		$this->render_locked_badge( 'openai_type' );
+		$this->render_locked_badge( 'backup_retention' );
 	}
 
 	/**
-	 * Render Azure endpoint field.
+	 * Render auto-organize confidence threshold field.
 	 *
 	 * @return void
 	 */
-	public function render_azure_endpoint_field(): void {
+	public function render_auto_organize_threshold_field(): void {
 		$settings  = $this->get_settings();
-		$value     = $settings['azure_endpoint'] ?? '';
-		$is_locked = $this->is_setting_locked( 'azure_endpoint' );
+		$value     = (int) ( $settings['auto_organize_threshold'] ?? 80 );
+		$is_locked = $this->is_setting_locked( 'auto_organize_threshold' );
 
 		?>
 		<input 
-			type="url" 
-			name="<?php echo esc_attr( self::OPTION_NAME ); ?>[azure_endpoint]"
-			id="vmfa_azure_endpoint"
-			value="<?php echo esc_url( $value ); ?>"
-			class="regular-text vmfa-provider-field vmfa-azure-field"
-			data-provider="openai"
-			placeholder="https://your-resource.openai.azure.com"
+			type="number" 
+			name="<?php echo esc_attr( self::OPTION_NAME ); ?>[auto_organize_threshold]"
+			id="vmfa_auto_organize_threshold"
+			value="<?php echo esc_attr( (string) $value ); ?>"
+			min="0"
+			max="100"
+			class="small-text"
 			<?php disabled( $is_locked ); ?>
-		>
+		> %
+		<p class="description">
+			<?php esc_html_e( 'New uploads are moved automatically when the AI is at least this confident (0-100). Less confident suggestions are held for review.', 'vmfa-ai-organizer' ); ?>
+		</p>
+		<?php
+		$this->render_locked_badge( 'auto_organize_threshold' );
+	}
+
+	/**
+	 * Render review threshold field.
+	 *
+	 * @return void
+	 */
+	public function render_review_threshold_field(): void {
+		$settings  = $this->get_settings();
+		$value     = (int) ( $settings['review_threshold'] ?? 0 );
+		$is_locked = $this->is_setting_locked( 'review_threshold' );
+
+		?>
+		<input 
+			type="number" 
+			name="<?php echo esc_attr( self::OPTION_NAME ); ?>[review_threshold]"
+			id="vmfa_review_threshold"
+			value="<?php echo esc_attr( (string) $value ); ?>"
+			min="0"
+			max="100"
+			class="small-text"
+			<?php disabled( $is_locked ); ?>
+		> %
 		<p class="description">
-			<?php esc_html_e( 'Your Azure OpenAI resource endpoint URL.', 'vmfa-ai-organizer' ); ?>
+			<?php esc_html_e( 'Scans that apply changes hold suggestions below this confidence (0-100) for review instead of applying them. 0 applies every suggestion.', 'vmfa-ai-organizer' ); ?>
 		</p>
 		<?php
-		$this->render_locked_badge( 'azure_endpoint' );
+		$this->render_locked_badge( 'review_threshold' );
 	}
 
 	/**
-	 * Render Azure API version field.
+	 * Render notification email recipients field.
 	 *
 	 * @return void
 	 */
-	public function render_azure_api_version_field(): void {
+	public function render_notify_email_recipients_field(): void {
 		$settings  = $this->get_settings();
-		$value     = $settings['azure_api_version'] ?? '2024-02-15-preview';
-		$is_locked = $this->is_setting_locked( 'azure_api_version' );
+		$value     = (string) ( $settings['notify_email_recipients'] ?? '' );
+		$is_locked = $this->is_setting_locked( 'notify_email_recipients' );
 
 		?>
 		<input 
 			type="text" 
-			name="<?php echo esc_attr( self::OPTION_NAME ); ?>[azure_api_version]"
-			id="vmfa_azure_api_version"
+			name="<?php echo esc_attr( self::OPTION_NAME ); ?>[notify_email_recipients]"
+			id="vmfa_notify_email_recipients"
 			value="<?php echo esc_attr( $value ); ?>"
-			class="regular-text vmfa-provider-field vmfa-azure-field"
-			data-provider="openai"
-			placeholder="2024-02-15-preview"
+			class="regular-text"
+			placeholder="<?php echo esc_attr( (string) get_option( 'admin_email' ) ); ?>"
+			<?php disabled( $is_locked ); ?>
+		>
+		<p class="description">
+			<?php esc_html_e( 'Comma-separated email addresses. Leave empty to use the site admin email.', 'vmfa-ai-organizer' ); ?>
+		</p>
+		<?php
+		$this->render_locked_badge( 'notify_email_recipients' );
+	}
+
+	/**
+	 * Render notification webhook URL field.
+	 *
+	 * @return void
+	 */
+	public function render_notify_webhook_url_field(): void {
+		$settings  = $this->get_settings();
+		$value     = (string) ( $settings['notify_webhook_url'] ?? '' );
+		$is_locked = $this->is_setting_locked( 'notify_webhook_url' );
+
+		?>
+		<input 
+			type="url" 
+			name="<?php echo esc_attr( self::OPTION_NAME ); ?>[notify_webhook_url]"
+			id="vmfa_notify_webhook_url"
+			value="<?php echo esc_url( $value ); ?>"
+			class="regular-text"
+			placeholder="https://example.com/hooks/media-scan"
 			<?php disabled( $is_locked ); ?>
 		>
 		<p class="description">
-			<?php esc_html_e( 'Azure OpenAI API version (e.g., 2024-02-15-preview).', 'vmfa-ai-organizer' ); ?>
+			<?php esc_html_e( 'When set, a JSON summary is POSTed here when a scan finishes or fails.', 'vmfa-ai-organizer' ); ?>
 		</p>
 		<?php
-		$this->render_locked_badge( 'azure_api_version' );
+		$this->render_locked_badge( 'notify_webhook_url' );
+	}
+
+	/**
+	 * Get the data the AI Provider tab is rendered from.
+	 *
+	 * Values are the saved ones; `locked` names the settings overridden by a
+	 * constant or environment variable, which the tab shows read-only.
+	 *
+	 * @return array{optionName: string, values: array<string, mixed>, locked: array<string, string>, models: array<string, array<string, string>>}
+	 */
+	public function get_provider_settings(): array {
+		$settings = $this->get_settings();
+		$values   = array();
+		$locked   = array();
+
+		foreach ( self::PROVIDER_KEYS as $key ) {
+			$values[ $key ] = $settings[ $key ] ?? self::$config_map[ $key ]['default'];
+
+			$source = $this->get_override_source( $key );
+			if ( null !== $source ) {
+				$locked[ $key ] = $source;
+			}
+		}
+
+		$models = array();
+		foreach ( array_keys( ProviderFactory::get_available_providers() ) as $name ) {
+			$provider = ProviderFactory::get_provider( $name );
+			if ( null !== $provider ) {
+				$models[ $name ] = $provider->get_available_models();
+			}
+		}
+
+		return array(
+			'optionName' => self::OPTION_NAME,
+			'values'     => $values,
+			'locked'     => $locked,
+			'models'     => $models,
+		);
 	}
 
 	/**
@@ -1474,6 +1025,21 @@ class SettingsPage {
 			}
 		}
 
+		// Fallback providers: an ordered, comma-separated list without the primary provider.
+		if ( isset( $input['fallback_providers'] ) ) {
+			$primary   = $sanitized['ai_provider'] ?? Plugin::get_instance()->get_setting( 'ai_provider', '' );
+			$fallbacks = array();
+
+			foreach ( explode( ',', (string) $input['fallback_providers'] ) as $name ) {
+				$name = sanitize_key( $name );
+				if ( $name !== $primary && ProviderFactory::provider_exists( $name ) && ! in_array( $name, $fallbacks, true ) ) {
+					$fallbacks[] = $name;
+				}
+			}
+
+			$sanitized['fallback_providers'] = implode( ',', $fallbacks );
+		}
+
 		// API keys.
 		$key_fields = array( 'openai_key', 'anthropic_key', 'gemini_key', 'grok_key' );
 		foreach ( $key_fields as $field ) {
@@ -1514,6 +1080,16 @@ class SettingsPage {
 		if ( isset( $input['exo_endpoint'] ) ) {
 			$sanitized['exo_endpoint'] = esc_url_raw( $input['exo_endpoint'] );
 		}
+		if ( isset( $input['notify_webhook_url'] ) ) {
+			$sanitized['notify_webhook_url'] = esc_url_raw( $input['notify_webhook_url'], array( 'http', 'https' ) );
+		}
+
+		// Notification recipients: keep the valid addresses.
+		if ( isset( $input['notify_email_recipients'] ) ) {
+			$recipients = array_filter( array_map( 'sanitize_email', explode( ',', (string) $input['notify_email_recipients'] ) ) );
+
+			$sanitized['notify_email_recipients'] = implode( ', ', $recipients );
+		}
 
 		// Numeric fields.
 		if ( isset( $input['max_folder_depth'] ) ) {
@@ -1524,6 +1100,18 @@ class SettingsPage {
 			$sanitized['batch_size'] = max( 10, min( 100, absint( $input['batch_size'] ) ) );
 		}
 
+		if ( isset( $input['backup_retention'] ) ) {
+			$sanitized['backup_retention'] = max( 1, min( 50, absint( $input['backup_retention'] ) ) );
+		}
+
+		if ( isset( $input['auto_organize_threshold'] ) ) {
+			$sanitized['auto_organize_threshold'] = min( 100, absint( $input['auto_organize_threshold'] ) );
+		}
+
+		if ( isset( $input['review_threshold'] ) ) {
+			$sanitized['review_threshold'] = min( 100, absint( $input['review_threshold'] ) );
+		}
+
 		if ( isset( $input['ollama_timeout'] ) ) {
 			$sanitized['ollama_timeout'] = max( 10, min( 600, absint( $input['ollama_timeout'] ) ) );
 		}
@@ -1535,6 +1123,14 @@ class SettingsPage {
 			$sanitized['allow_new_folders'] = ! empty( $input['allow_new_folders'] );
 		}
 
+		if ( array_key_exists( 'auto_organize', $input ) ) {
+			$sanitized['auto_organize'] = ! empty( $input['auto_organize'] );
+		}
+
+		if ( array_key_exists( 'notify_email', $input ) ) {
+			$sanitized['notify_email'] = ! empty( $input['notify_email'] );
+		}
+
 		// Validate AI configuration if provider is set.
 		if ( ! empty( $sanitized['ai_provider'] ) ) {
 			$this->validate_ai_configuration( $sanitized );
@@ -307,11 +307,19 @@ class Commands {
 	 * ---
 	 * options:
 	 *   - export
+	 *   - list
 	 *   - restore
 	 *   - info
 	 *   - delete
 	 * ---
 	 *
+	 * [--label=<label>]
+	 * : Label for a new snapshot (export).
+	 *
+	 * [--snapshot=<id>]
+	 * : Snapshot to restore or delete. Restore defaults to the newest snapshot;
+	 * delete without a snapshot removes all snapshots.
+	 *
 	 * [--yes]
 	 * : Skip confirmation for restore/delete.
 	 *
@@ -330,16 +338,22 @@ class Commands {
 	 *
 	 * ## EXAMPLES
 	 *
-	 *     # Create a backup
-	 *     $ wp vmfa-ai backup export
+	 *     # Create a backup snapshot
+	 *     $ wp vmfa-ai backup export --label="Before cleanup"
+	 *
+	 *     # List snapshots
+	 *     $ wp vmfa-ai backup list
 	 *
-	 *     # Show backup info
+	 *     # Show newest backup info
 	 *     $ wp vmfa-ai backup info
 	 *
-	 *     # Restore from backup
+	 *     # Restore the newest snapshot
 	 *     $ wp vmfa-ai backup restore --yes
 	 *
-	 *     # Delete backup
+	 *     # Restore a specific snapshot
+	 *     $ wp vmfa-ai backup restore --snapshot=<id> --yes
+	 *
+	 *     # Delete all snapshots
 	 *     $ wp vmfa-ai backup delete --yes
 	 *
 	 * @param array<int, string>   $args       Positional arguments.
@@ -350,7 +364,7 @@ class Commands {
 		self::check_dependencies();
 
 		if ( empty( $args[ 0 ] ) ) {
-			WP_CLI::error( 'Please specify an action: export, restore, info, or delete.' );
+			WP_CLI::error( 'Please specify an action: export, list, restore, info, or delete.' );
 			return;
 		}
 
@@ -358,12 +372,22 @@ class Commands {
 		$yes       = Utils\get_flag_value( $assoc_args, 'yes', false );
 		$format    = $assoc_args[ 'format' ] ?? 'table';
 		$porcelain = Utils\get_flag_value( $assoc_args, 'porcelain', false );
+		$snapshot  = (string) ( $assoc_args[ 'snapshot' ] ?? '' );
 
 		$backup_service = new BackupService();
 
+		if ( '' !== $snapshot && null === $backup_service->get_snapshot( $snapshot ) ) {
+			if ( $porcelain ) {
+				WP_CLI::line( 'error:no_snapshot' );
+			} else {
+				WP_CLI::error( sprintf( 'Snapshot %s not found.', $snapshot ) );
+			}
+			return;
+		}
+
 		switch ( $action ) {
 			case 'export':
-				$success = $backup_service->export();
+				$success = $backup_service->export( (string) ( $assoc_args[ 'label' ] ?? '' ) );
 				if ( $porcelain ) {
 					WP_CLI::line( $success ? 'exported' : 'error' );
 				} elseif ( $success ) {
@@ -373,6 +397,35 @@ class Commands {
 				}
 				break;
 
+			case 'list':
+				$snapshots = $backup_service->get_snapshots();
+
+				if ( $porcelain ) {
+					foreach ( $snapshots as $item ) {
+						WP_CLI::line( $item[ 'id' ] );
+					}
+					return;
+				}
+
+				if ( empty( $snapshots ) ) {
+					WP_CLI::warning( 'No backup found.' );
+					return;
+				}
+
+				$display_data = array_map( function ( $item ) {
+					return array(
+						'ID'          => $item[ 'id' ],
+						'Label'       => $item[ 'label' ],
+						'Created'     => $item[ 'timestamp' ] ? gmdate( 'Y-m-d H:i:s', $item[ 'timestamp' ] ) : '',
+						'Scan'        => $item[ 'scan_mode' ] ? self::get_mode_label( $item[ 'scan_mode' ] ) : '',
+						'Folders'     => $item[ 'folder_count' ],
+						'Assignments' => $item[ 'assignment_count' ],
+					);
+				}, $snapshots );
+
+				Utils\format_items( $format, $display_data, array( 'ID', 'Label', 'Created', 'Scan', 'Folders', 'Assignments' ) );
+				break;
+
 			case 'info':
 				$info = $backup_service->get_backup_info();
 
@@ -415,6 +468,9 @@ class Commands {
 
 				if ( ! $yes && ! $porcelain ) {
 					$info = $backup_service->get_backup_info();
+					if ( '' !== $snapshot ) {
+						$info = current( wp_list_filter( $backup_service->get_snapshots(), array( 'id' => $snapshot ) ) );
+					}
 					WP_CLI::line( '' );
 					WP_CLI::line( WP_CLI::colorize( '%YRestore Backup%n' ) );
 					WP_CLI::line( str_repeat( '─', 50 ) );
@@ -424,7 +480,7 @@ class Commands {
 					WP_CLI::confirm( 'Proceed with restore?' );
 				}
 
-				$result = $backup_service->restore();
+				$result = $backup_service->restore( $snapshot );
 
 				if ( $porcelain ) {
 					if ( $result[ 'success' ] ) {
@@ -454,10 +510,10 @@ class Commands {
 				}
 
 				if ( ! $yes && ! $porcelain ) {
-					WP_CLI::confirm( 'Delete the backup? This cannot be undone.' );
+					WP_CLI::confirm( '' !== $snapshot ? 'Delete this snapshot? This cannot be undone.' : 'Delete all backup snapshots? This cannot be undone.' );
 				}
 
-				$success = $backup_service->delete_backup();
+				$success = '' !== $snapshot ? $backup_service->delete_snapshot( $snapshot ) : $backup_service->cleanup();
 
 				if ( $porcelain ) {
 					WP_CLI::line( $success ? 'deleted' : 'error' );
@@ -469,7 +525,7 @@ class Commands {
 				break;
 
 			default:
-				WP_CLI::error( "Unknown action: {$action}. Use export, restore, info, or delete." );
+				WP_CLI::error( "Unknown action: {$action}. Use export, list, restore, info, or delete." );
 		}
 	}
 
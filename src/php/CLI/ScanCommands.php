@@ -10,6 +10,7 @@ declare(strict_types=1);
 namespace VmfaAiOrganizer\CLI;
 
 use VmfaAiOrganizer\Services\MediaScannerService;
+use VmfaAiOrganizer\Services\ScheduleService;
 use WP_CLI;
 use WP_CLI\Utils;
 
@@ -27,6 +28,12 @@ use WP_CLI\Utils;
  *     # Apply previewed changes
  *     $ wp vmfa-ai scan apply
  *
+ *     # Undo the last applied run
+ *     $ wp vmfa-ai scan undo
+ *
+ *     # Organize unassigned uploads every night at 02:00
+ *     $ wp vmfa-ai scan schedule add --frequency=daily --time=02:00
+ *
  * @package VmfaAiOrganizer\CLI
  */
 class ScanCommands {
@@ -65,6 +72,24 @@ class ScanCommands {
 	 * [--timeout=<seconds>]
 	 * : Override request timeout in seconds.
 	 *
+	 * [--date-from=<date>]
+	 * : Only media uploaded on or after this date (YYYY-MM-DD).
+	 *
+	 * [--date-to=<date>]
+	 * : Only media uploaded on or before this date (YYYY-MM-DD).
+	 *
+	 * [--mime-type=<type>]
+	 * : Only media of this MIME type (e.g. image/png) or type group (e.g. image).
+	 *
+	 * [--author=<user>]
+	 * : Only media uploaded by this user (ID or login).
+	 *
+	 * [--folder=<id>]
+	 * : Only media in this folder or its subfolders.
+	 *
+	 * [--count]
+	 * : Only show how many media files match; don't start a scan.
+	 *
 	 * [--porcelain]
 	 * : Output minimal machine-readable format.
 	 *
@@ -73,6 +98,12 @@ class ScanCommands {
 	 *     # Start a preview scan of unassigned media
 	 *     $ wp vmfa-ai scan start
 	 *
+	 *     # Re-analyze last month's PNG uploads
+	 *     $ wp vmfa-ai scan start --mode=reanalyze_all --date-from=2025-09-01 --date-to=2025-09-30 --mime-type=image/png
+	 *
+	 *     # Count one author's unassigned uploads
+	 *     $ wp vmfa-ai scan start --author=editor --count
+	 *
 	 *     # Scan all media with a specific provider
 	 *     $ wp vmfa-ai scan start --mode=reanalyze_all --provider=ollama --model=llava
 	 *
@@ -89,9 +120,30 @@ class ScanCommands {
 
 		$mode      = $assoc_args[ 'mode' ] ?? 'organize_unassigned';
 		$porcelain = Utils\get_flag_value( $assoc_args, 'porcelain', false );
+		$scope     = $this->get_scope( $assoc_args );
 
 		$scanner = new MediaScannerService();
 
+		if ( Utils\get_flag_value( $assoc_args, 'count', false ) ) {
+			$count = $scanner->count_scan_items( $mode, $scope );
+
+			if ( ! $count[ 'success' ] ) {
+				if ( $porcelain ) {
+					WP_CLI::line( 'error:' . sanitize_key( $count[ 'message' ] ) );
+				} else {
+					WP_CLI::error( $count[ 'message' ] );
+				}
+				return;
+			}
+
+			if ( $porcelain ) {
+				WP_CLI::line( 'count:' . $count[ 'count' ] );
+			} else {
+				WP_CLI::line( sprintf( '%d media files match.', $count[ 'count' ] ) );
+			}
+			return;
+		}
+
 		// Check if a scan is already running.
 		$progress = $scanner->get_progress();
 		if ( 'running' === $progress[ 'status' ] ) {
@@ -104,7 +156,7 @@ class ScanCommands {
 		}
 
 		// Start the scan in dry-run (preview) mode.
-		$result = $scanner->start_scan( $mode, true );
+		$result = $scanner->start_scan( $mode, true, $scope );
 
 		if ( ! $result[ 'success' ] ) {
 			if ( $porcelain ) {
@@ -226,6 +278,7 @@ class ScanCommands {
 			'running'   => '%C',
 			'completed' => '%G',
 			'cancelled' => '%R',
+			'failed'    => '%R',
 		);
 
 		$status_color = $status_colors[ $progress[ 'status' ] ] ?? '%n';
@@ -260,6 +313,10 @@ class ScanCommands {
 			WP_CLI::line( sprintf( 'Completed: %s', gmdate( 'Y-m-d H:i:s', $progress[ 'completed_at' ] ) ) );
 		}
 
+		if ( $progress[ 'error' ] ) {
+			WP_CLI::line( WP_CLI::colorize( '%RError:%n     ' . $progress[ 'error' ] ) );
+		}
+
 		if ( 'completed' === $progress[ 'status' ] && $progress[ 'dry_run' ] ) {
 			$cached_count = $scanner->get_cached_results_count();
 			WP_CLI::line( '' );
@@ -324,6 +381,8 @@ class ScanCommands {
 				WP_CLI::line( WP_CLI::colorize( '%G✓ Scan Complete%n' ) );
 			} elseif ( 'cancelled' === $progress[ 'status' ] ) {
 				WP_CLI::line( WP_CLI::colorize( '%R✗ Scan Cancelled%n' ) );
+			} elseif ( 'failed' === $progress[ 'status' ] ) {
+				WP_CLI::line( WP_CLI::colorize( '%R✗ ' . $progress[ 'error' ] . '%n' ) );
 			} else {
 				WP_CLI::line( WP_CLI::colorize( '%YScan Status: ' . ucfirst( $progress[ 'status' ] ) . '%n' ) );
 			}
@@ -493,6 +552,87 @@ class ScanCommands {
 		}
 	}
 
+	/**
+	 * Undo an applied scan run.
+	 *
+	 * Moves the media changed by the run back to their previous folders and
+	 * removes folders the run created once they are empty. Media moved again
+	 * since the run are left alone. Reorganize All runs can't be undone this
+	 * way; restore the snapshot taken before the run with "wp vmfa-ai backup restore".
+	 *
+	 * ## OPTIONS
+	 *
+	 * [--run=<id>]
+	 * : Run to undo. Defaults to the most recently applied run.
+	 *
+	 * [--yes]
+	 * : Skip confirmation prompt.
+	 *
+	 * [--porcelain]
+	 * : Output minimal machine-readable format.
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     # Undo the last applied run
+	 *     $ wp vmfa-ai scan undo
+	 *
+	 *     # Undo a specific run without confirmation
+	 *     $ wp vmfa-ai scan undo --run=<id> --yes
+	 *
+	 * @param array<int, string>   $args       Positional arguments.
+	 * @param array<string, mixed> $assoc_args Associative arguments.
+	 * @return void
+	 */
+	public function undo( array $args, array $assoc_args ): void {
+		Commands::check_dependencies();
+
+		$porcelain = Utils\get_flag_value( $assoc_args, 'porcelain', false );
+		$yes       = Utils\get_flag_value( $assoc_args, 'yes', false );
+		$run_id    = (string) ( $assoc_args[ 'run' ] ?? '' );
+
+		$scanner = new MediaScannerService();
+		$run     = $scanner->get_applied_run( $run_id );
+
+		if ( null === $run ) {
+			if ( $porcelain ) {
+				WP_CLI::line( 'error:no_run' );
+			} else {
+				WP_CLI::error( '' !== $run_id ? sprintf( 'Run %s not found.', $run_id ) : 'No applied run found to undo.' );
+			}
+			return;
+		}
+
+		if ( ! $yes && ! $porcelain && $run[ 'undoable' ] ) {
+			WP_CLI::line( '' );
+			WP_CLI::line( WP_CLI::colorize( '%YUndo Run%n' ) );
+			WP_CLI::line( str_repeat( '─', 50 ) );
+			WP_CLI::line( sprintf( 'Run:             %s', $run[ 'id' ] ) );
+			WP_CLI::line( sprintf( 'Mode:            %s', Commands::get_mode_label( $run[ 'mode' ] ) ) );
+			WP_CLI::line( sprintf( 'Applied:         %s', gmdate( 'Y-m-d H:i:s', $run[ 'applied_at' ] ) ) );
+			WP_CLI::line( sprintf( 'Media to revert: %d', $run[ 'moved' ] ) );
+			WP_CLI::line( sprintf( 'Created folders: %d', $run[ 'created_folders' ] ) );
+			WP_CLI::line( '' );
+			WP_CLI::confirm( 'Undo this run?' );
+		}
+
+		$result = $scanner->undo_run( $run[ 'id' ] );
+
+		if ( ! $result[ 'success' ] ) {
+			if ( $porcelain ) {
+				WP_CLI::line( 'error:' . sanitize_key( $result[ 'message' ] ) );
+			} else {
+				WP_CLI::error( $result[ 'message' ] );
+			}
+			return;
+		}
+
+		if ( $porcelain ) {
+			WP_CLI::line( sprintf( 'undone:%d:%d:%d', $result[ 'reverted' ], $result[ 'skipped' ], $result[ 'folders_removed' ] ) );
+		} else {
+			WP_CLI::success( $result[ 'message' ] );
+		}
+	}
+
 	/**
 	 * Cancel the current scan.
 	 *
@@ -596,6 +736,11 @@ class ScanCommands {
 	 *   - yaml
 	 * ---
 	 *
+	 * [--file=<file>]
+	 * : Write the full results to a file instead of the terminal. Uses the
+	 * same columns as the preview download: attachment_id, filename, url,
+	 * action, folder_path, confidence and reason. Requires --format=csv or --format=json.
+	 *
 	 * [--porcelain]
 	 * : Output only attachment IDs.
 	 *
@@ -603,6 +748,7 @@ class ScanCommands {
 	 *
 	 *     $ wp vmfa-ai scan results
 	 *     $ wp vmfa-ai scan results --format=json
+	 *     $ wp vmfa-ai scan results --format=csv --file=preview.csv
 	 *
 	 * @param array<int, string>   $args       Positional arguments.
 	 * @param array<string, mixed> $assoc_args Associative arguments.
@@ -632,6 +778,11 @@ class ScanCommands {
 			return;
 		}
 
+		if ( ! empty( $assoc_args[ 'file' ] ) ) {
+			$this->export_results( $scanner, $format, (string) $assoc_args[ 'file' ] );
+			return;
+		}
+
 		// Format for display.
 		$display_data = array_map( function ( $result ) {
 			return array(
@@ -646,6 +797,253 @@ class ScanCommands {
 		Utils\format_items( $format, $display_data, array( 'ID', 'Filename', 'Action', 'Folder', 'Confidence' ) );
 	}
 
+	/**
+	 * Manage recurring scan schedules.
+	 *
+	 * Daily and weekly schedules run at a time of day in the site's time zone;
+	 * custom schedules use a cron expression evaluated in UTC. With a time
+	 * window, runs only start inside it and a running scan pauses until the
+	 * window opens again.
+	 *
+	 * ## OPTIONS
+	 *
+	 * <action>
+	 * : Schedule action to perform.
+	 * ---
+	 * options:
+	 *   - list
+	 *   - add
+	 *   - update
+	 *   - delete
+	 *   - enable
+	 *   - disable
+	 *   - run
+	 * ---
+	 *
+	 * [<id>]
+	 * : Schedule ID (update, delete, enable, disable, run).
+	 *
+	 * [--mode=<mode>]
+	 * : Scan mode (organize_unassigned, reanalyze_all, reorganize_all). Defaults to organize_unassigned.
+	 *
+	 * [--frequency=<frequency>]
+	 * : How often the scan runs (daily, weekly, custom). Defaults to daily.
+	 *
+	 * [--time=<time>]
+	 * : Time of day for daily and weekly runs (HH:MM, site time). Defaults to 02:00.
+	 *
+	 * [--day=<day>]
+	 * : Day of the week for weekly runs (0 = Sunday … 6 = Saturday).
+	 *
+	 * [--cron=<expression>]
+	 * : Cron expression for custom runs (UTC).
+	 *
+	 * [--window-start=<time>]
+	 * : Start of the time window (HH:MM, site time). Pass an empty value to remove the window.
+	 *
+	 * [--window-end=<time>]
+	 * : End of the time window (HH:MM, site time). May be before the start for a window across midnight.
+	 *
+	 * [--dry-run]
+	 * : Only preview on each run instead of applying. Use --no-dry-run to apply again.
+	 *
+	 * [--date-from=<date>]
+	 * : Only media uploaded on or after this date (YYYY-MM-DD).
+	 *
+	 * [--date-to=<date>]
+	 * : Only media uploaded on or before this date (YYYY-MM-DD).
+	 *
+	 * [--mime-type=<type>]
+	 * : Only media of this MIME type (e.g. image/png) or type group (e.g. image).
+	 *
+	 * [--author=<user>]
+	 * : Only media uploaded by this user (ID or login).
+	 *
+	 * [--folder=<id>]
+	 * : Only media in this folder or its subfolders.
+	 *
+	 * [--format=<format>]
+	 * : Output format for list.
+	 * ---
+	 * default: table
+	 * options:
+	 *   - table
+	 *   - json
+	 *   - csv
+	 *   - yaml
+	 * ---
+	 *
+	 * [--porcelain]
+	 * : Output minimal machine-readable format.
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     # List schedules with their next and last run
+	 *     $ wp vmfa-ai scan schedule list
+	 *
+	 *     # Organize unassigned uploads every night at 02:00
+	 *     $ wp vmfa-ai scan schedule add --frequency=daily --time=02:00
+	 *
+	 *     # Re-analyze images every Sunday, only between 01:00 and 05:00
+	 *     $ wp vmfa-ai scan schedule add --mode=reanalyze_all --mime-type=image --frequency=weekly --day=0 --time=01:00 --window-start=01:00 --window-end=05:00
+	 *
+	 *     # Preview on weekdays at 03:00 UTC
+	 *     $ wp vmfa-ai scan schedule add --frequency=custom --cron="0 3 * * 1-5" --dry-run
+	 *
+	 *     # Pause a schedule
+	 *     $ wp vmfa-ai scan schedule disable <id>
+	 *
+	 *     # Run a schedule now
+	 *     $ wp vmfa-ai scan schedule run <id>
+	 *
+	 * @param array<int, string>   $args       Positional arguments.
+	 * @param array<string, mixed> $assoc_args Associative arguments.
+	 * @return void
+	 */
+	public function schedule( array $args, array $assoc_args ): void {
+		Commands::check_dependencies();
+
+		if ( empty( $args[ 0 ] ) ) {
+			WP_CLI::error( 'Please specify an action: list, add, update, delete, enable, disable, or run.' );
+			return;
+		}
+
+		$action    = $args[ 0 ];
+		$id        = (string) ( $args[ 1 ] ?? '' );
+		$format    = $assoc_args[ 'format' ] ?? 'table';
+		$porcelain = Utils\get_flag_value( $assoc_args, 'porcelain', false );
+
+		$schedule_service = new ScheduleService( new MediaScannerService() );
+
+		if ( ! in_array( $action, array( 'list', 'add' ), true ) && null === $schedule_service->get_schedule( $id ) ) {
+			if ( $porcelain ) {
+				WP_CLI::line( 'error:no_schedule' );
+			} else {
+				WP_CLI::error( '' === $id ? 'Please specify a schedule ID.' : sprintf( 'Schedule %s not found.', $id ) );
+			}
+			return;
+		}
+
+		switch ( $action ) {
+			case 'list':
+				$schedules = $schedule_service->get_schedules();
+
+				if ( $porcelain ) {
+					foreach ( $schedules as $item ) {
+						WP_CLI::line( $item[ 'id' ] );
+					}
+					return;
+				}
+
+				if ( empty( $schedules ) ) {
+					WP_CLI::warning( 'No schedules found.' );
+					return;
+				}
+
+				$display_data = array_map( function ( $item ) {
+					return array(
+						'ID'       => $item[ 'id' ],
+						'Mode'     => Commands::get_mode_label( $item[ 'mode' ] ) . ( $item[ 'dry_run' ] ? ' (preview)' : '' ),
+						'Runs'     => $this->get_frequency_label( $item ),
+						'Window'   => '' !== $item[ 'window_start' ] ? $item[ 'window_start' ] . '–' . $item[ 'window_end' ] : '',
+						'Enabled'  => $item[ 'enabled' ] ? 'yes' : 'no',
+						'Next run' => $item[ 'next_run' ] ? wp_date( 'Y-m-d H:i', $item[ 'next_run' ] ) : '',
+						'Last run' => $item[ 'last_run' ] ? wp_date( 'Y-m-d H:i', $item[ 'last_run' ][ 'at' ] ) . ' ' . $item[ 'last_run' ][ 'message' ] : '',
+					);
+				}, $schedules );
+
+				Utils\format_items( $format, $display_data, array( 'ID', 'Mode', 'Runs', 'Window', 'Enabled', 'Next run', 'Last run' ) );
+				break;
+
+			case 'add':
+			case 'update':
+			case 'enable':
+			case 'disable':
+				$data = 'enable' === $action || 'disable' === $action
+					? array( 'enabled' => 'enable' === $action )
+					: $this->get_schedule_data( $assoc_args );
+
+				$result = $schedule_service->save_schedule( $data, 'add' === $action ? '' : $id );
+
+				if ( ! $result[ 'success' ] ) {
+					if ( $porcelain ) {
+						WP_CLI::line( 'error:' . sanitize_key( $result[ 'message' ] ) );
+					} else {
+						WP_CLI::error( $result[ 'message' ] );
+					}
+					return;
+				}
+
+				if ( $porcelain ) {
+					WP_CLI::line( $result[ 'schedule' ][ 'id' ] );
+				} else {
+					WP_CLI::success(
+						sprintf(
+							'%s Next run: %s.',
+							$result[ 'message' ],
+							$result[ 'schedule' ][ 'next_run' ] ? wp_date( 'Y-m-d H:i', $result[ 'schedule' ][ 'next_run' ] ) : 'none'
+						)
+					);
+				}
+				break;
+
+			case 'delete':
+				$schedule_service->delete_schedule( $id );
+
+				if ( $porcelain ) {
+					WP_CLI::line( 'deleted' );
+				} else {
+					WP_CLI::success( 'Schedule deleted.' );
+				}
+				break;
+
+			case 'run':
+				$result = $schedule_service->run_schedule( $id );
+
+				if ( ! $result[ 'success' ] ) {
+					if ( $porcelain ) {
+						WP_CLI::line( 'error:' . sanitize_key( $result[ 'message' ] ) );
+					} else {
+						WP_CLI::error( $result[ 'message' ] );
+					}
+					return;
+				}
+
+				if ( $porcelain ) {
+					WP_CLI::line( 'started' );
+				} else {
+					WP_CLI::success( $result[ 'message' ] );
+					WP_CLI::line( '  • Monitor progress: wp vmfa-ai scan status --watch' );
+				}
+				break;
+
+			default:
+				WP_CLI::error( sprintf( 'Unknown action: %s', $action ) );
+		}
+	}
+
+	/**
+	 * Write the full cached preview results to a file.
+	 *
+	 * @param MediaScannerService $scanner Scanner service.
+	 * @param string              $format  Export format.
+	 * @param string              $file    Target file path.
+	 * @return void
+	 */
+	private function export_results( MediaScannerService $scanner, string $format, string $file ): void {
+		if ( ! in_array( $format, $scanner->get_export_formats(), true ) ) {
+			WP_CLI::error( sprintf( 'Unsupported export format "%s". Use --format=csv or --format=json.', $format ) );
+		}
+
+		$written = file_put_contents( $file, $scanner->export_cached_results( $format ) ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_file_put_contents
+
+		if ( false === $written ) {
+			WP_CLI::error( sprintf( 'Could not write to %s.', $file ) );
+		}
+
+		WP_CLI::success( sprintf( 'Exported %d results to %s.', $scanner->get_cached_results_count(), $file ) );
+	}
+
 	/**
 	 * Run pending Action Scheduler actions for the scan.
 	 *
@@ -727,4 +1125,87 @@ class ScanCommands {
 			}
 		}
 	}
+
+	/**
+	 * Build scan scope filters from command arguments.
+	 *
+	 * @param array<string, mixed> $assoc_args Associative arguments.
+	 * @return array<string, mixed>
+	 */
+	private function get_scope( array $assoc_args ): array {
+		$scope = array(
+			'date_from' => $assoc_args[ 'date-from' ] ?? '',
+			'date_to'   => $assoc_args[ 'date-to' ] ?? '',
+			'mime_type' => $assoc_args[ 'mime-type' ] ?? '',
+			'folder'    => (int) ( $assoc_args[ 'folder' ] ?? 0 ),
+		);
+
+		if ( isset( $assoc_args[ 'author' ] ) ) {
+			$user = is_numeric( $assoc_args[ 'author' ] )
+				? get_user_by( 'id', (int) $assoc_args[ 'author' ] )
+				: get_user_by( 'login', (string) $assoc_args[ 'author' ] );
+
+			if ( ! $user ) {
+				WP_CLI::error( sprintf( 'User "%s" not found.', $assoc_args[ 'author' ] ) );
+			}
+
+			$scope[ 'author' ] = $user->ID;
+		}
+
+		return $scope;
+	}
+
+	/**
+	 * Build schedule fields from command arguments.
+	 *
+	 * Only the given options are returned, so an update keeps the rest.
+	 *
+	 * @param array<string, mixed> $assoc_args Associative arguments.
+	 * @return array<string, mixed>
+	 */
+	private function get_schedule_data( array $assoc_args ): array {
+		$options = array(
+			'mode'         => 'mode',
+			'frequency'    => 'frequency',
+			'time'         => 'time',
+			'day'          => 'day',
+			'cron'         => 'cron',
+			'window_start' => 'window-start',
+			'window_end'   => 'window-end',
+		);
+
+		$data = array();
+		foreach ( $options as $key => $option ) {
+			if ( isset( $assoc_args[ $option ] ) ) {
+				$data[ $key ] = (string) $assoc_args[ $option ];
+			}
+		}
+
+		if ( isset( $assoc_args[ 'dry-run' ] ) ) {
+			$data[ 'dry_run' ] = (bool) Utils\get_flag_value( $assoc_args, 'dry-run', false );
+		}
+
+		$scope_options = array( 'date-from', 'date-to', 'mime-type', 'author', 'folder' );
+		if ( array_intersect_key( $assoc_args, array_flip( $scope_options ) ) ) {
+			$data[ 'scope' ] = $this->get_scope( $assoc_args );
+		}
+
+		return $data;
+	}
+
+	/**
+	 * Describe when a schedule runs.
+	 *
+	 * @param array<string, mixed> $schedule Schedule.
+	 * @return string
+	 */
+	private function get_frequency_label( array $schedule ): string {
+		$days = array( 'Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday' );
+
+		return match ( $schedule[ 'frequency' ] ) {
+			'custom' => sprintf( 'cron %s (UTC)', $schedule[ 'cron' ] ),
+			'weekly' => sprintf( '%s at %s', $days[ $schedule[ 'day' ] ] ?? '', $schedule[ 'time' ] ),
+			default  => sprintf( 'daily at %s', $schedule[ 'time' ] ),
+		};
+	}
 }
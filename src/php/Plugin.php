@@ -9,12 +9,17 @@ declare(strict_types=1);
 
 namespace VmfaAiOrganizer;
 
+use VmfaAiOrganizer\Admin\MediaLibrary;
 use VmfaAiOrganizer\Admin\SettingsPage;
 use VmfaAiOrganizer\CLI\Commands;
 use VmfaAiOrganizer\REST\AnalysisController;
+use VmfaAiOrganizer\REST\CloudModelsController;
 use VmfaAiOrganizer\REST\ExoController;
 use VmfaAiOrganizer\REST\OllamaController;
+use VmfaAiOrganizer\Services\AutoOrganizeService;
 use VmfaAiOrganizer\Services\MediaScannerService;
+use VmfaAiOrganizer\Services\NotificationService;
+use VmfaAiOrganizer\Services\ScheduleService;
 
 /**
  * Plugin bootstrap class.
@@ -35,6 +40,13 @@ final class Plugin {
 	 */
 	private ?SettingsPage $settings_page = null;
 
+	/**
+	 * Media Library integration instance.
+	 *
+	 * @var MediaLibrary|null
+	 */
+	private ?MediaLibrary $media_library = null;
+
 	/**
 	 * REST controller instance.
 	 *
@@ -56,6 +68,13 @@ final class Plugin {
 	 */
 	private ?OllamaController $ollama_controller = null;
 
+	/**
+	 * Cloud models REST controller instance.
+	 *
+	 * @var CloudModelsController|null
+	 */
+	private ?CloudModelsController $cloud_models_controller = null;
+
 	/**
 	 * Media scanner service instance.
 	 *
@@ -63,6 +82,27 @@ final class Plugin {
 	 */
 	private ?MediaScannerService $scanner_service = null;
 
+	/**
+	 * Auto organize service instance.
+	 *
+	 * @var AutoOrganizeService|null
+	 */
+	private ?AutoOrganizeService $auto_organize_service = null;
+
+	/**
+	 * Schedule service instance.
+	 *
+	 * @var ScheduleService|null
+	 */
+	private ?ScheduleService $schedule_service = null;
+
+	/**
+	 * Notification service instance.
+	 *
+	 * @var NotificationService|null
+	 */
+	private ?NotificationService $notification_service = null;
+
 	/**
 	 * Private constructor to prevent direct instantiation.
 	 */
@@ -113,11 +153,16 @@ final class Plugin {
 	 * @return void
 	 */
 	private function init_services(): void {
-		$this->settings_page     = new SettingsPage();
-		$this->rest_controller   = new AnalysisController();
-		$this->exo_controller    = new ExoController();
-		$this->ollama_controller = new OllamaController();
-		$this->scanner_service   = new MediaScannerService();
+		$this->settings_page           = new SettingsPage();
+		$this->rest_controller         = new AnalysisController();
+		$this->exo_controller          = new ExoController();
+		$this->ollama_controller       = new OllamaController();
+		$this->cloud_models_controller = new CloudModelsController();
+		$this->scanner_service         = new MediaScannerService();
+		$this->auto_organize_service   = new AutoOrganizeService();
+		$this->schedule_service        = new ScheduleService( $this->scanner_service );
+		$this->notification_service    = new NotificationService();
+		$this->media_library           = new MediaLibrary( $this->scanner_service, $this->settings_page );
 	}
 
 	/**
@@ -129,18 +174,20 @@ final class Plugin {
 		// Admin hooks.
 		if ( is_admin() ) {
 			$this->settings_page->init();
+			$this->media_library->init();
 		}
 
 		// REST API hooks.
 		add_action( 'rest_api_init', array( $this->rest_controller, 'register_routes' ) );
 		$this->exo_controller->register();
 		$this->ollama_controller->register();
+		$this->cloud_models_controller->register();
 
 		// Action Scheduler hooks.
 		$this->scanner_service->register_hooks();
-
-		// Enqueue admin assets.
-		add_action( 'admin_enqueue_scripts', array( $this, 'enqueue_admin_assets' ) );
+		$this->auto_organize_service->register_hooks();
+		$this->schedule_service->register_hooks();
+		$this->notification_service->register_hooks();
 	}
 
 	/**
@@ -155,62 +202,6 @@ final class Plugin {
 		}
 	}
 
-	/**
-	 * Enqueue admin assets.
-	 *
-	 * @param string $hook_suffix The current admin page hook suffix.
-	 * @return void
-	 */
-	public function enqueue_admin_assets( string $hook_suffix ): void {
-		// Only load on AI Organizer settings page.
-		if ( 'media_page_vmfa-ai-organizer' !== $hook_suffix ) {
-			return;
-		}
-
-		$asset_file = VMFA_AI_ORGANIZER_PATH . 'build/index.asset.php';
-
-		if ( file_exists( $asset_file ) ) {
-			$asset = require $asset_file;
-		} else {
-			$asset = array(
-				'dependencies' => array( 'wp-element', 'wp-components', 'wp-i18n', 'wp-api-fetch' ),
-				'version'      => VMFA_AI_ORGANIZER_VERSION,
-			);
-		}
-
-		wp_enqueue_script(
-			'vmfa-ai-organizer-admin',
-			VMFA_AI_ORGANIZER_URL . 'build/index.js',
-			$asset[ 'dependencies' ],
-			$asset[ 'version' ],
-			true
-		);
-
-		wp_enqueue_style(
-			'vmfa-ai-organizer-admin',
-			VMFA_AI_ORGANIZER_URL . 'build/index.css',
-			array( 'wp-components' ),
-			$asset[ 'version' ]
-		);
-
-		wp_localize_script(
-			'vmfa-ai-organizer-admin',
-			'vmfaAiOrganizer',
-			array(
-				'restUrl'   => rest_url( 'vmfa/v1/' ),
-				'nonce'     => wp_create_nonce( 'wp_rest' ),
-				'settings'  => $this->get_settings(),
-				'hasBackup' => (bool) get_option( 'vmfo_reorganize_backup' ),
-			)
-		);
-
-		wp_set_script_translations(
-			'vmfa-ai-organizer-admin',
-			'vmfa-ai-organizer',
-			VMFA_AI_ORGANIZER_PATH . 'languages'
-		);
-	}
-
 	/**
 	 * Get plugin settings.
 	 *
@@ -218,23 +209,31 @@ final class Plugin {
 	 */
 	public function get_settings(): array {
 		$defaults = array(
-			'ai_provider'       => '',
-			'openai_key'        => '',
-			'openai_model'      => 'gpt-4o-mini',
-			'anthropic_key'     => '',
-			'anthropic_model'   => 'claude-3-haiku-20240307',
-			'gemini_key'        => '',
-			'gemini_model'      => 'gemini-1.5-flash',
-			'ollama_url'        => 'http://localhost:11434',
-			'ollama_model'      => 'llama3.2-vision:latest',
-			'ollama_timeout'    => 120,
-			'grok_key'          => '',
-			'grok_model'        => 'grok-beta',
-			'exo_endpoint'      => '',
-			'exo_model'         => '',
-			'max_folder_depth'  => 3,
-			'allow_new_folders' => false,
-			'batch_size'        => 20,
+			'ai_provider'             => '',
+			'openai_key'              => '',
+			'openai_model'            => 'gpt-4o-mini',
+			'anthropic_key'           => '',
+			'anthropic_model'         => 'claude-3-haiku-20240307',
+			'gemini_key'              => '',
+			'gemini_model'            => 'gemini-1.5-flash',
+			'ollama_url'              => 'http://localhost:11434',
+			'ollama_model'            => 'llama3.2-vision:latest',
+			'ollama_timeout'          => 120,
+			'grok_key'                => '',
+			'grok_model'              => 'grok-beta',
+			'exo_endpoint'            => '',
+			'exo_model'               => '',
+			'fallback_providers'      => '',
+			'max_folder_depth'        => 3,
+			'allow_new_folders'       => false,
+			'batch_size'              => 20,
+			'backup_retention'        => 5,
+			'auto_organize'           => false,
+			'auto_organize_threshold' => 80,
+			'review_threshold'        => 0,
+			'notify_email'            => false,
+			'notify_email_recipients' => '',
+			'notify_webhook_url'      => '',
 		);
 
 		$settings = get_option( 'vmfa_ai_organizer_settings', array() );
@@ -290,6 +289,24 @@ final class Plugin {
 		return $this->scanner_service;
 	}
 
+	/**
+	 * Get auto organize service instance.
+	 *
+	 * @return AutoOrganizeService
+	 */
+	public function get_auto_organize_service(): AutoOrganizeService {
+		return $this->auto_organize_service;
+	}
+
+	/**
+	 * Get schedule service instance.
+	 *
+	 * @return ScheduleService
+	 */
+	public function get_schedule_service(): ScheduleService {
+		return $this->schedule_service;
+	}
+
 	/**
 	 * Get REST controller instance.
 	 *
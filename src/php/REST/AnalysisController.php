@@ -9,8 +9,14 @@ declare(strict_types=1);
 
 namespace VmfaAiOrganizer\REST;
 
+use VmfaAiOrganizer\AI\ProviderFactory;
 use VmfaAiOrganizer\Services\AIAnalysisService;
 use VmfaAiOrganizer\Services\BackupService;
+use VmfaAiOrganizer\Services\HistoryService;
+use VmfaAiOrganizer\Services\ProviderComparisonService;
+use VmfaAiOrganizer\Services\ProviderTestService;
+use VmfaAiOrganizer\Services\ReviewQueueService;
+use VmfaAiOrganizer\Services\ScheduleService;
 use VmfaAiOrganizer\Services\MediaScannerService;
 use WP_Error;
 use WP_REST_Controller;
@@ -51,13 +57,53 @@ class AnalysisController extends WP_REST_Controller {
 	 */
 	private BackupService $backup_service;
 
+	/**
+	 * History service.
+	 *
+	 * @var HistoryService
+	 */
+	private HistoryService $history_service;
+
+	/**
+	 * Review queue service.
+	 *
+	 * @var ReviewQueueService
+	 */
+	private ReviewQueueService $review_queue;
+
+	/**
+	 * Schedule service.
+	 *
+	 * @var ScheduleService
+	 */
+	private ScheduleService $schedule_service;
+
+	/**
+	 * Provider test service.
+	 *
+	 * @var ProviderTestService
+	 */
+	private ProviderTestService $provider_test_service;
+
+	/**
+	 * Provider comparison service.
+	 *
+	 * @var ProviderComparisonService
+	 */
+	private ProviderComparisonService $comparison_service;
+
 	/**
 	 * Constructor.
 	 */
 	public function __construct() {
-		$this->scanner_service  = new MediaScannerService();
-		$this->analysis_service = new AIAnalysisService();
-		$this->backup_service   = new BackupService();
+		$this->scanner_service       = new MediaScannerService();
+		$this->analysis_service      = new AIAnalysisService();
+		$this->backup_service        = new BackupService();
+		$this->history_service       = $this->scanner_service->get_history_service();
+		$this->review_queue          = $this->scanner_service->get_review_queue();
+		$this->schedule_service      = new ScheduleService( $this->scanner_service );
+		$this->provider_test_service = new ProviderTestService();
+		$this->comparison_service    = new ProviderComparisonService();
 	}
 
 	/**
@@ -77,20 +123,48 @@ class AnalysisController extends WP_REST_Controller {
 					'methods'             => WP_REST_Server::CREATABLE,
 					'callback'            => array( $this, 'start_scan' ),
 					'permission_callback' => array( $this, 'check_permission' ),
-					'args'                => array(
-						'mode'    => array(
-							'required'          => true,
-							'type'              => 'string',
-							'enum'              => $valid_modes,
-							'description'       => __( 'Scan mode.', 'vmfa-ai-organizer' ),
-							'sanitize_callback' => 'sanitize_key',
+					'args'                => array_merge(
+						array(
+							'mode'    => array(
+								'required'          => true,
+								'type'              => 'string',
+								'enum'              => $valid_modes,
+								'description'       => __( 'Scan mode.', 'vmfa-ai-organizer' ),
+								'sanitize_callback' => 'sanitize_key',
+							),
+							'dry_run' => array(
+								'required'    => false,
+								'type'        => 'boolean',
+								'default'     => false,
+								'description' => __( 'Whether to run in preview mode without making changes.', 'vmfa-ai-organizer' ),
+							),
 						),
-						'dry_run' => array(
-							'required'    => false,
-							'type'        => 'boolean',
-							'default'     => false,
-							'description' => __( 'Whether to run in preview mode without making changes.', 'vmfa-ai-organizer' ),
+						$this->get_scope_args()
+					),
+				),
+			)
+		);
+
+		// Count the media a scan would process.
+		register_rest_route(
+			$this->namespace,
+			'/scan/count',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'count_scan_items' ),
+					'permission_callback' => array( $this, 'check_permission' ),
+					'args'                => array_merge(
+						array(
+							'mode' => array(
+								'required'          => true,
+								'type'              => 'string',
+								'enum'              => $valid_modes,
+								'description'       => __( 'Scan mode.', 'vmfa-ai-organizer' ),
+								'sanitize_callback' => 'sanitize_key',
+							),
 						),
+						$this->get_scope_args()
 					),
 				),
 			)
@@ -105,6 +179,22 @@ class AnalysisController extends WP_REST_Controller {
 					'methods'             => WP_REST_Server::READABLE,
 					'callback'            => array( $this, 'get_scan_status' ),
 					'permission_callback' => array( $this, 'check_permission' ),
+					'args'                => array(
+						'since'  => array(
+							'required'          => false,
+							'type'              => 'integer',
+							'minimum'           => 0,
+							'description'       => __( 'Cursor from an earlier status; only newer results are returned.', 'vmfa-ai-organizer' ),
+							'sanitize_callback' => 'absint',
+						),
+						'run_id' => array(
+							'required'          => false,
+							'type'              => 'string',
+							'default'           => '',
+							'description'       => __( 'Run the cursor belongs to.', 'vmfa-ai-organizer' ),
+							'sanitize_callback' => 'sanitize_key',
+						),
+					),
 				),
 			)
 		);
@@ -122,6 +212,28 @@ class AnalysisController extends WP_REST_Controller {
 			)
 		);
 
+		// Undo an applied run.
+		register_rest_route(
+			$this->namespace,
+			'/scan/undo',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'undo_run' ),
+					'permission_callback' => array( $this, 'check_permission' ),
+					'args'                => array(
+						'run_id' => array(
+							'required'          => false,
+							'type'              => 'string',
+							'default'           => '',
+							'description'       => __( 'Run to undo. Defaults to the most recently applied run.', 'vmfa-ai-organizer' ),
+							'sanitize_callback' => 'sanitize_key',
+						),
+					),
+				),
+			)
+		);
+
 		// Reset scan progress.
 		register_rest_route(
 			$this->namespace,
@@ -145,13 +257,31 @@ class AnalysisController extends WP_REST_Controller {
 					'callback'            => array( $this, 'apply_cached_results' ),
 					'permission_callback' => array( $this, 'check_permission' ),
 					'args'                => array(
-						'mode' => array(
+						'mode'      => array(
 							'required'          => true,
 							'type'              => 'string',
 							'enum'              => $valid_modes,
 							'description'       => __( 'Original scan mode.', 'vmfa-ai-organizer' ),
 							'sanitize_callback' => 'sanitize_key',
 						),
+						'items'     => array(
+							'required'    => false,
+							'type'        => 'array',
+							'description' => __( 'Curated subset of cached results to apply, with optional target folder overrides.', 'vmfa-ai-organizer' ),
+							'items'       => $this->get_target_item_schema(),
+						),
+						'exclude'   => array(
+							'required'    => false,
+							'type'        => 'array',
+							'description' => __( 'Attachment IDs to leave out when applying.', 'vmfa-ai-organizer' ),
+							'items'       => array( 'type' => 'integer' ),
+						),
+						'overrides' => array(
+							'required'    => false,
+							'type'        => 'array',
+							'description' => __( 'Target folder overrides for individual attachments.', 'vmfa-ai-organizer' ),
+							'items'       => $this->get_target_item_schema(),
+						),
 					),
 				),
 			)
@@ -179,6 +309,166 @@ class AnalysisController extends WP_REST_Controller {
 					'methods'             => WP_REST_Server::READABLE,
 					'callback'            => array( $this, 'get_cached_results' ),
 					'permission_callback' => array( $this, 'check_permission' ),
+					'args'                => array(
+						'page'       => array(
+							'required'          => false,
+							'type'              => 'integer',
+							'default'           => 1,
+							'minimum'           => 1,
+							'description'       => __( 'Page of results to return.', 'vmfa-ai-organizer' ),
+							'sanitize_callback' => 'absint',
+						),
+						'per_page'   => array(
+							'required'          => false,
+							'type'              => 'integer',
+							'default'           => 50,
+							'minimum'           => 1,
+							'maximum'           => 500,
+							'description'       => __( 'Number of results per page.', 'vmfa-ai-organizer' ),
+							'sanitize_callback' => 'absint',
+						),
+						'orderby'    => array(
+							'required'    => false,
+							'type'        => 'string',
+							'default'     => 'folder',
+							'enum'        => array( 'folder', 'confidence', 'filename', 'attachment_id' ),
+							'description' => __( 'Field to sort results by.', 'vmfa-ai-organizer' ),
+						),
+						'order'      => array(
+							'required'    => false,
+							'type'        => 'string',
+							'default'     => 'asc',
+							'enum'        => array( 'asc', 'desc' ),
+							'description' => __( 'Sort direction.', 'vmfa-ai-organizer' ),
+						),
+						'search'     => array(
+							'required'          => false,
+							'type'              => 'string',
+							'default'           => '',
+							'description'       => __( 'Search filename, folder, reason or attachment ID.', 'vmfa-ai-organizer' ),
+							'sanitize_callback' => 'sanitize_text_field',
+						),
+						'action'     => array(
+							'required'    => false,
+							'type'        => 'string',
+							'default'     => '',
+							'enum'        => array( '', 'assign', 'create', 'skip' ),
+							'description' => __( 'Only return results with this action.', 'vmfa-ai-organizer' ),
+						),
+						'confidence' => array(
+							'required'    => false,
+							'type'        => 'string',
+							'default'     => '',
+							'enum'        => array( '', 'high', 'medium', 'low' ),
+							'description' => __( 'Only return results in this confidence band.', 'vmfa-ai-organizer' ),
+						),
+						'folder'     => array(
+							'required'          => false,
+							'type'              => 'string',
+							'default'           => '',
+							'description'       => __( 'Only return results targeting this full folder path.', 'vmfa-ai-organizer' ),
+							'sanitize_callback' => 'sanitize_text_field',
+						),
+					),
+				),
+			)
+		);
+
+		// Download the full dry-run cache.
+		register_rest_route(
+			$this->namespace,
+			'/scan/cached-results/export',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'export_cached_results' ),
+					'permission_callback' => array( $this, 'check_permission' ),
+					'args'                => array(
+						'format' => array(
+							'required'    => false,
+							'type'        => 'string',
+							'default'     => 'csv',
+							'enum'        => $this->scanner_service->get_export_formats(),
+							'description' => __( 'Export format.', 'vmfa-ai-organizer' ),
+						),
+					),
+				),
+			)
+		);
+
+		add_filter( 'rest_pre_serve_request', array( $this, 'serve_export' ), 10, 4 );
+
+		// Import an edited result set as the dry-run cache.
+		register_rest_route(
+			$this->namespace,
+			'/scan/import',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'import_results' ),
+					'permission_callback' => array( $this, 'check_permission' ),
+					'args'                => array(
+						'content' => array(
+							'required'    => true,
+							'type'        => 'string',
+							'description' => __( 'Contents of the CSV or JSON file.', 'vmfa-ai-organizer' ),
+						),
+						'format'  => array(
+							'required'    => false,
+							'type'        => 'string',
+							'default'     => 'csv',
+							'enum'        => $this->scanner_service->get_export_formats(),
+							'description' => __( 'Format of the file.', 'vmfa-ai-organizer' ),
+						),
+					),
+				),
+			)
+		);
+
+		// Get proposed folder tree for cached dry-run results.
+		register_rest_route(
+			$this->namespace,
+			'/scan/cached-tree',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_cached_tree' ),
+					'permission_callback' => array( $this, 'check_permission' ),
+				),
+			)
+		);
+
+		// Rename or merge proposed new folders in the dry-run cache.
+		register_rest_route(
+			$this->namespace,
+			'/scan/merge-folders',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'merge_cached_folders' ),
+					'permission_callback' => array( $this, 'check_permission' ),
+					'args'                => array(
+						'sources'     => array(
+							'required'    => true,
+							'type'        => 'array',
+							'items'       => array( 'type' => 'string' ),
+							'description' => __( 'Proposed folder paths to rename or merge.', 'vmfa-ai-organizer' ),
+						),
+						'target_path' => array(
+							'required'          => false,
+							'type'              => 'string',
+							'default'           => '',
+							'description'       => __( 'New folder path to move the results to.', 'vmfa-ai-organizer' ),
+							'sanitize_callback' => 'sanitize_text_field',
+						),
+						'folder_id'   => array(
+							'required'          => false,
+							'type'              => 'integer',
+							'default'           => 0,
+							'description'       => __( 'Existing folder ID to merge into.', 'vmfa-ai-organizer' ),
+							'sanitize_callback' => 'absint',
+						),
+					),
 				),
 			)
 		);
@@ -237,6 +527,93 @@ class AnalysisController extends WP_REST_Controller {
 			)
 		);
 
+		// Test an AI provider with a sample image.
+		register_rest_route(
+			$this->namespace,
+			'/provider/test',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'test_provider' ),
+					'permission_callback' => array( $this, 'check_permission' ),
+					'args'                => array(
+						'provider' => array(
+							'required'          => false,
+							'type'              => 'string',
+							'default'           => '',
+							'description'       => __( 'Provider to test. Defaults to the configured provider.', 'vmfa-ai-organizer' ),
+							'sanitize_callback' => 'sanitize_key',
+						),
+					),
+				),
+			)
+		);
+
+		// List the providers that can be compared.
+		register_rest_route(
+			$this->namespace,
+			'/compare/providers',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_comparison_providers' ),
+					'permission_callback' => array( $this, 'check_permission' ),
+				),
+			)
+		);
+
+		// Draw sample images for a provider comparison.
+		register_rest_route(
+			$this->namespace,
+			'/compare/sample',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_comparison_sample' ),
+					'permission_callback' => array( $this, 'check_permission' ),
+					'args'                => array(
+						'count' => array(
+							'required'          => false,
+							'type'              => 'integer',
+							'default'           => 5,
+							'minimum'           => 1,
+							'maximum'           => ProviderComparisonService::MAX_SAMPLE_SIZE,
+							'description'       => __( 'Number of images.', 'vmfa-ai-organizer' ),
+							'sanitize_callback' => 'absint',
+						),
+					),
+				),
+			)
+		);
+
+		// Compare providers on one image.
+		register_rest_route(
+			$this->namespace,
+			'/compare',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'compare_providers' ),
+					'permission_callback' => array( $this, 'check_permission' ),
+					'args'                => array(
+						'attachment_id' => array(
+							'required'          => true,
+							'type'              => 'integer',
+							'description'       => __( 'Attachment ID.', 'vmfa-ai-organizer' ),
+							'sanitize_callback' => 'absint',
+						),
+						'providers'     => array(
+							'required'    => true,
+							'type'        => 'array',
+							'minItems'    => 2,
+							'description' => __( 'Names of the providers to compare.', 'vmfa-ai-organizer' ),
+							'items'       => array( 'type' => 'string' ),
+						),
+					),
+				),
+			)
+		);
+
 		// Get backup info.
 		register_rest_route(
 			$this->namespace,
@@ -247,6 +624,20 @@ class AnalysisController extends WP_REST_Controller {
 					'callback'            => array( $this, 'get_backup' ),
 					'permission_callback' => array( $this, 'check_permission' ),
 				),
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'create_snapshot' ),
+					'permission_callback' => array( $this, 'check_permission' ),
+					'args'                => array(
+						'label' => array(
+							'required'          => false,
+							'type'              => 'string',
+							'default'           => '',
+							'description'       => __( 'Snapshot label.', 'vmfa-ai-organizer' ),
+							'sanitize_callback' => 'sanitize_text_field',
+						),
+					),
+				),
 				array(
 					'methods'             => WP_REST_Server::DELETABLE,
 					'callback'            => array( $this, 'delete_backup' ),
@@ -255,126 +646,1071 @@ class AnalysisController extends WP_REST_Controller {
 			)
 		);
 
-		// Restore from backup.
+		// Delete a single backup snapshot.
 		register_rest_route(
 			$this->namespace,
-			'/restore',
+			'/backup/(?P<id>[a-zA-Z0-9-]+)',
 			array(
 				array(
-					'methods'             => WP_REST_Server::CREATABLE,
-					'callback'            => array( $this, 'restore_backup' ),
+					'methods'             => WP_REST_Server::DELETABLE,
+					'callback'            => array( $this, 'delete_snapshot' ),
 					'permission_callback' => array( $this, 'check_permission' ),
 				),
 			)
 		);
 
-		// Get statistics.
+		// Download a backup snapshot as a file.
 		register_rest_route(
 			$this->namespace,
-			'/stats',
+			'/backup/(?P<id>[a-zA-Z0-9-]+)/download',
 			array(
 				array(
 					'methods'             => WP_REST_Server::READABLE,
-					'callback'            => array( $this, 'get_stats' ),
+					'callback'            => array( $this, 'download_snapshot' ),
 					'permission_callback' => array( $this, 'check_permission' ),
 				),
 			)
 		);
-	}
-
-	/**
-	 * Check if user has permission.
-	 *
-	 * @return bool|WP_Error
-	 */
-	public function check_permission(): bool|WP_Error {
-		if ( ! current_user_can( 'manage_options' ) ) {
-			return new WP_Error(
-				'rest_forbidden',
-				__( 'You do not have permission to perform this action.', 'vmfa-ai-organizer' ),
-				array( 'status' => 403 )
-			);
-		}
-		return true;
-	}
 
-	/**
-	 * Start a scan.
-	 *
-	 * @param WP_REST_Request $request Request object.
-	 * @return WP_REST_Response|WP_Error
+		// Compare a backup snapshot with the current folders.
+		register_rest_route(
+			$this->namespace,
+			'/backup/(?P<id>[a-zA-Z0-9-]+)/diff',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_snapshot_diff' ),
+					'permission_callback' => array( $this, 'check_permission' ),
+				),
+			)
+		);
+
+		// Upload a backup file as a new snapshot.
+		register_rest_route(
+			$this->namespace,
+			'/backup/upload',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'upload_snapshot' ),
+					'permission_callback' => array( $this, 'check_permission' ),
+					'args'                => array(
+						'content' => array(
+							'required'    => true,
+							'type'        => 'string',
+							'description' => __( 'Backup file contents (JSON).', 'vmfa-ai-organizer' ),
+						),
+					),
+				),
+			)
+		);
+
+		// Restore from backup.
+		register_rest_route(
+			$this->namespace,
+			'/restore',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'restore_backup' ),
+					'permission_callback' => array( $this, 'check_permission' ),
+					'args'                => array(
+						'id' => array(
+							'required'    => false,
+							'type'        => 'string',
+							'default'     => '',
+							'description' => __( 'Snapshot to restore. Defaults to the newest snapshot.', 'vmfa-ai-organizer' ),
+						),
+						'folders' => array(
+							'required'    => false,
+							'type'        => 'array',
+							'items'       => array( 'type' => 'integer' ),
+							'default'     => array(),
+							'description' => __( 'Snapshot folder IDs to restore. Restores everything when empty.', 'vmfa-ai-organizer' ),
+						),
+					),
+				),
+			)
+		);
+
+		// List past scan runs.
+		register_rest_route(
+			$this->namespace,
+			'/history',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_history' ),
+					'permission_callback' => array( $this, 'check_permission' ),
+				),
+			)
+		);
+
+		// Get or delete a single run with its results.
+		register_rest_route(
+			$this->namespace,
+			'/history/(?P<id>[a-zA-Z0-9-]+)',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_history_run' ),
+					'permission_callback' => array( $this, 'check_permission' ),
+					'args'                => array(
+						'page'     => array(
+							'required'          => false,
+							'type'              => 'integer',
+							'default'           => 1,
+							'minimum'           => 1,
+							'description'       => __( 'Page of results to return.', 'vmfa-ai-organizer' ),
+							'sanitize_callback' => 'absint',
+						),
+						'per_page' => array(
+							'required'          => false,
+							'type'              => 'integer',
+							'default'           => 50,
+							'minimum'           => 1,
+							'maximum'           => 500,
+							'description'       => __( 'Number of results per page.', 'vmfa-ai-organizer' ),
+							'sanitize_callback' => 'absint',
+						),
+					),
+				),
+				array(
+					'methods'             => WP_REST_Server::DELETABLE,
+					'callback'            => array( $this, 'delete_history_run' ),
+					'permission_callback' => array( $this, 'check_permission' ),
+				),
+			)
+		);
+
+		// List results waiting for review.
+		register_rest_route(
+			$this->namespace,
+			'/review',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_review_queue' ),
+					'permission_callback' => array( $this, 'check_permission' ),
+				),
+			)
+		);
+
+		// Approve queued results, optionally re-targeted.
+		register_rest_route(
+			$this->namespace,
+			'/review/approve',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'approve_review_items' ),
+					'permission_callback' => array( $this, 'check_permission' ),
+					'args'                => array(
+						'items' => array(
+							'required'    => true,
+							'type'        => 'array',
+							'description' => __( 'Queued results to apply, with optional target folder overrides.', 'vmfa-ai-organizer' ),
+							'items'       => $this->get_target_item_schema(),
+						),
+					),
+				),
+			)
+		);
+
+		// Reject queued results.
+		register_rest_route(
+			$this->namespace,
+			'/review/reject',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'reject_review_items' ),
+					'permission_callback' => array( $this, 'check_permission' ),
+					'args'                => array(
+						'ids' => array(
+							'required'    => true,
+							'type'        => 'array',
+							'description' => __( 'Attachment IDs whose suggestions to discard.', 'vmfa-ai-organizer' ),
+							'items'       => array( 'type' => 'integer' ),
+						),
+					),
+				),
+			)
+		);
+
+		// List or create scan schedules.
+		register_rest_route(
+			$this->namespace,
+			'/schedules',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_schedules' ),
+					'permission_callback' => array( $this, 'check_permission' ),
+				),
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'save_schedule' ),
+					'permission_callback' => array( $this, 'check_permission' ),
+					'args'                => array_merge( $this->get_schedule_args(), $this->get_scope_args() ),
+				),
+			)
+		);
+
+		// Update or delete a scan schedule.
+		register_rest_route(
+			$this->namespace,
+			'/schedules/(?P<id>[a-zA-Z0-9-]+)',
+			array(
+				array(
+					'methods'             => WP_REST_Server::EDITABLE,
+					'callback'            => array( $this, 'save_schedule' ),
+					'permission_callback' => array( $this, 'check_permission' ),
+					'args'                => array_merge( $this->get_schedule_args(), $this->get_scope_args() ),
+				),
+				array(
+					'methods'             => WP_REST_Server::DELETABLE,
+					'callback'            => array( $this, 'delete_schedule' ),
+					'permission_callback' => array( $this, 'check_permission' ),
+				),
+			)
+		);
+
+		// Get existing folders.
+		register_rest_route(
+			$this->namespace,
+			'/folders',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_folders' ),
+					'permission_callback' => array( $this, 'check_permission' ),
+				),
+			)
+		);
+
+		// Get statistics.
+		register_rest_route(
+			$this->namespace,
+			'/stats',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_stats' ),
+					'permission_callback' => array( $this, 'check_permission' ),
+				),
+			)
+		);
+	}
+
+	/**
+	 * Get the schema for an item that targets a cached result.
+	 *
+	 * @return array<string, mixed>
+	 */
+	private function get_target_item_schema(): array {
+		return array(
+			'type'       => 'object',
+			'properties' => array(
+				'attachment_id'   => array(
+					'type'     => 'integer',
+					'required' => true,
+				),
+				'folder_id'       => array(
+					'type' => 'integer',
+				),
+				'new_folder_path' => array(
+					'type' => 'string',
+				),
+			),
+		);
+	}
+
+	/**
+	 * Get the arguments of a scan schedule.
+	 *
+	 * None are required, so an update can send only the fields it changes.
+	 *
+	 * @return array<string, array<string, mixed>>
+	 */
+	private function get_schedule_args(): array {
+		$time_pattern = '^([01][0-9]|2[0-3]):[0-5][0-9]$';
+
+		return array(
+			'mode'         => array(
+				'required'          => false,
+				'type'              => 'string',
+				'enum'              => $this->scanner_service->get_valid_modes(),
+				'description'       => __( 'Scan mode.', 'vmfa-ai-organizer' ),
+				'sanitize_callback' => 'sanitize_key',
+			),
+			'dry_run'      => array(
+				'required'    => false,
+				'type'        => 'boolean',
+				'description' => __( 'Whether scheduled runs only preview.', 'vmfa-ai-organizer' ),
+			),
+			'frequency'    => array(
+				'required'    => false,
+				'type'        => 'string',
+				'enum'        => array( 'daily', 'weekly', 'custom' ),
+				'description' => __( 'How often the scan runs.', 'vmfa-ai-organizer' ),
+			),
+			'time'         => array(
+				'required'    => false,
+				'type'        => 'string',
+				'pattern'     => $time_pattern,
+				'description' => __( 'Time of day for daily and weekly runs (HH:MM, site time).', 'vmfa-ai-organizer' ),
+			),
+			'day'          => array(
+				'required'    => false,
+				'type'        => 'integer',
+				'minimum'     => 0,
+				'maximum'     => 6,
+				'description' => __( 'Day of the week for weekly runs (0 = Sunday).', 'vmfa-ai-organizer' ),
+			),
+			'cron'         => array(
+				'required'          => false,
+				'type'              => 'string',
+				'description'       => __( 'Cron expression for custom runs (UTC).', 'vmfa-ai-organizer' ),
+				'sanitize_callback' => 'sanitize_text_field',
+			),
+			'window_start' => array(
+				'required'    => false,
+				'type'        => 'string',
+				'description' => __( 'Start of the time window (HH:MM, site time), or empty for none.', 'vmfa-ai-organizer' ),
+			),
+			'window_end'   => array(
+				'required'    => false,
+				'type'        => 'string',
+				'description' => __( 'End of the time window (HH:MM, site time), or empty for none.', 'vmfa-ai-organizer' ),
+			),
+			'enabled'      => array(
+				'required'    => false,
+				'type'        => 'boolean',
+				'description' => __( 'Whether the schedule runs.', 'vmfa-ai-organizer' ),
+			),
+		);
+	}
+
+	/**
+	 * Get the arguments that limit a scan to part of the library.
+	 *
+	 * @return array<string, array<string, mixed>>
+	 */
+	private function get_scope_args(): array {
+		return array(
+			'date_from'      => array(
+				'required'    => false,
+				'type'        => 'string',
+				'pattern'     => '^(\\d{4}-\\d{2}-\\d{2})?$',
+				'description' => __( 'Only media uploaded on or after this date (YYYY-MM-DD).', 'vmfa-ai-organizer' ),
+			),
+			'date_to'        => array(
+				'required'    => false,
+				'type'        => 'string',
+				'pattern'     => '^(\\d{4}-\\d{2}-\\d{2})?$',
+				'description' => __( 'Only media uploaded on or before this date (YYYY-MM-DD).', 'vmfa-ai-organizer' ),
+			),
+			'mime_type'      => array(
+				'required'          => false,
+				'type'              => 'string',
+				'description'       => __( 'Only media of this MIME type, e.g. image/png, or type group, e.g. image.', 'vmfa-ai-organizer' ),
+				'sanitize_callback' => 'sanitize_mime_type',
+			),
+			'author'         => array(
+				'required'          => false,
+				'type'              => 'integer',
+				'description'       => __( 'Only media uploaded by this user.', 'vmfa-ai-organizer' ),
+				'sanitize_callback' => 'absint',
+			),
+			'folder'         => array(
+				'required'          => false,
+				'type'              => 'integer',
+				'description'       => __( 'Only media in this folder or its subfolders.', 'vmfa-ai-organizer' ),
+				'sanitize_callback' => 'absint',
+			),
+			'attachment_ids' => array(
+				'required'    => false,
+				'type'        => 'array',
+				'items'       => array(
+					'type' => 'integer',
+				),
+				'description' => __( 'Only these attachments.', 'vmfa-ai-organizer' ),
+			),
+		);
+	}
+
+	/**
+	 * Collect the scope filters from a request.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return array<string, mixed>
+	 */
+	private function get_scope_from_request( WP_REST_Request $request ): array {
+		$scope = array();
+
+		foreach ( array_keys( $this->get_scope_args() ) as $key ) {
+			if ( null !== $request->get_param( $key ) ) {
+				$scope[ $key ] = $request->get_param( $key );
+			}
+		}
+
+		return $scope;
+	}
+
+	/**
+	 * Check if user has permission.
+	 *
+	 * @return bool|WP_Error
+	 */
+	public function check_permission(): bool|WP_Error {
+		if ( ! current_user_can( 'manage_options' ) ) {
+			return new WP_Error(
+				'rest_forbidden',
+				__( 'You do not have permission to perform this action.', 'vmfa-ai-organizer' ),
+				array( 'status' => 403 )
+			);
+		}
+		return true;
+	}
+
+	/**
+	 * Start a scan.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
 	 */
 	public function start_scan( WP_REST_Request $request ): WP_REST_Response|WP_Error {
 		$mode    = $request->get_param( 'mode' );
 		$dry_run = (bool) $request->get_param( 'dry_run' );
 
-		$result = $this->scanner_service->start_scan( $mode, $dry_run );
+		$result = $this->scanner_service->start_scan( $mode, $dry_run, $this->get_scope_from_request( $request ) );
+
+		if ( ! $result[ 'success' ] ) {
+			return new WP_Error(
+				'scan_error',
+				$result[ 'message' ],
+				array( 'status' => 400 )
+			);
+		}
+
+		return new WP_REST_Response(
+			array(
+				'success' => true,
+				'message' => $result[ 'message' ],
+				'total'   => $result[ 'total' ] ?? 0,
+			),
+			200
+		);
+	}
+
+	/**
+	 * Count the media a scan would process.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function count_scan_items( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$result = $this->scanner_service->count_scan_items(
+			(string) $request->get_param( 'mode' ),
+			$this->get_scope_from_request( $request )
+		);
+
+		if ( ! $result[ 'success' ] ) {
+			return new WP_Error(
+				'scope_error',
+				$result[ 'message' ],
+				array( 'status' => 400 )
+			);
+		}
+
+		return new WP_REST_Response(
+			array(
+				'count' => $result[ 'count' ],
+			),
+			200
+		);
+	}
+
+	/**
+	 * Get scan status.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function get_scan_status( WP_REST_Request $request ): WP_REST_Response {
+		$since = $request->get_param( 'since' );
+
+		return new WP_REST_Response(
+			$this->scanner_service->get_status(
+				null !== $since ? (int) $since : null,
+				(string) $request->get_param( 'run_id' )
+			),
+			200
+		);
+	}
+
+	/**
+	 * Undo the changes made by an applied run.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function undo_run( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$result = $this->scanner_service->undo_run( (string) $request->get_param( 'run_id' ) );
+
+		if ( ! $result[ 'success' ] ) {
+			return new WP_Error(
+				'undo_error',
+				$result[ 'message' ],
+				array( 'status' => 400 )
+			);
+		}
+
+		return new WP_REST_Response(
+			array(
+				'success'         => true,
+				'message'         => $result[ 'message' ],
+				'reverted'        => $result[ 'reverted' ],
+				'skipped'         => $result[ 'skipped' ],
+				'folders_removed' => $result[ 'folders_removed' ],
+			),
+			200
+		);
+	}
+
+	/**
+	 * Cancel a scan.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function cancel_scan(): WP_REST_Response|WP_Error {
+		$result = $this->scanner_service->cancel_scan();
+
+		if ( ! $result[ 'success' ] ) {
+			return new WP_Error(
+				'cancel_error',
+				$result[ 'message' ],
+				array( 'status' => 400 )
+			);
+		}
+
+		return new WP_REST_Response(
+			array(
+				'success' => true,
+				'message' => $result[ 'message' ],
+			),
+			200
+		);
+	}
+
+	/**
+	 * Reset scan progress.
+	 *
+	 * @return WP_REST_Response
+	 */
+	public function reset_scan(): WP_REST_Response {
+		$this->scanner_service->reset_progress();
+
+		return new WP_REST_Response(
+			array(
+				'success' => true,
+				'message' => __( 'Scan progress reset.', 'vmfa-ai-organizer' ),
+			),
+			200
+		);
+	}
+
+	/**
+	 * Apply cached dry-run results.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function apply_cached_results( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$mode      = $request->get_param( 'mode' );
+		$selection = array();
+
+		foreach ( array( 'items', 'exclude', 'overrides' ) as $key ) {
+			$value = $request->get_param( $key );
+			if ( is_array( $value ) ) {
+				$selection[ $key ] = $value;
+			}
+		}
+
+		$result = $this->scanner_service->apply_cached_results( $mode, $selection );
+
+		if ( ! $result[ 'success' ] ) {
+			return new WP_Error(
+				'apply_error',
+				$result[ 'message' ],
+				array( 'status' => 400 )
+			);
+		}
+
+		return new WP_REST_Response(
+			array(
+				'success' => true,
+				'message' => $result[ 'message' ],
+				'applied' => $result[ 'applied' ] ?? 0,
+				'failed'  => $result[ 'failed' ] ?? 0,
+			),
+			200
+		);
+	}
+
+	/**
+	 * Get cached dry-run results count.
+	 *
+	 * @return WP_REST_Response
+	 */
+	public function get_cached_count(): WP_REST_Response {
+		$count = $this->scanner_service->get_cached_results_count();
+
+		return new WP_REST_Response(
+			array(
+				'success' => true,
+				'count'   => $count,
+			),
+			200
+		);
+	}
+
+	/**
+	 * Get a page of cached dry-run results.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function get_cached_results( WP_REST_Request $request ): WP_REST_Response {
+		$page = $this->scanner_service->query_cached_results(
+			array(
+				'page'       => (int) $request->get_param( 'page' ),
+				'per_page'   => (int) $request->get_param( 'per_page' ),
+				'orderby'    => (string) $request->get_param( 'orderby' ),
+				'order'      => (string) $request->get_param( 'order' ),
+				'search'     => (string) $request->get_param( 'search' ),
+				'action'     => (string) $request->get_param( 'action' ),
+				'confidence' => (string) $request->get_param( 'confidence' ),
+				'folder'     => (string) $request->get_param( 'folder' ),
+			)
+		);
+
+		return new WP_REST_Response(
+			array(
+				'success'  => true,
+				'results'  => $page[ 'results' ],
+				'count'    => $page[ 'total' ],
+				'total'    => $page[ 'total' ],
+				'pages'    => $page[ 'pages' ],
+				'page'     => $page[ 'page' ],
+				'per_page' => $page[ 'per_page' ],
+				'summary'  => $this->scanner_service->get_cached_results_summary(),
+			),
+			200
+		);
+	}
+
+	/**
+	 * Export the full dry-run cache as a file download.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function export_cached_results( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		if ( 0 === $this->scanner_service->get_cached_results_count() ) {
+			return new WP_Error(
+				'export_error',
+				__( 'No cached preview results found.', 'vmfa-ai-organizer' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		$format   = (string) $request->get_param( 'format' );
+		$filename = sprintf( 'vmfa-preview-%s.%s', gmdate( 'Y-m-d-His' ), $format );
+
+		$response = new WP_REST_Response( $this->scanner_service->export_cached_results( $format ), 200 );
+		$response->header( 'Content-Type', ( 'json' === $format ? 'application/json' : 'text/csv' ) . '; charset=utf-8' );
+		$response->header( 'Content-Disposition', 'attachment; filename="' . $filename . '"' );
+
+		return $response;
+	}
+
+	/**
+	 * Import an edited result set as the dry-run cache.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function import_results( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$result = $this->scanner_service->import_results(
+			(string) $request->get_param( 'content' ),
+			(string) $request->get_param( 'format' )
+		);
+
+		if ( ! $result[ 'success' ] ) {
+			return new WP_Error(
+				'import_error',
+				$result[ 'message' ],
+				array(
+					'status' => 400,
+					'errors' => $result[ 'errors' ] ?? array(),
+				)
+			);
+		}
+
+		return new WP_REST_Response(
+			array(
+				'success'  => true,
+				'message'  => $result[ 'message' ],
+				'imported' => $result[ 'imported' ],
+				'errors'   => $result[ 'errors' ],
+			),
+			200
+		);
+	}
+
+	/**
+	 * Send dry-run exports as raw files instead of JSON-encoded strings.
+	 *
+	 * @param bool             $served  Whether the request has already been served.
+	 * @param WP_REST_Response $result  Result to send to the client.
+	 * @param WP_REST_Request  $request Request used to generate the response.
+	 * @param WP_REST_Server   $server  Server instance.
+	 * @return bool
+	 */
+	public function serve_export( $served, $result, $request, $server ): bool {
+		if ( $served || '/' . $this->namespace . '/scan/cached-results/export' !== $request->get_route() || $result->is_error() ) {
+			return (bool) $served;
+		}
+
+		echo $result->get_data(); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- CSV/JSON file download.
+
+		return true;
+	}
+
+	/**
+	 * Get the proposed folder tree for cached dry-run results.
+	 *
+	 * @return WP_REST_Response
+	 */
+	public function get_cached_tree(): WP_REST_Response {
+		return new WP_REST_Response(
+			array(
+				'success' => true,
+				'tree'    => $this->scanner_service->get_cached_results_tree(),
+			),
+			200
+		);
+	}
+
+	/**
+	 * Rename or merge proposed new folders in the dry-run cache.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function merge_cached_folders( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$result = $this->scanner_service->merge_cached_folders(
+			(array) $request->get_param( 'sources' ),
+			(string) $request->get_param( 'target_path' ),
+			(int) $request->get_param( 'folder_id' )
+		);
+
+		if ( ! $result[ 'success' ] ) {
+			return new WP_Error(
+				'merge_error',
+				$result[ 'message' ],
+				array( 'status' => 400 )
+			);
+		}
+
+		return new WP_REST_Response(
+			array(
+				'success' => true,
+				'message' => $result[ 'message' ],
+				'updated' => $result[ 'updated' ],
+			),
+			200
+		);
+	}
+
+	/**
+	 * Analyze a single media item.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function analyze_media( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$attachment_id = (int) $request->get_param( 'id' );
+
+		$attachment = get_post( $attachment_id );
+		if ( ! $attachment || 'attachment' !== $attachment->post_type ) {
+			return new WP_Error(
+				'invalid_attachment',
+				__( 'Invalid attachment ID.', 'vmfa-ai-organizer' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		$result = $this->analysis_service->analyze_media( $attachment_id );
+
+		return new WP_REST_Response( $result, 200 );
+	}
+
+	/**
+	 * Apply an analysis result.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function apply_result( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$attachment_id   = (int) $request->get_param( 'id' );
+		$folder_id       = $request->get_param( 'folder_id' );
+		$new_folder_path = $request->get_param( 'new_folder_path' );
+
+		$attachment = get_post( $attachment_id );
+		if ( ! $attachment || 'attachment' !== $attachment->post_type ) {
+			return new WP_Error(
+				'invalid_attachment',
+				__( 'Invalid attachment ID.', 'vmfa-ai-organizer' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		// Determine action based on provided parameters.
+		if ( ! empty( $folder_id ) ) {
+			$success = $this->analysis_service->assign_to_folder( $attachment_id, (int) $folder_id );
+		} elseif ( ! empty( $new_folder_path ) ) {
+			$new_folder_id = $this->analysis_service->create_folder_from_path( $new_folder_path );
+			if ( $new_folder_id ) {
+				$success = $this->analysis_service->assign_to_folder( $attachment_id, $new_folder_id );
+			} else {
+				$success = false;
+			}
+		} else {
+			return new WP_Error(
+				'missing_folder',
+				__( 'Either folder_id or new_folder_path is required.', 'vmfa-ai-organizer' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		if ( ! $success ) {
+			return new WP_Error(
+				'apply_failed',
+				__( 'Failed to apply folder assignment.', 'vmfa-ai-organizer' ),
+				array( 'status' => 500 )
+			);
+		}
+
+		return new WP_REST_Response(
+			array(
+				'success' => true,
+				'message' => __( 'Folder assignment applied.', 'vmfa-ai-organizer' ),
+			),
+			200
+		);
+	}
+
+	/**
+	 * Send a sample image through an AI provider.
+	 *
+	 * A provider that answers with an error still returns 200, with the raw
+	 * error and latency in the body.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function test_provider( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$result = $this->provider_test_service->test( (string) $request->get_param( 'provider' ) );
+
+		if ( ! isset( $result[ 'latency_ms' ] ) ) {
+			return new WP_Error(
+				'provider_test_error',
+				$result[ 'message' ],
+				array( 'status' => 400 )
+			);
+		}
+
+		return new WP_REST_Response( $result, 200 );
+	}
+
+	/**
+	 * List the configured providers for a comparison.
+	 *
+	 * Checking local providers takes a request to their server, so this is
+	 * only done when the comparison tool asks.
+	 *
+	 * @return WP_REST_Response
+	 */
+	public function get_comparison_providers(): WP_REST_Response {
+		return new WP_REST_Response(
+			array(
+				'providers' => ProviderFactory::get_configured_providers(),
+			),
+			200
+		);
+	}
+
+	/**
+	 * Draw sample images for a provider comparison.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function get_comparison_sample( WP_REST_Request $request ): WP_REST_Response {
+		return new WP_REST_Response(
+			array(
+				'items' => $this->comparison_service->get_sample( (int) $request->get_param( 'count' ) ),
+			),
+			200
+		);
+	}
+
+	/**
+	 * Run one image through several providers.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function compare_providers( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$result = $this->comparison_service->compare(
+			(int) $request->get_param( 'attachment_id' ),
+			(array) $request->get_param( 'providers' )
+		);
 
 		if ( ! $result[ 'success' ] ) {
 			return new WP_Error(
-				'scan_error',
+				'compare_error',
 				$result[ 'message' ],
 				array( 'status' => 400 )
 			);
 		}
 
+		return new WP_REST_Response( $result, 200 );
+	}
+
+	/**
+	 * Get backup information.
+	 *
+	 * @return WP_REST_Response
+	 */
+	public function get_backup(): WP_REST_Response {
+		$info                = $this->backup_service->get_backup_info();
+		$info[ 'snapshots' ] = $this->backup_service->get_snapshots();
+
+		return new WP_REST_Response( $info, 200 );
+	}
+
+	/**
+	 * Create a backup snapshot.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function create_snapshot( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$snapshot = $this->backup_service->create_snapshot( (string) $request->get_param( 'label' ) );
+
+		if ( null === $snapshot ) {
+			return new WP_Error(
+				'snapshot_failed',
+				__( 'Failed to create snapshot.', 'vmfa-ai-organizer' ),
+				array( 'status' => 500 )
+			);
+		}
+
 		return new WP_REST_Response(
 			array(
-				'success' => true,
-				'message' => $result[ 'message' ],
-				'total'   => $result[ 'total' ] ?? 0,
+				'success'  => true,
+				'message'  => __( 'Snapshot created.', 'vmfa-ai-organizer' ),
+				'snapshot' => $snapshot,
 			),
 			200
 		);
 	}
 
 	/**
-	 * Get scan status.
+	 * Delete a single backup snapshot.
 	 *
-	 * @return WP_REST_Response
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
 	 */
-	public function get_scan_status(): WP_REST_Response {
-		$progress = $this->scanner_service->get_progress();
-
-		// Ensure processed never exceeds total (safety cap).
-		$processed = min( $progress[ 'processed' ], $progress[ 'total' ] );
-
-		// Calculate percentage (capped at 100%).
-		$percentage = 0;
-		if ( $progress[ 'total' ] > 0 ) {
-			$percentage = min( 100, round( ( $processed / $progress[ 'total' ] ) * 100, 1 ) );
+	public function delete_snapshot( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		if ( ! $this->backup_service->delete_snapshot( (string) $request->get_param( 'id' ) ) ) {
+			return new WP_Error(
+				'no_backup',
+				__( 'Snapshot not found.', 'vmfa-ai-organizer' ),
+				array( 'status' => 404 )
+			);
 		}
 
 		return new WP_REST_Response(
 			array(
-				'status'       => $progress[ 'status' ],
-				'mode'         => $progress[ 'mode' ],
-				'dry_run'      => $progress[ 'dry_run' ],
-				'total'        => $progress[ 'total' ],
-				'processed'    => $processed,
-				'percentage'   => $percentage,
-				'applied'      => $progress[ 'applied' ] ?? 0,
-				'failed'       => $progress[ 'failed' ] ?? 0,
-				'results'      => $progress[ 'results' ],
-				'started_at'   => $progress[ 'started_at' ],
-				'completed_at' => $progress[ 'completed_at' ] ?? null,
-				'error'        => $progress[ 'error' ],
+				'success' => true,
+				'message' => __( 'Snapshot deleted.', 'vmfa-ai-organizer' ),
 			),
 			200
 		);
 	}
 
 	/**
-	 * Cancel a scan.
+	 * Download a backup snapshot as a versioned JSON file.
 	 *
+	 * @param WP_REST_Request $request Request object.
 	 * @return WP_REST_Response|WP_Error
 	 */
-	public function cancel_scan(): WP_REST_Response|WP_Error {
-		$result = $this->scanner_service->cancel_scan();
+	public function download_snapshot( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$file = $this->backup_service->export_file( (string) $request->get_param( 'id' ) );
+
+		if ( null === $file ) {
+			return new WP_Error(
+				'no_backup',
+				__( 'Snapshot not found.', 'vmfa-ai-organizer' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		$filename = sprintf( 'vmfa-backup-%s.json', gmdate( 'Y-m-d-His', (int) ( $file[ 'timestamp' ] ?? time() ) ) );
+
+		$response = new WP_REST_Response( $file, 200 );
+		$response->header( 'Content-Disposition', 'attachment; filename="' . $filename . '"' );
+
+		return $response;
+	}
+
+	/**
+	 * Get the changes restoring a backup snapshot would make.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function get_snapshot_diff( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$diff = $this->backup_service->get_diff( (string) $request->get_param( 'id' ) );
+
+		if ( null === $diff ) {
+			return new WP_Error(
+				'no_backup',
+				__( 'Snapshot not found.', 'vmfa-ai-organizer' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		return new WP_REST_Response( $diff, 200 );
+	}
+
+	/**
+	 * Store an uploaded backup file as a new snapshot.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function upload_snapshot( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$result = $this->backup_service->import_file( (string) $request->get_param( 'content' ) );
 
 		if ( ! $result[ 'success' ] ) {
 			return new WP_Error(
-				'cancel_error',
+				'backup_import_error',
 				$result[ 'message' ],
 				array( 'status' => 400 )
 			);
@@ -382,231 +1718,290 @@ class AnalysisController extends WP_REST_Controller {
 
 		return new WP_REST_Response(
 			array(
-				'success' => true,
-				'message' => $result[ 'message' ],
+				'success'  => true,
+				'message'  => $result[ 'message' ],
+				'snapshot' => $result[ 'snapshot' ],
+				'remapped' => $result[ 'remapped' ],
+				'missing'  => $result[ 'missing' ],
 			),
 			200
 		);
 	}
 
 	/**
-	 * Reset scan progress.
+	 * Delete backup.
 	 *
 	 * @return WP_REST_Response
 	 */
-	public function reset_scan(): WP_REST_Response {
-		$this->scanner_service->reset_progress();
+	public function delete_backup(): WP_REST_Response {
+		$this->backup_service->cleanup();
 
 		return new WP_REST_Response(
 			array(
 				'success' => true,
-				'message' => __( 'Scan progress reset.', 'vmfa-ai-organizer' ),
+				'message' => __( 'Backup deleted.', 'vmfa-ai-organizer' ),
 			),
 			200
 		);
 	}
 
 	/**
-	 * Apply cached dry-run results.
+	 * Restore from a backup snapshot.
 	 *
 	 * @param WP_REST_Request $request Request object.
 	 * @return WP_REST_Response|WP_Error
 	 */
-	public function apply_cached_results( WP_REST_Request $request ): WP_REST_Response|WP_Error {
-		$mode = $request->get_param( 'mode' );
+	public function restore_backup( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$id = (string) $request->get_param( 'id' );
+
+		if ( ! $this->backup_service->has_backup() || ( '' !== $id && null === $this->backup_service->get_snapshot( $id ) ) ) {
+			return new WP_Error(
+				'no_backup',
+				__( 'No backup available to restore.', 'vmfa-ai-organizer' ),
+				array( 'status' => 404 )
+			);
+		}
 
-		$result = $this->scanner_service->apply_cached_results( $mode );
+		$result = $this->backup_service->restore( $id, (array) $request->get_param( 'folders' ) );
 
 		if ( ! $result[ 'success' ] ) {
 			return new WP_Error(
-				'apply_error',
-				$result[ 'message' ],
-				array( 'status' => 400 )
+				'restore_failed',
+				$result[ 'error' ],
+				array( 'status' => 500 )
 			);
 		}
 
 		return new WP_REST_Response(
 			array(
-				'success' => true,
-				'message' => $result[ 'message' ],
-				'applied' => $result[ 'applied' ] ?? 0,
-				'failed'  => $result[ 'failed' ] ?? 0,
+				'success'              => true,
+				'message'              => __( 'Backup restored successfully.', 'vmfa-ai-organizer' ),
+				'folders_restored'     => $result[ 'folders_restored' ],
+				'assignments_restored' => $result[ 'assignments_restored' ],
 			),
 			200
 		);
 	}
 
 	/**
-	 * Get cached dry-run results count.
+	 * List past scan runs, newest first.
 	 *
 	 * @return WP_REST_Response
 	 */
-	public function get_cached_count(): WP_REST_Response {
-		$count = $this->scanner_service->get_cached_results_count();
-
+	public function get_history(): WP_REST_Response {
 		return new WP_REST_Response(
 			array(
-				'success' => true,
-				'count'   => $count,
+				'runs' => $this->history_service->get_runs(),
 			),
 			200
 		);
 	}
 
 	/**
-	 * Get cached dry-run results.
+	 * Get a past scan run with a page of its results.
 	 *
-	 * @return WP_REST_Response
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
 	 */
-	public function get_cached_results(): WP_REST_Response {
-		$results = $this->scanner_service->get_cached_results();
+	public function get_history_run( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$id  = (string) $request->get_param( 'id' );
+		$run = $this->history_service->get_run( $id );
+
+		if ( null === $run ) {
+			return new WP_Error(
+				'no_run',
+				__( 'Run not found.', 'vmfa-ai-organizer' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		$page = $this->history_service->get_results(
+			$id,
+			(int) $request->get_param( 'page' ),
+			(int) $request->get_param( 'per_page' )
+		);
 
 		return new WP_REST_Response(
 			array(
-				'success' => true,
-				'results' => $results,
-				'count'   => count( $results ),
+				'run'      => $run,
+				'results'  => $page[ 'results' ],
+				'total'    => $page[ 'total' ],
+				'pages'    => $page[ 'pages' ],
+				'page'     => $page[ 'page' ],
+				'per_page' => $page[ 'per_page' ],
 			),
 			200
 		);
 	}
 
 	/**
-	 * Analyze a single media item.
+	 * Delete a past scan run.
 	 *
 	 * @param WP_REST_Request $request Request object.
 	 * @return WP_REST_Response|WP_Error
 	 */
-	public function analyze_media( WP_REST_Request $request ): WP_REST_Response|WP_Error {
-		$attachment_id = (int) $request->get_param( 'id' );
-
-		$attachment = get_post( $attachment_id );
-		if ( ! $attachment || 'attachment' !== $attachment->post_type ) {
+	public function delete_history_run( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		if ( ! $this->history_service->delete_run( (string) $request->get_param( 'id' ) ) ) {
 			return new WP_Error(
-				'invalid_attachment',
-				__( 'Invalid attachment ID.', 'vmfa-ai-organizer' ),
+				'no_run',
+				__( 'Run not found.', 'vmfa-ai-organizer' ),
 				array( 'status' => 404 )
 			);
 		}
 
-		$result = $this->analysis_service->analyze_media( $attachment_id );
+		return new WP_REST_Response(
+			array(
+				'success' => true,
+				'message' => __( 'Run deleted.', 'vmfa-ai-organizer' ),
+			),
+			200
+		);
+	}
 
-		return new WP_REST_Response( $result, 200 );
+	/**
+	 * List results waiting for review, newest first.
+	 *
+	 * @return WP_REST_Response
+	 */
+	public function get_review_queue(): WP_REST_Response {
+		return new WP_REST_Response(
+			array(
+				'items' => $this->review_queue->get_items(),
+			),
+			200
+		);
 	}
 
 	/**
-	 * Apply an analysis result.
+	 * Apply queued results.
 	 *
 	 * @param WP_REST_Request $request Request object.
 	 * @return WP_REST_Response|WP_Error
 	 */
-	public function apply_result( WP_REST_Request $request ): WP_REST_Response|WP_Error {
-		$attachment_id   = (int) $request->get_param( 'id' );
-		$folder_id       = $request->get_param( 'folder_id' );
-		$new_folder_path = $request->get_param( 'new_folder_path' );
+	public function approve_review_items( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$result = $this->review_queue->approve( (array) $request->get_param( 'items' ) );
 
-		$attachment = get_post( $attachment_id );
-		if ( ! $attachment || 'attachment' !== $attachment->post_type ) {
+		if ( ! $result[ 'success' ] ) {
 			return new WP_Error(
-				'invalid_attachment',
-				__( 'Invalid attachment ID.', 'vmfa-ai-organizer' ),
-				array( 'status' => 404 )
+				'review_error',
+				$result[ 'message' ],
+				array( 'status' => 400 )
 			);
 		}
 
-		// Determine action based on provided parameters.
-		if ( ! empty( $folder_id ) ) {
-			$success = $this->analysis_service->assign_to_folder( $attachment_id, (int) $folder_id );
-		} elseif ( ! empty( $new_folder_path ) ) {
-			$new_folder_id = $this->analysis_service->create_folder_from_path( $new_folder_path );
-			if ( $new_folder_id ) {
-				$success = $this->analysis_service->assign_to_folder( $attachment_id, $new_folder_id );
-			} else {
-				$success = false;
-			}
-		} else {
+		return new WP_REST_Response( $result, 200 );
+	}
+
+	/**
+	 * Discard queued results.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function reject_review_items( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$result = $this->review_queue->reject( (array) $request->get_param( 'ids' ) );
+
+		if ( ! $result[ 'success' ] ) {
 			return new WP_Error(
-				'missing_folder',
-				__( 'Either folder_id or new_folder_path is required.', 'vmfa-ai-organizer' ),
+				'review_error',
+				$result[ 'message' ],
 				array( 'status' => 400 )
 			);
 		}
 
-		if ( ! $success ) {
-			return new WP_Error(
-				'apply_failed',
-				__( 'Failed to apply folder assignment.', 'vmfa-ai-organizer' ),
-				array( 'status' => 500 )
-			);
-		}
+		return new WP_REST_Response( $result, 200 );
+	}
 
+	/**
+	 * List scan schedules with their next and last run.
+	 *
+	 * @return WP_REST_Response
+	 */
+	public function get_schedules(): WP_REST_Response {
 		return new WP_REST_Response(
 			array(
-				'success' => true,
-				'message' => __( 'Folder assignment applied.', 'vmfa-ai-organizer' ),
+				'schedules' => $this->schedule_service->get_schedules(),
 			),
 			200
 		);
 	}
 
 	/**
-	 * Get backup information.
+	 * Create a scan schedule, or update the one in the route.
 	 *
-	 * @return WP_REST_Response
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
 	 */
-	public function get_backup(): WP_REST_Response {
-		$info = $this->backup_service->get_backup_info();
+	public function save_schedule( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$data = array();
 
-		return new WP_REST_Response( $info, 200 );
+		foreach ( array_keys( $this->get_schedule_args() ) as $key ) {
+			if ( null !== $request->get_param( $key ) ) {
+				$data[ $key ] = $request->get_param( $key );
+			}
+		}
+
+		$scope = $this->get_scope_from_request( $request );
+		if ( ! empty( $scope ) ) {
+			$data[ 'scope' ] = $scope;
+		}
+
+		$result = $this->schedule_service->save_schedule( $data, (string) $request->get_param( 'id' ) );
+
+		if ( ! $result[ 'success' ] ) {
+			return new WP_Error(
+				'schedule_error',
+				$result[ 'message' ],
+				array( 'status' => 400 )
+			);
+		}
+
+		return new WP_REST_Response( $result, 200 );
 	}
 
 	/**
-	 * Delete backup.
+	 * Delete a scan schedule.
 	 *
-	 * @return WP_REST_Response
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
 	 */
-	public function delete_backup(): WP_REST_Response {
-		$this->backup_service->cleanup();
+	public function delete_schedule( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		if ( ! $this->schedule_service->delete_schedule( (string) $request->get_param( 'id' ) ) ) {
+			return new WP_Error(
+				'no_schedule',
+				__( 'Schedule not found.', 'vmfa-ai-organizer' ),
+				array( 'status' => 404 )
+			);
+		}
 
 		return new WP_REST_Response(
 			array(
 				'success' => true,
-				'message' => __( 'Backup deleted.', 'vmfa-ai-organizer' ),
+				'message' => __( 'Schedule deleted.', 'vmfa-ai-organizer' ),
 			),
 			200
 		);
 	}
 
 	/**
-	 * Restore from backup.
+	 * Get existing folders as full paths.
 	 *
-	 * @return WP_REST_Response|WP_Error
+	 * @return WP_REST_Response
 	 */
-	public function restore_backup(): WP_REST_Response|WP_Error {
-		if ( ! $this->backup_service->has_backup() ) {
-			return new WP_Error(
-				'no_backup',
-				__( 'No backup available to restore.', 'vmfa-ai-organizer' ),
-				array( 'status' => 404 )
-			);
-		}
-
-		$result = $this->backup_service->restore();
+	public function get_folders(): WP_REST_Response {
+		$folders = array();
 
-		if ( ! $result[ 'success' ] ) {
-			return new WP_Error(
-				'restore_failed',
-				$result[ 'error' ],
-				array( 'status' => 500 )
+		foreach ( $this->analysis_service->get_folder_paths( true ) as $path => $term_id ) {
+			$folders[] = array(
+				'id'   => (int) $term_id,
+				'path' => (string) $path,
 			);
 		}
 
 		return new WP_REST_Response(
 			array(
-				'success'              => true,
-				'message'              => __( 'Backup restored successfully.', 'vmfa-ai-organizer' ),
-				'folders_restored'     => $result[ 'folders_restored' ],
-				'assignments_restored' => $result[ 'assignments_restored' ],
+				'success' => true,
+				'folders' => $folders,
 			),
 			200
 		);
@@ -0,0 +1,327 @@
+<?php
+/**
+ * REST controller for cloud AI provider model listing.
+ *
+ * Provides endpoints to list the models of OpenAI, Anthropic, Gemini and Grok
+ * for the settings page dynamic UI, flagging the ones that accept images.
+ *
+ * @package VmfaAiOrganizer
+ */
+
+declare(strict_types=1);
+
+namespace VmfaAiOrganizer\REST;
+
+use VmfaAiOrganizer\Plugin;
+
+/**
+ * REST controller for cloud model listing.
+ */
+class CloudModelsController {
+
+	/**
+	 * REST namespace.
+	 *
+	 * @var string
+	 */
+	private string $namespace = 'vmfa/v1';
+
+	/**
+	 * Model listing URLs by provider.
+	 */
+	private const MODELS_URLS = array(
+		'openai'    => 'https://api.openai.com/v1/models',
+		'anthropic' => 'https://api.anthropic.com/v1/models?limit=1000',
+		'gemini'    => 'https://generativelanguage.googleapis.com/v1beta/models?pageSize=1000',
+		'grok'      => 'https://api.x.ai/v1/language-models',
+	);
+
+	/**
+	 * OpenAI model ID fragments that mark models which cannot chat.
+	 */
+	private const OPENAI_EXCLUDED = array( 'embedding', 'whisper', 'tts', 'dall-e', 'davinci', 'babbage', 'moderation', 'audio', 'realtime', 'transcribe', 'search', 'image' );
+
+	/**
+	 * OpenAI model ID prefixes that accept images.
+	 */
+	private const OPENAI_VISION_PREFIXES = array( 'gpt-4o', 'chatgpt-4o', 'gpt-4.1', 'gpt-4-turbo', 'gpt-4-vision', 'gpt-4.5', 'gpt-5', 'o1', 'o3', 'o4' );
+
+	/**
+	 * Register cloud model endpoints.
+	 *
+	 * @return void
+	 */
+	public function register(): void {
+		add_action( 'rest_api_init', array( $this, 'register_routes' ) );
+	}
+
+	/**
+	 * Register REST routes.
+	 *
+	 * @return void
+	 */
+	public function register_routes(): void {
+		register_rest_route(
+			$this->namespace,
+			'/(?P<provider>openai|anthropic|gemini|grok)-models',
+			array(
+				'methods'             => 'POST',
+				'callback'            => array( $this, 'get_models' ),
+				'permission_callback' => array( $this, 'check_permission' ),
+				'args'                => array(
+					'provider' => array(
+						'type'     => 'string',
+						'required' => true,
+						'enum'     => array_keys( self::MODELS_URLS ),
+					),
+					'api_key'  => array(
+						'type'              => 'string',
+						'required'          => false,
+						'default'           => '',
+						'description'       => __( 'API key to list models with. Defaults to the saved key.', 'vmfa-ai-organizer' ),
+						'sanitize_callback' => 'sanitize_text_field',
+					),
+				),
+			)
+		);
+	}
+
+	/**
+	 * Check if user has permission.
+	 *
+	 * @return bool
+	 */
+	public function check_permission(): bool {
+		return current_user_can( 'manage_options' );
+	}
+
+	/**
+	 * Get the models offered by a cloud provider.
+	 *
+	 * Models that cannot chat (embeddings, speech, image generation) are left
+	 * out; the rest carry a `vision` flag.
+	 *
+	 * @param \WP_REST_Request $request Request object.
+	 * @return \WP_REST_Response
+	 */
+	public function get_models( \WP_REST_Request $request ): \WP_REST_Response {
+		$provider = (string) $request->get_param( 'provider' );
+		$api_key  = trim( (string) $request->get_param( 'api_key' ) );
+
+		if ( '' === $api_key ) {
+			$api_key = (string) Plugin::get_instance()->get_setting( $provider . '_key', '' );
+		}
+
+		if ( '' === $api_key ) {
+			return new \WP_REST_Response(
+				array(
+					'error'  => __( 'API key is required.', 'vmfa-ai-organizer' ),
+					'models' => array(),
+				),
+				200
+			);
+		}
+
+		$response = wp_remote_get(
+			$this->get_models_url( $provider, $api_key ),
+			array(
+				'headers' => $this->get_headers( $provider, $api_key ),
+				'timeout' => 10,
+			)
+		);
+
+		if ( is_wp_error( $response ) ) {
+			return new \WP_REST_Response(
+				array(
+					'error'  => $response->get_error_message(),
+					'models' => array(),
+				),
+				200
+			);
+		}
+
+		$code = wp_remote_retrieve_response_code( $response );
+		if ( $code < 200 || $code >= 300 ) {
+			return new \WP_REST_Response(
+				array(
+					'error'  => sprintf(
+						/* translators: %d: HTTP status code */
+						__( 'HTTP %d: Unable to fetch models', 'vmfa-ai-organizer' ),
+						$code
+					),
+					'models' => array(),
+				),
+				200
+			);
+		}
+
+		$data = json_decode( wp_remote_retrieve_body( $response ), true );
+
+		$models = is_array( $data ) ? $this->parse_models( $provider, $data ) : array();
+
+		// Vision models first, then by name.
+		usort(
+			$models,
+			static function ( array $a, array $b ): int {
+				return array( ! $a[ 'vision' ], $a[ 'id' ] ) <=> array( ! $b[ 'vision' ], $b[ 'id' ] );
+			}
+		);
+
+		return new \WP_REST_Response(
+			array(
+				'models' => $models,
+			),
+			200
+		);
+	}
+
+	/**
+	 * Turn a provider's model list into `id`, `name` and `vision` entries.
+	 *
+	 * @param string               $provider Provider name.
+	 * @param array<string, mixed> $data     Decoded response body.
+	 * @return array<int, array{id: string, name: string, vision: bool}>
+	 */
+	public function parse_models( string $provider, array $data ): array {
+		$models = array();
+
+		switch ( $provider ) {
+			case 'openai':
+				foreach ( (array) ( $data[ 'data' ] ?? array() ) as $model ) {
+					$id = is_array( $model ) ? (string) ( $model[ 'id' ] ?? '' ) : '';
+					if ( '' === $id || $this->contains_any( $id, self::OPENAI_EXCLUDED ) ) {
+						continue;
+					}
+					$models[] = array(
+						'id'     => $id,
+						'name'   => $id,
+						'vision' => $this->is_openai_vision_model( $id ),
+					);
+				}
+				break;
+
+			case 'anthropic':
+				foreach ( (array) ( $data[ 'data' ] ?? array() ) as $model ) {
+					$id = is_array( $model ) ? (string) ( $model[ 'id' ] ?? '' ) : '';
+					if ( '' === $id ) {
+						continue;
+					}
+					// Every model since Claude 3 reads images.
+					$models[] = array(
+						'id'     => $id,
+						'name'   => (string) ( $model[ 'display_name' ] ?? $id ),
+						'vision' => ! str_starts_with( $id, 'claude-2' ) && ! str_starts_with( $id, 'claude-instant' ),
+					);
+				}
+				break;
+
+			case 'gemini':
+				foreach ( (array) ( $data[ 'models' ] ?? array() ) as $model ) {
+					if ( ! is_array( $model ) || ! in_array( 'generateContent', (array) ( $model[ 'supportedGenerationMethods' ] ?? array() ), true ) ) {
+						continue;
+					}
+					$id = preg_replace( '#^models/#', '', (string) ( $model[ 'name' ] ?? '' ) );
+					if ( '' === $id ) {
+						continue;
+					}
+					$models[] = array(
+						'id'     => $id,
+						'name'   => (string) ( $model[ 'displayName' ] ?? $id ),
+						'vision' => str_starts_with( $id, 'gemini-' ) && ! str_starts_with( $id, 'gemini-1.0' ) && 'gemini-pro' !== $id,
+					);
+				}
+				break;
+
+			case 'grok':
+				foreach ( (array) ( $data[ 'models' ] ?? array() ) as $model ) {
+					$id = is_array( $model ) ? (string) ( $model[ 'id' ] ?? '' ) : '';
+					if ( '' === $id ) {
+						continue;
+					}
+					$models[] = array(
+						'id'     => $id,
+						'name'   => $id,
+						'vision' => in_array( 'image', (array) ( $model[ 'input_modalities' ] ?? array() ), true ),
+					);
+				}
+				break;
+		}
+
+		return $models;
+	}
+
+	/**
+	 * Get the listing URL of a provider.
+	 *
+	 * @param string $provider Provider name.
+	 * @param string $api_key  API key.
+	 * @return string
+	 */
+	private function get_models_url( string $provider, string $api_key ): string {
+		$url = self::MODELS_URLS[ $provider ];
+
+		// Gemini takes the key as a query argument, like its generateContent calls.
+		if ( 'gemini' === $provider ) {
+			$url = add_query_arg( 'key', rawurlencode( $api_key ), $url );
+		}
+
+		return $url;
+	}
+
+	/**
+	 * Get the request headers of a provider.
+	 *
+	 * @param string $provider Provider name.
+	 * @param string $api_key  API key.
+	 * @return array<string, string>
+	 */
+	private function get_headers( string $provider, string $api_key ): array {
+		return match ( $provider ) {
+			'anthropic' => array(
+				'x-api-key'         => $api_key,
+				'anthropic-version' => '2023-06-01',
+			),
+			'gemini'    => array(),
+			default     => array( 'Authorization' => 'Bearer ' . $api_key ),
+		};
+	}
+
+	/**
+	 * Check whether an OpenAI model accepts images.
+	 *
+	 * The list API carries no capabilities, so this goes by model family.
+	 *
+	 * @param string $id Model ID.
+	 * @return bool
+	 */
+	private function is_openai_vision_model( string $id ): bool {
+		if ( str_starts_with( $id, 'o1-mini' ) || str_starts_with( $id, 'o3-mini' ) ) {
+			return false;
+		}
+
+		foreach ( self::OPENAI_VISION_PREFIXES as $prefix ) {
+			if ( str_starts_with( $id, $prefix ) ) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Check whether a string contains any of the given fragments.
+	 *
+	 * @param string        $haystack  String to search.
+	 * @param array<string> $fragments Fragments to look for.
+	 * @return bool
+	 */
+	private function contains_any( string $haystack, array $fragments ): bool {
+		foreach ( $fragments as $fragment ) {
+			if ( str_contains( $haystack, $fragment ) ) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+}
@@ -9,6 +9,7 @@ declare(strict_types=1);
 
 namespace VmfaAiOrganizer\Services;
 
+use VmfaAiOrganizer\AI\AbstractProvider;
 use VmfaAiOrganizer\AI\ProviderFactory;
 use VmfaAiOrganizer\AI\ProviderInterface;
 use VmfaAiOrganizer\Plugin;
@@ -78,6 +79,13 @@ class AIAnalysisService {
 	 */
 	private ?ProviderInterface $provider = null;
 
+	/**
+	 * Fallback provider instances, in order.
+	 *
+	 * @var array<ProviderInterface>|null
+	 */
+	private ?array $fallback_providers = null;
+
 	/**
 	 * Cached folder paths.
 	 *
@@ -105,6 +113,37 @@ class AIAnalysisService {
 		return $this->provider;
 	}
 
+	/**
+	 * Get the name and model of the configured provider.
+	 *
+	 * The model is empty when the provider's default model is used.
+	 *
+	 * @return array{provider: string, model: string}
+	 */
+	public function get_provider_info(): array {
+		$provider = $this->get_provider();
+
+		if ( null === $provider ) {
+			return array(
+				'provider' => '',
+				'model'    => '',
+			);
+		}
+
+		$key   = $provider->get_name() . '_model';
+		$model = Plugin::get_instance()->get_setting( $key, '' );
+
+		// CLI overrides win, as they do inside the provider.
+		if ( defined( 'WP_CLI' ) && WP_CLI && \VmfaAiOrganizer\CLI\Commands::has_override( $key ) ) {
+			$model = \VmfaAiOrganizer\CLI\Commands::get_override( $key );
+		}
+
+		return array(
+			'provider' => $provider->get_name(),
+			'model'    => (string) $model,
+		);
+	}
+
 	/**
 	 * Check if an AI provider is configured.
 	 *
@@ -125,9 +164,52 @@ class AIAnalysisService {
 		$this->provider = $provider;
 	}
 
+	/**
+	 * Get the fallback providers, in order.
+	 *
+	 * Comes from the `fallback_providers` setting, a comma-separated list of
+	 * provider names. The primary provider and unconfigured providers are left out.
+	 *
+	 * @return array<ProviderInterface>
+	 */
+	public function get_fallback_providers(): array {
+		if ( null === $this->fallback_providers ) {
+			$primary = $this->get_provider();
+			$names   = array_filter( array_map( 'trim', explode( ',', (string) Plugin::get_instance()->get_setting( 'fallback_providers', '' ) ) ) );
+
+			$this->fallback_providers = array();
+			foreach ( array_unique( $names ) as $name ) {
+				if ( null !== $primary && $primary->get_name() === $name ) {
+					continue;
+				}
+
+				$provider = ProviderFactory::get_provider( $name );
+				if ( null !== $provider && $provider->is_configured() ) {
+					$this->fallback_providers[] = $provider;
+				}
+			}
+		}
+		return $this->fallback_providers;
+	}
+
+	/**
+	 * Set the fallback providers (for testing).
+	 *
+	 * @param array<ProviderInterface> $providers Provider instances, in order.
+	 * @return void
+	 */
+	public function set_fallback_providers( array $providers ): void {
+		$this->fallback_providers = $providers;
+	}
+
 	/**
 	 * Analyze a media attachment and suggest folder assignment.
 	 *
+	 * The result carries a thumbnail URL and the provider's visual description
+	 * (when it returned one) so reviewers can judge the suggestion. AI results
+	 * also name the provider that answered, and the primary provider when a
+	 * fallback answered in its place.
+	 *
 	 * @param int $attachment_id Attachment ID.
 	 * @return array{
 	 *     action: string,
@@ -137,10 +219,43 @@ class AIAnalysisService {
 	 *     reason: string,
 	 *     attachment_id: int,
 	 *     filename: string,
-	 *     folder_name: string
+	 *     folder_name: string,
+	 *     thumbnail_url: string,
+	 *     visual_description: string,
+	 *     provider?: string,
+	 *     fallback_from?: string
 	 * }
 	 */
 	public function analyze_media( int $attachment_id ): array {
+		$result = $this->analyze_attachment( $attachment_id );
+
+		$result[ 'thumbnail_url' ]      = $this->get_thumbnail_url( $attachment_id );
+		$result[ 'visual_description' ] = (string) ( $result[ 'visual_description' ] ?? '' );
+
+		return $result;
+	}
+
+	/**
+	 * Get a thumbnail URL for an attachment.
+	 *
+	 * Falls back to the MIME type icon for non-image media.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return string Empty string when no image is available.
+	 */
+	public function get_thumbnail_url( int $attachment_id ): string {
+		$url = wp_get_attachment_image_url( $attachment_id, 'thumbnail', true );
+
+		return is_string( $url ) ? $url : '';
+	}
+
+	/**
+	 * Run the folder analysis for an attachment.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return array<string, mixed>
+	 */
+	private function analyze_attachment( int $attachment_id ): array {
 		$metadata     = $this->get_media_metadata( $attachment_id );
 		$folder_paths = $this->get_folder_paths();
 		$mime_type    = $metadata[ 'mime_type' ] ?? '';
@@ -201,6 +316,26 @@ class AIAnalysisService {
 
 		$result = $provider->analyze( $metadata, $folder_paths, $max_depth, $allow_new, $image_data, $suggested_folders );
 
+		$answered_by = $provider;
+
+		// Retry with the next fallback provider while the request failed in transport.
+		// When every fallback fails too, the primary provider's error is reported.
+		if ( $this->is_transient_failure( $provider ) ) {
+			foreach ( $this->get_fallback_providers() as $fallback ) {
+				$fallback_result = $fallback->analyze( $metadata, $folder_paths, $max_depth, $allow_new, $image_data, $suggested_folders );
+
+				if ( ! $this->has_failed( $fallback ) ) {
+					$result      = $fallback_result;
+					$answered_by = $fallback;
+					break;
+				}
+
+				if ( ! $this->is_transient_failure( $fallback ) ) {
+					break;
+				}
+			}
+		}
+
 		// Enforce allow_new_folders at runtime (providers/LLMs may ignore prompt constraints).
 		if ( ! $allow_new && 'create' === ( $result[ 'action' ] ?? '' ) ) {
 			$result = array(
@@ -271,10 +406,35 @@ class AIAnalysisService {
 		$result[ 'attachment_id' ] = $attachment_id;
 		$result[ 'filename' ]      = $metadata[ 'filename' ] ?? '';
 		$result[ 'folder_name' ]   = $result[ 'new_folder_path' ] ?? $this->get_folder_name_by_id( $result[ 'folder_id' ] ?? null );
+		$result[ 'provider' ]      = $answered_by->get_name();
+
+		if ( $answered_by !== $provider ) {
+			$result[ 'fallback_from' ] = $provider->get_name();
+		}
 
 		return $result;
 	}
 
+	/**
+	 * Check whether a provider's last request failed in transport.
+	 *
+	 * @param ProviderInterface $provider Provider instance.
+	 * @return bool
+	 */
+	private function is_transient_failure( ProviderInterface $provider ): bool {
+		return $provider instanceof AbstractProvider && $provider->is_last_error_transient();
+	}
+
+	/**
+	 * Check whether a provider's last request failed.
+	 *
+	 * @param ProviderInterface $provider Provider instance.
+	 * @return bool
+	 */
+	private function has_failed( ProviderInterface $provider ): bool {
+		return $provider instanceof AbstractProvider && null !== $provider->get_last_error();
+	}
+
 	/**
 	 * Assign media to a type-based folder (Documents, Videos).
 	 *
@@ -948,7 +1108,7 @@ class AIAnalysisService {
 	 * @param string $path Folder path (e.g., "Plants/Leaves").
 	 * @return string Sanitized path.
 	 */
-	private function sanitize_folder_path( string $path ): string {
+	public function sanitize_folder_path( string $path ): string {
 		$path  = trim( $path );
 		$path  = trim( $path, '/' );
 		$parts = explode( '/', $path );
@@ -1130,6 +1290,74 @@ class AIAnalysisService {
 		return false;
 	}
 
+	/**
+	 * Re-target a result to the folder given in an item.
+	 *
+	 * An item without `folder_id` or `new_folder_path` keeps the AI suggestion as-is.
+	 * A `folder_id` must name an existing folder; a `new_folder_path` is
+	 * sanitized like AI suggestions and must fit within the maximum folder depth.
+	 *
+	 * @param array<string, mixed> $result Analysis result.
+	 * @param array<string, mixed> $item   Item with `folder_id` or `new_folder_path`.
+	 * @return array<string, mixed>|\WP_Error Error when the target is invalid.
+	 */
+	public function override_result_target( array $result, array $item ): array|\WP_Error {
+		$folder_id       = (int) ( $item[ 'folder_id' ] ?? 0 );
+		$new_folder_path = trim( (string) ( $item[ 'new_folder_path' ] ?? '' ) );
+
+		if ( $folder_id > 0 ) {
+			$folder_path = array_search( $folder_id, $this->get_folder_paths(), true );
+
+			if ( false === $folder_path ) {
+				return new \WP_Error(
+					'invalid_folder',
+					sprintf(
+						/* translators: %d: Folder ID. */
+						__( 'Folder %d does not exist.', 'vmfa-ai-organizer' ),
+						$folder_id
+					),
+					array( 'status' => 400 )
+				);
+			}
+
+			$result[ 'action' ]          = 'assign';
+			$result[ 'folder_id' ]       = $folder_id;
+			$result[ 'new_folder_path' ] = null;
+			$result[ 'folder_name' ]     = (string) $folder_path;
+		} elseif ( '' !== $new_folder_path ) {
+			$sanitized_path = $this->sanitize_folder_path( $new_folder_path );
+			$max_depth      = (int) Plugin::get_instance()->get_setting( 'max_folder_depth', 3 );
+
+			if ( '' === $sanitized_path ) {
+				return new \WP_Error(
+					'invalid_folder_path',
+					__( 'The new folder path is empty.', 'vmfa-ai-organizer' ),
+					array( 'status' => 400 )
+				);
+			}
+
+			if ( count( explode( '/', $sanitized_path ) ) > $max_depth ) {
+				return new \WP_Error(
+					'invalid_folder_path',
+					sprintf(
+						/* translators: 1: Folder path, 2: Maximum folder depth. */
+						__( 'The folder path "%1$s" is deeper than the maximum of %2$d levels.', 'vmfa-ai-organizer' ),
+						$sanitized_path,
+						$max_depth
+					),
+					array( 'status' => 400 )
+				);
+			}
+
+			$result[ 'action' ]          = 'create';
+			$result[ 'folder_id' ]       = null;
+			$result[ 'new_folder_path' ] = $sanitized_path;
+			$result[ 'folder_name' ]     = $sanitized_path;
+		}
+
+		return $result;
+	}
+
 	/**
 	 * Get unassigned media attachment IDs.
 	 *
@@ -1179,4 +1407,62 @@ class AIAnalysisService {
 
 		return get_posts( $args );
 	}
+
+	/**
+	 * Get the IDs of media attachments matching scope filters.
+	 *
+	 * Dates are inclusive and compared with the upload date. A folder filter
+	 * includes media in its subfolders. Attachment IDs limit the scan to an
+	 * explicit selection.
+	 *
+	 * @param array{date_from?: string, date_to?: string, mime_type?: string, author?: int, folder?: int, attachment_ids?: array<int>} $scope Scope filters.
+	 * @return array<int>
+	 */
+	public function get_scoped_media_ids( array $scope ): array {
+		$args = array(
+			'post_type'      => 'attachment',
+			'post_status'    => 'inherit',
+			'posts_per_page' => -1,
+			'fields'         => 'ids',
+			'orderby'        => 'ID',
+			'order'          => 'ASC',
+		);
+
+		$date_query = array();
+		if ( ! empty( $scope[ 'date_from' ] ) ) {
+			$date_query[ 'after' ] = $scope[ 'date_from' ];
+		}
+		if ( ! empty( $scope[ 'date_to' ] ) ) {
+			$date_query[ 'before' ] = $scope[ 'date_to' ];
+		}
+		if ( ! empty( $date_query ) ) {
+			$date_query[ 'inclusive' ] = true;
+			$args[ 'date_query' ]      = array( $date_query );
+		}
+
+		if ( ! empty( $scope[ 'mime_type' ] ) ) {
+			$args[ 'post_mime_type' ] = $scope[ 'mime_type' ];
+		}
+
+		if ( ! empty( $scope[ 'attachment_ids' ] ) ) {
+			$args[ 'post__in' ] = array_map( 'intval', $scope[ 'attachment_ids' ] );
+		}
+
+		if ( ! empty( $scope[ 'author' ] ) ) {
+			$args[ 'author' ] = (int) $scope[ 'author' ];
+		}
+
+		if ( ! empty( $scope[ 'folder' ] ) ) {
+			$args[ 'tax_query' ] = array( // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_tax_query
+				array(
+					'taxonomy'         => self::TAXONOMY,
+					'field'            => 'term_id',
+					'terms'            => (int) $scope[ 'folder' ],
+					'include_children' => true,
+				),
+			);
+		}
+
+		return array_map( 'intval', get_posts( $args ) );
+	}
 }
@@ -0,0 +1,209 @@
+<?php
+/**
+ * Auto Organize Service.
+ *
+ * @package VmfaAiOrganizer
+ */
+
+declare(strict_types=1);
+
+namespace VmfaAiOrganizer\Services;
+
+use VmfaAiOrganizer\Plugin;
+
+/**
+ * Service for organizing new uploads as they arrive.
+ *
+ * Each upload is analyzed in the background. Results at or above the
+ * confidence threshold are applied; the rest go to the review queue.
+ */
+class AutoOrganizeService {
+
+	/**
+	 * Action Scheduler hook that analyzes one upload.
+	 */
+	private const ACTION_HOOK = 'vmfa_auto_organize_attachment';
+
+	/**
+	 * Post meta holding the upload's auto-organize status.
+	 */
+	private const STATUS_META = '_vmfa_auto_organize_status';
+
+	/**
+	 * Folder taxonomy.
+	 */
+	private const TAXONOMY = 'vmfo_folder';
+
+	/**
+	 * AI Analysis Service.
+	 *
+	 * @var AIAnalysisService
+	 */
+	private AIAnalysisService $analysis_service;
+
+	/**
+	 * Review Queue Service.
+	 *
+	 * @var ReviewQueueService
+	 */
+	private ReviewQueueService $review_queue;
+
+	/**
+	 * Constructor.
+	 */
+	public function __construct() {
+		$this->analysis_service = new AIAnalysisService();
+		$this->review_queue     = new ReviewQueueService();
+	}
+
+	/**
+	 * Register upload and Action Scheduler hooks.
+	 *
+	 * @return void
+	 */
+	public function register_hooks(): void {
+		add_action( 'add_attachment', array( $this, 'queue_attachment' ) );
+		add_action( self::ACTION_HOOK, array( $this, 'process_attachment' ) );
+		add_filter( 'wp_prepare_attachment_for_js', array( $this, 'add_status_to_js' ), 10, 2 );
+		add_action( 'vmfa_review_resolved', array( $this, 'update_reviewed_status' ), 10, 2 );
+	}
+
+	/**
+	 * Whether new uploads are organized automatically.
+	 *
+	 * @return bool
+	 */
+	public function is_enabled(): bool {
+		return (bool) Plugin::get_instance()->get_setting( 'auto_organize', false );
+	}
+
+	/**
+	 * Get the confidence at or above which results are applied.
+	 *
+	 * @return float Between 0 and 1.
+	 */
+	public function get_threshold(): float {
+		$percent = (int) Plugin::get_instance()->get_setting( 'auto_organize_threshold', 80 );
+
+		return max( 0, min( 100, $percent ) ) / 100;
+	}
+
+	/**
+	 * Queue a new upload for analysis.
+	 *
+	 * Uploads are left alone while no AI provider is configured, since the
+	 * analysis could only skip them.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return void
+	 */
+	public function queue_attachment( int $attachment_id ): void {
+		if ( ! $this->is_enabled() || ! $this->analysis_service->is_provider_configured() ) {
+			return;
+		}
+
+		$this->set_status( $attachment_id, 'queued' );
+
+		as_schedule_single_action(
+			time(),
+			self::ACTION_HOOK,
+			array( 'attachment_id' => $attachment_id ),
+			'vmfa-ai-organizer'
+		);
+	}
+
+	/**
+	 * Analyze a queued upload and apply or park the result.
+	 *
+	 * Uploads that were put in a folder in the meantime are left alone and
+	 * lose their status.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return void
+	 */
+	public function process_attachment( int $attachment_id ): void {
+		if ( ! get_post( $attachment_id ) ) {
+			return;
+		}
+
+		$folders = wp_get_object_terms( $attachment_id, self::TAXONOMY, array( 'fields' => 'ids' ) );
+		if ( ! is_wp_error( $folders ) && ! empty( $folders ) ) {
+			delete_post_meta( $attachment_id, self::STATUS_META );
+			return;
+		}
+
+		$result = $this->analysis_service->analyze_media( $attachment_id );
+
+		if ( ! in_array( $result[ 'action' ], array( 'assign', 'create' ), true ) ) {
+			$this->set_status( $attachment_id, 'skipped' );
+			return;
+		}
+
+		if ( (float) $result[ 'confidence' ] < $this->get_threshold() ) {
+			$this->review_queue->add( $result, 'upload' );
+			$this->set_status( $attachment_id, 'review' );
+			return;
+		}
+
+		$this->set_status( $attachment_id, $this->analysis_service->apply_result( $result ) ? 'applied' : 'failed' );
+	}
+
+	/**
+	 * Get an upload's auto-organize status.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return string One of queued, applied, review, skipped, failed; empty when never queued.
+	 */
+	public function get_status( int $attachment_id ): string {
+		return (string) get_post_meta( $attachment_id, self::STATUS_META, true );
+	}
+
+	/**
+	 * Set an upload's auto-organize status.
+	 *
+	 * @param int    $attachment_id Attachment ID.
+	 * @param string $status        New status.
+	 * @return void
+	 */
+	public function set_status( int $attachment_id, string $status ): void {
+		update_post_meta( $attachment_id, self::STATUS_META, $status );
+	}
+
+	/**
+	 * Update the status of an upload whose queued result has been decided on.
+	 *
+	 * A rejected suggestion clears the status, as the upload stays where it is.
+	 *
+	 * @param int    $attachment_id Attachment ID.
+	 * @param string $decision      'applied' or 'rejected'.
+	 * @return void
+	 */
+	public function update_reviewed_status( int $attachment_id, string $decision ): void {
+		if ( 'review' !== $this->get_status( $attachment_id ) ) {
+			return;
+		}
+
+		if ( 'applied' === $decision ) {
+			$this->set_status( $attachment_id, 'applied' );
+		} else {
+			delete_post_meta( $attachment_id, self::STATUS_META );
+		}
+	}
+
+	/**
+	 * Add the auto-organize status to the attachment data used by the media grid.
+	 *
+	 * @param array<string, mixed> $response   Attachment data.
+	 * @param \WP_Post             $attachment Attachment post.
+	 * @return array<string, mixed>
+	 */
+	public function add_status_to_js( array $response, \WP_Post $attachment ): array {
+		$status = $this->get_status( (int) $attachment->ID );
+
+		if ( '' !== $status ) {
+			$response[ 'vmfaAutoOrganize' ] = $status;
+		}
+
+		return $response;
+	}
+}
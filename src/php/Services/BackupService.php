@@ -9,6 +9,8 @@ declare(strict_types=1);
 
 namespace VmfaAiOrganizer\Services;
 
+use VmfaAiOrganizer\Plugin;
+
 /**
  * Service for backing up and restoring folder structure.
  */
@@ -21,59 +23,213 @@ class BackupService {
 
 	/**
 	 * Backup option name.
+	 *
+	 * Holds the snapshot history, newest first. Older versions stored a single
+	 * backup here; it is read back as one snapshot.
 	 */
 	private const BACKUP_OPTION = 'vmfo_reorganize_backup';
 
 	/**
-	 * Export current folder structure and assignments.
+	 * Default number of snapshots to keep.
+	 */
+	private const DEFAULT_RETENTION = 5;
+
+	/**
+	 * Snapshot ID used for a backup stored by older versions.
+	 */
+	private const LEGACY_SNAPSHOT_ID = 'legacy';
+
+	/**
+	 * Identifier of downloaded backup files.
+	 */
+	private const FILE_FORMAT = 'vmfa-backup';
+
+	/**
+	 * Version of the backup file format.
+	 */
+	private const FILE_VERSION = 1;
+
+	/**
+	 * Maximum number of media changes listed in a snapshot diff.
+	 */
+	private const DIFF_MEDIA_LIMIT = 200;
+
+	/**
+	 * Export current folder structure and assignments as a new snapshot.
 	 *
+	 * @param string $label     Snapshot label (a default is used when empty).
+	 * @param string $source    What created the snapshot: 'manual' or 'scan'.
+	 * @param string $scan_mode Mode of the scan that is about to be applied.
 	 * @return bool True on success.
 	 */
-	public function export(): bool {
-		global $wpdb;
+	public function export( string $label = '', string $source = 'manual', string $scan_mode = '' ): bool {
+		return null !== $this->create_snapshot( $label, $source, $scan_mode );
+	}
 
-		// Get all folders with hierarchy.
-		$terms = get_terms(
-			array(
-				'taxonomy'   => self::TAXONOMY,
-				'hide_empty' => false,
-			)
+	/**
+	 * Create a snapshot of the current folder structure and assignments.
+	 *
+	 * The oldest snapshots beyond the retention limit are dropped.
+	 *
+	 * @param string $label     Snapshot label (a default is used when empty).
+	 * @param string $source    What created the snapshot: 'manual' or 'scan'.
+	 * @param string $scan_mode Mode of the scan that is about to be applied.
+	 * @return array<string, mixed>|null Snapshot summary, or null on failure.
+	 */
+	public function create_snapshot( string $label = '', string $source = 'manual', string $scan_mode = '' ): ?array {
+		$state = $this->capture_state();
+
+		if ( '' === trim( $label ) ) {
+			$label = 'scan' === $source
+				? __( 'Before applying scan', 'vmfa-ai-organizer' )
+				: __( 'Manual snapshot', 'vmfa-ai-organizer' );
+		}
+
+		$snapshot = array(
+			'id'          => wp_generate_uuid4(),
+			'label'       => $label,
+			'source'      => $source,
+			'scan_mode'   => '' !== $scan_mode ? $scan_mode : null,
+			'folders'     => $state[ 'folders' ],
+			'assignments' => $state[ 'assignments' ],
+			'timestamp'   => time(),
+			'version'     => VMFA_AI_ORGANIZER_VERSION,
 		);
 
-		$folders = array();
-		if ( ! is_wp_error( $terms ) && ! empty( $terms ) ) {
-			foreach ( $terms as $term ) {
-				$folders[] = array(
-					'term_id' => $term->term_id,
-					'name'    => $term->name,
-					'slug'    => $term->slug,
-					'parent'  => $term->parent,
-					'order'   => get_term_meta( $term->term_id, 'vmfo_order', true ),
-				);
-			}
+		return $this->add_snapshot( $snapshot );
+	}
+
+	/**
+	 * Build a downloadable backup file from a snapshot.
+	 *
+	 * Assignments carry the attachment's file path (relative to the uploads
+	 * directory) so they can be matched on another site.
+	 *
+	 * @param string $id Snapshot ID.
+	 * @return array<string, mixed>|null Null when the snapshot doesn't exist.
+	 */
+	public function export_file( string $id ): ?array {
+		$snapshot = $this->get_snapshot( $id );
+
+		if ( null === $snapshot ) {
+			return null;
 		}
 
-		// Get all media-folder assignments.
-		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
-		$assignments = $wpdb->get_results(
-			$wpdb->prepare(
-				"SELECT tr.object_id, tt.term_id 
-				FROM {$wpdb->term_relationships} tr
-				INNER JOIN {$wpdb->term_taxonomy} tt ON tr.term_taxonomy_id = tt.term_taxonomy_id
-				WHERE tt.taxonomy = %s",
-				self::TAXONOMY
-			),
-			ARRAY_A
+		$files       = $this->get_attachment_files();
+		$assignments = array();
+
+		foreach ( $snapshot[ 'assignments' ] ?? array() as $assignment ) {
+			$object_id     = (int) $assignment[ 'object_id' ];
+			$assignments[] = array(
+				'object_id' => $object_id,
+				'term_id'   => (int) $assignment[ 'term_id' ],
+				'file'      => $files[ $object_id ] ?? '',
+			);
+		}
+
+		return array(
+			'format'         => self::FILE_FORMAT,
+			'version'        => self::FILE_VERSION,
+			'plugin_version' => $snapshot[ 'version' ] ?? null,
+			'site_url'       => home_url(),
+			'label'          => $snapshot[ 'label' ] ?? '',
+			'timestamp'      => $snapshot[ 'timestamp' ] ?? null,
+			'folders'        => $snapshot[ 'folders' ] ?? array(),
+			'assignments'    => $assignments,
 		);
+	}
 
-		$backup = array(
-			'folders'     => $folders,
-			'assignments' => $assignments ?: array(),
-			'timestamp'   => time(),
-			'version'     => VMFA_AI_ORGANIZER_VERSION,
+	/**
+	 * Validate an uploaded backup file and store it as a snapshot.
+	 *
+	 * Attachment IDs are remapped by file path where they differ from this
+	 * site's; assignments whose attachment can't be found are dropped.
+	 *
+	 * @param string $content Backup file contents (JSON).
+	 * @return array{success: bool, message: string, snapshot?: array, remapped?: int, missing?: int}
+	 */
+	public function import_file( string $content ): array {
+		$data  = json_decode( $content, true );
+		$error = is_array( $data )
+			? $this->validate_file( $data )
+			: __( 'The backup file is not valid JSON.', 'vmfa-ai-organizer' );
+
+		if ( null !== $error ) {
+			return array(
+				'success' => false,
+				'message' => $error,
+			);
+		}
+
+		$ids_by_file = array_flip( $this->get_attachment_files() );
+		$assignments = array();
+		$remapped    = 0;
+		$missing     = 0;
+
+		foreach ( $data[ 'assignments' ] as $assignment ) {
+			$object_id = (int) $assignment[ 'object_id' ];
+			$file      = (string) ( $assignment[ 'file' ] ?? '' );
+
+			if ( '' !== $file ) {
+				if ( ! isset( $ids_by_file[ $file ] ) ) {
+					++$missing;
+					continue;
+				}
+
+				if ( $ids_by_file[ $file ] !== $object_id ) {
+					$object_id = $ids_by_file[ $file ];
+					++$remapped;
+				}
+			} elseif ( 'attachment' !== get_post_type( $object_id ) ) {
+				++$missing;
+				continue;
+			}
+
+			$assignments[] = array(
+				'object_id' => $object_id,
+				'term_id'   => (int) $assignment[ 'term_id' ],
+			);
+		}
+
+		$label = (string) ( $data[ 'label' ] ?? '' );
+
+		$snapshot = $this->add_snapshot(
+			array(
+				'id'          => wp_generate_uuid4(),
+				'label'       => sprintf(
+					/* translators: %s: label of the uploaded backup */
+					__( 'Uploaded: %s', 'vmfa-ai-organizer' ),
+					'' !== $label ? $label : __( 'Backup', 'vmfa-ai-organizer' )
+				),
+				'source'      => 'upload',
+				'scan_mode'   => null,
+				'folders'     => $data[ 'folders' ],
+				'assignments' => $assignments,
+				'timestamp'   => time(),
+				'version'     => VMFA_AI_ORGANIZER_VERSION,
+			)
 		);
 
-		return update_option( self::BACKUP_OPTION, $backup, false );
+		if ( null === $snapshot ) {
+			return array(
+				'success' => false,
+				'message' => __( 'Failed to store the uploaded backup.', 'vmfa-ai-organizer' ),
+			);
+		}
+
+		return array(
+			'success'  => true,
+			'message'  => sprintf(
+				/* translators: 1: number of folders, 2: number of assignments, 3: number of attachments not found */
+				__( 'Uploaded backup with %1$d folders and %2$d assignments (%3$d attachments not found).', 'vmfa-ai-organizer' ),
+				count( $data[ 'folders' ] ),
+				count( $assignments ),
+				$missing
+			),
+			'snapshot' => $snapshot,
+			'remapped' => $remapped,
+			'missing'  => $missing,
+		);
 	}
 
 	/**
@@ -82,12 +238,11 @@ class BackupService {
 	 * @return bool
 	 */
 	public function has_backup(): bool {
-		$backup = get_option( self::BACKUP_OPTION );
-		return ! empty( $backup ) && is_array( $backup );
+		return ! empty( $this->get_stored_snapshots() );
 	}
 
 	/**
-	 * Get backup information.
+	 * Get backup information for the newest snapshot.
 	 *
 	 * @return array{
 	 *     exists: bool,
@@ -98,9 +253,9 @@ class BackupService {
 	 * }
 	 */
 	public function get_backup_info(): array {
-		$backup = get_option( self::BACKUP_OPTION );
+		$snapshots = $this->get_stored_snapshots();
 
-		if ( empty( $backup ) || ! is_array( $backup ) ) {
+		if ( empty( $snapshots ) ) {
 			return array(
 				'exists'           => false,
 				'timestamp'        => null,
@@ -110,18 +265,206 @@ class BackupService {
 			);
 		}
 
+		$latest = $this->summarize_snapshot( $snapshots[ 0 ] );
+
 		return array(
 			'exists'           => true,
-			'timestamp'        => $backup[ 'timestamp' ] ?? null,
-			'folder_count'     => count( $backup[ 'folders' ] ?? array() ),
-			'assignment_count' => count( $backup[ 'assignments' ] ?? array() ),
-			'version'          => $backup[ 'version' ] ?? null,
+			'timestamp'        => $latest[ 'timestamp' ],
+			'folder_count'     => $latest[ 'folder_count' ],
+			'assignment_count' => $latest[ 'assignment_count' ],
+			'version'          => $latest[ 'version' ],
+		);
+	}
+
+	/**
+	 * List snapshots, newest first, without their folder and assignment data.
+	 *
+	 * @return array<array{id: string, label: string, source: string, scan_mode: string|null, timestamp: int|null, folder_count: int, assignment_count: int, version: string|null}>
+	 */
+	public function get_snapshots(): array {
+		return array_map( array( $this, 'summarize_snapshot' ), $this->get_stored_snapshots() );
+	}
+
+	/**
+	 * Get a snapshot including its folder and assignment data.
+	 *
+	 * @param string $id Snapshot ID.
+	 * @return array<string, mixed>|null
+	 */
+	public function get_snapshot( string $id ): ?array {
+		foreach ( $this->get_stored_snapshots() as $snapshot ) {
+			if ( $snapshot[ 'id' ] === $id ) {
+				return $snapshot;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Delete a single snapshot.
+	 *
+	 * @param string $id Snapshot ID.
+	 * @return bool False when the snapshot doesn't exist.
+	 */
+	public function delete_snapshot( string $id ): bool {
+		$snapshots = $this->get_stored_snapshots();
+		$remaining = array_values(
+			array_filter(
+				$snapshots,
+				static fn( array $snapshot ): bool => $snapshot[ 'id' ] !== $id
+			)
+		);
+
+		if ( count( $remaining ) === count( $snapshots ) ) {
+			return false;
+		}
+
+		if ( empty( $remaining ) ) {
+			return $this->cleanup();
+		}
+
+		return $this->save_snapshots( $remaining );
+	}
+
+	/**
+	 * Compare a snapshot with the live folder structure.
+	 *
+	 * Snapshot folders are matched to live folders by term ID, then by full
+	 * path, so a snapshot restored earlier (which recreates terms) still
+	 * lines up with the folders it produced.
+	 *
+	 * @param string $id Snapshot ID.
+	 * @return array{
+	 *     folders: array{added: array, removed: array, renamed: array},
+	 *     media: array<array<string, mixed>>,
+	 *     media_total: int,
+	 *     restorable: array<array{term_id: int, path: string}>
+	 * }|null Null when the snapshot doesn't exist.
+	 */
+	public function get_diff( string $id ): ?array {
+		$snapshot = $this->get_snapshot( $id );
+
+		if ( null === $snapshot ) {
+			return null;
+		}
+
+		$live           = $this->capture_state();
+		$snapshot_paths = self::build_paths( $snapshot[ 'folders' ] ?? array() );
+		$live_paths     = self::build_paths( $live[ 'folders' ] );
+		$matches        = self::match_folders( $snapshot_paths, $live_paths, 'upload' === ( $snapshot[ 'source' ] ?? '' ) );
+		$changed        = array();
+
+		$folders = array(
+			'added'   => array(),
+			'removed' => array(),
+			'renamed' => array(),
+		);
+
+		foreach ( $snapshot_paths as $term_id => $path ) {
+			if ( ! isset( $matches[ $term_id ] ) ) {
+				$folders[ 'added' ][] = array(
+					'term_id' => $term_id,
+					'path'    => $path,
+				);
+				$changed[ $term_id ]  = true;
+			} elseif ( $live_paths[ $matches[ $term_id ] ] !== $path ) {
+				$folders[ 'renamed' ][] = array(
+					'term_id' => $term_id,
+					'from'    => $live_paths[ $matches[ $term_id ] ],
+					'to'      => $path,
+				);
+				$changed[ $term_id ]    = true;
+			}
+		}
+
+		$matched_live = array_flip( $matches );
+		foreach ( $live_paths as $term_id => $path ) {
+			if ( ! isset( $matched_live[ $term_id ] ) ) {
+				$folders[ 'removed' ][] = array(
+					'term_id' => $term_id,
+					'path'    => $path,
+				);
+			}
+		}
+
+		$live_assignments     = self::group_assignments( $live[ 'assignments' ] );
+		$snapshot_assignments = self::group_assignments( $snapshot[ 'assignments' ] ?? array() );
+		$media                = array();
+
+		foreach ( array_unique( array_merge( array_keys( $live_assignments ), array_keys( $snapshot_assignments ) ) ) as $attachment_id ) {
+			$from = array_unique( $live_assignments[ $attachment_id ] ?? array() );
+			$to   = array_unique( $snapshot_assignments[ $attachment_id ] ?? array() );
+
+			// Compare in live terms; unmatched snapshot folders never equal a live one.
+			$to_keys = array_map(
+				function ( $term_id ) use ( $matches ) {
+					return isset( $matches[ $term_id ] ) ? (string) $matches[ $term_id ] : 'snapshot:' . $term_id;
+				},
+				$to
+			);
+			$from_keys = array_map( 'strval', $from );
+			sort( $to_keys );
+			sort( $from_keys );
+
+			if ( $to_keys === $from_keys ) {
+				continue;
+			}
+
+			foreach ( $to as $term_id ) {
+				$changed[ $term_id ] = true;
+			}
+			foreach ( $from as $term_id ) {
+				if ( isset( $matched_live[ $term_id ] ) ) {
+					$changed[ $matched_live[ $term_id ] ] = true;
+				}
+			}
+
+			$media[] = array(
+				'attachment_id' => $attachment_id,
+				'from'          => array_values( array_intersect_key( $live_paths, array_flip( $from ) ) ),
+				'to'            => array_values( array_intersect_key( $snapshot_paths, array_flip( $to ) ) ),
+			);
+		}
+
+		$media_total = count( $media );
+		$media       = array_slice( $media, 0, self::DIFF_MEDIA_LIMIT );
+		foreach ( $media as &$item ) {
+			$file               = get_attached_file( $item[ 'attachment_id' ] );
+			$item[ 'filename' ] = $file ? wp_basename( $file ) : '';
+		}
+		unset( $item );
+
+		$restorable = array();
+		foreach ( array_intersect_key( $snapshot_paths, $changed ) as $term_id => $path ) {
+			$restorable[] = array(
+				'term_id' => $term_id,
+				'path'    => $path,
+			);
+		}
+		usort(
+			$restorable,
+			function ( $a, $b ) {
+				return strcmp( $a[ 'path' ], $b[ 'path' ] );
+			}
+		);
+
+		return array(
+			'folders'     => $folders,
+			'media'       => $media,
+			'media_total' => $media_total,
+			'restorable'  => $restorable,
 		);
 	}
 
 	/**
-	 * Restore folder structure from backup.
+	 * Restore folder structure from a snapshot.
 	 *
+	 * When folder IDs are given, only those snapshot folders are restored
+	 * (see restore_selected()); otherwise all current folders are replaced.
+	 *
+	 * @param string     $id         Snapshot ID; the newest snapshot when empty.
+	 * @param array<int> $folder_ids Snapshot term IDs to restore; all when empty.
 	 * @return array{
 	 *     success: bool,
 	 *     folders_restored: int,
@@ -129,18 +472,25 @@ class BackupService {
 	 *     error: string|null
 	 * }
 	 */
-	public function restore(): array {
-		$backup = get_option( self::BACKUP_OPTION );
+	public function restore( string $id = '', array $folder_ids = array() ): array {
+		$snapshots = $this->get_stored_snapshots();
+		$backup    = '' === $id ? ( $snapshots[ 0 ] ?? null ) : $this->get_snapshot( $id );
 
-		if ( empty( $backup ) || ! is_array( $backup ) ) {
+		if ( empty( $backup ) ) {
 			return array(
 				'success'              => false,
 				'folders_restored'     => 0,
 				'assignments_restored' => 0,
-				'error'                => __( 'No backup found.', 'vmfa-ai-organizer' ),
+				'error'                => '' === $id
+					? __( 'No backup found.', 'vmfa-ai-organizer' )
+					: __( 'Snapshot not found.', 'vmfa-ai-organizer' ),
 			);
 		}
 
+		if ( ! empty( $folder_ids ) ) {
+			return $this->restore_selected( $backup, array_map( 'intval', $folder_ids ) );
+		}
+
 		// First, remove all current folders and assignments.
 		$this->remove_all_folders();
 
@@ -218,6 +568,433 @@ class BackupService {
 		);
 	}
 
+	/**
+	 * Restore selected snapshot folders, leaving all other folders alone.
+	 *
+	 * Each selected folder gets back its snapshot name, position and contents.
+	 * Missing ancestors are recreated so the folder lands at its snapshot path.
+	 * Media moved into a restored folder leave the folders they are in now,
+	 * unless the snapshot also had them there.
+	 *
+	 * @param array<string, mixed> $backup     Snapshot.
+	 * @param array<int>           $folder_ids Snapshot term IDs to restore.
+	 * @return array{success: bool, folders_restored: int, assignments_restored: int, error: string|null}
+	 */
+	private function restore_selected( array $backup, array $folder_ids ): array {
+		$snapshot_folders = array();
+		foreach ( $backup[ 'folders' ] ?? array() as $folder ) {
+			$snapshot_folders[ (int) $folder[ 'term_id' ] ] = $folder;
+		}
+
+		$selected = array_flip( array_intersect( $folder_ids, array_keys( $snapshot_folders ) ) );
+
+		if ( empty( $selected ) ) {
+			return array(
+				'success'              => false,
+				'folders_restored'     => 0,
+				'assignments_restored' => 0,
+				'error'                => __( 'None of the selected folders are in this snapshot.', 'vmfa-ai-organizer' ),
+			);
+		}
+
+		$live           = $this->capture_state();
+		$snapshot_paths = self::build_paths( $backup[ 'folders' ] );
+		$matches        = self::match_folders( $snapshot_paths, self::build_paths( $live[ 'folders' ] ), 'upload' === ( $backup[ 'source' ] ?? '' ) );
+
+		// Selected folders plus their ancestors, parents first.
+		$ensure = array();
+		foreach ( array_keys( $selected ) as $term_id ) {
+			while ( isset( $snapshot_folders[ $term_id ] ) && ! isset( $ensure[ $term_id ] ) ) {
+				$ensure[ $term_id ] = substr_count( $snapshot_paths[ $term_id ], '/' );
+				$term_id            = (int) $snapshot_folders[ $term_id ][ 'parent' ];
+			}
+		}
+		asort( $ensure );
+
+		$id_map           = array();
+		$folders_restored = 0;
+
+		foreach ( array_keys( $ensure ) as $term_id ) {
+			$folder    = $snapshot_folders[ $term_id ];
+			$parent    = (int) $folder[ 'parent' ];
+			$parent_id = 0;
+
+			if ( $parent > 0 ) {
+				if ( ! isset( $id_map[ $parent ] ) ) {
+					continue;
+				}
+				$parent_id = $id_map[ $parent ];
+			}
+
+			if ( isset( $matches[ $term_id ] ) ) {
+				$live_id = $matches[ $term_id ];
+
+				if ( isset( $selected[ $term_id ] ) ) {
+					$result = wp_update_term(
+						$live_id,
+						self::TAXONOMY,
+						array(
+							'name'   => $folder[ 'name' ],
+							'parent' => $parent_id,
+						)
+					);
+					if ( is_wp_error( $result ) ) {
+						continue;
+					}
+				}
+			} else {
+				$result = wp_insert_term( $folder[ 'name' ], self::TAXONOMY, array( 'parent' => $parent_id ) );
+				if ( is_wp_error( $result ) ) {
+					continue;
+				}
+				$live_id = (int) $result[ 'term_id' ];
+			}
+
+			$id_map[ $term_id ] = $live_id;
+
+			if ( isset( $selected[ $term_id ] ) ) {
+				if ( isset( $folder[ 'order' ] ) && '' !== $folder[ 'order' ] ) {
+					update_term_meta( $live_id, 'vmfo_order', $folder[ 'order' ] );
+				}
+				++$folders_restored;
+			}
+		}
+
+		$snapshot_assignments = self::group_assignments( $backup[ 'assignments' ] ?? array() );
+		$live_assignments     = self::group_assignments( $live[ 'assignments' ] );
+		$restored_ids         = array_intersect_key( $id_map, $selected );
+		$assignments_restored = 0;
+
+		// Take out media that weren't in a restored folder in the snapshot.
+		foreach ( $live_assignments as $attachment_id => $term_ids ) {
+			foreach ( $restored_ids as $term_id => $live_id ) {
+				if ( in_array( $live_id, $term_ids, true ) && ! in_array( $term_id, $snapshot_assignments[ $attachment_id ] ?? array(), true ) ) {
+					wp_remove_object_terms( $attachment_id, $live_id, self::TAXONOMY );
+				}
+			}
+		}
+
+		foreach ( $snapshot_assignments as $attachment_id => $term_ids ) {
+			$targets = array_values( array_intersect_key( $restored_ids, array_flip( $term_ids ) ) );
+
+			if ( empty( $targets ) ) {
+				continue;
+			}
+
+			// Keep the media's other current folders only if the snapshot had them there too.
+			$current = $live_assignments[ $attachment_id ] ?? array();
+			foreach ( $term_ids as $term_id ) {
+				if ( isset( $matches[ $term_id ] ) && in_array( $matches[ $term_id ], $current, true ) ) {
+					$targets[] = $matches[ $term_id ];
+				}
+			}
+
+			$result = wp_set_object_terms( $attachment_id, array_values( array_unique( $targets ) ), self::TAXONOMY );
+
+			if ( ! is_wp_error( $result ) ) {
+				++$assignments_restored;
+			}
+		}
+
+		delete_transient( 'vmfo_folder_counts' );
+		clean_taxonomy_cache( self::TAXONOMY );
+
+		return array(
+			'success'              => true,
+			'folders_restored'     => $folders_restored,
+			'assignments_restored' => $assignments_restored,
+			'error'                => null,
+		);
+	}
+
+	/**
+	 * Get stored snapshots, newest first.
+	 *
+	 * @return array<array<string, mixed>>
+	 */
+	private function get_stored_snapshots(): array {
+		$backup = get_option( self::BACKUP_OPTION );
+
+		if ( empty( $backup ) || ! is_array( $backup ) ) {
+			return array();
+		}
+
+		// Single backup stored by older versions.
+		if ( isset( $backup[ 'folders' ] ) ) {
+			return array(
+				array_merge(
+					array(
+						'id'        => self::LEGACY_SNAPSHOT_ID,
+						'label'     => __( 'Backup', 'vmfa-ai-organizer' ),
+						'source'    => 'scan',
+						'scan_mode' => null,
+					),
+					$backup
+				),
+			);
+		}
+
+		return array_values( array_filter( $backup[ 'snapshots' ] ?? array(), 'is_array' ) );
+	}
+
+	/**
+	 * Read the live folder structure and media-folder assignments.
+	 *
+	 * @return array{folders: array<array<string, mixed>>, assignments: array<array<string, mixed>>}
+	 */
+	private function capture_state(): array {
+		global $wpdb;
+
+		// Get all folders with hierarchy.
+		$terms = get_terms(
+			array(
+				'taxonomy'   => self::TAXONOMY,
+				'hide_empty' => false,
+			)
+		);
+
+		$folders = array();
+		if ( ! is_wp_error( $terms ) && ! empty( $terms ) ) {
+			foreach ( $terms as $term ) {
+				$folders[] = array(
+					'term_id' => $term->term_id,
+					'name'    => $term->name,
+					'slug'    => $term->slug,
+					'parent'  => $term->parent,
+					'order'   => get_term_meta( $term->term_id, 'vmfo_order', true ),
+				);
+			}
+		}
+
+		// Get all media-folder assignments.
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$assignments = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT tr.object_id, tt.term_id 
+				FROM {$wpdb->term_relationships} tr
+				INNER JOIN {$wpdb->term_taxonomy} tt ON tr.term_taxonomy_id = tt.term_taxonomy_id
+				WHERE tt.taxonomy = %s",
+				self::TAXONOMY
+			),
+			ARRAY_A
+		);
+
+		return array(
+			'folders'     => $folders,
+			'assignments' => $assignments ?: array(),
+		);
+	}
+
+	/**
+	 * Build the full path of every folder in a folder list.
+	 *
+	 * @param array<array<string, mixed>> $folders Folders with term_id, name and parent.
+	 * @return array<int, string> Paths ("Parent/Child") keyed by term ID.
+	 */
+	private static function build_paths( array $folders ): array {
+		$by_id = array();
+		foreach ( $folders as $folder ) {
+			$by_id[ (int) $folder[ 'term_id' ] ] = $folder;
+		}
+
+		$paths = array();
+		foreach ( $by_id as $term_id => $folder ) {
+			$segments = array();
+			$seen     = array();
+			$current  = $folder;
+
+			// Walk up the tree, guarding against parent loops in corrupt data.
+			while ( null !== $current && ! isset( $seen[ (int) $current[ 'term_id' ] ] ) ) {
+				$seen[ (int) $current[ 'term_id' ] ] = true;
+				array_unshift( $segments, (string) $current[ 'name' ] );
+				$current = $by_id[ (int) $current[ 'parent' ] ] ?? null;
+			}
+
+			$paths[ $term_id ] = implode( '/', $segments );
+		}
+
+		return $paths;
+	}
+
+	/**
+	 * Match snapshot folders to live folders, by term ID first and full path second.
+	 *
+	 * Uploaded snapshots carry the term IDs of the site they were downloaded
+	 * from, which may belong to unrelated folders here, so they are matched
+	 * by path only.
+	 *
+	 * @param array<int, string> $snapshot_paths Snapshot folder paths keyed by term ID.
+	 * @param array<int, string> $live_paths     Live folder paths keyed by term ID.
+	 * @param bool               $uploaded       Whether the snapshot was uploaded.
+	 * @return array<int, int> Live term IDs keyed by snapshot term ID.
+	 */
+	private static function match_folders( array $snapshot_paths, array $live_paths, bool $uploaded ): array {
+		$live_by_path = array_flip( $live_paths );
+		$matches      = array();
+
+		if ( ! $uploaded ) {
+			foreach ( $snapshot_paths as $term_id => $path ) {
+				if ( isset( $live_paths[ $term_id ] ) ) {
+					$matches[ $term_id ] = $term_id;
+				}
+			}
+		}
+
+		$claimed = array_flip( $matches );
+		foreach ( $snapshot_paths as $term_id => $path ) {
+			if ( isset( $matches[ $term_id ] ) || ! isset( $live_by_path[ $path ] ) || isset( $claimed[ $live_by_path[ $path ] ] ) ) {
+				continue;
+			}
+
+			$matches[ $term_id ]                = $live_by_path[ $path ];
+			$claimed[ $live_by_path[ $path ] ] = true;
+		}
+
+		return $matches;
+	}
+
+	/**
+	 * Group assignments by attachment.
+	 *
+	 * @param array<array<string, mixed>> $assignments Assignments with object_id and term_id.
+	 * @return array<int, array<int>> Term IDs keyed by attachment ID.
+	 */
+	private static function group_assignments( array $assignments ): array {
+		$grouped = array();
+		foreach ( $assignments as $assignment ) {
+			$grouped[ (int) $assignment[ 'object_id' ] ][] = (int) $assignment[ 'term_id' ];
+		}
+
+		return $grouped;
+	}
+
+	/**
+	 * Add a snapshot to the front of the history, dropping the oldest beyond the retention limit.
+	 *
+	 * @param array<string, mixed> $snapshot Snapshot.
+	 * @return array<string, mixed>|null Snapshot summary, or null on failure.
+	 */
+	private function add_snapshot( array $snapshot ): ?array {
+		$snapshots = $this->get_stored_snapshots();
+		array_unshift( $snapshots, $snapshot );
+		$snapshots = array_slice( $snapshots, 0, $this->get_retention() );
+
+		if ( ! $this->save_snapshots( $snapshots ) ) {
+			return null;
+		}
+
+		return $this->summarize_snapshot( $snapshot );
+	}
+
+	/**
+	 * Check the structure of an uploaded backup file.
+	 *
+	 * @param array<string, mixed> $data Decoded backup file.
+	 * @return string|null Error message, or null when the file is valid.
+	 */
+	private function validate_file( array $data ): ?string {
+		if ( self::FILE_FORMAT !== ( $data[ 'format' ] ?? null ) ) {
+			return __( 'This is not a VMFA backup file.', 'vmfa-ai-organizer' );
+		}
+
+		$version = $data[ 'version' ] ?? null;
+		if ( ! is_int( $version ) || $version < 1 ) {
+			return __( 'The backup file has no valid version.', 'vmfa-ai-organizer' );
+		}
+
+		if ( $version > self::FILE_VERSION ) {
+			return __( 'The backup file was made by a newer version of the plugin. Update the plugin and try again.', 'vmfa-ai-organizer' );
+		}
+
+		if ( ! isset( $data[ 'folders' ], $data[ 'assignments' ] ) || ! is_array( $data[ 'folders' ] ) || ! is_array( $data[ 'assignments' ] ) ) {
+			return __( 'The backup file has no folders or assignments.', 'vmfa-ai-organizer' );
+		}
+
+		$term_ids = array();
+		foreach ( $data[ 'folders' ] as $folder ) {
+			if ( ! is_array( $folder ) || empty( $folder[ 'term_id' ] ) || ! isset( $folder[ 'parent' ] ) || '' === trim( (string) ( $folder[ 'name' ] ?? '' ) ) ) {
+				return __( 'The backup file contains an invalid folder.', 'vmfa-ai-organizer' );
+			}
+
+			$term_ids[ (int) $folder[ 'term_id' ] ] = true;
+		}
+
+		foreach ( $data[ 'assignments' ] as $assignment ) {
+			if ( ! is_array( $assignment ) || empty( $assignment[ 'object_id' ] ) || ! isset( $term_ids[ (int) ( $assignment[ 'term_id' ] ?? 0 ) ] ) ) {
+				return __( 'The backup file contains an assignment to an unknown folder.', 'vmfa-ai-organizer' );
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Get the file path of every attachment, relative to the uploads directory.
+	 *
+	 * @return array<int, string> File paths keyed by attachment ID.
+	 */
+	private function get_attachment_files(): array {
+		global $wpdb;
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$rows = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT pm.post_id, pm.meta_value
+				FROM {$wpdb->postmeta} pm
+				INNER JOIN {$wpdb->posts} p ON p.ID = pm.post_id
+				WHERE pm.meta_key = %s AND p.post_type = %s",
+				'_wp_attached_file',
+				'attachment'
+			),
+			ARRAY_A
+		);
+
+		$files = array();
+		foreach ( $rows ?: array() as $row ) {
+			$files[ (int) $row[ 'post_id' ] ] = (string) $row[ 'meta_value' ];
+		}
+
+		return $files;
+	}
+
+	/**
+	 * Store the snapshot history.
+	 *
+	 * @param array<array<string, mixed>> $snapshots Snapshots, newest first.
+	 * @return bool
+	 */
+	private function save_snapshots( array $snapshots ): bool {
+		return update_option( self::BACKUP_OPTION, array( 'snapshots' => $snapshots ), false );
+	}
+
+	/**
+	 * Strip a snapshot down to its listing fields.
+	 *
+	 * @param array<string, mixed> $snapshot Snapshot.
+	 * @return array{id: string, label: string, source: string, scan_mode: string|null, timestamp: int|null, folder_count: int, assignment_count: int, version: string|null}
+	 */
+	private function summarize_snapshot( array $snapshot ): array {
+		return array(
+			'id'               => (string) ( $snapshot[ 'id' ] ?? '' ),
+			'label'            => (string) ( $snapshot[ 'label' ] ?? '' ),
+			'source'           => (string) ( $snapshot[ 'source' ] ?? 'manual' ),
+			'scan_mode'        => $snapshot[ 'scan_mode' ] ?? null,
+			'timestamp'        => $snapshot[ 'timestamp' ] ?? null,
+			'folder_count'     => count( $snapshot[ 'folders' ] ?? array() ),
+			'assignment_count' => count( $snapshot[ 'assignments' ] ?? array() ),
+			'version'          => $snapshot[ 'version' ] ?? null,
+		);
+	}
+
+	/**
+	 * Get the number of snapshots to keep.
+	 *
+	 * @return int
+	 */
+	private function get_retention(): int {
+		return max( 1, (int) Plugin::get_instance()->get_setting( 'backup_retention', self::DEFAULT_RETENTION ) );
+	}
+
 	/**
 	 * Remove all folder assignments from all media.
 	 *
@@ -290,7 +1067,7 @@ class BackupService {
 	}
 
 	/**
-	 * Delete the backup.
+	 * Delete all snapshots.
 	 *
 	 * @return bool
 	 */
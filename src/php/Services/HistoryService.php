@@ -0,0 +1,295 @@
+<?php
+/**
+ * History Service.
+ *
+ * @package VmfaAiOrganizer
+ */
+
+declare(strict_types=1);
+
+namespace VmfaAiOrganizer\Services;
+
+/**
+ * Service for keeping a history of scan runs and their full result lists.
+ */
+class HistoryService {
+
+	/**
+	 * Option holding run summaries, newest first.
+	 */
+	private const HISTORY_OPTION = 'vmfa_scan_history';
+
+	/**
+	 * Prefix of the per-run options holding full result lists.
+	 *
+	 * `<prefix><run_id>` holds the number of chunks and results; each batch
+	 * of results is stored as its own chunk in `<prefix><run_id>_<n>`.
+	 */
+	private const RESULTS_OPTION_PREFIX = 'vmfa_scan_history_results_';
+
+	/**
+	 * Number of runs to keep.
+	 */
+	private const MAX_RUNS = 50;
+
+	/**
+	 * Append results to a run's result list.
+	 *
+	 * The results are stored as a new chunk, so appending doesn't rewrite
+	 * the results stored before.
+	 *
+	 * @param string                      $run_id  Run ID.
+	 * @param array<array<string, mixed>> $results Analysis results.
+	 * @return void
+	 */
+	public function append_results( string $run_id, array $results ): void {
+		if ( '' === $run_id || empty( $results ) ) {
+			return;
+		}
+
+		$index = $this->get_results_index( $run_id );
+
+		update_option( self::RESULTS_OPTION_PREFIX . $run_id . '_' . $index[ 'chunks' ], array_values( $results ), false );
+		update_option(
+			self::RESULTS_OPTION_PREFIX . $run_id,
+			array(
+				'chunks' => $index[ 'chunks' ] + 1,
+				'count'  => $index[ 'count' ] + count( $results ),
+			),
+			false
+		);
+	}
+
+	/**
+	 * Record a finished run from its progress data.
+	 *
+	 * Recording the same run again replaces the earlier entry. Runs beyond
+	 * the history limit are dropped together with their results.
+	 *
+	 * @param array<string, mixed> $progress Scan progress.
+	 * @return void
+	 */
+	public function record( array $progress ): void {
+		$run_id = (string) ( $progress[ 'run_id' ] ?? '' );
+
+		if ( '' === $run_id ) {
+			return;
+		}
+
+		$user_id = (int) ( $progress[ 'started_by' ] ?? 0 );
+		$user    = $user_id > 0 ? get_userdata( $user_id ) : false;
+
+		$entry = array(
+			'id'           => $run_id,
+			'mode'         => (string) ( $progress[ 'mode' ] ?? '' ),
+			'dry_run'      => (bool) ( $progress[ 'dry_run' ] ?? false ),
+			'status'       => (string) ( $progress[ 'status' ] ?? '' ),
+			'provider'     => (string) ( $progress[ 'provider' ] ?? '' ),
+			'model'        => (string) ( $progress[ 'model' ] ?? '' ),
+			'started_by'   => $user_id,
+			'user_name'    => $user ? $user->display_name : '',
+			'started_at'   => $progress[ 'started_at' ] ?? null,
+			'completed_at' => $progress[ 'completed_at' ] ?? $progress[ 'cancelled_at' ] ?? time(),
+			'total'        => (int) ( $progress[ 'total' ] ?? 0 ),
+			'processed'    => (int) ( $progress[ 'processed' ] ?? 0 ),
+			'applied'      => (int) ( $progress[ 'applied' ] ?? 0 ),
+			'failed'       => (int) ( $progress[ 'failed' ] ?? 0 ),
+			'result_count' => $this->get_results_index( $run_id )[ 'count' ],
+		);
+
+		$runs = array_values(
+			array_filter(
+				$this->get_runs(),
+				function ( $run ) use ( $run_id ) {
+					return $run[ 'id' ] !== $run_id;
+				}
+			)
+		);
+		array_unshift( $runs, $entry );
+
+		$dropped = array_slice( $runs, self::MAX_RUNS );
+		$runs    = array_slice( $runs, 0, self::MAX_RUNS );
+
+		update_option( self::HISTORY_OPTION, $runs, false );
+
+		if ( ! empty( $dropped ) ) {
+			$this->delete_orphaned_results( array_column( $runs, 'id' ) );
+		}
+	}
+
+	/**
+	 * Delete stored results that belong to no run in the history.
+	 *
+	 * Covers runs dropped from the history as well as runs that never
+	 * finished, such as a scan whose progress was reset while it ran.
+	 *
+	 * @param array<string>|null $run_ids IDs of the runs to keep; the runs in the history when null.
+	 * @return void
+	 */
+	public function delete_orphaned_results( ?array $run_ids = null ): void {
+		global $wpdb;
+
+		$keep = array_flip( $run_ids ?? array_column( $this->get_runs(), 'id' ) );
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$names = $wpdb->get_col(
+			$wpdb->prepare(
+				"SELECT option_name FROM {$wpdb->options} WHERE option_name LIKE %s",
+				$wpdb->esc_like( self::RESULTS_OPTION_PREFIX ) . '%'
+			)
+		);
+
+		foreach ( (array) $names as $name ) {
+			$run_id = preg_replace( '/_\d+$/', '', substr( (string) $name, strlen( self::RESULTS_OPTION_PREFIX ) ) );
+
+			if ( ! isset( $keep[ $run_id ] ) ) {
+				delete_option( (string) $name );
+			}
+		}
+	}
+
+	/**
+	 * Get run summaries, newest first.
+	 *
+	 * @return array<array<string, mixed>>
+	 */
+	public function get_runs(): array {
+		$runs = get_option( self::HISTORY_OPTION, array() );
+
+		return is_array( $runs ) ? $runs : array();
+	}
+
+	/**
+	 * Get a run summary.
+	 *
+	 * @param string $run_id Run ID.
+	 * @return array<string, mixed>|null
+	 */
+	public function get_run( string $run_id ): ?array {
+		foreach ( $this->get_runs() as $run ) {
+			if ( $run[ 'id' ] === $run_id ) {
+				return $run;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Get a page of a run's results.
+	 *
+	 * @param string $run_id   Run ID.
+	 * @param int    $page     Page number (1-based).
+	 * @param int    $per_page Results per page.
+	 * @return array{results: array, total: int, pages: int, page: int, per_page: int}
+	 */
+	public function get_results( string $run_id, int $page = 1, int $per_page = 50 ): array {
+		$results  = $this->load_results( $run_id );
+		$per_page = max( 1, $per_page );
+		$total    = count( $results );
+		$pages    = max( 1, (int) ceil( $total / $per_page ) );
+		$page     = min( max( 1, $page ), $pages );
+
+		return array(
+			'results'  => array_slice( $results, ( $page - 1 ) * $per_page, $per_page ),
+			'total'    => $total,
+			'pages'    => $pages,
+			'page'     => $page,
+			'per_page' => $per_page,
+		);
+	}
+
+	/**
+	 * Get the new folders a run created or, for a preview, proposed.
+	 *
+	 * @param string $run_id Run ID.
+	 * @return array<string> Folder paths.
+	 */
+	public function get_new_folders( string $run_id ): array {
+		$paths = array();
+
+		foreach ( $this->load_results( $run_id ) as $result ) {
+			if ( 'create' === ( $result[ 'action' ] ?? '' ) && ! empty( $result[ 'new_folder_path' ] ) ) {
+				$paths[] = (string) $result[ 'new_folder_path' ];
+			}
+		}
+
+		return array_values( array_unique( $paths ) );
+	}
+
+	/**
+	 * Delete a run and its results.
+	 *
+	 * @param string $run_id Run ID.
+	 * @return bool False when the run doesn't exist.
+	 */
+	public function delete_run( string $run_id ): bool {
+		$runs      = $this->get_runs();
+		$remaining = array_values(
+			array_filter(
+				$runs,
+				function ( $run ) use ( $run_id ) {
+					return $run[ 'id' ] !== $run_id;
+				}
+			)
+		);
+
+		if ( count( $remaining ) === count( $runs ) ) {
+			return false;
+		}
+
+		$this->delete_results( $run_id );
+		update_option( self::HISTORY_OPTION, $remaining, false );
+
+		return true;
+	}
+
+	/**
+	 * Get the number of chunks and results stored for a run.
+	 *
+	 * @param string $run_id Run ID.
+	 * @return array{chunks: int, count: int}
+	 */
+	private function get_results_index( string $run_id ): array {
+		$index = get_option( self::RESULTS_OPTION_PREFIX . $run_id, array() );
+
+		return array(
+			'chunks' => (int) ( $index[ 'chunks' ] ?? 0 ),
+			'count'  => (int) ( $index[ 'count' ] ?? 0 ),
+		);
+	}
+
+	/**
+	 * Read all results stored for a run.
+	 *
+	 * @param string $run_id Run ID.
+	 * @return array<array<string, mixed>>
+	 */
+	private function load_results( string $run_id ): array {
+		$chunks = $this->get_results_index( $run_id )[ 'chunks' ];
+		$stored = array();
+
+		for ( $chunk = 0; $chunk < $chunks; $chunk++ ) {
+			$results  = get_option( self::RESULTS_OPTION_PREFIX . $run_id . '_' . $chunk, array() );
+			$stored[] = is_array( $results ) ? $results : array();
+		}
+
+		return array_merge( array(), ...$stored );
+	}
+
+	/**
+	 * Delete the results stored for a run.
+	 *
+	 * @param string $run_id Run ID.
+	 * @return void
+	 */
+	private function delete_results( string $run_id ): void {
+		$chunks = $this->get_results_index( $run_id )[ 'chunks' ];
+
+		for ( $chunk = 0; $chunk < $chunks; $chunk++ ) {
+			delete_option( self::RESULTS_OPTION_PREFIX . $run_id . '_' . $chunk );
+		}
+
+		delete_option( self::RESULTS_OPTION_PREFIX . $run_id );
+	}
+}
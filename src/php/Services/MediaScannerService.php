@@ -47,6 +47,21 @@ class MediaScannerService {
 	 */
 	private const DRYRUN_CACHE_OPTION = 'vmfa_scan_dryrun_cache';
 
+	/**
+	 * Action Scheduler hooks that make up a scan.
+	 */
+	private const SCAN_HOOKS = array( 'vmfa_process_media_batch', 'vmfa_apply_assignments', 'vmfa_finalize_scan', 'vmfa_cleanup_folders' );
+
+	/**
+	 * Columns of an exported dry-run result.
+	 */
+	private const EXPORT_COLUMNS = array( 'attachment_id', 'filename', 'url', 'action', 'folder_path', 'confidence', 'reason' );
+
+	/**
+	 * Formats supported by the dry-run export.
+	 */
+	private const EXPORT_FORMATS = array( 'csv', 'json' );
+
 	/**
 	 * AI Analysis Service.
 	 *
@@ -61,12 +76,43 @@ class MediaScannerService {
 	 */
 	private BackupService $backup_service;
 
+	/**
+	 * Undo Service.
+	 *
+	 * @var UndoService
+	 */
+	private UndoService $undo_service;
+
+	/**
+	 * History Service.
+	 *
+	 * @var HistoryService
+	 */
+	private HistoryService $history_service;
+
+	/**
+	 * Review Queue Service.
+	 *
+	 * @var ReviewQueueService
+	 */
+	private ReviewQueueService $review_queue;
+
+	/**
+	 * Existing folder paths keyed by term ID, built on demand.
+	 *
+	 * @var array<int, string>|null
+	 */
+	private ?array $folder_paths_by_id = null;
+
 	/**
 	 * Constructor.
 	 */
 	public function __construct() {
 		$this->analysis_service = new AIAnalysisService();
 		$this->backup_service   = new BackupService();
+		$this->undo_service     = new UndoService();
+		$this->history_service  = new HistoryService();
+		$this->review_queue     = new ReviewQueueService();
 	}
 
 	/**
@@ -79,6 +125,9 @@ class MediaScannerService {
 		add_action( 'vmfa_apply_assignments', array( $this, 'apply_assignments' ) );
 		add_action( 'vmfa_finalize_scan', array( $this, 'finalize_scan' ) );
 		add_action( 'vmfa_cleanup_folders', array( $this, 'cleanup_folders' ) );
+		add_action( 'action_scheduler_failed_execution', array( $this, 'handle_failed_action' ), 10, 2 );
+		add_action( 'action_scheduler_unexpected_shutdown', array( $this, 'handle_failed_action' ), 10, 2 );
+		add_filter( 'heartbeat_received', array( $this, 'heartbeat_received' ), 10, 2 );
 	}
 
 	/**
@@ -86,9 +135,11 @@ class MediaScannerService {
 	 *
 	 * @param string $mode    Scan mode: 'organize_unassigned', 'reanalyze_all', 'reorganize_all'.
 	 * @param bool   $dry_run Whether to run in dry-run mode.
+	 * @param array  $scope   Scope filters: date_from, date_to, mime_type, author, folder, attachment_ids.
+	 * @param array  $context Run context for scheduled scans: schedule_id, and window (start/end, HH:MM) outside which batches wait.
 	 * @return array{success: bool, message: string, total?: int}
 	 */
-	public function start_scan( string $mode, bool $dry_run = false ): array {
+	public function start_scan( string $mode, bool $dry_run = false, array $scope = array(), array $context = array() ): array {
 		// Check if AI provider is configured.
 		if ( ! $this->analysis_service->is_provider_configured() ) {
 			return array(
@@ -110,18 +161,38 @@ class MediaScannerService {
 			);
 		}
 
-		// Get attachment IDs based on mode.
-		$attachment_ids = $this->get_attachment_ids_for_mode( $mode );
+		$scope       = $this->normalize_scope( $scope );
+		$scope_error = $this->get_scope_error( $mode, $scope );
+		if ( null !== $scope_error ) {
+			return array(
+				'success' => false,
+				'message' => $scope_error,
+			);
+		}
+
+		// Get attachment IDs based on mode and scope.
+		$attachment_ids = $this->get_attachment_ids_for_mode( $mode, $scope );
 
 		if ( empty( $attachment_ids ) ) {
 			return array(
 				'success' => false,
-				'message' => __( 'No media files found to process.', 'vmfa-ai-organizer' ),
+				'message' => empty( $scope )
+					? __( 'No media files found to process.', 'vmfa-ai-organizer' )
+					: __( 'No media files match the scan scope.', 'vmfa-ai-organizer' ),
 			);
 		}
 
-		$this->run_reorganize_all_preflight_for_scan_start( $mode, $dry_run );
-		$this->initialize_progress( $mode, $dry_run, count( $attachment_ids ) );
+		$this->run_apply_preflight_for_scan_start( $mode, $dry_run );
+		$this->initialize_progress(
+			$mode,
+			$dry_run,
+			count( $attachment_ids ),
+			array_merge(
+				$this->analysis_service->get_provider_info(),
+				array( 'started_by' => get_current_user_id() ),
+				array_intersect_key( $context, array_flip( array( 'schedule_id', 'window' ) ) )
+			)
+		);
 
 		// Store attachment IDs for processing.
 		update_option( 'vmfa_scan_attachment_ids', $attachment_ids, false );
@@ -151,6 +222,36 @@ class MediaScannerService {
 		);
 	}
 
+	/**
+	 * Count the media files a scan would process.
+	 *
+	 * @param string $mode  Scan mode.
+	 * @param array  $scope Scope filters: date_from, date_to, mime_type, author, folder, attachment_ids.
+	 * @return array{success: bool, message?: string, count?: int}
+	 */
+	public function count_scan_items( string $mode, array $scope = array() ): array {
+		if ( ! $this->is_valid_mode( $mode ) ) {
+			return array(
+				'success' => false,
+				'message' => __( 'Invalid scan mode.', 'vmfa-ai-organizer' ),
+			);
+		}
+
+		$scope       = $this->normalize_scope( $scope );
+		$scope_error = $this->get_scope_error( $mode, $scope );
+		if ( null !== $scope_error ) {
+			return array(
+				'success' => false,
+				'message' => $scope_error,
+			);
+		}
+
+		return array(
+			'success' => true,
+			'count'   => count( $this->get_attachment_ids_for_mode( $mode, $scope ) ),
+		);
+	}
+
 	/**
 	 * Cleanup folders for reorganize mode.
 	 *
@@ -191,6 +292,30 @@ class MediaScannerService {
 			return;
 		}
 
+		// Scheduled scans only process batches inside their time window.
+		$window = $progress[ 'window' ];
+		if ( is_array( $window ) && ! ScheduleService::is_within_window( $window[ 'start' ], $window[ 'end' ] ) ) {
+			$resume_at = ScheduleService::get_next_window_start( $window[ 'start' ] );
+
+			$this->update_progress( array( 'waiting_until' => $resume_at ) );
+
+			as_schedule_single_action(
+				$resume_at,
+				'vmfa_process_media_batch',
+				array(
+					'batch_number' => $batch_number,
+					'batch_size'   => $batch_size,
+					'dry_run'      => $dry_run,
+				),
+				'vmfa-ai-organizer'
+			);
+			return;
+		}
+
+		if ( null !== $progress[ 'waiting_until' ] ) {
+			$this->update_progress( array( 'waiting_until' => null ) );
+		}
+
 		// Safety check: if already processed all items, finalize.
 		$total = count( $attachment_ids );
 		if ( $progress[ 'processed' ] >= $total ) {
@@ -213,9 +338,11 @@ class MediaScannerService {
 		$this->analysis_service->get_folder_paths( true );
 
 		// Process each attachment in batch.
-		$batch_results   = array();
-		$pending_results = get_option( self::PENDING_RESULTS_OPTION, array() );
-		$dryrun_cache    = $dry_run ? get_option( self::DRYRUN_CACHE_OPTION, array() ) : array();
+		$batch_results    = array();
+		$pending_results  = get_option( self::PENDING_RESULTS_OPTION, array() );
+		$dryrun_cache     = $dry_run ? get_option( self::DRYRUN_CACHE_OPTION, array() ) : array();
+		$review_threshold = $this->get_review_threshold();
+		$held             = 0;
 
 		foreach ( $batch_ids as $attachment_id ) {
 			// Check for cancellation between each item.
@@ -238,9 +365,14 @@ class MediaScannerService {
 			$result          = $this->analysis_service->analyze_media( (int) $attachment_id );
 			$batch_results[] = $result;
 
-			// Store pending result for later application.
+			// Store pending result for later application, holding unsure ones for review.
 			if ( ! $dry_run && in_array( $result[ 'action' ], array( 'assign', 'create' ), true ) ) {
-				$pending_results[] = $result;
+				if ( (float) $result[ 'confidence' ] < $review_threshold ) {
+					$this->review_queue->add( $result, 'scan' );
+					++$held;
+				} else {
+					$pending_results[] = $result;
+				}
 			}
 
 			// Cache ALL actionable results during dry-run for later application.
@@ -268,11 +400,15 @@ class MediaScannerService {
 
 		$this->update_progress(
 			array(
-				'processed' => $new_processed,
-				'results'   => $all_results,
+				'processed'    => $new_processed,
+				'results'      => $all_results,
+				'result_count' => (int) $progress[ 'result_count' ] + count( $batch_results ),
+				'held'         => (int) $progress[ 'held' ] + $held,
 			)
 		);
 
+		$this->history_service->append_results( $progress[ 'run_id' ], $batch_results );
+
 		// Check for cancellation before scheduling next batch.
 		$final_progress = $this->get_progress();
 		if ( 'running' !== $final_progress[ 'status' ] ) {
@@ -302,17 +438,9 @@ class MediaScannerService {
 		$pending_results = get_option( self::PENDING_RESULTS_OPTION, array() );
 		$progress        = $this->get_progress();
 
-		$applied = 0;
-		$failed  = 0;
-
-		foreach ( $pending_results as $result ) {
-			$success = $this->analysis_service->apply_result( $result );
-			if ( $success ) {
-				++$applied;
-			} else {
-				++$failed;
-			}
-		}
+		$counts  = $this->apply_results( $pending_results, $progress );
+		$applied = $counts[ 'applied' ];
+		$failed  = $counts[ 'failed' ];
 
 		// Update progress with application results.
 		$this->update_progress(
@@ -338,11 +466,17 @@ class MediaScannerService {
 	 * Apply cached dry-run results.
 	 *
 	 * This allows applying previously cached dry-run results without re-running the AI analysis.
+	 * The optional selection narrows or re-targets the cache before applying:
+	 * - `items`: apply only these attachments, each optionally re-targeted.
+	 * - `exclude`: attachment IDs to leave out.
+	 * - `overrides`: re-target individual attachments without narrowing the set.
+	 * A target is either an existing folder (`folder_id`) or a new path (`new_folder_path`).
 	 *
-	 * @param string $mode The scan mode for progress tracking.
+	 * @param string $mode      The scan mode for progress tracking.
+	 * @param array  $selection Optional selection with `items`, `exclude` and/or `overrides`.
 	 * @return array{success: bool, message: string, applied?: int, failed?: int}
 	 */
-	public function apply_cached_results( string $mode ): array {
+	public function apply_cached_results( string $mode, array $selection = array() ): array {
 		$cached_results = get_option( self::DRYRUN_CACHE_OPTION, array() );
 
 		if ( empty( $cached_results ) ) {
@@ -352,6 +486,24 @@ class MediaScannerService {
 			);
 		}
 
+		if ( ! empty( $selection ) ) {
+			$cached_results = $this->select_cached_results( $cached_results, $selection );
+
+			if ( is_wp_error( $cached_results ) ) {
+				return array(
+					'success' => false,
+					'message' => $cached_results->get_error_message(),
+				);
+			}
+
+			if ( empty( $cached_results ) ) {
+				return array(
+					'success' => false,
+					'message' => __( 'No results selected to apply.', 'vmfa-ai-organizer' ),
+				);
+			}
+		}
+
 		$already_running_error = $this->get_already_running_error();
 		if ( null !== $already_running_error ) {
 			return $already_running_error;
@@ -364,24 +516,25 @@ class MediaScannerService {
 			);
 		}
 
-		$this->run_reorganize_all_preflight_for_apply_cached( $mode );
-
-		$this->initialize_progress( $mode, false, count( $cached_results ) );
+		$this->run_apply_preflight_for_apply_cached( $mode );
 
-		$applied = 0;
-		$failed  = 0;
-		$results = array();
-
-		foreach ( $cached_results as $result ) {
-			$success   = $this->analysis_service->apply_result( $result );
-			$results[] = $result;
+		// The results came from the preview run, so credit its provider and model.
+		$preview = $this->get_progress();
+		$this->initialize_progress(
+			$mode,
+			false,
+			count( $cached_results ),
+			array(
+				'provider'   => $preview[ 'provider' ],
+				'model'      => $preview[ 'model' ],
+				'started_by' => get_current_user_id(),
+			)
+		);
 
-			if ( $success ) {
-				++$applied;
-			} else {
-				++$failed;
-			}
-		}
+		$counts  = $this->apply_results( $cached_results, $this->get_progress() );
+		$applied = $counts[ 'applied' ];
+		$failed  = $counts[ 'failed' ];
+		$results = $cached_results;
 
 		// Keep only last 100 results for memory efficiency.
 		if ( count( $results ) > 100 ) {
@@ -394,12 +547,17 @@ class MediaScannerService {
 				'status'       => 'completed',
 				'processed'    => count( $cached_results ),
 				'results'      => $results,
+				'result_count' => count( $cached_results ),
 				'applied'      => $applied,
 				'failed'       => $failed,
 				'completed_at' => time(),
 			)
 		);
 
+		$progress = $this->get_progress();
+		$this->history_service->append_results( $progress[ 'run_id' ], $cached_results );
+		$this->history_service->record( $progress );
+
 		// Clean up cached results and temporary data.
 		delete_option( self::DRYRUN_CACHE_OPTION );
 		delete_option( 'vmfa_scan_attachment_ids' );
@@ -408,10 +566,11 @@ class MediaScannerService {
 		/**
 		 * Fires when cached results are applied.
 		 *
-		 * @param int $applied Number of successfully applied results.
-		 * @param int $failed  Number of failed results.
+		 * @param int   $applied  Number of successfully applied results.
+		 * @param int   $failed   Number of failed results.
+		 * @param array $progress Final progress data of the apply run.
 		 */
-		do_action( 'vmfa_cached_results_applied', $applied, $failed );
+		do_action( 'vmfa_cached_results_applied', $applied, $failed, $progress );
 
 		return array(
 			'success' => true,
@@ -426,6 +585,117 @@ class MediaScannerService {
 		);
 	}
 
+	/**
+	 * Apply analysis results and record the changes so the run can be undone.
+	 *
+	 * @param array<array<string, mixed>> $results  Results to apply.
+	 * @param array<string, mixed>        $progress Progress of the run being applied.
+	 * @return array{applied: int, failed: int}
+	 */
+	private function apply_results( array $results, array $progress ): array {
+		$folders_before = $this->undo_service->get_folder_ids();
+		$moves          = array();
+		$applied        = 0;
+		$failed         = 0;
+
+		foreach ( $results as $result ) {
+			$attachment_id = (int) ( $result[ 'attachment_id' ] ?? 0 );
+			$from          = $this->undo_service->get_attachment_folders( $attachment_id );
+
+			if ( $this->analysis_service->apply_result( $result ) ) {
+				$moves[] = array(
+					'attachment_id' => $attachment_id,
+					'from'          => $from,
+					'to'            => $this->undo_service->get_attachment_folders( $attachment_id ),
+				);
+				++$applied;
+			} else {
+				++$failed;
+			}
+		}
+
+		$this->undo_service->record_run( (string) $progress[ 'run_id' ], (string) $progress[ 'mode' ], $moves, $folders_before );
+
+		return array(
+			'applied' => $applied,
+			'failed'  => $failed,
+		);
+	}
+
+	/**
+	 * Undo the changes made by an applied run.
+	 *
+	 * @param string $run_id Run ID; the most recently applied run when empty.
+	 * @return array{success: bool, message: string, reverted?: int, skipped?: int, folders_removed?: int}
+	 */
+	public function undo_run( string $run_id = '' ): array {
+		$already_running_error = $this->get_already_running_error();
+		if ( null !== $already_running_error ) {
+			return $already_running_error;
+		}
+
+		return $this->undo_service->undo( $run_id );
+	}
+
+	/**
+	 * Get a summary of an applied run, for offering undo.
+	 *
+	 * @param string $run_id Run ID; the most recently applied run when empty.
+	 * @return array<string, mixed>|null
+	 */
+	public function get_applied_run( string $run_id = '' ): ?array {
+		return $this->undo_service->get_run( $run_id );
+	}
+
+	/**
+	 * Narrow and re-target cached results according to a selection.
+	 *
+	 * @param array<array<string, mixed>> $cached_results Cached dry-run results.
+	 * @param array<string, array>        $selection      Selection with `items`, `exclude` and/or `overrides`.
+	 * @return array<array<string, mixed>>|\WP_Error Error when a target is invalid.
+	 */
+	private function select_cached_results( array $cached_results, array $selection ): array|\WP_Error {
+		$by_attachment = array();
+		foreach ( $cached_results as $result ) {
+			$by_attachment[ (int) ( $result[ 'attachment_id' ] ?? 0 ) ] = $result;
+		}
+
+		if ( isset( $selection[ 'items' ] ) && is_array( $selection[ 'items' ] ) ) {
+			$curated = array();
+
+			// Items that are not in the cache are ignored.
+			foreach ( $selection[ 'items' ] as $item ) {
+				$attachment_id = (int) ( $item[ 'attachment_id' ] ?? 0 );
+				if ( isset( $by_attachment[ $attachment_id ] ) ) {
+					$curated[ $attachment_id ] = $this->analysis_service->override_result_target( $by_attachment[ $attachment_id ], $item );
+
+					if ( is_wp_error( $curated[ $attachment_id ] ) ) {
+						return $curated[ $attachment_id ];
+					}
+				}
+			}
+
+			$by_attachment = $curated;
+		}
+
+		foreach ( (array) ( $selection[ 'overrides' ] ?? array() ) as $item ) {
+			$attachment_id = (int) ( $item[ 'attachment_id' ] ?? 0 );
+			if ( isset( $by_attachment[ $attachment_id ] ) ) {
+				$by_attachment[ $attachment_id ] = $this->analysis_service->override_result_target( $by_attachment[ $attachment_id ], $item );
+
+				if ( is_wp_error( $by_attachment[ $attachment_id ] ) ) {
+					return $by_attachment[ $attachment_id ];
+				}
+			}
+		}
+
+		foreach ( (array) ( $selection[ 'exclude' ] ?? array() ) as $attachment_id ) {
+			unset( $by_attachment[ (int) $attachment_id ] );
+		}
+
+		return array_values( $by_attachment );
+	}
+
 	/**
 	 * Check if a mode is valid.
 	 *
@@ -459,12 +729,88 @@ class MediaScannerService {
 	 * @param string $mode Scan mode.
 	 * @return array<int>
 	 */
-	private function get_attachment_ids_for_mode( string $mode ): array {
+	private function get_attachment_ids_for_mode( string $mode, array $scope = array() ): array {
+		if ( empty( $scope ) ) {
+			return 'organize_unassigned' === $mode
+				? $this->analysis_service->get_unassigned_media_ids()
+				: $this->analysis_service->get_all_media_ids();
+		}
+
+		$scoped_ids = $this->analysis_service->get_scoped_media_ids( $scope );
+
 		if ( 'organize_unassigned' === $mode ) {
-			return $this->analysis_service->get_unassigned_media_ids();
+			return array_values( array_intersect( $scoped_ids, $this->analysis_service->get_unassigned_media_ids() ) );
+		}
+
+		return $scoped_ids;
+	}
+
+	/**
+	 * Drop empty and unknown scope filters and cast the rest.
+	 *
+	 * @param array $scope Raw scope filters.
+	 * @return array{date_from?: string, date_to?: string, mime_type?: string, author?: int, folder?: int, attachment_ids?: array<int>}
+	 */
+	private function normalize_scope( array $scope ): array {
+		$normalized = array();
+
+		foreach ( array( 'date_from', 'date_to', 'mime_type' ) as $key ) {
+			if ( isset( $scope[ $key ] ) && '' !== trim( (string) $scope[ $key ] ) ) {
+				$normalized[ $key ] = trim( (string) $scope[ $key ] );
+			}
+		}
+
+		foreach ( array( 'author', 'folder' ) as $key ) {
+			if ( ! empty( $scope[ $key ] ) ) {
+				$normalized[ $key ] = absint( $scope[ $key ] );
+			}
+		}
+
+		if ( ! empty( $scope[ 'attachment_ids' ] ) && is_array( $scope[ 'attachment_ids' ] ) ) {
+			$ids = array_values( array_unique( array_filter( array_map( 'absint', $scope[ 'attachment_ids' ] ) ) ) );
+
+			if ( ! empty( $ids ) ) {
+				$normalized[ 'attachment_ids' ] = $ids;
+			}
 		}
 
-		return $this->analysis_service->get_all_media_ids();
+		return $normalized;
+	}
+
+	/**
+	 * Validate scope filters for a scan mode.
+	 *
+	 * Reorganize All deletes every folder before scanning, so it can't be
+	 * limited to part of the library.
+	 *
+	 * @param string $mode  Scan mode.
+	 * @param array  $scope Normalized scope filters.
+	 * @return string|null Error message, or null when the scope is valid.
+	 */
+	private function get_scope_error( string $mode, array $scope ): ?string {
+		if ( empty( $scope ) ) {
+			return null;
+		}
+
+		if ( 'reorganize_all' === $mode ) {
+			return __( 'Reorganize All rebuilds every folder and cannot be limited to part of the library. Use Re-analyze All with scope filters instead.', 'vmfa-ai-organizer' );
+		}
+
+		foreach ( array( 'date_from', 'date_to' ) as $key ) {
+			if ( isset( $scope[ $key ] ) && ! preg_match( '/^\d{4}-\d{2}-\d{2}$/', $scope[ $key ] ) ) {
+				return __( 'Scope dates must use the YYYY-MM-DD format.', 'vmfa-ai-organizer' );
+			}
+		}
+
+		if ( isset( $scope[ 'date_from' ], $scope[ 'date_to' ] ) && $scope[ 'date_from' ] > $scope[ 'date_to' ] ) {
+			return __( 'The scope start date is after its end date.', 'vmfa-ai-organizer' );
+		}
+
+		if ( isset( $scope[ 'mime_type' ] ) && ! preg_match( '#^[a-z]+(/[a-z0-9.+-]+)?$#', $scope[ 'mime_type' ] ) ) {
+			return __( 'Invalid MIME type in the scan scope.', 'vmfa-ai-organizer' );
+		}
+
+		return null;
 	}
 
 	/**
@@ -473,24 +819,56 @@ class MediaScannerService {
 	 * @param string $mode    Scan mode.
 	 * @param bool   $dry_run Whether this is a dry run.
 	 * @param int    $total   Total items.
+	 * @param array  $context Run details: provider, model and started_by for the history, and schedule_id and window for scheduled scans.
 	 * @return void
 	 */
-	private function initialize_progress( string $mode, bool $dry_run, int $total ): void {
+	private function initialize_progress( string $mode, bool $dry_run, int $total, array $context = array() ): void {
+		$context = wp_parse_args(
+			$context,
+			array(
+				'provider'    => '',
+				'model'       => '',
+				'started_by'  => 0,
+				'schedule_id' => '',
+				'window'      => null,
+			)
+		);
+
 		$this->update_progress(
 			array(
-				'status'       => 'running',
-				'mode'         => $mode,
-				'dry_run'      => $dry_run,
-				'total'        => $total,
-				'processed'    => 0,
-				'results'      => array(),
-				'started_at'   => time(),
-				'completed_at' => null,
-				'error'        => null,
+				'status'        => 'running',
+				'run_id'        => wp_generate_uuid4(),
+				'mode'          => $mode,
+				'dry_run'       => $dry_run,
+				'total'         => $total,
+				'processed'     => 0,
+				'held'          => 0,
+				'results'       => array(),
+				'result_count'  => 0,
+				'started_at'    => time(),
+				'completed_at'  => null,
+				'error'         => null,
+				'provider'      => (string) $context[ 'provider' ],
+				'model'         => (string) $context[ 'model' ],
+				'started_by'    => (int) $context[ 'started_by' ],
+				'schedule_id'   => (string) $context[ 'schedule_id' ],
+				'window'        => $context[ 'window' ],
+				'waiting_until' => null,
 			)
 		);
 	}
 
+	/**
+	 * Get the confidence below which live-scan results are held for review.
+	 *
+	 * @return float Between 0 and 1; 0 applies every result.
+	 */
+	private function get_review_threshold(): float {
+		$percent = (int) Plugin::get_instance()->get_setting( 'review_threshold', 0 );
+
+		return max( 0, min( 100, $percent ) ) / 100;
+	}
+
 	/**
 	 * Get configured batch size.
 	 *
@@ -569,31 +947,31 @@ class MediaScannerService {
 	}
 
 	/**
-	 * Preflight for reorganize_all when starting a scan.
+	 * Snapshot folders before a scan that applies changes.
 	 *
 	 * @param string $mode    Scan mode.
 	 * @param bool   $dry_run Whether this is a dry run.
 	 * @return void
 	 */
-	private function run_reorganize_all_preflight_for_scan_start( string $mode, bool $dry_run ): void {
-		if ( 'reorganize_all' === $mode && ! $dry_run ) {
-			$this->backup_service->export();
+	private function run_apply_preflight_for_scan_start( string $mode, bool $dry_run ): void {
+		if ( ! $dry_run ) {
+			$this->backup_service->export( '', 'scan', $mode );
 		}
 	}
 
 	/**
-	 * Preflight for reorganize_all when applying cached dry-run results.
+	 * Snapshot folders before applying cached dry-run results, and clear them for reorganize_all.
 	 *
 	 * @param string $mode Scan mode.
 	 * @return void
 	 */
-	private function run_reorganize_all_preflight_for_apply_cached( string $mode ): void {
+	private function run_apply_preflight_for_apply_cached( string $mode ): void {
+		$this->backup_service->export( '', 'scan', $mode );
+
 		if ( 'reorganize_all' !== $mode ) {
 			return;
 		}
 
-		$this->backup_service->export();
-
 		// Remove all existing folders (this also removes all media assignments).
 		$this->backup_service->remove_all_folders();
 
@@ -621,67 +999,814 @@ class MediaScannerService {
 	}
 
 	/**
-	 * Finalize the scan.
+	 * Rename or merge proposed new folders in the dry-run cache.
 	 *
-	 * @return void
+	 * Every cached `create` result whose path is one of `$sources`, or lies below one,
+	 * is moved to the target: a new path, or an existing folder when `$folder_id` is given.
+	 * Results that end up on an existing folder path become `assign` results.
+	 *
+	 * @param array<string> $sources     Proposed folder paths to rewrite.
+	 * @param string        $target_path Target folder path (ignored when `$folder_id` is set).
+	 * @param int           $folder_id   Existing folder to merge into.
+	 * @return array{success: bool, message: string, updated?: int}
 	 */
-	public function finalize_scan(): void {
-		$progress = $this->get_progress();
+	public function merge_cached_folders( array $sources, string $target_path, int $folder_id = 0 ): array {
+		$sources = array_values( array_unique( array_filter( array_map( static fn( $source ) => trim( (string) $source, '/ ' ), $sources ) ) ) );
 
-		$this->update_progress(
-			array(
-				'status'       => 'completed',
-				'completed_at' => time(),
-			)
-		);
+		if ( empty( $sources ) ) {
+			return array(
+				'success' => false,
+				'message' => __( 'Select at least one proposed folder.', 'vmfa-ai-organizer' ),
+			);
+		}
 
-		// Clean up temporary data.
-		delete_option( 'vmfa_scan_attachment_ids' );
-		delete_option( self::PENDING_RESULTS_OPTION );
+		$existing = $this->analysis_service->get_folder_paths( true );
 
-		// For successful reorganize_all, clean up backup after some time.
-		// Keep backup for manual restore if needed.
+		if ( $folder_id > 0 ) {
+			$target = array_search( $folder_id, $existing, true );
+			if ( false === $target ) {
+				return array(
+					'success' => false,
+					'message' => __( 'Target folder not found.', 'vmfa-ai-organizer' ),
+				);
+			}
+			$target = (string) $target;
+		} else {
+			$target = $this->analysis_service->sanitize_folder_path( $target_path );
+			if ( '' === $target ) {
+				return array(
+					'success' => false,
+					'message' => __( 'Please enter a folder name.', 'vmfa-ai-organizer' ),
+				);
+			}
+		}
 
-		/**
-		 * Fires when a scan is completed.
-		 *
-		 * @param array $progress Final progress data.
-		 */
-		do_action( 'vmfa_scan_completed', $progress );
-	}
+		$cached  = $this->get_cached_results();
+		$updated = 0;
 
-	/**
-	 * Cancel an in-progress scan.
-	 *
-	 * @return array{success: bool, message: string}
-	 */
-	public function cancel_scan(): array {
-		$progress = $this->get_progress();
+		foreach ( $cached as $index => $result ) {
+			if ( 'create' !== ( $result[ 'action' ] ?? '' ) || empty( $result[ 'new_folder_path' ] ) ) {
+				continue;
+			}
 
-		if ( 'running' !== $progress[ 'status' ] ) {
+			$path = trim( (string) $result[ 'new_folder_path' ], '/' );
+
+			foreach ( $sources as $source ) {
+				if ( $path !== $source && ! str_starts_with( $path, $source . '/' ) ) {
+					continue;
+				}
+
+				$new_path = $target . substr( $path, strlen( $source ) );
+
+				if ( isset( $existing[ $new_path ] ) ) {
+					$result[ 'action' ]          = 'assign';
+					$result[ 'folder_id' ]       = $existing[ $new_path ];
+					$result[ 'new_folder_path' ] = null;
+					$result[ 'folder_name' ]     = basename( $new_path );
+				} else {
+					$result[ 'new_folder_path' ] = $new_path;
+					$result[ 'folder_name' ]     = $new_path;
+				}
+
+				$cached[ $index ] = $result;
+				++$updated;
+				break;
+			}
+		}
+
+		if ( 0 === $updated ) {
 			return array(
 				'success' => false,
-				'message' => __( 'No scan is currently running.', 'vmfa-ai-organizer' ),
+				'message' => __( 'No cached results use the selected folders.', 'vmfa-ai-organizer' ),
 			);
 		}
 
-		// Unschedule all pending actions.
-		as_unschedule_all_actions( 'vmfa_process_media_batch', array(), 'vmfa-ai-organizer' );
-		as_unschedule_all_actions( 'vmfa_apply_assignments', array(), 'vmfa-ai-organizer' );
-		as_unschedule_all_actions( 'vmfa_finalize_scan', array(), 'vmfa-ai-organizer' );
-		as_unschedule_all_actions( 'vmfa_cleanup_folders', array(), 'vmfa-ai-organizer' );
+		update_option( self::DRYRUN_CACHE_OPTION, $cached, false );
 
-		// Cancel in-progress and failed actions for our group.
-		$this->cleanup_action_scheduler_group();
+		return array(
+			'success' => true,
+			'message' => sprintf(
+				/* translators: 1: number of results, 2: target folder path */
+				__( 'Moved %1$d results to %2$s.', 'vmfa-ai-organizer' ),
+				$updated,
+				$target
+			),
+			'updated' => $updated,
+		);
+	}
 
-		// Update progress.
-		$this->update_progress(
-			array(
-				'status'       => 'cancelled',
+	/**
+	 * Query cached dry-run results with filtering, sorting and pagination.
+	 *
+	 * @param array{page?: int, per_page?: int, orderby?: string, order?: string, search?: string, action?: string, confidence?: string, folder?: string} $args Query arguments.
+	 * @return array{results: array, total: int, pages: int, page: int, per_page: int}
+	 */
+	public function query_cached_results( array $args = array() ): array {
+		$args = wp_parse_args(
+			$args,
+			array(
+				'page'       => 1,
+				'per_page'   => 50,
+				'orderby'    => 'folder',
+				'order'      => 'asc',
+				'search'     => '',
+				'action'     => '',
+				'confidence' => '',
+				'folder'     => '',
+			)
+		);
+
+		$results = array_values(
+			array_filter(
+				$this->get_cached_results(),
+				fn( array $result ): bool => $this->cached_result_matches( $result, $args )
+			)
+		);
+
+		$direction = 'desc' === strtolower( (string) $args[ 'order' ] ) ? -1 : 1;
+		$orderby   = (string) $args[ 'orderby' ];
+
+		usort(
+			$results,
+			static function ( array $a, array $b ) use ( $orderby, $direction ): int {
+				switch ( $orderby ) {
+					case 'confidence':
+						$compare = ( (float) ( $a[ 'confidence' ] ?? 0 ) ) <=> ( (float) ( $b[ 'confidence' ] ?? 0 ) );
+						break;
+					case 'filename':
+						$compare = strcasecmp( (string) ( $a[ 'filename' ] ?? '' ), (string) ( $b[ 'filename' ] ?? '' ) );
+						break;
+					case 'attachment_id':
+						$compare = ( (int) ( $a[ 'attachment_id' ] ?? 0 ) ) <=> ( (int) ( $b[ 'attachment_id' ] ?? 0 ) );
+						break;
+					default:
+						$compare = strcasecmp( self::get_result_folder( $a ), self::get_result_folder( $b ) );
+				}
+
+				if ( 0 === $compare ) {
+					$compare = ( (int) ( $a[ 'attachment_id' ] ?? 0 ) ) <=> ( (int) ( $b[ 'attachment_id' ] ?? 0 ) );
+				}
+
+				return $compare * $direction;
+			}
+		);
+
+		$total    = count( $results );
+		$per_page = max( 1, min( 500, (int) $args[ 'per_page' ] ) );
+		$pages    = max( 1, (int) ceil( $total / $per_page ) );
+		$page     = max( 1, min( $pages, (int) $args[ 'page' ] ) );
+
+		return array(
+			'results'  => array_slice( $results, ( $page - 1 ) * $per_page, $per_page ),
+			'total'    => $total,
+			'pages'    => $pages,
+			'page'     => $page,
+			'per_page' => $per_page,
+		);
+	}
+
+	/**
+	 * Get the formats supported by the dry-run export.
+	 *
+	 * @return array<string>
+	 */
+	public function get_export_formats(): array {
+		return self::EXPORT_FORMATS;
+	}
+
+	/**
+	 * Get the full dry-run cache as flat export rows.
+	 *
+	 * @return array<array{attachment_id: int, filename: string, url: string, action: string, folder_path: string, confidence: float, reason: string}>
+	 */
+	public function get_cached_results_export(): array {
+		$rows = array();
+
+		foreach ( $this->get_cached_results() as $result ) {
+			$attachment_id = (int) ( $result[ 'attachment_id' ] ?? 0 );
+			$url           = $attachment_id > 0 ? wp_get_attachment_url( $attachment_id ) : false;
+
+			$rows[] = array(
+				'attachment_id' => $attachment_id,
+				'filename'      => (string) ( $result[ 'filename' ] ?? '' ),
+				'url'           => $url ? (string) $url : '',
+				'action'        => (string) ( $result[ 'action' ] ?? 'skip' ),
+				'folder_path'   => $this->get_result_path( $result ),
+				'confidence'    => round( (float) ( $result[ 'confidence' ] ?? 0 ), 2 ),
+				'reason'        => (string) ( $result[ 'reason' ] ?? '' ),
+			);
+		}
+
+		return $rows;
+	}
+
+	/**
+	 * Export the full dry-run cache as CSV or JSON.
+	 *
+	 * @param string $format Export format, 'csv' or 'json'.
+	 * @return string Exported document, empty for unsupported formats.
+	 */
+	public function export_cached_results( string $format ): string {
+		$rows = $this->get_cached_results_export();
+
+		if ( 'json' === $format ) {
+			return (string) wp_json_encode( $rows, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE );
+		}
+
+		if ( 'csv' !== $format ) {
+			return '';
+		}
+
+		$handle = fopen( 'php://temp', 'r+' ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen
+		fputcsv( $handle, self::EXPORT_COLUMNS, ',', '"', '' );
+
+		foreach ( $rows as $row ) {
+			fputcsv( $handle, array_map( array( self::class, 'escape_csv_value' ), array_values( $row ) ), ',', '"', '' );
+		}
+
+		rewind( $handle );
+		$csv = (string) stream_get_contents( $handle );
+		fclose( $handle ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+
+		return $csv;
+	}
+
+	/**
+	 * Keep spreadsheet applications from evaluating a CSV cell as a formula.
+	 *
+	 * @param mixed $value Cell value.
+	 * @return mixed
+	 */
+	private static function escape_csv_value( mixed $value ): mixed {
+		if ( is_string( $value ) && '' !== $value && in_array( $value[ 0 ], array( '=', '+', '-', '@', "\t", "\r" ), true ) ) {
+			return "'" . $value;
+		}
+
+		return $value;
+	}
+
+	/**
+	 * Import an edited result set as the dry-run cache.
+	 *
+	 * Accepts the CSV or JSON produced by {@see export_cached_results()}; only
+	 * `attachment_id` and `folder_path` are required. An empty folder path, or an
+	 * `action` of `skip`, leaves the attachment where it is. Rows that don't match
+	 * an attachment are reported in `errors` and left out. The imported set is then
+	 * previewed and applied like any dry-run result.
+	 *
+	 * @param string $content Uploaded file contents.
+	 * @param string $format  Import format, 'csv' or 'json'.
+	 * @return array{success: bool, message: string, imported?: int, errors?: array<string>}
+	 */
+	public function import_results( string $content, string $format ): array {
+		$already_running_error = $this->get_already_running_error();
+		if ( null !== $already_running_error ) {
+			return $already_running_error;
+		}
+
+		$rows = $this->parse_import( $content, $format );
+
+		if ( null === $rows ) {
+			return array(
+				'success' => false,
+				'message' => __( 'The file could not be read. Use the CSV or JSON format of the preview download.', 'vmfa-ai-organizer' ),
+			);
+		}
+
+		$existing = $this->analysis_service->get_folder_paths( true );
+		$results  = array();
+		$errors   = array();
+
+		foreach ( $rows as $index => $row ) {
+			$result = $this->build_imported_result( $row, $existing );
+
+			if ( is_string( $result ) ) {
+				$errors[] = sprintf(
+					/* translators: 1: row number, 2: error message */
+					__( 'Row %1$d: %2$s', 'vmfa-ai-organizer' ),
+					$index + 1,
+					$result
+				);
+				continue;
+			}
+
+			if ( isset( $results[ $result[ 'attachment_id' ] ] ) ) {
+				$errors[] = sprintf(
+					/* translators: 1: row number, 2: attachment ID */
+					__( 'Row %1$d: attachment %2$d is listed more than once.', 'vmfa-ai-organizer' ),
+					$index + 1,
+					$result[ 'attachment_id' ]
+				);
+				continue;
+			}
+
+			$results[ $result[ 'attachment_id' ] ] = $result;
+		}
+
+		if ( empty( $results ) ) {
+			return array(
+				'success' => false,
+				'message' => __( 'The file contains no valid results.', 'vmfa-ai-organizer' ),
+				'errors'  => $errors,
+			);
+		}
+
+		$results = array_values( $results );
+
+		update_option( self::DRYRUN_CACHE_OPTION, $results, false );
+		delete_option( 'vmfa_scan_attachment_ids' );
+		delete_option( self::PENDING_RESULTS_OPTION );
+
+		// Imported decisions re-target attachments that may already be in a folder.
+		$this->initialize_progress( 'reanalyze_all', true, count( $results ) );
+		$this->update_progress(
+			array(
+				'status'       => 'completed',
+				'source'       => 'import',
+				'processed'    => count( $results ),
+				'completed_at' => time(),
+			)
+		);
+
+		return array(
+			'success'  => true,
+			'message'  => sprintf(
+				/* translators: 1: imported count, 2: skipped row count */
+				__( 'Imported %1$d results (%2$d rows skipped).', 'vmfa-ai-organizer' ),
+				count( $results ),
+				count( $errors )
+			),
+			'imported' => count( $results ),
+			'errors'   => $errors,
+		);
+	}
+
+	/**
+	 * Parse an uploaded result set into rows.
+	 *
+	 * @param string $content File contents.
+	 * @param string $format  'csv' or 'json'.
+	 * @return array<int, array<string, mixed>>|null Null when the file can't be parsed.
+	 */
+	private function parse_import( string $content, string $format ): ?array {
+		$content = preg_replace( '/^\xEF\xBB\xBF/', '', $content ) ?? '';
+
+		if ( 'json' === $format ) {
+			$rows = json_decode( $content, true );
+
+			return is_array( $rows ) && array_is_list( $rows ) ? array_map( static fn( $row ) => is_array( $row ) ? $row : array(), $rows ) : null;
+		}
+
+		if ( 'csv' !== $format ) {
+			return null;
+		}
+
+		$handle = fopen( 'php://temp', 'r+' ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen
+		fwrite( $handle, $content ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fwrite
+		rewind( $handle );
+
+		$header = fgetcsv( $handle, null, ',', '"', '' );
+		$header = is_array( $header ) ? array_map( static fn( $column ) => trim( (string) $column ), $header ) : array();
+		$rows   = array();
+
+		if ( in_array( 'attachment_id', $header, true ) && in_array( 'folder_path', $header, true ) ) {
+			while ( false !== ( $values = fgetcsv( $handle, null, ',', '"', '' ) ) ) { // phpcs:ignore Generic.CodeAnalysis.AssignmentInCondition.FoundInWhileCondition
+				if ( array( null ) === $values ) {
+					continue;
+				}
+
+				$values = array_pad( $values, count( $header ), '' );
+				$rows[] = array_combine( $header, array_slice( $values, 0, count( $header ) ) );
+			}
+		} else {
+			$rows = null;
+		}
+
+		fclose( $handle ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+
+		return $rows;
+	}
+
+	/**
+	 * Validate an imported row and turn it into a dry-run result.
+	 *
+	 * @param array<string, mixed> $row      Imported row.
+	 * @param array<string, int>   $existing Existing folder paths.
+	 * @return array<string, mixed>|string The result, or an error message.
+	 */
+	private function build_imported_result( array $row, array $existing ): array|string {
+		$attachment_id = (int) ( $row[ 'attachment_id' ] ?? 0 );
+
+		if ( $attachment_id <= 0 || 'attachment' !== get_post_type( $attachment_id ) ) {
+			return sprintf(
+				/* translators: %s: attachment ID from the file */
+				__( 'attachment "%s" not found.', 'vmfa-ai-organizer' ),
+				(string) ( $row[ 'attachment_id' ] ?? '' )
+			);
+		}
+
+		$path   = $this->analysis_service->sanitize_folder_path( self::unescape_csv_value( (string) ( $row[ 'folder_path' ] ?? '' ) ) );
+		$reason = self::unescape_csv_value( (string) ( $row[ 'reason' ] ?? '' ) );
+		$skip   = '' === $path || 'skip' === ( $row[ 'action' ] ?? '' );
+
+		$result = array(
+			'action'             => 'skip',
+			'folder_id'          => null,
+			'new_folder_path'    => null,
+			'confidence'         => isset( $row[ 'confidence' ] ) && is_numeric( $row[ 'confidence' ] ) ? (float) $row[ 'confidence' ] : 1.0,
+			'reason'             => '' !== $reason ? $reason : __( 'Imported decision.', 'vmfa-ai-organizer' ),
+			'attachment_id'      => $attachment_id,
+			'filename'           => basename( get_attached_file( $attachment_id ) ?: '' ),
+			'folder_name'        => null,
+			'thumbnail_url'      => $this->analysis_service->get_thumbnail_url( $attachment_id ),
+			'visual_description' => '',
+		);
+
+		if ( $skip ) {
+			return $result;
+		}
+
+		if ( isset( $existing[ $path ] ) ) {
+			$result[ 'action' ]      = 'assign';
+			$result[ 'folder_id' ]   = $existing[ $path ];
+			$result[ 'folder_name' ] = basename( $path );
+		} else {
+			$result[ 'action' ]          = 'create';
+			$result[ 'new_folder_path' ] = $path;
+			$result[ 'folder_name' ]     = $path;
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Undo the formula guard added by the CSV export.
+	 *
+	 * @param string $value Cell value.
+	 * @return string
+	 */
+	private static function unescape_csv_value( string $value ): string {
+		if ( strlen( $value ) > 1 && "'" === $value[ 0 ] && self::escape_csv_value( substr( $value, 1 ) ) === $value ) {
+			return substr( $value, 1 );
+		}
+
+		return $value;
+	}
+
+	/**
+	 * Summarize cached dry-run results by action.
+	 *
+	 * @return array{assign: int, create: int, skip: int, new_folders: array<string>}
+	 */
+	public function get_cached_results_summary(): array {
+		$summary = array(
+			'assign'      => 0,
+			'create'      => 0,
+			'skip'        => 0,
+			'new_folders' => array(),
+		);
+
+		foreach ( $this->get_cached_results() as $result ) {
+			$action = $result[ 'action' ] ?? 'skip';
+			if ( isset( $summary[ $action ] ) && 'new_folders' !== $action ) {
+				++$summary[ $action ];
+			}
+
+			if ( 'create' === $action && ! empty( $result[ 'new_folder_path' ] ) ) {
+				$summary[ 'new_folders' ][ $result[ 'new_folder_path' ] ] = true;
+			}
+		}
+
+		$summary[ 'new_folders' ] = array_keys( $summary[ 'new_folders' ] );
+		usort( $summary[ 'new_folders' ], 'strcasecmp' );
+
+		return $summary;
+	}
+
+	/**
+	 * Build the proposed folder hierarchy from the dry-run cache.
+	 *
+	 * Mirrors the final state after applying: existing folders (none for
+	 * reorganize_all, which removes them first) plus the folders to be created.
+	 * `count` is the number of items moving into a node, `total` includes its descendants.
+	 *
+	 * @return array<array{name: string, path: string, folder_id: int|null, is_new: bool, count: int, total: int, children: array}>
+	 */
+	public function get_cached_results_tree(): array {
+		$progress = $this->get_progress();
+		$existing = 'reorganize_all' === ( $progress[ 'mode' ] ?? '' ) ? array() : $this->analysis_service->get_folder_paths();
+
+		$nodes = array();
+		foreach ( $existing as $path => $term_id ) {
+			$this->add_tree_node( $nodes, (string) $path, $existing );
+		}
+
+		foreach ( $this->get_cached_results() as $result ) {
+			$path = $this->get_result_path( $result );
+			if ( '' === $path ) {
+				continue;
+			}
+
+			$this->add_tree_node( $nodes, $path, $existing );
+			++$nodes[ $path ][ 'count' ];
+		}
+
+		uksort( $nodes, 'strcasecmp' );
+
+		return $this->build_tree_level( $nodes, '' );
+	}
+
+	/**
+	 * Add a node and its ancestors to the flat tree node map.
+	 *
+	 * @param array<string, array> $nodes    Flat node map keyed by path.
+	 * @param string               $path     Folder path.
+	 * @param array<string, int>   $existing Existing folder paths.
+	 * @return void
+	 */
+	private function add_tree_node( array &$nodes, string $path, array $existing ): void {
+		$parts  = explode( '/', trim( $path, '/' ) );
+		$parent = '';
+
+		foreach ( $parts as $part ) {
+			$current = '' === $parent ? $part : $parent . '/' . $part;
+
+			if ( ! isset( $nodes[ $current ] ) ) {
+				$nodes[ $current ] = array(
+					'name'      => $part,
+					'path'      => $current,
+					'parent'    => $parent,
+					'folder_id' => $existing[ $current ] ?? null,
+					'is_new'    => ! isset( $existing[ $current ] ),
+					'count'     => 0,
+				);
+			}
+
+			$parent = $current;
+		}
+	}
+
+	/**
+	 * Nest flat tree nodes under a parent path and total their counts.
+	 *
+	 * @param array<string, array> $nodes  Flat node map keyed by path.
+	 * @param string               $parent Parent path ('' for the root).
+	 * @return array<array<string, mixed>>
+	 */
+	private function build_tree_level( array $nodes, string $parent ): array {
+		$level = array();
+
+		foreach ( $nodes as $node ) {
+			if ( $node[ 'parent' ] !== $parent ) {
+				continue;
+			}
+
+			$children = $this->build_tree_level( $nodes, $node[ 'path' ] );
+
+			unset( $node[ 'parent' ] );
+			$node[ 'children' ] = $children;
+			$node[ 'total' ]    = $node[ 'count' ] + array_sum( array_column( $children, 'total' ) );
+
+			$level[] = $node;
+		}
+
+		return $level;
+	}
+
+	/**
+	 * Get the full target folder path of a result.
+	 *
+	 * Assign results are resolved through their folder ID, since `folder_name`
+	 * holds only the term name.
+	 *
+	 * @param array<string, mixed> $result Analysis result.
+	 * @return string Empty string for skipped results.
+	 */
+	private function get_result_path( array $result ): string {
+		$action = $result[ 'action' ] ?? '';
+
+		if ( 'create' === $action ) {
+			return trim( (string) ( $result[ 'new_folder_path' ] ?? '' ), '/' );
+		}
+
+		if ( 'assign' !== $action || empty( $result[ 'folder_id' ] ) ) {
+			return '';
+		}
+
+		if ( null === $this->folder_paths_by_id ) {
+			$this->folder_paths_by_id = array_flip( $this->analysis_service->get_folder_paths() );
+		}
+
+		return (string) ( $this->folder_paths_by_id[ (int) $result[ 'folder_id' ] ] ?? $result[ 'folder_name' ] ?? '' );
+	}
+
+	/**
+	 * Check whether a cached result matches the query filters.
+	 *
+	 * @param array<string, mixed> $result Cached dry-run result.
+	 * @param array<string, mixed> $args   Query arguments.
+	 * @return bool
+	 */
+	private function cached_result_matches( array $result, array $args ): bool {
+		if ( '' !== $args[ 'action' ] && ( $result[ 'action' ] ?? '' ) !== $args[ 'action' ] ) {
+			return false;
+		}
+
+		if ( '' !== $args[ 'confidence' ] && self::get_confidence_band( (float) ( $result[ 'confidence' ] ?? 0 ) ) !== $args[ 'confidence' ] ) {
+			return false;
+		}
+
+		if ( '' !== $args[ 'folder' ] && $this->get_result_path( $result ) !== $args[ 'folder' ] ) {
+			return false;
+		}
+
+		$search = trim( (string) $args[ 'search' ] );
+		if ( '' === $search ) {
+			return true;
+		}
+
+		$haystack = implode(
+			' ',
+			array(
+				'#' . ( $result[ 'attachment_id' ] ?? '' ),
+				$result[ 'filename' ] ?? '',
+				self::get_result_folder( $result ),
+				$result[ 'reason' ] ?? '',
+			)
+		);
+
+		return false !== mb_stripos( $haystack, $search );
+	}
+
+	/**
+	 * Get the target folder path of a result.
+	 *
+	 * @param array<string, mixed> $result Analysis result.
+	 * @return string
+	 */
+	private static function get_result_folder( array $result ): string {
+		if ( ! empty( $result[ 'folder_name' ] ) ) {
+			return (string) $result[ 'folder_name' ];
+		}
+
+		return (string) ( $result[ 'new_folder_path' ] ?? '' );
+	}
+
+	/**
+	 * Get the confidence band for a confidence value.
+	 *
+	 * Uses the same thresholds as the preview table.
+	 *
+	 * @param float $confidence Confidence (0-1).
+	 * @return string One of 'high', 'medium' or 'low'.
+	 */
+	private static function get_confidence_band( float $confidence ): string {
+		if ( $confidence >= 0.8 ) {
+			return 'high';
+		}
+		if ( $confidence >= 0.5 ) {
+			return 'medium';
+		}
+		return 'low';
+	}
+
+	/**
+	 * Finalize the scan.
+	 *
+	 * @return void
+	 */
+	public function finalize_scan(): void {
+		$this->update_progress(
+			array(
+				'status'       => 'completed',
+				'completed_at' => time(),
+			)
+		);
+
+		$this->history_service->record( $this->get_progress() );
+
+		// Clean up temporary data.
+		delete_option( 'vmfa_scan_attachment_ids' );
+		delete_option( self::PENDING_RESULTS_OPTION );
+
+		// For successful reorganize_all, clean up backup after some time.
+		// Keep backup for manual restore if needed.
+
+		/**
+		 * Fires when a scan is completed.
+		 *
+		 * @param array $progress Final progress data.
+		 */
+		do_action( 'vmfa_scan_completed', $this->get_progress() );
+	}
+
+	/**
+	 * Fail the running scan when one of its actions throws or dies.
+	 *
+	 * A failed action never schedules the next step, so without this the
+	 * scan would stay "running" forever.
+	 *
+	 * @param int   $action_id Action Scheduler action ID.
+	 * @param mixed $error     Exception thrown by the action, or the PHP error of an unexpected shutdown.
+	 * @return void
+	 */
+	public function handle_failed_action( int $action_id, mixed $error = null ): void {
+		$action = \ActionScheduler::store()->fetch_action( (string) $action_id );
+
+		if ( ! in_array( $action->get_hook(), self::SCAN_HOOKS, true ) ) {
+			return;
+		}
+
+		$message = '';
+		if ( $error instanceof \Throwable ) {
+			$message = $error->getMessage();
+		} elseif ( is_array( $error ) ) {
+			$message = (string) ( $error[ 'message' ] ?? '' );
+		}
+
+		$this->fail_scan(
+			'' !== $message
+				/* translators: %s: Error message. */
+				? sprintf( __( 'Scan failed: %s', 'vmfa-ai-organizer' ), $message )
+				: __( 'Scan failed unexpectedly.', 'vmfa-ai-organizer' )
+		);
+	}
+
+	/**
+	 * Stop the running scan and mark it failed.
+	 *
+	 * @param string $error Error message.
+	 * @return void
+	 */
+	public function fail_scan( string $error ): void {
+		$progress = $this->get_progress();
+
+		if ( 'running' !== $progress[ 'status' ] ) {
+			// A scan reset while it ran leaves results behind that no run owns.
+			$this->history_service->delete_orphaned_results();
+			return;
+		}
+
+		foreach ( self::SCAN_HOOKS as $hook ) {
+			as_unschedule_all_actions( $hook, array(), 'vmfa-ai-organizer' );
+		}
+
+		$this->update_progress(
+			array(
+				'status'       => 'failed',
+				'error'        => $error,
+				'completed_at' => time(),
+			)
+		);
+
+		$this->history_service->record( $this->get_progress() );
+		$this->history_service->delete_orphaned_results();
+
+		delete_option( 'vmfa_scan_attachment_ids' );
+		delete_option( self::PENDING_RESULTS_OPTION );
+
+		/**
+		 * Fires when a scan fails.
+		 *
+		 * @param array $progress Final progress data, with the reason in `error`.
+		 */
+		do_action( 'vmfa_scan_failed', $this->get_progress() );
+	}
+
+	/**
+	 * Cancel an in-progress scan.
+	 *
+	 * @return array{success: bool, message: string}
+	 */
+	public function cancel_scan(): array {
+		$progress = $this->get_progress();
+
+		if ( 'running' !== $progress[ 'status' ] ) {
+			return array(
+				'success' => false,
+				'message' => __( 'No scan is currently running.', 'vmfa-ai-organizer' ),
+			);
+		}
+
+		// Unschedule all pending actions.
+		as_unschedule_all_actions( 'vmfa_process_media_batch', array(), 'vmfa-ai-organizer' );
+		as_unschedule_all_actions( 'vmfa_apply_assignments', array(), 'vmfa-ai-organizer' );
+		as_unschedule_all_actions( 'vmfa_finalize_scan', array(), 'vmfa-ai-organizer' );
+		as_unschedule_all_actions( 'vmfa_cleanup_folders', array(), 'vmfa-ai-organizer' );
+
+		// Cancel in-progress and failed actions for our group.
+		$this->cleanup_action_scheduler_group();
+
+		// Update progress.
+		$this->update_progress(
+			array(
+				'status'       => 'cancelled',
 				'cancelled_at' => time(),
 			)
 		);
 
+		$this->history_service->record( $this->get_progress() );
+
 		// Clean up.
 		delete_option( 'vmfa_scan_attachment_ids' );
 		delete_option( self::PENDING_RESULTS_OPTION );
@@ -747,33 +1872,53 @@ class MediaScannerService {
 	 *
 	 * @return array{
 	 *     status: string,
+	 *     run_id: string,
 	 *     mode: string,
 	 *     dry_run: bool,
 	 *     total: int,
 	 *     processed: int,
+	 *     held: int,
 	 *     results: array,
+	 *     result_count: int,
 	 *     started_at: int|null,
 	 *     completed_at: int|null,
 	 *     current_item: int|null,
 	 *     current_title: string|null,
-	 *     error: string|null
+	 *     error: string|null,
+	 *     source: string,
+	 *     provider: string,
+	 *     model: string,
+	 *     started_by: int,
+	 *     schedule_id: string,
+	 *     window: array{start: string, end: string}|null,
+	 *     waiting_until: int|null
 	 * }
 	 */
 	public function get_progress(): array {
 		$defaults = array(
 			'status'        => 'idle',
+			'run_id'        => '',
 			'mode'          => '',
 			'dry_run'       => false,
 			'total'         => 0,
 			'processed'     => 0,
 			'results'       => array(),
+			'result_count'  => 0,
 			'started_at'    => null,
 			'completed_at'  => null,
 			'current_item'  => null,
 			'current_title' => null,
 			'applied'       => 0,
 			'failed'        => 0,
+			'held'          => 0,
 			'error'         => null,
+			'source'        => 'scan',
+			'provider'      => '',
+			'model'         => '',
+			'started_by'    => 0,
+			'schedule_id'   => '',
+			'window'        => null,
+			'waiting_until' => null,
 		);
 
 		$progress = get_option( self::PROGRESS_OPTION, array() );
@@ -781,6 +1926,94 @@ class MediaScannerService {
 		return wp_parse_args( $progress, $defaults );
 	}
 
+	/**
+	 * Get the scan status shown to the admin.
+	 *
+	 * Results are numbered from the start of the run and `cursor` is the number
+	 * produced so far. Passing the previous `cursor` as `$since`, together with
+	 * the run it came from, returns only the newer results and sets `partial`.
+	 * Otherwise, or when the cursor is no longer covered by the kept results,
+	 * all kept results are returned.
+	 *
+	 * @param int|null $since  Cursor from an earlier status, or null for all kept results.
+	 * @param string   $run_id Run the cursor belongs to.
+	 * @return array<string, mixed>
+	 */
+	public function get_status( ?int $since = null, string $run_id = '' ): array {
+		$progress = $this->get_progress();
+
+		// Ensure processed never exceeds total (safety cap).
+		$processed = min( $progress[ 'processed' ], $progress[ 'total' ] );
+
+		// Calculate percentage (capped at 100%).
+		$percentage = 0;
+		if ( $progress[ 'total' ] > 0 ) {
+			$percentage = min( 100, round( ( $processed / $progress[ 'total' ] ) * 100, 1 ) );
+		}
+
+		$results = $progress[ 'results' ];
+		$cursor  = (int) $progress[ 'result_count' ];
+		$first   = $cursor - count( $results );
+		$partial = null !== $since && $run_id === $progress[ 'run_id' ] && $first >= 0 && $since >= $first && $since <= $cursor;
+
+		if ( $partial ) {
+			$results = array_slice( $results, $since - $first );
+		}
+
+		// Offer undo for the applied run that just completed.
+		$undo = null;
+		if ( 'completed' === $progress[ 'status' ] && ! $progress[ 'dry_run' ] && '' !== $progress[ 'run_id' ] ) {
+			$undo = $this->get_applied_run( $progress[ 'run_id' ] );
+		}
+
+		return array(
+			'status'        => $progress[ 'status' ],
+			'run_id'        => $progress[ 'run_id' ],
+			'mode'          => $progress[ 'mode' ],
+			'dry_run'       => $progress[ 'dry_run' ],
+			'total'         => $progress[ 'total' ],
+			'processed'     => $processed,
+			'percentage'    => $percentage,
+			'applied'       => $progress[ 'applied' ] ?? 0,
+			'failed'        => $progress[ 'failed' ] ?? 0,
+			'held'          => $progress[ 'held' ] ?? 0,
+			'results'       => $results,
+			'cursor'        => $cursor,
+			'partial'       => $partial,
+			'started_at'    => $progress[ 'started_at' ],
+			'completed_at'  => $progress[ 'completed_at' ] ?? null,
+			'error'         => $progress[ 'error' ],
+			'source'        => $progress[ 'source' ],
+			'schedule_id'   => $progress[ 'schedule_id' ],
+			'waiting_until' => $progress[ 'waiting_until' ],
+			'undo'          => $undo,
+		);
+	}
+
+	/**
+	 * Answer scan status requests sent with the admin heartbeat.
+	 *
+	 * The scanner screen sends `vmfa_scan_status` with its cursor and run ID,
+	 * so open admin tabs share the heartbeat request instead of each polling
+	 * the REST API.
+	 *
+	 * @param array<string, mixed> $response Heartbeat response.
+	 * @param array<string, mixed> $data     Data sent by the browser.
+	 * @return array<string, mixed>
+	 */
+	public function heartbeat_received( array $response, array $data ): array {
+		if ( ! isset( $data[ 'vmfa_scan_status' ] ) || ! current_user_can( 'manage_options' ) ) {
+			return $response;
+		}
+
+		$request = is_array( $data[ 'vmfa_scan_status' ] ) ? $data[ 'vmfa_scan_status' ] : array();
+		$since   = isset( $request[ 'since' ] ) && is_numeric( $request[ 'since' ] ) ? absint( $request[ 'since' ] ) : null;
+
+		$response[ 'vmfa_scan_status' ] = $this->get_status( $since, sanitize_key( (string) ( $request[ 'run_id' ] ?? '' ) ) );
+
+		return $response;
+	}
+
 	/**
 	 * Update scan progress.
 	 *
@@ -830,4 +2063,22 @@ class MediaScannerService {
 	public function get_backup_service(): BackupService {
 		return $this->backup_service;
 	}
+
+	/**
+	 * Get the history service.
+	 *
+	 * @return HistoryService
+	 */
+	public function get_history_service(): HistoryService {
+		return $this->history_service;
+	}
+
+	/**
+	 * Get the review queue service.
+	 *
+	 * @return ReviewQueueService
+	 */
+	public function get_review_queue(): ReviewQueueService {
+		return $this->review_queue;
+	}
 }
@@ -0,0 +1,273 @@
+<?php
+/**
+ * Notification Service.
+ *
+ * @package VmfaAiOrganizer
+ */
+
+declare(strict_types=1);
+
+namespace VmfaAiOrganizer\Services;
+
+use VmfaAiOrganizer\Plugin;
+
+/**
+ * Service for telling people when a scan finishes or fails.
+ *
+ * Sends an email summary and/or POSTs a JSON payload to a webhook URL,
+ * depending on the notification settings.
+ */
+class NotificationService {
+
+	/**
+	 * Seconds to wait for the webhook to answer.
+	 */
+	private const WEBHOOK_TIMEOUT = 10;
+
+	/**
+	 * Maximum number of new folders listed in an email.
+	 */
+	private const MAX_LISTED_FOLDERS = 10;
+
+	/**
+	 * History Service.
+	 *
+	 * @var HistoryService
+	 */
+	private HistoryService $history_service;
+
+	/**
+	 * Constructor.
+	 */
+	public function __construct() {
+		$this->history_service = new HistoryService();
+	}
+
+	/**
+	 * Register scan hooks.
+	 *
+	 * @return void
+	 */
+	public function register_hooks(): void {
+		add_action( 'vmfa_scan_completed', array( $this, 'notify' ) );
+		add_action( 'vmfa_scan_failed', array( $this, 'notify' ) );
+		add_action( 'vmfa_cached_results_applied', array( $this, 'notify_applied' ), 10, 3 );
+	}
+
+	/**
+	 * Send the configured notifications for applied preview results.
+	 *
+	 * @param int                  $applied  Number of applied results.
+	 * @param int                  $failed   Number of failed results.
+	 * @param array<string, mixed> $progress Final progress data of the apply run.
+	 * @return void
+	 */
+	public function notify_applied( int $applied, int $failed, array $progress = array() ): void {
+		$this->notify( $progress );
+	}
+
+	/**
+	 * Send the configured notifications for a finished or failed scan.
+	 *
+	 * @param array<string, mixed> $progress Final progress data.
+	 * @return void
+	 */
+	public function notify( array $progress ): void {
+		$send_email   = $this->is_email_enabled();
+		$send_webhook = '' !== $this->get_webhook_url();
+
+		if ( ! $send_email && ! $send_webhook ) {
+			return;
+		}
+
+		$payload = $this->build_payload( $progress );
+
+		if ( $send_email ) {
+			$this->send_email( $payload );
+		}
+
+		if ( $send_webhook ) {
+			$this->send_webhook( $payload );
+		}
+	}
+
+	/**
+	 * Build the summary shared by the email and the webhook.
+	 *
+	 * @param array<string, mixed> $progress Final progress data.
+	 * @return array<string, mixed>
+	 */
+	public function build_payload( array $progress ): array {
+		$run_id = (string) ( $progress[ 'run_id' ] ?? '' );
+		$status = (string) ( $progress[ 'status' ] ?? '' );
+
+		$payload = array(
+			'event'        => 'failed' === $status ? 'scan.failed' : 'scan.completed',
+			'site'         => home_url(),
+			'run_id'       => $run_id,
+			'mode'         => (string) ( $progress[ 'mode' ] ?? '' ),
+			'dry_run'      => (bool) ( $progress[ 'dry_run' ] ?? false ),
+			'status'       => $status,
+			'total'        => (int) ( $progress[ 'total' ] ?? 0 ),
+			'processed'    => (int) ( $progress[ 'processed' ] ?? 0 ),
+			'applied'      => (int) ( $progress[ 'applied' ] ?? 0 ),
+			'failed'       => (int) ( $progress[ 'failed' ] ?? 0 ),
+			'held'         => (int) ( $progress[ 'held' ] ?? 0 ),
+			'new_folders'  => '' !== $run_id ? $this->history_service->get_new_folders( $run_id ) : array(),
+			'error'        => $progress[ 'error' ] ?? null,
+			'schedule_id'  => (string) ( $progress[ 'schedule_id' ] ?? '' ),
+			'started_at'   => $progress[ 'started_at' ] ?? null,
+			'completed_at' => $progress[ 'completed_at' ] ?? null,
+			'results_url'  => Plugin::get_instance()->get_settings_page()->get_scanner_url(),
+		);
+
+		/**
+		 * Filters the scan summary sent by email and to the webhook.
+		 *
+		 * @param array $payload  Summary.
+		 * @param array $progress Final progress data.
+		 */
+		return apply_filters( 'vmfa_notification_payload', $payload, $progress );
+	}
+
+	/**
+	 * Email the summary to the configured recipients.
+	 *
+	 * @param array<string, mixed> $payload Summary.
+	 * @return bool Whether the email was handed to the mailer.
+	 */
+	public function send_email( array $payload ): bool {
+		$recipients = $this->get_email_recipients();
+
+		if ( empty( $recipients ) ) {
+			return false;
+		}
+
+		$site = wp_specialchars_decode( get_bloginfo( 'name' ), ENT_QUOTES );
+
+		if ( 'scan.failed' === $payload[ 'event' ] ) {
+			/* translators: %s: Site name. */
+			$subject = sprintf( __( '[%s] Media scan failed', 'vmfa-ai-organizer' ), $site );
+		} elseif ( $payload[ 'dry_run' ] ) {
+			/* translators: %s: Site name. */
+			$subject = sprintf( __( '[%s] Media scan preview is ready', 'vmfa-ai-organizer' ), $site );
+		} else {
+			/* translators: %s: Site name. */
+			$subject = sprintf( __( '[%s] Media scan finished', 'vmfa-ai-organizer' ), $site );
+		}
+
+		return wp_mail( $recipients, $subject, $this->get_email_body( $payload ) );
+	}
+
+	/**
+	 * POST the summary as JSON to the configured webhook.
+	 *
+	 * The request doesn't wait for an answer, so a slow webhook can't hold up
+	 * the request that finished the scan.
+	 *
+	 * @param array<string, mixed> $payload Summary.
+	 * @return bool Whether the request was sent.
+	 */
+	public function send_webhook( array $payload ): bool {
+		$response = wp_safe_remote_post(
+			$this->get_webhook_url(),
+			array(
+				'headers'  => array( 'Content-Type' => 'application/json' ),
+				'body'     => wp_json_encode( $payload ),
+				'timeout'  => self::WEBHOOK_TIMEOUT,
+				'blocking' => false,
+			)
+		);
+
+		return ! is_wp_error( $response );
+	}
+
+	/**
+	 * Build the plain-text email body.
+	 *
+	 * @param array<string, mixed> $payload Summary.
+	 * @return string
+	 */
+	private function get_email_body( array $payload ): string {
+		$lines = array();
+
+		if ( 'scan.failed' === $payload[ 'event' ] ) {
+			$lines[] = (string) $payload[ 'error' ];
+			$lines[] = '';
+		}
+
+		/* translators: %s: Scan mode. */
+		$lines[] = sprintf( __( 'Mode: %s', 'vmfa-ai-organizer' ), $this->get_mode_label( $payload[ 'mode' ] ) . ( $payload[ 'dry_run' ] ? ' ' . __( '(preview)', 'vmfa-ai-organizer' ) : '' ) );
+		/* translators: 1: Media processed, 2: Media in the scan. */
+		$lines[] = sprintf( __( 'Processed: %1$d of %2$d', 'vmfa-ai-organizer' ), $payload[ 'processed' ], $payload[ 'total' ] );
+
+		if ( ! $payload[ 'dry_run' ] ) {
+			/* translators: %d: Media moved into folders. */
+			$lines[] = sprintf( __( 'Applied: %d', 'vmfa-ai-organizer' ), $payload[ 'applied' ] );
+			/* translators: %d: Media that could not be moved. */
+			$lines[] = sprintf( __( 'Failed: %d', 'vmfa-ai-organizer' ), $payload[ 'failed' ] );
+			/* translators: %d: Suggestions held for review. */
+			$lines[] = sprintf( __( 'Held for review: %d', 'vmfa-ai-organizer' ), $payload[ 'held' ] );
+		}
+
+		/* translators: %d: Number of new folders. */
+		$lines[] = sprintf( __( 'New folders: %d', 'vmfa-ai-organizer' ), count( $payload[ 'new_folders' ] ) );
+		foreach ( array_slice( $payload[ 'new_folders' ], 0, self::MAX_LISTED_FOLDERS ) as $path ) {
+			$lines[] = '  - ' . $path;
+		}
+		if ( count( $payload[ 'new_folders' ] ) > self::MAX_LISTED_FOLDERS ) {
+			$lines[] = '  …';
+		}
+
+		$lines[] = '';
+		/* translators: %s: URL of the scanner screen. */
+		$lines[] = sprintf( __( 'View the results: %s', 'vmfa-ai-organizer' ), $payload[ 'results_url' ] );
+
+		return implode( "\n", $lines );
+	}
+
+	/**
+	 * Get the label of a scan mode.
+	 *
+	 * @param string $mode Scan mode.
+	 * @return string
+	 */
+	private function get_mode_label( string $mode ): string {
+		return match ( $mode ) {
+			'organize_unassigned' => __( 'Organize Unassigned', 'vmfa-ai-organizer' ),
+			'reanalyze_all'       => __( 'Re-analyze All', 'vmfa-ai-organizer' ),
+			'reorganize_all'      => __( 'Reorganize All', 'vmfa-ai-organizer' ),
+			default               => $mode,
+		};
+	}
+
+	/**
+	 * Check whether email notifications are on.
+	 *
+	 * @return bool
+	 */
+	private function is_email_enabled(): bool {
+		return (bool) Plugin::get_instance()->get_setting( 'notify_email', false );
+	}
+
+	/**
+	 * Get the email recipients, falling back to the site admin.
+	 *
+	 * @return array<string>
+	 */
+	private function get_email_recipients(): array {
+		$setting    = (string) Plugin::get_instance()->get_setting( 'notify_email_recipients', '' );
+		$recipients = array_filter( array_map( 'trim', explode( ',', $setting ) ), 'is_email' );
+
+		return ! empty( $recipients ) ? array_values( $recipients ) : array( (string) get_option( 'admin_email' ) );
+	}
+
+	/**
+	 * Get the webhook URL, or an empty string when none is set.
+	 *
+	 * @return string
+	 */
+	private function get_webhook_url(): string {
+		return (string) Plugin::get_instance()->get_setting( 'notify_webhook_url', '' );
+	}
+}
@@ -0,0 +1,168 @@
+<?php
+/**
+ * Provider Comparison Service.
+ *
+ * @package VmfaAiOrganizer
+ */
+
+declare(strict_types=1);
+
+namespace VmfaAiOrganizer\Services;
+
+use VmfaAiOrganizer\AI\AbstractProvider;
+use VmfaAiOrganizer\AI\ProviderFactory;
+use VmfaAiOrganizer\Plugin;
+
+/**
+ * Service for running the same images through several AI providers.
+ *
+ * Each provider sees the same metadata, folders and image, without the scan
+ * session's suggested folders, so their choices can be compared side by side.
+ * Nothing is applied.
+ */
+class ProviderComparisonService {
+
+	/**
+	 * Largest sample that can be drawn.
+	 */
+	public const MAX_SAMPLE_SIZE = 20;
+
+	/**
+	 * AI Analysis Service.
+	 *
+	 * @var AIAnalysisService
+	 */
+	private AIAnalysisService $analysis_service;
+
+	/**
+	 * Constructor.
+	 */
+	public function __construct() {
+		$this->analysis_service = new AIAnalysisService();
+	}
+
+	/**
+	 * Draw random images from the media library.
+	 *
+	 * @param int $count Number of images.
+	 * @return array<int, array{id: int, filename: string, thumbnail_url: string}>
+	 */
+	public function get_sample( int $count ): array {
+		$ids = get_posts(
+			array(
+				'post_type'      => 'attachment',
+				'post_status'    => 'inherit',
+				'post_mime_type' => 'image',
+				'posts_per_page' => max( 1, min( self::MAX_SAMPLE_SIZE, $count ) ),
+				'orderby'        => 'rand',
+				'fields'         => 'ids',
+			)
+		);
+
+		return array_map(
+			fn( $id ) => array(
+				'id'            => (int) $id,
+				'filename'      => basename( get_attached_file( (int) $id ) ?: '' ),
+				'thumbnail_url' => $this->analysis_service->get_thumbnail_url( (int) $id ),
+			),
+			$ids
+		);
+	}
+
+	/**
+	 * Analyze one image with each of the given providers.
+	 *
+	 * @param int           $attachment_id  Attachment ID.
+	 * @param array<string> $provider_names Providers to compare.
+	 * @return array{success: bool, message: string, attachment_id?: int, filename?: string, thumbnail_url?: string, results?: array<int, array<string, mixed>>}
+	 */
+	public function compare( int $attachment_id, array $provider_names ): array {
+		$attachment = get_post( $attachment_id );
+		if ( ! $attachment || 'attachment' !== $attachment->post_type || ! wp_attachment_is_image( $attachment_id ) ) {
+			return array(
+				'success' => false,
+				'message' => __( 'Choose an image attachment to compare.', 'vmfa-ai-organizer' ),
+			);
+		}
+
+		$provider_names = array_values( array_unique( array_map( 'sanitize_key', $provider_names ) ) );
+		if ( count( $provider_names ) < 2 ) {
+			return array(
+				'success' => false,
+				'message' => __( 'Choose at least two providers to compare.', 'vmfa-ai-organizer' ),
+			);
+		}
+
+		$metadata     = $this->analysis_service->get_media_metadata( $attachment_id );
+		$folder_paths = $this->analysis_service->get_folder_paths();
+		$image_data   = $this->analysis_service->get_image_data( $attachment_id );
+		$max_depth    = (int) Plugin::get_instance()->get_setting( 'max_folder_depth', 3 );
+		$allow_new    = (bool) Plugin::get_instance()->get_setting( 'allow_new_folders', false );
+		$paths_by_id  = array_flip( $folder_paths );
+		$results      = array();
+
+		foreach ( $provider_names as $name ) {
+			$results[] = $this->run_provider( (string) $name, $metadata, $folder_paths, $paths_by_id, $max_depth, $allow_new, $image_data );
+		}
+
+		return array(
+			'success'       => true,
+			'message'       => __( 'Comparison complete.', 'vmfa-ai-organizer' ),
+			'attachment_id' => $attachment_id,
+			'filename'      => $metadata[ 'filename' ] ?? '',
+			'thumbnail_url' => $this->analysis_service->get_thumbnail_url( $attachment_id ),
+			'results'       => $results,
+		);
+	}
+
+	/**
+	 * Analyze an image with one provider and time the call.
+	 *
+	 * @param string                                        $name         Provider name.
+	 * @param array<string, mixed>                          $metadata     Media metadata.
+	 * @param array<string, int>                            $folder_paths Folder paths to IDs.
+	 * @param array<int, string>                            $paths_by_id  Folder IDs to paths.
+	 * @param int                                           $max_depth    Maximum folder depth.
+	 * @param bool                                          $allow_new    Whether new folders may be suggested.
+	 * @param array{base64: string, mime_type: string}|null $image_data   Image data.
+	 * @return array{provider: string, label: string, model: string, action: string, folder: string, confidence: float, reason: string, latency_ms: int, error: string|null}
+	 */
+	private function run_provider( string $name, array $metadata, array $folder_paths, array $paths_by_id, int $max_depth, bool $allow_new, ?array $image_data ): array {
+		$provider = ProviderFactory::get_provider( $name );
+
+		$row = array(
+			'provider'   => $name,
+			'label'      => null !== $provider ? $provider->get_label() : $name,
+			'model'      => (string) Plugin::get_instance()->get_setting( $name . '_model', '' ),
+			'action'     => 'skip',
+			'folder'     => '',
+			'confidence' => 0.0,
+			'reason'     => '',
+			'latency_ms' => 0,
+			'error'      => null,
+		);
+
+		if ( null === $provider || ! $provider->is_configured() ) {
+			$row[ 'error' ] = __( 'Provider is not configured.', 'vmfa-ai-organizer' );
+
+			return $row;
+		}
+
+		$started = microtime( true );
+		$result  = $provider->analyze( $metadata, $folder_paths, $max_depth, $allow_new, $image_data );
+
+		$row[ 'latency_ms' ] = (int) round( ( microtime( true ) - $started ) * 1000 );
+		$row[ 'action' ]     = (string) ( $result[ 'action' ] ?? 'skip' );
+		$row[ 'confidence' ] = (float) ( $result[ 'confidence' ] ?? 0.0 );
+		$row[ 'reason' ]     = (string) ( $result[ 'reason' ] ?? '' );
+		$row[ 'error' ]      = $provider instanceof AbstractProvider ? $provider->get_last_error() : null;
+
+		if ( ! empty( $result[ 'new_folder_path' ] ) ) {
+			$row[ 'folder' ] = $this->analysis_service->sanitize_folder_path( (string) $result[ 'new_folder_path' ] );
+		} elseif ( ! empty( $result[ 'folder_id' ] ) ) {
+			$row[ 'folder' ] = $paths_by_id[ (int) $result[ 'folder_id' ] ] ?? '';
+		}
+
+		return $row;
+	}
+}
@@ -0,0 +1,106 @@
+<?php
+/**
+ * Provider Test Service.
+ *
+ * @package VmfaAiOrganizer
+ */
+
+declare(strict_types=1);
+
+namespace VmfaAiOrganizer\Services;
+
+use VmfaAiOrganizer\AI\AbstractProvider;
+use VmfaAiOrganizer\AI\ProviderFactory;
+use VmfaAiOrganizer\Plugin;
+
+/**
+ * Service for checking that an AI provider can analyze an image.
+ *
+ * Sends a tiny sample image through the provider's analyze(), the same call
+ * a scan makes, so a wrong key, model or deployment shows up before a scan
+ * skips every image.
+ */
+class ProviderTestService {
+
+	/**
+	 * Sample image: a 16x16 PNG of blue sky over green grass.
+	 */
+	private const SAMPLE_IMAGE = 'iVBORw0KGgoAAAANSUhEUgAAABAAAAAQCAIAAACQkWg2AAAAG0lEQVR42mNoP/eaJMQwqmGIalDqViIJjUgNAH5utbDmCCVKAAAAAElFTkSuQmCC';
+
+	/**
+	 * Analyze the sample image with a provider's saved settings.
+	 *
+	 * @param string $provider_name Provider to test; the configured provider when empty.
+	 * @return array{success: bool, message: string, provider?: string, model?: string, latency_ms?: int, result?: array, error?: string|null}
+	 */
+	public function test( string $provider_name = '' ): array {
+		if ( '' === $provider_name ) {
+			$provider_name = (string) Plugin::get_instance()->get_setting( 'ai_provider', '' );
+		}
+
+		$provider = ProviderFactory::get_provider( $provider_name );
+
+		if ( null === $provider ) {
+			return array(
+				'success' => false,
+				'message' => __( 'Unknown AI provider.', 'vmfa-ai-organizer' ),
+			);
+		}
+
+		if ( ! $provider->is_configured() ) {
+			return array(
+				'success' => false,
+				'message' => sprintf(
+					/* translators: %s: Provider name. */
+					__( '%s is not configured. Save its settings first.', 'vmfa-ai-organizer' ),
+					$provider->get_label()
+				),
+			);
+		}
+
+		$started = microtime( true );
+		$result  = $provider->analyze(
+			array(
+				'filename'    => 'vmfa-connection-test.png',
+				'mime_type'   => 'image/png',
+				'description' => 'Connection test image.',
+			),
+			array(),
+			1,
+			true,
+			array(
+				'base64'    => self::SAMPLE_IMAGE,
+				'mime_type' => 'image/png',
+			)
+		);
+		$latency = (int) round( ( microtime( true ) - $started ) * 1000 );
+
+		$error = $provider instanceof AbstractProvider ? $provider->get_last_error() : null;
+
+		if ( null !== $error ) {
+			$message = sprintf(
+				/* translators: 1: Provider name, 2: Error message. */
+				__( '%1$s returned an error: %2$s', 'vmfa-ai-organizer' ),
+				$provider->get_label(),
+				$error
+			);
+		} else {
+			$message = sprintf(
+				/* translators: 1: Provider name, 2: Response time in milliseconds. */
+				__( '%1$s answered in %2$d ms.', 'vmfa-ai-organizer' ),
+				$provider->get_label(),
+				$latency
+			);
+		}
+
+		return array(
+			'success'    => null === $error,
+			'message'    => $message,
+			'provider'   => $provider->get_name(),
+			'model'      => (string) Plugin::get_instance()->get_setting( $provider->get_name() . '_model', '' ),
+			'latency_ms' => $latency,
+			'result'     => $result,
+			'error'      => $error,
+		);
+	}
+}
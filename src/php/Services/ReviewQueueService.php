@@ -0,0 +1,257 @@
+<?php
+/**
+ * Review Queue Service.
+ *
+ * @package VmfaAiOrganizer
+ */
+
+declare(strict_types=1);
+
+namespace VmfaAiOrganizer\Services;
+
+/**
+ * Service for holding analysis results that need a human decision before
+ * they are applied.
+ */
+class ReviewQueueService {
+
+	/**
+	 * Prefix of the options holding queued results, one per attachment.
+	 *
+	 * Each result has its own option row so that uploads analyzed at the
+	 * same time can't overwrite each other's entries.
+	 */
+	private const ITEM_OPTION_PREFIX = 'vmfa_review_queue_';
+
+	/**
+	 * AI Analysis Service.
+	 *
+	 * @var AIAnalysisService
+	 */
+	private AIAnalysisService $analysis_service;
+
+	/**
+	 * Constructor.
+	 */
+	public function __construct() {
+		$this->analysis_service = new AIAnalysisService();
+	}
+
+	/**
+	 * Add a result to the queue.
+	 *
+	 * Queueing an attachment again replaces its earlier entry.
+	 *
+	 * @param array<string, mixed> $result Analysis result.
+	 * @param string               $source Where the result came from, e.g. 'upload'.
+	 * @return void
+	 */
+	public function add( array $result, string $source ): void {
+		$attachment_id = (int) ( $result[ 'attachment_id' ] ?? 0 );
+
+		if ( $attachment_id <= 0 ) {
+			return;
+		}
+
+		update_option(
+			self::ITEM_OPTION_PREFIX . $attachment_id,
+			array_merge(
+				$result,
+				array(
+					'attachment_id' => $attachment_id,
+					'source'        => $source,
+					'queued_at'     => time(),
+				)
+			),
+			false
+		);
+	}
+
+	/**
+	 * Get queued results, newest first.
+	 *
+	 * @return array<array<string, mixed>>
+	 */
+	public function get_items(): array {
+		$items = array_values( $this->get_queue() );
+
+		usort(
+			$items,
+			static fn( array $a, array $b ): int => (int) ( $b[ 'queued_at' ] ?? 0 ) <=> (int) ( $a[ 'queued_at' ] ?? 0 )
+		);
+
+		return $items;
+	}
+
+	/**
+	 * Get the queued result for an attachment.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return array<string, mixed>|null
+	 */
+	public function get_item( int $attachment_id ): ?array {
+		$item = get_option( self::ITEM_OPTION_PREFIX . $attachment_id, null );
+
+		return is_array( $item ) ? $item : null;
+	}
+
+	/**
+	 * Remove an attachment from the queue.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return bool Whether the attachment was queued.
+	 */
+	public function remove( int $attachment_id ): bool {
+		if ( null === $this->get_item( $attachment_id ) ) {
+			return false;
+		}
+
+		return delete_option( self::ITEM_OPTION_PREFIX . $attachment_id );
+	}
+
+	/**
+	 * Apply queued results and take them off the queue.
+	 *
+	 * Each item names an attachment and may re-target it with `folder_id`
+	 * or `new_folder_path`; otherwise the queued suggestion is applied.
+	 *
+	 * @param array<array<string, mixed>> $items Items to approve.
+	 * @return array{success: bool, message: string, applied?: int, failed?: int}
+	 */
+	public function approve( array $items ): array {
+		$applied = 0;
+		$failed  = 0;
+
+		foreach ( $items as $item ) {
+			$attachment_id = (int) ( $item[ 'attachment_id' ] ?? 0 );
+			$queued        = $this->get_item( $attachment_id );
+
+			if ( null === $queued ) {
+				continue;
+			}
+
+			$result = $this->analysis_service->override_result_target( $queued, $item );
+
+			if ( is_wp_error( $result ) ) {
+				++$failed;
+				continue;
+			}
+
+			if ( $this->analysis_service->apply_result( $result ) ) {
+				delete_option( self::ITEM_OPTION_PREFIX . $attachment_id );
+				++$applied;
+				$this->resolve( $attachment_id, 'applied' );
+			} else {
+				++$failed;
+			}
+		}
+
+		if ( 0 === $applied + $failed ) {
+			return array(
+				'success' => false,
+				'message' => __( 'None of the selected items are waiting for review.', 'vmfa-ai-organizer' ),
+			);
+		}
+
+		return array(
+			'success' => true,
+			'message' => sprintf(
+				/* translators: 1: Media moved into folders, 2: Media that failed. */
+				__( 'Approved %1$d media files (%2$d failed).', 'vmfa-ai-organizer' ),
+				$applied,
+				$failed
+			),
+			'applied' => $applied,
+			'failed'  => $failed,
+		);
+	}
+
+	/**
+	 * Take queued results off the queue without applying them.
+	 *
+	 * @param array<int> $attachment_ids Attachment IDs to reject.
+	 * @return array{success: bool, message: string, rejected?: int}
+	 */
+	public function reject( array $attachment_ids ): array {
+		$rejected = 0;
+
+		foreach ( array_map( 'intval', $attachment_ids ) as $attachment_id ) {
+			if ( $this->remove( $attachment_id ) ) {
+				++$rejected;
+				$this->resolve( $attachment_id, 'rejected' );
+			}
+		}
+
+		if ( 0 === $rejected ) {
+			return array(
+				'success' => false,
+				'message' => __( 'None of the selected items are waiting for review.', 'vmfa-ai-organizer' ),
+			);
+		}
+
+		return array(
+			'success'  => true,
+			'message'  => sprintf(
+				/* translators: %d: Number of rejected suggestions. */
+				_n( 'Rejected %d suggestion.', 'Rejected %d suggestions.', $rejected, 'vmfa-ai-organizer' ),
+				$rejected
+			),
+			'rejected' => $rejected,
+		);
+	}
+
+	/**
+	 * Get the number of queued results.
+	 *
+	 * @return int
+	 */
+	public function count(): int {
+		return count( $this->get_queue() );
+	}
+
+	/**
+	 * Announce that a queued result has been decided on.
+	 *
+	 * @param int    $attachment_id Attachment ID.
+	 * @param string $decision      'applied' or 'rejected'.
+	 * @return void
+	 */
+	private function resolve( int $attachment_id, string $decision ): void {
+		/**
+		 * Fires when a queued result has been approved or rejected.
+		 *
+		 * @param int    $attachment_id Attachment ID.
+		 * @param string $decision      'applied' or 'rejected'.
+		 */
+		do_action( 'vmfa_review_resolved', $attachment_id, $decision );
+	}
+
+	/**
+	 * Get the stored queue.
+	 *
+	 * @return array<int, array<string, mixed>> Queued results keyed by attachment ID.
+	 */
+	private function get_queue(): array {
+		global $wpdb;
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$rows = $wpdb->get_col(
+			$wpdb->prepare(
+				"SELECT option_value FROM {$wpdb->options} WHERE option_name LIKE %s",
+				$wpdb->esc_like( self::ITEM_OPTION_PREFIX ) . '%'
+			)
+		);
+
+		$queue = array();
+
+		foreach ( (array) $rows as $row ) {
+			$item = maybe_unserialize( $row );
+
+			if ( is_array( $item ) && ! empty( $item[ 'attachment_id' ] ) ) {
+				$queue[ (int) $item[ 'attachment_id' ] ] = $item;
+			}
+		}
+
+		return $queue;
+	}
+}
@@ -0,0 +1,443 @@
+<?php
+/**
+ * Schedule Service.
+ *
+ * @package VmfaAiOrganizer
+ */
+
+declare(strict_types=1);
+
+namespace VmfaAiOrganizer\Services;
+
+/**
+ * Service for running scans on a recurring schedule.
+ *
+ * Daily and weekly schedules run at a time of day in the site's time zone
+ * and queue their next run after each run. Custom schedules use a cron
+ * expression, which Action Scheduler evaluates in UTC. A schedule may set a
+ * time window: runs due outside it are skipped, and batches of a running
+ * scheduled scan wait for the window to open again.
+ */
+class ScheduleService {
+
+	/**
+	 * Option holding the schedules.
+	 */
+	private const SCHEDULES_OPTION = 'vmfa_scan_schedules';
+
+	/**
+	 * Action Scheduler hook that runs a schedule.
+	 */
+	private const ACTION_HOOK = 'vmfa_run_scheduled_scan';
+
+	/**
+	 * Action Scheduler group.
+	 */
+	private const GROUP = 'vmfa-ai-organizer';
+
+	/**
+	 * Supported frequencies.
+	 */
+	private const FREQUENCIES = array( 'daily', 'weekly', 'custom' );
+
+	/**
+	 * Pattern for a time of day (HH:MM).
+	 */
+	private const TIME_PATTERN = '/^([01]\d|2[0-3]):[0-5]\d$/';
+
+	/**
+	 * Pattern for a five-field cron expression.
+	 */
+	private const CRON_PATTERN = '/^[\d*\/,\-A-Za-z?LW#]+(\s+[\d*\/,\-A-Za-z?LW#]+){4}$/';
+
+	/**
+	 * Media scanner service.
+	 *
+	 * @var MediaScannerService
+	 */
+	private MediaScannerService $scanner_service;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param MediaScannerService $scanner_service Media scanner service.
+	 */
+	public function __construct( MediaScannerService $scanner_service ) {
+		$this->scanner_service = $scanner_service;
+	}
+
+	/**
+	 * Register Action Scheduler hooks.
+	 *
+	 * @return void
+	 */
+	public function register_hooks(): void {
+		add_action( self::ACTION_HOOK, array( $this, 'run_schedule' ) );
+	}
+
+	/**
+	 * Get all schedules with their next run time.
+	 *
+	 * @return array<array<string, mixed>>
+	 */
+	public function get_schedules(): array {
+		return array_map( array( $this, 'with_next_run' ), array_values( $this->get_stored() ) );
+	}
+
+	/**
+	 * Get a schedule with its next run time.
+	 *
+	 * @param string $id Schedule ID.
+	 * @return array<string, mixed>|null
+	 */
+	public function get_schedule( string $id ): ?array {
+		$schedules = $this->get_stored();
+
+		return isset( $schedules[ $id ] ) ? $this->with_next_run( $schedules[ $id ] ) : null;
+	}
+
+	/**
+	 * Create a schedule, or update one when an ID is given.
+	 *
+	 * Fields left out of an update keep their current value.
+	 *
+	 * @param array<string, mixed> $data Schedule fields: mode, dry_run, scope, frequency, time, day, cron, window_start, window_end, enabled.
+	 * @param string               $id   Schedule ID to update.
+	 * @return array{success: bool, message: string, schedule?: array<string, mixed>}
+	 */
+	public function save_schedule( array $data, string $id = '' ): array {
+		$schedules = $this->get_stored();
+
+		if ( '' !== $id && ! isset( $schedules[ $id ] ) ) {
+			return array(
+				'success' => false,
+				'message' => __( 'Schedule not found.', 'vmfa-ai-organizer' ),
+			);
+		}
+
+		$defaults = array(
+			'id'           => wp_generate_uuid4(),
+			'mode'         => 'organize_unassigned',
+			'dry_run'      => false,
+			'scope'        => array(),
+			'frequency'    => 'daily',
+			'time'         => '02:00',
+			'day'          => 0,
+			'cron'         => '',
+			'window_start' => '',
+			'window_end'   => '',
+			'enabled'      => true,
+			'created_at'   => time(),
+			'last_run'     => null,
+		);
+
+		$schedule = array_merge(
+			'' !== $id ? $schedules[ $id ] : $defaults,
+			array_intersect_key( $data, array_flip( array( 'mode', 'dry_run', 'scope', 'frequency', 'time', 'day', 'cron', 'window_start', 'window_end', 'enabled' ) ) )
+		);
+
+		$schedule[ 'dry_run' ] = (bool) $schedule[ 'dry_run' ];
+		$schedule[ 'enabled' ] = (bool) $schedule[ 'enabled' ];
+		$schedule[ 'day' ]     = (int) $schedule[ 'day' ];
+		$schedule[ 'cron' ]    = trim( (string) $schedule[ 'cron' ] );
+		$schedule[ 'scope' ]   = array_filter(
+			is_array( $schedule[ 'scope' ] ) ? $schedule[ 'scope' ] : array(),
+			static fn( $value ): bool => '' !== $value && 0 !== $value && array() !== $value
+		);
+
+		$error = $this->get_validation_error( $schedule );
+		if ( null !== $error ) {
+			return array(
+				'success' => false,
+				'message' => $error,
+			);
+		}
+
+		$schedules[ $schedule[ 'id' ] ] = $schedule;
+		update_option( self::SCHEDULES_OPTION, $schedules, false );
+
+		$this->queue_next_run( $schedule );
+
+		return array(
+			'success'  => true,
+			'message'  => '' !== $id
+				? __( 'Schedule updated.', 'vmfa-ai-organizer' )
+				: __( 'Schedule created.', 'vmfa-ai-organizer' ),
+			'schedule' => $this->with_next_run( $schedule ),
+		);
+	}
+
+	/**
+	 * Delete a schedule and its queued runs.
+	 *
+	 * @param string $id Schedule ID.
+	 * @return bool Whether the schedule existed.
+	 */
+	public function delete_schedule( string $id ): bool {
+		$schedules = $this->get_stored();
+
+		if ( ! isset( $schedules[ $id ] ) ) {
+			return false;
+		}
+
+		as_unschedule_all_actions( self::ACTION_HOOK, array( 'schedule_id' => $id ), self::GROUP );
+
+		unset( $schedules[ $id ] );
+		update_option( self::SCHEDULES_OPTION, $schedules, false );
+
+		return true;
+	}
+
+	/**
+	 * Run a schedule: start its scan, or skip it outside its time window.
+	 *
+	 * @param string $schedule_id Schedule ID.
+	 * @return array{success: bool, message: string}
+	 */
+	public function run_schedule( string $schedule_id ): array {
+		$schedules = $this->get_stored();
+		$schedule  = $schedules[ $schedule_id ] ?? null;
+
+		if ( null === $schedule || ! $schedule[ 'enabled' ] ) {
+			return array(
+				'success' => false,
+				'message' => __( 'Schedule not found or disabled.', 'vmfa-ai-organizer' ),
+			);
+		}
+
+		if ( ! self::is_within_window( $schedule[ 'window_start' ], $schedule[ 'window_end' ] ) ) {
+			$result = array(
+				'success' => false,
+				'message' => __( 'Skipped: outside the time window.', 'vmfa-ai-organizer' ),
+			);
+		} else {
+			$result = $this->scanner_service->start_scan(
+				$schedule[ 'mode' ],
+				$schedule[ 'dry_run' ],
+				$schedule[ 'scope' ],
+				array(
+					'schedule_id' => $schedule_id,
+					'window'      => $this->get_window( $schedule ),
+				)
+			);
+		}
+
+		$schedule[ 'last_run' ] = array(
+			'at'      => time(),
+			'success' => $result[ 'success' ],
+			'message' => $result[ 'message' ],
+		);
+
+		$schedules[ $schedule_id ] = $schedule;
+		update_option( self::SCHEDULES_OPTION, $schedules, false );
+
+		if ( 'custom' !== $schedule[ 'frequency' ] ) {
+			$this->queue_next_run( $schedule );
+		}
+
+		return array(
+			'success' => $result[ 'success' ],
+			'message' => $result[ 'message' ],
+		);
+	}
+
+	/**
+	 * Check whether a time falls inside a daily time window.
+	 *
+	 * A window whose end is before its start spans midnight. A window
+	 * without both ends is always open.
+	 *
+	 * @param string                  $start Window start (HH:MM, site time).
+	 * @param string                  $end   Window end (HH:MM, site time).
+	 * @param \DateTimeImmutable|null $now   Time to check; now when null.
+	 * @return bool
+	 */
+	public static function is_within_window( string $start, string $end, ?\DateTimeImmutable $now = null ): bool {
+		if ( '' === $start || '' === $end ) {
+			return true;
+		}
+
+		$time = ( $now ?? new \DateTimeImmutable( 'now', wp_timezone() ) )->format( 'H:i' );
+
+		if ( $start <= $end ) {
+			return $time >= $start && $time < $end;
+		}
+
+		return $time >= $start || $time < $end;
+	}
+
+	/**
+	 * Get the next time a daily time window opens.
+	 *
+	 * @param string                  $start Window start (HH:MM, site time).
+	 * @param \DateTimeImmutable|null $now   Time to start from; now when null.
+	 * @return int Unix timestamp.
+	 */
+	public static function get_next_window_start( string $start, ?\DateTimeImmutable $now = null ): int {
+		$now  = $now ?? new \DateTimeImmutable( 'now', wp_timezone() );
+		$next = self::at_time( $now, $start );
+
+		if ( $next <= $now ) {
+			$next = $next->modify( '+1 day' );
+		}
+
+		return $next->getTimestamp();
+	}
+
+	/**
+	 * Get the next run time of a daily or weekly schedule.
+	 *
+	 * @param array<string, mixed>    $schedule Schedule.
+	 * @param \DateTimeImmutable|null $now      Time to start from; now when null.
+	 * @return int Unix timestamp.
+	 */
+	public function get_next_run_time( array $schedule, ?\DateTimeImmutable $now = null ): int {
+		$now  = $now ?? new \DateTimeImmutable( 'now', wp_timezone() );
+		$next = self::at_time( $now, (string) $schedule[ 'time' ] );
+
+		if ( 'weekly' === $schedule[ 'frequency' ] ) {
+			$days_ahead = ( (int) $schedule[ 'day' ] - (int) $next->format( 'w' ) + 7 ) % 7;
+			$next       = $next->modify( sprintf( '+%d days', $days_ahead ) );
+
+			if ( $next <= $now ) {
+				$next = $next->modify( '+7 days' );
+			}
+		} elseif ( $next <= $now ) {
+			$next = $next->modify( '+1 day' );
+		}
+
+		return $next->getTimestamp();
+	}
+
+	/**
+	 * Set a date to a time of day.
+	 *
+	 * @param \DateTimeImmutable $date Date.
+	 * @param string             $time Time of day (HH:MM).
+	 * @return \DateTimeImmutable
+	 */
+	private static function at_time( \DateTimeImmutable $date, string $time ): \DateTimeImmutable {
+		list( $hour, $minute ) = array_map( 'intval', explode( ':', $time ) );
+
+		return $date->setTime( $hour, $minute );
+	}
+
+	/**
+	 * Replace a schedule's queued run with its next one.
+	 *
+	 * @param array<string, mixed> $schedule Schedule.
+	 * @return void
+	 */
+	private function queue_next_run( array $schedule ): void {
+		$args = array( 'schedule_id' => $schedule[ 'id' ] );
+
+		as_unschedule_all_actions( self::ACTION_HOOK, $args, self::GROUP );
+
+		if ( ! $schedule[ 'enabled' ] ) {
+			return;
+		}
+
+		if ( 'custom' === $schedule[ 'frequency' ] ) {
+			as_schedule_cron_action( time(), $schedule[ 'cron' ], self::ACTION_HOOK, $args, self::GROUP );
+			return;
+		}
+
+		as_schedule_single_action( $this->get_next_run_time( $schedule ), self::ACTION_HOOK, $args, self::GROUP );
+	}
+
+	/**
+	 * Add the next run time to a schedule.
+	 *
+	 * @param array<string, mixed> $schedule Schedule.
+	 * @return array<string, mixed>
+	 */
+	private function with_next_run( array $schedule ): array {
+		$next = as_next_scheduled_action( self::ACTION_HOOK, array( 'schedule_id' => $schedule[ 'id' ] ), self::GROUP );
+
+		$schedule[ 'next_run' ] = is_int( $next ) ? $next : null;
+
+		return $schedule;
+	}
+
+	/**
+	 * Get a schedule's time window, if it has one.
+	 *
+	 * @param array<string, mixed> $schedule Schedule.
+	 * @return array{start: string, end: string}|null
+	 */
+	private function get_window( array $schedule ): ?array {
+		if ( '' === $schedule[ 'window_start' ] || '' === $schedule[ 'window_end' ] ) {
+			return null;
+		}
+
+		return array(
+			'start' => $schedule[ 'window_start' ],
+			'end'   => $schedule[ 'window_end' ],
+		);
+	}
+
+	/**
+	 * Validate a schedule.
+	 *
+	 * @param array<string, mixed> $schedule Schedule.
+	 * @return string|null Error message, or null when valid.
+	 */
+	private function get_validation_error( array $schedule ): ?string {
+		if ( ! in_array( $schedule[ 'frequency' ], self::FREQUENCIES, true ) ) {
+			return __( 'Frequency must be daily, weekly or custom.', 'vmfa-ai-organizer' );
+		}
+
+		if ( 'custom' === $schedule[ 'frequency' ] ) {
+			if ( ! preg_match( self::CRON_PATTERN, $schedule[ 'cron' ] ) ) {
+				return __( 'Custom schedules need a cron expression with five fields.', 'vmfa-ai-organizer' );
+			}
+		} elseif ( ! preg_match( self::TIME_PATTERN, (string) $schedule[ 'time' ] ) ) {
+			return __( 'Time must use the HH:MM format.', 'vmfa-ai-organizer' );
+		}
+
+		if ( $schedule[ 'day' ] < 0 || $schedule[ 'day' ] > 6 ) {
+			return __( 'Day must be between 0 (Sunday) and 6 (Saturday).', 'vmfa-ai-organizer' );
+		}
+
+		foreach ( array( 'window_start', 'window_end' ) as $key ) {
+			if ( '' !== $schedule[ $key ] && ! preg_match( self::TIME_PATTERN, (string) $schedule[ $key ] ) ) {
+				return __( 'Time window bounds must use the HH:MM format.', 'vmfa-ai-organizer' );
+			}
+		}
+
+		if ( ( '' === $schedule[ 'window_start' ] ) !== ( '' === $schedule[ 'window_end' ] ) ) {
+			return __( 'A time window needs both a start and an end.', 'vmfa-ai-organizer' );
+		}
+
+		if ( 'custom' !== $schedule[ 'frequency' ] ) {
+			$run_at = self::at_time( new \DateTimeImmutable( 'now', wp_timezone() ), (string) $schedule[ 'time' ] );
+
+			if ( ! self::is_within_window( $schedule[ 'window_start' ], $schedule[ 'window_end' ], $run_at ) ) {
+				return __( 'The run time must fall inside the time window.', 'vmfa-ai-organizer' );
+			}
+		}
+
+		// Reorganize All moves every file, which shouldn't happen unattended.
+		if ( 'reorganize_all' === $schedule[ 'mode' ] && ! $schedule[ 'dry_run' ] ) {
+			return __( 'Scheduled Reorganize All runs must use preview mode (dry run).', 'vmfa-ai-organizer' );
+		}
+
+		$count = $this->scanner_service->count_scan_items( (string) $schedule[ 'mode' ], $schedule[ 'scope' ] );
+		if ( ! $count[ 'success' ] ) {
+			return $count[ 'message' ];
+		}
+
+		return null;
+	}
+
+	/**
+	 * Get the stored schedules keyed by ID.
+	 *
+	 * @return array<string, array<string, mixed>>
+	 */
+	private function get_stored(): array {
+		$schedules = get_option( self::SCHEDULES_OPTION, array() );
+
+		return is_array( $schedules ) ? $schedules : array();
+	}
+}
@@ -0,0 +1,308 @@
+<?php
+/**
+ * Undo Service.
+ *
+ * @package VmfaAiOrganizer
+ */
+
+declare(strict_types=1);
+
+namespace VmfaAiOrganizer\Services;
+
+/**
+ * Service for recording the changes made by an applied scan run and reversing them.
+ */
+class UndoService {
+
+	/**
+	 * VMF folder taxonomy name.
+	 */
+	private const TAXONOMY = 'vmfo_folder';
+
+	/**
+	 * Option holding the recorded runs, newest first.
+	 */
+	private const RUNS_OPTION = 'vmfa_undo_runs';
+
+	/**
+	 * Number of recorded runs to keep.
+	 */
+	private const MAX_RUNS = 10;
+
+	/**
+	 * Get the IDs of all folders.
+	 *
+	 * @return array<int>
+	 */
+	public function get_folder_ids(): array {
+		$terms = get_terms(
+			array(
+				'taxonomy'   => self::TAXONOMY,
+				'hide_empty' => false,
+				'fields'     => 'ids',
+			)
+		);
+
+		if ( is_wp_error( $terms ) ) {
+			return array();
+		}
+
+		return array_map( 'intval', $terms );
+	}
+
+	/**
+	 * Get the folder IDs an attachment is in.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return array<int> Sorted folder IDs.
+	 */
+	public function get_attachment_folders( int $attachment_id ): array {
+		$terms = wp_get_object_terms( $attachment_id, self::TAXONOMY, array( 'fields' => 'ids' ) );
+
+		if ( is_wp_error( $terms ) ) {
+			return array();
+		}
+
+		$terms = array_map( 'intval', $terms );
+		sort( $terms );
+
+		return $terms;
+	}
+
+	/**
+	 * Record the changes made by an applied run.
+	 *
+	 * Folders that exist now but not before the run are recorded as created.
+	 * Reorganize All runs delete every folder first, so they are recorded as
+	 * not undoable; their pre-run snapshot is the way back.
+	 *
+	 * @param string     $run_id         Run ID.
+	 * @param string     $mode           Scan mode.
+	 * @param array      $moves          Folder changes per attachment: attachment_id and sorted from/to folder IDs.
+	 * @param array<int> $folders_before Folder IDs before the run.
+	 * @return void
+	 */
+	public function record_run( string $run_id, string $mode, array $moves, array $folders_before ): void {
+		$moves = array_values(
+			array_filter(
+				$moves,
+				function ( $move ) {
+					return $move[ 'from' ] !== $move[ 'to' ];
+				}
+			)
+		);
+
+		$created = array_values( array_diff( $this->get_folder_ids(), $folders_before ) );
+
+		$runs = $this->get_stored_runs();
+		array_unshift(
+			$runs,
+			array(
+				'id'              => $run_id,
+				'mode'            => $mode,
+				'applied_at'      => time(),
+				'undoable'        => 'reorganize_all' !== $mode,
+				'undone_at'       => null,
+				'moves'           => $moves,
+				'created_folders' => $created,
+			)
+		);
+
+		update_option( self::RUNS_OPTION, array_slice( $runs, 0, self::MAX_RUNS ), false );
+	}
+
+	/**
+	 * Get a summary of a recorded run.
+	 *
+	 * @param string $run_id Run ID; the newest run when empty.
+	 * @return array{id: string, mode: string, applied_at: int, undoable: bool, undone_at: int|null, moved: int, created_folders: int}|null
+	 */
+	public function get_run( string $run_id = '' ): ?array {
+		$run = $this->find_run( $run_id );
+
+		if ( null === $run ) {
+			return null;
+		}
+
+		return array(
+			'id'              => $run[ 'id' ],
+			'mode'            => $run[ 'mode' ],
+			'applied_at'      => $run[ 'applied_at' ],
+			'undoable'        => $run[ 'undoable' ] && null === $run[ 'undone_at' ],
+			'undone_at'       => $run[ 'undone_at' ],
+			'moved'           => count( $run[ 'moves' ] ),
+			'created_folders' => count( $run[ 'created_folders' ] ),
+		);
+	}
+
+	/**
+	 * Reverse the changes made by a recorded run.
+	 *
+	 * Media go back to the folders they were in before the run, unless they
+	 * have been moved again since. Folders the run created are deleted once
+	 * they hold no media and no subfolders.
+	 *
+	 * @param string $run_id Run ID; the newest run when empty.
+	 * @return array{success: bool, message: string, reverted?: int, skipped?: int, folders_removed?: int}
+	 */
+	public function undo( string $run_id = '' ): array {
+		$run = $this->find_run( $run_id );
+
+		if ( null === $run ) {
+			return array(
+				'success' => false,
+				'message' => __( 'No applied run found to undo.', 'vmfa-ai-organizer' ),
+			);
+		}
+
+		if ( null !== $run[ 'undone_at' ] ) {
+			return array(
+				'success' => false,
+				'message' => __( 'This run has already been undone.', 'vmfa-ai-organizer' ),
+			);
+		}
+
+		if ( ! $run[ 'undoable' ] ) {
+			return array(
+				'success' => false,
+				'message' => __( 'Reorganize All runs replace every folder and cannot be undone one by one. Restore the snapshot taken before the run instead.', 'vmfa-ai-organizer' ),
+			);
+		}
+
+		$reverted = 0;
+		$skipped  = 0;
+
+		foreach ( $run[ 'moves' ] as $move ) {
+			$attachment_id = (int) $move[ 'attachment_id' ];
+
+			// Leave media that have been moved again since the run.
+			if ( $this->get_attachment_folders( $attachment_id ) !== $move[ 'to' ] ) {
+				++$skipped;
+				continue;
+			}
+
+			$result = wp_set_object_terms( $attachment_id, $move[ 'from' ], self::TAXONOMY );
+
+			if ( is_wp_error( $result ) ) {
+				++$skipped;
+				continue;
+			}
+
+			++$reverted;
+		}
+
+		// Newest first, so subfolders go before their parents.
+		$created = $run[ 'created_folders' ];
+		rsort( $created );
+
+		$folders_removed = 0;
+		foreach ( $created as $term_id ) {
+			if ( $this->is_empty_folder( (int) $term_id ) ) {
+				delete_term_meta( $term_id, 'vmfo_order' );
+				$result = wp_delete_term( $term_id, self::TAXONOMY );
+
+				if ( $result && ! is_wp_error( $result ) ) {
+					++$folders_removed;
+				}
+			}
+		}
+
+		delete_transient( 'vmfo_folder_counts' );
+		clean_taxonomy_cache( self::TAXONOMY );
+
+		$this->mark_undone( $run[ 'id' ] );
+
+		/**
+		 * Fires after an applied run has been undone.
+		 *
+		 * @param string $run_id   Run ID.
+		 * @param int    $reverted Number of media moved back.
+		 * @param int    $skipped  Number of media left alone.
+		 */
+		do_action( 'vmfa_run_undone', $run[ 'id' ], $reverted, $skipped );
+
+		return array(
+			'success'         => true,
+			'message'         => sprintf(
+				/* translators: 1: media moved back, 2: media moved since and left alone, 3: folders removed */
+				__( 'Moved %1$d media back (%2$d changed since and left alone) and removed %3$d folders.', 'vmfa-ai-organizer' ),
+				$reverted,
+				$skipped,
+				$folders_removed
+			),
+			'reverted'        => $reverted,
+			'skipped'         => $skipped,
+			'folders_removed' => $folders_removed,
+		);
+	}
+
+	/**
+	 * Find a stored run.
+	 *
+	 * @param string $run_id Run ID; the newest run when empty.
+	 * @return array<string, mixed>|null
+	 */
+	private function find_run( string $run_id ): ?array {
+		$runs = $this->get_stored_runs();
+
+		if ( '' === $run_id ) {
+			return $runs[ 0 ] ?? null;
+		}
+
+		foreach ( $runs as $run ) {
+			if ( $run[ 'id' ] === $run_id ) {
+				return $run;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Flag a run as undone.
+	 *
+	 * @param string $run_id Run ID.
+	 * @return void
+	 */
+	private function mark_undone( string $run_id ): void {
+		$runs = $this->get_stored_runs();
+
+		foreach ( $runs as &$run ) {
+			if ( $run[ 'id' ] === $run_id ) {
+				$run[ 'undone_at' ] = time();
+			}
+		}
+		unset( $run );
+
+		update_option( self::RUNS_OPTION, $runs, false );
+	}
+
+	/**
+	 * Check whether a folder exists and holds no media and no subfolders.
+	 *
+	 * @param int $term_id Folder ID.
+	 * @return bool
+	 */
+	private function is_empty_folder( int $term_id ): bool {
+		$term = get_term( $term_id, self::TAXONOMY );
+		if ( ! $term || is_wp_error( $term ) ) {
+			return false;
+		}
+
+		$objects  = get_objects_in_term( $term_id, self::TAXONOMY );
+		$children = get_term_children( $term_id, self::TAXONOMY );
+
+		return empty( $objects ) && empty( $children ) && ! is_wp_error( $objects ) && ! is_wp_error( $children );
+	}
+
+	/**
+	 * Get stored runs, newest first.
+	 *
+	 * @return array<array<string, mixed>>
+	 */
+	private function get_stored_runs(): array {
+		$runs = get_option( self::RUNS_OPTION, array() );
+
+		return is_array( $runs ) ? $runs : array();
+	}
+}
@@ -114,4 +114,48 @@ class AbstractProviderParseResponseTest extends BrainMonkeyTestCase {
 		$this->assertSame( 'assign', $result[ 'action' ] );
 		$this->assertSame( 14, $result[ 'folder_id' ] );
 	}
+
+	/**
+	 * Test visual_description is carried through to the result.
+	 */
+	public function test_visual_description_is_kept(): void {
+		$provider = new class () extends AbstractProvider {
+			public function get_name(): string {
+				return 'test';
+			}
+			public function get_label(): string {
+				return 'Test';
+			}
+			public function analyze( array $media_metadata, array $folder_paths, int $max_depth, bool $allow_new_folders, ?array $image_data = null, array $suggested_folders = array() ): array {
+				return array();
+			}
+			public function test( array $settings ): ?string {
+				return null;
+			}
+			public function is_configured(): bool {
+				return true;
+			}
+			public function get_available_models(): array {
+				return array();
+			}
+			public function parse_for_test( string $response, array $folder_paths ): array {
+				return $this->parse_response( $response, $folder_paths );
+			}
+		};
+
+		$response = wp_json_encode(
+			array(
+				'action'             => 'new',
+				'new_folder_path'    => 'Nature/Mountains',
+				'confidence'         => 0.8,
+				'reason'             => 'Snowy peaks.',
+				'visual_description' => 'A snow-capped mountain under a blue sky.',
+			)
+		);
+
+		$result = $provider->parse_for_test( (string) $response, array() );
+
+		$this->assertSame( 'create', $result[ 'action' ] );
+		$this->assertSame( 'A snow-capped mountain under a blue sky.', $result[ 'visual_description' ] );
+	}
 }
@@ -0,0 +1,85 @@
+<?php
+/**
+ * Tests for MediaLibrary.
+ *
+ * @package VmfaAiOrganizer
+ */
+
+declare( strict_types=1 );
+
+namespace VmfaAiOrganizer\Tests\Admin;
+
+use VmfaAiOrganizer\Tests\BrainMonkeyTestCase;
+use VmfaAiOrganizer\Admin\MediaLibrary;
+use VmfaAiOrganizer\Admin\SettingsPage;
+use VmfaAiOrganizer\Services\MediaScannerService;
+use Brain\Monkey\Functions;
+use Mockery;
+
+/**
+ * Media Library test class.
+ */
+class MediaLibraryTest extends BrainMonkeyTestCase {
+
+	/**
+	 * Test the bulk actions are only offered to administrators.
+	 */
+	public function test_register_bulk_actions_requires_manage_options(): void {
+		$library = new MediaLibrary( Mockery::mock( MediaScannerService::class ), Mockery::mock( SettingsPage::class ) );
+
+		Functions\when( 'current_user_can' )->justReturn( false );
+		$this->assertSame( [ 'delete' => 'Delete' ], $library->register_bulk_actions( [ 'delete' => 'Delete' ] ) );
+
+		Functions\when( 'current_user_can' )->justReturn( true );
+		$actions = $library->register_bulk_actions( [ 'delete' => 'Delete' ] );
+		$this->assertArrayHasKey( 'vmfa_ai_preview', $actions );
+		$this->assertArrayHasKey( 'vmfa_ai_organize', $actions );
+	}
+
+	/**
+	 * Test the preview bulk action scans exactly the selected attachments.
+	 */
+	public function test_handle_bulk_action_starts_scan_of_selection(): void {
+		Functions\when( 'current_user_can' )->justReturn( true );
+		Functions\when( 'get_current_user_id' )->justReturn( 3 );
+		Functions\when( 'add_query_arg' )->alias(
+			static function ( $key, $value, $url ) {
+				return $url . '?' . $key . '=' . $value;
+			}
+		);
+
+		$scanner = Mockery::mock( MediaScannerService::class );
+		$scanner->shouldReceive( 'start_scan' )
+			->once()
+			->with( 'reanalyze_all', true, [ 'attachment_ids' => [ 12, 15 ] ] )
+			->andReturn(
+				[
+					'success' => true,
+					'message' => 'Started scanning 2 media files.',
+					'total'   => 2,
+				]
+			);
+
+		Functions\expect( 'set_transient' )
+			->once()
+			->with( 'vmfa_bulk_scan_3', Mockery::on( fn( $result ) => true === $result['success'] ), Mockery::any() )
+			->andReturn( true );
+
+		$library = new MediaLibrary( $scanner, Mockery::mock( SettingsPage::class ) );
+		$url     = $library->handle_bulk_action( 'upload.php', 'vmfa_ai_preview', [ '12', '15' ] );
+
+		$this->assertSame( 'upload.php?vmfa_bulk_scan=1', $url );
+	}
+
+	/**
+	 * Test other bulk actions pass through untouched.
+	 */
+	public function test_handle_bulk_action_ignores_other_actions(): void {
+		$scanner = Mockery::mock( MediaScannerService::class );
+		$scanner->shouldReceive( 'start_scan' )->never();
+
+		$library = new MediaLibrary( $scanner, Mockery::mock( SettingsPage::class ) );
+
+		$this->assertSame( 'upload.php', $library->handle_bulk_action( 'upload.php', 'delete', [ 12 ] ) );
+	}
+}
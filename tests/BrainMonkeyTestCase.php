@@ -58,6 +58,7 @@ abstract class BrainMonkeyTestCase extends TestCase {
 				'absint'               => static fn( $maybeint ) => abs( (int) $maybeint ),
 				'wp_parse_args'        => static fn( $args, $defaults = [] ) => array_merge( $defaults, is_array( $args ) ? $args : [] ),
 				'get_attached_file'    => static fn( $id ) => '/uploads/test-file.jpg',
+				'wp_get_attachment_image_url' => static fn( $id ) => 'https://example.com/wp-content/uploads/test-file-150x150.jpg',
 				'wp_json_encode'       => 'json_encode',
 				'wp_remote_retrieve_response_code' => static fn( $response ) => $response['response']['code'] ?? 200,
 				'wp_remote_retrieve_body' => static fn( $response ) => $response['body'] ?? '',
@@ -0,0 +1,112 @@
+<?php
+/**
+ * Tests for CloudModelsController.
+ *
+ * @package VmfaAiOrganizer
+ */
+
+declare( strict_types=1 );
+
+namespace VmfaAiOrganizer\Tests\REST;
+
+use VmfaAiOrganizer\Tests\BrainMonkeyTestCase;
+use VmfaAiOrganizer\REST\CloudModelsController;
+
+/**
+ * Cloud Models Controller test class.
+ */
+class CloudModelsControllerTest extends BrainMonkeyTestCase {
+
+	/**
+	 * Test OpenAI models that cannot chat are dropped and vision models flagged.
+	 */
+	public function test_parse_models_filters_openai_models(): void {
+		$controller = new CloudModelsController();
+		$models     = $controller->parse_models(
+			'openai',
+			[
+				'data' => [
+					[ 'id' => 'gpt-4o-mini' ],
+					[ 'id' => 'gpt-3.5-turbo' ],
+					[ 'id' => 'text-embedding-3-small' ],
+					[ 'id' => 'whisper-1' ],
+					[ 'id' => 'o1-mini' ],
+				],
+			]
+		);
+
+		$this->assertSame(
+			[
+				'gpt-4o-mini'   => true,
+				'gpt-3.5-turbo' => false,
+				'o1-mini'       => false,
+			],
+			array_column( $models, 'vision', 'id' )
+		);
+	}
+
+	/**
+	 * Test Gemini models are limited to generateContent and lose their prefix.
+	 */
+	public function test_parse_models_reads_gemini_models(): void {
+		$controller = new CloudModelsController();
+		$models     = $controller->parse_models(
+			'gemini',
+			[
+				'models' => [
+					[
+						'name'                       => 'models/gemini-1.5-flash',
+						'displayName'                => 'Gemini 1.5 Flash',
+						'supportedGenerationMethods' => [ 'generateContent', 'countTokens' ],
+					],
+					[
+						'name'                       => 'models/text-embedding-004',
+						'displayName'                => 'Text Embedding 004',
+						'supportedGenerationMethods' => [ 'embedContent' ],
+					],
+				],
+			]
+		);
+
+		$this->assertSame(
+			[
+				[
+					'id'     => 'gemini-1.5-flash',
+					'name'   => 'Gemini 1.5 Flash',
+					'vision' => true,
+				],
+			],
+			$models
+		);
+	}
+
+	/**
+	 * Test Grok vision comes from the model's input modalities.
+	 */
+	public function test_parse_models_reads_grok_modalities(): void {
+		$controller = new CloudModelsController();
+		$models     = $controller->parse_models(
+			'grok',
+			[
+				'models' => [
+					[
+						'id'               => 'grok-2-vision-1212',
+						'input_modalities' => [ 'text', 'image' ],
+					],
+					[
+						'id'               => 'grok-3-mini',
+						'input_modalities' => [ 'text' ],
+					],
+				],
+			]
+		);
+
+		$this->assertSame(
+			[
+				'grok-2-vision-1212' => true,
+				'grok-3-mini'        => false,
+			],
+			array_column( $models, 'vision', 'id' )
+		);
+	}
+}
@@ -10,6 +10,7 @@ declare(strict_types=1);
 namespace VmfaAiOrganizer\Tests\Services;
 
 use VmfaAiOrganizer\Tests\BrainMonkeyTestCase;
+use VmfaAiOrganizer\AI\AbstractProvider;
 use VmfaAiOrganizer\Services\AIAnalysisService;
 use Brain\Monkey\Functions;
 
@@ -43,6 +44,64 @@ class AIAnalysisServiceTest extends BrainMonkeyTestCase {
 		};
 	}
 
+	/**
+	 * Provider double that asks its own URL and assigns folder 5 on success.
+	 */
+	private function make_test_provider( string $name ): AbstractProvider {
+		return new class ($name) extends AbstractProvider {
+			private string $test_name;
+
+			public function __construct( string $name ) {
+				$this->test_name = $name;
+			}
+			public function get_name(): string {
+				return $this->test_name;
+			}
+			public function get_label(): string {
+				return ucfirst( $this->test_name );
+			}
+			public function analyze( array $media_metadata, array $folder_paths, int $max_depth, bool $allow_new_folders, ?array $image_data = null, array $suggested_folders = array() ): array {
+				$response = $this->make_request( 'https://' . $this->test_name . '.example.com', array() );
+
+				return array(
+					'action'          => $response[ 'success' ] ? 'assign' : 'skip',
+					'folder_id'       => $response[ 'success' ] ? 5 : null,
+					'new_folder_path' => null,
+					'confidence'      => $response[ 'success' ] ? 0.9 : 0.0,
+					'reason'          => (string) $response[ 'error' ],
+				);
+			}
+			public function test( array $settings ): ?string {
+				return null;
+			}
+			public function is_configured(): bool {
+				return true;
+			}
+			public function get_available_models(): array {
+				return array();
+			}
+		};
+	}
+
+	/**
+	 * Stub the providers' HTTP responses by host.
+	 *
+	 * @param array<string, int> $codes Status codes keyed by provider name.
+	 */
+	private function stub_provider_responses( array $codes ): void {
+		Functions\when( 'is_wp_error' )->justReturn( false );
+		Functions\when( 'wp_remote_post' )->alias(
+			static function ( $url ) use ( $codes ) {
+				$code = $codes[ explode( '.', (string) parse_url( $url, PHP_URL_HOST ) )[ 0 ] ];
+
+				return array(
+					'response' => array( 'code' => $code ),
+					'body'     => json_encode( array( 'error' => "HTTP {$code}" ) ),
+				);
+			}
+		);
+	}
+
 	/**
 	 * Test service instantiation.
 	 */
@@ -155,4 +214,137 @@ class AIAnalysisServiceTest extends BrainMonkeyTestCase {
 		$this->assertSame( 'Videos', $result[ 'folder_name' ] );
 		$this->assertSame( 'clip.mp4', $result[ 'filename' ] );
 	}
+
+	/**
+	 * Test a transport error hands the image to the next fallback provider.
+	 */
+	public function test_analyze_media_falls_back_on_transport_errors(): void {
+		$this->stub_options( array( 'vmfa_scan_progress' => array( 'mode' => 'organize_unassigned' ) ) );
+		$this->stub_provider_responses(
+			array(
+				'openai'    => 429,
+				'anthropic' => 503,
+				'ollama'    => 200,
+			)
+		);
+		Functions\when( 'get_post' )->justReturn( null );
+		Functions\when( 'get_term' )->justReturn( (object) array( 'name' => 'Nature' ) );
+
+		$service = $this->make_test_service(
+			array(
+				'mime_type' => 'image/jpeg',
+				'filename'  => 'fox.jpg',
+			),
+			array( 'Nature' => 5 )
+		);
+		$service->set_provider( $this->make_test_provider( 'openai' ) );
+		$service->set_fallback_providers( array( $this->make_test_provider( 'anthropic' ), $this->make_test_provider( 'ollama' ) ) );
+
+		$result = $service->analyze_media( 125 );
+
+		$this->assertSame( 'assign', $result[ 'action' ] );
+		$this->assertSame( 'Nature', $result[ 'folder_name' ] );
+		$this->assertSame( 'ollama', $result[ 'provider' ] );
+		$this->assertSame( 'openai', $result[ 'fallback_from' ] );
+	}
+
+	/**
+	 * Test the primary provider's error is kept when every fallback fails too.
+	 */
+	public function test_analyze_media_reports_primary_error_when_every_fallback_fails(): void {
+		$this->stub_options( array( 'vmfa_scan_progress' => array( 'mode' => 'organize_unassigned' ) ) );
+		$this->stub_provider_responses(
+			array(
+				'openai'    => 503,
+				'anthropic' => 502,
+				'ollama'    => 401,
+			)
+		);
+		Functions\when( 'get_post' )->justReturn( null );
+
+		$service = $this->make_test_service(
+			array(
+				'mime_type' => 'image/jpeg',
+				'filename'  => 'fox.jpg',
+			),
+			array( 'Nature' => 5 )
+		);
+		$service->set_provider( $this->make_test_provider( 'openai' ) );
+		$service->set_fallback_providers( array( $this->make_test_provider( 'anthropic' ), $this->make_test_provider( 'ollama' ) ) );
+
+		$result = $service->analyze_media( 125 );
+
+		$this->assertSame( 'skip', $result[ 'action' ] );
+		$this->assertSame( 'HTTP 503', $result[ 'reason' ] );
+		$this->assertSame( 'openai', $result[ 'provider' ] );
+		$this->assertArrayNotHasKey( 'fallback_from', $result );
+	}
+
+	/**
+	 * Test errors that would fail again, such as a rejected API key, are not retried.
+	 */
+	public function test_analyze_media_does_not_fall_back_on_client_errors(): void {
+		$this->stub_options( array( 'vmfa_scan_progress' => array( 'mode' => 'organize_unassigned' ) ) );
+		$this->stub_provider_responses(
+			array(
+				'openai'    => 401,
+				'anthropic' => 200,
+			)
+		);
+		Functions\when( 'get_post' )->justReturn( null );
+
+		$service = $this->make_test_service(
+			array(
+				'mime_type' => 'image/jpeg',
+				'filename'  => 'fox.jpg',
+			),
+			array( 'Nature' => 5 )
+		);
+		$service->set_provider( $this->make_test_provider( 'openai' ) );
+		$service->set_fallback_providers( array( $this->make_test_provider( 'anthropic' ) ) );
+
+		$result = $service->analyze_media( 125 );
+
+		$this->assertSame( 'skip', $result[ 'action' ] );
+		$this->assertSame( 'HTTP 401', $result[ 'reason' ] );
+		$this->assertSame( 'openai', $result[ 'provider' ] );
+		$this->assertArrayNotHasKey( 'fallback_from', $result );
+	}
+
+	/**
+	 * Test a re-target to a folder that does not exist is rejected.
+	 */
+	public function test_override_result_target_rejects_unknown_folder(): void {
+		$service = $this->make_test_service( array(), array( 'Nature' => 5 ) );
+
+		$result = $service->override_result_target( array( 'action' => 'skip' ), array( 'folder_id' => 9 ) );
+
+		$this->assertInstanceOf( \WP_Error::class, $result );
+		$this->assertSame( 'invalid_folder', $result->get_error_code() );
+		$this->assertSame( array( 'status' => 400 ), $result->get_error_data() );
+	}
+
+	/**
+	 * Test new folder paths are sanitized and rejected when empty or too deep.
+	 */
+	public function test_override_result_target_sanitizes_new_folder_paths(): void {
+		$this->stub_options( array( 'vmfa_ai_organizer_settings' => array( 'max_folder_depth' => 2 ) ) );
+
+		$service = $this->make_test_service( array(), array() );
+
+		$result = $service->override_result_target( array( 'action' => 'skip' ), array( 'new_folder_path' => '/Animals//Birds/' ) );
+
+		$this->assertSame( 'create', $result[ 'action' ] );
+		$this->assertSame( 'Animals/Birds', $result[ 'new_folder_path' ] );
+
+		$empty = $service->override_result_target( array( 'action' => 'skip' ), array( 'new_folder_path' => ' / / ' ) );
+
+		$this->assertInstanceOf( \WP_Error::class, $empty );
+		$this->assertSame( 'invalid_folder_path', $empty->get_error_code() );
+
+		$deep = $service->override_result_target( array( 'action' => 'skip' ), array( 'new_folder_path' => 'Animals/Birds/Sparrows' ) );
+
+		$this->assertInstanceOf( \WP_Error::class, $deep );
+		$this->assertSame( array( 'status' => 400 ), $deep->get_error_data() );
+	}
 }
@@ -0,0 +1,161 @@
+<?php
+/**
+ * Tests for AutoOrganizeService.
+ *
+ * @package VmfaAiOrganizer
+ */
+
+declare( strict_types=1 );
+
+namespace VmfaAiOrganizer\Tests\Services;
+
+use VmfaAiOrganizer\Tests\BrainMonkeyTestCase;
+use VmfaAiOrganizer\Services\AutoOrganizeService;
+use VmfaAiOrganizer\Services\AIAnalysisService;
+use Brain\Monkey\Functions;
+use Mockery;
+
+/**
+ * Auto Organize Service test class.
+ */
+class AutoOrganizeServiceTest extends BrainMonkeyTestCase {
+
+	/**
+	 * Create the service with a mocked analysis service.
+	 *
+	 * @param AIAnalysisService $analysis_service Analysis service mock.
+	 * @return AutoOrganizeService
+	 */
+	private function create_service( AIAnalysisService $analysis_service ): AutoOrganizeService {
+		$service    = new AutoOrganizeService();
+		$reflection = new \ReflectionProperty( AutoOrganizeService::class, 'analysis_service' );
+		$reflection->setValue( $service, $analysis_service );
+
+		return $service;
+	}
+
+	/**
+	 * Test uploads are not queued while the setting is off.
+	 */
+	public function test_queue_attachment_does_nothing_when_disabled(): void {
+		$this->stub_options(
+			[
+				'vmfa_ai_organizer_settings' => [ 'auto_organize' => false ],
+			]
+		);
+
+		Functions\expect( 'update_post_meta' )->never();
+		Functions\expect( 'as_schedule_single_action' )->never();
+
+		$service = new AutoOrganizeService();
+		$service->queue_attachment( 42 );
+	}
+
+	/**
+	 * Test uploads are not queued while no provider is configured.
+	 */
+	public function test_queue_attachment_does_nothing_without_provider(): void {
+		$this->stub_options(
+			[
+				'vmfa_ai_organizer_settings' => [ 'auto_organize' => true ],
+			]
+		);
+
+		Functions\expect( 'update_post_meta' )->never();
+		Functions\expect( 'as_schedule_single_action' )->never();
+
+		$analysis_service = Mockery::mock( AIAnalysisService::class );
+		$analysis_service->shouldReceive( 'is_provider_configured' )->once()->andReturn( false );
+
+		$this->create_service( $analysis_service )->queue_attachment( 42 );
+	}
+
+	/**
+	 * Test a result below the threshold is parked in the review queue.
+	 */
+	public function test_process_attachment_queues_low_confidence_result_for_review(): void {
+		$this->stub_options(
+			[
+				'vmfa_ai_organizer_settings' => [
+					'auto_organize'           => true,
+					'auto_organize_threshold' => 80,
+				],
+			]
+		);
+
+		Functions\when( 'get_post' )->justReturn( $this->create_mock_attachment( 42 ) );
+		Functions\when( 'wp_get_object_terms' )->justReturn( [] );
+		Functions\when( 'is_wp_error' )->justReturn( false );
+
+		$analysis_service = Mockery::mock( AIAnalysisService::class );
+		$analysis_service->shouldReceive( 'analyze_media' )->with( 42 )->andReturn(
+			[
+				'attachment_id'   => 42,
+				'action'          => 'assign',
+				'folder_id'       => 5,
+				'new_folder_path' => null,
+				'confidence'      => 0.6,
+				'reason'          => 'Probably a bird',
+			]
+		);
+		$analysis_service->shouldReceive( 'apply_result' )->never();
+
+		Functions\expect( 'update_option' )
+			->once()
+			->with(
+				'vmfa_review_queue_42',
+				Mockery::on(
+					function ( $item ) {
+						return 'upload' === $item['source']
+							&& 5 === $item['folder_id'];
+					}
+				),
+				false
+			)
+			->andReturn( true );
+
+		Functions\expect( 'update_post_meta' )
+			->once()
+			->with( 42, '_vmfa_auto_organize_status', 'review' );
+
+		$this->create_service( $analysis_service )->process_attachment( 42 );
+	}
+
+	/**
+	 * Test a confident result is applied right away.
+	 */
+	public function test_process_attachment_applies_confident_result(): void {
+		$this->stub_options(
+			[
+				'vmfa_ai_organizer_settings' => [
+					'auto_organize'           => true,
+					'auto_organize_threshold' => 80,
+				],
+			]
+		);
+
+		Functions\when( 'get_post' )->justReturn( $this->create_mock_attachment( 42 ) );
+		Functions\when( 'wp_get_object_terms' )->justReturn( [] );
+		Functions\when( 'is_wp_error' )->justReturn( false );
+
+		$result = [
+			'attachment_id'   => 42,
+			'action'          => 'create',
+			'folder_id'       => null,
+			'new_folder_path' => 'Nature/Birds',
+			'confidence'      => 0.92,
+			'reason'          => 'A sparrow',
+		];
+
+		$analysis_service = Mockery::mock( AIAnalysisService::class );
+		$analysis_service->shouldReceive( 'analyze_media' )->with( 42 )->andReturn( $result );
+		$analysis_service->shouldReceive( 'apply_result' )->once()->with( $result )->andReturn( true );
+
+		Functions\expect( 'update_option' )->never();
+		Functions\expect( 'update_post_meta' )
+			->once()
+			->with( 42, '_vmfa_auto_organize_status', 'applied' );
+
+		$this->create_service( $analysis_service )->process_attachment( 42 );
+	}
+}
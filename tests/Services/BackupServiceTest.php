@@ -104,4 +104,281 @@ class BackupServiceTest extends BrainMonkeyTestCase {
 
 		$this->assertInstanceOf( BackupService::class, $service );
 	}
+
+	/**
+	 * Test get_snapshots lists snapshots without their data.
+	 */
+	public function test_get_snapshots_returns_summaries(): void {
+		$this->stub_options(
+			[
+				'vmfo_reorganize_backup' => [
+					'snapshots' => [
+						[
+							'id'          => 'b2',
+							'label'       => 'Before applying scan',
+							'source'      => 'scan',
+							'scan_mode'   => 'reorganize_all',
+							'folders'     => [ [ 'term_id' => 1, 'name' => 'Photos' ] ],
+							'assignments' => [ [ 'object_id' => 10, 'term_id' => 1 ] ],
+							'timestamp'   => 200,
+							'version'     => '1.0.0',
+						],
+						[
+							'id'          => 'a1',
+							'label'       => 'Manual snapshot',
+							'source'      => 'manual',
+							'scan_mode'   => null,
+							'folders'     => [],
+							'assignments' => [],
+							'timestamp'   => 100,
+							'version'     => '1.0.0',
+						],
+					],
+				],
+			]
+		);
+
+		$service   = new BackupService();
+		$snapshots = $service->get_snapshots();
+
+		$this->assertSame( [ 'b2', 'a1' ], array_column( $snapshots, 'id' ) );
+		$this->assertSame( 'reorganize_all', $snapshots[0]['scan_mode'] );
+		$this->assertSame( 1, $snapshots[0]['assignment_count'] );
+		$this->assertArrayNotHasKey( 'folders', $snapshots[0] );
+		$this->assertSame( 200, $service->get_backup_info()['timestamp'] );
+	}
+
+	/**
+	 * Test a single-backup option from older versions is read as one snapshot.
+	 */
+	public function test_legacy_backup_is_listed_as_snapshot(): void {
+		$this->stub_options(
+			[
+				'vmfo_reorganize_backup' => [
+					'folders'     => [ [ 'term_id' => 1, 'name' => 'Photos' ] ],
+					'assignments' => [],
+					'timestamp'   => 100,
+				],
+			]
+		);
+
+		$service   = new BackupService();
+		$snapshots = $service->get_snapshots();
+
+		$this->assertCount( 1, $snapshots );
+		$this->assertSame( 'legacy', $snapshots[0]['id'] );
+		$this->assertSame( 1, $snapshots[0]['folder_count'] );
+		$this->assertNotNull( $service->get_snapshot( 'legacy' ) );
+	}
+
+	/**
+	 * Test delete_snapshot keeps the other snapshots.
+	 */
+	public function test_delete_snapshot_keeps_others(): void {
+		$this->stub_options(
+			[
+				'vmfo_reorganize_backup' => [
+					'snapshots' => [
+						[ 'id' => 'b2', 'folders' => [], 'assignments' => [] ],
+						[ 'id' => 'a1', 'folders' => [], 'assignments' => [] ],
+					],
+				],
+			]
+		);
+
+		Functions\expect( 'update_option' )
+			->once()
+			->with(
+				'vmfo_reorganize_backup',
+				[ 'snapshots' => [ [ 'id' => 'a1', 'folders' => [], 'assignments' => [] ] ] ],
+				false
+			)
+			->andReturn( true );
+
+		$service = new BackupService();
+
+		$this->assertTrue( $service->delete_snapshot( 'b2' ) );
+		$this->assertFalse( $service->delete_snapshot( 'missing' ) );
+	}
+
+	/**
+	 * Test restore reports an unknown snapshot.
+	 */
+	public function test_restore_unknown_snapshot_fails(): void {
+		$this->stub_options(
+			[
+				'vmfo_reorganize_backup' => [
+					'snapshots' => [
+						[ 'id' => 'a1', 'folders' => [], 'assignments' => [] ],
+					],
+				],
+			]
+		);
+
+		$service = new BackupService();
+		$result  = $service->restore( 'missing' );
+
+		$this->assertFalse( $result['success'] );
+		$this->assertSame( 'Snapshot not found.', $result['error'] );
+	}
+
+	/**
+	 * Test export_file returns null for an unknown snapshot.
+	 */
+	public function test_export_file_unknown_snapshot_returns_null(): void {
+		$this->stub_options( [ 'vmfo_reorganize_backup' => false ] );
+
+		$service = new BackupService();
+
+		$this->assertNull( $service->export_file( 'missing' ) );
+	}
+
+	/**
+	 * Test import_file rejects files that aren't backups or come from a newer version.
+	 */
+	public function test_import_file_validates_format_and_version(): void {
+		Functions\expect( 'update_option' )->never();
+
+		$service = new BackupService();
+
+		$result = $service->import_file( 'not json' );
+		$this->assertFalse( $result['success'] );
+		$this->assertSame( 'The backup file is not valid JSON.', $result['message'] );
+
+		$result = $service->import_file( '{"format":"other","version":1}' );
+		$this->assertFalse( $result['success'] );
+		$this->assertSame( 'This is not a VMFA backup file.', $result['message'] );
+
+		$result = $service->import_file( '{"format":"vmfa-backup","version":"1"}' );
+		$this->assertFalse( $result['success'] );
+		$this->assertSame( 'The backup file has no valid version.', $result['message'] );
+
+		$result = $service->import_file( '{"format":"vmfa-backup","version":99,"folders":[],"assignments":[]}' );
+		$this->assertFalse( $result['success'] );
+		$this->assertStringContainsString( 'newer version', $result['message'] );
+	}
+
+	/**
+	 * Test import_file rejects assignments to folders missing from the file.
+	 */
+	public function test_import_file_rejects_unknown_folder(): void {
+		Functions\expect( 'update_option' )->never();
+
+		$service = new BackupService();
+		$result  = $service->import_file(
+			(string) json_encode(
+				[
+					'format'      => 'vmfa-backup',
+					'version'     => 1,
+					'folders'     => [
+						[ 'term_id' => 1, 'name' => 'Photos', 'parent' => 0 ],
+					],
+					'assignments' => [
+						[ 'object_id' => 10, 'term_id' => 2, 'file' => '2024/01/a.jpg' ],
+					],
+				]
+			)
+		);
+
+		$this->assertFalse( $result['success'] );
+		$this->assertSame( 'The backup file contains an assignment to an unknown folder.', $result['message'] );
+	}
+
+	/**
+	 * Test get_diff returns null for an unknown snapshot.
+	 */
+	public function test_get_diff_unknown_snapshot_returns_null(): void {
+		$this->stub_options( [ 'vmfo_reorganize_backup' => false ] );
+
+		$service = new BackupService();
+
+		$this->assertNull( $service->get_diff( 'missing' ) );
+	}
+
+	/**
+	 * Test an uploaded snapshot is matched by path when its term IDs belong to unrelated live folders.
+	 */
+	public function test_get_diff_matches_uploaded_snapshot_by_path(): void {
+		$this->stub_options(
+			[
+				'vmfo_reorganize_backup' => [
+					'snapshots' => [
+						[
+							'id'          => 'u1',
+							'source'      => 'upload',
+							'folders'     => [
+								[ 'term_id' => 5, 'name' => 'Photos', 'slug' => 'photos', 'parent' => 0 ],
+								[ 'term_id' => 6, 'name' => 'Invoices', 'slug' => 'invoices', 'parent' => 0 ],
+							],
+							'assignments' => [],
+						],
+					],
+				],
+			]
+		);
+
+		// Live term 5 is an unrelated folder that happens to share the ID.
+		Functions\when( 'get_terms' )->justReturn(
+			[
+				(object) [ 'term_id' => 5, 'name' => 'Invoices', 'slug' => 'invoices', 'parent' => 0 ],
+			]
+		);
+		Functions\when( 'is_wp_error' )->justReturn( false );
+		Functions\when( 'get_term_meta' )->justReturn( '' );
+
+		if ( ! defined( 'ARRAY_A' ) ) {
+			define( 'ARRAY_A', 'ARRAY_A' );
+		}
+
+		$wpdb                     = Mockery::mock();
+		$wpdb->term_relationships = 'wp_term_relationships';
+		$wpdb->term_taxonomy      = 'wp_term_taxonomy';
+		$wpdb->shouldReceive( 'prepare' )->andReturn( '' );
+		$wpdb->shouldReceive( 'get_results' )->andReturn( [] );
+		$GLOBALS['wpdb'] = $wpdb;
+
+		$diff = ( new BackupService() )->get_diff( 'u1' );
+
+		$this->assertSame( [], $diff['folders']['renamed'] );
+		$this->assertSame( [], $diff['folders']['removed'] );
+		$this->assertSame(
+			[
+				[
+					'term_id' => 5,
+					'path'    => 'Photos',
+				],
+			],
+			$diff['folders']['added']
+		);
+	}
+
+	/**
+	 * Test a selective restore fails without touching folders when no selected folder is in the snapshot.
+	 */
+	public function test_restore_selected_folders_not_in_snapshot_fails(): void {
+		$this->stub_options(
+			[
+				'vmfo_reorganize_backup' => [
+					'snapshots' => [
+						[
+							'id'          => 'a1',
+							'folders'     => [
+								[ 'term_id' => 1, 'name' => 'Photos', 'slug' => 'photos', 'parent' => 0 ],
+							],
+							'assignments' => [],
+						],
+					],
+				],
+			]
+		);
+
+		Functions\expect( 'wp_insert_term' )->never();
+		Functions\expect( 'wp_delete_term' )->never();
+
+		$service = new BackupService();
+		$result  = $service->restore( 'a1', [ 99 ] );
+
+		$this->assertFalse( $result['success'] );
+		$this->assertSame( 'None of the selected folders are in this snapshot.', $result['error'] );
+	}
 }
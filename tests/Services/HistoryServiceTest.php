@@ -0,0 +1,210 @@
+<?php
+/**
+ * Tests for HistoryService.
+ *
+ * @package VmfaAiOrganizer
+ */
+
+declare( strict_types=1 );
+
+namespace VmfaAiOrganizer\Tests\Services;
+
+use VmfaAiOrganizer\Tests\BrainMonkeyTestCase;
+use VmfaAiOrganizer\Services\HistoryService;
+use Brain\Monkey\Functions;
+use Mockery;
+
+/**
+ * History Service test class.
+ */
+class HistoryServiceTest extends BrainMonkeyTestCase {
+
+	/**
+	 * Test record stores a run summary with the user name and result count.
+	 */
+	public function test_record_stores_run_summary(): void {
+		$this->stub_options(
+			[
+				'vmfa_scan_history'                => [
+					[ 'id' => 'run-1' ],
+				],
+				'vmfa_scan_history_results_run-2' => [
+					'chunks' => 1,
+					'count'  => 2,
+				],
+			]
+		);
+
+		Functions\when( 'get_userdata' )->justReturn( (object) [ 'display_name' => 'Editor' ] );
+
+		Functions\expect( 'update_option' )
+			->once()
+			->with(
+				'vmfa_scan_history',
+				Mockery::on(
+					function ( $runs ) {
+						return 2 === count( $runs )
+							&& 'run-2' === $runs[0]['id']
+							&& 'Editor' === $runs[0]['user_name']
+							&& 'openai' === $runs[0]['provider']
+							&& true === $runs[0]['dry_run']
+							&& 2 === $runs[0]['result_count']
+							&& 1760000100 === $runs[0]['completed_at']
+							&& 'run-1' === $runs[1]['id'];
+					}
+				),
+				false
+			)
+			->andReturn( true );
+
+		$service = new HistoryService();
+		$service->record(
+			[
+				'run_id'       => 'run-2',
+				'status'       => 'completed',
+				'mode'         => 'organize_unassigned',
+				'dry_run'      => true,
+				'provider'     => 'openai',
+				'model'        => 'gpt-4o-mini',
+				'started_by'   => 3,
+				'started_at'   => 1760000000,
+				'completed_at' => 1760000100,
+				'processed'    => 2,
+			]
+		);
+	}
+
+	/**
+	 * Test append_results stores each batch as a new chunk.
+	 */
+	public function test_append_results_adds_a_chunk(): void {
+		$this->stub_options(
+			[
+				'vmfa_scan_history_results_run-1' => [
+					'chunks' => 1,
+					'count'  => 3,
+				],
+			]
+		);
+
+		Functions\expect( 'update_option' )
+			->once()
+			->with( 'vmfa_scan_history_results_run-1_1', [ [ 'attachment_id' => 4 ], [ 'attachment_id' => 5 ] ], false )
+			->andReturn( true );
+		Functions\expect( 'update_option' )
+			->once()
+			->with(
+				'vmfa_scan_history_results_run-1',
+				[
+					'chunks' => 2,
+					'count'  => 5,
+				],
+				false
+			)
+			->andReturn( true );
+
+		$service = new HistoryService();
+		$service->append_results( 'run-1', [ 3 => [ 'attachment_id' => 4 ], 7 => [ 'attachment_id' => 5 ] ] );
+	}
+
+	/**
+	 * Test record drops runs beyond the limit together with their results and orphaned results.
+	 */
+	public function test_record_prunes_old_runs(): void {
+		$stored = [];
+		for ( $i = 50; $i >= 1; $i-- ) {
+			$stored[] = [ 'id' => 'run-' . $i ];
+		}
+
+		$this->stub_options( [ 'vmfa_scan_history' => $stored ] );
+
+		$wpdb          = Mockery::mock();
+		$wpdb->options = 'wp_options';
+		$wpdb->shouldReceive( 'esc_like' )->andReturnUsing( static fn( $text ) => $text );
+		$wpdb->shouldReceive( 'prepare' )->andReturn( '' );
+		$wpdb->shouldReceive( 'get_col' )->andReturn(
+			[
+				'vmfa_scan_history_results_run-1',
+				'vmfa_scan_history_results_run-1_0',
+				'vmfa_scan_history_results_run-2',
+				'vmfa_scan_history_results_run-2_0',
+				'vmfa_scan_history_results_reset-run',
+				'vmfa_scan_history_results_reset-run_0',
+			]
+		);
+		$GLOBALS['wpdb'] = $wpdb;
+
+		$deleted = [];
+		Functions\when( 'delete_option' )->alias(
+			static function ( $name ) use ( &$deleted ) {
+				$deleted[] = $name;
+				return true;
+			}
+		);
+		Functions\expect( 'update_option' )
+			->once()
+			->with(
+				'vmfa_scan_history',
+				Mockery::on(
+					function ( $runs ) {
+						return 50 === count( $runs )
+							&& 'run-51' === $runs[0]['id']
+							&& 'run-2' === $runs[49]['id'];
+					}
+				),
+				false
+			)
+			->andReturn( true );
+
+		$service = new HistoryService();
+		$service->record(
+			[
+				'run_id' => 'run-51',
+				'status' => 'completed',
+			]
+		);
+
+		$this->assertSame(
+			[
+				'vmfa_scan_history_results_run-1',
+				'vmfa_scan_history_results_run-1_0',
+				'vmfa_scan_history_results_reset-run',
+				'vmfa_scan_history_results_reset-run_0',
+			],
+			$deleted
+		);
+	}
+
+	/**
+	 * Test get_results pages through a run's results.
+	 */
+	public function test_get_results_returns_requested_page(): void {
+		$this->stub_options(
+			[
+				'vmfa_scan_history_results_run-1'   => [
+					'chunks' => 2,
+					'count'  => 5,
+				],
+				'vmfa_scan_history_results_run-1_0' => [
+					[ 'attachment_id' => 1 ],
+					[ 'attachment_id' => 2 ],
+					[ 'attachment_id' => 3 ],
+				],
+				'vmfa_scan_history_results_run-1_1' => [
+					[ 'attachment_id' => 4 ],
+					[ 'attachment_id' => 5 ],
+				],
+			]
+		);
+
+		$service = new HistoryService();
+		$page    = $service->get_results( 'run-1', 3, 2 );
+
+		$this->assertSame( [ [ 'attachment_id' => 5 ] ], $page['results'] );
+		$this->assertSame( 5, $page['total'] );
+		$this->assertSame( 3, $page['pages'] );
+		$this->assertSame( 3, $page['page'] );
+
+		$this->assertSame( 0, $service->get_results( 'missing' )['total'] );
+	}
+}
@@ -13,6 +13,9 @@ use VmfaAiOrganizer\Tests\BrainMonkeyTestCase;
 use VmfaAiOrganizer\Services\MediaScannerService;
 use VmfaAiOrganizer\Services\AIAnalysisService;
 use VmfaAiOrganizer\Services\BackupService;
+use VmfaAiOrganizer\Services\HistoryService;
+use VmfaAiOrganizer\Services\UndoService;
+use Brain\Monkey\Actions;
 use Brain\Monkey\Functions;
 use Mockery;
 
@@ -53,4 +56,446 @@ class MediaScannerServiceTest extends BrainMonkeyTestCase {
 		$this->assertFalse( $result['success'] );
 		$this->assertArrayHasKey( 'message', $result );
 	}
+
+	/**
+	 * Test query_cached_results filters, sorts and paginates the dry-run cache.
+	 */
+	public function test_query_cached_results_filters_sorts_and_paginates(): void {
+		$this->stub_options(
+			[
+				'vmfa_scan_dryrun_cache' => [
+					[ 'attachment_id' => 1, 'filename' => 'b.jpg', 'action' => 'assign', 'folder_name' => 'Birds', 'confidence' => 0.9, 'reason' => 'Sparrow' ],
+					[ 'attachment_id' => 2, 'filename' => 'a.jpg', 'action' => 'create', 'new_folder_path' => 'Nature/Landscapes', 'confidence' => 0.6, 'reason' => 'Mountain' ],
+					[ 'attachment_id' => 3, 'filename' => 'c.jpg', 'action' => 'skip', 'confidence' => 0.2, 'reason' => 'Unclear' ],
+					[ 'attachment_id' => 4, 'filename' => 'd.jpg', 'action' => 'assign', 'folder_name' => 'Birds', 'confidence' => 0.85, 'reason' => 'Robin' ],
+				],
+			]
+		);
+
+		$service = new MediaScannerService();
+
+		$page = $service->query_cached_results(
+			[
+				'orderby'  => 'confidence',
+				'order'    => 'desc',
+				'per_page' => 2,
+				'page'     => 2,
+			]
+		);
+
+		$this->assertSame( 4, $page['total'] );
+		$this->assertSame( 2, $page['pages'] );
+		$this->assertSame( [ 2, 3 ], array_column( $page['results'], 'attachment_id' ) );
+
+		$filtered = $service->query_cached_results(
+			[
+				'action'     => 'assign',
+				'confidence' => 'high',
+				'search'     => 'robin',
+			]
+		);
+
+		$this->assertSame( [ 4 ], array_column( $filtered['results'], 'attachment_id' ) );
+	}
+
+	/**
+	 * Test get_cached_results_summary counts actions and lists new folders.
+	 */
+	public function test_get_cached_results_summary(): void {
+		$this->stub_options(
+			[
+				'vmfa_scan_dryrun_cache' => [
+					[ 'attachment_id' => 1, 'action' => 'assign', 'folder_id' => 5 ],
+					[ 'attachment_id' => 2, 'action' => 'create', 'new_folder_path' => 'Travel' ],
+					[ 'attachment_id' => 3, 'action' => 'create', 'new_folder_path' => 'Nature' ],
+					[ 'attachment_id' => 4, 'action' => 'create', 'new_folder_path' => 'Travel' ],
+					[ 'attachment_id' => 5, 'action' => 'skip' ],
+				],
+			]
+		);
+
+		$summary = ( new MediaScannerService() )->get_cached_results_summary();
+
+		$this->assertSame( 1, $summary['assign'] );
+		$this->assertSame( 3, $summary['create'] );
+		$this->assertSame( 1, $summary['skip'] );
+		$this->assertSame( [ 'Nature', 'Travel' ], $summary['new_folders'] );
+	}
+
+	/**
+	 * Test get_cached_results_tree nests new folders under existing ones and totals counts.
+	 */
+	public function test_get_cached_results_tree(): void {
+		$this->stub_options(
+			[
+				'vmfa_scan_progress'     => [ 'mode' => 'organize_unassigned' ],
+				'vmfa_scan_dryrun_cache' => [
+					[ 'attachment_id' => 1, 'action' => 'assign', 'folder_id' => 5, 'folder_name' => 'Nature' ],
+					[ 'attachment_id' => 2, 'action' => 'create', 'new_folder_path' => 'Nature/Landscapes' ],
+					[ 'attachment_id' => 3, 'action' => 'create', 'new_folder_path' => 'Nature/Landscapes' ],
+					[ 'attachment_id' => 4, 'action' => 'skip' ],
+				],
+			]
+		);
+
+		$analysis_service = Mockery::mock( AIAnalysisService::class );
+		$analysis_service->shouldReceive( 'get_folder_paths' )->andReturn( [ 'Nature' => 5 ] );
+
+		$service    = new MediaScannerService();
+		$reflection = new \ReflectionProperty( MediaScannerService::class, 'analysis_service' );
+		$reflection->setValue( $service, $analysis_service );
+
+		$tree = $service->get_cached_results_tree();
+
+		$this->assertCount( 1, $tree );
+		$this->assertSame( 'Nature', $tree[0]['path'] );
+		$this->assertFalse( $tree[0]['is_new'] );
+		$this->assertSame( 1, $tree[0]['count'] );
+		$this->assertSame( 3, $tree[0]['total'] );
+		$this->assertSame( 'Nature/Landscapes', $tree[0]['children'][0]['path'] );
+		$this->assertTrue( $tree[0]['children'][0]['is_new'] );
+		$this->assertSame( 2, $tree[0]['children'][0]['count'] );
+	}
+
+	/**
+	 * Test merge_cached_folders rewrites proposed folders and their subfolders.
+	 */
+	public function test_merge_cached_folders_rewrites_cached_results(): void {
+		$this->stub_options(
+			[
+				'vmfa_scan_dryrun_cache' => [
+					[ 'attachment_id' => 1, 'action' => 'create', 'new_folder_path' => 'Scenery', 'folder_name' => 'Scenery' ],
+					[ 'attachment_id' => 2, 'action' => 'create', 'new_folder_path' => 'Scenery/Mountains', 'folder_name' => 'Scenery/Mountains' ],
+					[ 'attachment_id' => 3, 'action' => 'create', 'new_folder_path' => 'Landscapes', 'folder_name' => 'Landscapes' ],
+					[ 'attachment_id' => 4, 'action' => 'create', 'new_folder_path' => 'Travel', 'folder_name' => 'Travel' ],
+				],
+			]
+		);
+
+		$analysis_service = Mockery::mock( AIAnalysisService::class );
+		$analysis_service->shouldReceive( 'get_folder_paths' )->andReturn( [ 'Nature' => 7 ] );
+
+		$service    = new MediaScannerService();
+		$reflection = new \ReflectionProperty( MediaScannerService::class, 'analysis_service' );
+		$reflection->setValue( $service, $analysis_service );
+
+		$saved = null;
+		Functions\expect( 'update_option' )
+			->once()
+			->with( 'vmfa_scan_dryrun_cache', Mockery::capture( $saved ), false )
+			->andReturn( true );
+
+		$result = $service->merge_cached_folders( [ 'Scenery', 'Landscapes' ], '', 7 );
+
+		$this->assertTrue( $result['success'] );
+		$this->assertSame( 3, $result['updated'] );
+		$this->assertSame( 'assign', $saved[0]['action'] );
+		$this->assertSame( 7, $saved[0]['folder_id'] );
+		$this->assertSame( 'create', $saved[1]['action'] );
+		$this->assertSame( 'Nature/Mountains', $saved[1]['new_folder_path'] );
+		$this->assertSame( 7, $saved[2]['folder_id'] );
+		$this->assertSame( 'Travel', $saved[3]['new_folder_path'] );
+	}
+
+	/**
+	 * Test export_cached_results writes every cached result as CSV and JSON.
+	 */
+	public function test_export_cached_results(): void {
+		$this->stub_options(
+			[
+				'vmfa_scan_dryrun_cache' => [
+					[ 'attachment_id' => 1, 'filename' => 'sparrow.jpg', 'action' => 'assign', 'folder_id' => 3, 'folder_name' => 'Birds', 'confidence' => 0.9, 'reason' => 'A sparrow, perched' ],
+					[ 'attachment_id' => 2, 'filename' => 'sum.png', 'action' => 'create', 'new_folder_path' => 'Docs/Sheets', 'confidence' => 0.6, 'reason' => '=SUM(A1)' ],
+				],
+			]
+		);
+
+		Functions\when( 'wp_get_attachment_url' )->alias(
+			static fn( int $id ): string => 'https://example.com/uploads/' . $id . '.jpg'
+		);
+
+		$analysis_service = Mockery::mock( AIAnalysisService::class );
+		$analysis_service->shouldReceive( 'get_folder_paths' )->andReturn( [ 'Animals/Birds' => 3 ] );
+
+		$service    = new MediaScannerService();
+		$reflection = new \ReflectionProperty( MediaScannerService::class, 'analysis_service' );
+		$reflection->setValue( $service, $analysis_service );
+
+		$lines = explode( "\n", trim( $service->export_cached_results( 'csv' ) ) );
+
+		$this->assertCount( 3, $lines );
+		$this->assertSame( 'attachment_id,filename,url,action,folder_path,confidence,reason', $lines[0] );
+		$this->assertSame( '1,sparrow.jpg,https://example.com/uploads/1.jpg,assign,Animals/Birds,0.9,"A sparrow, perched"', $lines[1] );
+		$this->assertStringEndsWith( ",Docs/Sheets,0.6,'=SUM(A1)", $lines[2] );
+
+		$json = json_decode( $service->export_cached_results( 'json' ), true );
+
+		$this->assertSame( 'Docs/Sheets', $json[1]['folder_path'] );
+		$this->assertSame( '=SUM(A1)', $json[1]['reason'] );
+		$this->assertSame( '', $service->export_cached_results( 'xml' ) );
+	}
+
+	/**
+	 * Test import_results validates rows and stores them as a completed preview.
+	 */
+	public function test_import_results_builds_dry_run_cache(): void {
+		$this->stub_options( [] );
+
+		Functions\when( 'get_post_type' )->alias(
+			static fn( int $id ): string => in_array( $id, [ 1, 2, 3 ], true ) ? 'attachment' : 'post'
+		);
+		Functions\when( 'get_attached_file' )->alias(
+			static fn( int $id ): string => '/uploads/' . $id . '.jpg'
+		);
+		Functions\when( 'delete_option' )->justReturn( true );
+		Functions\when( 'wp_generate_uuid4' )->justReturn( 'run-1' );
+
+		$saved = [];
+		Functions\when( 'update_option' )->alias(
+			static function ( $name, $value ) use ( &$saved ) {
+				$saved[ $name ] = $value;
+				return true;
+			}
+		);
+
+		$analysis_service = Mockery::mock( AIAnalysisService::class );
+		$analysis_service->shouldReceive( 'get_folder_paths' )->andReturn( [ 'Animals/Birds' => 3 ] );
+		$analysis_service->shouldReceive( 'sanitize_folder_path' )->andReturnUsing(
+			static fn( string $path ): string => trim( $path, '/ ' )
+		);
+		$analysis_service->shouldReceive( 'get_thumbnail_url' )->andReturn( '' );
+
+		$service    = new MediaScannerService();
+		$reflection = new \ReflectionProperty( MediaScannerService::class, 'analysis_service' );
+		$reflection->setValue( $service, $analysis_service );
+
+		$csv = "attachment_id,folder_path,reason\n"
+			. "1,Animals/Birds,Checked\n"
+			. "2,/Nature/Trees/,\n"
+			. "3,,\n"
+			. "9,Animals/Birds,\n"
+			. "1,Nature,\n";
+
+		$result = $service->import_results( $csv, 'csv' );
+
+		$this->assertTrue( $result['success'] );
+		$this->assertSame( 3, $result['imported'] );
+		$this->assertCount( 2, $result['errors'] );
+		$this->assertStringStartsWith( 'Row 4:', $result['errors'][0] );
+		$this->assertStringStartsWith( 'Row 5:', $result['errors'][1] );
+
+		$cache = $saved['vmfa_scan_dryrun_cache'];
+		$this->assertSame( [ 'assign', 'create', 'skip' ], array_column( $cache, 'action' ) );
+		$this->assertSame( 3, $cache[0]['folder_id'] );
+		$this->assertSame( 'Checked', $cache[0]['reason'] );
+		$this->assertSame( 'Nature/Trees', $cache[1]['new_folder_path'] );
+		$this->assertSame( '2.jpg', $cache[1]['filename'] );
+
+		$this->assertSame( 'completed', $saved['vmfa_scan_progress']['status'] );
+		$this->assertSame( 'import', $saved['vmfa_scan_progress']['source'] );
+		$this->assertTrue( $saved['vmfa_scan_progress']['dry_run'] );
+	}
+
+	/**
+	 * Test import_results rejects files without the required columns.
+	 */
+	public function test_import_results_rejects_unknown_columns(): void {
+		$this->stub_options( [] );
+
+		$analysis_service = Mockery::mock( AIAnalysisService::class );
+		$analysis_service->shouldReceive( 'get_folder_paths' )->never();
+
+		$service    = new MediaScannerService();
+		$reflection = new \ReflectionProperty( MediaScannerService::class, 'analysis_service' );
+		$reflection->setValue( $service, $analysis_service );
+
+		$result = $service->import_results( "id,folder\n1,Birds\n", 'csv' );
+
+		$this->assertFalse( $result['success'] );
+	}
+
+	/**
+	 * Test count_scan_items limits Organize Unassigned to unassigned media within the scope.
+	 */
+	public function test_count_scan_items_intersects_scope_with_mode(): void {
+		$this->stub_options( [] );
+
+		$analysis_service = Mockery::mock( AIAnalysisService::class );
+		$analysis_service->shouldReceive( 'get_scoped_media_ids' )
+			->once()
+			->with(
+				[
+					'date_from' => '2025-09-01',
+					'mime_type' => 'image/png',
+					'author'    => 2,
+				]
+			)
+			->andReturn( [ 3, 4, 8 ] );
+		$analysis_service->shouldReceive( 'get_unassigned_media_ids' )->once()->andReturn( [ 1, 4, 8, 9 ] );
+
+		$service    = new MediaScannerService();
+		$reflection = new \ReflectionProperty( MediaScannerService::class, 'analysis_service' );
+		$reflection->setValue( $service, $analysis_service );
+
+		$result = $service->count_scan_items(
+			'organize_unassigned',
+			[
+				'date_from' => '2025-09-01',
+				'date_to'   => '',
+				'mime_type' => 'image/png',
+				'author'    => '2',
+				'folder'    => 0,
+			]
+		);
+
+		$this->assertTrue( $result['success'] );
+		$this->assertSame( 2, $result['count'] );
+	}
+
+	/**
+	 * Test scope filters are rejected for Reorganize All and for bad dates.
+	 */
+	public function test_count_scan_items_rejects_invalid_scope(): void {
+		$this->stub_options( [] );
+
+		$analysis_service = Mockery::mock( AIAnalysisService::class );
+		$analysis_service->shouldReceive( 'get_scoped_media_ids' )->never();
+
+		$service    = new MediaScannerService();
+		$reflection = new \ReflectionProperty( MediaScannerService::class, 'analysis_service' );
+		$reflection->setValue( $service, $analysis_service );
+
+		$result = $service->count_scan_items( 'reorganize_all', [ 'folder' => 7 ] );
+		$this->assertFalse( $result['success'] );
+		$this->assertStringContainsString( 'Reorganize All', $result['message'] );
+
+		$result = $service->count_scan_items(
+			'reanalyze_all',
+			[
+				'date_from' => '2025-10-01',
+				'date_to'   => '2025-09-01',
+			]
+		);
+		$this->assertFalse( $result['success'] );
+		$this->assertSame( 'The scope start date is after its end date.', $result['message'] );
+	}
+
+	/**
+	 * Test get_status returns only the results after a cursor from the same run.
+	 */
+	public function test_get_status_returns_results_after_cursor(): void {
+		$this->stub_options(
+			[
+				'vmfa_scan_progress' => [
+					'status'       => 'running',
+					'run_id'       => 'run-1',
+					'total'        => 300,
+					'processed'    => 150,
+					'result_count' => 150,
+					'results'      => array_map(
+						static fn( int $id ): array => [ 'attachment_id' => $id ],
+						range( 51, 150 )
+					),
+				],
+			]
+		);
+
+		$service = new MediaScannerService();
+
+		$delta = $service->get_status( 148, 'run-1' );
+		$this->assertTrue( $delta['partial'] );
+		$this->assertSame( 150, $delta['cursor'] );
+		$this->assertSame( [ 149, 150 ], array_column( $delta['results'], 'attachment_id' ) );
+
+		$unchanged = $service->get_status( 150, 'run-1' );
+		$this->assertTrue( $unchanged['partial'] );
+		$this->assertSame( [], $unchanged['results'] );
+
+		// Cursors older than the kept results, or from another run, get everything.
+		$this->assertFalse( $service->get_status( 20, 'run-1' )['partial'] );
+		$this->assertCount( 100, $service->get_status( 148, 'run-0' )['results'] );
+		$this->assertCount( 100, $service->get_status()['results'] );
+	}
+
+	/**
+	 * Test applying cached results reports the apply run, so notifications go out.
+	 */
+	public function test_apply_cached_results_reports_the_apply_run(): void {
+		$options = [
+			'vmfa_scan_dryrun_cache' => [
+				[
+					'attachment_id' => 42,
+					'action'        => 'assign',
+					'folder_id'     => 3,
+				],
+			],
+			'vmfa_scan_progress'     => [
+				'status'   => 'completed',
+				'dry_run'  => true,
+				'provider' => 'openai',
+				'model'    => 'gpt-4o-mini',
+			],
+		];
+
+		Functions\when( 'get_option' )->alias(
+			static function ( $name, $default = false ) use ( &$options ) {
+				return $options[ $name ] ?? $default;
+			}
+		);
+		Functions\when( 'update_option' )->alias(
+			static function ( $name, $value ) use ( &$options ) {
+				$options[ $name ] = $value;
+				return true;
+			}
+		);
+		Functions\when( 'delete_option' )->justReturn( true );
+		Functions\when( 'wp_generate_uuid4' )->justReturn( 'run-1' );
+		Functions\when( 'get_current_user_id' )->justReturn( 1 );
+
+		$analysis_service = Mockery::mock( AIAnalysisService::class );
+		$analysis_service->shouldReceive( 'apply_result' )->once()->andReturn( true );
+
+		$backup_service = Mockery::mock( BackupService::class );
+		$backup_service->shouldReceive( 'export' )->once();
+
+		$undo_service = Mockery::mock( UndoService::class );
+		$undo_service->shouldReceive( 'get_folder_ids' )->andReturn( [] );
+		$undo_service->shouldReceive( 'get_attachment_folders' )->andReturn( [] );
+		$undo_service->shouldReceive( 'record_run' )->once();
+
+		$history_service = Mockery::mock( HistoryService::class );
+		$history_service->shouldReceive( 'append_results' )->once();
+		$history_service->shouldReceive( 'record' )->once();
+
+		$service = new MediaScannerService();
+		foreach ( [
+			'analysis_service' => $analysis_service,
+			'backup_service'   => $backup_service,
+			'undo_service'     => $undo_service,
+			'history_service'  => $history_service,
+		] as $property => $mock ) {
+			$reflection = new \ReflectionProperty( MediaScannerService::class, $property );
+			$reflection->setValue( $service, $mock );
+		}
+
+		Actions\expectDone( 'vmfa_scan_completed' )->never();
+		Actions\expectDone( 'vmfa_cached_results_applied' )
+			->once()
+			->with(
+				1,
+				0,
+				Mockery::on(
+					function ( $progress ) {
+						return 'run-1' === $progress['run_id']
+							&& 'completed' === $progress['status']
+							&& false === $progress['dry_run']
+							&& 1 === $progress['applied'];
+					}
+				)
+			);
+
+		$result = $service->apply_cached_results( 'organize_unassigned' );
+
+		$this->assertTrue( $result['success'] );
+	}
 }
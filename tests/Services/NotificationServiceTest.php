@@ -0,0 +1,162 @@
+<?php
+/**
+ * Tests for NotificationService.
+ *
+ * @package VmfaAiOrganizer
+ */
+
+declare( strict_types=1 );
+
+namespace VmfaAiOrganizer\Tests\Services;
+
+use VmfaAiOrganizer\Tests\BrainMonkeyTestCase;
+use VmfaAiOrganizer\Services\NotificationService;
+use Brain\Monkey\Functions;
+use Mockery;
+
+/**
+ * Notification Service test class.
+ */
+class NotificationServiceTest extends BrainMonkeyTestCase {
+
+	/**
+	 * Get a summary of a failed live scan.
+	 *
+	 * @return array<string, mixed>
+	 */
+	private function get_failed_payload(): array {
+		return [
+			'event'        => 'scan.failed',
+			'site'         => 'https://example.com',
+			'run_id'       => 'run-1',
+			'mode'         => 'organize_unassigned',
+			'dry_run'      => false,
+			'status'       => 'failed',
+			'total'        => 500,
+			'processed'    => 120,
+			'applied'      => 0,
+			'failed'       => 0,
+			'held'         => 3,
+			'new_folders'  => [ 'Animals/Birds' ],
+			'error'        => 'Scan failed: Rate limit exceeded',
+			'schedule_id'  => '',
+			'started_at'   => 1759280400,
+			'completed_at' => 1759284000,
+			'results_url'  => 'https://example.com/wp-admin/upload.php?page=vmfa-ai-organizer',
+		];
+	}
+
+	/**
+	 * Test nothing is sent while notifications are off.
+	 */
+	public function test_notify_does_nothing_without_settings(): void {
+		$this->stub_options( [] );
+
+		Functions\expect( 'wp_mail' )->never();
+		Functions\expect( 'wp_safe_remote_post' )->never();
+
+		$service = new NotificationService();
+		$service->notify( [ 'status' => 'completed' ] );
+	}
+
+	/**
+	 * Test the failure email goes to the site admin when no recipients are set.
+	 */
+	public function test_send_email_falls_back_to_admin_email(): void {
+		$this->stub_options(
+			[
+				'admin_email'                => 'admin@example.com',
+				'vmfa_ai_organizer_settings' => [ 'notify_email' => true ],
+			]
+		);
+
+		Functions\when( 'get_bloginfo' )->justReturn( 'My Site' );
+		Functions\when( 'wp_specialchars_decode' )->returnArg();
+		Functions\when( 'is_email' )->justReturn( false );
+		Functions\expect( 'wp_mail' )
+			->once()
+			->with(
+				[ 'admin@example.com' ],
+				'[My Site] Media scan failed',
+				Mockery::on(
+					function ( $body ) {
+						return str_contains( $body, 'Scan failed: Rate limit exceeded' )
+							&& str_contains( $body, 'Processed: 120 of 500' )
+							&& str_contains( $body, '  - Animals/Birds' );
+					}
+				)
+			)
+			->andReturn( true );
+
+		$service = new NotificationService();
+
+		$this->assertTrue( $service->send_email( $this->get_failed_payload() ) );
+	}
+
+	/**
+	 * Test the webhook receives the summary as JSON without waiting for an answer.
+	 */
+	public function test_send_webhook_posts_json_payload(): void {
+		$this->stub_options(
+			[
+				'vmfa_ai_organizer_settings' => [ 'notify_webhook_url' => 'https://hooks.example.com/scan' ],
+			]
+		);
+
+		Functions\when( 'is_wp_error' )->justReturn( false );
+		Functions\expect( 'wp_safe_remote_post' )
+			->once()
+			->with(
+				'https://hooks.example.com/scan',
+				Mockery::on(
+					function ( $args ) {
+						$body = json_decode( $args['body'], true );
+
+						return 'application/json' === $args['headers']['Content-Type']
+							&& false === $args['blocking']
+							&& 'scan.failed' === $body['event']
+							&& 3 === $body['held'];
+					}
+				)
+			)
+			->andReturn( [ 'response' => [ 'code' => false ] ] );
+
+		$service = new NotificationService();
+
+		$this->assertTrue( $service->send_webhook( $this->get_failed_payload() ) );
+	}
+
+	/**
+	 * Test applied preview results are notified with the apply run's progress.
+	 */
+	public function test_notify_applied_sends_apply_run_summary(): void {
+		$this->stub_options(
+			[
+				'vmfa_ai_organizer_settings' => [ 'notify_webhook_url' => 'https://hooks.example.com/scan' ],
+			]
+		);
+
+		$service = Mockery::mock( NotificationService::class )->makePartial();
+		$service->shouldReceive( 'build_payload' )
+			->once()
+			->with(
+				[
+					'run_id'  => 'run-2',
+					'status'  => 'completed',
+					'dry_run' => false,
+				]
+			)
+			->andReturn( $this->get_failed_payload() );
+		$service->shouldReceive( 'send_webhook' )->once()->andReturn( true );
+
+		$service->notify_applied(
+			4,
+			1,
+			[
+				'run_id'  => 'run-2',
+				'status'  => 'completed',
+				'dry_run' => false,
+			]
+		);
+	}
+}
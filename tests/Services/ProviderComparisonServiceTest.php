@@ -0,0 +1,86 @@
+<?php
+/**
+ * Tests for ProviderComparisonService.
+ *
+ * @package VmfaAiOrganizer
+ */
+
+declare( strict_types=1 );
+
+namespace VmfaAiOrganizer\Tests\Services;
+
+use VmfaAiOrganizer\Tests\BrainMonkeyTestCase;
+use VmfaAiOrganizer\Services\AIAnalysisService;
+use VmfaAiOrganizer\Services\ProviderComparisonService;
+use Brain\Monkey\Functions;
+
+/**
+ * Provider Comparison Service test class.
+ */
+class ProviderComparisonServiceTest extends BrainMonkeyTestCase {
+
+	/**
+	 * Create a service whose analysis service returns fixed data.
+	 *
+	 * @return ProviderComparisonService
+	 */
+	private function make_service(): ProviderComparisonService {
+		$analysis = new class() extends AIAnalysisService {
+			public function __construct() {
+			}
+
+			public function get_media_metadata( int $attachment_id ): array {
+				return [ 'filename' => 'beach.jpg' ];
+			}
+
+			public function get_folder_paths( bool $refresh = false ): array {
+				return [ 'Nature' => 5 ];
+			}
+
+			public function get_image_data( int $attachment_id ): ?array {
+				return null;
+			}
+		};
+
+		$service  = new ProviderComparisonService();
+		$property = new \ReflectionProperty( ProviderComparisonService::class, 'analysis_service' );
+		$property->setAccessible( true );
+		$property->setValue( $service, $analysis );
+
+		return $service;
+	}
+
+	/**
+	 * Test a comparison needs two different providers.
+	 */
+	public function test_compare_requires_two_providers(): void {
+		$this->stub_options( [] );
+
+		Functions\when( 'get_post' )->justReturn( $this->create_mock_attachment( 10, 'beach.jpg' ) );
+		Functions\when( 'wp_attachment_is_image' )->justReturn( true );
+
+		$result = $this->make_service()->compare( 10, [ 'openai', 'openai' ] );
+
+		$this->assertFalse( $result['success'] );
+		$this->assertSame( 'Choose at least two providers to compare.', $result['message'] );
+	}
+
+	/**
+	 * Test unconfigured providers get a row with an error instead of a request.
+	 */
+	public function test_compare_reports_unconfigured_providers(): void {
+		$this->stub_options( [ 'vmfa_ai_organizer_settings' => [] ] );
+
+		Functions\when( 'get_post' )->justReturn( $this->create_mock_attachment( 10, 'beach.jpg' ) );
+		Functions\when( 'wp_attachment_is_image' )->justReturn( true );
+		Functions\expect( 'wp_remote_post' )->never();
+
+		$result = $this->make_service()->compare( 10, [ 'openai', 'anthropic' ] );
+
+		$this->assertTrue( $result['success'] );
+		$this->assertSame( 'beach.jpg', $result['filename'] );
+		$this->assertSame( [ 'openai', 'anthropic' ], array_column( $result['results'], 'provider' ) );
+		$this->assertSame( 'Provider is not configured.', $result['results'][0]['error'] );
+		$this->assertSame( 'skip', $result['results'][1]['action'] );
+	}
+}
@@ -0,0 +1,57 @@
+<?php
+/**
+ * Tests for ProviderTestService.
+ *
+ * @package VmfaAiOrganizer
+ */
+
+declare( strict_types=1 );
+
+namespace VmfaAiOrganizer\Tests\Services;
+
+use VmfaAiOrganizer\Tests\BrainMonkeyTestCase;
+use VmfaAiOrganizer\Services\ProviderTestService;
+use Brain\Monkey\Functions;
+
+/**
+ * Provider Test Service test class.
+ */
+class ProviderTestServiceTest extends BrainMonkeyTestCase {
+
+	/**
+	 * Test an unknown provider is rejected.
+	 */
+	public function test_test_rejects_unknown_provider(): void {
+		$this->stub_options( [] );
+
+		$service = new ProviderTestService();
+		$result  = $service->test( 'nonexistent' );
+
+		$this->assertFalse( $result['success'] );
+		$this->assertSame( 'Unknown AI provider.', $result['message'] );
+		$this->assertArrayNotHasKey( 'latency_ms', $result );
+	}
+
+	/**
+	 * Test the configured provider is used and no request is sent without an API key.
+	 */
+	public function test_test_skips_unconfigured_provider(): void {
+		$this->stub_options(
+			[
+				'vmfa_ai_organizer_settings' => [
+					'ai_provider'   => 'anthropic',
+					'anthropic_key' => '',
+				],
+			]
+		);
+
+		Functions\expect( 'wp_remote_post' )->never();
+
+		$service = new ProviderTestService();
+		$result  = $service->test();
+
+		$this->assertFalse( $result['success'] );
+		$this->assertStringContainsString( 'is not configured', $result['message'] );
+		$this->assertArrayNotHasKey( 'latency_ms', $result );
+	}
+}
@@ -0,0 +1,157 @@
+<?php
+/**
+ * Tests for ReviewQueueService.
+ *
+ * @package VmfaAiOrganizer
+ */
+
+declare( strict_types=1 );
+
+namespace VmfaAiOrganizer\Tests\Services;
+
+use VmfaAiOrganizer\Tests\BrainMonkeyTestCase;
+use VmfaAiOrganizer\Services\ReviewQueueService;
+use VmfaAiOrganizer\Services\AIAnalysisService;
+use Brain\Monkey\Actions;
+use Brain\Monkey\Functions;
+use Mockery;
+
+/**
+ * Review Queue Service test class.
+ */
+class ReviewQueueServiceTest extends BrainMonkeyTestCase {
+
+	/**
+	 * Queued results used by the tests.
+	 *
+	 * @return array<int, array<string, mixed>>
+	 */
+	private function get_queue(): array {
+		return [
+			42 => [
+				'attachment_id' => 42,
+				'action'        => 'assign',
+				'folder_id'     => 3,
+				'confidence'    => 0.5,
+				'source'        => 'scan',
+				'queued_at'     => 1760000000,
+			],
+			43 => [
+				'attachment_id' => 43,
+				'action'        => 'create',
+				'folder_id'     => null,
+				'confidence'    => 0.4,
+				'source'        => 'upload',
+				'queued_at'     => 1760000100,
+			],
+		];
+	}
+
+	/**
+	 * Store the test queue, one option per queued result.
+	 */
+	private function stub_queue(): void {
+		$options = [];
+		foreach ( $this->get_queue() as $attachment_id => $item ) {
+			$options[ 'vmfa_review_queue_' . $attachment_id ] = $item;
+		}
+
+		$this->stub_options( $options );
+
+		$wpdb          = Mockery::mock();
+		$wpdb->options = 'wp_options';
+		$wpdb->shouldReceive( 'esc_like' )->andReturnUsing( static fn( $text ) => $text );
+		$wpdb->shouldReceive( 'prepare' )->andReturn( '' );
+		$wpdb->shouldReceive( 'get_col' )->andReturn( array_map( 'serialize', array_values( $options ) ) );
+		$GLOBALS['wpdb'] = $wpdb;
+
+		Functions\when( 'maybe_unserialize' )->alias( 'unserialize' );
+	}
+
+	/**
+	 * Test add stores each result in its own option.
+	 */
+	public function test_add_stores_result_in_its_own_option(): void {
+		Functions\expect( 'update_option' )
+			->once()
+			->with(
+				'vmfa_review_queue_42',
+				Mockery::on(
+					function ( $item ) {
+						return 42 === $item['attachment_id']
+							&& 'upload' === $item['source']
+							&& 3 === $item['folder_id'];
+					}
+				),
+				false
+			)
+			->andReturn( true );
+
+		( new ReviewQueueService() )->add(
+			[
+				'attachment_id' => 42,
+				'action'        => 'assign',
+				'folder_id'     => 3,
+			],
+			'upload'
+		);
+	}
+
+	/**
+	 * Test items are listed newest first.
+	 */
+	public function test_get_items_lists_newest_first(): void {
+		$this->stub_queue();
+
+		$items = ( new ReviewQueueService() )->get_items();
+
+		$this->assertSame( [ 43, 42 ], array_column( $items, 'attachment_id' ) );
+	}
+
+	/**
+	 * Test approve applies the re-targeted result and takes it off the queue.
+	 */
+	public function test_approve_applies_retargeted_result(): void {
+		$this->stub_queue();
+
+		$retargeted = array_merge( $this->get_queue()[42], [ 'folder_id' => 9 ] );
+
+		Functions\when( 'is_wp_error' )->justReturn( false );
+
+		$analysis_service = Mockery::mock( AIAnalysisService::class );
+		$analysis_service->shouldReceive( 'override_result_target' )
+			->once()
+			->with( $this->get_queue()[42], [ 'attachment_id' => 42, 'folder_id' => 9 ] )
+			->andReturn( $retargeted );
+		$analysis_service->shouldReceive( 'apply_result' )->once()->with( $retargeted )->andReturn( true );
+
+		$service    = new ReviewQueueService();
+		$reflection = new \ReflectionProperty( ReviewQueueService::class, 'analysis_service' );
+		$reflection->setValue( $service, $analysis_service );
+
+		Functions\expect( 'delete_option' )
+			->once()
+			->with( 'vmfa_review_queue_42' )
+			->andReturn( true );
+		Actions\expectDone( 'vmfa_review_resolved' )->once()->with( 42, 'applied' );
+
+		$result = $service->approve( [ [ 'attachment_id' => 42, 'folder_id' => 9 ] ] );
+
+		$this->assertTrue( $result['success'] );
+		$this->assertSame( 1, $result['applied'] );
+		$this->assertSame( 0, $result['failed'] );
+	}
+
+	/**
+	 * Test reject fails when none of the IDs are queued.
+	 */
+	public function test_reject_fails_for_unqueued_items(): void {
+		$this->stub_queue();
+
+		Functions\expect( 'delete_option' )->never();
+
+		$result = ( new ReviewQueueService() )->reject( [ 99 ] );
+
+		$this->assertFalse( $result['success'] );
+	}
+}
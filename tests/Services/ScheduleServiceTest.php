@@ -0,0 +1,112 @@
+<?php
+/**
+ * Tests for ScheduleService.
+ *
+ * @package VmfaAiOrganizer
+ */
+
+declare( strict_types=1 );
+
+namespace VmfaAiOrganizer\Tests\Services;
+
+use VmfaAiOrganizer\Tests\BrainMonkeyTestCase;
+use VmfaAiOrganizer\Services\MediaScannerService;
+use VmfaAiOrganizer\Services\ScheduleService;
+use Brain\Monkey\Functions;
+use Mockery;
+
+/**
+ * Schedule Service test class.
+ */
+class ScheduleServiceTest extends BrainMonkeyTestCase {
+
+	/**
+	 * Test a time window that spans midnight.
+	 */
+	public function test_is_within_window_handles_windows_across_midnight(): void {
+		$utc = new \DateTimeZone( 'UTC' );
+
+		$this->assertTrue( ScheduleService::is_within_window( '22:00', '06:00', new \DateTimeImmutable( '2025-10-01 23:30', $utc ) ) );
+		$this->assertTrue( ScheduleService::is_within_window( '22:00', '06:00', new \DateTimeImmutable( '2025-10-02 05:59', $utc ) ) );
+		$this->assertFalse( ScheduleService::is_within_window( '22:00', '06:00', new \DateTimeImmutable( '2025-10-02 06:00', $utc ) ) );
+		$this->assertFalse( ScheduleService::is_within_window( '22:00', '06:00', new \DateTimeImmutable( '2025-10-02 12:00', $utc ) ) );
+		$this->assertTrue( ScheduleService::is_within_window( '', '', new \DateTimeImmutable( '2025-10-02 12:00', $utc ) ) );
+	}
+
+	/**
+	 * Test a weekly schedule whose time passed today runs next week.
+	 */
+	public function test_get_next_run_time_moves_weekly_run_to_next_week(): void {
+		$service = new ScheduleService( Mockery::mock( MediaScannerService::class ) );
+
+		// Wednesday 1 October 2025, 10:00 UTC.
+		$now = new \DateTimeImmutable( '2025-10-01 10:00', new \DateTimeZone( 'UTC' ) );
+
+		$later_today = $service->get_next_run_time(
+			[
+				'frequency' => 'weekly',
+				'day'       => 3,
+				'time'      => '12:00',
+			],
+			$now
+		);
+		$passed      = $service->get_next_run_time(
+			[
+				'frequency' => 'weekly',
+				'day'       => 3,
+				'time'      => '09:00',
+			],
+			$now
+		);
+
+		$this->assertSame( '2025-10-01 12:00', gmdate( 'Y-m-d H:i', $later_today ) );
+		$this->assertSame( '2025-10-08 09:00', gmdate( 'Y-m-d H:i', $passed ) );
+	}
+
+	/**
+	 * Test an invalid cron expression is rejected without saving.
+	 */
+	public function test_save_schedule_rejects_invalid_cron_expression(): void {
+		$this->stub_options( [] );
+
+		Functions\when( 'wp_generate_uuid4' )->justReturn( 'schedule-1' );
+		Functions\expect( 'update_option' )->never();
+		Functions\expect( 'as_schedule_cron_action' )->never();
+
+		$service = new ScheduleService( Mockery::mock( MediaScannerService::class ) );
+		$result  = $service->save_schedule(
+			[
+				'frequency' => 'custom',
+				'cron'      => 'every night',
+			]
+		);
+
+		$this->assertFalse( $result['success'] );
+		$this->assertSame( 'Custom schedules need a cron expression with five fields.', $result['message'] );
+	}
+
+	/**
+	 * Test a Reorganize All schedule is rejected unless it runs as a dry run.
+	 */
+	public function test_save_schedule_rejects_live_reorganize_all(): void {
+		$this->stub_options( [] );
+
+		Functions\when( 'wp_generate_uuid4' )->justReturn( 'schedule-1' );
+		Functions\when( 'wp_timezone' )->justReturn( new \DateTimeZone( 'UTC' ) );
+		Functions\expect( 'update_option' )->never();
+
+		$scanner_service = Mockery::mock( MediaScannerService::class );
+		$scanner_service->shouldReceive( 'count_scan_items' )->never();
+
+		$service = new ScheduleService( $scanner_service );
+		$result  = $service->save_schedule(
+			[
+				'mode'    => 'reorganize_all',
+				'dry_run' => false,
+			]
+		);
+
+		$this->assertFalse( $result['success'] );
+		$this->assertSame( 'Scheduled Reorganize All runs must use preview mode (dry run).', $result['message'] );
+	}
+}
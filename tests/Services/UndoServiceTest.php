@@ -0,0 +1,157 @@
+<?php
+/**
+ * Tests for UndoService.
+ *
+ * @package VmfaAiOrganizer
+ */
+
+declare( strict_types=1 );
+
+namespace VmfaAiOrganizer\Tests\Services;
+
+use VmfaAiOrganizer\Tests\BrainMonkeyTestCase;
+use VmfaAiOrganizer\Services\UndoService;
+use Brain\Monkey\Functions;
+use Mockery;
+
+/**
+ * Undo Service test class.
+ */
+class UndoServiceTest extends BrainMonkeyTestCase {
+
+	/**
+	 * A recorded Organize Unassigned run.
+	 *
+	 * @param array $overrides Fields to override.
+	 * @return array
+	 */
+	private function run( array $overrides = [] ): array {
+		return array_merge(
+			[
+				'id'              => 'run-1',
+				'mode'            => 'organize_unassigned',
+				'applied_at'      => 1760000000,
+				'undoable'        => true,
+				'undone_at'       => null,
+				'moves'           => [
+					[ 'attachment_id' => 10, 'from' => [], 'to' => [ 5 ] ],
+					[ 'attachment_id' => 11, 'from' => [ 2 ], 'to' => [ 2, 5 ] ],
+					[ 'attachment_id' => 12, 'from' => [], 'to' => [ 6 ] ],
+				],
+				'created_folders' => [ 5, 6 ],
+			],
+			$overrides
+		);
+	}
+
+	/**
+	 * Test record_run keeps only real moves and the folders created during the run.
+	 */
+	public function test_record_run_stores_moves_and_created_folders(): void {
+		$this->stub_options( [ 'vmfa_undo_runs' => [] ] );
+
+		Functions\when( 'get_terms' )->justReturn( [ 2, 5, 6 ] );
+		Functions\when( 'is_wp_error' )->justReturn( false );
+
+		Functions\expect( 'update_option' )
+			->once()
+			->with(
+				'vmfa_undo_runs',
+				Mockery::on(
+					function ( $runs ) {
+						return 1 === count( $runs )
+							&& 'run-1' === $runs[0]['id']
+							&& true === $runs[0]['undoable']
+							&& [ 5, 6 ] === $runs[0]['created_folders']
+							&& [ [ 'attachment_id' => 10, 'from' => [], 'to' => [ 5 ] ] ] === $runs[0]['moves'];
+					}
+				),
+				false
+			)
+			->andReturn( true );
+
+		$service = new UndoService();
+		$service->record_run(
+			'run-1',
+			'organize_unassigned',
+			[
+				[ 'attachment_id' => 10, 'from' => [], 'to' => [ 5 ] ],
+				[ 'attachment_id' => 11, 'from' => [ 2 ], 'to' => [ 2 ] ],
+			],
+			[ 2 ]
+		);
+	}
+
+	/**
+	 * Test undo moves media back, skips media moved since and removes empty created folders.
+	 */
+	public function test_undo_reverts_moves_and_removes_empty_folders(): void {
+		$this->stub_options( [ 'vmfa_undo_runs' => [ $this->run() ] ] );
+
+		Functions\when( 'is_wp_error' )->justReturn( false );
+		Functions\when( 'wp_get_object_terms' )->alias(
+			static function ( $attachment_id ) {
+				// Attachment 12 has been moved to another folder since the run.
+				return [ 10 => [ 5 ], 11 => [ 5, 2 ], 12 => [ 9 ] ][ $attachment_id ];
+			}
+		);
+		Functions\when( 'get_term' )->justReturn( (object) [ 'term_id' => 5 ] );
+		Functions\when( 'get_term_children' )->justReturn( [] );
+		Functions\when( 'get_objects_in_term' )->alias(
+			static function ( $term_id ) {
+				return 6 === $term_id ? [ 12 ] : [];
+			}
+		);
+		Functions\when( 'delete_term_meta' )->justReturn( true );
+		Functions\when( 'delete_transient' )->justReturn( true );
+		Functions\when( 'clean_taxonomy_cache' )->justReturn( null );
+		Functions\when( 'update_option' )->justReturn( true );
+
+		Functions\expect( 'wp_set_object_terms' )->once()->with( 10, [], 'vmfo_folder' )->andReturn( [] );
+		Functions\expect( 'wp_set_object_terms' )->once()->with( 11, [ 2 ], 'vmfo_folder' )->andReturn( [ 2 ] );
+		Functions\expect( 'wp_delete_term' )->once()->with( 5, 'vmfo_folder' )->andReturn( true );
+
+		$service = new UndoService();
+		$result  = $service->undo();
+
+		$this->assertTrue( $result['success'] );
+		$this->assertSame( 2, $result['reverted'] );
+		$this->assertSame( 1, $result['skipped'] );
+		$this->assertSame( 1, $result['folders_removed'] );
+	}
+
+	/**
+	 * Test undo refuses runs that were already undone or replaced every folder.
+	 */
+	public function test_undo_refuses_undone_and_reorganize_runs(): void {
+		$this->stub_options(
+			[
+				'vmfa_undo_runs' => [
+					$this->run( [ 'undone_at' => 1760000100 ] ),
+					$this->run(
+						[
+							'id'       => 'run-0',
+							'mode'     => 'reorganize_all',
+							'undoable' => false,
+						]
+					),
+				],
+			]
+		);
+
+		Functions\expect( 'wp_set_object_terms' )->never();
+
+		$service = new UndoService();
+
+		$result = $service->undo( 'run-1' );
+		$this->assertFalse( $result['success'] );
+		$this->assertSame( 'This run has already been undone.', $result['message'] );
+
+		$result = $service->undo( 'run-0' );
+		$this->assertFalse( $result['success'] );
+		$this->assertStringContainsString( 'Restore the snapshot', $result['message'] );
+
+		$this->assertFalse( $service->get_run( 'run-1' )['undoable'] );
+		$this->assertNull( $service->get_run( 'missing' ) );
+	}
+}
@@ -12,3 +12,72 @@ require_once dirname( __DIR__ ) . '/vendor/autoload.php';
 
 // Bootstrap Brain Monkey.
 require_once __DIR__ . '/BrainMonkeyTestCase.php';
+
+// Minimal WordPress error stub for unit tests.
+if ( ! class_exists( 'WP_Error' ) ) {
+	/**
+	 * WP_Error test double.
+	 */
+	class WP_Error {
+		/**
+		 * Error code.
+		 *
+		 * @var string
+		 */
+		private string $code;
+
+		/**
+		 * Error message.
+		 *
+		 * @var string
+		 */
+		private string $message;
+
+		/**
+		 * Error data.
+		 *
+		 * @var mixed
+		 */
+		private mixed $data;
+
+		/**
+		 * Constructor.
+		 *
+		 * @param string $code    Error code.
+		 * @param string $message Error message.
+		 * @param mixed  $data    Error data.
+		 */
+		public function __construct( string $code = '', string $message = '', mixed $data = '' ) {
+			$this->code    = $code;
+			$this->message = $message;
+			$this->data    = $data;
+		}
+
+		/**
+		 * Get the error code.
+		 *
+		 * @return string
+		 */
+		public function get_error_code(): string {
+			return $this->code;
+		}
+
+		/**
+		 * Get the error message.
+		 *
+		 * @return string
+		 */
+		public function get_error_message(): string {
+			return $this->message;
+		}
+
+		/**
+		 * Get the error data.
+		 *
+		 * @return mixed
+		 */
+		public function get_error_data(): mixed {
+			return $this->data;
+		}
+	}
+}